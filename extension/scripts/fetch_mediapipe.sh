@@ -0,0 +1,34 @@
+#!/bin/sh
+# Fetch the MediaPipe files the camera page loads from src/vendor/mediapipe/
+# (they're too big for git; nothing is downloaded at runtime, the extension stays offline)
+#   vision_bundle.mjs + wasm/   @mediapipe/tasks-vision from npm
+#   face_landmarker.task        head pose / gaze model (ui/gaze.js)
+#   efficientdet_lite0.tflite   phone / person detector (ui/distractions.js)
+# Run from anywhere: sh extension/scripts/fetch_mediapipe.sh
+
+set -e
+
+TASKS_VISION_VERSION=0.10.34
+MODELS_URL=https://storage.googleapis.com/mediapipe-models
+
+VENDOR_DIR="$(cd "$(dirname "$0")/.." && pwd)/src/vendor/mediapipe"
+TMP_DIR="$(mktemp -d)"
+trap 'rm -rf "$TMP_DIR"' EXIT
+
+mkdir -p "$VENDOR_DIR/wasm"
+
+echo "Fetching @mediapipe/tasks-vision@$TASKS_VISION_VERSION"
+npm pack "@mediapipe/tasks-vision@$TASKS_VISION_VERSION" --pack-destination "$TMP_DIR" --silent > /dev/null
+tar -xzf "$TMP_DIR"/mediapipe-tasks-vision-*.tgz -C "$TMP_DIR"
+cp "$TMP_DIR/package/vision_bundle.mjs" "$VENDOR_DIR/"
+cp "$TMP_DIR"/package/wasm/* "$VENDOR_DIR/wasm/"
+
+fetch_model() {
+  echo "Fetching $2"
+  curl -fsSL "$MODELS_URL/$1" -o "$VENDOR_DIR/$2"
+}
+
+fetch_model face_landmarker/face_landmarker/float16/1/face_landmarker.task face_landmarker.task
+fetch_model object_detector/efficientdet_lite0/int8/1/efficientdet_lite0.tflite efficientdet_lite0.tflite
+
+echo "MediaPipe files are in $VENDOR_DIR"
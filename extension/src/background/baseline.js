@@ -0,0 +1,141 @@
+// Personal Baseline - learns each user's normal working rhythm
+// During the first few sessions we record tab switch rate, typing cadence and idle gaps;
+// once calibrated, the focus model judges deviations from these instead of fixed thresholds
+
+const MIN_SESSION_SAMPLES = 30;   // ticks (~5 min) before a session counts towards calibration
+
+// ============================================================
+// Running statistics (Welford)
+// ============================================================
+
+function createStat() {
+  return { n: 0, mean: 0, m2: 0 };
+}
+
+function addSample(stat, x) {
+  stat.n += 1;
+  const delta = x - stat.mean;
+  stat.mean += delta / stat.n;
+  stat.m2 += delta * (x - stat.mean);
+}
+
+// Fold one stat into another (Chan et al. parallel update)
+function mergeStat(into, from) {
+  if (!from.n) return;
+  const n = into.n + from.n;
+  const delta = from.mean - into.mean;
+  into.m2 += from.m2 + delta * delta * into.n * from.n / n;
+  into.mean += delta * from.n / n;
+  into.n = n;
+}
+
+export function stdDev(stat) {
+  return stat?.n > 1 ? Math.sqrt(stat.m2 / (stat.n - 1)) : 0;
+}
+
+// ============================================================
+// Baseline state
+// ============================================================
+
+function createSessionStats() {
+  return {
+    tabSwitchRate: createStat(),
+    typingCadence: createStat(),
+    idleGapMs: createStat(),
+  };
+}
+
+/**
+ * Fresh baseline (also what "Reset baseline" restores)
+ */
+export function createBaseline() {
+  return {
+    status: 'calibrating',     // 'calibrating' | 'calibrated'
+    sessionsObserved: 0,
+    sessionSamples: 0,         // ticks recorded in the current session
+    startedAt: null,
+    calibratedAt: null,
+    tabSwitchRate: createStat(),   // switches per minute (per tick)
+    typingCadence: createStat(),   // keys per activity report (5s) while typing
+    idleGapMs: createStat(),       // time since last input (per tick)
+    // Current session's samples, merged into the stats above only if the session is long enough
+    sessionStats: createSessionStats(),
+  };
+}
+
+function isCalibrating(baseline) {
+  return baseline?.status === 'calibrating';
+}
+
+/**
+ * Record one tick's signals (study phase only)
+ */
+export function recordBaselineTick(baseline, { switchRate, idleMs }, now = Date.now()) {
+  if (!isCalibrating(baseline)) return;
+
+  baseline.startedAt = baseline.startedAt || now;
+  addSample(baseline.sessionStats.tabSwitchRate, switchRate);
+  addSample(baseline.sessionStats.idleGapMs, idleMs);
+  baseline.sessionSamples += 1;
+}
+
+/**
+ * Record typing cadence from an activity report (only reports with typing in them)
+ */
+export function recordBaselineTyping(baseline, keyPressCount) {
+  if (!isCalibrating(baseline) || !(keyPressCount > 0)) return;
+  addSample(baseline.sessionStats.typingCadence, keyPressCount);
+}
+
+/**
+ * Close out a session; calibration completes after `calibrationSessions` long-enough sessions
+ * A shorter session's samples are dropped, so they don't shift the baseline either
+ */
+export function finishBaselineSession(baseline, calibrationSessions = 3, now = Date.now()) {
+  if (!isCalibrating(baseline)) return;
+
+  if (baseline.sessionSamples >= MIN_SESSION_SAMPLES) {
+    const { sessionStats } = baseline;
+    mergeStat(baseline.tabSwitchRate, sessionStats.tabSwitchRate);
+    mergeStat(baseline.typingCadence, sessionStats.typingCadence);
+    mergeStat(baseline.idleGapMs, sessionStats.idleGapMs);
+    baseline.sessionsObserved += 1;
+  }
+  baseline.sessionSamples = 0;
+  baseline.sessionStats = createSessionStats();
+
+  if (baseline.sessionsObserved >= calibrationSessions) {
+    baseline.status = 'calibrated';
+    baseline.calibratedAt = now;
+    console.log('[Baseline] Calibrated:', summarizeBaseline(baseline));
+  }
+}
+
+/**
+ * The baseline computeFocusScore should use, or null while calibrating / disabled
+ */
+export function getActiveBaseline(state) {
+  if (state.settings?.baselineEnabled === false) return null;
+  const baseline = state.baseline;
+  if (baseline?.status !== 'calibrated') return null;
+
+  return {
+    tabSwitchRate: { mean: baseline.tabSwitchRate.mean, sd: stdDev(baseline.tabSwitchRate) },
+    typingCadence: { mean: baseline.typingCadence.mean, sd: stdDev(baseline.typingCadence) },
+    idleGapMs: { mean: baseline.idleGapMs.mean, sd: stdDev(baseline.idleGapMs) },
+  };
+}
+
+/**
+ * Human-readable numbers for the options page
+ */
+export function summarizeBaseline(baseline) {
+  return {
+    status: baseline.status,
+    sessionsObserved: baseline.sessionsObserved,
+    calibratedAt: baseline.calibratedAt,
+    tabSwitchesPerMin: Math.round(baseline.tabSwitchRate.mean * 10) / 10,
+    keysPer5s: Math.round(baseline.typingCadence.mean * 10) / 10,
+    idleGapSecs: Math.round(baseline.idleGapMs.mean / 1000),
+  };
+}
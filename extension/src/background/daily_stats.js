@@ -0,0 +1,169 @@
+// Daily Stats - Screen Time style rollup of site time, focus and interventions
+// Buckets are keyed by local date (YYYY-MM-DD); time spans crossing midnight are split
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+const UNPRODUCTIVE_CATEGORIES = ['socialMedia', 'entertainment', 'games', 'shopping', 'news', 'blocked'];
+
+// ============================================================
+// Helpers
+// ============================================================
+
+/**
+ * Local date key for a timestamp, e.g. '2024-03-09'
+ */
+export function getDateKey(timestamp) {
+  const d = new Date(timestamp);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Timestamp of the next local midnight after `timestamp`
+ */
+function nextMidnight(timestamp) {
+  const d = new Date(timestamp);
+  d.setHours(24, 0, 0, 0);
+  return d.getTime();
+}
+
+/**
+ * Which Screen Time bucket a category counts towards
+ */
+export function getTimeBucket(category) {
+  if (category === 'productive') return 'productiveTime';
+  if (UNPRODUCTIVE_CATEGORIES.includes(category)) return 'unproductiveTime';
+  return 'neutralTime';
+}
+
+function createDay(date) {
+  return {
+    date,
+    siteBreakdown: {},         // { hostname: totalMs }
+    categoryBreakdown: {},     // { category: totalMs }
+    productiveTime: 0,
+    unproductiveTime: 0,
+    neutralTime: 0,
+    focusScoreAvg: 0,
+    focusSamples: 0,
+    interventionCount: 0,
+  };
+}
+
+function getDay(dailyStats, timestamp) {
+  dailyStats.days = dailyStats.days || {};
+  const key = getDateKey(timestamp);
+  if (!dailyStats.days[key]) {
+    dailyStats.days[key] = createDay(key);
+  }
+  return dailyStats.days[key];
+}
+
+// ============================================================
+// Recording
+// ============================================================
+
+/**
+ * Add time spent on a site between two timestamps
+ * Splits the span at local midnight so each day gets its own share
+ */
+export function addSiteTime(dailyStats, hostname, category, fromMs, toMs) {
+  if (!hostname || !(toMs > fromMs)) return dailyStats;
+
+  let start = fromMs;
+  while (start < toMs) {
+    const end = Math.min(toMs, nextMidnight(start));
+    const ms = end - start;
+    const day = getDay(dailyStats, start);
+
+    day.siteBreakdown[hostname] = (day.siteBreakdown[hostname] || 0) + ms;
+    day.categoryBreakdown[category] = (day.categoryBreakdown[category] || 0) + ms;
+    day[getTimeBucket(category)] += ms;
+
+    start = end;
+  }
+
+  return dailyStats;
+}
+
+/**
+ * Fold a focus score sample into the day's running average
+ */
+export function recordFocusSample(dailyStats, score, timestamp = Date.now()) {
+  const day = getDay(dailyStats, timestamp);
+  day.focusSamples += 1;
+  day.focusScoreAvg += (score - day.focusScoreAvg) / day.focusSamples;
+  return dailyStats;
+}
+
+export function recordIntervention(dailyStats, timestamp = Date.now()) {
+  getDay(dailyStats, timestamp).interventionCount += 1;
+  return dailyStats;
+}
+
+/**
+ * Drop days older than the retention window
+ */
+export function pruneDailyStats(dailyStats, retentionDays = DEFAULT_RETENTION_DAYS, now = Date.now()) {
+  const days = Math.max(1, retentionDays || DEFAULT_RETENTION_DAYS);
+  const cutoff = new Date(now);
+  cutoff.setHours(0, 0, 0, 0);
+  cutoff.setDate(cutoff.getDate() - (days - 1));
+  const cutoffKey = getDateKey(cutoff.getTime());
+
+  for (const key of Object.keys(dailyStats.days || {})) {
+    if (key < cutoffKey) {
+      delete dailyStats.days[key];
+    }
+  }
+  return dailyStats;
+}
+
+// ============================================================
+// Queries
+// ============================================================
+
+/**
+ * Day buckets for the last `count` days (oldest first), including empty days
+ */
+export function getRecentDays(dailyStats, count = 7, now = Date.now()) {
+  const result = [];
+  const d = new Date(now);
+  d.setHours(12, 0, 0, 0); // noon avoids DST edge cases when stepping back
+
+  for (let i = 0; i < count; i++) {
+    const key = getDateKey(d.getTime());
+    result.unshift(dailyStats.days?.[key] || createDay(key));
+    d.setDate(d.getDate() - 1);
+  }
+  return result;
+}
+
+/**
+ * Combine several day buckets into one summary (e.g. a week)
+ */
+export function summarizeDays(days) {
+  const summary = createDay(null);
+  summary.from = days[0]?.date || null;
+  summary.to = days[days.length - 1]?.date || null;
+
+  let weightedScore = 0;
+  for (const day of days) {
+    for (const [hostname, ms] of Object.entries(day.siteBreakdown)) {
+      summary.siteBreakdown[hostname] = (summary.siteBreakdown[hostname] || 0) + ms;
+    }
+    for (const [category, ms] of Object.entries(day.categoryBreakdown)) {
+      summary.categoryBreakdown[category] = (summary.categoryBreakdown[category] || 0) + ms;
+    }
+    summary.productiveTime += day.productiveTime;
+    summary.unproductiveTime += day.unproductiveTime;
+    summary.neutralTime += day.neutralTime;
+    summary.interventionCount += day.interventionCount;
+    summary.focusSamples += day.focusSamples;
+    weightedScore += day.focusScoreAvg * day.focusSamples;
+  }
+
+  summary.focusScoreAvg = summary.focusSamples ? weightedScore / summary.focusSamples : 0;
+  return summary;
+}
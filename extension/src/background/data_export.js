@@ -0,0 +1,441 @@
+// Data Export - versioned JSON backup of everything the extension has learned
+// Bundles settings, bandit policy, music intelligence, site overrides and session history
+// so they survive a move to another browser. API keys are only included on request.
+
+import { loadState, updateState, getApiKey, setApiKey, getSpotifyTokens, setSpotifyTokens, DEFAULT_STATE } from './storage.js';
+import { listSessions, saveSessions, clearSessions } from './session_history.js';
+
+export const BUNDLE_FORMAT = 'focusdj-export';
+export const BUNDLE_VERSION = 1;
+
+const API_KEY_TYPES = ['groq', 'serp'];
+const SITE_OVERRIDE_KEYS = ['customProductive', 'customBlocked', 'customDoomscrollSites', 'siteRules'];
+const WEB_SETTINGS_KEY = 'focusdj_settings';  // web dashboard settings (see web/src/utils/settings.js)
+const TRACK_HISTORY_MAX = 500;
+const REWARD_HISTORY_MAX = 200;   // per arm, as in decision_engine.js
+
+// ============================================================
+// Migrations
+// ============================================================
+
+/**
+ * Ordered bundle migrations, each upgrading `from` -> `from + 1`
+ * Version 0 is a raw `state` blob copied out of chrome.storage.local
+ */
+const MIGRATIONS = [
+  {
+    from: 0,
+    migrate: (state) => ({
+      format: BUNDLE_FORMAT,
+      version: 1,
+      exportedAt: null,
+      settings: stripSiteOverrides(state.settings || {}),
+      siteOverrides: pickSiteOverrides(state.settings || {}),
+      policy: state.policy || null,
+      musicIntelligence: state.musicIntelligence || null,
+      dailyStats: state.dailyStats?.days ? state.dailyStats : null,
+      sessions: null,          // a state blob carries no session history
+      webSettings: null,
+    }),
+  },
+];
+
+function getBundleVersion(bundle) {
+  if (bundle.format === BUNDLE_FORMAT) return bundle.version;
+  // A bare state blob has settings/policy but no format marker
+  if (bundle.settings || bundle.policy) return 0;
+  return null;
+}
+
+/**
+ * Upgrade a parsed bundle to BUNDLE_VERSION and check its shape
+ * Throws with a user-facing message if the file can't be imported
+ */
+export function migrateBundle(bundle) {
+  if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+    throw new Error('Not a FocusDJ export file');
+  }
+
+  let version = getBundleVersion(bundle);
+  if (typeof version !== 'number') {
+    throw new Error('Not a FocusDJ export file');
+  }
+  if (version > BUNDLE_VERSION) {
+    throw new Error(`This export was made by a newer version of FocusDJ (v${version}). Update the extension first.`);
+  }
+
+  let migrated = bundle;
+  while (version < BUNDLE_VERSION) {
+    const step = MIGRATIONS.find((m) => m.from === version);
+    if (!step) {
+      throw new Error(`Don't know how to upgrade export version ${version}`);
+    }
+    migrated = step.migrate(migrated);
+    version += 1;
+  }
+
+  validateBundle(migrated);
+  return migrated;
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateBundle(bundle) {
+  if (bundle.settings != null && !isPlainObject(bundle.settings)) {
+    throw new Error('Invalid export: settings must be an object');
+  }
+
+  for (const key of SITE_OVERRIDE_KEYS) {
+    const list = bundle.siteOverrides?.[key];
+    if (list != null && (!Array.isArray(list) || list.some((s) => typeof s !== 'string'))) {
+      throw new Error(`Invalid export: ${key} must be a list of sites`);
+    }
+  }
+
+  if (bundle.policy != null) {
+    if (!isPlainObject(bundle.policy?.arms)) {
+      throw new Error('Invalid export: policy has no arms');
+    }
+    for (const [arm, stats] of Object.entries(bundle.policy.arms)) {
+      if (typeof stats?.value !== 'number' || typeof stats?.n !== 'number') {
+        throw new Error(`Invalid export: policy arm ${arm} is malformed`);
+      }
+    }
+  }
+
+  if (bundle.musicIntelligence != null && !Array.isArray(bundle.musicIntelligence.trackHistory)) {
+    throw new Error('Invalid export: musicIntelligence.trackHistory must be a list');
+  }
+
+  if (bundle.pageCorrections != null && !isPlainObject(bundle.pageCorrections)) {
+    throw new Error('Invalid export: pageCorrections must be an object');
+  }
+
+  if (bundle.sessions != null) {
+    if (!Array.isArray(bundle.sessions)) {
+      throw new Error('Invalid export: sessions must be a list');
+    }
+    if (bundle.sessions.some((s) => typeof s?.id !== 'string' || typeof s?.startedAt !== 'number')) {
+      throw new Error('Invalid export: a session is missing its id or start time');
+    }
+  }
+}
+
+// ============================================================
+// Export
+// ============================================================
+
+function pickSiteOverrides(settings) {
+  const overrides = {};
+  for (const key of SITE_OVERRIDE_KEYS) {
+    overrides[key] = [...(settings[key] || [])];
+  }
+  return overrides;
+}
+
+function stripSiteOverrides(settings) {
+  const rest = { ...settings };
+  for (const key of SITE_OVERRIDE_KEYS) {
+    delete rest[key];
+  }
+  // Legacy aliases of customProductive/customBlocked
+  delete rest.studySites;
+  delete rest.doomscrollSites;
+  return rest;
+}
+
+/**
+ * Build the export bundle
+ * @param {boolean} includeApiKeys - also export API keys and Spotify tokens
+ */
+export async function buildExportBundle({ includeApiKeys = false } = {}) {
+  const state = await loadState();
+  const sessions = await listSessions({ limit: Infinity, includeDetails: true });
+  const stored = await chrome.storage.local.get(WEB_SETTINGS_KEY);
+
+  const bundle = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: Date.now(),
+    settings: stripSiteOverrides(state.settings),
+    siteOverrides: pickSiteOverrides(state.settings),
+    policy: state.policy,
+    musicIntelligence: state.musicIntelligence,
+    dailyStats: state.dailyStats,
+    pageCorrections: state.pageCorrections,
+    sessions,
+    webSettings: stored[WEB_SETTINGS_KEY] || null,
+  };
+
+  if (includeApiKeys) {
+    const apiKeys = {};
+    for (const keyType of API_KEY_TYPES) {
+      apiKeys[keyType] = await getApiKey(keyType);
+    }
+    bundle.credentials = { apiKeys, spotifyTokens: await getSpotifyTokens() };
+  }
+
+  return bundle;
+}
+
+// ============================================================
+// Merging
+// ============================================================
+
+/**
+ * Combine two sets of bandit arms, weighting each value by its pull count
+ */
+function mergeArms(currentArms, importedArms) {
+  const arms = { ...currentArms };
+  for (const [arm, stats] of Object.entries(importedArms)) {
+    const existing = arms[arm];
+    if (!existing) {
+      arms[arm] = { ...stats };
+      continue;
+    }
+    const n = existing.n + stats.n;
+    arms[arm] = {
+      ...existing,
+      value: n ? (existing.value * existing.n + stats.value * stats.n) / n : existing.value,
+      n,
+    };
+  }
+  return arms;
+}
+
+/**
+ * Pool two hold-out baselines, weighting each by its sample count
+ */
+function mergeHoldOut(current = { meanDelta: 0, n: 0, samples: 0 }, imported) {
+  if (!imported?.samples) return current;
+  const samples = current.samples + imported.samples;
+  return {
+    meanDelta: (current.meanDelta * current.samples + imported.meanDelta * imported.samples) / samples,
+    n: Math.max(current.n, imported.n),
+    samples,
+  };
+}
+
+/**
+ * Merge global and per-context bandit arms, reward history and the hold-out baseline
+ */
+function mergePolicy(current, imported) {
+  const contexts = { ...current.contexts };
+  for (const [key, context] of Object.entries(imported.contexts || {})) {
+    contexts[key] = {
+      arms: mergeArms(contexts[key]?.arms || {}, context.arms || {}),
+      updatedAt: Math.max(contexts[key]?.updatedAt || 0, context.updatedAt || 0),
+    };
+  }
+  const rewardHistory = { ...current.rewardHistory };
+  for (const [arm, history] of Object.entries(imported.rewardHistory || {})) {
+    const seen = new Set((rewardHistory[arm] || []).map((entry) => entry.timestamp));
+    rewardHistory[arm] = [...(rewardHistory[arm] || []), ...history.filter((entry) => !seen.has(entry.timestamp))]
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .slice(-REWARD_HISTORY_MAX);
+  }
+  const holdOut = mergeHoldOut(current.holdOut, imported.holdOut);
+  return { ...current, arms: mergeArms(current.arms, imported.arms), contexts, rewardHistory, holdOut };
+}
+
+/**
+ * Weighted average of two { avg, count } style stats
+ */
+function mergeMean(a = 0, aCount = 0, b = 0, bCount = 0) {
+  const total = aCount + bCount;
+  return total ? (a * aCount + b * bCount) / total : 0;
+}
+
+function mergeMusicIntelligence(current, imported) {
+  const merged = structuredClone(current);
+
+  // Track history: union by id, newest first
+  const seen = new Set(merged.trackHistory.map((t) => t.id));
+  for (const track of imported.trackHistory) {
+    if (!seen.has(track.id)) {
+      merged.trackHistory.push(track);
+      seen.add(track.id);
+    }
+  }
+  merged.trackHistory.sort((a, b) => (b.startedAt || 0) - (a.startedAt || 0));
+  merged.trackHistory = merged.trackHistory.slice(0, TRACK_HISTORY_MAX);
+
+  // BPM model: pool samples per range, then re-pick the optimal range (5+ samples)
+  const ranges = merged.bpmModel.ranges;
+  for (const [name, data] of Object.entries(imported.bpmModel?.ranges || {})) {
+    const range = ranges[name] || (ranges[name] = { avgFocusScore: 0, sampleCount: 0, totalListenTimeMs: 0 });
+    range.avgFocusScore = mergeMean(range.avgFocusScore, range.sampleCount, data.avgFocusScore, data.sampleCount);
+    range.sampleCount += data.sampleCount || 0;
+    range.totalListenTimeMs += data.totalListenTimeMs || 0;
+  }
+
+  let bestRange = null;
+  let bestScore = 0;
+  for (const [name, data] of Object.entries(ranges)) {
+    if (data.sampleCount >= 5 && data.avgFocusScore > bestScore) {
+      bestScore = data.avgFocusScore;
+      bestRange = name;
+    }
+  }
+  merged.bpmModel.optimalRange = bestRange;
+  merged.bpmModel.lastUpdated = Date.now();
+
+  // Genre model
+  const genres = merged.genreModel.genres;
+  for (const [genre, data] of Object.entries(imported.genreModel?.genres || {})) {
+    const existing = genres[genre] || { avgFocusScore: 0, count: 0 };
+    genres[genre] = {
+      ...existing,
+      avgFocusScore: mergeMean(existing.avgFocusScore, existing.count, data.avgFocusScore, data.count),
+      count: existing.count + (data.count || 0),
+    };
+  }
+  if (!merged.genreModel.optimalGenres?.length) {
+    merged.genreModel.optimalGenres = imported.genreModel?.optimalGenres || [];
+  }
+
+  return merged;
+}
+
+/**
+ * Merge day buckets; days present on both sides keep whichever saw more focus samples
+ */
+function mergeDailyStats(current, imported) {
+  const days = { ...(current.days || {}) };
+  for (const [key, day] of Object.entries(imported.days || {})) {
+    if (!days[key] || (day.focusSamples || 0) > (days[key].focusSamples || 0)) {
+      days[key] = day;
+    }
+  }
+  return { ...current, days };
+}
+
+/**
+ * Union of page corrections; the newer one wins for the same page
+ */
+function mergePageCorrections(current, imported) {
+  const merged = { ...current };
+  for (const [key, correction] of Object.entries(imported)) {
+    if (!merged[key] || (correction.updatedAt || 0) > (merged[key].updatedAt || 0)) {
+      merged[key] = correction;
+    }
+  }
+  return merged;
+}
+
+function mergeWebSettings(current, imported) {
+  const merged = { ...current };
+  for (const [section, values] of Object.entries(imported)) {
+    merged[section] = isPlainObject(values) ? { ...current[section], ...values } : values;
+  }
+  return merged;
+}
+
+// ============================================================
+// Import
+// ============================================================
+
+/**
+ * Import a bundle (any supported version)
+ * @param {'merge'|'replace'} mode - merge keeps existing data and adds the bundle's,
+ *   replace overwrites everything the bundle contains
+ * @returns {object} summary of what was imported
+ */
+export async function importBundle(rawBundle, { mode = 'merge' } = {}) {
+  if (mode !== 'merge' && mode !== 'replace') {
+    throw new Error(`Unknown import mode: ${mode}`);
+  }
+
+  const fromVersion = getBundleVersion(rawBundle ?? {});
+  const bundle = migrateBundle(rawBundle);
+  const replace = mode === 'replace';
+
+  // Applied in one transaction on fresh state, so ticks and vision updates in between aren't lost
+  await updateState((state) => {
+    // Settings + site overrides
+    if (bundle.settings || bundle.siteOverrides) {
+      const base = replace ? structuredClone(DEFAULT_STATE.settings) : state.settings;
+      const settings = { ...base, ...(bundle.settings || {}) };
+
+      for (const key of SITE_OVERRIDE_KEYS) {
+        const imported = bundle.siteOverrides?.[key] || [];
+        const existing = replace ? [] : (state.settings[key] || []);
+        settings[key] = [...new Set([...existing, ...imported])];
+      }
+      // Legacy aliases stay retired (stripSiteOverrides drops them from exports too)
+      delete settings.studySites;
+      delete settings.doomscrollSites;
+
+      state.settings = settings;
+    }
+
+    if (bundle.policy) {
+      state.policy = replace
+        ? { ...bundle.policy, arms: { ...DEFAULT_STATE.policy.arms, ...bundle.policy.arms } }
+        : mergePolicy(state.policy, bundle.policy);
+    }
+
+    if (bundle.musicIntelligence) {
+      const current = state.musicIntelligence || structuredClone(DEFAULT_STATE.musicIntelligence);
+      state.musicIntelligence = replace
+        ? bundle.musicIntelligence
+        : mergeMusicIntelligence(current, bundle.musicIntelligence);
+    }
+
+    if (bundle.dailyStats) {
+      state.dailyStats = replace
+        ? bundle.dailyStats
+        : mergeDailyStats(state.dailyStats || { days: {} }, bundle.dailyStats);
+    }
+
+    if (bundle.pageCorrections) {
+      state.pageCorrections = replace
+        ? bundle.pageCorrections
+        : mergePageCorrections(state.pageCorrections || {}, bundle.pageCorrections);
+    }
+  });
+
+  // Session history (ids are start timestamps, so merging dedupes naturally)
+  const sessions = bundle.sessions || [];
+  if (replace && bundle.sessions) {
+    await clearSessions();
+  }
+  await saveSessions(sessions);
+
+  // Web dashboard settings
+  if (bundle.webSettings) {
+    const stored = await chrome.storage.local.get(WEB_SETTINGS_KEY);
+    const current = stored[WEB_SETTINGS_KEY];
+    await chrome.storage.local.set({
+      [WEB_SETTINGS_KEY]: replace || !current ? bundle.webSettings : mergeWebSettings(current, bundle.webSettings),
+    });
+  }
+
+  // Credentials - merge never overwrites keys that are already set
+  let credentialsImported = false;
+  if (bundle.credentials) {
+    for (const [keyType, value] of Object.entries(bundle.credentials.apiKeys || {})) {
+      if (value && (replace || !(await getApiKey(keyType)))) {
+        await setApiKey(keyType, value);
+        credentialsImported = true;
+      }
+    }
+    const tokens = bundle.credentials.spotifyTokens;
+    if (tokens?.refreshToken && (replace || !(await getSpotifyTokens()).refreshToken)) {
+      await setSpotifyTokens(tokens);
+      credentialsImported = true;
+    }
+  }
+
+  console.log(`[Data Export] Imported bundle v${fromVersion} (${mode}), ${sessions.length} sessions`);
+
+  return {
+    mode,
+    fromVersion,
+    sessions: sessions.length,
+    tracks: bundle.musicIntelligence?.trackHistory.length || 0,
+    credentialsImported,
+  };
+}
@@ -1,18 +1,15 @@
 // Decision engine: state machine + multi-armed bandit for intervention selection
 
-/**
- * Intervention types (ordered by intensity)
- */
-export const INTERVENTIONS = {
-  BOOST_ENERGY: 'BOOST_ENERGY',       // Skip to higher energy track
-  SWITCH_PLAYLIST: 'SWITCH_PLAYLIST', // Change to focus playlist
-  PATTERN_BREAK: 'PATTERN_BREAK',     // Short pause then resume
-  DUCK_VOLUME: 'DUCK_VOLUME',         // Lower volume to reduce distraction
-  WHITE_NOISE: 'WHITE_NOISE',         // White noise burst for attention
-  SMART_RECOMMEND: 'SMART_RECOMMEND', // AI-powered track recommendation based on BPM-focus correlation
-  VIOLA_POPUP: 'VIOLA_POPUP',         // Show Viola chatbot popup
-  NUCLEAR: 'NUCLEAR',                 // Max volume blast for doomscrolling
-};
+import {
+  INTERVENTIONS,
+  getDefaultArms,
+  getIntervention,
+  isInterventionEligible,
+  listInterventions,
+} from './interventions.js';
+
+// Intervention types live in the registry (interventions.js); re-exported for existing imports
+export { INTERVENTIONS };
 
 /**
  * Cooldown periods by mode (ms)
@@ -80,20 +77,100 @@ export function shouldIntervene(state, now) {
   return { should: false, reason: 'focused' };
 }
 
+// ============================================================
+// Intervention Context
+// ============================================================
+// The bandit keeps a separate table of arm stats per context (category, mode,
+// hour bucket, pomodoro phase) next to the global policy.arms. A context's
+// estimates start from the global ones and take over as it collects pulls.
+
+const CONTEXT_PRIOR_PULLS = 3;   // how many pulls the global estimate is worth in a fresh context
+
+const HOUR_BUCKETS = [
+  { name: 'night', until: 6 },
+  { name: 'morning', until: 12 },
+  { name: 'afternoon', until: 18 },
+  { name: 'evening', until: 24 },
+];
+
+function getHourBucket(date) {
+  const hour = date.getHours();
+  return HOUR_BUCKETS.find((bucket) => hour < bucket.until).name;
+}
+
+/**
+ * Where we are in the pomodoro cycle: 'off' | 'early' | 'mid' | 'late' | 'break'
+ */
+function getPomodoroPhase(session, settings, now) {
+  if (!settings?.pomodoroEnabled || !session.pomodoroStartedAt) return 'off';
+  if (session.phase === 'break') return 'break';
+
+  const workMs = (settings.pomodoroWork || 25) * 60_000;
+  const progress = (now - session.pomodoroStartedAt) / workMs;
+  if (progress < 1 / 3) return 'early';
+  if (progress < 2 / 3) return 'mid';
+  return 'late';
+}
+
+/**
+ * Describe the situation an intervention is chosen in
+ * The key indexes policy.contexts
+ */
+export function getInterventionContext(state, now = Date.now()) {
+  const context = {
+    category: state.signals?.currentCategory || 'neutral',
+    mode: state.session.mode || 'normal',
+    hourBucket: getHourBucket(new Date(now)),
+    pomodoroPhase: getPomodoroPhase(state.session, state.settings, now),
+  };
+  context.key = [context.category, context.mode, context.hourBucket, context.pomodoroPhase].join('|');
+  return context;
+}
+
+/**
+ * Arm estimates for a context, shrunk towards the global arms
+ * With no context data this is the global value backed by CONTEXT_PRIOR_PULLS pseudo-pulls
+ */
+function getContextArms(policy, contextKey) {
+  const contextArms = policy.contexts?.[contextKey]?.arms || {};
+  const arms = {};
+
+  for (const [name, global] of Object.entries(getPolicyArms(policy))) {
+    const local = contextArms[name] || { value: 0, n: 0 };
+    const prior = Math.min(global.n, CONTEXT_PRIOR_PULLS);
+    const n = local.n + prior;
+    arms[name] = {
+      value: n ? (local.value * local.n + global.value * prior) / n : global.value,
+      n: Math.max(n, 1),
+    };
+  }
+
+  return arms;
+}
+
+/**
+ * Learned arms plus untrained ones for interventions registered since the state was saved
+ */
+function getPolicyArms(policy) {
+  return { ...getDefaultArms(), ...policy.arms };
+}
+
 /**
  * UCB1 algorithm for selecting intervention arm
  * Balances exploitation (what worked) with exploration (trying new things)
+ * @param {string} options.contextKey - context (see getInterventionContext); global arms if omitted
+ * @param {Function} options.isEligible - (arm) => boolean, arms that may be picked right now
+ * @returns {string|null} null when no arm is eligible
  */
-export function selectArmUCB(policy, excludeNuclear = true) {
-  const arms = Object.entries(policy.arms);
+export function selectArmUCB(policy, { contextKey = null, isEligible = (name) => name !== INTERVENTIONS.NUCLEAR } = {}) {
+  const arms = Object.entries(contextKey ? getContextArms(policy, contextKey) : getPolicyArms(policy));
   const totalN = arms.reduce((sum, [_, arm]) => sum + arm.n, 0);
 
   let best = null;
   let bestScore = -Infinity;
 
   for (const [name, arm] of arms) {
-    // Skip nuclear unless explicitly allowed
-    if (excludeNuclear && name === 'NUCLEAR') continue;
+    if (!isEligible(name)) continue;
 
     // UCB1 formula: value + exploration bonus
     const explorationBonus = Math.sqrt((2 * Math.log(totalN + 1)) / arm.n);
@@ -105,95 +182,356 @@ export function selectArmUCB(policy, excludeNuclear = true) {
     }
   }
 
-  return best || 'BOOST_ENERGY'; // fallback
+  return best;
 }
 
 /**
  * Select intervention based on context
- * Escalates if previous interventions didn't work
+ * Climbs the escalation ladder when previous interventions didn't work
+ * Only interventions eligible right now (see interventions.js) are considered
+ * @param {object} context - from getInterventionContext (computed here if omitted)
+ * @param {string[]} musicBackends - available music backend ids (music isn't checked if omitted)
+ * @returns {string|null} null when nothing can run
  */
-export function selectIntervention(state, isDoomscrolling) {
-  const { session, policy, settings, lastIntervention, signals } = state;
-
-  // Check if we're escalating (previous intervention didn't help)
-  const isEscalating = lastIntervention &&
-    (Date.now() - lastIntervention.appliedAt < 60000) && // Within last minute
-    lastIntervention.type !== INTERVENTIONS.VIOLA_POPUP &&
-    lastIntervention.type !== INTERVENTIONS.NUCLEAR;
-
-  // Check if on unproductive site
-  const onUnproductiveSite = ['socialMedia', 'entertainment', 'games', 'blocked'].includes(signals?.currentCategory);
+export function selectIntervention(state, isDoomscrolling, context = getInterventionContext(state), musicBackends = undefined) {
+  const { policy, settings } = state;
+  const eligible = (type) => isInterventionEligible(type, state, { isDoomscrolling, musicBackends });
 
   // Nuclear only for doomscrolling in strict mode with it enabled
-  if (isDoomscrolling && session.mode === 'strict' && settings.nuclearEnabled) {
+  if (eligible(INTERVENTIONS.NUCLEAR)) {
     return INTERVENTIONS.NUCLEAR;
   }
 
-  // VIOLA POPUP: Show on unproductive sites when focus is low
-  // This is the "hey, you're distracted" nudge
-  if (onUnproductiveSite && state.metrics.focusScore < 60) {
-    // Don't spam - check if we showed popup recently
-    const recentPopup = lastIntervention?.type === INTERVENTIONS.VIOLA_POPUP &&
-      (Date.now() - lastIntervention.appliedAt < 120000); // 2 min cooldown for popup
-
-    if (!recentPopup) {
-      console.log(`[Decision] Viola popup: on ${signals?.currentCategory} site, focus ${state.metrics.focusScore}`);
-      return INTERVENTIONS.VIOLA_POPUP;
-    }
-  }
-
-  // If escalating and still distracted, show Viola popup
-  if (isEscalating && state.metrics.focusScore < 50) {
-    return INTERVENTIONS.VIOLA_POPUP;
+  // Hold-out: now and then do nothing, to measure how focus recovers on its own
+  if (Math.random() < (settings.holdOutRate ?? DEFAULT_HOLD_OUT_RATE)) {
+    console.log('[Decision] Hold-out: skipping intervention for the counterfactual baseline');
+    return INTERVENTIONS.HOLD_OUT;
   }
 
-  // White noise for severe distraction
-  if (state.metrics.focusScore < 30 && isDoomscrolling) {
-    return INTERVENTIONS.WHITE_NOISE;
+  // Current rung of the escalation ladder (or the nearest one with something that can run)
+  const candidates = getRungCandidates(state, eligible);
+  if (!candidates.length) {
+    console.log('[Decision] No eligible intervention on the escalation ladder');
+    return null;
   }
 
-  // AUTO MUSIC SWITCH: If enabled and focus is below threshold, use smart recommend
+  // AUTO MUSIC SWITCH: If enabled and focus is below threshold, prefer smart recommend on this rung
   const autoMusicEnabled = settings.autoMusicSwitch !== false; // Default true
   const autoThreshold = settings.autoMusicThreshold || 70; // Higher = more sensitive
 
-  if (autoMusicEnabled && state.metrics.focusScore < autoThreshold) {
-    // Always use smart recommend when focus drops - music helps refocus
+  if (candidates.includes(INTERVENTIONS.SMART_RECOMMEND) && autoMusicEnabled && state.metrics.focusScore < autoThreshold) {
+    // Music helps refocus
     console.log(`[Decision] Auto music switch: focus ${state.metrics.focusScore} < threshold ${autoThreshold}`);
     return INTERVENTIONS.SMART_RECOMMEND;
   }
 
-  // Otherwise use bandit to select best intervention
-  return selectArmUCB(policy, true);
+  // Otherwise use bandit to select the best of this rung for this context
+  // (rungs without bandit arms, e.g. just the Viola popup, take their first intervention)
+  return selectArmUCB(policy, { contextKey: context.key, isEligible: (name) => candidates.includes(name) }) ||
+    candidates[0];
 }
 
+// ============================================================
+// Escalation Ladder
+// ============================================================
+// Each evaluated intervention that didn't lift focus moves the session one rung up;
+// one that worked steps back down. Idle for longer than the window = back to the bottom.
+// Users can edit the ladder (settings.escalationLadder); unknown intervention ids are ignored.
+
+// Rungs come from the registry (each intervention's `rung` and `rungLabel`), so a newly
+// registered intervention is on the default ladder without editing it here.
+
 /**
- * Get escalation level based on recent interventions
+ * The default ladder: registered interventions grouped by rung, gentlest first
  */
-export function getEscalationLevel(state) {
-  const recentInterventions = state.history
-    .filter(h => h.intervention && (Date.now() - h.timestamp) < 300000) // Last 5 min
-    .length;
+export function getDefaultEscalationLadder() {
+  const rungs = new Map();
+  for (const intervention of listInterventions()) {
+    if (intervention.silent || intervention.rung == null) continue;
+    if (!rungs.has(intervention.rung)) rungs.set(intervention.rung, []);
+    rungs.get(intervention.rung).push(intervention);
+  }
 
-  if (recentInterventions >= 4) return 'high';
-  if (recentInterventions >= 2) return 'medium';
-  return 'low';
+  return [...rungs.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([, interventions]) => ({
+      label: interventions.find((i) => i.rungLabel)?.rungLabel || interventions.map((i) => i.label).join(' / '),
+      interventions: interventions.map((i) => i.id),
+    }));
+}
+
+const DEFAULT_ESCALATION_WINDOW_MIN = 10;
+
+/**
+ * Fresh ladder position for session state
+ */
+export function createEscalation() {
+  return { level: 0, updatedAt: null, failures: 0, successes: 0 };
+}
+
+/**
+ * The configured ladder, without empty rungs
+ */
+export function getEscalationLadder(settings = {}) {
+  const defaults = getDefaultEscalationLadder();
+  const ladder = (Array.isArray(settings.escalationLadder) ? settings.escalationLadder : defaults)
+    .map((rung) => ({
+      label: rung.label || '',
+      interventions: (rung.interventions || []).filter((id) => getIntervention(id)),
+    }))
+    .filter((rung) => rung.interventions.length);
+  return ladder.length ? ladder : defaults;
+}
+
+/**
+ * Where the session is on the escalation ladder
+ * @returns {{ level, maxLevel, rung: { label, interventions } }}
+ */
+export function getEscalationLevel(state, now = Date.now()) {
+  const ladder = getEscalationLadder(state.settings);
+  const escalation = state.session?.escalation || createEscalation();
+  const windowMs = (state.settings?.escalationWindowMin ?? DEFAULT_ESCALATION_WINDOW_MIN) * 60_000;
+
+  const expired = escalation.updatedAt && now - escalation.updatedAt > windowMs;
+  const level = expired ? 0 : Math.min(escalation.level || 0, ladder.length - 1);
+
+  return { level, maxLevel: ladder.length - 1, rung: ladder[level] };
+}
+
+/**
+ * Eligible interventions on the current rung; if none can run (e.g. no music),
+ * the nearest rung below, then above
+ */
+function getRungCandidates(state, eligible) {
+  const ladder = getEscalationLadder(state.settings);
+  const { level } = getEscalationLevel(state);
+
+  const below = Array.from({ length: level + 1 }, (_, i) => level - i);
+  const above = Array.from({ length: ladder.length - level - 1 }, (_, i) => level + 1 + i);
+  for (const i of [...below, ...above]) {
+    const candidates = ladder[i].interventions.filter(eligible);
+    if (candidates.length) return candidates;
+  }
+  return [];
 }
 
 /**
- * Update bandit arm after observing outcome
- * Uses incremental mean update
+ * Move up a rung after a failed intervention, down after one that worked
+ * Mutates state.session.escalation; returns the new level
  */
-export function updateBanditArm(policy, armName, reward) {
-  const arm = policy.arms[armName];
-  if (!arm) return policy;
+export function updateEscalation(state, success, now = Date.now()) {
+  const { level, maxLevel } = getEscalationLevel(state, now);
+  const escalation = state.session.escalation || createEscalation();
+
+  state.session.escalation = {
+    level: success ? Math.max(0, level - 1) : Math.min(maxLevel, level + 1),
+    updatedAt: now,
+    failures: escalation.failures + (success ? 0 : 1),
+    successes: escalation.successes + (success ? 1 : 0),
+  };
 
-  // Incremental mean: new_mean = old_mean + (reward - old_mean) / n
-  arm.n += 1;
+  return state.session.escalation.level;
+}
+
+// ============================================================
+// Non-stationary Learning
+// ============================================================
+// Arm values are exponentially discounted means: each pull first shrinks the
+// arm's effective pull count by `decay`, so old outcomes fade and the value keeps
+// tracking the user's habits (decay 1 = plain mean). Every evaluated outcome is
+// also kept in policy.rewardHistory so estimates can be rebuilt when old rewards
+// are forgotten, and so the options page can chart effectiveness over time.
+
+export const DEFAULT_BANDIT_DECAY = 0.95;   // effective memory of ~20 pulls per arm
+const REWARD_HISTORY_MAX = 200;             // outcomes kept per arm
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function discountedUpdate(arm, reward, decay) {
+  arm.n = arm.n * decay + 1;
   arm.value = arm.value + (reward - arm.value) / arm.n;
+}
+
+/**
+ * Update bandit arm after observing outcome, on the global arm and (if given) the context's arm
+ * @param {number} options.decay - discount per pull (settings.banditDecay)
+ * @param {number} options.delta - focus delta behind the reward, stored in the reward history
+ * @param {boolean} options.record - false when replaying history
+ */
+export function updateBanditArm(policy, armName, reward, contextKey = null, options = {}) {
+  const { decay = DEFAULT_BANDIT_DECAY, delta = null, now = Date.now(), record = true } = options;
+  const defaultArm = getDefaultArms()[armName];
+  const arm = policy.arms[armName] || (defaultArm && (policy.arms[armName] = defaultArm));
+  if (!arm) return policy;   // not a bandit arm (e.g. VIOLA_POPUP)
+
+  discountedUpdate(arm, reward, decay);
+
+  if (contextKey) {
+    policy.contexts = policy.contexts || {};
+    const context = policy.contexts[contextKey] || (policy.contexts[contextKey] = { arms: {} });
+    const contextArm = context.arms[armName] || (context.arms[armName] = { value: 0, n: 0 });
+    discountedUpdate(contextArm, reward, decay);
+    context.updatedAt = now;
+  }
+
+  if (record) {
+    recordReward(policy, armName, { timestamp: now, context: contextKey, delta, reward });
+  }
 
   return policy;
 }
 
+function recordReward(policy, armName, entry) {
+  policy.rewardHistory = policy.rewardHistory || {};
+  const history = policy.rewardHistory[armName] || (policy.rewardHistory[armName] = []);
+  history.push(entry);
+  if (history.length > REWARD_HISTORY_MAX) {
+    policy.rewardHistory[armName] = history.slice(-REWARD_HISTORY_MAX);
+  }
+}
+
+// ============================================================
+// Counterfactual Baseline (hold-out)
+// ============================================================
+// Focus often recovers on its own, so now and then (settings.holdOutRate) we pick
+// HOLD_OUT, which does nothing but is logged and evaluated like any intervention.
+// Its focus deltas form the baseline; arms are rewarded for beating it.
+
+export const DEFAULT_HOLD_OUT_RATE = 0.1;
+const MIN_HOLD_OUT_SAMPLES = 3;   // raw deltas are used until the baseline has this many
+
+function updateHoldOutBaseline(policy, delta, decay) {
+  const baseline = policy.holdOut || (policy.holdOut = { meanDelta: 0, n: 0, samples: 0 });
+  baseline.n = baseline.n * decay + 1;
+  baseline.meanDelta = baseline.meanDelta + (delta - baseline.meanDelta) / baseline.n;
+  baseline.samples += 1;
+}
+
+/**
+ * Focus change expected with no intervention (0 until enough hold-outs)
+ */
+export function getBaselineDelta(policy) {
+  return policy.holdOut?.samples >= MIN_HOLD_OUT_SAMPLES ? policy.holdOut.meanDelta : 0;
+}
+
+/**
+ * Average focus change per intervention vs. the hold-out (from the reward history)
+ */
+export function getHoldOutReport(policy) {
+  const summarize = (history = []) => ({
+    samples: history.length,
+    avgDelta: history.length ? history.reduce((sum, entry) => sum + (entry.delta || 0), 0) / history.length : null,
+  });
+
+  const holdOut = summarize(policy.rewardHistory?.[INTERVENTIONS.HOLD_OUT]);
+  const arms = Object.entries(policy.rewardHistory || {})
+    .filter(([name]) => name !== INTERVENTIONS.HOLD_OUT)
+    .map(([name, history]) => {
+      const summary = summarize(history);
+      return {
+        name,
+        ...summary,
+        lift: summary.avgDelta !== null && holdOut.avgDelta !== null ? summary.avgDelta - holdOut.avgDelta : null,
+      };
+    })
+    .sort((a, b) => (b.lift ?? -Infinity) - (a.lift ?? -Infinity));
+
+  return { holdOut, baselineDelta: getBaselineDelta(policy), arms };
+}
+
+
+/**
+ * Drop rewards older than `forgetDays` and rebuild the arms from what's left
+ * Arms restart from `defaultArms` (the untrained priors). No-op when forgetDays is 0/unset.
+ * @returns {boolean} whether anything was forgotten
+ */
+export function forgetOldRewards(policy, defaultArms, forgetDays, decay = DEFAULT_BANDIT_DECAY, now = Date.now()) {
+  if (!(forgetDays > 0) || !policy.rewardHistory) return false;
+
+  const cutoff = now - forgetDays * DAY_MS;
+  const expired = Object.values(policy.rewardHistory).some((history) => history[0]?.timestamp < cutoff);
+  if (!expired) return false;
+
+  const remaining = [];
+  for (const [arm, history] of Object.entries(policy.rewardHistory)) {
+    policy.rewardHistory[arm] = history.filter((entry) => entry.timestamp >= cutoff);
+    remaining.push(...policy.rewardHistory[arm].map((entry) => ({ arm, ...entry })));
+  }
+
+  policy.arms = structuredClone(defaultArms);
+  policy.contexts = {};
+  policy.holdOut = { meanDelta: 0, n: 0, samples: 0 };
+  remaining.sort((a, b) => a.timestamp - b.timestamp);
+  for (const { arm, timestamp, context, delta, reward } of remaining) {
+    if (arm === INTERVENTIONS.HOLD_OUT) {
+      updateHoldOutBaseline(policy, delta || 0, decay);
+    } else {
+      updateBanditArm(policy, arm, reward, context, { decay, now: timestamp, record: false });
+    }
+  }
+
+  console.log(`[Bandit] Forgot rewards older than ${forgetDays} days, replayed ${remaining.length}`);
+  return true;
+}
+
+/**
+ * Average reward per arm per period (for effectiveness-over-time charts)
+ * @returns {{ [arm]: Array<{ periodStart, avgReward, avgDelta, count }> }}
+ */
+export function getArmTrends(policy, periodDays = 7) {
+  const periodMs = periodDays * DAY_MS;
+  const trends = {};
+
+  for (const [arm, history] of Object.entries(policy.rewardHistory || {})) {
+    const periods = new Map();
+    for (const { timestamp, reward, delta } of history) {
+      const periodStart = Math.floor(timestamp / periodMs) * periodMs;
+      const period = periods.get(periodStart) || { periodStart, rewardSum: 0, deltaSum: 0, count: 0 };
+      period.rewardSum += reward;
+      period.deltaSum += delta || 0;
+      period.count += 1;
+      periods.set(periodStart, period);
+    }
+    trends[arm] = [...periods.values()]
+      .sort((a, b) => a.periodStart - b.periodStart)
+      .map(({ periodStart, rewardSum, deltaSum, count }) => ({
+        periodStart,
+        avgReward: rewardSum / count,
+        avgDelta: deltaSum / count,
+        count,
+      }));
+  }
+
+  return trends;
+}
+
+/**
+ * Per-context arm stats for debugging (most-used contexts first)
+ * Each arm shows its raw context stats and the blended estimate the bandit acts on
+ */
+export function getContextStats(policy) {
+  return Object.entries(policy.contexts || {})
+    .map(([key, { arms, updatedAt }]) => {
+      const [category, mode, hourBucket, pomodoroPhase] = key.split('|');
+      const blended = getContextArms(policy, key);
+      return {
+        key,
+        category,
+        mode,
+        hourBucket,
+        pomodoroPhase,
+        updatedAt,
+        pulls: Object.values(arms).reduce((sum, arm) => sum + arm.n, 0),
+        arms: Object.entries(blended).map(([name, estimate]) => ({
+          name,
+          value: estimate.value,
+          contextValue: arms[name]?.value ?? null,
+          contextN: arms[name]?.n || 0,
+        })).sort((a, b) => b.value - a.value),
+      };
+    })
+    .sort((a, b) => b.pulls - a.pulls);
+}
+
 /**
  * Convert focus delta to reward (0-1 scale)
  * delta of -15 = 0, delta of +15 = 1
@@ -214,15 +552,32 @@ export function evaluateIntervention(state, currentScore) {
   }
 
   const delta = currentScore - lastIntervention.preScore;
-  const reward = deltaToReward(delta);
-
-  const updatedPolicy = updateBanditArm(policy, lastIntervention.type, reward);
+  const decay = state.settings?.banditDecay ?? DEFAULT_BANDIT_DECAY;
+  const holdOut = lastIntervention.type === INTERVENTIONS.HOLD_OUT;
+
+  // Hold-outs feed the baseline; real interventions are rewarded for beating it
+  let reward;
+  if (holdOut) {
+    reward = deltaToReward(delta);
+    updateHoldOutBaseline(policy, delta, decay);
+    recordReward(policy, INTERVENTIONS.HOLD_OUT, {
+      timestamp: Date.now(),
+      context: lastIntervention.context,
+      delta,
+      reward,
+    });
+  } else {
+    reward = deltaToReward(delta - getBaselineDelta(policy));
+    updateBanditArm(policy, lastIntervention.type, reward, lastIntervention.context, { decay, delta });
+  }
+  forgetOldRewards(policy, getDefaultArms(), state.settings?.banditForgetDays, decay);
 
   return {
     evaluated: true,
     delta,
     reward,
-    policy: updatedPolicy,
+    holdOut,
+    policy,
     interventionType: lastIntervention.type,
   };
 }
@@ -231,18 +586,5 @@ export function evaluateIntervention(state, currentScore) {
  * Get intervention intensity description (for UI)
  */
 export function getInterventionDescription(type) {
-  switch (type) {
-    case INTERVENTIONS.BOOST_ENERGY:
-      return 'Boosting music energy';
-    case INTERVENTIONS.SWITCH_PLAYLIST:
-      return 'Switching to focus playlist';
-    case INTERVENTIONS.PATTERN_BREAK:
-      return 'Pattern break audio cue';
-    case INTERVENTIONS.SMART_RECOMMEND:
-      return 'Playing AI-recommended track';
-    case INTERVENTIONS.NUCLEAR:
-      return 'WAKE UP! (Doomscroll detected)';
-    default:
-      return 'Adjusting music';
-  }
+  return getIntervention(type)?.description || 'Adjusting music';
 }
@@ -0,0 +1,93 @@
+// Doomscroll Detector - infinite-feed scrolling that should set off the alarm
+// Combines three signals: the URL is a feed (site rules), the user is scrolling it
+// fast (velocity from activity_tracker.js) and has kept at it (dwell time).
+// Its state lives in session.doomscroll, so a service worker restart doesn't reset it
+
+import { matchDoomscroll } from './site_rules.js';
+
+const ALARM_COOLDOWN_MS = 30000;   // between doomscroll alarms
+const SCROLL_GRACE_MS = 15000;     // a pause shorter than this still counts as scrolling
+const MAX_STEP_MS = 20000;         // longest gap credited at once (e.g. after the worker slept)
+const VELOCITY_SMOOTHING = 0.5;    // EMA weight of the newest velocity sample
+
+/**
+ * Per-mode defaults; `threshold: null` falls back to settings.doomscrollThreshold
+ * minVelocity is in pixels per second (a slow read is ~30, flicking through a feed 300+)
+ */
+export const DEFAULT_DOOMSCROLL_MODES = {
+  gentle: { threshold: 30, minVelocity: 250, sites: [] },
+  normal: { threshold: null, minVelocity: 150, sites: [] },
+  strict: { threshold: 10, minVelocity: 80, sites: [] },
+};
+
+/**
+ * Fresh detector state (reset at session start)
+ */
+export function createDoomscrollState() {
+  return {
+    dwellMs: 0,              // time spent scrolling a feed, decays when off it
+    velocity: 0,             // smoothed scroll velocity (px/s)
+    lastUpdate: null,
+    lastAlarmAt: 0,
+    active: false,           // on a feed and scrolling fast right now
+    site: null,              // explanation of the feed rule that matched
+  };
+}
+
+/**
+ * Effective detector config for a mode
+ * @returns {{ threshold: number, minVelocity: number, sites: string[] }} threshold in seconds
+ */
+export function getDoomscrollConfig(settings = {}, mode = 'normal') {
+  const defaults = DEFAULT_DOOMSCROLL_MODES[mode] || DEFAULT_DOOMSCROLL_MODES.normal;
+  const custom = settings.doomscrollModes?.[mode] || {};
+
+  return {
+    threshold: custom.threshold ?? defaults.threshold ?? settings.doomscrollThreshold ?? 15,
+    minVelocity: custom.minVelocity ?? defaults.minVelocity,
+    sites: [...(settings.customDoomscrollSites || []), ...(custom.sites || defaults.sites)],
+  };
+}
+
+/**
+ * Advance the detector to `now`
+ * Runs inside a transaction; the caller plays the alarm it asks for
+ * @param {object} state - full state (reads signals/settings/session, writes session.doomscroll)
+ * @param {string} url - active tab URL
+ * @returns {{ alarm: boolean, nuclear: boolean, site: string|null }}
+ */
+export function updateDoomscroll(state, url, now = Date.now()) {
+  const detector = state.session.doomscroll || (state.session.doomscroll = createDoomscrollState());
+  const config = getDoomscrollConfig(state.settings, state.session.mode);
+
+  const elapsed = detector.lastUpdate ? Math.min(Math.max(0, now - detector.lastUpdate), MAX_STEP_MS) : 0;
+  detector.lastUpdate = now;
+
+  // URL: is this a feed in this mode?
+  const rule = url ? matchDoomscroll(url, { ...state.settings, customDoomscrollSites: config.sites }) : null;
+
+  // Velocity: recent, fast scrolling
+  const recentScroll = now - (state.signals.lastScroll || 0) < SCROLL_GRACE_MS;
+  const sample = recentScroll ? (state.signals.scrollVelocity || 0) : 0;
+  detector.velocity = detector.velocity * (1 - VELOCITY_SMOOTHING) + sample * VELOCITY_SMOOTHING;
+
+  // Dwell: accumulate while both hold, decay twice as fast otherwise
+  detector.active = !!rule && detector.velocity >= config.minVelocity;
+  detector.site = rule?.explanation || null;
+  detector.dwellMs = detector.active
+    ? detector.dwellMs + elapsed
+    : Math.max(0, detector.dwellMs - elapsed * 2);
+
+  const thresholdMs = config.threshold * 1000;
+  if (!detector.active || detector.dwellMs < thresholdMs || now - detector.lastAlarmAt <= ALARM_COOLDOWN_MS) {
+    return { alarm: false, nuclear: false, site: detector.site };
+  }
+
+  // Repeat offenders (still going at twice the threshold) get the nuclear option if enabled
+  const nuclear = !!state.settings.nuclearEnabled && detector.dwellMs > thresholdMs * 2;
+  detector.lastAlarmAt = now;
+  // Back to the threshold, so the next alarm comes sooner if they keep going
+  detector.dwellMs = thresholdMs;
+
+  return { alarm: true, nuclear, site: detector.site };
+}
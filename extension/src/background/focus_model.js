@@ -1,36 +1,69 @@
 // Focus score computation - multi-signal model
-// Incorporates: tab switches, site categories, mouse/keyboard activity, scrolling
+// Incorporates: tab switches, site categories, mouse/keyboard activity, scrolling, vision
+// Signal weights/thresholds/curves come from a model definition (settings.focusModel)
+// Once a personal baseline is calibrated (baseline.js), rhythm signals judge deviations from it
 
-import { categorizeSite, getCategoryPenalty } from './storage.js';
+import { categorizeSite, getCategoryPenalty, mergeDefaults, CATEGORY_MULTIPLIERS } from './storage.js';
 
 const WINDOW_MS = 60_000; // 60 second rolling window
 const EMA_ALPHA = 0.3;    // smoothing factor for trend
+export const VISION_STALE_MS = 15_000; // no vision signal for this long = camera stopped or closed
 
 // ============================================================
-// Mode-specific thresholds
+// Focus Model Definition
 // ============================================================
-
-const MODE_CONFIG = {
-  gentle: {
-    tabSwitchThreshold: 15,    // switches before max penalty
-    idleThresholdMs: 45_000,   // 45s before idle penalty
-    typingBonus: 0.1,          // bonus for active typing
-    baseScore: 100,
-  },
-  normal: {
-    tabSwitchThreshold: 10,
-    idleThresholdMs: 30_000,
-    typingBonus: 0.15,
-    baseScore: 100,
+// Every signal has a weight (max points), optional threshold/saturation and a curve.
+// Numeric params may be a single value or per-mode: { gentle, normal, strict }.
+// Users override any part of this via settings.focusModel (deep-merged over the defaults).
+
+const BAD_CATEGORIES = ['socialMedia', 'entertainment', 'games', 'blocked'];
+
+export const DEFAULT_FOCUS_MODEL = {
+  baseScore: 100,
+  categoryMultipliers: CATEGORY_MULTIPLIERS,
+  signals: {
+    tabSwitch: {
+      enabled: true,
+      weight: 35,
+      saturation: { gentle: 15, normal: 10, strict: 5 },  // switches/min for max penalty
+      curve: 'linear',
+    },
+    badSite: { enabled: true, weight: 50, curve: 'linear' },    // scaled by category multiplier
+    goodSite: { enabled: true, weight: 20, curve: 'linear' },
+    idle: {
+      enabled: true,
+      weight: 20,
+      threshold: { gentle: 45_000, normal: 30_000, strict: 20_000 },  // ms before idle penalty
+      range: 60_000,                                                 // ms past threshold for max
+      curve: 'linear',
+    },
+    typing: { enabled: true, weight: { gentle: 1.5, normal: 2.25, strict: 3 }, curve: 'linear' },
+    doomscroll: { enabled: true, weight: 25, threshold: 5, saturation: 20, curve: 'linear' },  // scrolls per report
+    feedScrolling: { enabled: true, weight: 20, threshold: 2, saturation: 6, cardMs: 4_000, curve: 'linear' },  // flicks per report
+    prolongedBadSite: { enabled: true, weight: 20, threshold: 30_000, saturation: 300_000, curve: 'linear' },
+    strictOffTask: { enabled: true, weight: { gentle: 0, normal: 0, strict: 5 }, curve: 'step' },
+    strictIdle: { enabled: true, weight: { gentle: 0, normal: 0, strict: 5 }, threshold: 10_000, curve: 'step' },
+    faceAway: { enabled: true, weight: 25, threshold: 10_000, range: 60_000, curve: 'linear' },
+    lookingAway: { enabled: true, weight: 15, threshold: 5_000, range: 30_000, curve: 'linear' },
+    phoneInHand: { enabled: true, weight: 30, threshold: 0, range: 30_000, curve: 'sqrt' },
+    otherPerson: { enabled: true, weight: 10, threshold: 10_000, range: 60_000, curve: 'linear' },
+    visuallyFocused: { enabled: true, weight: 5, threshold: 0.7, curve: 'step' },
   },
-  strict: {
-    tabSwitchThreshold: 5,     // very sensitive
-    idleThresholdMs: 20_000,   // 20s = idle
-    typingBonus: 0.2,
-    baseScore: 100,
+  baseline: {
+    allowanceSd: 1,   // std devs above the personal mean before deviations count
   },
 };
 
+/**
+ * Response curves - map a 0-1 intensity to a 0-1 share of the weight
+ */
+export const CURVES = {
+  linear: (x) => x,
+  quadratic: (x) => x * x,           // gentle at first, harsh at the end
+  sqrt: (x) => Math.sqrt(x),         // harsh early
+  step: (x) => (x > 0 ? 1 : 0),      // all or nothing
+};
+
 // ============================================================
 // Utility Functions
 // ============================================================
@@ -43,150 +76,317 @@ function clamp(x, min, max) {
   return Math.max(min, Math.min(max, x));
 }
 
+/**
+ * Is vision on and still reporting? Stale vision is ignored, not penalized
+ */
+export function isVisionFresh(vision, now = Date.now()) {
+  return !!vision?.enabled && now - (vision.lastSignalAt || 0) < VISION_STALE_MS;
+}
+
+/**
+ * The only parts of a VISION_SIGNAL the extension keeps: booleans and durations.
+ * Anything else a sender attaches (a frame, a landmark list) is dropped here,
+ * so no image data can reach storage or the dashboard
+ */
+export function sanitizeVisionSignal(message) {
+  const ms = (value) => (Number.isFinite(value) && value > 0 ? value : 0);
+  return {
+    facePresent: message.facePresent === true,
+    lookingAway: message.lookingAway === true,
+    attentionScore: Number.isFinite(message.attentionScore) ? Math.max(0, Math.min(1, message.attentionScore)) : 0,
+    faceMissingMs: ms(message.faceMissingMs),
+    lookingAwayMs: ms(message.lookingAwayMs),
+    phoneVisible: message.phoneVisible === true,
+    phoneInHand: message.phoneInHand === true,
+    phoneMs: ms(message.phoneMs),
+    otherPerson: message.otherPerson === true,
+    otherPersonMs: ms(message.otherPersonMs),
+  };
+}
+
 export function pruneTimestamps(arr, now) {
   const cutoff = now - WINDOW_MS;
   return arr.filter((t) => t > cutoff);
 }
 
+/**
+ * Resolve a model param that may be per-mode
+ */
+function forMode(value, mode) {
+  if (value && typeof value === 'object') {
+    return value[mode] ?? value.normal ?? 0;
+  }
+  return value;
+}
+
+// ============================================================
+// Signal Registry
+// ============================================================
+// A signal's compute(ctx, params) returns its intensity (0-1), or
+// { intensity, ...extra } to attach extra fields to the penalty/bonus entry.
+// Return 0/null when the signal doesn't apply. ctx.baseline is the user's
+// calibrated rhythm ({ tabSwitchRate, typingCadence, idleGapMs } as { mean, sd }) or null.
+
+const SIGNALS = new Map();
+
+/**
+ * Register (or replace) a focus signal
+ * @param {string} id - entry type in penalties/bonuses, and key in model.signals
+ * @param {'penalty'|'bonus'} kind
+ * @param {Function} compute - (ctx, params) => intensity
+ * @param {object} defaults - default params (weight, threshold, curve, ...)
+ * @param {string} label - shown in the options editor
+ */
+export function registerFocusSignal(id, { kind = 'penalty', compute, defaults = {}, label = id }) {
+  SIGNALS.set(id, { id, kind, compute, defaults: { enabled: true, curve: 'linear', ...defaults }, label });
+}
+
+export function listFocusSignals() {
+  return [...SIGNALS.values()].map(({ id, kind, label }) => ({ id, kind, label }));
+}
+
+// ─────────────────────────────────────────────────────────
+// 1. TAB SWITCHING PENALTY
+// ─────────────────────────────────────────────────────────
+// With a baseline, only switching above the user's usual rate counts
+registerFocusSignal('tabSwitch', {
+  label: 'Tab switching',
+  compute: (ctx, p) => {
+    const usual = ctx.baseline
+      ? ctx.baseline.tabSwitchRate.mean + ctx.allowanceSd * ctx.baseline.tabSwitchRate.sd
+      : 0;
+    return Math.max(0, ctx.switchRate - usual) / p.saturation;
+  },
+});
+
+// ─────────────────────────────────────────────────────────
+// 2. SITE CATEGORY PENALTY/BONUS
+// ─────────────────────────────────────────────────────────
+registerFocusSignal('badSite', {
+  label: 'Unproductive site',
+  compute: (ctx) => ctx.categoryMultiplier < 0
+    ? { intensity: Math.abs(ctx.categoryMultiplier), category: ctx.currentCategory }
+    : 0,
+});
+
+registerFocusSignal('goodSite', {
+  kind: 'bonus',
+  label: 'Productive site',
+  compute: (ctx) => ctx.categoryMultiplier > 0
+    ? { intensity: ctx.categoryMultiplier, category: ctx.currentCategory }
+    : 0,
+});
+
+// ─────────────────────────────────────────────────────────
+// 3. IDLE PENALTY (no mouse/keyboard activity)
+// ─────────────────────────────────────────────────────────
+// With a baseline, the threshold stretches to the user's usual gaps between inputs.
+// Reading on a productive site isn't idle, and neither is input Chrome saw outside
+// the page (signals.systemIdle, from chrome.idle)
+registerFocusSignal('idle', {
+  label: 'Idle',
+  compute: (ctx, p) => {
+    if (ctx.isReading || !ctx.idleConfirmed) return 0;
+    const threshold = ctx.baseline
+      ? Math.max(p.threshold, ctx.baseline.idleGapMs.mean + ctx.allowanceSd * ctx.baseline.idleGapMs.sd)
+      : p.threshold;
+    return ctx.idleMs > threshold ? (ctx.idleMs - threshold) / p.range : 0;
+  },
+});
+
+// ─────────────────────────────────────────────────────────
+// 4. ACTIVE TYPING BONUS
+// ─────────────────────────────────────────────────────────
+// With a baseline, typing at the user's usual cadence earns the full bonus
+registerFocusSignal('typing', {
+  kind: 'bonus',
+  label: 'Active typing',
+  compute: (ctx) => {
+    const cadence = ctx.baseline?.typingCadence.mean;
+    if (cadence > 0) return (ctx.signals.keyPressCount || 0) / cadence;
+    return ctx.signals.isActivelyTyping ? 1 : 0;
+  },
+});
+
+// ─────────────────────────────────────────────────────────
+// 5. DOOMSCROLLING PENALTY
+// ─────────────────────────────────────────────────────────
+// Scrolling on a bad site = doomscrolling
+registerFocusSignal('doomscroll', {
+  label: 'Doomscrolling',
+  compute: (ctx, p) => ctx.isBadSite && ctx.signals.scrollCount > p.threshold
+    ? ctx.signals.scrollCount / p.saturation
+    : 0,
+});
+
+// Flicking through an infinite feed = doomscrolling, whatever the site
+// (bad sites are already covered above). Lingering on each item reads, not skims
+registerFocusSignal('feedScrolling', {
+  label: 'Flicking through a feed',
+  compute: (ctx, p) => {
+    const { isInfiniteFeed, flickCount = 0, msPerCard } = ctx.signals;
+    if (ctx.isBadSite || !isInfiniteFeed || flickCount < p.threshold) return 0;
+    if (msPerCard > p.cardMs) return 0;
+    return { intensity: flickCount / p.saturation, msPerCard };
+  },
+});
+
+// ─────────────────────────────────────────────────────────
+// 6. PROLONGED BAD SITE PENALTY
+// ─────────────────────────────────────────────────────────
+// Extra penalty for spending lots of time on bad sites
+registerFocusSignal('prolongedBadSite', {
+  label: 'Time on bad sites',
+  compute: (ctx, p) => ctx.badSiteTimeMs > p.threshold ? ctx.badSiteTimeMs / p.saturation : 0,
+});
+
+// ─────────────────────────────────────────────────────────
+// 7. STRICT MODE: EXTRA PENALTIES (weight 0 in other modes)
+// ─────────────────────────────────────────────────────────
+// Any non-productive site gets a small penalty
+registerFocusSignal('strictOffTask', {
+  label: 'Not on a productive site',
+  compute: (ctx) => (ctx.currentCategory !== 'productive' ? 1 : 0),
+});
+
+// Mouse not moving but not typing = distracted?
+registerFocusSignal('strictIdle', {
+  label: 'Not typing, mouse still',
+  compute: (ctx, p) => (!ctx.signals.isActivelyTyping && !ctx.isReading && ctx.idleConfirmed && ctx.idleMs > p.threshold ? 1 : 0),
+});
+
+// ─────────────────────────────────────────────────────────
+// 8. VISION-BASED PENALTIES (from webcam detection)
+// ─────────────────────────────────────────────────────────
+// Face missing penalty - gradually increases after the threshold
+registerFocusSignal('faceAway', {
+  label: 'Away from screen',
+  compute: ({ vision }, p) => vision.enabled && !vision.facePresent && vision.faceMissingMs > p.threshold
+    ? (vision.faceMissingMs - p.threshold) / p.range
+    : 0,
+});
+
+registerFocusSignal('lookingAway', {
+  label: 'Looking away',
+  compute: ({ vision }, p) => vision.enabled && vision.lookingAway && vision.lookingAwayMs > p.threshold
+    ? (vision.lookingAwayMs - p.threshold) / p.range
+    : 0,
+});
+
+// Phone in hand (camera object detection) - harsh early, it's the usual way out
+registerFocusSignal('phoneInHand', {
+  label: 'Phone in hand',
+  compute: ({ vision }, p) => vision.enabled && vision.phoneInHand && vision.phoneMs > p.threshold
+    ? (vision.phoneMs - p.threshold) / p.range
+    : 0,
+});
+
+// Someone else in frame for a while (a chat, not a passer-by)
+registerFocusSignal('otherPerson', {
+  label: 'Someone else in frame',
+  compute: ({ vision }, p) => vision.enabled && vision.otherPerson && vision.otherPersonMs > p.threshold
+    ? (vision.otherPersonMs - p.threshold) / p.range
+    : 0,
+});
+
+// Bonus for being visually focused
+registerFocusSignal('visuallyFocused', {
+  kind: 'bonus',
+  label: 'Visually focused',
+  compute: ({ vision }, p) => (
+    vision.enabled && vision.facePresent && !vision.lookingAway && vision.attentionScore > p.threshold ? 1 : 0
+  ),
+});
+
 // ============================================================
 // Focus Score Computation
 // ============================================================
 
+/**
+ * The effective model: defaults with settings.focusModel overrides on top
+ */
+export function resolveFocusModel(settings = {}) {
+  return mergeDefaults(DEFAULT_FOCUS_MODEL, settings.focusModel);
+}
+
 /**
  * Compute focus score from all signals
  * Returns 0-100 where 100 = fully focused
+ * @param {object} options.model - model definition (defaults to settings.focusModel)
+ * @param {object} options.baseline - calibrated personal baseline (see getActiveBaseline)
  */
-export function computeFocusScore(signals, settings, mode = 'normal') {
+export function computeFocusScore(signals, settings = {}, mode = 'normal', options = {}) {
+  const { model = resolveFocusModel(settings), baseline = null } = options;
   const now = Date.now();
-  const config = MODE_CONFIG[mode] || MODE_CONFIG.normal;
 
-  let score = config.baseScore;
+  let score = model.baseScore;
   const penalties = [];
   const bonuses = [];
 
-  // ─────────────────────────────────────────────────────────
-  // 1. TAB SWITCHING PENALTY
-  // ─────────────────────────────────────────────────────────
-  const recentSwitches = pruneTimestamps(signals.tabSwitches || [], now);
-  const switchRate = recentSwitches.length;
-  const tabPenalty = clamp01(switchRate / config.tabSwitchThreshold) * 35;
-  score -= tabPenalty;
-  if (tabPenalty > 0) penalties.push({ type: 'tabSwitch', value: tabPenalty });
-
-  // ─────────────────────────────────────────────────────────
-  // 2. SITE CATEGORY PENALTY/BONUS
-  // ─────────────────────────────────────────────────────────
+  // Shared inputs for signal functions
   const currentCategory = signals.currentCategory || 'neutral';
-  const categoryMultiplier = getCategoryPenalty(currentCategory, mode);
-
-  if (categoryMultiplier < 0) {
-    // Penalty - scale by how bad the category is
-    const sitePenalty = Math.abs(categoryMultiplier) * 50;
-    score -= sitePenalty;
-    penalties.push({ type: 'badSite', category: currentCategory, value: sitePenalty });
-  } else if (categoryMultiplier > 0) {
-    // Bonus for productive sites
-    const siteBonus = categoryMultiplier * 20;
-    score += siteBonus;
-    bonuses.push({ type: 'goodSite', category: currentCategory, value: siteBonus });
-  }
 
-  // ─────────────────────────────────────────────────────────
-  // 3. IDLE PENALTY (no mouse/keyboard activity)
-  // ─────────────────────────────────────────────────────────
   const lastActivity = Math.max(
     signals.lastMouseMove || 0,
     signals.lastKeyPress || 0
   );
-  const idleMs = lastActivity > 0 ? now - lastActivity : 0;
-
-  if (idleMs > config.idleThresholdMs) {
-    const idlePenalty = clamp01((idleMs - config.idleThresholdMs) / 60_000) * 20;
-    score -= idlePenalty;
-    penalties.push({ type: 'idle', value: idlePenalty });
-  }
-
-  // ─────────────────────────────────────────────────────────
-  // 4. ACTIVE TYPING BONUS
-  // ─────────────────────────────────────────────────────────
-  if (signals.isActivelyTyping) {
-    const typingBonus = config.typingBonus * 15;
-    score += typingBonus;
-    bonuses.push({ type: 'typing', value: typingBonus });
-  }
-
-  // ─────────────────────────────────────────────────────────
-  // 5. DOOMSCROLLING PENALTY
-  // ─────────────────────────────────────────────────────────
-  // Scrolling on a bad site = doomscrolling
-  const isBadSite = ['socialMedia', 'entertainment', 'games', 'blocked'].includes(currentCategory);
 
-  if (isBadSite && signals.scrollCount > 5) {
-    const doomPenalty = clamp01(signals.scrollCount / 20) * 25;
-    score -= doomPenalty;
-    penalties.push({ type: 'doomscroll', value: doomPenalty });
-  }
-
-  // ─────────────────────────────────────────────────────────
-  // 6. PROLONGED BAD SITE PENALTY
-  // ─────────────────────────────────────────────────────────
-  // Extra penalty for spending lots of time on bad sites
-  const siteTime = signals.siteTime || {};
   let badSiteTimeMs = 0;
-
-  for (const [hostname, data] of Object.entries(siteTime)) {
-    const cat = data.category;
-    if (['socialMedia', 'entertainment', 'games', 'blocked'].includes(cat)) {
+  for (const data of Object.values(signals.siteTime || {})) {
+    if (BAD_CATEGORIES.includes(data.category)) {
       badSiteTimeMs += data.totalMs || 0;
     }
   }
 
-  if (badSiteTimeMs > 30_000) { // More than 30s on bad sites
-    const prolongedPenalty = clamp01(badSiteTimeMs / 300_000) * 20; // Max at 5 min
-    score -= prolongedPenalty;
-    penalties.push({ type: 'prolongedBadSite', value: prolongedPenalty });
-  }
-
-  // ─────────────────────────────────────────────────────────
-  // 7. STRICT MODE: EXTRA PENALTIES
-  // ─────────────────────────────────────────────────────────
-  if (mode === 'strict') {
-    // Any non-productive site gets a small penalty
-    if (currentCategory !== 'productive') {
-      score -= 5;
-    }
+  const categoryMultiplier = getCategoryPenalty(currentCategory, mode, model.categoryMultipliers);
+  const ctx = {
+    signals,
+    settings,
+    mode,
+    now,
+    currentCategory,
+    categoryMultiplier,
+    isBadSite: BAD_CATEGORIES.includes(currentCategory),
+    switchRate: pruneTimestamps(signals.tabSwitches || [], now).length,
+    idleMs: lastActivity > 0 ? now - lastActivity : 0,
+    idleConfirmed: signals.systemIdle !== false,
+    isReading: !!signals.isReading && categoryMultiplier > 0,   // reading on a productive site = focused
+    badSiteTimeMs,
+    vision: isVisionFresh(signals.vision, now) ? signals.vision : {},
+    baseline,
+    allowanceSd: model.baseline?.allowanceSd ?? 1,
+  };
 
-    // Mouse not moving but not typing = distracted?
-    if (!signals.isActivelyTyping && idleMs > 10_000) {
-      score -= 5;
-    }
-  }
+  for (const signal of SIGNALS.values()) {
+    const params = { ...signal.defaults, ...model.signals?.[signal.id] };
+    if (params.enabled === false) continue;
 
-  // ─────────────────────────────────────────────────────────
-  // 8. VISION-BASED PENALTIES (from webcam detection)
-  // ─────────────────────────────────────────────────────────
-  if (signals.visionEnabled) {
-    // Face missing penalty - gradually increases
-    if (!signals.facePresent && signals.faceMissingMs > 10_000) {
-      // After 10 seconds of no face, start penalizing
-      const faceMissingPenalty = clamp01((signals.faceMissingMs - 10_000) / 60_000) * 25;
-      score -= faceMissingPenalty;
-      penalties.push({ type: 'faceAway', value: faceMissingPenalty });
+    const resolved = {};
+    for (const [key, value] of Object.entries(params)) {
+      resolved[key] = forMode(value, mode);
     }
 
-    // Looking away penalty
-    if (signals.lookingAway && signals.lookingAwayMs > 5_000) {
-      // After 5 seconds of looking away, start penalizing
-      const lookingAwayPenalty = clamp01((signals.lookingAwayMs - 5_000) / 30_000) * 15;
-      score -= lookingAwayPenalty;
-      penalties.push({ type: 'lookingAway', value: lookingAwayPenalty });
+    let result;
+    try {
+      result = signal.compute(ctx, resolved);
+    } catch (err) {
+      console.warn(`[Focus Model] Signal ${signal.id} failed:`, err);
+      continue;
     }
 
-    // Bonus for being visually focused
-    if (signals.facePresent && !signals.lookingAway && signals.visionAttentionScore > 0.7) {
-      const visionBonus = 5;
-      score += visionBonus;
-      bonuses.push({ type: 'visuallyFocused', value: visionBonus });
+    const { intensity, ...extra } = typeof result === 'object' && result !== null
+      ? result
+      : { intensity: result };
+    const curve = CURVES[resolved.curve] || CURVES.linear;
+    const value = curve(clamp01(intensity || 0)) * (resolved.weight || 0);
+    if (!(value > 0)) continue;
+
+    if (signal.kind === 'bonus') {
+      score += value;
+      bonuses.push({ type: signal.id, ...extra, value });
+    } else {
+      score -= value;
+      penalties.push({ type: signal.id, ...extra, value });
     }
   }
 
@@ -200,10 +400,12 @@ export function computeFocusScore(signals, settings, mode = 'normal') {
     penalties,
     bonuses,
     debug: {
-      switchRate,
+      switchRate: ctx.switchRate,
       currentCategory,
-      idleMs,
+      idleMs: ctx.idleMs,
+      isReading: ctx.isReading,
       badSiteTimeMs,
+      visionStale: !!signals.vision?.enabled && !isVisionFresh(signals.vision, now),
     },
   };
 }
@@ -241,24 +443,13 @@ export function computeTrendDelta(history, now) {
 
 export function isDoomscrollSite(url, settings) {
   if (!url) return false;
-  try {
-    const hostname = new URL(url).hostname;
-    const category = categorizeSite(hostname, settings);
-    return ['socialMedia', 'entertainment', 'games', 'blocked'].includes(category);
-  } catch {
-    return false;
-  }
+  const category = categorizeSite(url, settings);
+  return ['socialMedia', 'entertainment', 'games', 'blocked'].includes(category);
 }
 
 export function isProductiveSite(url, settings) {
   if (!url) return false;
-  try {
-    const hostname = new URL(url).hostname;
-    const category = categorizeSite(hostname, settings);
-    return category === 'productive';
-  } catch {
-    return false;
-  }
+  return categorizeSite(url, settings) === 'productive';
 }
 
 export { categorizeSite };
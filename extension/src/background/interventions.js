@@ -0,0 +1,241 @@
+// Intervention Registry
+// One definition per intervention: bandit arm prior, UI text, whether it needs music,
+// how to apply and reverse it, and when it's allowed
+
+/**
+ * Built-in intervention types (ordered by intensity)
+ */
+export const INTERVENTIONS = {
+  BOOST_ENERGY: 'BOOST_ENERGY',       // Skip to higher energy track
+  SWITCH_PLAYLIST: 'SWITCH_PLAYLIST', // Change to focus playlist
+  PATTERN_BREAK: 'PATTERN_BREAK',     // Short pause then resume
+  DUCK_VOLUME: 'DUCK_VOLUME',         // Lower volume to reduce distraction
+  WHITE_NOISE: 'WHITE_NOISE',         // White noise burst for attention
+  SMART_RECOMMEND: 'SMART_RECOMMEND', // AI-powered track recommendation based on BPM-focus correlation
+  VIOLA_POPUP: 'VIOLA_POPUP',         // Show Viola chatbot popup
+  CHIME: 'CHIME',                     // Soft chime from the extension itself
+  ALARM: 'ALARM',                     // Beep pattern from the extension itself
+  NUCLEAR: 'NUCLEAR',                 // Max volume blast for doomscrolling
+  HOLD_OUT: 'HOLD_OUT',               // Deliberately do nothing (counterfactual baseline)
+};
+
+// ============================================================
+// Registry
+// ============================================================
+// Hooks receive the runtime context the service worker builds for each intervention:
+// { state, settings, focusScore, isDoomscrolling, musicBackends, music, showViolaPopup, playSound }
+// where `music` is music_backends.js (so this module stays free of backend imports).
+
+const REGISTRY = new Map();
+
+/**
+ * Register (or replace) an intervention
+ * @param {string} id - intervention type, also the bandit arm name
+ * @param {string} label - short name for settings/stats
+ * @param {string} description - shown when it's applied
+ * @param {object|null} arm - bandit prior { value, n }, null if the bandit never picks it
+ * @param {boolean} requiresMusic - needs an available music backend
+ * @param {string[]} backends - music backends that implement it (all if omitted)
+ * @param {Function} isEligible - (state, ctx) => boolean, extra conditions for the bandit
+ * @param {Function} apply - (ctx) => result, defaults to the music backend's applyIntervention
+ * @param {Function} reverse - (ctx) => result, undoes a lasting effect (e.g. restores volume)
+ * @param {number} reverseAfterMs - when to run reverse after applying
+ * @param {boolean} silent - not shown to the user or offered in the escalation ladder
+ * @param {number|null} rung - default escalation rung, 0 = gentlest (see getDefaultEscalationLadder
+ *   in decision_engine.js); null keeps it off the default ladder
+ * @param {string|null} rungLabel - name for the whole rung when it groups several interventions
+ */
+export function registerIntervention(id, {
+  label = id,
+  description = label,
+  arm = null,
+  requiresMusic = true,
+  backends = null,
+  isEligible = null,
+  apply = null,
+  reverse = null,
+  reverseAfterMs = 0,
+  silent = false,
+  rung = null,
+  rungLabel = null,
+}) {
+  REGISTRY.set(id, {
+    id, label, description, arm, requiresMusic, backends, isEligible, apply, reverse, reverseAfterMs, silent, rung, rungLabel,
+  });
+}
+
+export function getIntervention(id) {
+  return REGISTRY.get(id) || null;
+}
+
+export function listInterventions() {
+  return [...REGISTRY.values()].map(({ id, label, description, arm, requiresMusic, silent, rung, rungLabel }) => ({
+    id, label, description, isArm: !!arm, requiresMusic, silent, rung, rungLabel,
+  }));
+}
+
+/**
+ * Untrained bandit arms for every registered intervention that has one
+ */
+export function getDefaultArms() {
+  const arms = {};
+  for (const { id, arm } of REGISTRY.values()) {
+    if (arm) arms[id] = { ...arm };
+  }
+  return arms;
+}
+
+/**
+ * Can this intervention run right now?
+ * ctx.musicBackends is the list of available backend ids (omit to skip music checks)
+ */
+export function isInterventionEligible(id, state, ctx = {}) {
+  const intervention = REGISTRY.get(id);
+  if (!intervention) return false;
+
+  if (ctx.musicBackends) {
+    if (intervention.requiresMusic && !ctx.musicBackends.length) return false;
+    if (intervention.backends && !intervention.backends.some((b) => ctx.musicBackends.includes(b))) return false;
+  }
+
+  return intervention.isEligible ? intervention.isEligible(state, ctx) !== false : true;
+}
+
+/**
+ * Apply an intervention
+ */
+export async function runIntervention(id, ctx) {
+  const intervention = REGISTRY.get(id);
+  if (!intervention) {
+    return { success: false, error: `Unknown intervention: ${id}` };
+  }
+  if (intervention.apply) {
+    return intervention.apply(ctx);
+  }
+  return ctx.music.applyIntervention(id, ctx.settings);
+}
+
+/**
+ * Undo an intervention's lasting effect (no-op for ones without reverse)
+ */
+export async function reverseIntervention(id, ctx) {
+  const intervention = REGISTRY.get(id);
+  if (!intervention?.reverse) {
+    return { success: true, reversed: false };
+  }
+  return intervention.reverse(ctx);
+}
+
+// ============================================================
+// Built-in Interventions
+// ============================================================
+
+registerIntervention(INTERVENTIONS.BOOST_ENERGY, {
+  label: 'Boost energy',
+  description: 'Boosting music energy',
+  rung: 0,
+  rungLabel: 'Music nudge',
+  arm: { value: 0.5, n: 1 },
+});
+
+registerIntervention(INTERVENTIONS.SWITCH_PLAYLIST, {
+  label: 'Focus playlist',
+  description: 'Switching to focus playlist',
+  rung: 0,
+  rungLabel: 'Music nudge',
+  arm: { value: 0.5, n: 1 },
+});
+
+registerIntervention(INTERVENTIONS.PATTERN_BREAK, {
+  label: 'Pattern break',
+  description: 'Pattern break audio cue',
+  rung: 0,
+  rungLabel: 'Music nudge',
+  arm: { value: 0.5, n: 1 },
+});
+
+// Not again until the last lasting effect is reversed: a second duck would overwrite
+// state.pendingReversal and save the ducked level as the volume to restore
+registerIntervention(INTERVENTIONS.DUCK_VOLUME, {
+  label: 'Duck volume',
+  description: 'Lowering music volume',
+  rung: 1,
+  arm: { value: 0.5, n: 1 },
+  isEligible: (state) => !state.pendingReversal,
+  reverse: (ctx) => ctx.music.restoreVolume(ctx.settings),
+  reverseAfterMs: 45_000,   // back to normal once the outcome has been measured
+});
+
+// White noise is generated in the YouTube Music tab; Spotify has no equivalent
+registerIntervention(INTERVENTIONS.WHITE_NOISE, {
+  label: 'White noise',
+  description: 'White noise burst',
+  rung: 4,
+  arm: { value: 0.4, n: 1 },
+  backends: ['ytmusic'],
+});
+
+registerIntervention(INTERVENTIONS.SMART_RECOMMEND, {
+  label: 'Smart recommendation',
+  description: 'Playing AI-recommended track',
+  rung: 0,
+  rungLabel: 'Music nudge',
+  arm: { value: 0.6, n: 1 },
+});
+
+// Viola is a nudge in the page, not a music change, so the bandit doesn't learn it
+// Don't spam - at most one popup every 2 minutes
+registerIntervention(INTERVENTIONS.VIOLA_POPUP, {
+  label: 'Viola popup',
+  description: 'Viola check-in',
+  rung: 2,
+  requiresMusic: false,
+  isEligible: (state) => !(
+    state.lastIntervention?.type === INTERVENTIONS.VIOLA_POPUP &&
+    Date.now() - state.lastIntervention.appliedAt < 120_000
+  ),
+  apply: (ctx) => ctx.showViolaPopup(
+    ctx.isDoomscrolling ? 'doomscrolling' : 'stillDistracted',
+    null,
+    ctx.focusScore
+  ),
+});
+
+// Chime and alarm play through the offscreen document, so they work without music
+registerIntervention(INTERVENTIONS.CHIME, {
+  label: 'Chime',
+  description: 'Gentle chime',
+  rung: 3,
+  arm: { value: 0.4, n: 1 },
+  requiresMusic: false,
+  apply: (ctx) => ctx.playSound('PLAY_CHIME'),
+});
+
+registerIntervention(INTERVENTIONS.ALARM, {
+  label: 'Alarm',
+  description: 'Alarm beeps',
+  rung: 4,
+  arm: { value: 0.3, n: 1 },
+  requiresMusic: false,
+  apply: (ctx) => ctx.playSound('PLAY_ALARM'),
+});
+
+// Nuclear only for doomscrolling in strict mode with it enabled
+registerIntervention(INTERVENTIONS.NUCLEAR, {
+  label: 'Nuclear',
+  description: 'WAKE UP! (Doomscroll detected)',
+  rung: 5,
+  arm: { value: 0.2, n: 1 },
+  isEligible: (state, ctx) => (
+    !!ctx.isDoomscrolling && state.session.mode === 'strict' && !!state.settings.nuclearEnabled
+  ),
+});
+
+// Does nothing on purpose; its outcomes are the "no intervention" baseline (see decision_engine.js)
+registerIntervention(INTERVENTIONS.HOLD_OUT, {
+  label: 'No intervention',
+  description: 'Hold-out (no action)',
+  requiresMusic: false,
+  silent: true,
+  apply: async () => ({ success: true }),
+});
@@ -0,0 +1,187 @@
+// Music Backend Registry
+// Picks YouTube Music or Spotify for interventions and playback info,
+// falling back to whichever backend is available
+
+import * as ytmusic from './music_controller.js';
+import * as spotify from './spotify/player.js';
+
+// ============================================================
+// Backends
+// ============================================================
+
+const BACKENDS = {
+  ytmusic: {
+    id: 'ytmusic',
+    label: 'YouTube Music',
+    isAvailable: ytmusic.isYTMusicAvailable,
+    applyIntervention: ytmusic.applyIntervention,
+    getPlaybackInfo: ytmusic.getPlaybackInfo,
+    togglePlayback: ytmusic.togglePlayPause,
+    restoreVolume: ytmusic.restoreVolume,
+    loadPlaylist: ytmusic.loadPlaylist,
+  },
+  spotify: {
+    id: 'spotify',
+    label: 'Spotify',
+    isAvailable: spotify.isSpotifyAvailable,
+    applyIntervention: spotify.applyIntervention,
+    getPlaybackInfo: spotify.getPlaybackInfo,
+    togglePlayback: spotify.togglePlayback,
+    restoreVolume: spotify.restoreVolume,
+    loadPlaylist: spotify.loadPlaylist,
+  },
+};
+
+const DEFAULT_ORDER = ['ytmusic', 'spotify'];
+
+/**
+ * Backend ids in the order they should be tried
+ * The preferred backend (settings.musicBackend) goes first, 'auto' keeps the default order
+ */
+function getBackendOrder(settings = {}) {
+  const preferred = settings.musicBackend;
+  if (!preferred || preferred === 'auto' || !BACKENDS[preferred]) {
+    return [...DEFAULT_ORDER];
+  }
+  return [preferred, ...DEFAULT_ORDER.filter((id) => id !== preferred)];
+}
+
+/**
+ * Normalize backend results - YTM returns { success }, Spotify returns booleans
+ */
+function normalizeResult(result) {
+  if (typeof result === 'boolean') return { success: result };
+  return result || { success: false };
+}
+
+// ============================================================
+// Selection
+// ============================================================
+
+/**
+ * Get all currently available backends, preferred first
+ */
+export async function getAvailableBackends(settings = {}) {
+  const available = [];
+  for (const id of getBackendOrder(settings)) {
+    try {
+      if (await BACKENDS[id].isAvailable()) {
+        available.push(BACKENDS[id]);
+      }
+    } catch (err) {
+      console.warn(`[Music Backends] ${id} availability check failed:`, err);
+    }
+  }
+  return available;
+}
+
+/**
+ * Get the backend that should handle music right now (or null)
+ */
+export async function getActiveBackend(settings = {}) {
+  for (const id of getBackendOrder(settings)) {
+    try {
+      if (await BACKENDS[id].isAvailable()) {
+        return BACKENDS[id];
+      }
+    } catch (err) {
+      console.warn(`[Music Backends] ${id} availability check failed:`, err);
+    }
+  }
+  return null;
+}
+
+// ============================================================
+// Actions
+// ============================================================
+
+// Actions take the backends already resolved this tick (from getAvailableBackends),
+// so a tick asks Spotify's Web API about availability once, not once per call
+
+/**
+ * Apply an intervention on the best available backend
+ * Falls back to the next available backend if it fails
+ */
+export async function applyIntervention(interventionType, settings = {}, available = null) {
+  const backends = available || await getAvailableBackends(settings);
+
+  if (backends.length === 0) {
+    return { success: false, error: 'No music backend available' };
+  }
+
+  let lastResult = null;
+  for (const backend of backends) {
+    try {
+      lastResult = normalizeResult(await backend.applyIntervention(interventionType));
+    } catch (err) {
+      console.warn(`[Music Backends] ${backend.id} failed to apply ${interventionType}:`, err);
+      lastResult = { success: false, error: err.message };
+    }
+
+    if (lastResult.success) {
+      return { ...lastResult, backend: backend.id };
+    }
+    console.log(`[Music Backends] ${backend.label} could not apply ${interventionType}, trying next backend`);
+  }
+
+  return lastResult;
+}
+
+/**
+ * Playback info from the active backend
+ */
+export async function getPlaybackInfo(settings = {}, available = null) {
+  const backend = available ? available[0] || null : await getActiveBackend(settings);
+  if (!backend) return null;
+
+  const info = await backend.getPlaybackInfo();
+  return info ? { ...info, backend: backend.id } : null;
+}
+
+export async function togglePlayback(settings = {}) {
+  const backend = await getActiveBackend(settings);
+  if (!backend) {
+    return { success: false, error: 'No music backend available' };
+  }
+  return { ...normalizeResult(await backend.togglePlayback()), backend: backend.id };
+}
+
+/**
+ * Undo DUCK_VOLUME on every available backend (whichever one ducked remembers its old volume)
+ */
+export async function restoreVolume(settings = {}, available = null) {
+  let restored = false;
+  for (const backend of available || await getAvailableBackends(settings)) {
+    if (!backend.restoreVolume) continue;
+    try {
+      restored = normalizeResult(await backend.restoreVolume()).success || restored;
+    } catch (err) {
+      console.warn(`[Music Backends] ${backend.id} failed to restore volume:`, err);
+    }
+  }
+  return { success: restored };
+}
+
+/**
+ * Load a playlist URL on the first available backend that understands it
+ * (YouTube Music URLs go to YTM, open.spotify.com URLs to Spotify)
+ */
+export async function loadPlaylist(url, settings = {}) {
+  if (!url) {
+    return { success: false, error: 'No playlist URL' };
+  }
+
+  for (const backend of await getAvailableBackends(settings)) {
+    if (!backend.loadPlaylist) continue;
+    try {
+      const result = normalizeResult(await backend.loadPlaylist(url));
+      if (result.success) {
+        return { ...result, backend: backend.id };
+      }
+    } catch (err) {
+      console.warn(`[Music Backends] ${backend.id} failed to load playlist:`, err);
+    }
+  }
+
+  return { success: false, error: 'No backend could load this playlist' };
+}
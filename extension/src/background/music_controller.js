@@ -113,8 +113,7 @@ export async function applyIntervention(interventionType) {
       return boostEnergy();
 
     case INTERVENTIONS.SWITCH_PLAYLIST:
-      // For YTM, we just skip to next - can't easily switch playlists
-      return next();
+      return switchToFocusPlaylist();
 
     case INTERVENTIONS.PATTERN_BREAK:
       return patternBreak();
@@ -150,6 +149,27 @@ async function boostEnergy() {
   return result;
 }
 
+/**
+ * SWITCH_PLAYLIST: Move to the focus playlist synced from the dashboard
+ * Falls back to skipping the track if no playlist is set or we're already on it
+ */
+async function switchToFocusPlaylist() {
+  const state = await loadState();
+  const url = state.settings.focusPlaylistUrl;
+
+  if (!url) {
+    console.log('[Music Controller] No focus playlist configured, skipping track');
+    return next();
+  }
+
+  const result = await loadPlaylist(url);
+  if (result?.alreadyPlaying) {
+    // Already on the focus playlist - a fresh track is the best we can do
+    return next();
+  }
+  return result;
+}
+
 /**
  * PATTERN_BREAK: Brief pause to refocus attention
  */
@@ -255,6 +275,22 @@ async function searchAndPlayTrack(query) {
   return result;
 }
 
+// ============================================================
+// Playlists
+// ============================================================
+
+/**
+ * Load a YouTube Music playlist URL in the YTM tab and start playing it
+ */
+export async function loadPlaylist(url) {
+  if (!url) {
+    return { success: false, error: 'No playlist URL' };
+  }
+  const result = await sendToYTMusic('LOAD_PLAYLIST', { url });
+  console.log('[Music Controller] Load playlist result:', result);
+  return result;
+}
+
 // ============================================================
 // Playback Info (for UI)
 // ============================================================
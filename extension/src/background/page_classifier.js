@@ -0,0 +1,263 @@
+// Page Classifier - refines a site's category from what's on the page
+// A lecture on youtube.com is productive, r/learnprogramming isn't r/all.
+// Uses lightweight signals from activity_tracker.js: title, meta keywords,
+// YouTube category/channel and subreddit, plus the user's remembered corrections
+
+import { parseSiteUrl } from './site_rules.js';
+
+// Hosts whose pages vary too much for one category; elsewhere only neutral pages are refined
+const CONTENT_SITES = ['youtube.com', 'reddit.com', 'twitch.tv', 'medium.com', 'substack.com', 'x.com', 'twitter.com'];
+
+const DISTRACTING_CATEGORIES = ['socialMedia', 'entertainment', 'games', 'shopping', 'news', 'blocked'];
+
+// YouTube's own video categories (meta itemprop="genre" on watch pages)
+const YOUTUBE_CATEGORIES = {
+  'Education': 'productive',
+  'Science & Technology': 'productive',
+  'Howto & Style': 'productive',
+  'Nonprofits & Activism': 'neutral',
+  'News & Politics': 'news',
+  'Gaming': 'games',
+  'Comedy': 'entertainment',
+  'Entertainment': 'entertainment',
+  'Film & Animation': 'entertainment',
+  'People & Blogs': 'entertainment',
+  'Music': 'entertainment',
+  'Sports': 'entertainment',
+  'Pets & Animals': 'entertainment',
+  'Autos & Vehicles': 'entertainment',
+  'Travel & Events': 'entertainment',
+};
+
+const STUDY_SUBREDDITS = [
+  'learnprogramming', 'programming', 'compsci', 'cscareerquestions', 'webdev', 'python', 'learnpython',
+  'javascript', 'typescript', 'rust', 'golang', 'java', 'cpp', 'datascience', 'machinelearning',
+  'math', 'learnmath', 'askmath', 'physics', 'askphysics', 'chemistry', 'biology', 'askscience',
+  'askhistorians', 'engineering', 'economics', 'homeworkhelp', 'studytips', 'getstudying',
+  'languagelearning', 'gradschool', 'academia', 'writing',
+];
+
+const DISTRACTING_SUBREDDITS = [
+  'all', 'popular', 'funny', 'memes', 'dankmemes', 'pics', 'gifs', 'videos', 'aww', 'gaming',
+  'askreddit', 'todayilearned', 'showerthoughts', 'mildlyinteresting', 'interestingasfuck',
+  'nextfuckinglevel', 'publicfreakout', 'tiktokcringe', 'facepalm', 'unpopularopinion', 'amitheasshole',
+];
+
+// ============================================================
+// Keyword model
+// ============================================================
+// Naive Bayes over page words: seed vocabulary plus words from the user's corrections
+
+const SEED_WORDS = {
+  productive: [
+    'lecture', 'lectures', 'tutorial', 'tutorials', 'course', 'lesson', 'lessons', 'class', 'study',
+    'studying', 'exam', 'exams', 'homework', 'learn', 'learning', 'explained', 'introduction', 'intro',
+    'programming', 'coding', 'code', 'python', 'javascript', 'algorithm', 'algorithms', 'math', 'calculus',
+    'algebra', 'statistics', 'physics', 'chemistry', 'biology', 'engineering', 'science', 'research',
+    'university', 'professor', 'documentation', 'guide', 'mit', 'stanford', 'ocw', 'proof', 'theorem',
+  ],
+  distracting: [
+    'funny', 'meme', 'memes', 'prank', 'pranks', 'reaction', 'reacts', 'compilation', 'fails', 'tiktok',
+    'shorts', 'gameplay', 'gaming', 'vlog', 'drama', 'gossip', 'celebrity', 'trailer', 'highlights',
+    'asmr', 'mukbang', 'challenge', 'unboxing', 'haul', 'roast', 'clips', 'lol', 'cringe', 'shitpost',
+    'streamer', 'livestream', 'tier', 'rage', 'speedrun', 'satisfying',
+  ],
+};
+
+const SEED_WEIGHT = 2;          // each seed word counts as seen on this many pages
+const CORRECTION_WEIGHT = 3;    // a correction teaches its words more strongly than a seed
+const CONFIDENCE = 0.8;         // posterior needed before the model overrides the site's category
+const MAX_CORRECTIONS = 500;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'you', 'your', 'this', 'that', 'from', 'are', 'was', 'how', 'what',
+  'why', 'all', 'new', 'www', 'com', 'youtube', 'reddit', 'video', 'videos', 'official', 'part',
+]);
+
+/**
+ * Distinct lowercase words of a page's text signals
+ */
+export function extractTokens(page) {
+  const text = [page.title, page.keywords, page.channel, page.youtubeCategory, page.subreddit]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+  const tokens = text.split(/[^\p{L}\p{N}]+/u).filter((t) => t.length >= 3 && !STOPWORDS.has(t));
+  return [...new Set(tokens)];
+}
+
+function toModelClass(category) {
+  if (category === 'productive') return 'productive';
+  if (DISTRACTING_CATEGORIES.includes(category)) return 'distracting';
+  return null;
+}
+
+function buildModel(corrections) {
+  const counts = { productive: {}, distracting: {} };
+  const totals = { productive: 0, distracting: 0 };
+  const add = (cls, token, weight) => {
+    counts[cls][token] = (counts[cls][token] || 0) + weight;
+    totals[cls] += weight;
+  };
+
+  for (const [cls, words] of Object.entries(SEED_WORDS)) {
+    for (const word of words) add(cls, word, SEED_WEIGHT);
+  }
+  for (const correction of Object.values(corrections)) {
+    const cls = toModelClass(correction.category);
+    if (!cls) continue;
+    for (const token of correction.tokens || []) add(cls, token, CORRECTION_WEIGHT);
+  }
+
+  const vocabulary = new Set([...Object.keys(counts.productive), ...Object.keys(counts.distracting)]).size;
+  return { counts, totals, vocabulary };
+}
+
+// Model for the last corrections seen (rebuilt only when they change)
+let modelCache = { key: null, model: null };
+
+function getModel(corrections) {
+  const entries = Object.values(corrections);
+  const key = `${entries.length}:${Math.max(0, ...entries.map((c) => c.updatedAt || 0))}`;
+  if (modelCache.key !== key) {
+    modelCache = { key, model: buildModel(corrections) };
+  }
+  return modelCache.model;
+}
+
+/**
+ * P(productive | words) and the words that weighed most, or null if no word is known
+ */
+export function scoreTokens(tokens, corrections = {}) {
+  const { counts, totals, vocabulary } = getModel(corrections);
+
+  let logit = 0;
+  const evidence = [];
+  for (const token of tokens) {
+    const p = counts.productive[token] || 0;
+    const d = counts.distracting[token] || 0;
+    if (!p && !d) continue;
+    const weight = Math.log((p + 1) / (totals.productive + vocabulary)) -
+      Math.log((d + 1) / (totals.distracting + vocabulary));
+    logit += weight;
+    evidence.push({ token, weight });
+  }
+  if (!evidence.length) return null;
+
+  evidence.sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight));
+  return { probability: 1 / (1 + Math.exp(-logit)), evidence: evidence.slice(0, 3).map((e) => e.token) };
+}
+
+// ============================================================
+// Classification
+// ============================================================
+
+function isContentSite(host) {
+  return CONTENT_SITES.some((site) => host === site || host.endsWith('.' + site));
+}
+
+/**
+ * Keys a correction can be remembered under, most specific first
+ * Corrections are saved under the last one, so they carry over to the
+ * rest of the channel / subreddit
+ */
+export function getPageKeys(page) {
+  const parsed = parseSiteUrl(page.url);
+  if (!parsed) return [];
+
+  const keys = [`page:${parsed.host}${parsed.path}`];
+  if (page.channel) keys.push(`channel:${page.channel.toLowerCase()}`);
+  if (page.subreddit) keys.push(`subreddit:${page.subreddit.toLowerCase()}`);
+  return keys;
+}
+
+/**
+ * Readable form of a correction key for the popup and options page
+ */
+export function describePageKey(key) {
+  const [kind, ...rest] = key.split(':');
+  const value = rest.join(':');
+  if (kind === 'channel') return `YouTube channel ${value}`;
+  if (kind === 'subreddit') return `r/${value}`;
+  return value;
+}
+
+/**
+ * Category for one page
+ * @param {object} page - { url, title, keywords, youtubeCategory, channel, subreddit }
+ * @param {object} base - site-level result { category, explanation, userRule }
+ * @param {object} corrections - state.pageCorrections
+ * @returns {{ category: string, explanation: string }}
+ */
+export function classifyPage(page, base, corrections = {}) {
+  const keys = getPageKeys(page);
+  const correctionKey = keys.find((key) => corrections[key]);
+  if (correctionKey) {
+    return {
+      category: corrections[correctionKey].category,
+      explanation: `Your correction for ${describePageKey(correctionKey)}`,
+    };
+  }
+
+  // The user's own site rules beat guesses
+  const host = parseSiteUrl(page.url)?.host || '';
+  if (base.userRule) return base;
+  if (!isContentSite(host) && base.category !== 'neutral') return base;
+
+  const youtubeCategory = YOUTUBE_CATEGORIES[page.youtubeCategory];
+  if (youtubeCategory) {
+    return { category: youtubeCategory, explanation: `Page content: YouTube category "${page.youtubeCategory}"` };
+  }
+
+  const subreddit = page.subreddit?.toLowerCase();
+  if (STUDY_SUBREDDITS.includes(subreddit)) {
+    return { category: 'productive', explanation: `Page content: r/${page.subreddit} is a study subreddit` };
+  }
+  if (DISTRACTING_SUBREDDITS.includes(subreddit)) {
+    return { category: 'socialMedia', explanation: `Page content: r/${page.subreddit} is a time sink` };
+  }
+
+  const score = scoreTokens(extractTokens(page), corrections);
+  if (score?.probability >= CONFIDENCE) {
+    return { category: 'productive', explanation: `Page content: looks like study material (${score.evidence.join(', ')})` };
+  }
+  if (score && score.probability <= 1 - CONFIDENCE) {
+    const category = DISTRACTING_CATEGORIES.includes(base.category) ? base.category : 'entertainment';
+    return { category, explanation: `Page content: looks like a distraction (${score.evidence.join(', ')})` };
+  }
+
+  return base;
+}
+
+// ============================================================
+// Corrections
+// ============================================================
+
+/**
+ * Remember the user's category for this page (and its channel / subreddit)
+ * @returns {string|null} the key it was saved under
+ */
+export function recordPageCorrection(corrections, page, category, now = Date.now()) {
+  const keys = getPageKeys(page);
+  if (!keys.length) return null;
+
+  // A new correction replaces any narrower one for the same page
+  for (const key of keys) delete corrections[key];
+
+  const key = keys[keys.length - 1];
+  corrections[key] = {
+    category,
+    title: page.title || null,
+    tokens: extractTokens(page),
+    updatedAt: now,
+  };
+
+  const entries = Object.entries(corrections);
+  if (entries.length > MAX_CORRECTIONS) {
+    entries.sort((a, b) => a[1].updatedAt - b[1].updatedAt);
+    for (const [oldKey] of entries.slice(0, entries.length - MAX_CORRECTIONS)) {
+      delete corrections[oldKey];
+    }
+  }
+  return key;
+}
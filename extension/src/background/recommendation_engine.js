@@ -2,6 +2,7 @@
 // Generates personalized music recommendations based on focus-music correlation
 
 import { lookupBpm, getBpmRange, getBpmRangeCenter } from './bpm_lookup.js';
+import { loadState, updateState } from './storage.js';
 
 const CACHE_TTL_MS = 3600000; // 1 hour
 const TRACK_HISTORY_MAX = 500;
@@ -24,24 +25,6 @@ async function getApiKey(keyType) {
   }
 }
 
-/**
- * Load state from storage
- */
-async function loadState() {
-  const result = await chrome.storage.local.get('state');
-  return result.state || {};
-}
-
-/**
- * Update state in storage
- */
-async function updateState(updater) {
-  const state = await loadState();
-  const newState = typeof updater === 'function' ? updater(state) : { ...state, ...updater };
-  await chrome.storage.local.set({ state: newState });
-  return newState;
-}
-
 /**
  * Get track history from state
  */
@@ -636,52 +619,64 @@ export async function getContextualRecommendation(focusScore, currentTrack) {
 }
 
 /**
- * Record track play - returns handler to call on track end
+ * Start recording a track play
+ * Returns plain data (no closure), so it can be persisted across service worker restarts
+ * and handed to finishTrackPlay when the track ends
  */
-export async function recordTrackPlay(trackInfo, focusScore, sessionMode) {
-  const startTime = Date.now();
-  const startFocusScore = focusScore;
-
-  // Return a handler to call when track ends
-  return async (endFocusScore, wasSkipped = false, skipReason = null) => {
-    const endTime = Date.now();
-    const listenDurationMs = endTime - startTime;
-
-    // Skip very short listens (less than 10 seconds)
-    if (listenDurationMs < 10000) {
-      return null;
-    }
-
-    // Lookup BPM
-    const bpmData = await lookupBpm(trackInfo.title, trackInfo.artist);
-
-    const entry = {
-      id: hashCode(`${trackInfo.title}_${trackInfo.artist}_${startTime}`),
-      title: trackInfo.title,
-      artist: trackInfo.artist,
-      thumbnail: trackInfo.thumbnail,
-      startedAt: startTime,
-      endedAt: endTime,
-      listenDurationMs,
-      focusScoreAtStart: startFocusScore,
-      focusScoreAtEnd: endFocusScore,
-      focusScoreDelta: endFocusScore - startFocusScore,
-      avgFocusScore: (startFocusScore + endFocusScore) / 2,
-      bpm: bpmData?.bpm || null,
-      bpmConfidence: bpmData?.confidence || 0,
-      estimatedGenre: bpmData?.estimatedGenre || null,
-      sessionMode,
-      wasSkipped,
-      skipReason,
-    };
+export function startTrackPlay(trackInfo, focusScore, sessionMode, now = Date.now()) {
+  return {
+    id: `${trackInfo.title}_${trackInfo.artist}`,
+    title: trackInfo.title,
+    artist: trackInfo.artist,
+    thumbnail: trackInfo.thumbnail,
+    startedAt: now,
+    focusScoreAtStart: focusScore,
+    sessionMode,
+  };
+}
 
-    await addTrackHistory(entry);
-    await updateBpmModel(entry);
+/**
+ * Finish a track play started with startTrackPlay and learn from it
+ * @returns {object|null} the history entry, null for very short listens
+ */
+export async function finishTrackPlay(play, endFocusScore, wasSkipped = false, skipReason = null) {
+  const endTime = Date.now();
+  const listenDurationMs = endTime - play.startedAt;
 
-    console.log('[Recommendation Engine] Recorded track:', entry.title, 'BPM:', entry.bpm, 'Focus:', entry.avgFocusScore);
+  // Skip very short listens (less than 10 seconds)
+  if (listenDurationMs < 10000) {
+    return null;
+  }
 
-    return entry;
+  // Lookup BPM
+  const bpmData = await lookupBpm(play.title, play.artist);
+
+  const entry = {
+    id: hashCode(`${play.title}_${play.artist}_${play.startedAt}`),
+    title: play.title,
+    artist: play.artist,
+    thumbnail: play.thumbnail,
+    startedAt: play.startedAt,
+    endedAt: endTime,
+    listenDurationMs,
+    focusScoreAtStart: play.focusScoreAtStart,
+    focusScoreAtEnd: endFocusScore,
+    focusScoreDelta: endFocusScore - play.focusScoreAtStart,
+    avgFocusScore: (play.focusScoreAtStart + endFocusScore) / 2,
+    bpm: bpmData?.bpm || null,
+    bpmConfidence: bpmData?.confidence || 0,
+    estimatedGenre: bpmData?.estimatedGenre || null,
+    sessionMode: play.sessionMode,
+    wasSkipped,
+    skipReason,
   };
+
+  await addTrackHistory(entry);
+  await updateBpmModel(entry);
+
+  console.log('[Recommendation Engine] Recorded track:', entry.title, 'BPM:', entry.bpm, 'Focus:', entry.avgFocusScore);
+
+  return entry;
 }
 
 /**
@@ -0,0 +1,85 @@
+// Runtime Store - service worker working memory that must survive MV3 restarts
+// Chrome stops an idle service worker whenever it likes, taking module variables with it.
+// Detector state lives here instead: an in-memory copy, mirrored to chrome.storage.session
+// (cleared when the browser closes, never synced) and rehydrated on wake
+
+import { mergeDefaults } from './storage.js';
+
+const RUNTIME_KEY = 'runtime';
+
+export const DEFAULT_RUNTIME = {
+  currentTabUrl: null,          // active tab's URL (tab events only tell us about changes)
+
+  // Face-away tracking from camera vision signals
+  vision: {
+    faceMissingMs: 0,
+    lookingAwayMs: 0,
+    lastFaceAwayAlarm: 0,
+    cameraPageOpen: false,      // camera.html is tracking, the offscreen tracker stands down
+    lastStartAttempt: 0,        // last offscreen vision start, to retry without hammering
+    pausedUntil: 0,             // popup "pause camera": no detection before this time
+    badgeOn: false,             // camera indicator showing on the extension action
+  },
+
+  // Spotify volume before DUCK_VOLUME, restored when the duck is reversed (see spotify/player.js)
+  spotifyDuckedFromVolume: null,
+
+  // Track being recorded for music intelligence (see startTrackPlay in recommendation_engine.js)
+  track: null,                  // { id, title, artist, thumbnail, startedAt, focusScoreAtStart, sessionMode }
+};
+
+let runtime = null;
+let hydrating = null;
+
+/**
+ * Load the persisted runtime once per worker lifetime
+ */
+function hydrate() {
+  if (runtime) return Promise.resolve(runtime);
+  if (!hydrating) {
+    hydrating = chrome.storage.session.get(RUNTIME_KEY)
+      .then((stored) => {
+        runtime = mergeDefaults(DEFAULT_RUNTIME, stored[RUNTIME_KEY]);
+        return runtime;
+      })
+      .catch((err) => {
+        console.warn('[Runtime] Rehydrate failed, starting fresh:', err);
+        runtime = structuredClone(DEFAULT_RUNTIME);
+        return runtime;
+      })
+      .finally(() => {
+        hydrating = null;
+      });
+  }
+  return hydrating;
+}
+
+/**
+ * Current runtime state (read-only; change it through updateRuntime)
+ */
+export async function getRuntime() {
+  return hydrate();
+}
+
+/**
+ * Mutate the runtime and persist it
+ * The updater must be synchronous, so concurrent updates can't interleave
+ * @returns {object} the updated runtime
+ */
+export async function updateRuntime(updater) {
+  const current = await hydrate();
+  updater(current);
+  await chrome.storage.session.set({ [RUNTIME_KEY]: current });
+  return current;
+}
+
+/**
+ * Back to defaults (session start/stop)
+ * @param {object|Function} keep - fields to set on the fresh runtime, or (current) => fields
+ */
+export async function resetRuntime(keep = {}) {
+  const current = await hydrate();
+  runtime = { ...structuredClone(DEFAULT_RUNTIME), ...(typeof keep === 'function' ? keep(current) : keep) };
+  await chrome.storage.session.set({ [RUNTIME_KEY]: runtime });
+  return runtime;
+}
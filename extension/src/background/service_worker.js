@@ -1,12 +1,14 @@
 // Main service worker - the brain of FocusDJ
 // Orchestrates: tab tracking → focus scoring → intervention → feedback
 
-import { loadState, saveState, updateState, categorizeSite, smartCategorizeSite, getMusicIntelligence, clearMusicIntelligence, setApiKey, getApiKey } from './storage.js';
+import { DEFAULT_STATE, loadState, updateState, patchState, migrateStoredState, categorizeSite, smartClassifySite, getMusicIntelligence, clearMusicIntelligence, setApiKey, getApiKey } from './storage.js';
 import {
   computeFocusScore,
   updateEMA,
   computeTrendDelta,
   isDoomscrollSite,
+  isVisionFresh,
+  sanitizeVisionSignal,
   pruneTimestamps,
 } from './focus_model.js';
 import {
@@ -14,15 +16,67 @@ import {
   selectIntervention,
   evaluateIntervention,
   getInterventionDescription,
+  getInterventionContext,
+  getContextStats,
+  getArmTrends,
+  getHoldOutReport,
+  createEscalation,
+  getEscalationLevel,
+  updateEscalation,
 } from './decision_engine.js';
-import { applyIntervention, isYTMusicAvailable, getPlaybackInfo } from './music_controller.js';
 import {
-  recordTrackPlay,
+  applyIntervention,
+  getActiveBackend,
+  getAvailableBackends,
+  getPlaybackInfo,
+  togglePlayback,
+  loadPlaylist,
+  restoreVolume,
+} from './music_backends.js';
+import { getIntervention, runIntervention, reverseIntervention } from './interventions.js';
+import { classifySite, parseSiteUrl } from './site_rules.js';
+import { classifyPage, recordPageCorrection, describePageKey } from './page_classifier.js';
+import { createDoomscrollState, updateDoomscroll } from './doomscroll.js';
+import { DEFAULT_RUNTIME, getRuntime, updateRuntime, resetRuntime } from './runtime_store.js';
+import {
+  startTrackPlay,
+  finishTrackPlay,
   getRecommendations,
   getContextualRecommendation,
   buildUserProfile,
   clearMusicIntelligence as clearRecommendationData,
 } from './recommendation_engine.js';
+import {
+  addSiteTime,
+  recordFocusSample,
+  recordIntervention,
+  pruneDailyStats,
+  getRecentDays,
+  summarizeDays,
+  getDateKey,
+  getTimeBucket,
+} from './daily_stats.js';
+import { buildExportBundle, importBundle } from './data_export.js';
+import {
+  createBaseline,
+  recordBaselineTick,
+  recordBaselineTyping,
+  finishBaselineSession,
+  getActiveBaseline,
+} from './baseline.js';
+import {
+  buildSessionRecord,
+  saveSession,
+  getSession,
+  listSessions,
+  deleteSession,
+  clearSessions,
+} from './session_history.js';
+import {
+  startAuthFlow as startSpotifyAuth,
+  isAuthenticated as isSpotifyAuthenticated,
+  logout as spotifyLogout,
+} from './spotify/auth.js';
 
 // ============================================================
 // Constants
@@ -31,6 +85,7 @@ import {
 const TICK_INTERVAL_MS = 10_000;      // Main loop every 10 seconds
 const EVAL_WINDOW_MS = 45_000;        // Evaluate intervention after 45 seconds
 const HISTORY_MAX_ENTRIES = 1000;     // Max history entries to keep
+const SYSTEM_IDLE_SECONDS = 15;       // chrome.idle's shortest detection interval
 
 // Viola messages for different situations
 const VIOLA_MESSAGES = {
@@ -57,41 +112,15 @@ const VIOLA_MESSAGES = {
 // State tracking
 // ============================================================
 
-let currentTabUrl = null;
-let offTaskStart = null; // Track when we started being off-task
+// Detector state that must outlive the worker (current tab, face-away timers, track
+// being recorded) is kept in the runtime store, see runtime_store.js
 
-// Vision detection state
-let visionEnabled = false;
-let lastVisionSignal = null;
-let faceMissingMs = 0;
-let lookingAwayMs = 0;
-let lastFaceAwayAlarm = 0;
+// Vision detection
 const FACE_AWAY_ALARM_THRESHOLD_MS = 10000; // 10 seconds before alarm
 const FACE_AWAY_ALARM_COOLDOWN_MS = 30000; // 30 seconds between alarms
 
-// Doomscroll detection state
-let doomscrollSeconds = 0;
-let lastDoomscrollAlarm = 0;
-const DOOMSCROLL_THRESHOLD_SECONDS = 15; // Trigger alarm after 15 seconds
-const DOOMSCROLL_ALARM_COOLDOWN = 30000; // 30 second cooldown between alarms
-
-// Doomscroll sites (defaults)
-const DEFAULT_DOOMSCROLL_SITES = [
-  'instagram.com',
-  'tiktok.com',
-  'x.com',
-  'twitter.com',
-  'reddit.com',
-  'youtube.com/shorts',
-  'facebook.com',
-];
-
-// Offscreen document state
-let offscreenCreated = false;
-
-// Track monitoring for music intelligence
-let currentTrackHandler = null;
-let lastKnownTrackId = null;
+// Offscreen document being created (the document itself is the source of truth)
+let offscreenCreating = null;
 
 // ============================================================
 // Tab tracking
@@ -123,13 +152,34 @@ async function onTabUpdated(tabId, changeInfo, tab) {
  * Process a tab change event
  */
 async function handleTabChange(newUrl) {
-  const now = Date.now();
-  const state = await loadState();
+  const snapshot = await loadState();
+  if (!snapshot.session.active) return;
 
-  if (!state.session.active) return;
+  const previousUrl = (await getRuntime()).currentTabUrl;
+  await updateRuntime((runtime) => {
+    runtime.currentTabUrl = newUrl;
+  });
+
+  // Extract hostname and categorize new site (using AI for unknown sites)
+  // Done before the transaction so a slow AI lookup doesn't hold up other state writes
+  let hostname = null;
+  let classification = { category: 'neutral', explanation: null };
+  try {
+    hostname = new URL(newUrl).hostname;
+    // Site rules first, AI for sites no rule covers
+    classification = await smartClassifySite(newUrl, snapshot.settings);
+  } catch {
+    // Invalid URL
+  }
 
-  const previousUrl = currentTabUrl;
-  currentTabUrl = newUrl;
+  await updateState((state) => applyTabChange(state, previousUrl, hostname, classification, Date.now()));
+}
+
+/**
+ * Record a tab switch and move site time tracking to the new site
+ */
+function applyTabChange(state, previousUrl, hostname, { category, explanation }, now) {
+  if (!state.session.active) return;
 
   // Record tab switch
   state.signals.tabSwitches = state.signals.tabSwitches || [];
@@ -140,26 +190,16 @@ async function handleTabChange(newUrl) {
   if (previousUrl && state.signals.currentSite) {
     const prevHostname = state.signals.currentSite;
     if (state.signals.siteTime?.[prevHostname]?.lastStart) {
-      const elapsed = now - state.signals.siteTime[prevHostname].lastStart;
-      state.signals.siteTime[prevHostname].totalMs += elapsed;
+      accumulateSiteTime(state, prevHostname, state.signals.siteTime[prevHostname].lastStart, now);
       state.signals.siteTime[prevHostname].lastStart = null;
     }
   }
 
-  // Extract hostname and categorize new site (using AI for unknown sites)
-  let hostname = null;
-  let category = 'neutral';
-  try {
-    hostname = new URL(newUrl).hostname;
-    // Use smart categorization (AI-powered for unknown sites)
-    category = await smartCategorizeSite(hostname, state.settings);
-  } catch {
-    // Invalid URL
-  }
-
   // Update current site tracking
   state.signals.currentSite = hostname;
   state.signals.currentCategory = category;
+  state.signals.currentSiteRule = explanation;
+  state.signals.currentPage = null;
 
   // Initialize site time tracking for new site
   if (hostname) {
@@ -172,8 +212,23 @@ async function handleTabChange(newUrl) {
 
   // Update last activity
   state.signals.lastActivity = now;
+}
+
+/**
+ * Credit time on a site to the session (siteTime, metrics) and the daily rollup
+ */
+function accumulateSiteTime(state, hostname, fromMs, toMs) {
+  const elapsed = toMs - fromMs;
+  if (elapsed <= 0) return;
 
-  await saveState(state);
+  const site = state.signals.siteTime[hostname];
+  site.totalMs += elapsed;
+
+  const bucket = getTimeBucket(site.category);
+  state.metrics[bucket] = (state.metrics[bucket] || 0) + elapsed;
+
+  state.dailyStats = state.dailyStats || {};
+  addSiteTime(state.dailyStats, hostname, site.category, fromMs, toMs);
 }
 
 // ============================================================
@@ -394,8 +449,8 @@ async function hideViolaPopup() {
 // Pomodoro Timer
 // ============================================================
 
-let pomodoroInterval = null;
-let pomodoroTimeRemaining = 0;
+// Remaining time is derived from session.pomodoroStartedAt (see getPomodoroStatus),
+// so nothing here is lost when the worker restarts
 
 /**
  * Start Pomodoro timer
@@ -404,8 +459,6 @@ async function startPomodoro() {
   const state = await loadState();
   const workMins = state.settings.pomodoroWork || 25;
 
-  pomodoroTimeRemaining = workMins * 60; // Convert to seconds
-
   await updateState((s) => ({
     ...s,
     session: {
@@ -454,10 +507,7 @@ async function handlePomodoroEnd() {
     chrome.alarms.create('pomodoro-tick', { periodInMinutes: 1 / 60 });
 
     // Switch to break playlist if enabled
-    if (state.settings.autoSwitchOnBreak && state.settings.breakPlaylistUrl) {
-      // Could navigate to break playlist here
-      console.log('Break time - would switch to break playlist');
-    }
+    await switchPhasePlaylist(state.settings, 'break');
 
     console.log(`Break started: ${breakMins} minutes`);
   } else {
@@ -476,6 +526,9 @@ async function handlePomodoroEnd() {
     // Show Viola popup to get back to work
     showViolaPopup('backToWork');
 
+    // Back to the focus playlist
+    await switchPhasePlaylist(state.settings, 'study');
+
     // Schedule work end
     chrome.alarms.create('pomodoro-end', { delayInMinutes: workMins });
     chrome.alarms.create('pomodoro-tick', { periodInMinutes: 1 / 60 });
@@ -484,13 +537,26 @@ async function handlePomodoroEnd() {
   }
 }
 
+/**
+ * Switch to the focus or break playlist for a pomodoro phase
+ * Only when autoSwitchOnBreak is on and the playlist URL is set
+ */
+async function switchPhasePlaylist(settings, phase) {
+  if (settings.autoSwitchOnBreak === false) return;
+
+  const url = phase === 'break' ? settings.breakPlaylistUrl : settings.focusPlaylistUrl;
+  if (!url) return;
+
+  const result = await loadPlaylist(url, settings);
+  console.log(`[Pomodoro] Switched to ${phase} playlist:`, result);
+}
+
 /**
  * Stop Pomodoro timer
  */
 function stopPomodoro() {
   chrome.alarms.clear('pomodoro-end');
   chrome.alarms.clear('pomodoro-tick');
-  pomodoroTimeRemaining = 0;
 }
 
 /**
@@ -525,13 +591,14 @@ async function getPomodoroStatus() {
  * Handle activity report from content script (activity_tracker.js)
  * Updates signals with mouse, keyboard, scroll activity
  */
-async function handleActivityReport(message) {
-  const now = Date.now();
-  const state = await loadState();
+async function handleActivityReport(message, fromActiveTab = true) {
+  await updateState((state) => applyActivityReport(state, message, Date.now(), fromActiveTab));
+}
 
+function applyActivityReport(state, message, now, fromActiveTab = true) {
   if (!state.session.active) return;
 
-  const { hostname, signals } = message;
+  const { hostname, url, signals, page } = message;
 
   // Update activity timestamps
   if (signals.msSinceMouseMove !== undefined) {
@@ -549,18 +616,57 @@ async function handleActivityReport(message) {
   state.signals.isActivelyTyping = signals.isActivelyTyping || false;
   state.signals.keyPressCount = signals.keyPressCount || 0;
   state.signals.scrollCount = signals.scrollCount || 0;
+  if (fromActiveTab) {
+    state.signals.scrollVelocity = signals.scrollVelocity || 0;
+    state.signals.flickCount = signals.flickCount || 0;
+    state.signals.msPerCard = signals.msPerCard ?? null;
+    state.signals.isInfiniteFeed = !!signals.isInfiniteFeed;
+    state.signals.isReading = !!signals.isReading;
+    state.signals.lastReading = signals.msSinceReading != null ? now - signals.msSinceReading : null;
+    state.signals.visibleTextShare = signals.visibleTextShare || 0;
+    state.signals.isPdf = !!signals.isPdf;
+  }
+  recordBaselineTyping(state.baseline, state.signals.keyPressCount);
 
-  // Detect doomscrolling (scrolling on a bad site)
+  // Detect doomscrolling (scrolling on a bad site, or flicking through a feed on any site)
   const isBadSite = ['socialMedia', 'entertainment', 'games', 'blocked'].includes(state.signals.currentCategory);
-  state.signals.isDoomscrolling = isBadSite && signals.isScrolling;
+  const isFlickingFeed = state.signals.isInfiniteFeed && state.signals.flickCount >= 2;
+  state.signals.isDoomscrolling = (isBadSite && signals.isScrolling) || isFlickingFeed;
 
   // Update site category if hostname changed
   if (hostname && hostname !== state.signals.currentSite) {
+    const classification = classifySite(url || hostname, state.settings);
     state.signals.currentSite = hostname;
-    state.signals.currentCategory = categorizeSite(hostname, state.settings);
+    state.signals.currentCategory = classification.category;
+    state.signals.currentSiteRule = classification.explanation;
+  }
+
+  // Refine the category from what's on the page (background tabs report too)
+  if (page && url && fromActiveTab) {
+    applyPageSignals(state, { url, ...page });
   }
+}
 
-  await saveState(state);
+/**
+ * Re-classify when the page (or its title, for single-page apps) changes
+ */
+function applyPageSignals(state, page) {
+  const previous = state.signals.currentPage;
+  if (previous?.url === page.url && previous?.title === page.title) return;
+
+  // Path rules for this URL, else the host-level category (which may be an AI guess)
+  const ruled = classifySite(page.url, state.settings);
+  const sameHost = previous && parseSiteUrl(previous.url)?.host === parseSiteUrl(page.url)?.host;
+  const base = ruled.rule
+    ? { category: ruled.category, explanation: ruled.explanation, userRule: ruled.rule.source !== 'builtin' }
+    : sameHost
+      ? previous.base
+      : { category: state.signals.currentCategory || 'neutral', explanation: state.signals.currentSiteRule };
+
+  const result = classifyPage(page, base, state.pageCorrections);
+  state.signals.currentPage = { ...page, base };
+  state.signals.currentCategory = result.category;
+  state.signals.currentSiteRule = result.explanation;
 }
 
 // ============================================================
@@ -568,47 +674,53 @@ async function handleActivityReport(message) {
 // ============================================================
 
 /**
- * Handle vision signal from camera.html
- * Updates focus score based on face presence and gaze direction
+ * Handle vision signal from camera.html or the offscreen tracker
+ * Updates focus score based on face presence and gaze direction. Only the
+ * whitelisted fields are read (sanitizeVisionSignal); signals while paused are dropped
  */
-async function handleVisionSignal(message) {
+async function handleVisionSignal(raw) {
+  const message = sanitizeVisionSignal(raw);
+  const { vision: runtimeVision } = await getRuntime();
   const state = await loadState();
-  if (!state.session.active) return;
 
-  lastVisionSignal = message;
-  visionEnabled = true;
-
-  // Track face missing time
-  if (!message.facePresent) {
-    faceMissingMs = message.faceMissingMs || (faceMissingMs + 250);
-  } else {
-    faceMissingMs = 0;
-  }
-
-  // Track looking away time
-  if (message.lookingAway) {
-    lookingAwayMs = message.lookingAwayMs || (lookingAwayMs + 250);
-  } else {
-    lookingAwayMs = 0;
-  }
-
-  // Store in state for focus scoring
-  state.signals.visionEnabled = true;
-  state.signals.facePresent = message.facePresent;
-  state.signals.lookingAway = message.lookingAway;
-  state.signals.visionAttentionScore = message.attentionScore;
-  state.signals.faceMissingMs = faceMissingMs;
-  state.signals.lookingAwayMs = lookingAwayMs;
+  // Stragglers from a tracker that was just paused or stopped
+  if (isVisionPaused(runtimeVision) || (!state.session.active && !runtimeVision.cameraPageOpen)) return;
+  await setCameraBadge(true);
+  if (!state.session.active) return;
 
-  await saveState(state);
+  const { vision } = await updateRuntime(({ vision }) => {
+    // Track face missing time
+    vision.faceMissingMs = message.facePresent ? 0 : (message.faceMissingMs || (vision.faceMissingMs + 250));
+    // Track looking away time
+    vision.lookingAwayMs = message.lookingAway ? (message.lookingAwayMs || (vision.lookingAwayMs + 250)) : 0;
+  });
+  const { faceMissingMs, lookingAwayMs } = vision;
+
+  // Store in state for focus scoring (only the vision sub-tree, so tick metrics aren't overwritten)
+  await patchState('signals.vision', {
+    enabled: true,
+    facePresent: message.facePresent,
+    lookingAway: message.lookingAway,
+    attentionScore: message.attentionScore,
+    faceMissingMs,
+    lookingAwayMs,
+    phoneVisible: message.phoneVisible,
+    phoneInHand: message.phoneInHand,
+    phoneMs: message.phoneMs,
+    otherPerson: message.otherPerson,
+    otherPersonMs: message.otherPersonMs,
+    lastSignalAt: Date.now(),
+  });
 
   // Trigger alarm if face has been away too long
   const now = Date.now();
   if (!message.facePresent && faceMissingMs >= FACE_AWAY_ALARM_THRESHOLD_MS) {
-    const timeSinceLastAlarm = now - lastFaceAwayAlarm;
+    const timeSinceLastAlarm = now - vision.lastFaceAwayAlarm;
     if (timeSinceLastAlarm > FACE_AWAY_ALARM_COOLDOWN_MS) {
       console.log('[Vision] Face away alarm triggered!');
-      lastFaceAwayAlarm = now;
+      await updateRuntime((runtime) => {
+        runtime.vision.lastFaceAwayAlarm = now;
+      });
       await playAlarm('PLAY_CHIME'); // Gentle chime first
 
       // If still away after another 10s, escalate
@@ -618,8 +730,6 @@ async function handleVisionSignal(message) {
       }
     }
   }
-
-  console.log('[Vision] Face:', message.facePresent, 'Away:', faceMissingMs + 'ms', 'Attention:', Math.round(message.attentionScore * 100) + '%');
 }
 
 // ============================================================
@@ -628,29 +738,28 @@ async function handleVisionSignal(message) {
 
 /**
  * Ensure offscreen document is created for audio playback
+ * Checks the live contexts every time: Chrome closes idle audio documents and
+ * restarts the worker, so a remembered flag would go stale
  */
 async function ensureOffscreen() {
-  if (offscreenCreated) return true;
-
   try {
-    // Check if already exists
     const existingContexts = await chrome.runtime.getContexts({
       contextTypes: ['OFFSCREEN_DOCUMENT'],
     });
-
-    if (existingContexts.length > 0) {
-      offscreenCreated = true;
-      return true;
+    if (existingContexts.length > 0) return true;
+
+    // Create new offscreen document (once, even if several alarms ask at the same time)
+    if (!offscreenCreating) {
+      offscreenCreating = chrome.offscreen.createDocument({
+        url: 'src/offscreen/offscreen.html',
+        reasons: ['AUDIO_PLAYBACK', 'USER_MEDIA'],
+        justification: 'Play alarm sounds for focus interventions and run camera focus detection during sessions'
+      }).finally(() => {
+        offscreenCreating = null;
+      });
     }
+    await offscreenCreating;
 
-    // Create new offscreen document
-    await chrome.offscreen.createDocument({
-      url: 'src/offscreen/offscreen.html',
-      reasons: ['AUDIO_PLAYBACK'],
-      justification: 'Play alarm sounds for focus interventions'
-    });
-
-    offscreenCreated = true;
     console.log('[FocusDJ] Offscreen document created');
     return true;
   } catch (err) {
@@ -659,18 +768,173 @@ async function ensureOffscreen() {
   }
 }
 
+// ============================================================
+// Session Vision (camera detection in the offscreen document)
+// ============================================================
+
+const VISION_RETRY_MS = 60000;   // between attempts to (re)start stale vision
+const VISION_PAUSE_MIN = 10;     // popup "pause camera"
+
+const VISION_OFF = {
+  enabled: false,
+  faceMissingMs: 0,
+  lookingAwayMs: 0,
+  phoneVisible: false,
+  phoneInHand: false,
+  phoneMs: 0,
+  otherPerson: false,
+  otherPersonMs: 0,
+};
+
+function isVisionPaused(vision, now = Date.now()) {
+  return vision.pausedUntil > now;
+}
+
+/**
+ * No keyboard, mouse or scroll activity for settings.visionIdleStopMin (0 = never),
+ * unless chrome.idle saw input outside the page (e.g. in a PDF)
+ */
+function isIdleForVision(state, now) {
+  const minutes = state.settings.visionIdleStopMin;
+  if (!minutes || state.signals.systemIdle === false) return false;
+  const { lastMouseMove, lastKeyPress, lastScroll } = state.signals;
+  return now - Math.max(lastMouseMove || 0, lastKeyPress || 0, lastScroll || 0) > minutes * 60000;
+}
+
+/**
+ * Camera indicator on the extension action, shown while detection reports in
+ */
+async function setCameraBadge(live) {
+  let changed = false;
+  await updateRuntime((runtime) => {
+    changed = runtime.vision.badgeOn !== live;
+    runtime.vision.badgeOn = live;
+  });
+  if (!changed) return;
+
+  try {
+    await chrome.action.setBadgeBackgroundColor({ color: '#ef4444' });
+    await chrome.action.setBadgeText({ text: live ? 'CAM' : '' });
+    await chrome.action.setTitle({ title: live ? 'FocusDJ - camera on' : 'FocusDJ' });
+  } catch (err) {
+    console.error('[Vision] Failed to update camera badge:', err);
+  }
+}
+
+/**
+ * Start camera detection for the session (settings.trackCamera)
+ * Skipped while the camera page is open (it tracks instead), while paused and while the user is idle
+ */
+async function startVision(state) {
+  const { settings } = state;
+  if (!settings.trackCamera || isIdleForVision(state, Date.now())) return false;
+
+  const { vision } = await updateRuntime((runtime) => {
+    if (!runtime.vision.cameraPageOpen) runtime.vision.lastStartAttempt = Date.now();
+  });
+  if (vision.cameraPageOpen || isVisionPaused(vision)) return false;
+  if (!(await ensureOffscreen())) return false;
+
+  try {
+    const result = await chrome.runtime.sendMessage({
+      type: 'OFFSCREEN_VISION_START',
+      settings: {
+        gazeCalibration: settings.gazeCalibration,
+        visionObjectDetection: settings.visionObjectDetection,
+      },
+    });
+    if (!result?.success) {
+      console.warn('[Vision] Offscreen vision failed:', result?.error);
+      return false;
+    }
+    console.log('[Vision] Offscreen vision started:', result.method);
+    return true;
+  } catch (err) {
+    console.error('[Vision] Failed to start offscreen vision:', err);
+    return false;
+  }
+}
+
+/**
+ * Stop offscreen camera detection (if it's running)
+ */
+async function stopOffscreenVision() {
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+  if (!contexts.length) return;
+  await chrome.runtime.sendMessage({ type: 'OFFSCREEN_VISION_STOP' }).catch(() => {});
+}
+
+/**
+ * Turn the camera off everywhere: the offscreen tracker and an open camera page
+ * @param {string} reason - 'session ended' | 'paused' | 'idle', shown on the camera page
+ */
+async function stopAllVision(reason) {
+  await stopOffscreenVision();
+  await chrome.runtime.sendMessage({ type: 'VISION_AUTO_STOP', reason }).catch(() => {});
+  await patchState('signals.vision', VISION_OFF);
+  await setCameraBadge(false);
+  console.log('[Vision] Camera stopped:', reason);
+}
+
+/**
+ * Pause camera detection for a while (popup), or resume it (minutes = 0)
+ */
+async function pauseVision(minutes) {
+  const pausedUntil = minutes > 0 ? Date.now() + minutes * 60000 : 0;
+  await updateRuntime((runtime) => {
+    runtime.vision.pausedUntil = pausedUntil;
+  });
+
+  if (pausedUntil) {
+    await stopAllVision('paused');
+  } else {
+    const state = await loadState();
+    if (state.session.active) await startVision(state);
+  }
+  return { pausedUntil };
+}
+
+/**
+ * Keep session vision within its limits, once per tick: off while the user is
+ * idle, badge cleared when nothing reports, restarted when it went stale
+ * (offscreen document closed, camera lost, pause or idle over)
+ */
+async function updateSessionVision(state, now) {
+  const fresh = isVisionFresh(state.signals.vision, now);
+  const idle = isIdleForVision(state, now);
+  if (fresh) {
+    if (idle) await stopAllVision('idle');
+    return;
+  }
+
+  await setCameraBadge(false);
+  if (!state.settings.trackCamera || idle) return;
+  const { vision } = await getRuntime();
+  if (isVisionPaused(vision, now) || now - vision.lastStartAttempt < VISION_RETRY_MS) return;
+
+  // A camera page that stopped reporting was closed without saying so
+  if (vision.cameraPageOpen) {
+    await updateRuntime((runtime) => {
+      runtime.vision.cameraPageOpen = false;
+    });
+  }
+  await startVision(state);
+}
+
 /**
  * Play an alarm sound via offscreen document
  */
 async function playAlarm(type = 'PLAY_ALARM') {
   const ready = await ensureOffscreen();
-  if (!ready) return;
+  if (!ready) return false;
 
   try {
     await chrome.runtime.sendMessage({ type });
     console.log('[FocusDJ] Alarm played:', type);
+    return true;
   } catch (err) {
     console.error('[FocusDJ] Failed to play alarm:', err);
+    return false;
   }
 }
 
@@ -679,74 +943,57 @@ async function playAlarm(type = 'PLAY_ALARM') {
 // ============================================================
 
 /**
- * Check if current URL is a doomscroll site
+ * Active tab URL from the runtime store
+ * After a browser restart the session store is empty, so ask Chrome and remember it
  */
-function isDoomscrollUrl(url) {
-  if (!url) return false;
-
-  try {
-    const hostname = new URL(url).hostname;
-    const fullPath = hostname + new URL(url).pathname;
-
-    return DEFAULT_DOOMSCROLL_SITES.some(site => {
-      if (site.includes('/')) {
-        return fullPath.includes(site);
-      }
-      return hostname.includes(site);
+async function getCurrentTabUrl() {
+  const { currentTabUrl } = await getRuntime();
+  if (currentTabUrl) return currentTabUrl;
+
+  const tabs = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  const url = tabs[0]?.url || null;
+  if (url) {
+    await updateRuntime((runtime) => {
+      runtime.currentTabUrl = url;
     });
-  } catch {
-    return false;
   }
+  return url || '';
 }
 
 /**
- * Update doomscroll detection timer
+ * Advance the doomscroll detector (see doomscroll.js) and sound the alarm it asks for
  * Called every tick
  */
-async function updateDoomscrollDetection(state) {
+async function updateDoomscrollDetection() {
+  const url = await getCurrentTabUrl();
   const now = Date.now();
 
-  // Check if on a doomscroll site
-  const currentUrl = currentTabUrl || '';
-  const isDoomscrolling = isDoomscrollUrl(currentUrl);
-
-  if (isDoomscrolling) {
-    // Increment doomscroll timer (roughly 10 seconds per tick)
-    doomscrollSeconds += TICK_INTERVAL_MS / 1000;
-
-    console.log(`[Doomscroll] On ${new URL(currentUrl).hostname} for ${doomscrollSeconds}s`);
-
-    // Check if we should trigger alarm
-    if (doomscrollSeconds >= DOOMSCROLL_THRESHOLD_SECONDS) {
-      const timeSinceLastAlarm = now - lastDoomscrollAlarm;
+  let result = null;
+  const state = await updateState((s) => {
+    if (s.session.active) {
+      result = updateDoomscroll(s, url, now);
+    }
+  });
+  if (!result?.site) return;
 
-      if (timeSinceLastAlarm > DOOMSCROLL_ALARM_COOLDOWN) {
-        // Trigger alarm!
-        console.log('[Doomscroll] Threshold exceeded! Triggering alarm');
-        lastDoomscrollAlarm = now;
+  console.log(`[Doomscroll] ${result.site}, dwell ${Math.round(state.session.doomscroll.dwellMs / 1000)}s, ` +
+    `velocity ${Math.round(state.session.doomscroll.velocity)}px/s`);
 
-        // Play alarm sound
-        await playAlarm('PLAY_ALARM');
+  if (result.alarm) {
+    console.log('[Doomscroll] Threshold exceeded! Triggering alarm');
 
-        // Also show Viola popup
-        await showViolaPopup('doomscrolling', null, state.metrics.focusScore);
+    // Play alarm sound
+    await playAlarm('PLAY_ALARM');
 
-        // If nuclear mode is enabled and this is a repeat offense, escalate
-        if (state.settings.nuclearEnabled && doomscrollSeconds > DOOMSCROLL_THRESHOLD_SECONDS * 2) {
-          console.log('[Doomscroll] Nuclear escalation!');
-          await playAlarm('PLAY_NUCLEAR');
-        }
+    // Also show Viola popup
+    await showViolaPopup('doomscrolling', null, state.metrics.focusScore);
 
-        // Reset timer after alarm (will start accumulating again if they stay)
-        doomscrollSeconds = DOOMSCROLL_THRESHOLD_SECONDS; // Keep high so next alarm is faster
-      }
+    // Repeat offense with nuclear mode enabled - escalate
+    if (result.nuclear) {
+      console.log('[Doomscroll] Nuclear escalation!');
+      await playAlarm('PLAY_NUCLEAR');
     }
-  } else {
-    // Decay doomscroll timer when on good sites
-    doomscrollSeconds = Math.max(0, doomscrollSeconds - (TICK_INTERVAL_MS / 1000) * 2);
   }
-
-  return isDoomscrolling;
 }
 
 // ============================================================
@@ -756,77 +1003,233 @@ async function updateDoomscrollDetection(state) {
 /**
  * Monitor track changes and record for BPM-focus correlation learning
  */
-async function monitorTrackChange(state) {
-  const playback = await getPlaybackInfo();
+async function monitorTrackChange(state, backends) {
+  const playback = await getPlaybackInfo(state.settings, backends);
   if (!playback?.available || !playback.isPlaying) return;
 
   const trackId = `${playback.track}_${playback.artist}`;
+  const { track: previous } = await getRuntime();
 
   // New track detected
-  if (trackId !== lastKnownTrackId && playback.track) {
+  if (trackId !== previous?.id && playback.track) {
     // End previous track recording
-    if (currentTrackHandler) {
+    if (previous) {
       try {
-        await currentTrackHandler(state.metrics.focusScore, false);
+        await finishTrackPlay(previous, state.metrics.focusScore, false);
       } catch (err) {
         console.warn('[Track Monitor] Failed to end previous track:', err);
       }
     }
 
-    // Start new track recording
+    // Start new track recording (plain data, so it survives a worker restart)
+    const play = startTrackPlay(
+      { title: playback.track, artist: playback.artist, thumbnail: playback.thumbnail },
+      state.metrics.focusScore,
+      state.session.mode
+    );
+    await updateRuntime((runtime) => {
+      runtime.track = play;
+    });
     try {
-      currentTrackHandler = await recordTrackPlay(
-        { title: playback.track, artist: playback.artist, thumbnail: playback.thumbnail },
-        state.metrics.focusScore,
-        state.session.mode
-      );
-      lastKnownTrackId = trackId;
+      await updateState((s) => logSessionTrack(s, playback, state.metrics.focusScore));
       console.log('[Track Monitor] Now tracking:', playback.track, 'by', playback.artist);
     } catch (err) {
-      console.warn('[Track Monitor] Failed to start track recording:', err);
-      currentTrackHandler = null;
+      console.warn('[Track Monitor] Failed to log track:', err);
     }
   }
 }
 
+// ============================================================
+// Session Log (archived by session_history.js)
+// ============================================================
+
+function ensureSessionLog(state) {
+  state.sessionLog = state.sessionLog || {};
+  state.sessionLog.interventions = state.sessionLog.interventions || [];
+  state.sessionLog.tracksPlayed = state.sessionLog.tracksPlayed || [];
+  return state.sessionLog;
+}
+
+function logSessionIntervention(state, intervention) {
+  ensureSessionLog(state).interventions.push({ ...intervention, delta: null, reward: null });
+  if (getIntervention(intervention.type)?.silent) return;   // hold-outs aren't interventions the user saw
+  state.dailyStats = state.dailyStats || {};
+  recordIntervention(state.dailyStats, intervention.appliedAt);
+}
+
+function logInterventionOutcome(state, appliedAt, delta, reward) {
+  const entry = ensureSessionLog(state).interventions.find((i) => i.appliedAt === appliedAt);
+  if (entry) {
+    entry.delta = delta;
+    entry.reward = reward;
+  }
+}
+
+function logSessionTrack(state, playback, focusScore) {
+  ensureSessionLog(state).tracksPlayed.push({
+    title: playback.track,
+    artist: playback.artist,
+    backend: playback.backend || null,
+    startedAt: Date.now(),
+    focusScore,
+  });
+}
+
 // ============================================================
 // Main tick loop
 // ============================================================
 
+/**
+ * Has there been no keyboard or mouse input anywhere (not just in web pages)?
+ * Confirms the content script's idle time; null if Chrome can't tell
+ */
+async function querySystemIdle() {
+  try {
+    const idleState = await chrome.idle.queryState(SYSTEM_IDLE_SECONDS);
+    return idleState !== 'active';
+  } catch (err) {
+    console.warn('[FocusDJ] Idle state unavailable:', err);
+    return null;
+  }
+}
+
 /**
  * Main loop - runs every TICK_INTERVAL_MS
  */
 async function tick() {
-  const now = Date.now();
-  const state = await loadState();
+  const snapshot = await loadState();
 
   // Skip if session not active
-  if (!state.session.active) return;
+  if (!snapshot.session.active) return;
 
-  // Check if YouTube Music is available (don't skip if not - still track focus)
-  const musicAvailable = await isYTMusicAvailable();
+  // Check which music backends are available, once per tick (don't skip if none - still track focus)
+  const backends = await getAvailableBackends(snapshot.settings);
+  const musicBackend = backends[0] || null;
+  const musicAvailable = musicBackend !== null;
 
   // Monitor track changes for music intelligence (BPM-focus correlation)
-  if (musicAvailable && state.settings.aiRecommendationsEnabled !== false) {
-    await monitorTrackChange(state);
+  if (musicAvailable && snapshot.settings.aiRecommendationsEnabled !== false) {
+    await monitorTrackChange(snapshot, backends);
   }
 
   // Update doomscroll detection (triggers alarms if threshold exceeded)
-  await updateDoomscrollDetection(state);
+  await updateDoomscrollDetection();
+
+  // Camera off while idle; detection that stopped reporting is ignored by the focus model, try to bring it back
+  await updateSessionVision(snapshot, Date.now());
+
+  // No input in the page may still be input elsewhere (a PDF viewer, another window)
+  const systemIdle = await querySystemIdle();
+
+  // Score this tick in one transaction (no awaits inside, so it can't interleave)
+  const now = Date.now();
+  let focusResult = null;
+  const state = await updateState((s) => {
+    if (s.session.active) {
+      s.signals.systemIdle = systemIdle;
+      focusResult = scoreTick(s, now);
+    }
+  });
+  if (!focusResult) return;
+
+  const focusScore = focusResult.score;
+  const { focusTrend, trendDelta } = state.metrics;
+
+  // Check if we should intervene (only if music is available)
+  // Skip intervention if alarm was just triggered (avoid double-action)
+  const lastDoomscrollAlarm = state.session.doomscroll?.lastAlarmAt || 0;
+  const { lastFaceAwayAlarm } = (await getRuntime()).vision;
+  const recentAlarm = (now - lastDoomscrollAlarm < 10000) || (now - lastFaceAwayAlarm < 10000);
+
+  // Log intervention check status
+  const interventionCheck = shouldIntervene(state, now);
+  console.log(`[Tick] Focus: ${focusScore}, Site: ${state.signals.currentCategory}, Music: ${musicBackend?.id || 'none'}, RecentAlarm: ${recentAlarm}, ShouldIntervene: ${interventionCheck.should} (${interventionCheck.reason})`);
+
+  if (interventionCheck.should && !recentAlarm) {
+    // Doomscroll detector, scrolling on a bad site, just being on one, or the camera sees a phone / company
+    const { vision } = state.signals;
+    const isDoomscrolling = state.signals.isDoomscrolling || !!state.session.doomscroll?.active ||
+      ['socialMedia', 'entertainment', 'games', 'blocked'].includes(state.signals.currentCategory) ||
+      (isVisionFresh(vision, now) && (vision.phoneInHand || vision.otherPerson));
+    const context = getInterventionContext(state, now);
+    const musicBackends = backends.map((backend) => backend.id);
+    const interventionType = selectIntervention(state, isDoomscrolling, context, musicBackends);
+
+    if (interventionType) {
+      console.log(`[Tick] Intervening: ${interventionType} (reason: ${interventionCheck.reason}, context: ${context.key})`);
+
+      // Apply through the registry (music ones fall back to the other backend if they fail)
+      const result = await runIntervention(
+        interventionType,
+        buildInterventionRuntime(state, { focusScore, isDoomscrolling, musicBackends }, backends)
+      );
+      console.log(`[Tick] ${interventionType} result:`, result);
 
+      if (result?.success) {
+        await updateState((s) => recordAppliedIntervention(s, interventionType, now, focusScore, context.key));
+      }
+
+      // Notify UI (hold-outs happen silently)
+      if (result?.success && !getIntervention(interventionType)?.silent) {
+        chrome.runtime.sendMessage({
+          type: 'INTERVENTION_APPLIED',
+          intervention: interventionType,
+          description: getInterventionDescription(interventionType),
+          focusScore,
+        }).catch(() => {});
+      }
+    }
+  }
+
+  // Undo lasting interventions (e.g. ducked volume) once they're due
+  if (state.pendingReversal && now >= state.pendingReversal.dueAt) {
+    await runPendingReversal(state, backends);
+  }
+
+  // Broadcast state update to UI
+  chrome.runtime.sendMessage({
+    type: 'STATE_UPDATE',
+    focusScore,
+    focusTrend,
+    trendDelta,
+    sessionActive: state.session.active,
+    mode: state.session.mode,
+    musicAvailable,
+    musicBackend: musicBackend?.id || null,
+    // Additional info for enhanced UI
+    currentSite: state.signals.currentSite,
+    currentCategory: state.signals.currentCategory,
+    currentSiteRule: state.signals.currentSiteRule,
+    canCorrectCategory: !!state.signals.currentPage,
+    isActivelyTyping: state.signals.isActivelyTyping,
+    isDoomscrolling: state.signals.isDoomscrolling,
+    penalties: focusResult.penalties,
+    bonuses: focusResult.bonuses,
+    escalation: getEscalationLevel(state, now),
+  }).catch(() => {});
+}
+
+/**
+ * Fold one tick into state: site time, focus score, history, metrics,
+ * daily rollup and evaluation of the previous intervention
+ * Runs inside a transaction, so it must stay synchronous
+ */
+function scoreTick(state, now) {
   // Update site time for current site
   if (state.signals.currentSite) {
     const hostname = state.signals.currentSite;
     state.signals.siteTime = state.signals.siteTime || {};
     if (state.signals.siteTime[hostname]?.lastStart) {
-      const elapsed = now - state.signals.siteTime[hostname].lastStart;
-      state.signals.siteTime[hostname].totalMs += elapsed;
+      accumulateSiteTime(state, hostname, state.signals.siteTime[hostname].lastStart, now);
       state.signals.siteTime[hostname].lastStart = now; // Reset for next tick
     }
   }
 
   // Compute focus score using multi-signal model
-  const focusResult = computeFocusScore(state.signals, state.settings, state.session.mode);
+  const focusResult = computeFocusScore(state.signals, state.settings, state.session.mode, {
+    baseline: getActiveBaseline(state),
+  });
+  recordBaselineTick(state.baseline, focusResult.debug, now);
   const focusScore = focusResult.score;
   const focusTrend = updateEMA(state.metrics.focusTrend, focusScore);
 
@@ -838,8 +1241,9 @@ async function tick() {
 
   const trendDelta = computeTrendDelta(state.history, now);
 
-  // Update metrics with debug info from focus model
+  // Update metrics with debug info from focus model (keeps Screen Time totals)
   state.metrics = {
+    ...state.metrics,
     focusScore,
     focusTrend,
     trendDelta,
@@ -848,6 +1252,10 @@ async function tick() {
     debug: focusResult.debug,
   };
 
+  // Daily rollup
+  recordFocusSample(state.dailyStats, focusScore, now);
+  pruneDailyStats(state.dailyStats, state.settings.dailyStatsRetentionDays, now);
+
   // Check if we should evaluate previous intervention
   if (state.lastIntervention) {
     const elapsed = now - state.lastIntervention.appliedAt;
@@ -857,87 +1265,96 @@ async function tick() {
         console.log(
           `Intervention ${evalResult.interventionType}: delta=${evalResult.delta}, reward=${evalResult.reward.toFixed(2)}`
         );
+        logInterventionOutcome(state, state.lastIntervention.appliedAt, evalResult.delta, evalResult.reward);
         state.policy = evalResult.policy;
         state.lastIntervention = null;
+
+        // Worked = focus went up; otherwise escalate (hold-outs only feed the baseline)
+        if (!evalResult.holdOut) {
+          const level = updateEscalation(state, evalResult.delta > 0, now);
+          console.log(`[Escalation] ${evalResult.delta > 0 ? 'Stepped down' : 'Escalated'} to level ${level}`);
+        }
       }
     }
   }
 
-  // Check if we should intervene (only if music is available)
-  // Skip intervention if alarm was just triggered (avoid double-action)
-  const recentAlarm = (now - lastDoomscrollAlarm < 10000) || (now - lastFaceAwayAlarm < 10000);
+  return focusResult;
+}
 
-  // Log intervention check status
-  const interventionCheck = shouldIntervene(state, now);
-  console.log(`[Tick] Focus: ${focusScore}, Site: ${state.signals.currentCategory}, Music: ${musicAvailable}, RecentAlarm: ${recentAlarm}, ShouldIntervene: ${interventionCheck.should} (${interventionCheck.reason})`);
+function recordAppliedIntervention(state, type, appliedAt, preScore, context) {
+  state.lastIntervention = { type, appliedAt, preScore, context };
+  logSessionIntervention(state, state.lastIntervention);
 
-  if (interventionCheck.should && !recentAlarm) {
-    // Use the doomscrolling detection from activity tracker
-    const isDoomscrolling = state.signals.isDoomscrolling ||
-      ['socialMedia', 'entertainment', 'games', 'blocked'].includes(state.signals.currentCategory);
-    const interventionType = selectIntervention(state, isDoomscrolling);
-
-    console.log(`[Tick] Intervening: ${interventionType} (reason: ${interventionCheck.reason})`);
-
-    // Handle Viola popup specially - doesn't require music
-    if (interventionType === 'VIOLA_POPUP') {
-      // Pick message type based on context
-      let messageType = 'stillDistracted';
-      if (isDoomscrolling) messageType = 'doomscrolling';
-
-      const popupResult = await showViolaPopup(messageType, null, focusScore);
-      console.log(`[Tick] Viola popup result:`, popupResult);
-
-      if (popupResult.success) {
-        state.lastIntervention = {
-          type: interventionType,
-          appliedAt: now,
-          preScore: focusScore,
-        };
-      }
-    }
-    // Music interventions require music to be available
-    else if (musicAvailable) {
-      // Apply the intervention
-      const result = await applyIntervention(interventionType);
+  const intervention = getIntervention(type);
+  if (intervention?.reverse) {
+    state.pendingReversal = { type, dueAt: appliedAt + intervention.reverseAfterMs };
+  }
+}
 
-      if (result?.success) {
-        state.lastIntervention = {
-          type: interventionType,
-          appliedAt: now,
-          preScore: focusScore,
-        };
+// ============================================================
+// Intervention Runtime
+// ============================================================
 
-        // Notify UI
-        chrome.runtime.sendMessage({
-          type: 'INTERVENTION_APPLIED',
-          intervention: interventionType,
-          description: getInterventionDescription(interventionType),
-          focusScore,
-        }).catch(() => {});
-      }
-    }
+/**
+ * Music actions registry hooks may call (see interventions.js)
+ * @param {object[]|null} backends - available backends resolved this tick (null = look them up)
+ */
+function musicActions(backends) {
+  return {
+    applyIntervention: (type, settings) => applyIntervention(type, settings, backends),
+    restoreVolume: (settings) => restoreVolume(settings, backends),
+  };
+}
+
+/**
+ * Context handed to intervention apply/reverse hooks
+ */
+function buildInterventionRuntime(state, extra = {}, backends = null) {
+  return {
+    state,
+    settings: state.settings,
+    music: musicActions(backends),
+    showViolaPopup,
+    playSound: async (type) => ({ success: await playAlarm(type) }),
+    ...extra,
+  };
+}
+
+/**
+ * Reverse the pending intervention now (when due, or when the session stops)
+ */
+async function runPendingReversal(state, backends = null) {
+  const { type } = state.pendingReversal;
+  try {
+    const result = await reverseIntervention(type, buildInterventionRuntime(state, {}, backends));
+    console.log(`[Tick] Reversed ${type}:`, result);
+  } catch (err) {
+    console.warn(`[Tick] Failed to reverse ${type}:`, err);
   }
+  await updateState((s) => {
+    s.pendingReversal = null;
+  });
+}
 
-  // Broadcast state update to UI
-  chrome.runtime.sendMessage({
-    type: 'STATE_UPDATE',
-    focusScore,
-    focusTrend,
-    trendDelta,
-    sessionActive: state.session.active,
-    mode: state.session.mode,
-    musicAvailable,
-    // Additional info for enhanced UI
-    currentSite: state.signals.currentSite,
-    currentCategory: state.signals.currentCategory,
-    isActivelyTyping: state.signals.isActivelyTyping,
-    isDoomscrolling: state.signals.isDoomscrolling,
-    penalties: focusResult.penalties,
-    bonuses: focusResult.bonuses,
-  }).catch(() => {});
+// ============================================================
+// Daily Stats Report
+// ============================================================
 
-  await saveState(state);
+/**
+ * Today, the last `days` days and their combined totals (a week by default)
+ */
+async function getDailyStatsReport(days = 7) {
+  const state = await loadState();
+  const now = Date.now();
+  const dailyStats = state.dailyStats || {};
+  const recent = getRecentDays(dailyStats, days, now);
+
+  return {
+    today: dailyStats.days?.[getDateKey(now)] || recent[recent.length - 1],
+    days: recent,
+    summary: summarizeDays(recent),
+    retentionDays: state.settings.dailyStatsRetentionDays,
+  };
 }
 
 // ============================================================
@@ -992,6 +1409,18 @@ async function handleSettingsSync(webSettings) {
 // Session control
 // ============================================================
 
+/**
+ * Runtime that isn't per-session: the camera's page/pause/badge state, and
+ * Spotify's pre-duck volume (a duck may be reversed after the session stops)
+ */
+function outlivesSession(runtime) {
+  const { cameraPageOpen, pausedUntil, badgeOn } = runtime.vision;
+  return {
+    vision: { ...structuredClone(DEFAULT_RUNTIME.vision), cameraPageOpen, pausedUntil, badgeOn },
+    spotifyDuckedFromVolume: runtime.spotifyDuckedFromVolume,
+  };
+}
+
 /**
  * Start a study session
  */
@@ -1004,12 +1433,16 @@ async function startSession(mode = 'normal') {
       mode,
       phase: 'study',
       startedAt: now,
+      escalation: createEscalation(),
+      doomscroll: createDoomscrollState(),
     },
     signals: {
       // Tab tracking
       tabSwitches: [],
       currentSite: null,
       currentCategory: null,
+      currentSiteRule: null,
+      currentPage: null,
       siteTime: {},
 
       // Activity signals (from content script)
@@ -1018,7 +1451,16 @@ async function startSession(mode = 'normal') {
       lastScroll: now,
       keyPressCount: 0,
       scrollCount: 0,
+      scrollVelocity: 0,
+      flickCount: 0,
+      msPerCard: null,
+      isInfiniteFeed: false,
+      isReading: false,
+      lastReading: null,
+      visibleTextShare: 0,
+      isPdf: false,
       isIdle: false,
+      systemIdle: null,
       isActivelyTyping: false,
       isDoomscrolling: false,
     },
@@ -1028,16 +1470,24 @@ async function startSession(mode = 'normal') {
       trendDelta: 0,
       penalties: [],
       bonuses: [],
+      productiveTime: 0,
+      unproductiveTime: 0,
+      neutralTime: 0,
     },
     lastIntervention: null,
     history: [],
+    sessionLog: {
+      interventions: [],
+      tracksPlayed: [],
+    },
   }));
 
-  // Get current tab
+  // Fresh runtime (face-away timers, track, ...) for the current tab
   const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-  if (tabs[0]?.url) {
-    currentTabUrl = tabs[0].url;
-  }
+  await resetRuntime((current) => ({ ...outlivesSession(current), currentTabUrl: tabs[0]?.url || null }));
+
+  // Camera detection runs offscreen for the whole session (no camera tab needed)
+  await startVision(await loadState());
 
   // Start the alarm for periodic ticks
   chrome.alarms.create('focus-tick', { periodInMinutes: TICK_INTERVAL_MS / 60000 });
@@ -1049,17 +1499,44 @@ async function startSession(mode = 'normal') {
  * Stop the session
  */
 async function stopSession() {
-  await updateState((state) => ({
-    ...state,
-    session: {
-      ...state.session,
-      active: false,
-    },
-  }));
+  await updateState(async (state) => {
+    // Archive the session before it's marked inactive
+    if (state.session.active) {
+      // Credit the open span on the current site, or the last tick's worth is lost
+      const hostname = state.signals.currentSite;
+      const site = hostname && state.signals.siteTime?.[hostname];
+      const now = Date.now();
+      if (site?.lastStart) {
+        accumulateSiteTime(state, hostname, site.lastStart, now);
+        site.lastStart = null;
+      }
+
+      try {
+        await saveSession(buildSessionRecord(state, now));
+      } catch (err) {
+        console.error('[Session History] Failed to archive session:', err);
+      }
+      finishBaselineSession(state.baseline, state.settings.baselineCalibrationSessions);
+    }
+
+    return {
+      ...state,
+      session: {
+        ...state.session,
+        active: false,
+      },
+    };
+  });
 
   chrome.alarms.clear('focus-tick');
-  offTaskStart = null;
-  currentTabUrl = null;
+  await resetRuntime(outlivesSession);
+  await stopAllVision('session ended');
+
+  // Don't leave the music ducked after the session
+  const state = await loadState();
+  if (state.pendingReversal) {
+    await runPendingReversal(state);
+  }
 
   console.log('Session stopped');
 }
@@ -1102,15 +1579,37 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
       case 'GET_STATE':
         const state = await loadState();
-        const musicAvailable = await isYTMusicAvailable();
-        sendResponse({ ...state, musicAvailable });
+        const activeBackend = await getActiveBackend(state.settings);
+        sendResponse({ ...state, musicAvailable: !!activeBackend, musicBackend: activeBackend?.id || null });
         break;
 
       case 'GET_PLAYBACK':
-        const playback = await getPlaybackInfo();
+        const playback = await getPlaybackInfo((await loadState()).settings);
         sendResponse(playback);
         break;
 
+      case 'TOGGLE_PLAYBACK':
+        sendResponse(await togglePlayback((await loadState()).settings));
+        break;
+
+      case 'SPOTIFY_CONNECT':
+        try {
+          await startSpotifyAuth();
+          sendResponse({ success: true });
+        } catch (err) {
+          sendResponse({ success: false, error: err.message });
+        }
+        break;
+
+      case 'SPOTIFY_DISCONNECT':
+        await spotifyLogout();
+        sendResponse({ success: true });
+        break;
+
+      case 'SPOTIFY_STATUS':
+        sendResponse({ success: true, connected: await isSpotifyAuthenticated() });
+        break;
+
       case 'TICK':
         await tick();
         sendResponse({ success: true });
@@ -1123,7 +1622,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
       case 'ACTIVITY_REPORT':
         // Handle activity report from content script
-        await handleActivityReport(message);
+        await handleActivityReport(message, sender.tab?.active !== false);
         sendResponse({ success: true });
         break;
 
@@ -1134,18 +1633,33 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         break;
 
       case 'CAMERA_STARTED':
-        visionEnabled = true;
+        // The camera page tracks while it's open; the offscreen tracker stands down.
+        // Starting it by hand ends a pause
+        await updateRuntime((runtime) => {
+          runtime.vision.cameraPageOpen = true;
+          runtime.vision.pausedUntil = 0;
+        });
+        await stopOffscreenVision();
         console.log('[FocusDJ] Camera detection started');
         sendResponse({ success: true });
         break;
 
-      case 'CAMERA_STOPPED':
-        visionEnabled = false;
-        faceMissingMs = 0;
-        lookingAwayMs = 0;
+      case 'CAMERA_STOPPED': {
+        await updateRuntime((runtime) => {
+          runtime.vision.faceMissingMs = 0;
+          runtime.vision.lookingAwayMs = 0;
+          runtime.vision.cameraPageOpen = false;
+        });
+        await patchState('signals.vision', VISION_OFF);
+        await setCameraBadge(false);
         console.log('[FocusDJ] Camera detection stopped');
+
+        // Hand back to the offscreen tracker if a session wants the camera
+        const current = await loadState();
+        if (current.session.active) await startVision(current);
         sendResponse({ success: true });
         break;
+      }
 
       case 'SYNC_SETTINGS':
         // Handle settings sync from web app (FocusDJ dashboard)
@@ -1153,6 +1667,89 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         sendResponse({ success: true });
         break;
 
+      case 'UPDATE_SETTINGS':
+        // Partial settings update from popup/options
+        const updated = await patchState('settings', message.settings || {});
+        // Camera tracking switched mid-session
+        if (updated.session.active && 'trackCamera' in (message.settings || {})) {
+          if (updated.settings.trackCamera) {
+            await startVision(updated);
+          } else {
+            await stopOffscreenVision();
+            await patchState('signals.vision', VISION_OFF);
+            await setCameraBadge(false);
+          }
+        }
+        sendResponse({ success: true });
+        break;
+
+      case 'PAUSE_VISION':
+        // Popup "pause camera" (minutes: 0 resumes)
+        sendResponse(await pauseVision(message.minutes ?? VISION_PAUSE_MIN));
+        break;
+
+      case 'GET_VISION_STATUS': {
+        const { vision } = await getRuntime();
+        const visionState = await loadState();
+        sendResponse({
+          live: vision.badgeOn,
+          pausedUntil: isVisionPaused(vision) ? vision.pausedUntil : 0,
+          trackCamera: !!visionState.settings.trackCamera,
+        });
+        break;
+      }
+
+      case 'RESET_LEARNING':
+        // Forget intervention history and what works (options "Reset Learning Model")
+        await updateState((state) => {
+          state.history = [];
+          state.policy = structuredClone(DEFAULT_STATE.policy);
+        });
+        sendResponse({ success: true });
+        break;
+
+      case 'GET_BANDIT_STATS':
+        // Global and per-context arm estimates and reward trends, for debugging the bandit
+        const banditState = await loadState();
+        sendResponse({
+          success: true,
+          arms: banditState.policy.arms,
+          contexts: getContextStats(banditState.policy),
+          currentContext: getInterventionContext(banditState),
+          trends: getArmTrends(banditState.policy, message.periodDays),
+          holdOut: getHoldOutReport(banditState.policy),
+        });
+        break;
+
+      case 'CORRECT_PAGE_CATEGORY':
+        // User says the current page is really `category`; remembered for the page's channel/subreddit
+        let correctionKey = null;
+        await updateState((state) => {
+          const page = state.signals.currentPage;
+          if (!page) return;
+          correctionKey = recordPageCorrection(state.pageCorrections, page, message.category);
+          if (!correctionKey) return;
+          state.signals.currentCategory = message.category;
+          state.signals.currentSiteRule = `Your correction for ${describePageKey(correctionKey)}`;
+        });
+        sendResponse({ success: !!correctionKey, key: correctionKey });
+        break;
+
+      case 'FORGET_PAGE_CORRECTION':
+        await updateState((state) => {
+          delete state.pageCorrections[message.key];
+        });
+        sendResponse({ success: true });
+        break;
+
+      case 'RESET_BASELINE':
+        // Start calibrating again from the next session
+        await updateState((state) => {
+          state.baseline = createBaseline();
+        });
+        sendResponse({ success: true });
+        break;
+
       case 'START_POMODORO':
         await startPomodoro();
         sendResponse({ success: true });
@@ -1163,6 +1760,72 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         sendResponse({ success: true });
         break;
 
+      case 'GET_DAILY_STATS':
+        sendResponse({ success: true, ...(await getDailyStatsReport(message.days)) });
+        break;
+
+      // ============================================
+      // Session History
+      // ============================================
+
+      case 'GET_SESSIONS':
+        try {
+          const sessions = await listSessions(message.query || {});
+          sendResponse({ success: true, sessions });
+        } catch (err) {
+          sendResponse({ success: false, error: err.message });
+        }
+        break;
+
+      case 'GET_SESSION':
+        try {
+          const session = await getSession(message.id);
+          sendResponse({ success: !!session, session });
+        } catch (err) {
+          sendResponse({ success: false, error: err.message });
+        }
+        break;
+
+      case 'DELETE_SESSION':
+        try {
+          await deleteSession(message.id);
+          sendResponse({ success: true });
+        } catch (err) {
+          sendResponse({ success: false, error: err.message });
+        }
+        break;
+
+      case 'CLEAR_SESSIONS':
+        try {
+          await clearSessions();
+          sendResponse({ success: true });
+        } catch (err) {
+          sendResponse({ success: false, error: err.message });
+        }
+        break;
+
+      // ============================================
+      // Export / Import
+      // ============================================
+
+      case 'EXPORT_DATA':
+        try {
+          const bundle = await buildExportBundle({ includeApiKeys: !!message.includeApiKeys });
+          sendResponse({ success: true, bundle });
+        } catch (err) {
+          sendResponse({ success: false, error: err.message });
+        }
+        break;
+
+      case 'IMPORT_DATA':
+        try {
+          const summary = await importBundle(message.bundle, { mode: message.mode });
+          sendResponse({ success: true, summary });
+        } catch (err) {
+          sendResponse({ success: false, error: err.message });
+        }
+        break;
+
       case 'GET_POMODORO_STATUS':
         const pomodoroStatus = await getPomodoroStatus();
         sendResponse(pomodoroStatus);
@@ -1184,8 +1847,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         const currentSettings = (await loadState()).settings;
         for (const tab of productiveTabs) {
           if (tab.url) {
-            const hostname = new URL(tab.url).hostname;
-            const category = categorizeSite(hostname, currentSettings);
+            const category = categorizeSite(tab.url, currentSettings);
             if (category === 'productive') {
               await chrome.tabs.update(tab.id, { active: true });
               sendResponse({ success: true, tab: tab.url });
@@ -1221,7 +1883,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       case 'GET_CONTEXTUAL_RECOMMENDATION':
         try {
           const currentState = await loadState();
-          const playbackInfo = await getPlaybackInfo();
+          const playbackInfo = await getPlaybackInfo(currentState.settings);
           const recommendation = await getContextualRecommendation(
             currentState.metrics.focusScore,
             playbackInfo?.track ? { title: playbackInfo.track, artist: playbackInfo.artist } : null
@@ -1245,8 +1907,9 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         try {
           await clearMusicIntelligence();
           await clearRecommendationData();
-          currentTrackHandler = null;
-          lastKnownTrackId = null;
+          await updateRuntime((runtime) => {
+            runtime.track = null;
+          });
           sendResponse({ success: true });
         } catch (err) {
           sendResponse({ success: false, error: err.message });
@@ -1288,13 +1951,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         // Manual test trigger for smart music recommendation
         try {
           console.log('[Test] Triggering smart recommendation manually');
-          const musicAvailable = await isYTMusicAvailable();
-          if (!musicAvailable) {
-            sendResponse({ success: false, error: 'YouTube Music tab not open' });
+          const testSettings = (await loadState()).settings;
+          if (!(await getActiveBackend(testSettings))) {
+            sendResponse({ success: false, error: 'No music backend available (open YouTube Music or connect Spotify)' });
             break;
           }
 
-          const result = await applyIntervention('SMART_RECOMMEND');
+          const result = await applyIntervention('SMART_RECOMMEND', testSettings);
           console.log('[Test] Smart recommend result:', result);
           sendResponse({
             success: result?.success || false,
@@ -1333,6 +1996,28 @@ chrome.runtime.onMessageExternal.addListener((message, sender, sendResponse) =>
         sendResponse({ success: true, state });
         break;
 
+      case 'GET_SESSIONS':
+        try {
+          const sessions = await listSessions(message.query || {});
+          sendResponse({ success: true, sessions });
+        } catch (err) {
+          sendResponse({ success: false, error: err.message });
+        }
+        break;
+
+      case 'GET_SESSION':
+        try {
+          const session = await getSession(message.id);
+          sendResponse({ success: !!session, session });
+        } catch (err) {
+          sendResponse({ success: false, error: err.message });
+        }
+        break;
+
+      case 'GET_DAILY_STATS':
+        sendResponse({ success: true, ...(await getDailyStatsReport(message.days)) });
+        break;
+
       case 'PING':
         sendResponse({ success: true, version: '0.1.0' });
         break;
@@ -1371,8 +2056,10 @@ chrome.alarms.onAlarm.addListener((alarm) => {
 });
 
 // Extension installed/updated
-chrome.runtime.onInstalled.addListener(() => {
-  console.log('FocusDJ installed/updated');
+chrome.runtime.onInstalled.addListener(async (details) => {
+  console.log('FocusDJ installed/updated:', details?.reason);
+  const state = await migrateStoredState();
+  console.log('State schema version', state.schemaVersion);
 });
 
 // Startup
@@ -0,0 +1,166 @@
+// Session History - persistent archive of finished sessions (IndexedDB)
+// chrome.storage.local only holds the live session; every stopped session lands here
+
+const DB_NAME = 'focusdj';
+const DB_VERSION = 1;
+const STORE = 'sessions';
+
+let dbPromise = null;
+
+// ============================================================
+// IndexedDB helpers
+// ============================================================
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE)) {
+        const store = db.createObjectStore(STORE, { keyPath: 'id' });
+        store.createIndex('startedAt', 'startedAt');
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Run a request against the sessions store and resolve with its result
+ */
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// ============================================================
+// Summaries
+// ============================================================
+
+/**
+ * Build the archived record for a session from the live state
+ * Call with the state as it was right before the session stopped
+ */
+export function buildSessionRecord(state, endedAt = Date.now()) {
+  const startedAt = state.session.startedAt || endedAt;
+  const timeline = (state.history || [])
+    .filter((h) => h.timestamp >= startedAt)
+    .map((h) => ({ timestamp: h.timestamp, score: h.score }));
+
+  const scores = timeline.map((h) => h.score);
+  const avgFocusScore = scores.length
+    ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length)
+    : null;
+
+  // Close out time on the current site
+  const siteBreakdown = {};
+  for (const [hostname, data] of Object.entries(state.signals?.siteTime || {})) {
+    const openMs = data.lastStart ? endedAt - data.lastStart : 0;
+    siteBreakdown[hostname] = {
+      category: data.category || 'neutral',
+      totalMs: (data.totalMs || 0) + openMs,
+    };
+  }
+
+  const categoryBreakdown = {};
+  for (const { category, totalMs } of Object.values(siteBreakdown)) {
+    categoryBreakdown[category] = (categoryBreakdown[category] || 0) + totalMs;
+  }
+
+  const interventions = state.sessionLog?.interventions || [];
+  const rewarded = interventions.filter((i) => typeof i.reward === 'number');
+
+  return {
+    id: `${startedAt}`,
+    mode: state.session.mode,
+    startedAt,
+    endedAt,
+    durationMs: endedAt - startedAt,
+    timeline,
+    interventions,
+    siteBreakdown,
+    categoryBreakdown,
+    tracksPlayed: state.sessionLog?.tracksPlayed || [],
+    summary: {
+      avgFocusScore,
+      minFocusScore: scores.length ? Math.min(...scores) : null,
+      maxFocusScore: scores.length ? Math.max(...scores) : null,
+      interventionCount: interventions.length,
+      avgReward: rewarded.length
+        ? rewarded.reduce((sum, i) => sum + i.reward, 0) / rewarded.length
+        : null,
+    },
+  };
+}
+
+// ============================================================
+// Public API
+// ============================================================
+
+export async function saveSession(record) {
+  await withStore('readwrite', (store) => store.put(record));
+  console.log('[Session History] Saved session', record.id, `(${Math.round(record.durationMs / 60000)} min)`);
+  return record;
+}
+
+/**
+ * Store many sessions in one transaction (existing ids are overwritten)
+ */
+export async function saveSessions(records) {
+  if (!records.length) return 0;
+  await withStore('readwrite', (store) => {
+    records.forEach((record) => store.put(record));
+  });
+  return records.length;
+}
+
+export async function getSession(id) {
+  return (await withStore('readonly', (store) => store.get(id))) || null;
+}
+
+/**
+ * List sessions, newest first
+ * @param {number} since - only sessions started at or after this timestamp
+ * @param {number} until - only sessions started before this timestamp
+ * @param {string} mode - only sessions in this mode
+ * @param {boolean} includeDetails - include timeline/interventions/tracks (heavier)
+ */
+export async function listSessions({ limit = 50, since = 0, until = Infinity, mode = null, includeDetails = false } = {}) {
+  const range = IDBKeyRange.lowerBound(since);
+  const all = await withStore('readonly', (store) => store.index('startedAt').getAll(range));
+
+  return (all || [])
+    .filter((s) => s.startedAt < until && (!mode || s.mode === mode))
+    .sort((a, b) => b.startedAt - a.startedAt)
+    .slice(0, limit)
+    .map((s) => (includeDetails ? s : toListItem(s)));
+}
+
+function toListItem(session) {
+  const { timeline, interventions, tracksPlayed, siteBreakdown, ...rest } = session;
+  return { ...rest, trackCount: tracksPlayed?.length || 0 };
+}
+
+export async function deleteSession(id) {
+  await withStore('readwrite', (store) => store.delete(id));
+}
+
+export async function clearSessions() {
+  await withStore('readwrite', (store) => store.clear());
+}
@@ -0,0 +1,358 @@
+// Site Rules - one engine for productive, blocked and doomscroll sites
+// Built-in lists, the user's site lists and advanced rules all compile to the same rule shape,
+// are matched against host + path, and the winning rule is kept so the UI can say why
+
+// ============================================================
+// Built-in Lists
+// ============================================================
+
+// Site categories (like Apple Screen Time)
+export const SITE_CATEGORIES = {
+  // Productive - gives bonus
+  productive: [
+    // Music (for focus)
+    'music.youtube.com',
+    // Docs & Notes
+    'docs.google.com', 'notion.so', 'overleaf.com', 'quip.com', 'dropbox.paper.com',
+    'evernote.com', 'onenote.com', 'bear.app', 'roamresearch.com', 'obsidian.md',
+    // Code & Dev
+    'github.com', 'gitlab.com', 'bitbucket.org', 'stackoverflow.com', 'stackexchange.com',
+    'codepen.io', 'codesandbox.io', 'replit.com', 'jsfiddle.net', 'leetcode.com',
+    'hackerrank.com', 'codewars.com', 'exercism.org',
+    // Learning
+    'canvas.instructure.com', 'blackboard.com', 'coursera.org', 'edx.org', 'udemy.com',
+    'khanacademy.org', 'brilliant.org', 'duolingo.com', 'quizlet.com', 'chegg.com',
+    // Research
+    'scholar.google.com', 'jstor.org', 'pubmed.ncbi.nlm.nih.gov', 'arxiv.org',
+    'researchgate.net', 'academia.edu', 'wikipedia.org',
+    // Work tools
+    'slack.com', 'linear.app', 'asana.com', 'trello.com', 'monday.com', 'jira.atlassian.com',
+    'figma.com', 'miro.com', 'lucidchart.com',
+  ],
+
+  // Social Media - heavy penalty
+  socialMedia: [
+    'twitter.com', 'x.com', 'facebook.com', 'instagram.com', 'threads.net',
+    'snapchat.com', 'tiktok.com', 'linkedin.com', 'pinterest.com', 'tumblr.com',
+    'reddit.com', 'discord.com', 'twitch.tv', 'bsky.app', 'mastodon.social',
+  ],
+
+  // Entertainment - heavy penalty
+  entertainment: [
+    'youtube.com', 'netflix.com', 'hulu.com', 'disneyplus.com', 'hbomax.com',
+    'primevideo.com', 'peacocktv.com', 'crunchyroll.com', 'funimation.com',
+    'twitch.tv', 'kick.com', 'rumble.com', 'dailymotion.com', 'vimeo.com',
+    'spotify.com', 'soundcloud.com', 'pandora.com',
+  ],
+
+  // Games - heavy penalty
+  games: [
+    'roblox.com', 'minecraft.net', 'steampowered.com', 'epicgames.com',
+    'ea.com', 'battle.net', 'origin.com', 'gog.com', 'itch.io',
+    'poki.com', 'coolmathgames.com', 'kongregate.com', 'addictinggames.com',
+    'crazygames.com', 'y8.com', 'miniclip.com', 'games.yahoo.com',
+    'chess.com', 'lichess.org',
+    'pokerstars.com', 'ggpoker.com', 'partypoker.com', 'wsop.com', '888poker.com',
+    'casino.com', '888casino.com', 'stake.com', 'draftkings.com', 'fanduel.com',
+  ],
+
+  // Shopping - moderate penalty
+  shopping: [
+    'amazon.com', 'ebay.com', 'walmart.com', 'target.com', 'bestbuy.com',
+    'etsy.com', 'aliexpress.com', 'wish.com', 'shein.com', 'asos.com',
+    'zappos.com', 'nordstrom.com', 'macys.com', 'nike.com', 'adidas.com',
+  ],
+
+  // News - light penalty (can be productive but often isn't)
+  news: [
+    'cnn.com', 'foxnews.com', 'msnbc.com', 'bbc.com', 'nytimes.com',
+    'washingtonpost.com', 'theguardian.com', 'reuters.com', 'apnews.com',
+    'huffpost.com', 'buzzfeed.com', 'vice.com', 'vox.com', 'axios.com',
+  ],
+};
+
+// Infinite feeds that trigger the doomscroll alarm
+export const DEFAULT_DOOMSCROLL_SITES = [
+  'instagram.com',
+  'tiktok.com',
+  'x.com',
+  'twitter.com',
+  'reddit.com',
+  'youtube.com/shorts',
+  'facebook.com',
+];
+
+// Categories a rule can assign ('doomscroll' rules feed the doomscroll detector instead)
+export const RULE_CATEGORIES = [...Object.keys(SITE_CATEGORIES), 'blocked', 'neutral', 'doomscroll'];
+
+// User entries beat built-ins unless a rule says otherwise
+const BUILTIN_PRIORITY = 0;
+const USER_PRIORITY = 100;
+
+// ============================================================
+// Patterns
+// ============================================================
+// Patterns are matched case-insensitively against the URL without its scheme:
+//   example.com            the domain and any subdomain
+//   =example.com           exactly this host
+//   *.example.com          subdomains only
+//   example.com/path       path prefix (domain and subdomains)
+//   *.example.*, reddit.com/r/*/comments
+//                          glob, * matches anything (host only unless it has a /)
+//   /^(www\.)?reddit\.com\/r\/(funny|memes)/
+//                          regular expression on host + path
+
+const KIND_LABELS = {
+  exact: 'exact host',
+  domain: 'domain',
+  subdomain: 'subdomains',
+  path: 'path prefix',
+  glob: 'wildcard',
+  regex: 'regex',
+};
+
+const SOURCE_LABELS = {
+  builtin: 'built-in list',
+  customProductive: 'your study sites',
+  customBlocked: 'your blocked sites',
+  customDoomscrollSites: 'your doomscroll sites',
+  siteRules: 'your site rules',
+};
+
+function escapeRegex(s) {
+  return s.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function globToRegex(glob, anchorEnd) {
+  return new RegExp('^' + escapeRegex(glob).replace(/\*/g, '.*') + (anchorEnd ? '$' : ''), 'i');
+}
+
+function matchesDomain(host, domain) {
+  return host === domain || host.endsWith('.' + domain);
+}
+
+/**
+ * Split a URL (or bare hostname / host+path) into lowercase host and path
+ */
+export function parseSiteUrl(url) {
+  if (!url) return null;
+
+  let rest = String(url).trim().replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+  rest = rest.split(/[?#]/)[0];
+  const slash = rest.indexOf('/');
+  const host = (slash === -1 ? rest : rest.slice(0, slash)).replace(/:\d+$/, '').toLowerCase();
+  const path = slash === -1 ? '/' : rest.slice(slash);
+  return host ? { host, path } : null;
+}
+
+/**
+ * Compile one pattern into { kind, test(host, path), specificity }
+ * More specific kinds beat less specific ones at the same priority,
+ * so 'music.youtube.com' wins over 'youtube.com'
+ * @throws {Error} on an empty pattern or invalid regex
+ */
+export function compilePattern(pattern) {
+  const raw = String(pattern || '').trim();
+  if (!raw) throw new Error('Empty pattern');
+
+  if (raw.length > 2 && raw.startsWith('/') && raw.endsWith('/')) {
+    let regex;
+    try {
+      regex = new RegExp(raw.slice(1, -1), 'i');
+    } catch (err) {
+      throw new Error(`Invalid regex ${raw}: ${err.message}`);
+    }
+    return { kind: 'regex', specificity: 1, test: (host, path) => regex.test(host + path) };
+  }
+
+  const p = raw.toLowerCase().replace(/^[a-z][a-z0-9+.-]*:\/\//, '').replace(/(.)\/$/, '$1');
+
+  if (p.startsWith('=')) {
+    const host = p.slice(1);
+    return { kind: 'exact', specificity: 4000 + host.length, test: (h) => h === host };
+  }
+
+  if (p.startsWith('*.') && !p.slice(2).includes('*') && !p.includes('/')) {
+    const domain = p.slice(2);
+    return { kind: 'subdomain', specificity: 2000 + domain.length, test: (h) => h.endsWith('.' + domain) };
+  }
+
+  if (p.includes('*')) {
+    const literal = p.replace(/\*/g, '').length;
+    if (p.includes('/')) {
+      const regex = globToRegex(p, false);
+      return { kind: 'glob', specificity: 1000 + literal, test: (host, path) => regex.test(host + path) };
+    }
+    const regex = globToRegex(p, true);
+    return { kind: 'glob', specificity: 1000 + literal, test: (host) => regex.test(host) };
+  }
+
+  const slash = p.indexOf('/');
+  if (slash !== -1) {
+    const domain = p.slice(0, slash);
+    const prefix = p.slice(slash);
+    return {
+      kind: 'path',
+      specificity: 3000 + p.length,
+      test: (host, path) => matchesDomain(host, domain) && path.toLowerCase().startsWith(prefix),
+    };
+  }
+
+  return { kind: 'domain', specificity: 2000 + p.length, test: (host) => matchesDomain(host, p) };
+}
+
+// ============================================================
+// Rules
+// ============================================================
+
+/**
+ * Parse one advanced rule line: "pattern category [priority]"
+ * @returns {{ pattern, category, priority }}
+ * @throws {Error} if the line is malformed
+ */
+export function parseSiteRule(line) {
+  const [pattern, category, priority, ...extra] = String(line).trim().split(/\s+/);
+  if (!pattern || !category || extra.length) {
+    throw new Error(`Expected "pattern category [priority]": ${line}`);
+  }
+  const match = RULE_CATEGORIES.find((c) => c.toLowerCase() === category.toLowerCase());
+  if (!match) {
+    throw new Error(`Unknown category "${category}" (use ${RULE_CATEGORIES.join(', ')})`);
+  }
+  if (priority !== undefined && !/^-?\d+$/.test(priority)) {
+    throw new Error(`Priority must be a whole number: ${line}`);
+  }
+  compilePattern(pattern);
+  return { pattern, category: match, priority: priority === undefined ? USER_PRIORITY : parseInt(priority) };
+}
+
+/**
+ * Check a textarea of advanced rules (blank lines and # comments allowed)
+ * @returns {{ rules: string[], errors: string[] }}
+ */
+export function validateSiteRules(text) {
+  const rules = [];
+  const errors = [];
+  String(text || '').split('\n').forEach((line, i) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+    try {
+      parseSiteRule(trimmed);
+      rules.push(trimmed);
+    } catch (err) {
+      errors.push(`Line ${i + 1}: ${err.message}`);
+    }
+  });
+  return { rules, errors };
+}
+
+function compileRule(rule, index) {
+  return { ...rule, ...compilePattern(rule.pattern), index };
+}
+
+/**
+ * Every rule for these settings, in the order ties are broken
+ * Invalid user entries are skipped (they're validated when saved)
+ */
+function buildRules(settings) {
+  const rules = [];
+  const add = (pattern, category, priority, source) => {
+    try {
+      rules.push(compileRule({ pattern, category, priority, source }, rules.length));
+    } catch (err) {
+      console.warn('[SiteRules] Skipping', pattern, err.message);
+    }
+  };
+
+  for (const line of settings.siteRules || []) {
+    try {
+      const { pattern, category, priority } = parseSiteRule(line);
+      add(pattern, category, priority, 'siteRules');
+    } catch (err) {
+      console.warn('[SiteRules] Skipping rule:', err.message);
+    }
+  }
+  for (const s of settings.customBlocked || []) add(s, 'blocked', USER_PRIORITY, 'customBlocked');
+  for (const s of settings.customProductive || []) add(s, 'productive', USER_PRIORITY, 'customProductive');
+  for (const s of settings.customDoomscrollSites || []) add(s, 'doomscroll', USER_PRIORITY, 'customDoomscrollSites');
+
+  for (const [category, sites] of Object.entries(SITE_CATEGORIES)) {
+    for (const s of sites) add(s, category, BUILTIN_PRIORITY, 'builtin');
+  }
+  for (const s of DEFAULT_DOOMSCROLL_SITES) add(s, 'doomscroll', BUILTIN_PRIORITY, 'builtin');
+
+  return {
+    category: rules.filter((r) => r.category !== 'doomscroll'),
+    doomscroll: rules.filter((r) => r.category === 'doomscroll'),
+  };
+}
+
+// Compiled rules for the last settings seen (categorization runs on every tab change)
+let ruleCache = { key: null, rules: null };
+
+function getRules(settings = {}) {
+  const key = JSON.stringify([
+    settings.siteRules, settings.customBlocked, settings.customProductive, settings.customDoomscrollSites,
+  ]);
+  if (ruleCache.key !== key) {
+    ruleCache = { key, rules: buildRules(settings) };
+  }
+  return ruleCache.rules;
+}
+
+/**
+ * Highest priority matching rule, then most specific, then first listed
+ */
+function findMatch(rules, url) {
+  const parsed = parseSiteUrl(url);
+  if (!parsed) return null;
+
+  let best = null;
+  for (const rule of rules) {
+    if (!rule.test(parsed.host, parsed.path)) continue;
+    if (!best ||
+        rule.priority > best.priority ||
+        (rule.priority === best.priority && rule.specificity > best.specificity)) {
+      best = rule;
+    }
+  }
+  return best;
+}
+
+function toMatch(rule) {
+  if (!rule) return null;
+  const { pattern, category, priority, source, kind } = rule;
+  const match = { pattern, category, priority, source, kind };
+  return { ...match, explanation: explainMatch(match) };
+}
+
+/**
+ * Why a rule matched, for the popup and options page
+ * e.g. 'Matched music.youtube.com (domain) in built-in list'
+ */
+export function explainMatch(match) {
+  if (!match) return 'No rule matched';
+  const defaultPriority = match.source === 'builtin' ? BUILTIN_PRIORITY : USER_PRIORITY;
+  const priority = match.priority !== defaultPriority ? `, priority ${match.priority}` : '';
+  return `Matched ${match.pattern} (${KIND_LABELS[match.kind]}) in ${SOURCE_LABELS[match.source]}${priority}`;
+}
+
+/**
+ * Categorize a URL (or hostname)
+ * @returns {{ category: string, rule: object|null, explanation: string }}
+ */
+export function classifySite(url, settings = {}) {
+  const rule = toMatch(findMatch(getRules(settings).category, url));
+  return {
+    category: rule?.category || 'neutral',
+    rule,
+    explanation: explainMatch(rule),
+  };
+}
+
+/**
+ * The doomscroll rule this URL matches, or null
+ */
+export function matchDoomscroll(url, settings = {}) {
+  return toMatch(findMatch(getRules(settings).doomscroll, url));
+}
@@ -2,22 +2,46 @@
 // Applies different intervention types using Spotify API
 
 import * as api from './api.js';
+import { isAuthenticated } from './auth.js';
 import { loadState } from '../storage.js';
+import { getRuntime, updateRuntime } from '../runtime_store.js';
 import { INTERVENTIONS } from '../decision_engine.js';
+import { getContextualRecommendation } from '../recommendation_engine.js';
+
+/**
+ * Check if Spotify is connected and has an active playback device
+ */
+export async function isSpotifyAvailable() {
+  try {
+    if (!(await isAuthenticated())) return false;
+    const playback = await api.getPlaybackState();
+    return !!playback?.device;
+  } catch {
+    return false;
+  }
+}
 
 /**
  * Apply an intervention based on type
  */
 export async function applyIntervention(interventionType) {
   const state = await loadState();
-  const { playlists } = state.spotify;
+  const playlists = state.spotify?.playlists || {};
 
   switch (interventionType) {
     case INTERVENTIONS.BOOST_ENERGY:
       return boostEnergy();
 
+    case INTERVENTIONS.DUCK_VOLUME:
+      return duckVolume();
+
+    case INTERVENTIONS.SMART_RECOMMEND:
+      return smartRecommend(state.metrics?.focusScore);
+
     case INTERVENTIONS.SWITCH_PLAYLIST:
-      return switchToFocusPlaylist(playlists.deepFocus || playlists.lockIn);
+      return switchToFocusPlaylist(
+        toSpotifyUri(state.settings?.focusPlaylistUrl) || playlists.deepFocus || playlists.lockIn
+      );
 
     case INTERVENTIONS.PATTERN_BREAK:
       return playPatternBreak(playlists.patternBreak);
@@ -42,7 +66,7 @@ async function boostEnergy() {
     if (!playback || !playback.is_playing) {
       // Not playing, start the lock-in playlist
       const state = await loadState();
-      if (state.spotify.playlists.lockIn) {
+      if (state.spotify?.playlists?.lockIn) {
         await api.play({ contextUri: state.spotify.playlists.lockIn });
         return true;
       }
@@ -58,6 +82,32 @@ async function boostEnergy() {
   }
 }
 
+/**
+ * Convert an open.spotify.com playlist/album URL to a Spotify URI
+ * Returns null for anything that isn't Spotify (e.g. YouTube Music URLs)
+ */
+export function toSpotifyUri(urlOrUri) {
+  if (!urlOrUri) return null;
+  if (urlOrUri.startsWith('spotify:')) return urlOrUri;
+  try {
+    const url = new URL(urlOrUri);
+    if (url.hostname !== 'open.spotify.com') return null;
+    const [type, id] = url.pathname.split('/').filter(Boolean);
+    return type && id ? `spotify:${type}:${id}` : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Load a playlist by URL or URI and start playing it
+ */
+export async function loadPlaylist(url) {
+  const uri = toSpotifyUri(url);
+  if (!uri) return false;
+  return switchToFocusPlaylist(uri);
+}
+
 /**
  * SWITCH_PLAYLIST: Change to a different focus playlist
  */
@@ -76,6 +126,75 @@ async function switchToFocusPlaylist(playlistUri) {
   }
 }
 
+/**
+ * DUCK_VOLUME: Lower volume to reduce distraction
+ * The volume before ducking is kept in the runtime store (survives a worker restart),
+ * and only taken when not already ducked, so a second duck can't save the ducked level
+ */
+async function duckVolume(level = 30) {
+  try {
+    const { spotifyDuckedFromVolume } = await getRuntime();
+    if (spotifyDuckedFromVolume === null) {
+      const playback = await api.getPlaybackState();
+      const volume = playback?.device?.volume_percent ?? 50;
+      await updateRuntime((runtime) => {
+        runtime.spotifyDuckedFromVolume = volume;
+      });
+    }
+    await api.setVolume(level);
+    return true;
+  } catch (err) {
+    console.error('Duck volume failed:', err);
+    return false;
+  }
+}
+
+/**
+ * Restore volume after ducking
+ */
+export async function restoreVolume() {
+  const { spotifyDuckedFromVolume } = await getRuntime();
+  if (spotifyDuckedFromVolume === null) return false;
+  try {
+    await api.setVolume(spotifyDuckedFromVolume);
+    await updateRuntime((runtime) => {
+      runtime.spotifyDuckedFromVolume = null;
+    });
+    return true;
+  } catch (err) {
+    console.error('Restore volume failed:', err);
+    return false;
+  }
+}
+
+/**
+ * SMART_RECOMMEND: Search Spotify for the recommended track and play it
+ */
+async function smartRecommend(focusScore = 50) {
+  try {
+    const info = await getPlaybackInfo();
+    const recommendation = await getContextualRecommendation(
+      focusScore,
+      info?.track ? { title: info.track, artist: info.artist } : null
+    );
+    if (!recommendation?.searchQuery) {
+      return boostEnergy();
+    }
+
+    const results = await api.searchTracks(recommendation.searchQuery, 1);
+    const uri = results?.tracks?.items?.[0]?.uri;
+    if (!uri) {
+      return boostEnergy();
+    }
+
+    await api.play({ uris: [uri] });
+    return true;
+  } catch (err) {
+    console.error('Smart recommend failed:', err);
+    return false;
+  }
+}
+
 /**
  * PATTERN_BREAK: Play a short audio cue then resume
  * This is a "snap out of it" moment
@@ -142,7 +261,7 @@ async function playNuclearOption(annoyingTrackUri) {
         try {
           await api.setVolume(previousVolume);
           const state = await loadState();
-          if (state.spotify.playlists.lockIn) {
+          if (state.spotify?.playlists?.lockIn) {
             await api.play({ contextUri: state.spotify.playlists.lockIn });
           }
         } catch (e) {
@@ -172,12 +291,17 @@ export async function getPlaybackInfo() {
     const playback = await api.getPlaybackState();
     if (!playback) return null;
 
+    const albumArt = playback.item?.album?.images?.[0]?.url || null;
+
     return {
+      available: true,
       isPlaying: playback.is_playing,
       track: playback.item?.name,
       artist: playback.item?.artists?.map((a) => a.name).join(', '),
       album: playback.item?.album?.name,
-      albumArt: playback.item?.album?.images?.[0]?.url,
+      albumArt,
+      thumbnail: albumArt,
+      volume: playback.device?.volume_percent ?? 50,
       progress: playback.progress_ms,
       duration: playback.item?.duration_ms,
       device: playback.device?.name,
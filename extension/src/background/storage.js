@@ -1,82 +1,32 @@
 // Storage wrapper for chrome.storage.local
 
-// ============================================================
-// Site Categories (like Apple Screen Time)
-// ============================================================
+import { getTimeBucket } from './daily_stats.js';
+import { createBaseline } from './baseline.js';
+import { getDefaultArms } from './interventions.js';
+import { classifySite } from './site_rules.js';
+import { createDoomscrollState } from './doomscroll.js';
 
-export const SITE_CATEGORIES = {
-  // Productive - gives bonus
-  productive: [
-    // Music (for focus)
-    'music.youtube.com',
-    // Docs & Notes
-    'docs.google.com', 'notion.so', 'overleaf.com', 'quip.com', 'dropbox.paper.com',
-    'evernote.com', 'onenote.com', 'bear.app', 'roamresearch.com', 'obsidian.md',
-    // Code & Dev
-    'github.com', 'gitlab.com', 'bitbucket.org', 'stackoverflow.com', 'stackexchange.com',
-    'codepen.io', 'codesandbox.io', 'replit.com', 'jsfiddle.net', 'leetcode.com',
-    'hackerrank.com', 'codewars.com', 'exercism.org',
-    // Learning
-    'canvas.instructure.com', 'blackboard.com', 'coursera.org', 'edx.org', 'udemy.com',
-    'khanacademy.org', 'brilliant.org', 'duolingo.com', 'quizlet.com', 'chegg.com',
-    // Research
-    'scholar.google.com', 'jstor.org', 'pubmed.ncbi.nlm.nih.gov', 'arxiv.org',
-    'researchgate.net', 'academia.edu', 'wikipedia.org',
-    // Work tools
-    'slack.com', 'linear.app', 'asana.com', 'trello.com', 'monday.com', 'jira.atlassian.com',
-    'figma.com', 'miro.com', 'lucidchart.com',
-  ],
-
-  // Social Media - heavy penalty
-  socialMedia: [
-    'twitter.com', 'x.com', 'facebook.com', 'instagram.com', 'threads.net',
-    'snapchat.com', 'tiktok.com', 'linkedin.com', 'pinterest.com', 'tumblr.com',
-    'reddit.com', 'discord.com', 'twitch.tv', 'bsky.app', 'mastodon.social',
-  ],
-
-  // Entertainment - heavy penalty
-  entertainment: [
-    'youtube.com', 'netflix.com', 'hulu.com', 'disneyplus.com', 'hbomax.com',
-    'primevideo.com', 'peacocktv.com', 'crunchyroll.com', 'funimation.com',
-    'twitch.tv', 'kick.com', 'rumble.com', 'dailymotion.com', 'vimeo.com',
-    'spotify.com', 'soundcloud.com', 'pandora.com',
-  ],
-
-  // Games - heavy penalty
-  games: [
-    'roblox.com', 'minecraft.net', 'steampowered.com', 'epicgames.com',
-    'ea.com', 'battle.net', 'origin.com', 'gog.com', 'itch.io',
-    'poki.com', 'coolmathgames.com', 'kongregate.com', 'addictinggames.com',
-    'crazygames.com', 'y8.com', 'miniclip.com', 'games.yahoo.com',
-    'chess.com', 'lichess.org', 'poker', 'casino',
-  ],
-
-  // Shopping - moderate penalty
-  shopping: [
-    'amazon.com', 'ebay.com', 'walmart.com', 'target.com', 'bestbuy.com',
-    'etsy.com', 'aliexpress.com', 'wish.com', 'shein.com', 'asos.com',
-    'zappos.com', 'nordstrom.com', 'macys.com', 'nike.com', 'adidas.com',
-  ],
-
-  // News - light penalty (can be productive but often isn't)
-  news: [
-    'cnn.com', 'foxnews.com', 'msnbc.com', 'bbc.com', 'nytimes.com',
-    'washingtonpost.com', 'theguardian.com', 'reuters.com', 'apnews.com',
-    'huffpost.com', 'buzzfeed.com', 'vice.com', 'vox.com', 'axios.com',
-  ],
-};
+// Site lists live with the rule engine (see site_rules.js)
+export { SITE_CATEGORIES } from './site_rules.js';
 
 // ============================================================
 // Default State
 // ============================================================
 
-const DEFAULT_STATE = {
+// Bump when stored state needs a migration step (see MIGRATIONS below)
+export const SCHEMA_VERSION = 2;
+
+export const DEFAULT_STATE = {
+  schemaVersion: SCHEMA_VERSION,
+
   // Session state
   session: {
     active: false,
     mode: 'normal', // 'gentle' | 'normal' | 'strict'
     phase: 'study', // 'study' | 'break'
     startedAt: null,
+    escalation: { level: 0, updatedAt: null, failures: 0, successes: 0 },  // ladder position (see decision_engine.js)
+    doomscroll: createDoomscrollState(),  // dwell/velocity/alarm state (see doomscroll.js)
   },
 
   // Rolling signals (last 60s window)
@@ -85,6 +35,8 @@ const DEFAULT_STATE = {
     siteTime: {},              // { hostname: { category, totalMs, lastStart } }
     currentSite: null,         // current hostname
     currentCategory: null,     // current site category
+    currentSiteRule: null,     // why: the site rule that set currentCategory (see site_rules.js)
+    currentPage: null,         // page signals behind currentCategory (see page_classifier.js)
 
     // Activity signals from content script
     lastMouseMove: null,
@@ -92,17 +44,34 @@ const DEFAULT_STATE = {
     lastScroll: null,
     keyPressCount: 0,
     scrollCount: 0,
+    scrollVelocity: 0,         // px/s in the active tab over the last report
+    flickCount: 0,             // fast screen-sized scroll bursts in the last report
+    msPerCard: null,           // median pause between scroll bursts (time per feed item)
+    isInfiniteFeed: false,     // active page keeps appending content as it's scrolled
+    isReading: false,          // active page is text being read (slow scrolls, selection, PDF page turns, a focused built-in PDF)
+    lastReading: null,         // last sign of reading in the active tab
+    visibleTextShare: 0,       // share of the active tab's viewport showing text
+    isPdf: false,              // active tab is a PDF viewer
     isIdle: false,
+    systemIdle: null,          // chrome.idle says no input anywhere (null = not asked yet)
     isActivelyTyping: false,
-    isDoomscrolling: false,    // scrolling on bad site
+    isDoomscrolling: false,    // scrolling on bad site, or flicking through any feed
 
     // Vision signals from camera.html
-    visionEnabled: false,      // is camera detection active
-    facePresent: false,        // is face detected
-    lookingAway: false,        // is user looking away
-    visionAttentionScore: 0,   // 0-1 attention score from vision
-    faceMissingMs: 0,          // time face has been missing
-    lookingAwayMs: 0,          // time user has been looking away
+    vision: {
+      enabled: false,          // is camera detection active
+      facePresent: false,      // is face detected
+      lookingAway: false,      // is user looking away
+      attentionScore: 0,       // 0-1 attention score from vision
+      faceMissingMs: 0,        // time face has been missing
+      lookingAwayMs: 0,        // time user has been looking away
+      phoneVisible: false,     // phone in frame (object detection, optional)
+      phoneInHand: false,      // phone in view with head tilted down toward it
+      phoneMs: 0,              // time on the phone so far
+      otherPerson: false,      // someone else in frame
+      otherPersonMs: 0,        // time they've been there
+      lastSignalAt: null,      // last VISION_SIGNAL; older than VISION_STALE_MS = ignored (focus_model.js)
+    },
   },
 
   // Computed metrics
@@ -118,24 +87,23 @@ const DEFAULT_STATE = {
   },
 
   // Last intervention for feedback loop
-  lastIntervention: null,      // { type, appliedAt, preScore }
+  lastIntervention: null,      // { type, appliedAt, preScore, context }
+  pendingReversal: null,       // { type, dueAt } - undo a lasting intervention (e.g. ducked volume)
 
   // Bandit policy (what works for this user)
   policy: {
-    arms: {
-      BOOST_ENERGY: { value: 0.5, n: 1 },
-      SWITCH_PLAYLIST: { value: 0.5, n: 1 },
-      PATTERN_BREAK: { value: 0.5, n: 1 },
-      SMART_RECOMMEND: { value: 0.6, n: 1 },  // AI-powered recommendation
-      NUCLEAR: { value: 0.2, n: 1 },
-    },
+    arms: getDefaultArms(),    // { type: { value, n } } for every registered intervention (see interventions.js)
+    contexts: {},              // { 'category|mode|hourBucket|pomodoroPhase': { arms, updatedAt } } (see decision_engine.js)
+    rewardHistory: {},         // { arm: [{ timestamp, context, delta, reward }] }
+    holdOut: { meanDelta: 0, n: 0, samples: 0 },  // focus change with no intervention (counterfactual baseline)
   },
 
   // User settings
   settings: {
-    // Custom overrides (in addition to SITE_CATEGORIES)
+    // Custom overrides (in addition to SITE_CATEGORIES), patterns as in site_rules.js
     customProductive: [],      // user-added productive sites
     customBlocked: [],         // user-added blocked sites
+    siteRules: [],             // advanced rules: 'pattern category [priority]'
 
     nuclearEnabled: false,
     pomodoroEnabled: false,
@@ -143,19 +111,54 @@ const DEFAULT_STATE = {
     pomodoroBreak: 5,
 
     // Doomscroll detection
-    doomscrollThreshold: 15,   // seconds before alarm
-    customDoomscrollSites: [], // user-added doomscroll sites
+    doomscrollThreshold: 15,   // seconds of fast feed scrolling before alarm
+    customDoomscrollSites: [], // user-added doomscroll sites (all modes)
+    doomscrollModes: {},       // per-mode overrides: { strict: { threshold, minVelocity, sites } } (see doomscroll.js)
 
     // Vision detection
     visionEnabled: false,      // is vision detection opt-in enabled
+    trackCamera: false,        // run camera detection offscreen during sessions (camera page / dashboard)
     visionFaceThreshold: 10,   // seconds before face-missing penalty
     visionGazeThreshold: 5,    // seconds before looking-away penalty
+    gazeCalibration: null,     // screen corners as gaze bounds, from camera.html (see ui/gaze.js)
+    visionObjectDetection: false, // also detect a phone in hand / another person (see ui/distractions.js)
+    visionIdleStopMin: 10,     // turn the camera off after this many minutes without input (0 = never)
 
     // AI Music Recommendations
     aiRecommendationsEnabled: true,  // use AI-powered music recommendations
     autoMusicSwitch: true,           // automatically switch music when focus drops
     autoMusicThreshold: 70,          // focus score threshold to trigger auto switch (higher = more sensitive)
     preferredGenres: [],             // user's preferred genres for recommendations
+
+    // Music backend
+    musicBackend: 'auto',            // 'auto' | 'ytmusic' | 'spotify'
+
+    // Screen Time stats
+    dailyStatsRetentionDays: 30,     // days of daily stats to keep
+
+    // Focus model overrides (see DEFAULT_FOCUS_MODEL in focus_model.js), null = defaults
+    focusModel: null,
+
+    // Personal baseline (see baseline.js)
+    baselineEnabled: true,           // judge rhythm signals against the learned baseline
+    baselineCalibrationSessions: 3,  // sessions to observe before calibrating
+
+    // Intervention learning (see decision_engine.js)
+    banditDecay: 0.95,               // discount per pull, 1 = never fade old outcomes
+    banditForgetDays: 90,            // drop outcomes older than this, 0 = keep forever
+    holdOutRate: 0.1,                // share of interventions skipped on purpose to measure the baseline
+    escalationLadder: null,          // [{ label, interventions: [type] }], null = getDefaultEscalationLadder() (decision_engine.js)
+    escalationWindowMin: 10,         // minutes without an evaluated intervention before the ladder resets
+  },
+
+  // Spotify playlists used by spotify/player.js (context URIs)
+  spotify: {
+    playlists: {
+      lockIn: null,
+      deepFocus: null,
+      patternBreak: null,
+      annoying: null,
+    },
   },
 
   // Music state
@@ -168,13 +171,22 @@ const DEFAULT_STATE = {
   // History for dashboard
   history: [],
 
-  // Screen Time style daily stats
+  // Per-session log, archived to IndexedDB by session_history.js on stop
+  sessionLog: {
+    interventions: [],         // { type, appliedAt, preScore, delta, reward }
+    tracksPlayed: [],          // { title, artist, startedAt, focusScore }
+  },
+
+  // Remembered page category corrections (see page_classifier.js)
+  pageCorrections: {},         // { 'channel:name' | 'subreddit:name' | 'page:host/path': { category, title, tokens, updatedAt } }
+
+  // Personal focus baseline: tab switch rate, typing cadence, idle gaps (see baseline.js)
+  baseline: createBaseline(),
+
+  // Screen Time style daily stats (see daily_stats.js)
   dailyStats: {
-    date: null,
-    siteBreakdown: {},         // { hostname: totalMs }
-    categoryBreakdown: {},     // { category: totalMs }
-    focusScoreAvg: 0,
-    interventionCount: 0,
+    days: {},                  // { 'YYYY-MM-DD': { siteBreakdown, categoryBreakdown, productiveTime,
+                               //   unproductiveTime, neutralTime, focusScoreAvg, focusSamples, interventionCount } }
   },
 
   // Music Intelligence - BPM correlation and recommendations
@@ -203,28 +215,14 @@ const DEFAULT_STATE = {
 };
 
 // ============================================================
-// Helper: Categorize a hostname
+// Helper: Categorize a site
 // ============================================================
 
-export function categorizeSite(hostname, settings = {}) {
-  if (!hostname) return 'neutral';
-
-  // Check custom overrides first
-  if (settings.customBlocked?.some(s => hostname.includes(s))) {
-    return 'blocked';
-  }
-  if (settings.customProductive?.some(s => hostname.includes(s))) {
-    return 'productive';
-  }
-
-  // Check built-in categories
-  for (const [category, sites] of Object.entries(SITE_CATEGORIES)) {
-    if (sites.some(s => hostname.includes(s) || hostname.endsWith('.' + s))) {
-      return category;
-    }
-  }
-
-  return 'neutral';
+/**
+ * Category for a URL or hostname from the site rules (see site_rules.js)
+ */
+export function categorizeSite(url, settings = {}) {
+  return classifySite(url, settings).category;
 }
 
 // Cache for AI-categorized sites
@@ -308,58 +306,223 @@ Respond with ONLY the category name (one word, lowercase).`;
 }
 
 /**
- * Smart categorize - uses hardcoded first, then AI for unknown sites
+ * Smart classify - site rules first, then AI for sites no rule covers
+ * @returns {{ category: string, explanation: string }}
  */
-export async function smartCategorizeSite(hostname, settings = {}) {
-  // Try hardcoded first (fast)
-  const hardcodedCategory = categorizeSite(hostname, settings);
-  if (hardcodedCategory !== 'neutral') {
-    return hardcodedCategory;
+export async function smartClassifySite(url, settings = {}) {
+  // Try the rules first (fast); an explicit 'neutral' rule also wins over AI
+  const classification = classifySite(url, settings);
+  if (classification.rule) {
+    return { category: classification.category, explanation: classification.explanation };
   }
 
   // Use AI for unknown sites
-  return categorizeSiteWithAI(hostname);
+  let hostname = url;
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    // Already a hostname
+  }
+  const category = await categorizeSiteWithAI(hostname);
+  return { category, explanation: category === 'neutral' ? classification.explanation : 'Categorized by AI' };
 }
 
+/**
+ * Smart categorize - category only
+ */
+export async function smartCategorizeSite(url, settings = {}) {
+  return (await smartClassifySite(url, settings)).category;
+}
+
+/**
+ * Default category multipliers per mode
+ * Negative = penalty, positive = bonus (overridable via the focus model, see focus_model.js)
+ */
+export const CATEGORY_MULTIPLIERS = {
+  gentle: {
+    productive: 0.15,      // bonus
+    socialMedia: -0.3,
+    entertainment: -0.25,
+    games: -0.35,
+    shopping: -0.1,
+    news: -0.05,
+    blocked: -0.5,
+    neutral: 0,
+  },
+  normal: {
+    productive: 0.2,       // bonus
+    socialMedia: -0.5,
+    entertainment: -0.4,
+    games: -0.6,
+    shopping: -0.2,
+    news: -0.1,
+    blocked: -0.7,
+    neutral: 0,
+  },
+  strict: {
+    productive: 0.25,      // bonus
+    socialMedia: -0.8,
+    entertainment: -0.7,
+    games: -1.0,           // instant max penalty
+    shopping: -0.4,
+    news: -0.2,
+    blocked: -1.0,
+    neutral: -0.05,        // even neutral hurts in strict
+  },
+};
+
 /**
  * Get penalty multiplier for a category
  * Returns: negative = penalty, positive = bonus, 0 = neutral
  */
-export function getCategoryPenalty(category, mode = 'normal') {
-  const penalties = {
-    gentle: {
-      productive: 0.15,      // bonus
-      socialMedia: -0.3,
-      entertainment: -0.25,
-      games: -0.35,
-      shopping: -0.1,
-      news: -0.05,
-      blocked: -0.5,
-      neutral: 0,
-    },
-    normal: {
-      productive: 0.2,       // bonus
-      socialMedia: -0.5,
-      entertainment: -0.4,
-      games: -0.6,
-      shopping: -0.2,
-      news: -0.1,
-      blocked: -0.7,
-      neutral: 0,
+export function getCategoryPenalty(category, mode = 'normal', multipliers = CATEGORY_MULTIPLIERS) {
+  return multipliers[mode]?.[category] ?? 0;
+}
+
+// ============================================================
+// Schema Migrations
+// ============================================================
+
+/**
+ * Ordered migration steps; each upgrades stored state to `version`
+ * Only structural changes need a step - new fields arrive via mergeDefaults()
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    migrate: (state) => {
+      // Site lists used to be called studySites/doomscrollSites
+      const settings = state.settings || {};
+      settings.customProductive = settings.customProductive || settings.studySites || [];
+      settings.customBlocked = settings.customBlocked || settings.doomscrollSites || [];
+      state.settings = settings;
+
+      // dailyStats was a single flat day, now a map of day buckets
+      const daily = state.dailyStats;
+      if (daily && !daily.days) {
+        state.dailyStats = { days: {} };
+        if (daily.date) {
+          const day = {
+            date: daily.date,
+            siteBreakdown: daily.siteBreakdown || {},
+            categoryBreakdown: daily.categoryBreakdown || {},
+            productiveTime: 0,
+            unproductiveTime: 0,
+            neutralTime: 0,
+            focusScoreAvg: daily.focusScoreAvg || 0,
+            focusSamples: daily.focusScoreAvg ? 1 : 0,
+            interventionCount: daily.interventionCount || 0,
+          };
+          for (const [category, ms] of Object.entries(day.categoryBreakdown)) {
+            day[getTimeBucket(category)] += ms;
+          }
+          state.dailyStats.days[daily.date] = day;
+        }
+      }
+      return state;
     },
-    strict: {
-      productive: 0.25,      // bonus
-      socialMedia: -0.8,
-      entertainment: -0.7,
-      games: -1.0,           // instant max penalty
-      shopping: -0.4,
-      news: -0.2,
-      blocked: -1.0,
-      neutral: -0.05,        // even neutral hurts in strict
+  },
+  {
+    version: 2,
+    migrate: (state) => {
+      // Vision signals moved into their own sub-tree (signals.vision)
+      const signals = state.signals || {};
+      signals.vision = {
+        enabled: signals.visionEnabled ?? false,
+        facePresent: signals.facePresent ?? false,
+        lookingAway: signals.lookingAway ?? false,
+        attentionScore: signals.visionAttentionScore ?? 0,
+        faceMissingMs: signals.faceMissingMs ?? 0,
+        lookingAwayMs: signals.lookingAwayMs ?? 0,
+      };
+      for (const key of ['visionEnabled', 'facePresent', 'lookingAway', 'visionAttentionScore', 'faceMissingMs', 'lookingAwayMs']) {
+        delete signals[key];
+      }
+      state.signals = signals;
+      return state;
     },
-  };
+  },
+];
 
-  return penalties[mode]?.[category] ?? 0;
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep merge defaults under stored state
+ * Stored values win; missing keys (new settings, new policy arms) come from defaults
+ */
+export function mergeDefaults(defaults, stored) {
+  if (stored === undefined || stored === null) {
+    return structuredClone(defaults);
+  }
+  if (!isPlainObject(defaults) || !isPlainObject(stored)) {
+    return stored;
+  }
+
+  const merged = { ...stored };
+  for (const [key, value] of Object.entries(defaults)) {
+    merged[key] = mergeDefaults(value, stored[key]);
+  }
+  return merged;
+}
+
+/**
+ * Bring stored state up to SCHEMA_VERSION
+ * @returns {{ state: object, migrated: boolean }}
+ */
+export function migrateState(stored) {
+  let state = stored;
+  const fromVersion = state.schemaVersion || 0;
+
+  for (const step of MIGRATIONS) {
+    if (step.version > fromVersion) {
+      state = step.migrate(state);
+      console.log(`[Storage] Migrated state to schema v${step.version}`);
+    }
+  }
+
+  state = mergeDefaults(DEFAULT_STATE, state);
+  state.schemaVersion = Math.max(fromVersion, SCHEMA_VERSION);
+
+  return { state, migrated: fromVersion < SCHEMA_VERSION };
+}
+
+/**
+ * Migrate and persist stored state (called from chrome.runtime.onInstalled)
+ */
+export async function migrateStoredState() {
+  // loadState() migrates; the transaction persists the result
+  return updateState((state) => state);
+}
+
+// ============================================================
+// State Transactions
+// ============================================================
+// Every write to the state blob goes through one queue, so concurrent
+// handlers (tick, activity reports, vision signals, track monitor) apply
+// their changes one after another on fresh state instead of clobbering each other
+
+let stateQueue = Promise.resolve();
+
+function enqueue(fn) {
+  const run = stateQueue.then(fn);
+  stateQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Resolve (and create) a dotted sub-tree path like 'signals.vision'
+ */
+function getSubTree(state, path) {
+  let node = state;
+  for (const key of path.split('.')) {
+    if (!isPlainObject(node[key])) {
+      node[key] = {};
+    }
+    node = node[key];
+  }
+  return node;
 }
 
 // ============================================================
@@ -372,18 +535,47 @@ export async function loadState() {
     await chrome.storage.local.set({ state: DEFAULT_STATE });
     return structuredClone(DEFAULT_STATE);
   }
-  return result.state;
+
+  const { state, migrated } = migrateState(result.state);
+  if (migrated) {
+    // Written directly: loadState() also runs inside transactions
+    await chrome.storage.local.set({ state });
+  }
+  return state;
 }
 
+/**
+ * Overwrite the whole state blob (queued behind pending transactions)
+ * Prefer updateState()/patchState() - a full save of a stale copy drops other handlers' updates
+ */
 export async function saveState(state) {
-  await chrome.storage.local.set({ state });
+  await enqueue(() => chrome.storage.local.set({ state }));
 }
 
-export async function updateState(updater) {
-  const state = await loadState();
-  const newState = updater(state);
-  await saveState(newState);
-  return newState;
+/**
+ * Read-modify-write transaction on fresh state
+ * The updater may mutate the state in place or return a new one, and may be async.
+ * Don't call updateState/patchState/saveState from inside an updater (it would wait on itself).
+ */
+export function updateState(updater) {
+  return enqueue(async () => {
+    const state = await loadState();
+    const result = await updater(state);
+    const newState = result ?? state;
+    await chrome.storage.local.set({ state: newState });
+    return newState;
+  });
+}
+
+/**
+ * Shallow-merge a patch into one sub-tree, e.g. patchState('signals.vision', { facePresent })
+ * `patch` may be a function of the current sub-tree
+ */
+export function patchState(path, patch) {
+  return updateState((state) => {
+    const node = getSubTree(state, path);
+    Object.assign(node, typeof patch === 'function' ? patch(node, state) : patch);
+  });
 }
 
 export async function resetState() {
@@ -418,6 +610,19 @@ export async function clearApiKey(keyType) {
   await chrome.storage.local.remove(`apiKey_${keyType}`);
 }
 
+// ============================================================
+// Spotify Tokens (separate from state, like API keys)
+// ============================================================
+
+export async function getSpotifyTokens() {
+  const result = await chrome.storage.local.get('spotify_tokens');
+  return result.spotify_tokens || { accessToken: null, refreshToken: null, expiresAt: null };
+}
+
+export async function setSpotifyTokens(tokens) {
+  await chrome.storage.local.set({ spotify_tokens: tokens });
+}
+
 // ============================================================
 // Music Intelligence Helpers
 // ============================================================
@@ -432,9 +637,6 @@ export async function getTrackHistory(limit = 100) {
 
 export async function addTrackToHistory(entry) {
   await updateState(s => {
-    if (!s.musicIntelligence) {
-      s.musicIntelligence = DEFAULT_STATE.musicIntelligence;
-    }
     s.musicIntelligence.trackHistory.unshift(entry);
     if (s.musicIntelligence.trackHistory.length > TRACK_HISTORY_MAX) {
       s.musicIntelligence.trackHistory = s.musicIntelligence.trackHistory.slice(0, TRACK_HISTORY_MAX);
@@ -446,7 +648,7 @@ export async function addTrackToHistory(entry) {
 
 export async function getMusicIntelligence() {
   const state = await loadState();
-  return state.musicIntelligence || DEFAULT_STATE.musicIntelligence;
+  return state.musicIntelligence;
 }
 
 export async function clearMusicIntelligence() {
@@ -13,9 +13,42 @@ let lastKeyPress = Date.now();
 let lastScroll = Date.now();
 let keyPressCount = 0;
 let scrollCount = 0;
+let scrollDistance = 0;      // px scrolled since the last report
+let lastReportAt = Date.now();
 let mouseIdleMs = 0;
 
+// Last scroll position per scroller (feeds often scroll an inner element, not the page)
+const scrollPositions = new WeakMap();
+
+// Scroll bursts: one wheel/swipe gesture, ended by a pause
+let burst = null;            // { start, last, distance }
+let flickCount = 0;          // fast bursts of about a screen since the last report
+let cardGaps = [];           // ms paused between bursts since the last report
+
+// Feed growth: content appended below while the user scrolls toward it
+let lastScroller = null;
+let lastScrollHeight = 0;
+let feedGrowthTimes = [];    // when the page grew, within FEED_WINDOW_MS
+let growthCheckPending = false;
+
+// Reading: small scrolls after a pause, selecting text, turning PDF pages
+let lastReading = 0;         // last sign of reading (0 = none yet)
+let readingScrollCount = 0;  // reading-sized scroll bursts since the last report
+let pdfPage = null;          // page shown in a PDF.js viewer
+let pdfPageTurns = 0;        // since the last report
+
 const REPORT_INTERVAL = 5000; // Report every 5 seconds
+const BURST_GAP_MS = 250;     // a pause longer than this ends a burst
+const FLICK_MAX_MS = 800;     // a flick is a short burst...
+const FLICK_MIN_SCREENS = 0.5; // ...covering at least half a viewport
+const FEED_WINDOW_MS = 60000;
+const FEED_MIN_GROWTHS = 2;   // page grew this often in the window = infinite feed
+const READ_PAUSE_MS = 2000;   // a scroll after a pause this long...
+const READ_MAX_SCREENS = 0.75; // ...moving less than this is reading on
+const READING_WINDOW_MS = 120000; // a sign of reading covers this long without input
+const READING_TEXT_SHARE = 0.3; // share of the viewport on text for a page to count as reading
+const TEXT_SAMPLE_COLS = 4;   // viewport sample grid for the visible-text share
+const TEXT_SAMPLE_ROWS = 6;
 
 // ============================================================
 // Event Listeners
@@ -35,16 +68,191 @@ document.addEventListener('keydown', () => {
 }, { passive: true });
 
 // Scroll activity (doomscroll detection)
-document.addEventListener('scroll', () => {
+// Capture phase so scrolls of inner elements are seen too
+document.addEventListener('scroll', (event) => {
   lastScroll = Date.now();
   scrollCount++;
-}, { passive: true });
+
+  const scroller = event.target === document ? document.scrollingElement : event.target;
+  if (scroller) {
+    const top = scroller.scrollTop;
+    const delta = Math.abs(top - (scrollPositions.get(scroller) ?? top));
+    scrollDistance += delta;
+    scrollPositions.set(scroller, top);
+    trackBurst(lastScroll, delta);
+
+    if (scroller !== lastScroller) {
+      lastScroller = scroller;
+      lastScrollHeight = scroller.scrollHeight;
+    }
+  }
+}, { passive: true, capture: true });
 
 // Click activity
 document.addEventListener('click', () => {
   lastMouseMove = Date.now();
 }, { passive: true });
 
+// Selecting text (to re-read, copy or highlight it) is reading
+document.addEventListener('selectionchange', () => {
+  if (document.getSelection()?.toString().trim()) lastReading = Date.now();
+});
+
+// ============================================================
+// Scroll Patterns
+// ============================================================
+
+/**
+ * Group scroll events into bursts; the pause before a burst is the time
+ * spent on the "card" the previous one landed on
+ */
+function trackBurst(now, delta) {
+  if (burst && now - burst.last <= BURST_GAP_MS) {
+    burst.last = now;
+    burst.distance += delta;
+    return;
+  }
+  if (burst) {
+    endBurst();
+    cardGaps.push(now - burst.last);
+  }
+  burst = { start: now, last: now, distance: delta, pauseBefore: burst ? now - burst.last : Infinity };
+}
+
+function endBurst() {
+  const duration = burst.last - burst.start;
+  if (duration <= FLICK_MAX_MS && burst.distance >= window.innerHeight * FLICK_MIN_SCREENS) {
+    flickCount++;
+  } else if (burst.pauseBefore >= READ_PAUSE_MS && burst.distance > 0 && burst.distance < window.innerHeight * READ_MAX_SCREENS) {
+    // Read a while, then move on a few lines: slow and steady
+    readingScrollCount++;
+    lastReading = burst.last;
+  }
+}
+
+/**
+ * Median pause between bursts, or null with too few to tell
+ */
+function medianCardMs() {
+  if (cardGaps.length < 2) return null;
+  const sorted = [...cardGaps].sort((a, b) => a - b);
+  return Math.round(sorted[Math.floor(sorted.length / 2)]);
+}
+
+/**
+ * Infinite feeds append content as the user nears the bottom; other pages
+ * (a long doc, a lazy-loaded image) don't keep growing while scrolled
+ */
+function checkFeedGrowth() {
+  growthCheckPending = false;
+  if (!lastScroller?.isConnected) return;
+
+  const now = Date.now();
+  const height = lastScroller.scrollHeight;
+  if (height > lastScrollHeight + window.innerHeight * 0.5 && now - lastScroll < 3000) {
+    feedGrowthTimes.push(now);
+  }
+  lastScrollHeight = height;
+  feedGrowthTimes = feedGrowthTimes.filter((t) => now - t < FEED_WINDOW_MS);
+}
+
+// Mutations only schedule a check, so busy pages stay cheap
+const feedObserver = new MutationObserver(() => {
+  if (growthCheckPending || !lastScroller) return;
+  growthCheckPending = true;
+  setTimeout(checkFeedGrowth, 500);
+});
+if (document.body) {
+  feedObserver.observe(document.body, { childList: true, subtree: true });
+}
+
+// ============================================================
+// Reading
+// ============================================================
+
+/**
+ * Share of the viewport showing text, from a grid of sample points
+ * (an element with a good run of its own text under a point counts)
+ */
+function visibleTextShare() {
+  let onText = 0;
+  for (let col = 0; col < TEXT_SAMPLE_COLS; col++) {
+    for (let row = 0; row < TEXT_SAMPLE_ROWS; row++) {
+      const x = window.innerWidth * (col + 0.5) / TEXT_SAMPLE_COLS;
+      const y = window.innerHeight * (row + 0.5) / TEXT_SAMPLE_ROWS;
+      const element = document.elementFromPoint(x, y);
+      if (element && ownTextLength(element) >= 40) onText++;
+    }
+  }
+  return onText / (TEXT_SAMPLE_COLS * TEXT_SAMPLE_ROWS);
+}
+
+function ownTextLength(element) {
+  let length = 0;
+  for (const node of element.childNodes) {
+    if (node.nodeType === Node.TEXT_NODE) length += node.textContent.trim().length;
+  }
+  // Inline markup (<a>, <em>) splits a paragraph's text, so look at the paragraph
+  if (length < 40 && element.parentElement && getComputedStyle(element).display === 'inline') {
+    return ownTextLength(element.parentElement);
+  }
+  return length;
+}
+
+/**
+ * Chrome's PDF viewer (a plugin the page can't see into) or a PDF.js viewer
+ */
+function isPdfPage() {
+  return isBuiltInPdfViewer() || !!document.getElementById('viewerContainer');
+}
+
+// Scrolls, selections and page turns happen inside the plugin and never reach this script,
+// so a built-in PDF counts as being read while it's visible and focused
+function isBuiltInPdfViewer() {
+  return document.contentType === 'application/pdf';
+}
+
+// PDF.js keeps the current page in its toolbar; a new number is a page turn
+function checkPdfPage(now) {
+  const page = document.getElementById('pageNumber')?.value || null;
+  if (page && pdfPage && page !== pdfPage) {
+    pdfPageTurns++;
+    lastReading = now;
+  }
+  pdfPage = page;
+}
+
+// ============================================================
+// Page Signals
+// ============================================================
+
+/**
+ * Lightweight hints about what this page is (the service worker classifies it)
+ */
+function collectPageSignals() {
+  const meta = (selector) => document.querySelector(selector)?.getAttribute('content')?.trim() || null;
+
+  const page = {
+    title: document.title.slice(0, 200),
+    keywords: meta('meta[name="keywords"]')?.slice(0, 300) || null,
+    youtubeCategory: null,
+    channel: null,
+    subreddit: null,
+  };
+
+  const hostname = window.location.hostname;
+  if (hostname === 'youtube.com' || hostname.endsWith('.youtube.com')) {
+    page.youtubeCategory = meta('meta[itemprop="genre"]');
+    page.channel = document.querySelector('ytd-video-owner-renderer ytd-channel-name a')?.textContent.trim() ||
+      meta('span[itemprop="author"] link[itemprop="name"]');
+  }
+  if (hostname === 'reddit.com' || hostname.endsWith('.reddit.com')) {
+    page.subreddit = window.location.pathname.match(/^\/r\/([^/]+)/i)?.[1] || null;
+  }
+
+  return page;
+}
+
 // ============================================================
 // Periodic Reporting
 // ============================================================
@@ -52,11 +260,25 @@ document.addEventListener('click', () => {
 function reportActivity() {
   const now = Date.now();
 
+  // A burst still going on is counted in the report it finishes in
+  if (burst && now - burst.last > BURST_GAP_MS) {
+    endBurst();
+    burst = { ...burst, start: burst.last, distance: 0, pauseBefore: 0 };
+  }
+  feedGrowthTimes = feedGrowthTimes.filter((t) => now - t < FEED_WINDOW_MS);
+  const isPdf = isPdfPage();
+  if (isPdf) checkPdfPage(now);
+  const textShare = document.visibilityState === 'visible' && !isPdf ? visibleTextShare() : 0;
+  const isReading = isBuiltInPdfViewer()
+    ? document.visibilityState === 'visible' && document.hasFocus()
+    : (isPdf || textShare >= READING_TEXT_SHARE) && !!lastReading && now - lastReading < READING_WINDOW_MS;
+
   const report = {
     type: 'ACTIVITY_REPORT',
     hostname: window.location.hostname,
     url: window.location.href,
     timestamp: now,
+    page: collectPageSignals(),
     signals: {
       // Time since last activity
       msSinceMouseMove: now - lastMouseMove,
@@ -71,12 +293,35 @@ function reportActivity() {
       isIdle: (now - lastMouseMove > 30000) && (now - lastKeyPress > 30000),
       isActivelyTyping: keyPressCount > 10, // More than 10 keys in 5s = typing
       isScrolling: scrollCount > 5, // More than 5 scrolls in 5s = scrolling
+      scrollVelocity: Math.round(scrollDistance / (Math.max(now - lastReportAt, 1000) / 1000)), // px/s
+
+      // Scroll pattern (reading scrolls slowly and steadily, feeds get flicked)
+      scrollDistance: Math.round(scrollDistance),
+      flickCount: flickCount,
+      msPerCard: medianCardMs(),
+      feedGrowthCount: feedGrowthTimes.length,
+      isInfiniteFeed: feedGrowthTimes.length >= FEED_MIN_GROWTHS,
+
+      // Reading (no input for a while isn't idle if the page is being read)
+      msSinceReading: lastReading ? now - lastReading : null,
+      readingScrollCount: readingScrollCount,
+      hasSelection: !!document.getSelection()?.toString().trim(),
+      visibleTextShare: Math.round(textShare * 100) / 100,
+      isPdf: isPdf,
+      pdfPageTurns: pdfPageTurns,
+      isReading: isReading,
     }
   };
 
   // Reset counts
   keyPressCount = 0;
   scrollCount = 0;
+  scrollDistance = 0;
+  flickCount = 0;
+  cardGaps = [];
+  readingScrollCount = 0;
+  pdfPageTurns = 0;
+  lastReportAt = now;
 
   // Send to service worker
   chrome.runtime.sendMessage(report).catch(() => {
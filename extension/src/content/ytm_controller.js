@@ -465,9 +465,10 @@ let originalVolume = null;
 
 /**
  * Duck volume (lower it for focus)
+ * Keeps the first original volume if already ducked, so restoring doesn't stay low
  */
 function duckVolume(targetVolume = 30) {
-  originalVolume = getVolume();
+  if (originalVolume === null) originalVolume = getVolume();
   setVolume(targetVolume);
   return { success: true, originalVolume };
 }
@@ -484,6 +485,80 @@ function restoreVolume() {
   return { success: false, error: 'No original volume saved' };
 }
 
+// ============================================================
+// Playlist Loading (focus/break playlists)
+// ============================================================
+
+// Survives the page load that navigating to a playlist causes
+const AUTOPLAY_FLAG_KEY = 'focusdj_autoplay_list';
+
+/**
+ * Extract the playlist ID from a YouTube / YouTube Music URL (or a bare ID)
+ */
+function getPlaylistId(urlOrId) {
+  if (!urlOrId) return null;
+  try {
+    return new URL(urlOrId).searchParams.get('list');
+  } catch {
+    // Not a URL - treat as a bare playlist ID
+    return /^[A-Za-z0-9_-]+$/.test(urlOrId) ? urlOrId : null;
+  }
+}
+
+/**
+ * Playlist ID currently playing in this tab (if any)
+ */
+function getCurrentPlaylistId() {
+  return new URL(window.location.href).searchParams.get('list');
+}
+
+/**
+ * Load a playlist in this tab and start playing it
+ * Navigates to the watch URL for the playlist; playback resumes after the reload
+ */
+function loadPlaylist(url) {
+  const listId = getPlaylistId(url);
+  if (!listId) {
+    return { success: false, error: 'Invalid playlist URL' };
+  }
+
+  // Already on this playlist - just make sure it's playing
+  if (getCurrentPlaylistId() === listId) {
+    play();
+    return { success: true, alreadyPlaying: true, listId };
+  }
+
+  sessionStorage.setItem(AUTOPLAY_FLAG_KEY, listId);
+
+  // Navigate after responding so the service worker gets its reply
+  setTimeout(() => {
+    window.location.assign(`https://music.youtube.com/watch?list=${encodeURIComponent(listId)}`);
+  }, 100);
+
+  return { success: true, navigating: true, listId };
+}
+
+/**
+ * Resume playback after a playlist navigation (called on load)
+ */
+async function resumePendingPlaylist() {
+  const listId = sessionStorage.getItem(AUTOPLAY_FLAG_KEY);
+  if (!listId) return;
+  sessionStorage.removeItem(AUTOPLAY_FLAG_KEY);
+
+  if (getCurrentPlaylistId() !== listId) return;
+
+  try {
+    await waitForElement(SELECTORS.video, 10000);
+    // Give the player a moment to attach the stream
+    await new Promise(r => setTimeout(r, 1000));
+    if (!isPlaying()) play();
+    console.log('[FocusDJ] Started playlist:', listId);
+  } catch (err) {
+    console.warn('[FocusDJ] Could not start playlist:', err.message);
+  }
+}
+
 // ============================================================
 // Search and Play (for AI recommendations)
 // ============================================================
@@ -809,6 +884,14 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         result = restoreVolume();
         break;
 
+      // Playlists
+      case 'LOAD_PLAYLIST':
+        result = loadPlaylist(message.url);
+        break;
+      case 'GET_PLAYLIST':
+        result = { success: true, listId: getCurrentPlaylistId() };
+        break;
+
       // Search and play (for AI recommendations)
       case 'SEARCH_AND_PLAY':
         // Async operation
@@ -843,4 +926,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 // Notify service worker that we're ready
 chrome.runtime.sendMessage({ type: 'YTM_READY', url: window.location.href });
 
+// Start a playlist we navigated to via LOAD_PLAYLIST
+resumePendingPlaylist();
+
 console.log('[FocusDJ] YouTube Music controller ready');
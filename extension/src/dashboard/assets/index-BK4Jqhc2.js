@@ -1,67 +0,0 @@
-function ad(e,t){for(var n=0;n<t.length;n++){const r=t[n];if(typeof r!="string"&&!Array.isArray(r)){for(const l in r)if(l!=="default"&&!(l in e)){const i=Object.getOwnPropertyDescriptor(r,l);i&&Object.defineProperty(e,l,i.get?i:{enumerable:!0,get:()=>r[l]})}}}return Object.freeze(Object.defineProperty(e,Symbol.toStringTag,{value:"Module"}))}(function(){const t=document.createElement("link").relList;if(t&&t.supports&&t.supports("modulepreload"))return;for(const l of document.querySelectorAll('link[rel="modulepreload"]'))r(l);new MutationObserver(l=>{for(const i of l)if(i.type==="childList")for(const o of i.addedNodes)o.tagName==="LINK"&&o.rel==="modulepreload"&&r(o)}).observe(document,{childList:!0,subtree:!0});function n(l){const i={};return l.integrity&&(i.integrity=l.integrity),l.referrerPolicy&&(i.referrerPolicy=l.referrerPolicy),l.crossOrigin==="use-credentials"?i.credentials="include":l.crossOrigin==="anonymous"?i.credentials="omit":i.credentials="same-origin",i}function r(l){if(l.ep)return;l.ep=!0;const i=n(l);fetch(l.href,i)}})();function cd(e){return e&&e.__esModule&&Object.prototype.hasOwnProperty.call(e,"default")?e.default:e}var Mu={exports:{}},yl={},Lu={exports:{}},M={};/**
- * @license React
- * react.production.min.js
- *
- * Copyright (c) Facebook, Inc. and its affiliates.
- *
- * This source code is licensed under the MIT license found in the
- * LICENSE file in the root directory of this source tree.
- */var ar=Symbol.for("react.element"),dd=Symbol.for("react.portal"),fd=Symbol.for("react.fragment"),pd=Symbol.for("react.strict_mode"),hd=Symbol.for("react.profiler"),md=Symbol.for("react.provider"),vd=Symbol.for("react.context"),gd=Symbol.for("react.forward_ref"),yd=Symbol.for("react.suspense"),xd=Symbol.for("react.memo"),kd=Symbol.for("react.lazy"),hs=Symbol.iterator;function wd(e){return e===null||typeof e!="object"?null:(e=hs&&e[hs]||e["@@iterator"],typeof e=="function"?e:null)}var Ou={isMounted:function(){return!1},enqueueForceUpdate:function(){},enqueueReplaceState:function(){},enqueueSetState:function(){}},Iu=Object.assign,Du={};function hn(e,t,n){this.props=e,this.context=t,this.refs=Du,this.updater=n||Ou}hn.prototype.isReactComponent={};hn.prototype.setState=function(e,t){if(typeof e!="object"&&typeof e!="function"&&e!=null)throw Error("setState(...): takes an object of state variables to update or a function which returns an object of state variables.");this.updater.enqueueSetState(this,e,t,"setState")};hn.prototype.forceUpdate=function(e){this.updater.enqueueForceUpdate(this,e,"forceUpdate")};function Fu(){}Fu.prototype=hn.prototype;function mo(e,t,n){this.props=e,this.context=t,this.refs=Du,this.updater=n||Ou}var vo=mo.prototype=new Fu;vo.constructor=mo;Iu(vo,hn.prototype);vo.isPureReactComponent=!0;var ms=Array.isArray,Uu=Object.prototype.hasOwnProperty,go={current:null},Bu={key:!0,ref:!0,__self:!0,__source:!0};function $u(e,t,n){var r,l={},i=null,o=null;if(t!=null)for(r in t.ref!==void 0&&(o=t.ref),t.key!==void 0&&(i=""+t.key),t)Uu.call(t,r)&&!Bu.hasOwnProperty(r)&&(l[r]=t[r]);var s=arguments.length-2;if(s===1)l.children=n;else if(1<s){for(var u=Array(s),c=0;c<s;c++)u[c]=arguments[c+2];l.children=u}if(e&&e.defaultProps)for(r in s=e.defaultProps,s)l[r]===void 0&&(l[r]=s[r]);return{$$typeof:ar,type:e,key:i,ref:o,props:l,_owner:go.current}}function Sd(e,t){return{$$typeof:ar,type:e.type,key:t,ref:e.ref,props:e.props,_owner:e._owner}}function yo(e){return typeof e=="object"&&e!==null&&e.$$typeof===ar}function jd(e){var t={"=":"=0",":":"=2"};return"$"+e.replace(/[=:]/g,function(n){return t[n]})}var vs=/\/+/g;function Al(e,t){return typeof e=="object"&&e!==null&&e.key!=null?jd(""+e.key):t.toString(36)}function Dr(e,t,n,r,l){var i=typeof e;(i==="undefined"||i==="boolean")&&(e=null);var o=!1;if(e===null)o=!0;else switch(i){case"string":case"number":o=!0;break;case"object":switch(e.$$typeof){case ar:case dd:o=!0}}if(o)return o=e,l=l(o),e=r===""?"."+Al(o,0):r,ms(l)?(n="",e!=null&&(n=e.replace(vs,"$&/")+"/"),Dr(l,t,n,"",function(c){return c})):l!=null&&(yo(l)&&(l=Sd(l,n+(!l.key||o&&o.key===l.key?"":(""+l.key).replace(vs,"$&/")+"/")+e)),t.push(l)),1;if(o=0,r=r===""?".":r+":",ms(e))for(var s=0;s<e.length;s++){i=e[s];var u=r+Al(i,s);o+=Dr(i,t,n,u,l)}else if(u=wd(e),typeof u=="function")for(e=u.call(e),s=0;!(i=e.next()).done;)i=i.value,u=r+Al(i,s++),o+=Dr(i,t,n,u,l);else if(i==="object")throw t=String(e),Error("Objects are not valid as a React child (found: "+(t==="[object Object]"?"object with keys {"+Object.keys(e).join(", ")+"}":t)+"). If you meant to render a collection of children, use an array instead.");return o}function yr(e,t,n){if(e==null)return e;var r=[],l=0;return Dr(e,r,"","",function(i){return t.call(n,i,l++)}),r}function Cd(e){if(e._status===-1){var t=e._result;t=t(),t.then(function(n){(e._status===0||e._status===-1)&&(e._status=1,e._result=n)},function(n){(e._status===0||e._status===-1)&&(e._status=2,e._result=n)}),e._status===-1&&(e._status=0,e._result=t)}if(e._status===1)return e._result.default;throw e._result}var ae={current:null},Fr={transition:null},Nd={ReactCurrentDispatcher:ae,ReactCurrentBatchConfig:Fr,ReactCurrentOwner:go};function Au(){throw Error("act(...) is not supported in production builds of React.")}M.Children={map:yr,forEach:function(e,t,n){yr(e,function(){t.apply(this,arguments)},n)},count:function(e){var t=0;return yr(e,function(){t++}),t},toArray:function(e){return yr(e,function(t){return t})||[]},only:function(e){if(!yo(e))throw Error("React.Children.only expected to receive a single React element child.");return e}};M.Component=hn;M.Fragment=fd;M.Profiler=hd;M.PureComponent=mo;M.StrictMode=pd;M.Suspense=yd;M.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED=Nd;M.act=Au;M.cloneElement=function(e,t,n){if(e==null)throw Error("React.cloneElement(...): The argument must be a React element, but you passed "+e+".");var r=Iu({},e.props),l=e.key,i=e.ref,o=e._owner;if(t!=null){if(t.ref!==void 0&&(i=t.ref,o=go.current),t.key!==void 0&&(l=""+t.key),e.type&&e.type.defaultProps)var s=e.type.defaultProps;for(u in t)Uu.call(t,u)&&!Bu.hasOwnProperty(u)&&(r[u]=t[u]===void 0&&s!==void 0?s[u]:t[u])}var u=arguments.length-2;if(u===1)r.children=n;else if(1<u){s=Array(u);for(var c=0;c<u;c++)s[c]=arguments[c+2];r.children=s}return{$$typeof:ar,type:e.type,key:l,ref:i,props:r,_owner:o}};M.createContext=function(e){return e={$$typeof:vd,_currentValue:e,_currentValue2:e,_threadCount:0,Provider:null,Consumer:null,_defaultValue:null,_globalName:null},e.Provider={$$typeof:md,_context:e},e.Consumer=e};M.createElement=$u;M.createFactory=function(e){var t=$u.bind(null,e);return t.type=e,t};M.createRef=function(){return{current:null}};M.forwardRef=function(e){return{$$typeof:gd,render:e}};M.isValidElement=yo;M.lazy=function(e){return{$$typeof:kd,_payload:{_status:-1,_result:e},_init:Cd}};M.memo=function(e,t){return{$$typeof:xd,type:e,compare:t===void 0?null:t}};M.startTransition=function(e){var t=Fr.transition;Fr.transition={};try{e()}finally{Fr.transition=t}};M.unstable_act=Au;M.useCallback=function(e,t){return ae.current.useCallback(e,t)};M.useContext=function(e){return ae.current.useContext(e)};M.useDebugValue=function(){};M.useDeferredValue=function(e){return ae.current.useDeferredValue(e)};M.useEffect=function(e,t){return ae.current.useEffect(e,t)};M.useId=function(){return ae.current.useId()};M.useImperativeHandle=function(e,t,n){return ae.current.useImperativeHandle(e,t,n)};M.useInsertionEffect=function(e,t){return ae.current.useInsertionEffect(e,t)};M.useLayoutEffect=function(e,t){return ae.current.useLayoutEffect(e,t)};M.useMemo=function(e,t){return ae.current.useMemo(e,t)};M.useReducer=function(e,t,n){return ae.current.useReducer(e,t,n)};M.useRef=function(e){return ae.current.useRef(e)};M.useState=function(e){return ae.current.useState(e)};M.useSyncExternalStore=function(e,t,n){return ae.current.useSyncExternalStore(e,t,n)};M.useTransition=function(){return ae.current.useTransition()};M.version="18.3.1";Lu.exports=M;var C=Lu.exports;const Wu=cd(C),Ed=ad({__proto__:null,default:Wu},[C]);/**
- * @license React
- * react-jsx-runtime.production.min.js
- *
- * Copyright (c) Facebook, Inc. and its affiliates.
- *
- * This source code is licensed under the MIT license found in the
- * LICENSE file in the root directory of this source tree.
- */var Pd=C,_d=Symbol.for("react.element"),Td=Symbol.for("react.fragment"),zd=Object.prototype.hasOwnProperty,Rd=Pd.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED.ReactCurrentOwner,Md={key:!0,ref:!0,__self:!0,__source:!0};function Vu(e,t,n){var r,l={},i=null,o=null;n!==void 0&&(i=""+n),t.key!==void 0&&(i=""+t.key),t.ref!==void 0&&(o=t.ref);for(r in t)zd.call(t,r)&&!Md.hasOwnProperty(r)&&(l[r]=t[r]);if(e&&e.defaultProps)for(r in t=e.defaultProps,t)l[r]===void 0&&(l[r]=t[r]);return{$$typeof:_d,type:e,key:i,ref:o,props:l,_owner:Rd.current}}yl.Fragment=Td;yl.jsx=Vu;yl.jsxs=Vu;Mu.exports=yl;var a=Mu.exports,gi={},Hu={exports:{}},we={},Qu={exports:{}},Ku={};/**
- * @license React
- * scheduler.production.min.js
- *
- * Copyright (c) Facebook, Inc. and its affiliates.
- *
- * This source code is licensed under the MIT license found in the
- * LICENSE file in the root directory of this source tree.
- */(function(e){function t(E,z){var R=E.length;E.push(z);e:for(;0<R;){var Q=R-1>>>1,Z=E[Q];if(0<l(Z,z))E[Q]=z,E[R]=Z,R=Q;else break e}}function n(E){return E.length===0?null:E[0]}function r(E){if(E.length===0)return null;var z=E[0],R=E.pop();if(R!==z){E[0]=R;e:for(var Q=0,Z=E.length,vr=Z>>>1;Q<vr;){var kt=2*(Q+1)-1,$l=E[kt],wt=kt+1,gr=E[wt];if(0>l($l,R))wt<Z&&0>l(gr,$l)?(E[Q]=gr,E[wt]=R,Q=wt):(E[Q]=$l,E[kt]=R,Q=kt);else if(wt<Z&&0>l(gr,R))E[Q]=gr,E[wt]=R,Q=wt;else break e}}return z}function l(E,z){var R=E.sortIndex-z.sortIndex;return R!==0?R:E.id-z.id}if(typeof performance=="object"&&typeof performance.now=="function"){var i=performance;e.unstable_now=function(){return i.now()}}else{var o=Date,s=o.now();e.unstable_now=function(){return o.now()-s}}var u=[],c=[],f=1,p=null,v=3,y=!1,g=!1,x=!1,S=typeof setTimeout=="function"?setTimeout:null,h=typeof clearTimeout=="function"?clearTimeout:null,d=typeof setImmediate<"u"?setImmediate:null;typeof navigator<"u"&&navigator.scheduling!==void 0&&navigator.scheduling.isInputPending!==void 0&&navigator.scheduling.isInputPending.bind(navigator.scheduling);function m(E){for(var z=n(c);z!==null;){if(z.callback===null)r(c);else if(z.startTime<=E)r(c),z.sortIndex=z.expirationTime,t(u,z);else break;z=n(c)}}function k(E){if(x=!1,m(E),!g)if(n(u)!==null)g=!0,Ul(j);else{var z=n(c);z!==null&&Bl(k,z.startTime-E)}}function j(E,z){g=!1,x&&(x=!1,h(T),T=-1),y=!0;var R=v;try{for(m(z),p=n(u);p!==null&&(!(p.expirationTime>z)||E&&!Te());){var Q=p.callback;if(typeof Q=="function"){p.callback=null,v=p.priorityLevel;var Z=Q(p.expirationTime<=z);z=e.unstable_now(),typeof Z=="function"?p.callback=Z:p===n(u)&&r(u),m(z)}else r(u);p=n(u)}if(p!==null)var vr=!0;else{var kt=n(c);kt!==null&&Bl(k,kt.startTime-z),vr=!1}return vr}finally{p=null,v=R,y=!1}}var P=!1,_=null,T=-1,H=5,L=-1;function Te(){return!(e.unstable_now()-L<H)}function gn(){if(_!==null){var E=e.unstable_now();L=E;var z=!0;try{z=_(!0,E)}finally{z?yn():(P=!1,_=null)}}else P=!1}var yn;if(typeof d=="function")yn=function(){d(gn)};else if(typeof MessageChannel<"u"){var ps=new MessageChannel,ud=ps.port2;ps.port1.onmessage=gn,yn=function(){ud.postMessage(null)}}else yn=function(){S(gn,0)};function Ul(E){_=E,P||(P=!0,yn())}function Bl(E,z){T=S(function(){E(e.unstable_now())},z)}e.unstable_IdlePriority=5,e.unstable_ImmediatePriority=1,e.unstable_LowPriority=4,e.unstable_NormalPriority=3,e.unstable_Profiling=null,e.unstable_UserBlockingPriority=2,e.unstable_cancelCallback=function(E){E.callback=null},e.unstable_continueExecution=function(){g||y||(g=!0,Ul(j))},e.unstable_forceFrameRate=function(E){0>E||125<E?console.error("forceFrameRate takes a positive int between 0 and 125, forcing frame rates higher than 125 fps is not supported"):H=0<E?Math.floor(1e3/E):5},e.unstable_getCurrentPriorityLevel=function(){return v},e.unstable_getFirstCallbackNode=function(){return n(u)},e.unstable_next=function(E){switch(v){case 1:case 2:case 3:var z=3;break;default:z=v}var R=v;v=z;try{return E()}finally{v=R}},e.unstable_pauseExecution=function(){},e.unstable_requestPaint=function(){},e.unstable_runWithPriority=function(E,z){switch(E){case 1:case 2:case 3:case 4:case 5:break;default:E=3}var R=v;v=E;try{return z()}finally{v=R}},e.unstable_scheduleCallback=function(E,z,R){var Q=e.unstable_now();switch(typeof R=="object"&&R!==null?(R=R.delay,R=typeof R=="number"&&0<R?Q+R:Q):R=Q,E){case 1:var Z=-1;break;case 2:Z=250;break;case 5:Z=1073741823;break;case 4:Z=1e4;break;default:Z=5e3}return Z=R+Z,E={id:f++,callback:z,priorityLevel:E,startTime:R,expirationTime:Z,sortIndex:-1},R>Q?(E.sortIndex=R,t(c,E),n(u)===null&&E===n(c)&&(x?(h(T),T=-1):x=!0,Bl(k,R-Q))):(E.sortIndex=Z,t(u,E),g||y||(g=!0,Ul(j))),E},e.unstable_shouldYield=Te,e.unstable_wrapCallback=function(E){var z=v;return function(){var R=v;v=z;try{return E.apply(this,arguments)}finally{v=R}}}})(Ku);Qu.exports=Ku;var Ld=Qu.exports;/**
- * @license React
- * react-dom.production.min.js
- *
- * Copyright (c) Facebook, Inc. and its affiliates.
- *
- * This source code is licensed under the MIT license found in the
- * LICENSE file in the root directory of this source tree.
- */var Od=C,ke=Ld;function w(e){for(var t="https://reactjs.org/docs/error-decoder.html?invariant="+e,n=1;n<arguments.length;n++)t+="&args[]="+encodeURIComponent(arguments[n]);return"Minified React error #"+e+"; visit "+t+" for the full message or use the non-minified dev environment for full errors and additional helpful warnings."}var Yu=new Set,An={};function Dt(e,t){on(e,t),on(e+"Capture",t)}function on(e,t){for(An[e]=t,e=0;e<t.length;e++)Yu.add(t[e])}var Ge=!(typeof window>"u"||typeof window.document>"u"||typeof window.document.createElement>"u"),yi=Object.prototype.hasOwnProperty,Id=/^[:A-Z_a-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C-\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD][:A-Z_a-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C-\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD\-.0-9\u00B7\u0300-\u036F\u203F-\u2040]*$/,gs={},ys={};function Dd(e){return yi.call(ys,e)?!0:yi.call(gs,e)?!1:Id.test(e)?ys[e]=!0:(gs[e]=!0,!1)}function Fd(e,t,n,r){if(n!==null&&n.type===0)return!1;switch(typeof t){case"function":case"symbol":return!0;case"boolean":return r?!1:n!==null?!n.acceptsBooleans:(e=e.toLowerCase().slice(0,5),e!=="data-"&&e!=="aria-");default:return!1}}function Ud(e,t,n,r){if(t===null||typeof t>"u"||Fd(e,t,n,r))return!0;if(r)return!1;if(n!==null)switch(n.type){case 3:return!t;case 4:return t===!1;case 5:return isNaN(t);case 6:return isNaN(t)||1>t}return!1}function ce(e,t,n,r,l,i,o){this.acceptsBooleans=t===2||t===3||t===4,this.attributeName=r,this.attributeNamespace=l,this.mustUseProperty=n,this.propertyName=e,this.type=t,this.sanitizeURL=i,this.removeEmptyString=o}var ne={};"children dangerouslySetInnerHTML defaultValue defaultChecked innerHTML suppressContentEditableWarning suppressHydrationWarning style".split(" ").forEach(function(e){ne[e]=new ce(e,0,!1,e,null,!1,!1)});[["acceptCharset","accept-charset"],["className","class"],["htmlFor","for"],["httpEquiv","http-equiv"]].forEach(function(e){var t=e[0];ne[t]=new ce(t,1,!1,e[1],null,!1,!1)});["contentEditable","draggable","spellCheck","value"].forEach(function(e){ne[e]=new ce(e,2,!1,e.toLowerCase(),null,!1,!1)});["autoReverse","externalResourcesRequired","focusable","preserveAlpha"].forEach(function(e){ne[e]=new ce(e,2,!1,e,null,!1,!1)});"allowFullScreen async autoFocus autoPlay controls default defer disabled disablePictureInPicture disableRemotePlayback formNoValidate hidden loop noModule noValidate open playsInline readOnly required reversed scoped seamless itemScope".split(" ").forEach(function(e){ne[e]=new ce(e,3,!1,e.toLowerCase(),null,!1,!1)});["checked","multiple","muted","selected"].forEach(function(e){ne[e]=new ce(e,3,!0,e,null,!1,!1)});["capture","download"].forEach(function(e){ne[e]=new ce(e,4,!1,e,null,!1,!1)});["cols","rows","size","span"].forEach(function(e){ne[e]=new ce(e,6,!1,e,null,!1,!1)});["rowSpan","start"].forEach(function(e){ne[e]=new ce(e,5,!1,e.toLowerCase(),null,!1,!1)});var xo=/[\-:]([a-z])/g;function ko(e){return e[1].toUpperCase()}"accent-height alignment-baseline arabic-form baseline-shift cap-height clip-path clip-rule color-interpolation color-interpolation-filters color-profile color-rendering dominant-baseline enable-background fill-opacity fill-rule flood-color flood-opacity font-family font-size font-size-adjust font-stretch font-style font-variant font-weight glyph-name glyph-orientation-horizontal glyph-orientation-vertical horiz-adv-x horiz-origin-x image-rendering letter-spacing lighting-color marker-end marker-mid marker-start overline-position overline-thickness paint-order panose-1 pointer-events rendering-intent shape-rendering stop-color stop-opacity strikethrough-position strikethrough-thickness stroke-dasharray stroke-dashoffset stroke-linecap stroke-linejoin stroke-miterlimit stroke-opacity stroke-width text-anchor text-decoration text-rendering underline-position underline-thickness unicode-bidi unicode-range units-per-em v-alphabetic v-hanging v-ideographic v-mathematical vector-effect vert-adv-y vert-origin-x vert-origin-y word-spacing writing-mode xmlns:xlink x-height".split(" ").forEach(function(e){var t=e.replace(xo,ko);ne[t]=new ce(t,1,!1,e,null,!1,!1)});"xlink:actuate xlink:arcrole xlink:role xlink:show xlink:title xlink:type".split(" ").forEach(function(e){var t=e.replace(xo,ko);ne[t]=new ce(t,1,!1,e,"http://www.w3.org/1999/xlink",!1,!1)});["xml:base","xml:lang","xml:space"].forEach(function(e){var t=e.replace(xo,ko);ne[t]=new ce(t,1,!1,e,"http://www.w3.org/XML/1998/namespace",!1,!1)});["tabIndex","crossOrigin"].forEach(function(e){ne[e]=new ce(e,1,!1,e.toLowerCase(),null,!1,!1)});ne.xlinkHref=new ce("xlinkHref",1,!1,"xlink:href","http://www.w3.org/1999/xlink",!0,!1);["src","href","action","formAction"].forEach(function(e){ne[e]=new ce(e,1,!1,e.toLowerCase(),null,!0,!0)});function wo(e,t,n,r){var l=ne.hasOwnProperty(t)?ne[t]:null;(l!==null?l.type!==0:r||!(2<t.length)||t[0]!=="o"&&t[0]!=="O"||t[1]!=="n"&&t[1]!=="N")&&(Ud(t,n,l,r)&&(n=null),r||l===null?Dd(t)&&(n===null?e.removeAttribute(t):e.setAttribute(t,""+n)):l.mustUseProperty?e[l.propertyName]=n===null?l.type===3?!1:"":n:(t=l.attributeName,r=l.attributeNamespace,n===null?e.removeAttribute(t):(l=l.type,n=l===3||l===4&&n===!0?"":""+n,r?e.setAttributeNS(r,t,n):e.setAttribute(t,n))))}var qe=Od.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED,xr=Symbol.for("react.element"),At=Symbol.for("react.portal"),Wt=Symbol.for("react.fragment"),So=Symbol.for("react.strict_mode"),xi=Symbol.for("react.profiler"),Gu=Symbol.for("react.provider"),Xu=Symbol.for("react.context"),jo=Symbol.for("react.forward_ref"),ki=Symbol.for("react.suspense"),wi=Symbol.for("react.suspense_list"),Co=Symbol.for("react.memo"),et=Symbol.for("react.lazy"),Ju=Symbol.for("react.offscreen"),xs=Symbol.iterator;function xn(e){return e===null||typeof e!="object"?null:(e=xs&&e[xs]||e["@@iterator"],typeof e=="function"?e:null)}var W=Object.assign,Wl;function Pn(e){if(Wl===void 0)try{throw Error()}catch(n){var t=n.stack.trim().match(/\n( *(at )?)/);Wl=t&&t[1]||""}return`
-`+Wl+e}var Vl=!1;function Hl(e,t){if(!e||Vl)return"";Vl=!0;var n=Error.prepareStackTrace;Error.prepareStackTrace=void 0;try{if(t)if(t=function(){throw Error()},Object.defineProperty(t.prototype,"props",{set:function(){throw Error()}}),typeof Reflect=="object"&&Reflect.construct){try{Reflect.construct(t,[])}catch(c){var r=c}Reflect.construct(e,[],t)}else{try{t.call()}catch(c){r=c}e.call(t.prototype)}else{try{throw Error()}catch(c){r=c}e()}}catch(c){if(c&&r&&typeof c.stack=="string"){for(var l=c.stack.split(`
-`),i=r.stack.split(`
-`),o=l.length-1,s=i.length-1;1<=o&&0<=s&&l[o]!==i[s];)s--;for(;1<=o&&0<=s;o--,s--)if(l[o]!==i[s]){if(o!==1||s!==1)do if(o--,s--,0>s||l[o]!==i[s]){var u=`
-`+l[o].replace(" at new "," at ");return e.displayName&&u.includes("<anonymous>")&&(u=u.replace("<anonymous>",e.displayName)),u}while(1<=o&&0<=s);break}}}finally{Vl=!1,Error.prepareStackTrace=n}return(e=e?e.displayName||e.name:"")?Pn(e):""}function Bd(e){switch(e.tag){case 5:return Pn(e.type);case 16:return Pn("Lazy");case 13:return Pn("Suspense");case 19:return Pn("SuspenseList");case 0:case 2:case 15:return e=Hl(e.type,!1),e;case 11:return e=Hl(e.type.render,!1),e;case 1:return e=Hl(e.type,!0),e;default:return""}}function Si(e){if(e==null)return null;if(typeof e=="function")return e.displayName||e.name||null;if(typeof e=="string")return e;switch(e){case Wt:return"Fragment";case At:return"Portal";case xi:return"Profiler";case So:return"StrictMode";case ki:return"Suspense";case wi:return"SuspenseList"}if(typeof e=="object")switch(e.$$typeof){case Xu:return(e.displayName||"Context")+".Consumer";case Gu:return(e._context.displayName||"Context")+".Provider";case jo:var t=e.render;return e=e.displayName,e||(e=t.displayName||t.name||"",e=e!==""?"ForwardRef("+e+")":"ForwardRef"),e;case Co:return t=e.displayName||null,t!==null?t:Si(e.type)||"Memo";case et:t=e._payload,e=e._init;try{return Si(e(t))}catch{}}return null}function $d(e){var t=e.type;switch(e.tag){case 24:return"Cache";case 9:return(t.displayName||"Context")+".Consumer";case 10:return(t._context.displayName||"Context")+".Provider";case 18:return"DehydratedFragment";case 11:return e=t.render,e=e.displayName||e.name||"",t.displayName||(e!==""?"ForwardRef("+e+")":"ForwardRef");case 7:return"Fragment";case 5:return t;case 4:return"Portal";case 3:return"Root";case 6:return"Text";case 16:return Si(t);case 8:return t===So?"StrictMode":"Mode";case 22:return"Offscreen";case 12:return"Profiler";case 21:return"Scope";case 13:return"Suspense";case 19:return"SuspenseList";case 25:return"TracingMarker";case 1:case 0:case 17:case 2:case 14:case 15:if(typeof t=="function")return t.displayName||t.name||null;if(typeof t=="string")return t}return null}function mt(e){switch(typeof e){case"boolean":case"number":case"string":case"undefined":return e;case"object":return e;default:return""}}function Zu(e){var t=e.type;return(e=e.nodeName)&&e.toLowerCase()==="input"&&(t==="checkbox"||t==="radio")}function Ad(e){var t=Zu(e)?"checked":"value",n=Object.getOwnPropertyDescriptor(e.constructor.prototype,t),r=""+e[t];if(!e.hasOwnProperty(t)&&typeof n<"u"&&typeof n.get=="function"&&typeof n.set=="function"){var l=n.get,i=n.set;return Object.defineProperty(e,t,{configurable:!0,get:function(){return l.call(this)},set:function(o){r=""+o,i.call(this,o)}}),Object.defineProperty(e,t,{enumerable:n.enumerable}),{getValue:function(){return r},setValue:function(o){r=""+o},stopTracking:function(){e._valueTracker=null,delete e[t]}}}}function kr(e){e._valueTracker||(e._valueTracker=Ad(e))}function qu(e){if(!e)return!1;var t=e._valueTracker;if(!t)return!0;var n=t.getValue(),r="";return e&&(r=Zu(e)?e.checked?"true":"false":e.value),e=r,e!==n?(t.setValue(e),!0):!1}function Gr(e){if(e=e||(typeof document<"u"?document:void 0),typeof e>"u")return null;try{return e.activeElement||e.body}catch{return e.body}}function ji(e,t){var n=t.checked;return W({},t,{defaultChecked:void 0,defaultValue:void 0,value:void 0,checked:n??e._wrapperState.initialChecked})}function ks(e,t){var n=t.defaultValue==null?"":t.defaultValue,r=t.checked!=null?t.checked:t.defaultChecked;n=mt(t.value!=null?t.value:n),e._wrapperState={initialChecked:r,initialValue:n,controlled:t.type==="checkbox"||t.type==="radio"?t.checked!=null:t.value!=null}}function bu(e,t){t=t.checked,t!=null&&wo(e,"checked",t,!1)}function Ci(e,t){bu(e,t);var n=mt(t.value),r=t.type;if(n!=null)r==="number"?(n===0&&e.value===""||e.value!=n)&&(e.value=""+n):e.value!==""+n&&(e.value=""+n);else if(r==="submit"||r==="reset"){e.removeAttribute("value");return}t.hasOwnProperty("value")?Ni(e,t.type,n):t.hasOwnProperty("defaultValue")&&Ni(e,t.type,mt(t.defaultValue)),t.checked==null&&t.defaultChecked!=null&&(e.defaultChecked=!!t.defaultChecked)}function ws(e,t,n){if(t.hasOwnProperty("value")||t.hasOwnProperty("defaultValue")){var r=t.type;if(!(r!=="submit"&&r!=="reset"||t.value!==void 0&&t.value!==null))return;t=""+e._wrapperState.initialValue,n||t===e.value||(e.value=t),e.defaultValue=t}n=e.name,n!==""&&(e.name=""),e.defaultChecked=!!e._wrapperState.initialChecked,n!==""&&(e.name=n)}function Ni(e,t,n){(t!=="number"||Gr(e.ownerDocument)!==e)&&(n==null?e.defaultValue=""+e._wrapperState.initialValue:e.defaultValue!==""+n&&(e.defaultValue=""+n))}var _n=Array.isArray;function bt(e,t,n,r){if(e=e.options,t){t={};for(var l=0;l<n.length;l++)t["$"+n[l]]=!0;for(n=0;n<e.length;n++)l=t.hasOwnProperty("$"+e[n].value),e[n].selected!==l&&(e[n].selected=l),l&&r&&(e[n].defaultSelected=!0)}else{for(n=""+mt(n),t=null,l=0;l<e.length;l++){if(e[l].value===n){e[l].selected=!0,r&&(e[l].defaultSelected=!0);return}t!==null||e[l].disabled||(t=e[l])}t!==null&&(t.selected=!0)}}function Ei(e,t){if(t.dangerouslySetInnerHTML!=null)throw Error(w(91));return W({},t,{value:void 0,defaultValue:void 0,children:""+e._wrapperState.initialValue})}function Ss(e,t){var n=t.value;if(n==null){if(n=t.children,t=t.defaultValue,n!=null){if(t!=null)throw Error(w(92));if(_n(n)){if(1<n.length)throw Error(w(93));n=n[0]}t=n}t==null&&(t=""),n=t}e._wrapperState={initialValue:mt(n)}}function ea(e,t){var n=mt(t.value),r=mt(t.defaultValue);n!=null&&(n=""+n,n!==e.value&&(e.value=n),t.defaultValue==null&&e.defaultValue!==n&&(e.defaultValue=n)),r!=null&&(e.defaultValue=""+r)}function js(e){var t=e.textContent;t===e._wrapperState.initialValue&&t!==""&&t!==null&&(e.value=t)}function ta(e){switch(e){case"svg":return"http://www.w3.org/2000/svg";case"math":return"http://www.w3.org/1998/Math/MathML";default:return"http://www.w3.org/1999/xhtml"}}function Pi(e,t){return e==null||e==="http://www.w3.org/1999/xhtml"?ta(t):e==="http://www.w3.org/2000/svg"&&t==="foreignObject"?"http://www.w3.org/1999/xhtml":e}var wr,na=function(e){return typeof MSApp<"u"&&MSApp.execUnsafeLocalFunction?function(t,n,r,l){MSApp.execUnsafeLocalFunction(function(){return e(t,n,r,l)})}:e}(function(e,t){if(e.namespaceURI!=="http://www.w3.org/2000/svg"||"innerHTML"in e)e.innerHTML=t;else{for(wr=wr||document.createElement("div"),wr.innerHTML="<svg>"+t.valueOf().toString()+"</svg>",t=wr.firstChild;e.firstChild;)e.removeChild(e.firstChild);for(;t.firstChild;)e.appendChild(t.firstChild)}});function Wn(e,t){if(t){var n=e.firstChild;if(n&&n===e.lastChild&&n.nodeType===3){n.nodeValue=t;return}}e.textContent=t}var Mn={animationIterationCount:!0,aspectRatio:!0,borderImageOutset:!0,borderImageSlice:!0,borderImageWidth:!0,boxFlex:!0,boxFlexGroup:!0,boxOrdinalGroup:!0,columnCount:!0,columns:!0,flex:!0,flexGrow:!0,flexPositive:!0,flexShrink:!0,flexNegative:!0,flexOrder:!0,gridArea:!0,gridRow:!0,gridRowEnd:!0,gridRowSpan:!0,gridRowStart:!0,gridColumn:!0,gridColumnEnd:!0,gridColumnSpan:!0,gridColumnStart:!0,fontWeight:!0,lineClamp:!0,lineHeight:!0,opacity:!0,order:!0,orphans:!0,tabSize:!0,widows:!0,zIndex:!0,zoom:!0,fillOpacity:!0,floodOpacity:!0,stopOpacity:!0,strokeDasharray:!0,strokeDashoffset:!0,strokeMiterlimit:!0,strokeOpacity:!0,strokeWidth:!0},Wd=["Webkit","ms","Moz","O"];Object.keys(Mn).forEach(function(e){Wd.forEach(function(t){t=t+e.charAt(0).toUpperCase()+e.substring(1),Mn[t]=Mn[e]})});function ra(e,t,n){return t==null||typeof t=="boolean"||t===""?"":n||typeof t!="number"||t===0||Mn.hasOwnProperty(e)&&Mn[e]?(""+t).trim():t+"px"}function la(e,t){e=e.style;for(var n in t)if(t.hasOwnProperty(n)){var r=n.indexOf("--")===0,l=ra(n,t[n],r);n==="float"&&(n="cssFloat"),r?e.setProperty(n,l):e[n]=l}}var Vd=W({menuitem:!0},{area:!0,base:!0,br:!0,col:!0,embed:!0,hr:!0,img:!0,input:!0,keygen:!0,link:!0,meta:!0,param:!0,source:!0,track:!0,wbr:!0});function _i(e,t){if(t){if(Vd[e]&&(t.children!=null||t.dangerouslySetInnerHTML!=null))throw Error(w(137,e));if(t.dangerouslySetInnerHTML!=null){if(t.children!=null)throw Error(w(60));if(typeof t.dangerouslySetInnerHTML!="object"||!("__html"in t.dangerouslySetInnerHTML))throw Error(w(61))}if(t.style!=null&&typeof t.style!="object")throw Error(w(62))}}function Ti(e,t){if(e.indexOf("-")===-1)return typeof t.is=="string";switch(e){case"annotation-xml":case"color-profile":case"font-face":case"font-face-src":case"font-face-uri":case"font-face-format":case"font-face-name":case"missing-glyph":return!1;default:return!0}}var zi=null;function No(e){return e=e.target||e.srcElement||window,e.correspondingUseElement&&(e=e.correspondingUseElement),e.nodeType===3?e.parentNode:e}var Ri=null,en=null,tn=null;function Cs(e){if(e=fr(e)){if(typeof Ri!="function")throw Error(w(280));var t=e.stateNode;t&&(t=jl(t),Ri(e.stateNode,e.type,t))}}function ia(e){en?tn?tn.push(e):tn=[e]:en=e}function oa(){if(en){var e=en,t=tn;if(tn=en=null,Cs(e),t)for(e=0;e<t.length;e++)Cs(t[e])}}function sa(e,t){return e(t)}function ua(){}var Ql=!1;function aa(e,t,n){if(Ql)return e(t,n);Ql=!0;try{return sa(e,t,n)}finally{Ql=!1,(en!==null||tn!==null)&&(ua(),oa())}}function Vn(e,t){var n=e.stateNode;if(n===null)return null;var r=jl(n);if(r===null)return null;n=r[t];e:switch(t){case"onClick":case"onClickCapture":case"onDoubleClick":case"onDoubleClickCapture":case"onMouseDown":case"onMouseDownCapture":case"onMouseMove":case"onMouseMoveCapture":case"onMouseUp":case"onMouseUpCapture":case"onMouseEnter":(r=!r.disabled)||(e=e.type,r=!(e==="button"||e==="input"||e==="select"||e==="textarea")),e=!r;break e;default:e=!1}if(e)return null;if(n&&typeof n!="function")throw Error(w(231,t,typeof n));return n}var Mi=!1;if(Ge)try{var kn={};Object.defineProperty(kn,"passive",{get:function(){Mi=!0}}),window.addEventListener("test",kn,kn),window.removeEventListener("test",kn,kn)}catch{Mi=!1}function Hd(e,t,n,r,l,i,o,s,u){var c=Array.prototype.slice.call(arguments,3);try{t.apply(n,c)}catch(f){this.onError(f)}}var Ln=!1,Xr=null,Jr=!1,Li=null,Qd={onError:function(e){Ln=!0,Xr=e}};function Kd(e,t,n,r,l,i,o,s,u){Ln=!1,Xr=null,Hd.apply(Qd,arguments)}function Yd(e,t,n,r,l,i,o,s,u){if(Kd.apply(this,arguments),Ln){if(Ln){var c=Xr;Ln=!1,Xr=null}else throw Error(w(198));Jr||(Jr=!0,Li=c)}}function Ft(e){var t=e,n=e;if(e.alternate)for(;t.return;)t=t.return;else{e=t;do t=e,t.flags&4098&&(n=t.return),e=t.return;while(e)}return t.tag===3?n:null}function ca(e){if(e.tag===13){var t=e.memoizedState;if(t===null&&(e=e.alternate,e!==null&&(t=e.memoizedState)),t!==null)return t.dehydrated}return null}function Ns(e){if(Ft(e)!==e)throw Error(w(188))}function Gd(e){var t=e.alternate;if(!t){if(t=Ft(e),t===null)throw Error(w(188));return t!==e?null:e}for(var n=e,r=t;;){var l=n.return;if(l===null)break;var i=l.alternate;if(i===null){if(r=l.return,r!==null){n=r;continue}break}if(l.child===i.child){for(i=l.child;i;){if(i===n)return Ns(l),e;if(i===r)return Ns(l),t;i=i.sibling}throw Error(w(188))}if(n.return!==r.return)n=l,r=i;else{for(var o=!1,s=l.child;s;){if(s===n){o=!0,n=l,r=i;break}if(s===r){o=!0,r=l,n=i;break}s=s.sibling}if(!o){for(s=i.child;s;){if(s===n){o=!0,n=i,r=l;break}if(s===r){o=!0,r=i,n=l;break}s=s.sibling}if(!o)throw Error(w(189))}}if(n.alternate!==r)throw Error(w(190))}if(n.tag!==3)throw Error(w(188));return n.stateNode.current===n?e:t}function da(e){return e=Gd(e),e!==null?fa(e):null}function fa(e){if(e.tag===5||e.tag===6)return e;for(e=e.child;e!==null;){var t=fa(e);if(t!==null)return t;e=e.sibling}return null}var pa=ke.unstable_scheduleCallback,Es=ke.unstable_cancelCallback,Xd=ke.unstable_shouldYield,Jd=ke.unstable_requestPaint,K=ke.unstable_now,Zd=ke.unstable_getCurrentPriorityLevel,Eo=ke.unstable_ImmediatePriority,ha=ke.unstable_UserBlockingPriority,Zr=ke.unstable_NormalPriority,qd=ke.unstable_LowPriority,ma=ke.unstable_IdlePriority,xl=null,Ae=null;function bd(e){if(Ae&&typeof Ae.onCommitFiberRoot=="function")try{Ae.onCommitFiberRoot(xl,e,void 0,(e.current.flags&128)===128)}catch{}}var Ie=Math.clz32?Math.clz32:nf,ef=Math.log,tf=Math.LN2;function nf(e){return e>>>=0,e===0?32:31-(ef(e)/tf|0)|0}var Sr=64,jr=4194304;function Tn(e){switch(e&-e){case 1:return 1;case 2:return 2;case 4:return 4;case 8:return 8;case 16:return 16;case 32:return 32;case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return e&4194240;case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:return e&130023424;case 134217728:return 134217728;case 268435456:return 268435456;case 536870912:return 536870912;case 1073741824:return 1073741824;default:return e}}function qr(e,t){var n=e.pendingLanes;if(n===0)return 0;var r=0,l=e.suspendedLanes,i=e.pingedLanes,o=n&268435455;if(o!==0){var s=o&~l;s!==0?r=Tn(s):(i&=o,i!==0&&(r=Tn(i)))}else o=n&~l,o!==0?r=Tn(o):i!==0&&(r=Tn(i));if(r===0)return 0;if(t!==0&&t!==r&&!(t&l)&&(l=r&-r,i=t&-t,l>=i||l===16&&(i&4194240)!==0))return t;if(r&4&&(r|=n&16),t=e.entangledLanes,t!==0)for(e=e.entanglements,t&=r;0<t;)n=31-Ie(t),l=1<<n,r|=e[n],t&=~l;return r}function rf(e,t){switch(e){case 1:case 2:case 4:return t+250;case 8:case 16:case 32:case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return t+5e3;case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:return-1;case 134217728:case 268435456:case 536870912:case 1073741824:return-1;default:return-1}}function lf(e,t){for(var n=e.suspendedLanes,r=e.pingedLanes,l=e.expirationTimes,i=e.pendingLanes;0<i;){var o=31-Ie(i),s=1<<o,u=l[o];u===-1?(!(s&n)||s&r)&&(l[o]=rf(s,t)):u<=t&&(e.expiredLanes|=s),i&=~s}}function Oi(e){return e=e.pendingLanes&-1073741825,e!==0?e:e&1073741824?1073741824:0}function va(){var e=Sr;return Sr<<=1,!(Sr&4194240)&&(Sr=64),e}function Kl(e){for(var t=[],n=0;31>n;n++)t.push(e);return t}function cr(e,t,n){e.pendingLanes|=t,t!==536870912&&(e.suspendedLanes=0,e.pingedLanes=0),e=e.eventTimes,t=31-Ie(t),e[t]=n}function of(e,t){var n=e.pendingLanes&~t;e.pendingLanes=t,e.suspendedLanes=0,e.pingedLanes=0,e.expiredLanes&=t,e.mutableReadLanes&=t,e.entangledLanes&=t,t=e.entanglements;var r=e.eventTimes;for(e=e.expirationTimes;0<n;){var l=31-Ie(n),i=1<<l;t[l]=0,r[l]=-1,e[l]=-1,n&=~i}}function Po(e,t){var n=e.entangledLanes|=t;for(e=e.entanglements;n;){var r=31-Ie(n),l=1<<r;l&t|e[r]&t&&(e[r]|=t),n&=~l}}var I=0;function ga(e){return e&=-e,1<e?4<e?e&268435455?16:536870912:4:1}var ya,_o,xa,ka,wa,Ii=!1,Cr=[],st=null,ut=null,at=null,Hn=new Map,Qn=new Map,nt=[],sf="mousedown mouseup touchcancel touchend touchstart auxclick dblclick pointercancel pointerdown pointerup dragend dragstart drop compositionend compositionstart keydown keypress keyup input textInput copy cut paste click change contextmenu reset submit".split(" ");function Ps(e,t){switch(e){case"focusin":case"focusout":st=null;break;case"dragenter":case"dragleave":ut=null;break;case"mouseover":case"mouseout":at=null;break;case"pointerover":case"pointerout":Hn.delete(t.pointerId);break;case"gotpointercapture":case"lostpointercapture":Qn.delete(t.pointerId)}}function wn(e,t,n,r,l,i){return e===null||e.nativeEvent!==i?(e={blockedOn:t,domEventName:n,eventSystemFlags:r,nativeEvent:i,targetContainers:[l]},t!==null&&(t=fr(t),t!==null&&_o(t)),e):(e.eventSystemFlags|=r,t=e.targetContainers,l!==null&&t.indexOf(l)===-1&&t.push(l),e)}function uf(e,t,n,r,l){switch(t){case"focusin":return st=wn(st,e,t,n,r,l),!0;case"dragenter":return ut=wn(ut,e,t,n,r,l),!0;case"mouseover":return at=wn(at,e,t,n,r,l),!0;case"pointerover":var i=l.pointerId;return Hn.set(i,wn(Hn.get(i)||null,e,t,n,r,l)),!0;case"gotpointercapture":return i=l.pointerId,Qn.set(i,wn(Qn.get(i)||null,e,t,n,r,l)),!0}return!1}function Sa(e){var t=Nt(e.target);if(t!==null){var n=Ft(t);if(n!==null){if(t=n.tag,t===13){if(t=ca(n),t!==null){e.blockedOn=t,wa(e.priority,function(){xa(n)});return}}else if(t===3&&n.stateNode.current.memoizedState.isDehydrated){e.blockedOn=n.tag===3?n.stateNode.containerInfo:null;return}}}e.blockedOn=null}function Ur(e){if(e.blockedOn!==null)return!1;for(var t=e.targetContainers;0<t.length;){var n=Di(e.domEventName,e.eventSystemFlags,t[0],e.nativeEvent);if(n===null){n=e.nativeEvent;var r=new n.constructor(n.type,n);zi=r,n.target.dispatchEvent(r),zi=null}else return t=fr(n),t!==null&&_o(t),e.blockedOn=n,!1;t.shift()}return!0}function _s(e,t,n){Ur(e)&&n.delete(t)}function af(){Ii=!1,st!==null&&Ur(st)&&(st=null),ut!==null&&Ur(ut)&&(ut=null),at!==null&&Ur(at)&&(at=null),Hn.forEach(_s),Qn.forEach(_s)}function Sn(e,t){e.blockedOn===t&&(e.blockedOn=null,Ii||(Ii=!0,ke.unstable_scheduleCallback(ke.unstable_NormalPriority,af)))}function Kn(e){function t(l){return Sn(l,e)}if(0<Cr.length){Sn(Cr[0],e);for(var n=1;n<Cr.length;n++){var r=Cr[n];r.blockedOn===e&&(r.blockedOn=null)}}for(st!==null&&Sn(st,e),ut!==null&&Sn(ut,e),at!==null&&Sn(at,e),Hn.forEach(t),Qn.forEach(t),n=0;n<nt.length;n++)r=nt[n],r.blockedOn===e&&(r.blockedOn=null);for(;0<nt.length&&(n=nt[0],n.blockedOn===null);)Sa(n),n.blockedOn===null&&nt.shift()}var nn=qe.ReactCurrentBatchConfig,br=!0;function cf(e,t,n,r){var l=I,i=nn.transition;nn.transition=null;try{I=1,To(e,t,n,r)}finally{I=l,nn.transition=i}}function df(e,t,n,r){var l=I,i=nn.transition;nn.transition=null;try{I=4,To(e,t,n,r)}finally{I=l,nn.transition=i}}function To(e,t,n,r){if(br){var l=Di(e,t,n,r);if(l===null)ni(e,t,r,el,n),Ps(e,r);else if(uf(l,e,t,n,r))r.stopPropagation();else if(Ps(e,r),t&4&&-1<sf.indexOf(e)){for(;l!==null;){var i=fr(l);if(i!==null&&ya(i),i=Di(e,t,n,r),i===null&&ni(e,t,r,el,n),i===l)break;l=i}l!==null&&r.stopPropagation()}else ni(e,t,r,null,n)}}var el=null;function Di(e,t,n,r){if(el=null,e=No(r),e=Nt(e),e!==null)if(t=Ft(e),t===null)e=null;else if(n=t.tag,n===13){if(e=ca(t),e!==null)return e;e=null}else if(n===3){if(t.stateNode.current.memoizedState.isDehydrated)return t.tag===3?t.stateNode.containerInfo:null;e=null}else t!==e&&(e=null);return el=e,null}function ja(e){switch(e){case"cancel":case"click":case"close":case"contextmenu":case"copy":case"cut":case"auxclick":case"dblclick":case"dragend":case"dragstart":case"drop":case"focusin":case"focusout":case"input":case"invalid":case"keydown":case"keypress":case"keyup":case"mousedown":case"mouseup":case"paste":case"pause":case"play":case"pointercancel":case"pointerdown":case"pointerup":case"ratechange":case"reset":case"resize":case"seeked":case"submit":case"touchcancel":case"touchend":case"touchstart":case"volumechange":case"change":case"selectionchange":case"textInput":case"compositionstart":case"compositionend":case"compositionupdate":case"beforeblur":case"afterblur":case"beforeinput":case"blur":case"fullscreenchange":case"focus":case"hashchange":case"popstate":case"select":case"selectstart":return 1;case"drag":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"mousemove":case"mouseout":case"mouseover":case"pointermove":case"pointerout":case"pointerover":case"scroll":case"toggle":case"touchmove":case"wheel":case"mouseenter":case"mouseleave":case"pointerenter":case"pointerleave":return 4;case"message":switch(Zd()){case Eo:return 1;case ha:return 4;case Zr:case qd:return 16;case ma:return 536870912;default:return 16}default:return 16}}var lt=null,zo=null,Br=null;function Ca(){if(Br)return Br;var e,t=zo,n=t.length,r,l="value"in lt?lt.value:lt.textContent,i=l.length;for(e=0;e<n&&t[e]===l[e];e++);var o=n-e;for(r=1;r<=o&&t[n-r]===l[i-r];r++);return Br=l.slice(e,1<r?1-r:void 0)}function $r(e){var t=e.keyCode;return"charCode"in e?(e=e.charCode,e===0&&t===13&&(e=13)):e=t,e===10&&(e=13),32<=e||e===13?e:0}function Nr(){return!0}function Ts(){return!1}function Se(e){function t(n,r,l,i,o){this._reactName=n,this._targetInst=l,this.type=r,this.nativeEvent=i,this.target=o,this.currentTarget=null;for(var s in e)e.hasOwnProperty(s)&&(n=e[s],this[s]=n?n(i):i[s]);return this.isDefaultPrevented=(i.defaultPrevented!=null?i.defaultPrevented:i.returnValue===!1)?Nr:Ts,this.isPropagationStopped=Ts,this}return W(t.prototype,{preventDefault:function(){this.defaultPrevented=!0;var n=this.nativeEvent;n&&(n.preventDefault?n.preventDefault():typeof n.returnValue!="unknown"&&(n.returnValue=!1),this.isDefaultPrevented=Nr)},stopPropagation:function(){var n=this.nativeEvent;n&&(n.stopPropagation?n.stopPropagation():typeof n.cancelBubble!="unknown"&&(n.cancelBubble=!0),this.isPropagationStopped=Nr)},persist:function(){},isPersistent:Nr}),t}var mn={eventPhase:0,bubbles:0,cancelable:0,timeStamp:function(e){return e.timeStamp||Date.now()},defaultPrevented:0,isTrusted:0},Ro=Se(mn),dr=W({},mn,{view:0,detail:0}),ff=Se(dr),Yl,Gl,jn,kl=W({},dr,{screenX:0,screenY:0,clientX:0,clientY:0,pageX:0,pageY:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,getModifierState:Mo,button:0,buttons:0,relatedTarget:function(e){return e.relatedTarget===void 0?e.fromElement===e.srcElement?e.toElement:e.fromElement:e.relatedTarget},movementX:function(e){return"movementX"in e?e.movementX:(e!==jn&&(jn&&e.type==="mousemove"?(Yl=e.screenX-jn.screenX,Gl=e.screenY-jn.screenY):Gl=Yl=0,jn=e),Yl)},movementY:function(e){return"movementY"in e?e.movementY:Gl}}),zs=Se(kl),pf=W({},kl,{dataTransfer:0}),hf=Se(pf),mf=W({},dr,{relatedTarget:0}),Xl=Se(mf),vf=W({},mn,{animationName:0,elapsedTime:0,pseudoElement:0}),gf=Se(vf),yf=W({},mn,{clipboardData:function(e){return"clipboardData"in e?e.clipboardData:window.clipboardData}}),xf=Se(yf),kf=W({},mn,{data:0}),Rs=Se(kf),wf={Esc:"Escape",Spacebar:" ",Left:"ArrowLeft",Up:"ArrowUp",Right:"ArrowRight",Down:"ArrowDown",Del:"Delete",Win:"OS",Menu:"ContextMenu",Apps:"ContextMenu",Scroll:"ScrollLock",MozPrintableKey:"Unidentified"},Sf={8:"Backspace",9:"Tab",12:"Clear",13:"Enter",16:"Shift",17:"Control",18:"Alt",19:"Pause",20:"CapsLock",27:"Escape",32:" ",33:"PageUp",34:"PageDown",35:"End",36:"Home",37:"ArrowLeft",38:"ArrowUp",39:"ArrowRight",40:"ArrowDown",45:"Insert",46:"Delete",112:"F1",113:"F2",114:"F3",115:"F4",116:"F5",117:"F6",118:"F7",119:"F8",120:"F9",121:"F10",122:"F11",123:"F12",144:"NumLock",145:"ScrollLock",224:"Meta"},jf={Alt:"altKey",Control:"ctrlKey",Meta:"metaKey",Shift:"shiftKey"};function Cf(e){var t=this.nativeEvent;return t.getModifierState?t.getModifierState(e):(e=jf[e])?!!t[e]:!1}function Mo(){return Cf}var Nf=W({},dr,{key:function(e){if(e.key){var t=wf[e.key]||e.key;if(t!=="Unidentified")return t}return e.type==="keypress"?(e=$r(e),e===13?"Enter":String.fromCharCode(e)):e.type==="keydown"||e.type==="keyup"?Sf[e.keyCode]||"Unidentified":""},code:0,location:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,repeat:0,locale:0,getModifierState:Mo,charCode:function(e){return e.type==="keypress"?$r(e):0},keyCode:function(e){return e.type==="keydown"||e.type==="keyup"?e.keyCode:0},which:function(e){return e.type==="keypress"?$r(e):e.type==="keydown"||e.type==="keyup"?e.keyCode:0}}),Ef=Se(Nf),Pf=W({},kl,{pointerId:0,width:0,height:0,pressure:0,tangentialPressure:0,tiltX:0,tiltY:0,twist:0,pointerType:0,isPrimary:0}),Ms=Se(Pf),_f=W({},dr,{touches:0,targetTouches:0,changedTouches:0,altKey:0,metaKey:0,ctrlKey:0,shiftKey:0,getModifierState:Mo}),Tf=Se(_f),zf=W({},mn,{propertyName:0,elapsedTime:0,pseudoElement:0}),Rf=Se(zf),Mf=W({},kl,{deltaX:function(e){return"deltaX"in e?e.deltaX:"wheelDeltaX"in e?-e.wheelDeltaX:0},deltaY:function(e){return"deltaY"in e?e.deltaY:"wheelDeltaY"in e?-e.wheelDeltaY:"wheelDelta"in e?-e.wheelDelta:0},deltaZ:0,deltaMode:0}),Lf=Se(Mf),Of=[9,13,27,32],Lo=Ge&&"CompositionEvent"in window,On=null;Ge&&"documentMode"in document&&(On=document.documentMode);var If=Ge&&"TextEvent"in window&&!On,Na=Ge&&(!Lo||On&&8<On&&11>=On),Ls=" ",Os=!1;function Ea(e,t){switch(e){case"keyup":return Of.indexOf(t.keyCode)!==-1;case"keydown":return t.keyCode!==229;case"keypress":case"mousedown":case"focusout":return!0;default:return!1}}function Pa(e){return e=e.detail,typeof e=="object"&&"data"in e?e.data:null}var Vt=!1;function Df(e,t){switch(e){case"compositionend":return Pa(t);case"keypress":return t.which!==32?null:(Os=!0,Ls);case"textInput":return e=t.data,e===Ls&&Os?null:e;default:return null}}function Ff(e,t){if(Vt)return e==="compositionend"||!Lo&&Ea(e,t)?(e=Ca(),Br=zo=lt=null,Vt=!1,e):null;switch(e){case"paste":return null;case"keypress":if(!(t.ctrlKey||t.altKey||t.metaKey)||t.ctrlKey&&t.altKey){if(t.char&&1<t.char.length)return t.char;if(t.which)return String.fromCharCode(t.which)}return null;case"compositionend":return Na&&t.locale!=="ko"?null:t.data;default:return null}}var Uf={color:!0,date:!0,datetime:!0,"datetime-local":!0,email:!0,month:!0,number:!0,password:!0,range:!0,search:!0,tel:!0,text:!0,time:!0,url:!0,week:!0};function Is(e){var t=e&&e.nodeName&&e.nodeName.toLowerCase();return t==="input"?!!Uf[e.type]:t==="textarea"}function _a(e,t,n,r){ia(r),t=tl(t,"onChange"),0<t.length&&(n=new Ro("onChange","change",null,n,r),e.push({event:n,listeners:t}))}var In=null,Yn=null;function Bf(e){Ba(e,0)}function wl(e){var t=Kt(e);if(qu(t))return e}function $f(e,t){if(e==="change")return t}var Ta=!1;if(Ge){var Jl;if(Ge){var Zl="oninput"in document;if(!Zl){var Ds=document.createElement("div");Ds.setAttribute("oninput","return;"),Zl=typeof Ds.oninput=="function"}Jl=Zl}else Jl=!1;Ta=Jl&&(!document.documentMode||9<document.documentMode)}function Fs(){In&&(In.detachEvent("onpropertychange",za),Yn=In=null)}function za(e){if(e.propertyName==="value"&&wl(Yn)){var t=[];_a(t,Yn,e,No(e)),aa(Bf,t)}}function Af(e,t,n){e==="focusin"?(Fs(),In=t,Yn=n,In.attachEvent("onpropertychange",za)):e==="focusout"&&Fs()}function Wf(e){if(e==="selectionchange"||e==="keyup"||e==="keydown")return wl(Yn)}function Vf(e,t){if(e==="click")return wl(t)}function Hf(e,t){if(e==="input"||e==="change")return wl(t)}function Qf(e,t){return e===t&&(e!==0||1/e===1/t)||e!==e&&t!==t}var Fe=typeof Object.is=="function"?Object.is:Qf;function Gn(e,t){if(Fe(e,t))return!0;if(typeof e!="object"||e===null||typeof t!="object"||t===null)return!1;var n=Object.keys(e),r=Object.keys(t);if(n.length!==r.length)return!1;for(r=0;r<n.length;r++){var l=n[r];if(!yi.call(t,l)||!Fe(e[l],t[l]))return!1}return!0}function Us(e){for(;e&&e.firstChild;)e=e.firstChild;return e}function Bs(e,t){var n=Us(e);e=0;for(var r;n;){if(n.nodeType===3){if(r=e+n.textContent.length,e<=t&&r>=t)return{node:n,offset:t-e};e=r}e:{for(;n;){if(n.nextSibling){n=n.nextSibling;break e}n=n.parentNode}n=void 0}n=Us(n)}}function Ra(e,t){return e&&t?e===t?!0:e&&e.nodeType===3?!1:t&&t.nodeType===3?Ra(e,t.parentNode):"contains"in e?e.contains(t):e.compareDocumentPosition?!!(e.compareDocumentPosition(t)&16):!1:!1}function Ma(){for(var e=window,t=Gr();t instanceof e.HTMLIFrameElement;){try{var n=typeof t.contentWindow.location.href=="string"}catch{n=!1}if(n)e=t.contentWindow;else break;t=Gr(e.document)}return t}function Oo(e){var t=e&&e.nodeName&&e.nodeName.toLowerCase();return t&&(t==="input"&&(e.type==="text"||e.type==="search"||e.type==="tel"||e.type==="url"||e.type==="password")||t==="textarea"||e.contentEditable==="true")}function Kf(e){var t=Ma(),n=e.focusedElem,r=e.selectionRange;if(t!==n&&n&&n.ownerDocument&&Ra(n.ownerDocument.documentElement,n)){if(r!==null&&Oo(n)){if(t=r.start,e=r.end,e===void 0&&(e=t),"selectionStart"in n)n.selectionStart=t,n.selectionEnd=Math.min(e,n.value.length);else if(e=(t=n.ownerDocument||document)&&t.defaultView||window,e.getSelection){e=e.getSelection();var l=n.textContent.length,i=Math.min(r.start,l);r=r.end===void 0?i:Math.min(r.end,l),!e.extend&&i>r&&(l=r,r=i,i=l),l=Bs(n,i);var o=Bs(n,r);l&&o&&(e.rangeCount!==1||e.anchorNode!==l.node||e.anchorOffset!==l.offset||e.focusNode!==o.node||e.focusOffset!==o.offset)&&(t=t.createRange(),t.setStart(l.node,l.offset),e.removeAllRanges(),i>r?(e.addRange(t),e.extend(o.node,o.offset)):(t.setEnd(o.node,o.offset),e.addRange(t)))}}for(t=[],e=n;e=e.parentNode;)e.nodeType===1&&t.push({element:e,left:e.scrollLeft,top:e.scrollTop});for(typeof n.focus=="function"&&n.focus(),n=0;n<t.length;n++)e=t[n],e.element.scrollLeft=e.left,e.element.scrollTop=e.top}}var Yf=Ge&&"documentMode"in document&&11>=document.documentMode,Ht=null,Fi=null,Dn=null,Ui=!1;function $s(e,t,n){var r=n.window===n?n.document:n.nodeType===9?n:n.ownerDocument;Ui||Ht==null||Ht!==Gr(r)||(r=Ht,"selectionStart"in r&&Oo(r)?r={start:r.selectionStart,end:r.selectionEnd}:(r=(r.ownerDocument&&r.ownerDocument.defaultView||window).getSelection(),r={anchorNode:r.anchorNode,anchorOffset:r.anchorOffset,focusNode:r.focusNode,focusOffset:r.focusOffset}),Dn&&Gn(Dn,r)||(Dn=r,r=tl(Fi,"onSelect"),0<r.length&&(t=new Ro("onSelect","select",null,t,n),e.push({event:t,listeners:r}),t.target=Ht)))}function Er(e,t){var n={};return n[e.toLowerCase()]=t.toLowerCase(),n["Webkit"+e]="webkit"+t,n["Moz"+e]="moz"+t,n}var Qt={animationend:Er("Animation","AnimationEnd"),animationiteration:Er("Animation","AnimationIteration"),animationstart:Er("Animation","AnimationStart"),transitionend:Er("Transition","TransitionEnd")},ql={},La={};Ge&&(La=document.createElement("div").style,"AnimationEvent"in window||(delete Qt.animationend.animation,delete Qt.animationiteration.animation,delete Qt.animationstart.animation),"TransitionEvent"in window||delete Qt.transitionend.transition);function Sl(e){if(ql[e])return ql[e];if(!Qt[e])return e;var t=Qt[e],n;for(n in t)if(t.hasOwnProperty(n)&&n in La)return ql[e]=t[n];return e}var Oa=Sl("animationend"),Ia=Sl("animationiteration"),Da=Sl("animationstart"),Fa=Sl("transitionend"),Ua=new Map,As="abort auxClick cancel canPlay canPlayThrough click close contextMenu copy cut drag dragEnd dragEnter dragExit dragLeave dragOver dragStart drop durationChange emptied encrypted ended error gotPointerCapture input invalid keyDown keyPress keyUp load loadedData loadedMetadata loadStart lostPointerCapture mouseDown mouseMove mouseOut mouseOver mouseUp paste pause play playing pointerCancel pointerDown pointerMove pointerOut pointerOver pointerUp progress rateChange reset resize seeked seeking stalled submit suspend timeUpdate touchCancel touchEnd touchStart volumeChange scroll toggle touchMove waiting wheel".split(" ");function gt(e,t){Ua.set(e,t),Dt(t,[e])}for(var bl=0;bl<As.length;bl++){var ei=As[bl],Gf=ei.toLowerCase(),Xf=ei[0].toUpperCase()+ei.slice(1);gt(Gf,"on"+Xf)}gt(Oa,"onAnimationEnd");gt(Ia,"onAnimationIteration");gt(Da,"onAnimationStart");gt("dblclick","onDoubleClick");gt("focusin","onFocus");gt("focusout","onBlur");gt(Fa,"onTransitionEnd");on("onMouseEnter",["mouseout","mouseover"]);on("onMouseLeave",["mouseout","mouseover"]);on("onPointerEnter",["pointerout","pointerover"]);on("onPointerLeave",["pointerout","pointerover"]);Dt("onChange","change click focusin focusout input keydown keyup selectionchange".split(" "));Dt("onSelect","focusout contextmenu dragend focusin keydown keyup mousedown mouseup selectionchange".split(" "));Dt("onBeforeInput",["compositionend","keypress","textInput","paste"]);Dt("onCompositionEnd","compositionend focusout keydown keypress keyup mousedown".split(" "));Dt("onCompositionStart","compositionstart focusout keydown keypress keyup mousedown".split(" "));Dt("onCompositionUpdate","compositionupdate focusout keydown keypress keyup mousedown".split(" "));var zn="abort canplay canplaythrough durationchange emptied encrypted ended error loadeddata loadedmetadata loadstart pause play playing progress ratechange resize seeked seeking stalled suspend timeupdate volumechange waiting".split(" "),Jf=new Set("cancel close invalid load scroll toggle".split(" ").concat(zn));function Ws(e,t,n){var r=e.type||"unknown-event";e.currentTarget=n,Yd(r,t,void 0,e),e.currentTarget=null}function Ba(e,t){t=(t&4)!==0;for(var n=0;n<e.length;n++){var r=e[n],l=r.event;r=r.listeners;e:{var i=void 0;if(t)for(var o=r.length-1;0<=o;o--){var s=r[o],u=s.instance,c=s.currentTarget;if(s=s.listener,u!==i&&l.isPropagationStopped())break e;Ws(l,s,c),i=u}else for(o=0;o<r.length;o++){if(s=r[o],u=s.instance,c=s.currentTarget,s=s.listener,u!==i&&l.isPropagationStopped())break e;Ws(l,s,c),i=u}}}if(Jr)throw e=Li,Jr=!1,Li=null,e}function F(e,t){var n=t[Vi];n===void 0&&(n=t[Vi]=new Set);var r=e+"__bubble";n.has(r)||($a(t,e,2,!1),n.add(r))}function ti(e,t,n){var r=0;t&&(r|=4),$a(n,e,r,t)}var Pr="_reactListening"+Math.random().toString(36).slice(2);function Xn(e){if(!e[Pr]){e[Pr]=!0,Yu.forEach(function(n){n!=="selectionchange"&&(Jf.has(n)||ti(n,!1,e),ti(n,!0,e))});var t=e.nodeType===9?e:e.ownerDocument;t===null||t[Pr]||(t[Pr]=!0,ti("selectionchange",!1,t))}}function $a(e,t,n,r){switch(ja(t)){case 1:var l=cf;break;case 4:l=df;break;default:l=To}n=l.bind(null,t,n,e),l=void 0,!Mi||t!=="touchstart"&&t!=="touchmove"&&t!=="wheel"||(l=!0),r?l!==void 0?e.addEventListener(t,n,{capture:!0,passive:l}):e.addEventListener(t,n,!0):l!==void 0?e.addEventListener(t,n,{passive:l}):e.addEventListener(t,n,!1)}function ni(e,t,n,r,l){var i=r;if(!(t&1)&&!(t&2)&&r!==null)e:for(;;){if(r===null)return;var o=r.tag;if(o===3||o===4){var s=r.stateNode.containerInfo;if(s===l||s.nodeType===8&&s.parentNode===l)break;if(o===4)for(o=r.return;o!==null;){var u=o.tag;if((u===3||u===4)&&(u=o.stateNode.containerInfo,u===l||u.nodeType===8&&u.parentNode===l))return;o=o.return}for(;s!==null;){if(o=Nt(s),o===null)return;if(u=o.tag,u===5||u===6){r=i=o;continue e}s=s.parentNode}}r=r.return}aa(function(){var c=i,f=No(n),p=[];e:{var v=Ua.get(e);if(v!==void 0){var y=Ro,g=e;switch(e){case"keypress":if($r(n)===0)break e;case"keydown":case"keyup":y=Ef;break;case"focusin":g="focus",y=Xl;break;case"focusout":g="blur",y=Xl;break;case"beforeblur":case"afterblur":y=Xl;break;case"click":if(n.button===2)break e;case"auxclick":case"dblclick":case"mousedown":case"mousemove":case"mouseup":case"mouseout":case"mouseover":case"contextmenu":y=zs;break;case"drag":case"dragend":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"dragstart":case"drop":y=hf;break;case"touchcancel":case"touchend":case"touchmove":case"touchstart":y=Tf;break;case Oa:case Ia:case Da:y=gf;break;case Fa:y=Rf;break;case"scroll":y=ff;break;case"wheel":y=Lf;break;case"copy":case"cut":case"paste":y=xf;break;case"gotpointercapture":case"lostpointercapture":case"pointercancel":case"pointerdown":case"pointermove":case"pointerout":case"pointerover":case"pointerup":y=Ms}var x=(t&4)!==0,S=!x&&e==="scroll",h=x?v!==null?v+"Capture":null:v;x=[];for(var d=c,m;d!==null;){m=d;var k=m.stateNode;if(m.tag===5&&k!==null&&(m=k,h!==null&&(k=Vn(d,h),k!=null&&x.push(Jn(d,k,m)))),S)break;d=d.return}0<x.length&&(v=new y(v,g,null,n,f),p.push({event:v,listeners:x}))}}if(!(t&7)){e:{if(v=e==="mouseover"||e==="pointerover",y=e==="mouseout"||e==="pointerout",v&&n!==zi&&(g=n.relatedTarget||n.fromElement)&&(Nt(g)||g[Xe]))break e;if((y||v)&&(v=f.window===f?f:(v=f.ownerDocument)?v.defaultView||v.parentWindow:window,y?(g=n.relatedTarget||n.toElement,y=c,g=g?Nt(g):null,g!==null&&(S=Ft(g),g!==S||g.tag!==5&&g.tag!==6)&&(g=null)):(y=null,g=c),y!==g)){if(x=zs,k="onMouseLeave",h="onMouseEnter",d="mouse",(e==="pointerout"||e==="pointerover")&&(x=Ms,k="onPointerLeave",h="onPointerEnter",d="pointer"),S=y==null?v:Kt(y),m=g==null?v:Kt(g),v=new x(k,d+"leave",y,n,f),v.target=S,v.relatedTarget=m,k=null,Nt(f)===c&&(x=new x(h,d+"enter",g,n,f),x.target=m,x.relatedTarget=S,k=x),S=k,y&&g)t:{for(x=y,h=g,d=0,m=x;m;m=$t(m))d++;for(m=0,k=h;k;k=$t(k))m++;for(;0<d-m;)x=$t(x),d--;for(;0<m-d;)h=$t(h),m--;for(;d--;){if(x===h||h!==null&&x===h.alternate)break t;x=$t(x),h=$t(h)}x=null}else x=null;y!==null&&Vs(p,v,y,x,!1),g!==null&&S!==null&&Vs(p,S,g,x,!0)}}e:{if(v=c?Kt(c):window,y=v.nodeName&&v.nodeName.toLowerCase(),y==="select"||y==="input"&&v.type==="file")var j=$f;else if(Is(v))if(Ta)j=Hf;else{j=Wf;var P=Af}else(y=v.nodeName)&&y.toLowerCase()==="input"&&(v.type==="checkbox"||v.type==="radio")&&(j=Vf);if(j&&(j=j(e,c))){_a(p,j,n,f);break e}P&&P(e,v,c),e==="focusout"&&(P=v._wrapperState)&&P.controlled&&v.type==="number"&&Ni(v,"number",v.value)}switch(P=c?Kt(c):window,e){case"focusin":(Is(P)||P.contentEditable==="true")&&(Ht=P,Fi=c,Dn=null);break;case"focusout":Dn=Fi=Ht=null;break;case"mousedown":Ui=!0;break;case"contextmenu":case"mouseup":case"dragend":Ui=!1,$s(p,n,f);break;case"selectionchange":if(Yf)break;case"keydown":case"keyup":$s(p,n,f)}var _;if(Lo)e:{switch(e){case"compositionstart":var T="onCompositionStart";break e;case"compositionend":T="onCompositionEnd";break e;case"compositionupdate":T="onCompositionUpdate";break e}T=void 0}else Vt?Ea(e,n)&&(T="onCompositionEnd"):e==="keydown"&&n.keyCode===229&&(T="onCompositionStart");T&&(Na&&n.locale!=="ko"&&(Vt||T!=="onCompositionStart"?T==="onCompositionEnd"&&Vt&&(_=Ca()):(lt=f,zo="value"in lt?lt.value:lt.textContent,Vt=!0)),P=tl(c,T),0<P.length&&(T=new Rs(T,e,null,n,f),p.push({event:T,listeners:P}),_?T.data=_:(_=Pa(n),_!==null&&(T.data=_)))),(_=If?Df(e,n):Ff(e,n))&&(c=tl(c,"onBeforeInput"),0<c.length&&(f=new Rs("onBeforeInput","beforeinput",null,n,f),p.push({event:f,listeners:c}),f.data=_))}Ba(p,t)})}function Jn(e,t,n){return{instance:e,listener:t,currentTarget:n}}function tl(e,t){for(var n=t+"Capture",r=[];e!==null;){var l=e,i=l.stateNode;l.tag===5&&i!==null&&(l=i,i=Vn(e,n),i!=null&&r.unshift(Jn(e,i,l)),i=Vn(e,t),i!=null&&r.push(Jn(e,i,l))),e=e.return}return r}function $t(e){if(e===null)return null;do e=e.return;while(e&&e.tag!==5);return e||null}function Vs(e,t,n,r,l){for(var i=t._reactName,o=[];n!==null&&n!==r;){var s=n,u=s.alternate,c=s.stateNode;if(u!==null&&u===r)break;s.tag===5&&c!==null&&(s=c,l?(u=Vn(n,i),u!=null&&o.unshift(Jn(n,u,s))):l||(u=Vn(n,i),u!=null&&o.push(Jn(n,u,s)))),n=n.return}o.length!==0&&e.push({event:t,listeners:o})}var Zf=/\r\n?/g,qf=/\u0000|\uFFFD/g;function Hs(e){return(typeof e=="string"?e:""+e).replace(Zf,`
-`).replace(qf,"")}function _r(e,t,n){if(t=Hs(t),Hs(e)!==t&&n)throw Error(w(425))}function nl(){}var Bi=null,$i=null;function Ai(e,t){return e==="textarea"||e==="noscript"||typeof t.children=="string"||typeof t.children=="number"||typeof t.dangerouslySetInnerHTML=="object"&&t.dangerouslySetInnerHTML!==null&&t.dangerouslySetInnerHTML.__html!=null}var Wi=typeof setTimeout=="function"?setTimeout:void 0,bf=typeof clearTimeout=="function"?clearTimeout:void 0,Qs=typeof Promise=="function"?Promise:void 0,ep=typeof queueMicrotask=="function"?queueMicrotask:typeof Qs<"u"?function(e){return Qs.resolve(null).then(e).catch(tp)}:Wi;function tp(e){setTimeout(function(){throw e})}function ri(e,t){var n=t,r=0;do{var l=n.nextSibling;if(e.removeChild(n),l&&l.nodeType===8)if(n=l.data,n==="/$"){if(r===0){e.removeChild(l),Kn(t);return}r--}else n!=="$"&&n!=="$?"&&n!=="$!"||r++;n=l}while(n);Kn(t)}function ct(e){for(;e!=null;e=e.nextSibling){var t=e.nodeType;if(t===1||t===3)break;if(t===8){if(t=e.data,t==="$"||t==="$!"||t==="$?")break;if(t==="/$")return null}}return e}function Ks(e){e=e.previousSibling;for(var t=0;e;){if(e.nodeType===8){var n=e.data;if(n==="$"||n==="$!"||n==="$?"){if(t===0)return e;t--}else n==="/$"&&t++}e=e.previousSibling}return null}var vn=Math.random().toString(36).slice(2),$e="__reactFiber$"+vn,Zn="__reactProps$"+vn,Xe="__reactContainer$"+vn,Vi="__reactEvents$"+vn,np="__reactListeners$"+vn,rp="__reactHandles$"+vn;function Nt(e){var t=e[$e];if(t)return t;for(var n=e.parentNode;n;){if(t=n[Xe]||n[$e]){if(n=t.alternate,t.child!==null||n!==null&&n.child!==null)for(e=Ks(e);e!==null;){if(n=e[$e])return n;e=Ks(e)}return t}e=n,n=e.parentNode}return null}function fr(e){return e=e[$e]||e[Xe],!e||e.tag!==5&&e.tag!==6&&e.tag!==13&&e.tag!==3?null:e}function Kt(e){if(e.tag===5||e.tag===6)return e.stateNode;throw Error(w(33))}function jl(e){return e[Zn]||null}var Hi=[],Yt=-1;function yt(e){return{current:e}}function U(e){0>Yt||(e.current=Hi[Yt],Hi[Yt]=null,Yt--)}function D(e,t){Yt++,Hi[Yt]=e.current,e.current=t}var vt={},oe=yt(vt),he=yt(!1),Rt=vt;function sn(e,t){var n=e.type.contextTypes;if(!n)return vt;var r=e.stateNode;if(r&&r.__reactInternalMemoizedUnmaskedChildContext===t)return r.__reactInternalMemoizedMaskedChildContext;var l={},i;for(i in n)l[i]=t[i];return r&&(e=e.stateNode,e.__reactInternalMemoizedUnmaskedChildContext=t,e.__reactInternalMemoizedMaskedChildContext=l),l}function me(e){return e=e.childContextTypes,e!=null}function rl(){U(he),U(oe)}function Ys(e,t,n){if(oe.current!==vt)throw Error(w(168));D(oe,t),D(he,n)}function Aa(e,t,n){var r=e.stateNode;if(t=t.childContextTypes,typeof r.getChildContext!="function")return n;r=r.getChildContext();for(var l in r)if(!(l in t))throw Error(w(108,$d(e)||"Unknown",l));return W({},n,r)}function ll(e){return e=(e=e.stateNode)&&e.__reactInternalMemoizedMergedChildContext||vt,Rt=oe.current,D(oe,e),D(he,he.current),!0}function Gs(e,t,n){var r=e.stateNode;if(!r)throw Error(w(169));n?(e=Aa(e,t,Rt),r.__reactInternalMemoizedMergedChildContext=e,U(he),U(oe),D(oe,e)):U(he),D(he,n)}var He=null,Cl=!1,li=!1;function Wa(e){He===null?He=[e]:He.push(e)}function lp(e){Cl=!0,Wa(e)}function xt(){if(!li&&He!==null){li=!0;var e=0,t=I;try{var n=He;for(I=1;e<n.length;e++){var r=n[e];do r=r(!0);while(r!==null)}He=null,Cl=!1}catch(l){throw He!==null&&(He=He.slice(e+1)),pa(Eo,xt),l}finally{I=t,li=!1}}return null}var Gt=[],Xt=0,il=null,ol=0,je=[],Ce=0,Mt=null,Qe=1,Ke="";function St(e,t){Gt[Xt++]=ol,Gt[Xt++]=il,il=e,ol=t}function Va(e,t,n){je[Ce++]=Qe,je[Ce++]=Ke,je[Ce++]=Mt,Mt=e;var r=Qe;e=Ke;var l=32-Ie(r)-1;r&=~(1<<l),n+=1;var i=32-Ie(t)+l;if(30<i){var o=l-l%5;i=(r&(1<<o)-1).toString(32),r>>=o,l-=o,Qe=1<<32-Ie(t)+l|n<<l|r,Ke=i+e}else Qe=1<<i|n<<l|r,Ke=e}function Io(e){e.return!==null&&(St(e,1),Va(e,1,0))}function Do(e){for(;e===il;)il=Gt[--Xt],Gt[Xt]=null,ol=Gt[--Xt],Gt[Xt]=null;for(;e===Mt;)Mt=je[--Ce],je[Ce]=null,Ke=je[--Ce],je[Ce]=null,Qe=je[--Ce],je[Ce]=null}var xe=null,ye=null,B=!1,Le=null;function Ha(e,t){var n=Ne(5,null,null,0);n.elementType="DELETED",n.stateNode=t,n.return=e,t=e.deletions,t===null?(e.deletions=[n],e.flags|=16):t.push(n)}function Xs(e,t){switch(e.tag){case 5:var n=e.type;return t=t.nodeType!==1||n.toLowerCase()!==t.nodeName.toLowerCase()?null:t,t!==null?(e.stateNode=t,xe=e,ye=ct(t.firstChild),!0):!1;case 6:return t=e.pendingProps===""||t.nodeType!==3?null:t,t!==null?(e.stateNode=t,xe=e,ye=null,!0):!1;case 13:return t=t.nodeType!==8?null:t,t!==null?(n=Mt!==null?{id:Qe,overflow:Ke}:null,e.memoizedState={dehydrated:t,treeContext:n,retryLane:1073741824},n=Ne(18,null,null,0),n.stateNode=t,n.return=e,e.child=n,xe=e,ye=null,!0):!1;default:return!1}}function Qi(e){return(e.mode&1)!==0&&(e.flags&128)===0}function Ki(e){if(B){var t=ye;if(t){var n=t;if(!Xs(e,t)){if(Qi(e))throw Error(w(418));t=ct(n.nextSibling);var r=xe;t&&Xs(e,t)?Ha(r,n):(e.flags=e.flags&-4097|2,B=!1,xe=e)}}else{if(Qi(e))throw Error(w(418));e.flags=e.flags&-4097|2,B=!1,xe=e}}}function Js(e){for(e=e.return;e!==null&&e.tag!==5&&e.tag!==3&&e.tag!==13;)e=e.return;xe=e}function Tr(e){if(e!==xe)return!1;if(!B)return Js(e),B=!0,!1;var t;if((t=e.tag!==3)&&!(t=e.tag!==5)&&(t=e.type,t=t!=="head"&&t!=="body"&&!Ai(e.type,e.memoizedProps)),t&&(t=ye)){if(Qi(e))throw Qa(),Error(w(418));for(;t;)Ha(e,t),t=ct(t.nextSibling)}if(Js(e),e.tag===13){if(e=e.memoizedState,e=e!==null?e.dehydrated:null,!e)throw Error(w(317));e:{for(e=e.nextSibling,t=0;e;){if(e.nodeType===8){var n=e.data;if(n==="/$"){if(t===0){ye=ct(e.nextSibling);break e}t--}else n!=="$"&&n!=="$!"&&n!=="$?"||t++}e=e.nextSibling}ye=null}}else ye=xe?ct(e.stateNode.nextSibling):null;return!0}function Qa(){for(var e=ye;e;)e=ct(e.nextSibling)}function un(){ye=xe=null,B=!1}function Fo(e){Le===null?Le=[e]:Le.push(e)}var ip=qe.ReactCurrentBatchConfig;function Cn(e,t,n){if(e=n.ref,e!==null&&typeof e!="function"&&typeof e!="object"){if(n._owner){if(n=n._owner,n){if(n.tag!==1)throw Error(w(309));var r=n.stateNode}if(!r)throw Error(w(147,e));var l=r,i=""+e;return t!==null&&t.ref!==null&&typeof t.ref=="function"&&t.ref._stringRef===i?t.ref:(t=function(o){var s=l.refs;o===null?delete s[i]:s[i]=o},t._stringRef=i,t)}if(typeof e!="string")throw Error(w(284));if(!n._owner)throw Error(w(290,e))}return e}function zr(e,t){throw e=Object.prototype.toString.call(t),Error(w(31,e==="[object Object]"?"object with keys {"+Object.keys(t).join(", ")+"}":e))}function Zs(e){var t=e._init;return t(e._payload)}function Ka(e){function t(h,d){if(e){var m=h.deletions;m===null?(h.deletions=[d],h.flags|=16):m.push(d)}}function n(h,d){if(!e)return null;for(;d!==null;)t(h,d),d=d.sibling;return null}function r(h,d){for(h=new Map;d!==null;)d.key!==null?h.set(d.key,d):h.set(d.index,d),d=d.sibling;return h}function l(h,d){return h=ht(h,d),h.index=0,h.sibling=null,h}function i(h,d,m){return h.index=m,e?(m=h.alternate,m!==null?(m=m.index,m<d?(h.flags|=2,d):m):(h.flags|=2,d)):(h.flags|=1048576,d)}function o(h){return e&&h.alternate===null&&(h.flags|=2),h}function s(h,d,m,k){return d===null||d.tag!==6?(d=di(m,h.mode,k),d.return=h,d):(d=l(d,m),d.return=h,d)}function u(h,d,m,k){var j=m.type;return j===Wt?f(h,d,m.props.children,k,m.key):d!==null&&(d.elementType===j||typeof j=="object"&&j!==null&&j.$$typeof===et&&Zs(j)===d.type)?(k=l(d,m.props),k.ref=Cn(h,d,m),k.return=h,k):(k=Yr(m.type,m.key,m.props,null,h.mode,k),k.ref=Cn(h,d,m),k.return=h,k)}function c(h,d,m,k){return d===null||d.tag!==4||d.stateNode.containerInfo!==m.containerInfo||d.stateNode.implementation!==m.implementation?(d=fi(m,h.mode,k),d.return=h,d):(d=l(d,m.children||[]),d.return=h,d)}function f(h,d,m,k,j){return d===null||d.tag!==7?(d=Tt(m,h.mode,k,j),d.return=h,d):(d=l(d,m),d.return=h,d)}function p(h,d,m){if(typeof d=="string"&&d!==""||typeof d=="number")return d=di(""+d,h.mode,m),d.return=h,d;if(typeof d=="object"&&d!==null){switch(d.$$typeof){case xr:return m=Yr(d.type,d.key,d.props,null,h.mode,m),m.ref=Cn(h,null,d),m.return=h,m;case At:return d=fi(d,h.mode,m),d.return=h,d;case et:var k=d._init;return p(h,k(d._payload),m)}if(_n(d)||xn(d))return d=Tt(d,h.mode,m,null),d.return=h,d;zr(h,d)}return null}function v(h,d,m,k){var j=d!==null?d.key:null;if(typeof m=="string"&&m!==""||typeof m=="number")return j!==null?null:s(h,d,""+m,k);if(typeof m=="object"&&m!==null){switch(m.$$typeof){case xr:return m.key===j?u(h,d,m,k):null;case At:return m.key===j?c(h,d,m,k):null;case et:return j=m._init,v(h,d,j(m._payload),k)}if(_n(m)||xn(m))return j!==null?null:f(h,d,m,k,null);zr(h,m)}return null}function y(h,d,m,k,j){if(typeof k=="string"&&k!==""||typeof k=="number")return h=h.get(m)||null,s(d,h,""+k,j);if(typeof k=="object"&&k!==null){switch(k.$$typeof){case xr:return h=h.get(k.key===null?m:k.key)||null,u(d,h,k,j);case At:return h=h.get(k.key===null?m:k.key)||null,c(d,h,k,j);case et:var P=k._init;return y(h,d,m,P(k._payload),j)}if(_n(k)||xn(k))return h=h.get(m)||null,f(d,h,k,j,null);zr(d,k)}return null}function g(h,d,m,k){for(var j=null,P=null,_=d,T=d=0,H=null;_!==null&&T<m.length;T++){_.index>T?(H=_,_=null):H=_.sibling;var L=v(h,_,m[T],k);if(L===null){_===null&&(_=H);break}e&&_&&L.alternate===null&&t(h,_),d=i(L,d,T),P===null?j=L:P.sibling=L,P=L,_=H}if(T===m.length)return n(h,_),B&&St(h,T),j;if(_===null){for(;T<m.length;T++)_=p(h,m[T],k),_!==null&&(d=i(_,d,T),P===null?j=_:P.sibling=_,P=_);return B&&St(h,T),j}for(_=r(h,_);T<m.length;T++)H=y(_,h,T,m[T],k),H!==null&&(e&&H.alternate!==null&&_.delete(H.key===null?T:H.key),d=i(H,d,T),P===null?j=H:P.sibling=H,P=H);return e&&_.forEach(function(Te){return t(h,Te)}),B&&St(h,T),j}function x(h,d,m,k){var j=xn(m);if(typeof j!="function")throw Error(w(150));if(m=j.call(m),m==null)throw Error(w(151));for(var P=j=null,_=d,T=d=0,H=null,L=m.next();_!==null&&!L.done;T++,L=m.next()){_.index>T?(H=_,_=null):H=_.sibling;var Te=v(h,_,L.value,k);if(Te===null){_===null&&(_=H);break}e&&_&&Te.alternate===null&&t(h,_),d=i(Te,d,T),P===null?j=Te:P.sibling=Te,P=Te,_=H}if(L.done)return n(h,_),B&&St(h,T),j;if(_===null){for(;!L.done;T++,L=m.next())L=p(h,L.value,k),L!==null&&(d=i(L,d,T),P===null?j=L:P.sibling=L,P=L);return B&&St(h,T),j}for(_=r(h,_);!L.done;T++,L=m.next())L=y(_,h,T,L.value,k),L!==null&&(e&&L.alternate!==null&&_.delete(L.key===null?T:L.key),d=i(L,d,T),P===null?j=L:P.sibling=L,P=L);return e&&_.forEach(function(gn){return t(h,gn)}),B&&St(h,T),j}function S(h,d,m,k){if(typeof m=="object"&&m!==null&&m.type===Wt&&m.key===null&&(m=m.props.children),typeof m=="object"&&m!==null){switch(m.$$typeof){case xr:e:{for(var j=m.key,P=d;P!==null;){if(P.key===j){if(j=m.type,j===Wt){if(P.tag===7){n(h,P.sibling),d=l(P,m.props.children),d.return=h,h=d;break e}}else if(P.elementType===j||typeof j=="object"&&j!==null&&j.$$typeof===et&&Zs(j)===P.type){n(h,P.sibling),d=l(P,m.props),d.ref=Cn(h,P,m),d.return=h,h=d;break e}n(h,P);break}else t(h,P);P=P.sibling}m.type===Wt?(d=Tt(m.props.children,h.mode,k,m.key),d.return=h,h=d):(k=Yr(m.type,m.key,m.props,null,h.mode,k),k.ref=Cn(h,d,m),k.return=h,h=k)}return o(h);case At:e:{for(P=m.key;d!==null;){if(d.key===P)if(d.tag===4&&d.stateNode.containerInfo===m.containerInfo&&d.stateNode.implementation===m.implementation){n(h,d.sibling),d=l(d,m.children||[]),d.return=h,h=d;break e}else{n(h,d);break}else t(h,d);d=d.sibling}d=fi(m,h.mode,k),d.return=h,h=d}return o(h);case et:return P=m._init,S(h,d,P(m._payload),k)}if(_n(m))return g(h,d,m,k);if(xn(m))return x(h,d,m,k);zr(h,m)}return typeof m=="string"&&m!==""||typeof m=="number"?(m=""+m,d!==null&&d.tag===6?(n(h,d.sibling),d=l(d,m),d.return=h,h=d):(n(h,d),d=di(m,h.mode,k),d.return=h,h=d),o(h)):n(h,d)}return S}var an=Ka(!0),Ya=Ka(!1),sl=yt(null),ul=null,Jt=null,Uo=null;function Bo(){Uo=Jt=ul=null}function $o(e){var t=sl.current;U(sl),e._currentValue=t}function Yi(e,t,n){for(;e!==null;){var r=e.alternate;if((e.childLanes&t)!==t?(e.childLanes|=t,r!==null&&(r.childLanes|=t)):r!==null&&(r.childLanes&t)!==t&&(r.childLanes|=t),e===n)break;e=e.return}}function rn(e,t){ul=e,Uo=Jt=null,e=e.dependencies,e!==null&&e.firstContext!==null&&(e.lanes&t&&(pe=!0),e.firstContext=null)}function Pe(e){var t=e._currentValue;if(Uo!==e)if(e={context:e,memoizedValue:t,next:null},Jt===null){if(ul===null)throw Error(w(308));Jt=e,ul.dependencies={lanes:0,firstContext:e}}else Jt=Jt.next=e;return t}var Et=null;function Ao(e){Et===null?Et=[e]:Et.push(e)}function Ga(e,t,n,r){var l=t.interleaved;return l===null?(n.next=n,Ao(t)):(n.next=l.next,l.next=n),t.interleaved=n,Je(e,r)}function Je(e,t){e.lanes|=t;var n=e.alternate;for(n!==null&&(n.lanes|=t),n=e,e=e.return;e!==null;)e.childLanes|=t,n=e.alternate,n!==null&&(n.childLanes|=t),n=e,e=e.return;return n.tag===3?n.stateNode:null}var tt=!1;function Wo(e){e.updateQueue={baseState:e.memoizedState,firstBaseUpdate:null,lastBaseUpdate:null,shared:{pending:null,interleaved:null,lanes:0},effects:null}}function Xa(e,t){e=e.updateQueue,t.updateQueue===e&&(t.updateQueue={baseState:e.baseState,firstBaseUpdate:e.firstBaseUpdate,lastBaseUpdate:e.lastBaseUpdate,shared:e.shared,effects:e.effects})}function Ye(e,t){return{eventTime:e,lane:t,tag:0,payload:null,callback:null,next:null}}function dt(e,t,n){var r=e.updateQueue;if(r===null)return null;if(r=r.shared,O&2){var l=r.pending;return l===null?t.next=t:(t.next=l.next,l.next=t),r.pending=t,Je(e,n)}return l=r.interleaved,l===null?(t.next=t,Ao(r)):(t.next=l.next,l.next=t),r.interleaved=t,Je(e,n)}function Ar(e,t,n){if(t=t.updateQueue,t!==null&&(t=t.shared,(n&4194240)!==0)){var r=t.lanes;r&=e.pendingLanes,n|=r,t.lanes=n,Po(e,n)}}function qs(e,t){var n=e.updateQueue,r=e.alternate;if(r!==null&&(r=r.updateQueue,n===r)){var l=null,i=null;if(n=n.firstBaseUpdate,n!==null){do{var o={eventTime:n.eventTime,lane:n.lane,tag:n.tag,payload:n.payload,callback:n.callback,next:null};i===null?l=i=o:i=i.next=o,n=n.next}while(n!==null);i===null?l=i=t:i=i.next=t}else l=i=t;n={baseState:r.baseState,firstBaseUpdate:l,lastBaseUpdate:i,shared:r.shared,effects:r.effects},e.updateQueue=n;return}e=n.lastBaseUpdate,e===null?n.firstBaseUpdate=t:e.next=t,n.lastBaseUpdate=t}function al(e,t,n,r){var l=e.updateQueue;tt=!1;var i=l.firstBaseUpdate,o=l.lastBaseUpdate,s=l.shared.pending;if(s!==null){l.shared.pending=null;var u=s,c=u.next;u.next=null,o===null?i=c:o.next=c,o=u;var f=e.alternate;f!==null&&(f=f.updateQueue,s=f.lastBaseUpdate,s!==o&&(s===null?f.firstBaseUpdate=c:s.next=c,f.lastBaseUpdate=u))}if(i!==null){var p=l.baseState;o=0,f=c=u=null,s=i;do{var v=s.lane,y=s.eventTime;if((r&v)===v){f!==null&&(f=f.next={eventTime:y,lane:0,tag:s.tag,payload:s.payload,callback:s.callback,next:null});e:{var g=e,x=s;switch(v=t,y=n,x.tag){case 1:if(g=x.payload,typeof g=="function"){p=g.call(y,p,v);break e}p=g;break e;case 3:g.flags=g.flags&-65537|128;case 0:if(g=x.payload,v=typeof g=="function"?g.call(y,p,v):g,v==null)break e;p=W({},p,v);break e;case 2:tt=!0}}s.callback!==null&&s.lane!==0&&(e.flags|=64,v=l.effects,v===null?l.effects=[s]:v.push(s))}else y={eventTime:y,lane:v,tag:s.tag,payload:s.payload,callback:s.callback,next:null},f===null?(c=f=y,u=p):f=f.next=y,o|=v;if(s=s.next,s===null){if(s=l.shared.pending,s===null)break;v=s,s=v.next,v.next=null,l.lastBaseUpdate=v,l.shared.pending=null}}while(!0);if(f===null&&(u=p),l.baseState=u,l.firstBaseUpdate=c,l.lastBaseUpdate=f,t=l.shared.interleaved,t!==null){l=t;do o|=l.lane,l=l.next;while(l!==t)}else i===null&&(l.shared.lanes=0);Ot|=o,e.lanes=o,e.memoizedState=p}}function bs(e,t,n){if(e=t.effects,t.effects=null,e!==null)for(t=0;t<e.length;t++){var r=e[t],l=r.callback;if(l!==null){if(r.callback=null,r=n,typeof l!="function")throw Error(w(191,l));l.call(r)}}}var pr={},We=yt(pr),qn=yt(pr),bn=yt(pr);function Pt(e){if(e===pr)throw Error(w(174));return e}function Vo(e,t){switch(D(bn,t),D(qn,e),D(We,pr),e=t.nodeType,e){case 9:case 11:t=(t=t.documentElement)?t.namespaceURI:Pi(null,"");break;default:e=e===8?t.parentNode:t,t=e.namespaceURI||null,e=e.tagName,t=Pi(t,e)}U(We),D(We,t)}function cn(){U(We),U(qn),U(bn)}function Ja(e){Pt(bn.current);var t=Pt(We.current),n=Pi(t,e.type);t!==n&&(D(qn,e),D(We,n))}function Ho(e){qn.current===e&&(U(We),U(qn))}var $=yt(0);function cl(e){for(var t=e;t!==null;){if(t.tag===13){var n=t.memoizedState;if(n!==null&&(n=n.dehydrated,n===null||n.data==="$?"||n.data==="$!"))return t}else if(t.tag===19&&t.memoizedProps.revealOrder!==void 0){if(t.flags&128)return t}else if(t.child!==null){t.child.return=t,t=t.child;continue}if(t===e)break;for(;t.sibling===null;){if(t.return===null||t.return===e)return null;t=t.return}t.sibling.return=t.return,t=t.sibling}return null}var ii=[];function Qo(){for(var e=0;e<ii.length;e++)ii[e]._workInProgressVersionPrimary=null;ii.length=0}var Wr=qe.ReactCurrentDispatcher,oi=qe.ReactCurrentBatchConfig,Lt=0,A=null,X=null,q=null,dl=!1,Fn=!1,er=0,op=0;function re(){throw Error(w(321))}function Ko(e,t){if(t===null)return!1;for(var n=0;n<t.length&&n<e.length;n++)if(!Fe(e[n],t[n]))return!1;return!0}function Yo(e,t,n,r,l,i){if(Lt=i,A=t,t.memoizedState=null,t.updateQueue=null,t.lanes=0,Wr.current=e===null||e.memoizedState===null?cp:dp,e=n(r,l),Fn){i=0;do{if(Fn=!1,er=0,25<=i)throw Error(w(301));i+=1,q=X=null,t.updateQueue=null,Wr.current=fp,e=n(r,l)}while(Fn)}if(Wr.current=fl,t=X!==null&&X.next!==null,Lt=0,q=X=A=null,dl=!1,t)throw Error(w(300));return e}function Go(){var e=er!==0;return er=0,e}function Be(){var e={memoizedState:null,baseState:null,baseQueue:null,queue:null,next:null};return q===null?A.memoizedState=q=e:q=q.next=e,q}function _e(){if(X===null){var e=A.alternate;e=e!==null?e.memoizedState:null}else e=X.next;var t=q===null?A.memoizedState:q.next;if(t!==null)q=t,X=e;else{if(e===null)throw Error(w(310));X=e,e={memoizedState:X.memoizedState,baseState:X.baseState,baseQueue:X.baseQueue,queue:X.queue,next:null},q===null?A.memoizedState=q=e:q=q.next=e}return q}function tr(e,t){return typeof t=="function"?t(e):t}function si(e){var t=_e(),n=t.queue;if(n===null)throw Error(w(311));n.lastRenderedReducer=e;var r=X,l=r.baseQueue,i=n.pending;if(i!==null){if(l!==null){var o=l.next;l.next=i.next,i.next=o}r.baseQueue=l=i,n.pending=null}if(l!==null){i=l.next,r=r.baseState;var s=o=null,u=null,c=i;do{var f=c.lane;if((Lt&f)===f)u!==null&&(u=u.next={lane:0,action:c.action,hasEagerState:c.hasEagerState,eagerState:c.eagerState,next:null}),r=c.hasEagerState?c.eagerState:e(r,c.action);else{var p={lane:f,action:c.action,hasEagerState:c.hasEagerState,eagerState:c.eagerState,next:null};u===null?(s=u=p,o=r):u=u.next=p,A.lanes|=f,Ot|=f}c=c.next}while(c!==null&&c!==i);u===null?o=r:u.next=s,Fe(r,t.memoizedState)||(pe=!0),t.memoizedState=r,t.baseState=o,t.baseQueue=u,n.lastRenderedState=r}if(e=n.interleaved,e!==null){l=e;do i=l.lane,A.lanes|=i,Ot|=i,l=l.next;while(l!==e)}else l===null&&(n.lanes=0);return[t.memoizedState,n.dispatch]}function ui(e){var t=_e(),n=t.queue;if(n===null)throw Error(w(311));n.lastRenderedReducer=e;var r=n.dispatch,l=n.pending,i=t.memoizedState;if(l!==null){n.pending=null;var o=l=l.next;do i=e(i,o.action),o=o.next;while(o!==l);Fe(i,t.memoizedState)||(pe=!0),t.memoizedState=i,t.baseQueue===null&&(t.baseState=i),n.lastRenderedState=i}return[i,r]}function Za(){}function qa(e,t){var n=A,r=_e(),l=t(),i=!Fe(r.memoizedState,l);if(i&&(r.memoizedState=l,pe=!0),r=r.queue,Xo(tc.bind(null,n,r,e),[e]),r.getSnapshot!==t||i||q!==null&&q.memoizedState.tag&1){if(n.flags|=2048,nr(9,ec.bind(null,n,r,l,t),void 0,null),b===null)throw Error(w(349));Lt&30||ba(n,t,l)}return l}function ba(e,t,n){e.flags|=16384,e={getSnapshot:t,value:n},t=A.updateQueue,t===null?(t={lastEffect:null,stores:null},A.updateQueue=t,t.stores=[e]):(n=t.stores,n===null?t.stores=[e]:n.push(e))}function ec(e,t,n,r){t.value=n,t.getSnapshot=r,nc(t)&&rc(e)}function tc(e,t,n){return n(function(){nc(t)&&rc(e)})}function nc(e){var t=e.getSnapshot;e=e.value;try{var n=t();return!Fe(e,n)}catch{return!0}}function rc(e){var t=Je(e,1);t!==null&&De(t,e,1,-1)}function eu(e){var t=Be();return typeof e=="function"&&(e=e()),t.memoizedState=t.baseState=e,e={pending:null,interleaved:null,lanes:0,dispatch:null,lastRenderedReducer:tr,lastRenderedState:e},t.queue=e,e=e.dispatch=ap.bind(null,A,e),[t.memoizedState,e]}function nr(e,t,n,r){return e={tag:e,create:t,destroy:n,deps:r,next:null},t=A.updateQueue,t===null?(t={lastEffect:null,stores:null},A.updateQueue=t,t.lastEffect=e.next=e):(n=t.lastEffect,n===null?t.lastEffect=e.next=e:(r=n.next,n.next=e,e.next=r,t.lastEffect=e)),e}function lc(){return _e().memoizedState}function Vr(e,t,n,r){var l=Be();A.flags|=e,l.memoizedState=nr(1|t,n,void 0,r===void 0?null:r)}function Nl(e,t,n,r){var l=_e();r=r===void 0?null:r;var i=void 0;if(X!==null){var o=X.memoizedState;if(i=o.destroy,r!==null&&Ko(r,o.deps)){l.memoizedState=nr(t,n,i,r);return}}A.flags|=e,l.memoizedState=nr(1|t,n,i,r)}function tu(e,t){return Vr(8390656,8,e,t)}function Xo(e,t){return Nl(2048,8,e,t)}function ic(e,t){return Nl(4,2,e,t)}function oc(e,t){return Nl(4,4,e,t)}function sc(e,t){if(typeof t=="function")return e=e(),t(e),function(){t(null)};if(t!=null)return e=e(),t.current=e,function(){t.current=null}}function uc(e,t,n){return n=n!=null?n.concat([e]):null,Nl(4,4,sc.bind(null,t,e),n)}function Jo(){}function ac(e,t){var n=_e();t=t===void 0?null:t;var r=n.memoizedState;return r!==null&&t!==null&&Ko(t,r[1])?r[0]:(n.memoizedState=[e,t],e)}function cc(e,t){var n=_e();t=t===void 0?null:t;var r=n.memoizedState;return r!==null&&t!==null&&Ko(t,r[1])?r[0]:(e=e(),n.memoizedState=[e,t],e)}function dc(e,t,n){return Lt&21?(Fe(n,t)||(n=va(),A.lanes|=n,Ot|=n,e.baseState=!0),t):(e.baseState&&(e.baseState=!1,pe=!0),e.memoizedState=n)}function sp(e,t){var n=I;I=n!==0&&4>n?n:4,e(!0);var r=oi.transition;oi.transition={};try{e(!1),t()}finally{I=n,oi.transition=r}}function fc(){return _e().memoizedState}function up(e,t,n){var r=pt(e);if(n={lane:r,action:n,hasEagerState:!1,eagerState:null,next:null},pc(e))hc(t,n);else if(n=Ga(e,t,n,r),n!==null){var l=ue();De(n,e,r,l),mc(n,t,r)}}function ap(e,t,n){var r=pt(e),l={lane:r,action:n,hasEagerState:!1,eagerState:null,next:null};if(pc(e))hc(t,l);else{var i=e.alternate;if(e.lanes===0&&(i===null||i.lanes===0)&&(i=t.lastRenderedReducer,i!==null))try{var o=t.lastRenderedState,s=i(o,n);if(l.hasEagerState=!0,l.eagerState=s,Fe(s,o)){var u=t.interleaved;u===null?(l.next=l,Ao(t)):(l.next=u.next,u.next=l),t.interleaved=l;return}}catch{}finally{}n=Ga(e,t,l,r),n!==null&&(l=ue(),De(n,e,r,l),mc(n,t,r))}}function pc(e){var t=e.alternate;return e===A||t!==null&&t===A}function hc(e,t){Fn=dl=!0;var n=e.pending;n===null?t.next=t:(t.next=n.next,n.next=t),e.pending=t}function mc(e,t,n){if(n&4194240){var r=t.lanes;r&=e.pendingLanes,n|=r,t.lanes=n,Po(e,n)}}var fl={readContext:Pe,useCallback:re,useContext:re,useEffect:re,useImperativeHandle:re,useInsertionEffect:re,useLayoutEffect:re,useMemo:re,useReducer:re,useRef:re,useState:re,useDebugValue:re,useDeferredValue:re,useTransition:re,useMutableSource:re,useSyncExternalStore:re,useId:re,unstable_isNewReconciler:!1},cp={readContext:Pe,useCallback:function(e,t){return Be().memoizedState=[e,t===void 0?null:t],e},useContext:Pe,useEffect:tu,useImperativeHandle:function(e,t,n){return n=n!=null?n.concat([e]):null,Vr(4194308,4,sc.bind(null,t,e),n)},useLayoutEffect:function(e,t){return Vr(4194308,4,e,t)},useInsertionEffect:function(e,t){return Vr(4,2,e,t)},useMemo:function(e,t){var n=Be();return t=t===void 0?null:t,e=e(),n.memoizedState=[e,t],e},useReducer:function(e,t,n){var r=Be();return t=n!==void 0?n(t):t,r.memoizedState=r.baseState=t,e={pending:null,interleaved:null,lanes:0,dispatch:null,lastRenderedReducer:e,lastRenderedState:t},r.queue=e,e=e.dispatch=up.bind(null,A,e),[r.memoizedState,e]},useRef:function(e){var t=Be();return e={current:e},t.memoizedState=e},useState:eu,useDebugValue:Jo,useDeferredValue:function(e){return Be().memoizedState=e},useTransition:function(){var e=eu(!1),t=e[0];return e=sp.bind(null,e[1]),Be().memoizedState=e,[t,e]},useMutableSource:function(){},useSyncExternalStore:function(e,t,n){var r=A,l=Be();if(B){if(n===void 0)throw Error(w(407));n=n()}else{if(n=t(),b===null)throw Error(w(349));Lt&30||ba(r,t,n)}l.memoizedState=n;var i={value:n,getSnapshot:t};return l.queue=i,tu(tc.bind(null,r,i,e),[e]),r.flags|=2048,nr(9,ec.bind(null,r,i,n,t),void 0,null),n},useId:function(){var e=Be(),t=b.identifierPrefix;if(B){var n=Ke,r=Qe;n=(r&~(1<<32-Ie(r)-1)).toString(32)+n,t=":"+t+"R"+n,n=er++,0<n&&(t+="H"+n.toString(32)),t+=":"}else n=op++,t=":"+t+"r"+n.toString(32)+":";return e.memoizedState=t},unstable_isNewReconciler:!1},dp={readContext:Pe,useCallback:ac,useContext:Pe,useEffect:Xo,useImperativeHandle:uc,useInsertionEffect:ic,useLayoutEffect:oc,useMemo:cc,useReducer:si,useRef:lc,useState:function(){return si(tr)},useDebugValue:Jo,useDeferredValue:function(e){var t=_e();return dc(t,X.memoizedState,e)},useTransition:function(){var e=si(tr)[0],t=_e().memoizedState;return[e,t]},useMutableSource:Za,useSyncExternalStore:qa,useId:fc,unstable_isNewReconciler:!1},fp={readContext:Pe,useCallback:ac,useContext:Pe,useEffect:Xo,useImperativeHandle:uc,useInsertionEffect:ic,useLayoutEffect:oc,useMemo:cc,useReducer:ui,useRef:lc,useState:function(){return ui(tr)},useDebugValue:Jo,useDeferredValue:function(e){var t=_e();return X===null?t.memoizedState=e:dc(t,X.memoizedState,e)},useTransition:function(){var e=ui(tr)[0],t=_e().memoizedState;return[e,t]},useMutableSource:Za,useSyncExternalStore:qa,useId:fc,unstable_isNewReconciler:!1};function Re(e,t){if(e&&e.defaultProps){t=W({},t),e=e.defaultProps;for(var n in e)t[n]===void 0&&(t[n]=e[n]);return t}return t}function Gi(e,t,n,r){t=e.memoizedState,n=n(r,t),n=n==null?t:W({},t,n),e.memoizedState=n,e.lanes===0&&(e.updateQueue.baseState=n)}var El={isMounted:function(e){return(e=e._reactInternals)?Ft(e)===e:!1},enqueueSetState:function(e,t,n){e=e._reactInternals;var r=ue(),l=pt(e),i=Ye(r,l);i.payload=t,n!=null&&(i.callback=n),t=dt(e,i,l),t!==null&&(De(t,e,l,r),Ar(t,e,l))},enqueueReplaceState:function(e,t,n){e=e._reactInternals;var r=ue(),l=pt(e),i=Ye(r,l);i.tag=1,i.payload=t,n!=null&&(i.callback=n),t=dt(e,i,l),t!==null&&(De(t,e,l,r),Ar(t,e,l))},enqueueForceUpdate:function(e,t){e=e._reactInternals;var n=ue(),r=pt(e),l=Ye(n,r);l.tag=2,t!=null&&(l.callback=t),t=dt(e,l,r),t!==null&&(De(t,e,r,n),Ar(t,e,r))}};function nu(e,t,n,r,l,i,o){return e=e.stateNode,typeof e.shouldComponentUpdate=="function"?e.shouldComponentUpdate(r,i,o):t.prototype&&t.prototype.isPureReactComponent?!Gn(n,r)||!Gn(l,i):!0}function vc(e,t,n){var r=!1,l=vt,i=t.contextType;return typeof i=="object"&&i!==null?i=Pe(i):(l=me(t)?Rt:oe.current,r=t.contextTypes,i=(r=r!=null)?sn(e,l):vt),t=new t(n,i),e.memoizedState=t.state!==null&&t.state!==void 0?t.state:null,t.updater=El,e.stateNode=t,t._reactInternals=e,r&&(e=e.stateNode,e.__reactInternalMemoizedUnmaskedChildContext=l,e.__reactInternalMemoizedMaskedChildContext=i),t}function ru(e,t,n,r){e=t.state,typeof t.componentWillReceiveProps=="function"&&t.componentWillReceiveProps(n,r),typeof t.UNSAFE_componentWillReceiveProps=="function"&&t.UNSAFE_componentWillReceiveProps(n,r),t.state!==e&&El.enqueueReplaceState(t,t.state,null)}function Xi(e,t,n,r){var l=e.stateNode;l.props=n,l.state=e.memoizedState,l.refs={},Wo(e);var i=t.contextType;typeof i=="object"&&i!==null?l.context=Pe(i):(i=me(t)?Rt:oe.current,l.context=sn(e,i)),l.state=e.memoizedState,i=t.getDerivedStateFromProps,typeof i=="function"&&(Gi(e,t,i,n),l.state=e.memoizedState),typeof t.getDerivedStateFromProps=="function"||typeof l.getSnapshotBeforeUpdate=="function"||typeof l.UNSAFE_componentWillMount!="function"&&typeof l.componentWillMount!="function"||(t=l.state,typeof l.componentWillMount=="function"&&l.componentWillMount(),typeof l.UNSAFE_componentWillMount=="function"&&l.UNSAFE_componentWillMount(),t!==l.state&&El.enqueueReplaceState(l,l.state,null),al(e,n,l,r),l.state=e.memoizedState),typeof l.componentDidMount=="function"&&(e.flags|=4194308)}function dn(e,t){try{var n="",r=t;do n+=Bd(r),r=r.return;while(r);var l=n}catch(i){l=`
-Error generating stack: `+i.message+`
-`+i.stack}return{value:e,source:t,stack:l,digest:null}}function ai(e,t,n){return{value:e,source:null,stack:n??null,digest:t??null}}function Ji(e,t){try{console.error(t.value)}catch(n){setTimeout(function(){throw n})}}var pp=typeof WeakMap=="function"?WeakMap:Map;function gc(e,t,n){n=Ye(-1,n),n.tag=3,n.payload={element:null};var r=t.value;return n.callback=function(){hl||(hl=!0,oo=r),Ji(e,t)},n}function yc(e,t,n){n=Ye(-1,n),n.tag=3;var r=e.type.getDerivedStateFromError;if(typeof r=="function"){var l=t.value;n.payload=function(){return r(l)},n.callback=function(){Ji(e,t)}}var i=e.stateNode;return i!==null&&typeof i.componentDidCatch=="function"&&(n.callback=function(){Ji(e,t),typeof r!="function"&&(ft===null?ft=new Set([this]):ft.add(this));var o=t.stack;this.componentDidCatch(t.value,{componentStack:o!==null?o:""})}),n}function lu(e,t,n){var r=e.pingCache;if(r===null){r=e.pingCache=new pp;var l=new Set;r.set(t,l)}else l=r.get(t),l===void 0&&(l=new Set,r.set(t,l));l.has(n)||(l.add(n),e=Pp.bind(null,e,t,n),t.then(e,e))}function iu(e){do{var t;if((t=e.tag===13)&&(t=e.memoizedState,t=t!==null?t.dehydrated!==null:!0),t)return e;e=e.return}while(e!==null);return null}function ou(e,t,n,r,l){return e.mode&1?(e.flags|=65536,e.lanes=l,e):(e===t?e.flags|=65536:(e.flags|=128,n.flags|=131072,n.flags&=-52805,n.tag===1&&(n.alternate===null?n.tag=17:(t=Ye(-1,1),t.tag=2,dt(n,t,1))),n.lanes|=1),e)}var hp=qe.ReactCurrentOwner,pe=!1;function se(e,t,n,r){t.child=e===null?Ya(t,null,n,r):an(t,e.child,n,r)}function su(e,t,n,r,l){n=n.render;var i=t.ref;return rn(t,l),r=Yo(e,t,n,r,i,l),n=Go(),e!==null&&!pe?(t.updateQueue=e.updateQueue,t.flags&=-2053,e.lanes&=~l,Ze(e,t,l)):(B&&n&&Io(t),t.flags|=1,se(e,t,r,l),t.child)}function uu(e,t,n,r,l){if(e===null){var i=n.type;return typeof i=="function"&&!ls(i)&&i.defaultProps===void 0&&n.compare===null&&n.defaultProps===void 0?(t.tag=15,t.type=i,xc(e,t,i,r,l)):(e=Yr(n.type,null,r,t,t.mode,l),e.ref=t.ref,e.return=t,t.child=e)}if(i=e.child,!(e.lanes&l)){var o=i.memoizedProps;if(n=n.compare,n=n!==null?n:Gn,n(o,r)&&e.ref===t.ref)return Ze(e,t,l)}return t.flags|=1,e=ht(i,r),e.ref=t.ref,e.return=t,t.child=e}function xc(e,t,n,r,l){if(e!==null){var i=e.memoizedProps;if(Gn(i,r)&&e.ref===t.ref)if(pe=!1,t.pendingProps=r=i,(e.lanes&l)!==0)e.flags&131072&&(pe=!0);else return t.lanes=e.lanes,Ze(e,t,l)}return Zi(e,t,n,r,l)}function kc(e,t,n){var r=t.pendingProps,l=r.children,i=e!==null?e.memoizedState:null;if(r.mode==="hidden")if(!(t.mode&1))t.memoizedState={baseLanes:0,cachePool:null,transitions:null},D(qt,ge),ge|=n;else{if(!(n&1073741824))return e=i!==null?i.baseLanes|n:n,t.lanes=t.childLanes=1073741824,t.memoizedState={baseLanes:e,cachePool:null,transitions:null},t.updateQueue=null,D(qt,ge),ge|=e,null;t.memoizedState={baseLanes:0,cachePool:null,transitions:null},r=i!==null?i.baseLanes:n,D(qt,ge),ge|=r}else i!==null?(r=i.baseLanes|n,t.memoizedState=null):r=n,D(qt,ge),ge|=r;return se(e,t,l,n),t.child}function wc(e,t){var n=t.ref;(e===null&&n!==null||e!==null&&e.ref!==n)&&(t.flags|=512,t.flags|=2097152)}function Zi(e,t,n,r,l){var i=me(n)?Rt:oe.current;return i=sn(t,i),rn(t,l),n=Yo(e,t,n,r,i,l),r=Go(),e!==null&&!pe?(t.updateQueue=e.updateQueue,t.flags&=-2053,e.lanes&=~l,Ze(e,t,l)):(B&&r&&Io(t),t.flags|=1,se(e,t,n,l),t.child)}function au(e,t,n,r,l){if(me(n)){var i=!0;ll(t)}else i=!1;if(rn(t,l),t.stateNode===null)Hr(e,t),vc(t,n,r),Xi(t,n,r,l),r=!0;else if(e===null){var o=t.stateNode,s=t.memoizedProps;o.props=s;var u=o.context,c=n.contextType;typeof c=="object"&&c!==null?c=Pe(c):(c=me(n)?Rt:oe.current,c=sn(t,c));var f=n.getDerivedStateFromProps,p=typeof f=="function"||typeof o.getSnapshotBeforeUpdate=="function";p||typeof o.UNSAFE_componentWillReceiveProps!="function"&&typeof o.componentWillReceiveProps!="function"||(s!==r||u!==c)&&ru(t,o,r,c),tt=!1;var v=t.memoizedState;o.state=v,al(t,r,o,l),u=t.memoizedState,s!==r||v!==u||he.current||tt?(typeof f=="function"&&(Gi(t,n,f,r),u=t.memoizedState),(s=tt||nu(t,n,s,r,v,u,c))?(p||typeof o.UNSAFE_componentWillMount!="function"&&typeof o.componentWillMount!="function"||(typeof o.componentWillMount=="function"&&o.componentWillMount(),typeof o.UNSAFE_componentWillMount=="function"&&o.UNSAFE_componentWillMount()),typeof o.componentDidMount=="function"&&(t.flags|=4194308)):(typeof o.componentDidMount=="function"&&(t.flags|=4194308),t.memoizedProps=r,t.memoizedState=u),o.props=r,o.state=u,o.context=c,r=s):(typeof o.componentDidMount=="function"&&(t.flags|=4194308),r=!1)}else{o=t.stateNode,Xa(e,t),s=t.memoizedProps,c=t.type===t.elementType?s:Re(t.type,s),o.props=c,p=t.pendingProps,v=o.context,u=n.contextType,typeof u=="object"&&u!==null?u=Pe(u):(u=me(n)?Rt:oe.current,u=sn(t,u));var y=n.getDerivedStateFromProps;(f=typeof y=="function"||typeof o.getSnapshotBeforeUpdate=="function")||typeof o.UNSAFE_componentWillReceiveProps!="function"&&typeof o.componentWillReceiveProps!="function"||(s!==p||v!==u)&&ru(t,o,r,u),tt=!1,v=t.memoizedState,o.state=v,al(t,r,o,l);var g=t.memoizedState;s!==p||v!==g||he.current||tt?(typeof y=="function"&&(Gi(t,n,y,r),g=t.memoizedState),(c=tt||nu(t,n,c,r,v,g,u)||!1)?(f||typeof o.UNSAFE_componentWillUpdate!="function"&&typeof o.componentWillUpdate!="function"||(typeof o.componentWillUpdate=="function"&&o.componentWillUpdate(r,g,u),typeof o.UNSAFE_componentWillUpdate=="function"&&o.UNSAFE_componentWillUpdate(r,g,u)),typeof o.componentDidUpdate=="function"&&(t.flags|=4),typeof o.getSnapshotBeforeUpdate=="function"&&(t.flags|=1024)):(typeof o.componentDidUpdate!="function"||s===e.memoizedProps&&v===e.memoizedState||(t.flags|=4),typeof o.getSnapshotBeforeUpdate!="function"||s===e.memoizedProps&&v===e.memoizedState||(t.flags|=1024),t.memoizedProps=r,t.memoizedState=g),o.props=r,o.state=g,o.context=u,r=c):(typeof o.componentDidUpdate!="function"||s===e.memoizedProps&&v===e.memoizedState||(t.flags|=4),typeof o.getSnapshotBeforeUpdate!="function"||s===e.memoizedProps&&v===e.memoizedState||(t.flags|=1024),r=!1)}return qi(e,t,n,r,i,l)}function qi(e,t,n,r,l,i){wc(e,t);var o=(t.flags&128)!==0;if(!r&&!o)return l&&Gs(t,n,!1),Ze(e,t,i);r=t.stateNode,hp.current=t;var s=o&&typeof n.getDerivedStateFromError!="function"?null:r.render();return t.flags|=1,e!==null&&o?(t.child=an(t,e.child,null,i),t.child=an(t,null,s,i)):se(e,t,s,i),t.memoizedState=r.state,l&&Gs(t,n,!0),t.child}function Sc(e){var t=e.stateNode;t.pendingContext?Ys(e,t.pendingContext,t.pendingContext!==t.context):t.context&&Ys(e,t.context,!1),Vo(e,t.containerInfo)}function cu(e,t,n,r,l){return un(),Fo(l),t.flags|=256,se(e,t,n,r),t.child}var bi={dehydrated:null,treeContext:null,retryLane:0};function eo(e){return{baseLanes:e,cachePool:null,transitions:null}}function jc(e,t,n){var r=t.pendingProps,l=$.current,i=!1,o=(t.flags&128)!==0,s;if((s=o)||(s=e!==null&&e.memoizedState===null?!1:(l&2)!==0),s?(i=!0,t.flags&=-129):(e===null||e.memoizedState!==null)&&(l|=1),D($,l&1),e===null)return Ki(t),e=t.memoizedState,e!==null&&(e=e.dehydrated,e!==null)?(t.mode&1?e.data==="$!"?t.lanes=8:t.lanes=1073741824:t.lanes=1,null):(o=r.children,e=r.fallback,i?(r=t.mode,i=t.child,o={mode:"hidden",children:o},!(r&1)&&i!==null?(i.childLanes=0,i.pendingProps=o):i=Tl(o,r,0,null),e=Tt(e,r,n,null),i.return=t,e.return=t,i.sibling=e,t.child=i,t.child.memoizedState=eo(n),t.memoizedState=bi,e):Zo(t,o));if(l=e.memoizedState,l!==null&&(s=l.dehydrated,s!==null))return mp(e,t,o,r,s,l,n);if(i){i=r.fallback,o=t.mode,l=e.child,s=l.sibling;var u={mode:"hidden",children:r.children};return!(o&1)&&t.child!==l?(r=t.child,r.childLanes=0,r.pendingProps=u,t.deletions=null):(r=ht(l,u),r.subtreeFlags=l.subtreeFlags&14680064),s!==null?i=ht(s,i):(i=Tt(i,o,n,null),i.flags|=2),i.return=t,r.return=t,r.sibling=i,t.child=r,r=i,i=t.child,o=e.child.memoizedState,o=o===null?eo(n):{baseLanes:o.baseLanes|n,cachePool:null,transitions:o.transitions},i.memoizedState=o,i.childLanes=e.childLanes&~n,t.memoizedState=bi,r}return i=e.child,e=i.sibling,r=ht(i,{mode:"visible",children:r.children}),!(t.mode&1)&&(r.lanes=n),r.return=t,r.sibling=null,e!==null&&(n=t.deletions,n===null?(t.deletions=[e],t.flags|=16):n.push(e)),t.child=r,t.memoizedState=null,r}function Zo(e,t){return t=Tl({mode:"visible",children:t},e.mode,0,null),t.return=e,e.child=t}function Rr(e,t,n,r){return r!==null&&Fo(r),an(t,e.child,null,n),e=Zo(t,t.pendingProps.children),e.flags|=2,t.memoizedState=null,e}function mp(e,t,n,r,l,i,o){if(n)return t.flags&256?(t.flags&=-257,r=ai(Error(w(422))),Rr(e,t,o,r)):t.memoizedState!==null?(t.child=e.child,t.flags|=128,null):(i=r.fallback,l=t.mode,r=Tl({mode:"visible",children:r.children},l,0,null),i=Tt(i,l,o,null),i.flags|=2,r.return=t,i.return=t,r.sibling=i,t.child=r,t.mode&1&&an(t,e.child,null,o),t.child.memoizedState=eo(o),t.memoizedState=bi,i);if(!(t.mode&1))return Rr(e,t,o,null);if(l.data==="$!"){if(r=l.nextSibling&&l.nextSibling.dataset,r)var s=r.dgst;return r=s,i=Error(w(419)),r=ai(i,r,void 0),Rr(e,t,o,r)}if(s=(o&e.childLanes)!==0,pe||s){if(r=b,r!==null){switch(o&-o){case 4:l=2;break;case 16:l=8;break;case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:l=32;break;case 536870912:l=268435456;break;default:l=0}l=l&(r.suspendedLanes|o)?0:l,l!==0&&l!==i.retryLane&&(i.retryLane=l,Je(e,l),De(r,e,l,-1))}return rs(),r=ai(Error(w(421))),Rr(e,t,o,r)}return l.data==="$?"?(t.flags|=128,t.child=e.child,t=_p.bind(null,e),l._reactRetry=t,null):(e=i.treeContext,ye=ct(l.nextSibling),xe=t,B=!0,Le=null,e!==null&&(je[Ce++]=Qe,je[Ce++]=Ke,je[Ce++]=Mt,Qe=e.id,Ke=e.overflow,Mt=t),t=Zo(t,r.children),t.flags|=4096,t)}function du(e,t,n){e.lanes|=t;var r=e.alternate;r!==null&&(r.lanes|=t),Yi(e.return,t,n)}function ci(e,t,n,r,l){var i=e.memoizedState;i===null?e.memoizedState={isBackwards:t,rendering:null,renderingStartTime:0,last:r,tail:n,tailMode:l}:(i.isBackwards=t,i.rendering=null,i.renderingStartTime=0,i.last=r,i.tail=n,i.tailMode=l)}function Cc(e,t,n){var r=t.pendingProps,l=r.revealOrder,i=r.tail;if(se(e,t,r.children,n),r=$.current,r&2)r=r&1|2,t.flags|=128;else{if(e!==null&&e.flags&128)e:for(e=t.child;e!==null;){if(e.tag===13)e.memoizedState!==null&&du(e,n,t);else if(e.tag===19)du(e,n,t);else if(e.child!==null){e.child.return=e,e=e.child;continue}if(e===t)break e;for(;e.sibling===null;){if(e.return===null||e.return===t)break e;e=e.return}e.sibling.return=e.return,e=e.sibling}r&=1}if(D($,r),!(t.mode&1))t.memoizedState=null;else switch(l){case"forwards":for(n=t.child,l=null;n!==null;)e=n.alternate,e!==null&&cl(e)===null&&(l=n),n=n.sibling;n=l,n===null?(l=t.child,t.child=null):(l=n.sibling,n.sibling=null),ci(t,!1,l,n,i);break;case"backwards":for(n=null,l=t.child,t.child=null;l!==null;){if(e=l.alternate,e!==null&&cl(e)===null){t.child=l;break}e=l.sibling,l.sibling=n,n=l,l=e}ci(t,!0,n,null,i);break;case"together":ci(t,!1,null,null,void 0);break;default:t.memoizedState=null}return t.child}function Hr(e,t){!(t.mode&1)&&e!==null&&(e.alternate=null,t.alternate=null,t.flags|=2)}function Ze(e,t,n){if(e!==null&&(t.dependencies=e.dependencies),Ot|=t.lanes,!(n&t.childLanes))return null;if(e!==null&&t.child!==e.child)throw Error(w(153));if(t.child!==null){for(e=t.child,n=ht(e,e.pendingProps),t.child=n,n.return=t;e.sibling!==null;)e=e.sibling,n=n.sibling=ht(e,e.pendingProps),n.return=t;n.sibling=null}return t.child}function vp(e,t,n){switch(t.tag){case 3:Sc(t),un();break;case 5:Ja(t);break;case 1:me(t.type)&&ll(t);break;case 4:Vo(t,t.stateNode.containerInfo);break;case 10:var r=t.type._context,l=t.memoizedProps.value;D(sl,r._currentValue),r._currentValue=l;break;case 13:if(r=t.memoizedState,r!==null)return r.dehydrated!==null?(D($,$.current&1),t.flags|=128,null):n&t.child.childLanes?jc(e,t,n):(D($,$.current&1),e=Ze(e,t,n),e!==null?e.sibling:null);D($,$.current&1);break;case 19:if(r=(n&t.childLanes)!==0,e.flags&128){if(r)return Cc(e,t,n);t.flags|=128}if(l=t.memoizedState,l!==null&&(l.rendering=null,l.tail=null,l.lastEffect=null),D($,$.current),r)break;return null;case 22:case 23:return t.lanes=0,kc(e,t,n)}return Ze(e,t,n)}var Nc,to,Ec,Pc;Nc=function(e,t){for(var n=t.child;n!==null;){if(n.tag===5||n.tag===6)e.appendChild(n.stateNode);else if(n.tag!==4&&n.child!==null){n.child.return=n,n=n.child;continue}if(n===t)break;for(;n.sibling===null;){if(n.return===null||n.return===t)return;n=n.return}n.sibling.return=n.return,n=n.sibling}};to=function(){};Ec=function(e,t,n,r){var l=e.memoizedProps;if(l!==r){e=t.stateNode,Pt(We.current);var i=null;switch(n){case"input":l=ji(e,l),r=ji(e,r),i=[];break;case"select":l=W({},l,{value:void 0}),r=W({},r,{value:void 0}),i=[];break;case"textarea":l=Ei(e,l),r=Ei(e,r),i=[];break;default:typeof l.onClick!="function"&&typeof r.onClick=="function"&&(e.onclick=nl)}_i(n,r);var o;n=null;for(c in l)if(!r.hasOwnProperty(c)&&l.hasOwnProperty(c)&&l[c]!=null)if(c==="style"){var s=l[c];for(o in s)s.hasOwnProperty(o)&&(n||(n={}),n[o]="")}else c!=="dangerouslySetInnerHTML"&&c!=="children"&&c!=="suppressContentEditableWarning"&&c!=="suppressHydrationWarning"&&c!=="autoFocus"&&(An.hasOwnProperty(c)?i||(i=[]):(i=i||[]).push(c,null));for(c in r){var u=r[c];if(s=l!=null?l[c]:void 0,r.hasOwnProperty(c)&&u!==s&&(u!=null||s!=null))if(c==="style")if(s){for(o in s)!s.hasOwnProperty(o)||u&&u.hasOwnProperty(o)||(n||(n={}),n[o]="");for(o in u)u.hasOwnProperty(o)&&s[o]!==u[o]&&(n||(n={}),n[o]=u[o])}else n||(i||(i=[]),i.push(c,n)),n=u;else c==="dangerouslySetInnerHTML"?(u=u?u.__html:void 0,s=s?s.__html:void 0,u!=null&&s!==u&&(i=i||[]).push(c,u)):c==="children"?typeof u!="string"&&typeof u!="number"||(i=i||[]).push(c,""+u):c!=="suppressContentEditableWarning"&&c!=="suppressHydrationWarning"&&(An.hasOwnProperty(c)?(u!=null&&c==="onScroll"&&F("scroll",e),i||s===u||(i=[])):(i=i||[]).push(c,u))}n&&(i=i||[]).push("style",n);var c=i;(t.updateQueue=c)&&(t.flags|=4)}};Pc=function(e,t,n,r){n!==r&&(t.flags|=4)};function Nn(e,t){if(!B)switch(e.tailMode){case"hidden":t=e.tail;for(var n=null;t!==null;)t.alternate!==null&&(n=t),t=t.sibling;n===null?e.tail=null:n.sibling=null;break;case"collapsed":n=e.tail;for(var r=null;n!==null;)n.alternate!==null&&(r=n),n=n.sibling;r===null?t||e.tail===null?e.tail=null:e.tail.sibling=null:r.sibling=null}}function le(e){var t=e.alternate!==null&&e.alternate.child===e.child,n=0,r=0;if(t)for(var l=e.child;l!==null;)n|=l.lanes|l.childLanes,r|=l.subtreeFlags&14680064,r|=l.flags&14680064,l.return=e,l=l.sibling;else for(l=e.child;l!==null;)n|=l.lanes|l.childLanes,r|=l.subtreeFlags,r|=l.flags,l.return=e,l=l.sibling;return e.subtreeFlags|=r,e.childLanes=n,t}function gp(e,t,n){var r=t.pendingProps;switch(Do(t),t.tag){case 2:case 16:case 15:case 0:case 11:case 7:case 8:case 12:case 9:case 14:return le(t),null;case 1:return me(t.type)&&rl(),le(t),null;case 3:return r=t.stateNode,cn(),U(he),U(oe),Qo(),r.pendingContext&&(r.context=r.pendingContext,r.pendingContext=null),(e===null||e.child===null)&&(Tr(t)?t.flags|=4:e===null||e.memoizedState.isDehydrated&&!(t.flags&256)||(t.flags|=1024,Le!==null&&(ao(Le),Le=null))),to(e,t),le(t),null;case 5:Ho(t);var l=Pt(bn.current);if(n=t.type,e!==null&&t.stateNode!=null)Ec(e,t,n,r,l),e.ref!==t.ref&&(t.flags|=512,t.flags|=2097152);else{if(!r){if(t.stateNode===null)throw Error(w(166));return le(t),null}if(e=Pt(We.current),Tr(t)){r=t.stateNode,n=t.type;var i=t.memoizedProps;switch(r[$e]=t,r[Zn]=i,e=(t.mode&1)!==0,n){case"dialog":F("cancel",r),F("close",r);break;case"iframe":case"object":case"embed":F("load",r);break;case"video":case"audio":for(l=0;l<zn.length;l++)F(zn[l],r);break;case"source":F("error",r);break;case"img":case"image":case"link":F("error",r),F("load",r);break;case"details":F("toggle",r);break;case"input":ks(r,i),F("invalid",r);break;case"select":r._wrapperState={wasMultiple:!!i.multiple},F("invalid",r);break;case"textarea":Ss(r,i),F("invalid",r)}_i(n,i),l=null;for(var o in i)if(i.hasOwnProperty(o)){var s=i[o];o==="children"?typeof s=="string"?r.textContent!==s&&(i.suppressHydrationWarning!==!0&&_r(r.textContent,s,e),l=["children",s]):typeof s=="number"&&r.textContent!==""+s&&(i.suppressHydrationWarning!==!0&&_r(r.textContent,s,e),l=["children",""+s]):An.hasOwnProperty(o)&&s!=null&&o==="onScroll"&&F("scroll",r)}switch(n){case"input":kr(r),ws(r,i,!0);break;case"textarea":kr(r),js(r);break;case"select":case"option":break;default:typeof i.onClick=="function"&&(r.onclick=nl)}r=l,t.updateQueue=r,r!==null&&(t.flags|=4)}else{o=l.nodeType===9?l:l.ownerDocument,e==="http://www.w3.org/1999/xhtml"&&(e=ta(n)),e==="http://www.w3.org/1999/xhtml"?n==="script"?(e=o.createElement("div"),e.innerHTML="<script><\/script>",e=e.removeChild(e.firstChild)):typeof r.is=="string"?e=o.createElement(n,{is:r.is}):(e=o.createElement(n),n==="select"&&(o=e,r.multiple?o.multiple=!0:r.size&&(o.size=r.size))):e=o.createElementNS(e,n),e[$e]=t,e[Zn]=r,Nc(e,t,!1,!1),t.stateNode=e;e:{switch(o=Ti(n,r),n){case"dialog":F("cancel",e),F("close",e),l=r;break;case"iframe":case"object":case"embed":F("load",e),l=r;break;case"video":case"audio":for(l=0;l<zn.length;l++)F(zn[l],e);l=r;break;case"source":F("error",e),l=r;break;case"img":case"image":case"link":F("error",e),F("load",e),l=r;break;case"details":F("toggle",e),l=r;break;case"input":ks(e,r),l=ji(e,r),F("invalid",e);break;case"option":l=r;break;case"select":e._wrapperState={wasMultiple:!!r.multiple},l=W({},r,{value:void 0}),F("invalid",e);break;case"textarea":Ss(e,r),l=Ei(e,r),F("invalid",e);break;default:l=r}_i(n,l),s=l;for(i in s)if(s.hasOwnProperty(i)){var u=s[i];i==="style"?la(e,u):i==="dangerouslySetInnerHTML"?(u=u?u.__html:void 0,u!=null&&na(e,u)):i==="children"?typeof u=="string"?(n!=="textarea"||u!=="")&&Wn(e,u):typeof u=="number"&&Wn(e,""+u):i!=="suppressContentEditableWarning"&&i!=="suppressHydrationWarning"&&i!=="autoFocus"&&(An.hasOwnProperty(i)?u!=null&&i==="onScroll"&&F("scroll",e):u!=null&&wo(e,i,u,o))}switch(n){case"input":kr(e),ws(e,r,!1);break;case"textarea":kr(e),js(e);break;case"option":r.value!=null&&e.setAttribute("value",""+mt(r.value));break;case"select":e.multiple=!!r.multiple,i=r.value,i!=null?bt(e,!!r.multiple,i,!1):r.defaultValue!=null&&bt(e,!!r.multiple,r.defaultValue,!0);break;default:typeof l.onClick=="function"&&(e.onclick=nl)}switch(n){case"button":case"input":case"select":case"textarea":r=!!r.autoFocus;break e;case"img":r=!0;break e;default:r=!1}}r&&(t.flags|=4)}t.ref!==null&&(t.flags|=512,t.flags|=2097152)}return le(t),null;case 6:if(e&&t.stateNode!=null)Pc(e,t,e.memoizedProps,r);else{if(typeof r!="string"&&t.stateNode===null)throw Error(w(166));if(n=Pt(bn.current),Pt(We.current),Tr(t)){if(r=t.stateNode,n=t.memoizedProps,r[$e]=t,(i=r.nodeValue!==n)&&(e=xe,e!==null))switch(e.tag){case 3:_r(r.nodeValue,n,(e.mode&1)!==0);break;case 5:e.memoizedProps.suppressHydrationWarning!==!0&&_r(r.nodeValue,n,(e.mode&1)!==0)}i&&(t.flags|=4)}else r=(n.nodeType===9?n:n.ownerDocument).createTextNode(r),r[$e]=t,t.stateNode=r}return le(t),null;case 13:if(U($),r=t.memoizedState,e===null||e.memoizedState!==null&&e.memoizedState.dehydrated!==null){if(B&&ye!==null&&t.mode&1&&!(t.flags&128))Qa(),un(),t.flags|=98560,i=!1;else if(i=Tr(t),r!==null&&r.dehydrated!==null){if(e===null){if(!i)throw Error(w(318));if(i=t.memoizedState,i=i!==null?i.dehydrated:null,!i)throw Error(w(317));i[$e]=t}else un(),!(t.flags&128)&&(t.memoizedState=null),t.flags|=4;le(t),i=!1}else Le!==null&&(ao(Le),Le=null),i=!0;if(!i)return t.flags&65536?t:null}return t.flags&128?(t.lanes=n,t):(r=r!==null,r!==(e!==null&&e.memoizedState!==null)&&r&&(t.child.flags|=8192,t.mode&1&&(e===null||$.current&1?J===0&&(J=3):rs())),t.updateQueue!==null&&(t.flags|=4),le(t),null);case 4:return cn(),to(e,t),e===null&&Xn(t.stateNode.containerInfo),le(t),null;case 10:return $o(t.type._context),le(t),null;case 17:return me(t.type)&&rl(),le(t),null;case 19:if(U($),i=t.memoizedState,i===null)return le(t),null;if(r=(t.flags&128)!==0,o=i.rendering,o===null)if(r)Nn(i,!1);else{if(J!==0||e!==null&&e.flags&128)for(e=t.child;e!==null;){if(o=cl(e),o!==null){for(t.flags|=128,Nn(i,!1),r=o.updateQueue,r!==null&&(t.updateQueue=r,t.flags|=4),t.subtreeFlags=0,r=n,n=t.child;n!==null;)i=n,e=r,i.flags&=14680066,o=i.alternate,o===null?(i.childLanes=0,i.lanes=e,i.child=null,i.subtreeFlags=0,i.memoizedProps=null,i.memoizedState=null,i.updateQueue=null,i.dependencies=null,i.stateNode=null):(i.childLanes=o.childLanes,i.lanes=o.lanes,i.child=o.child,i.subtreeFlags=0,i.deletions=null,i.memoizedProps=o.memoizedProps,i.memoizedState=o.memoizedState,i.updateQueue=o.updateQueue,i.type=o.type,e=o.dependencies,i.dependencies=e===null?null:{lanes:e.lanes,firstContext:e.firstContext}),n=n.sibling;return D($,$.current&1|2),t.child}e=e.sibling}i.tail!==null&&K()>fn&&(t.flags|=128,r=!0,Nn(i,!1),t.lanes=4194304)}else{if(!r)if(e=cl(o),e!==null){if(t.flags|=128,r=!0,n=e.updateQueue,n!==null&&(t.updateQueue=n,t.flags|=4),Nn(i,!0),i.tail===null&&i.tailMode==="hidden"&&!o.alternate&&!B)return le(t),null}else 2*K()-i.renderingStartTime>fn&&n!==1073741824&&(t.flags|=128,r=!0,Nn(i,!1),t.lanes=4194304);i.isBackwards?(o.sibling=t.child,t.child=o):(n=i.last,n!==null?n.sibling=o:t.child=o,i.last=o)}return i.tail!==null?(t=i.tail,i.rendering=t,i.tail=t.sibling,i.renderingStartTime=K(),t.sibling=null,n=$.current,D($,r?n&1|2:n&1),t):(le(t),null);case 22:case 23:return ns(),r=t.memoizedState!==null,e!==null&&e.memoizedState!==null!==r&&(t.flags|=8192),r&&t.mode&1?ge&1073741824&&(le(t),t.subtreeFlags&6&&(t.flags|=8192)):le(t),null;case 24:return null;case 25:return null}throw Error(w(156,t.tag))}function yp(e,t){switch(Do(t),t.tag){case 1:return me(t.type)&&rl(),e=t.flags,e&65536?(t.flags=e&-65537|128,t):null;case 3:return cn(),U(he),U(oe),Qo(),e=t.flags,e&65536&&!(e&128)?(t.flags=e&-65537|128,t):null;case 5:return Ho(t),null;case 13:if(U($),e=t.memoizedState,e!==null&&e.dehydrated!==null){if(t.alternate===null)throw Error(w(340));un()}return e=t.flags,e&65536?(t.flags=e&-65537|128,t):null;case 19:return U($),null;case 4:return cn(),null;case 10:return $o(t.type._context),null;case 22:case 23:return ns(),null;case 24:return null;default:return null}}var Mr=!1,ie=!1,xp=typeof WeakSet=="function"?WeakSet:Set,N=null;function Zt(e,t){var n=e.ref;if(n!==null)if(typeof n=="function")try{n(null)}catch(r){V(e,t,r)}else n.current=null}function no(e,t,n){try{n()}catch(r){V(e,t,r)}}var fu=!1;function kp(e,t){if(Bi=br,e=Ma(),Oo(e)){if("selectionStart"in e)var n={start:e.selectionStart,end:e.selectionEnd};else e:{n=(n=e.ownerDocument)&&n.defaultView||window;var r=n.getSelection&&n.getSelection();if(r&&r.rangeCount!==0){n=r.anchorNode;var l=r.anchorOffset,i=r.focusNode;r=r.focusOffset;try{n.nodeType,i.nodeType}catch{n=null;break e}var o=0,s=-1,u=-1,c=0,f=0,p=e,v=null;t:for(;;){for(var y;p!==n||l!==0&&p.nodeType!==3||(s=o+l),p!==i||r!==0&&p.nodeType!==3||(u=o+r),p.nodeType===3&&(o+=p.nodeValue.length),(y=p.firstChild)!==null;)v=p,p=y;for(;;){if(p===e)break t;if(v===n&&++c===l&&(s=o),v===i&&++f===r&&(u=o),(y=p.nextSibling)!==null)break;p=v,v=p.parentNode}p=y}n=s===-1||u===-1?null:{start:s,end:u}}else n=null}n=n||{start:0,end:0}}else n=null;for($i={focusedElem:e,selectionRange:n},br=!1,N=t;N!==null;)if(t=N,e=t.child,(t.subtreeFlags&1028)!==0&&e!==null)e.return=t,N=e;else for(;N!==null;){t=N;try{var g=t.alternate;if(t.flags&1024)switch(t.tag){case 0:case 11:case 15:break;case 1:if(g!==null){var x=g.memoizedProps,S=g.memoizedState,h=t.stateNode,d=h.getSnapshotBeforeUpdate(t.elementType===t.type?x:Re(t.type,x),S);h.__reactInternalSnapshotBeforeUpdate=d}break;case 3:var m=t.stateNode.containerInfo;m.nodeType===1?m.textContent="":m.nodeType===9&&m.documentElement&&m.removeChild(m.documentElement);break;case 5:case 6:case 4:case 17:break;default:throw Error(w(163))}}catch(k){V(t,t.return,k)}if(e=t.sibling,e!==null){e.return=t.return,N=e;break}N=t.return}return g=fu,fu=!1,g}function Un(e,t,n){var r=t.updateQueue;if(r=r!==null?r.lastEffect:null,r!==null){var l=r=r.next;do{if((l.tag&e)===e){var i=l.destroy;l.destroy=void 0,i!==void 0&&no(t,n,i)}l=l.next}while(l!==r)}}function Pl(e,t){if(t=t.updateQueue,t=t!==null?t.lastEffect:null,t!==null){var n=t=t.next;do{if((n.tag&e)===e){var r=n.create;n.destroy=r()}n=n.next}while(n!==t)}}function ro(e){var t=e.ref;if(t!==null){var n=e.stateNode;switch(e.tag){case 5:e=n;break;default:e=n}typeof t=="function"?t(e):t.current=e}}function _c(e){var t=e.alternate;t!==null&&(e.alternate=null,_c(t)),e.child=null,e.deletions=null,e.sibling=null,e.tag===5&&(t=e.stateNode,t!==null&&(delete t[$e],delete t[Zn],delete t[Vi],delete t[np],delete t[rp])),e.stateNode=null,e.return=null,e.dependencies=null,e.memoizedProps=null,e.memoizedState=null,e.pendingProps=null,e.stateNode=null,e.updateQueue=null}function Tc(e){return e.tag===5||e.tag===3||e.tag===4}function pu(e){e:for(;;){for(;e.sibling===null;){if(e.return===null||Tc(e.return))return null;e=e.return}for(e.sibling.return=e.return,e=e.sibling;e.tag!==5&&e.tag!==6&&e.tag!==18;){if(e.flags&2||e.child===null||e.tag===4)continue e;e.child.return=e,e=e.child}if(!(e.flags&2))return e.stateNode}}function lo(e,t,n){var r=e.tag;if(r===5||r===6)e=e.stateNode,t?n.nodeType===8?n.parentNode.insertBefore(e,t):n.insertBefore(e,t):(n.nodeType===8?(t=n.parentNode,t.insertBefore(e,n)):(t=n,t.appendChild(e)),n=n._reactRootContainer,n!=null||t.onclick!==null||(t.onclick=nl));else if(r!==4&&(e=e.child,e!==null))for(lo(e,t,n),e=e.sibling;e!==null;)lo(e,t,n),e=e.sibling}function io(e,t,n){var r=e.tag;if(r===5||r===6)e=e.stateNode,t?n.insertBefore(e,t):n.appendChild(e);else if(r!==4&&(e=e.child,e!==null))for(io(e,t,n),e=e.sibling;e!==null;)io(e,t,n),e=e.sibling}var ee=null,Me=!1;function be(e,t,n){for(n=n.child;n!==null;)zc(e,t,n),n=n.sibling}function zc(e,t,n){if(Ae&&typeof Ae.onCommitFiberUnmount=="function")try{Ae.onCommitFiberUnmount(xl,n)}catch{}switch(n.tag){case 5:ie||Zt(n,t);case 6:var r=ee,l=Me;ee=null,be(e,t,n),ee=r,Me=l,ee!==null&&(Me?(e=ee,n=n.stateNode,e.nodeType===8?e.parentNode.removeChild(n):e.removeChild(n)):ee.removeChild(n.stateNode));break;case 18:ee!==null&&(Me?(e=ee,n=n.stateNode,e.nodeType===8?ri(e.parentNode,n):e.nodeType===1&&ri(e,n),Kn(e)):ri(ee,n.stateNode));break;case 4:r=ee,l=Me,ee=n.stateNode.containerInfo,Me=!0,be(e,t,n),ee=r,Me=l;break;case 0:case 11:case 14:case 15:if(!ie&&(r=n.updateQueue,r!==null&&(r=r.lastEffect,r!==null))){l=r=r.next;do{var i=l,o=i.destroy;i=i.tag,o!==void 0&&(i&2||i&4)&&no(n,t,o),l=l.next}while(l!==r)}be(e,t,n);break;case 1:if(!ie&&(Zt(n,t),r=n.stateNode,typeof r.componentWillUnmount=="function"))try{r.props=n.memoizedProps,r.state=n.memoizedState,r.componentWillUnmount()}catch(s){V(n,t,s)}be(e,t,n);break;case 21:be(e,t,n);break;case 22:n.mode&1?(ie=(r=ie)||n.memoizedState!==null,be(e,t,n),ie=r):be(e,t,n);break;default:be(e,t,n)}}function hu(e){var t=e.updateQueue;if(t!==null){e.updateQueue=null;var n=e.stateNode;n===null&&(n=e.stateNode=new xp),t.forEach(function(r){var l=Tp.bind(null,e,r);n.has(r)||(n.add(r),r.then(l,l))})}}function ze(e,t){var n=t.deletions;if(n!==null)for(var r=0;r<n.length;r++){var l=n[r];try{var i=e,o=t,s=o;e:for(;s!==null;){switch(s.tag){case 5:ee=s.stateNode,Me=!1;break e;case 3:ee=s.stateNode.containerInfo,Me=!0;break e;case 4:ee=s.stateNode.containerInfo,Me=!0;break e}s=s.return}if(ee===null)throw Error(w(160));zc(i,o,l),ee=null,Me=!1;var u=l.alternate;u!==null&&(u.return=null),l.return=null}catch(c){V(l,t,c)}}if(t.subtreeFlags&12854)for(t=t.child;t!==null;)Rc(t,e),t=t.sibling}function Rc(e,t){var n=e.alternate,r=e.flags;switch(e.tag){case 0:case 11:case 14:case 15:if(ze(t,e),Ue(e),r&4){try{Un(3,e,e.return),Pl(3,e)}catch(x){V(e,e.return,x)}try{Un(5,e,e.return)}catch(x){V(e,e.return,x)}}break;case 1:ze(t,e),Ue(e),r&512&&n!==null&&Zt(n,n.return);break;case 5:if(ze(t,e),Ue(e),r&512&&n!==null&&Zt(n,n.return),e.flags&32){var l=e.stateNode;try{Wn(l,"")}catch(x){V(e,e.return,x)}}if(r&4&&(l=e.stateNode,l!=null)){var i=e.memoizedProps,o=n!==null?n.memoizedProps:i,s=e.type,u=e.updateQueue;if(e.updateQueue=null,u!==null)try{s==="input"&&i.type==="radio"&&i.name!=null&&bu(l,i),Ti(s,o);var c=Ti(s,i);for(o=0;o<u.length;o+=2){var f=u[o],p=u[o+1];f==="style"?la(l,p):f==="dangerouslySetInnerHTML"?na(l,p):f==="children"?Wn(l,p):wo(l,f,p,c)}switch(s){case"input":Ci(l,i);break;case"textarea":ea(l,i);break;case"select":var v=l._wrapperState.wasMultiple;l._wrapperState.wasMultiple=!!i.multiple;var y=i.value;y!=null?bt(l,!!i.multiple,y,!1):v!==!!i.multiple&&(i.defaultValue!=null?bt(l,!!i.multiple,i.defaultValue,!0):bt(l,!!i.multiple,i.multiple?[]:"",!1))}l[Zn]=i}catch(x){V(e,e.return,x)}}break;case 6:if(ze(t,e),Ue(e),r&4){if(e.stateNode===null)throw Error(w(162));l=e.stateNode,i=e.memoizedProps;try{l.nodeValue=i}catch(x){V(e,e.return,x)}}break;case 3:if(ze(t,e),Ue(e),r&4&&n!==null&&n.memoizedState.isDehydrated)try{Kn(t.containerInfo)}catch(x){V(e,e.return,x)}break;case 4:ze(t,e),Ue(e);break;case 13:ze(t,e),Ue(e),l=e.child,l.flags&8192&&(i=l.memoizedState!==null,l.stateNode.isHidden=i,!i||l.alternate!==null&&l.alternate.memoizedState!==null||(es=K())),r&4&&hu(e);break;case 22:if(f=n!==null&&n.memoizedState!==null,e.mode&1?(ie=(c=ie)||f,ze(t,e),ie=c):ze(t,e),Ue(e),r&8192){if(c=e.memoizedState!==null,(e.stateNode.isHidden=c)&&!f&&e.mode&1)for(N=e,f=e.child;f!==null;){for(p=N=f;N!==null;){switch(v=N,y=v.child,v.tag){case 0:case 11:case 14:case 15:Un(4,v,v.return);break;case 1:Zt(v,v.return);var g=v.stateNode;if(typeof g.componentWillUnmount=="function"){r=v,n=v.return;try{t=r,g.props=t.memoizedProps,g.state=t.memoizedState,g.componentWillUnmount()}catch(x){V(r,n,x)}}break;case 5:Zt(v,v.return);break;case 22:if(v.memoizedState!==null){vu(p);continue}}y!==null?(y.return=v,N=y):vu(p)}f=f.sibling}e:for(f=null,p=e;;){if(p.tag===5){if(f===null){f=p;try{l=p.stateNode,c?(i=l.style,typeof i.setProperty=="function"?i.setProperty("display","none","important"):i.display="none"):(s=p.stateNode,u=p.memoizedProps.style,o=u!=null&&u.hasOwnProperty("display")?u.display:null,s.style.display=ra("display",o))}catch(x){V(e,e.return,x)}}}else if(p.tag===6){if(f===null)try{p.stateNode.nodeValue=c?"":p.memoizedProps}catch(x){V(e,e.return,x)}}else if((p.tag!==22&&p.tag!==23||p.memoizedState===null||p===e)&&p.child!==null){p.child.return=p,p=p.child;continue}if(p===e)break e;for(;p.sibling===null;){if(p.return===null||p.return===e)break e;f===p&&(f=null),p=p.return}f===p&&(f=null),p.sibling.return=p.return,p=p.sibling}}break;case 19:ze(t,e),Ue(e),r&4&&hu(e);break;case 21:break;default:ze(t,e),Ue(e)}}function Ue(e){var t=e.flags;if(t&2){try{e:{for(var n=e.return;n!==null;){if(Tc(n)){var r=n;break e}n=n.return}throw Error(w(160))}switch(r.tag){case 5:var l=r.stateNode;r.flags&32&&(Wn(l,""),r.flags&=-33);var i=pu(e);io(e,i,l);break;case 3:case 4:var o=r.stateNode.containerInfo,s=pu(e);lo(e,s,o);break;default:throw Error(w(161))}}catch(u){V(e,e.return,u)}e.flags&=-3}t&4096&&(e.flags&=-4097)}function wp(e,t,n){N=e,Mc(e)}function Mc(e,t,n){for(var r=(e.mode&1)!==0;N!==null;){var l=N,i=l.child;if(l.tag===22&&r){var o=l.memoizedState!==null||Mr;if(!o){var s=l.alternate,u=s!==null&&s.memoizedState!==null||ie;s=Mr;var c=ie;if(Mr=o,(ie=u)&&!c)for(N=l;N!==null;)o=N,u=o.child,o.tag===22&&o.memoizedState!==null?gu(l):u!==null?(u.return=o,N=u):gu(l);for(;i!==null;)N=i,Mc(i),i=i.sibling;N=l,Mr=s,ie=c}mu(e)}else l.subtreeFlags&8772&&i!==null?(i.return=l,N=i):mu(e)}}function mu(e){for(;N!==null;){var t=N;if(t.flags&8772){var n=t.alternate;try{if(t.flags&8772)switch(t.tag){case 0:case 11:case 15:ie||Pl(5,t);break;case 1:var r=t.stateNode;if(t.flags&4&&!ie)if(n===null)r.componentDidMount();else{var l=t.elementType===t.type?n.memoizedProps:Re(t.type,n.memoizedProps);r.componentDidUpdate(l,n.memoizedState,r.__reactInternalSnapshotBeforeUpdate)}var i=t.updateQueue;i!==null&&bs(t,i,r);break;case 3:var o=t.updateQueue;if(o!==null){if(n=null,t.child!==null)switch(t.child.tag){case 5:n=t.child.stateNode;break;case 1:n=t.child.stateNode}bs(t,o,n)}break;case 5:var s=t.stateNode;if(n===null&&t.flags&4){n=s;var u=t.memoizedProps;switch(t.type){case"button":case"input":case"select":case"textarea":u.autoFocus&&n.focus();break;case"img":u.src&&(n.src=u.src)}}break;case 6:break;case 4:break;case 12:break;case 13:if(t.memoizedState===null){var c=t.alternate;if(c!==null){var f=c.memoizedState;if(f!==null){var p=f.dehydrated;p!==null&&Kn(p)}}}break;case 19:case 17:case 21:case 22:case 23:case 25:break;default:throw Error(w(163))}ie||t.flags&512&&ro(t)}catch(v){V(t,t.return,v)}}if(t===e){N=null;break}if(n=t.sibling,n!==null){n.return=t.return,N=n;break}N=t.return}}function vu(e){for(;N!==null;){var t=N;if(t===e){N=null;break}var n=t.sibling;if(n!==null){n.return=t.return,N=n;break}N=t.return}}function gu(e){for(;N!==null;){var t=N;try{switch(t.tag){case 0:case 11:case 15:var n=t.return;try{Pl(4,t)}catch(u){V(t,n,u)}break;case 1:var r=t.stateNode;if(typeof r.componentDidMount=="function"){var l=t.return;try{r.componentDidMount()}catch(u){V(t,l,u)}}var i=t.return;try{ro(t)}catch(u){V(t,i,u)}break;case 5:var o=t.return;try{ro(t)}catch(u){V(t,o,u)}}}catch(u){V(t,t.return,u)}if(t===e){N=null;break}var s=t.sibling;if(s!==null){s.return=t.return,N=s;break}N=t.return}}var Sp=Math.ceil,pl=qe.ReactCurrentDispatcher,qo=qe.ReactCurrentOwner,Ee=qe.ReactCurrentBatchConfig,O=0,b=null,Y=null,te=0,ge=0,qt=yt(0),J=0,rr=null,Ot=0,_l=0,bo=0,Bn=null,fe=null,es=0,fn=1/0,Ve=null,hl=!1,oo=null,ft=null,Lr=!1,it=null,ml=0,$n=0,so=null,Qr=-1,Kr=0;function ue(){return O&6?K():Qr!==-1?Qr:Qr=K()}function pt(e){return e.mode&1?O&2&&te!==0?te&-te:ip.transition!==null?(Kr===0&&(Kr=va()),Kr):(e=I,e!==0||(e=window.event,e=e===void 0?16:ja(e.type)),e):1}function De(e,t,n,r){if(50<$n)throw $n=0,so=null,Error(w(185));cr(e,n,r),(!(O&2)||e!==b)&&(e===b&&(!(O&2)&&(_l|=n),J===4&&rt(e,te)),ve(e,r),n===1&&O===0&&!(t.mode&1)&&(fn=K()+500,Cl&&xt()))}function ve(e,t){var n=e.callbackNode;lf(e,t);var r=qr(e,e===b?te:0);if(r===0)n!==null&&Es(n),e.callbackNode=null,e.callbackPriority=0;else if(t=r&-r,e.callbackPriority!==t){if(n!=null&&Es(n),t===1)e.tag===0?lp(yu.bind(null,e)):Wa(yu.bind(null,e)),ep(function(){!(O&6)&&xt()}),n=null;else{switch(ga(r)){case 1:n=Eo;break;case 4:n=ha;break;case 16:n=Zr;break;case 536870912:n=ma;break;default:n=Zr}n=$c(n,Lc.bind(null,e))}e.callbackPriority=t,e.callbackNode=n}}function Lc(e,t){if(Qr=-1,Kr=0,O&6)throw Error(w(327));var n=e.callbackNode;if(ln()&&e.callbackNode!==n)return null;var r=qr(e,e===b?te:0);if(r===0)return null;if(r&30||r&e.expiredLanes||t)t=vl(e,r);else{t=r;var l=O;O|=2;var i=Ic();(b!==e||te!==t)&&(Ve=null,fn=K()+500,_t(e,t));do try{Np();break}catch(s){Oc(e,s)}while(!0);Bo(),pl.current=i,O=l,Y!==null?t=0:(b=null,te=0,t=J)}if(t!==0){if(t===2&&(l=Oi(e),l!==0&&(r=l,t=uo(e,l))),t===1)throw n=rr,_t(e,0),rt(e,r),ve(e,K()),n;if(t===6)rt(e,r);else{if(l=e.current.alternate,!(r&30)&&!jp(l)&&(t=vl(e,r),t===2&&(i=Oi(e),i!==0&&(r=i,t=uo(e,i))),t===1))throw n=rr,_t(e,0),rt(e,r),ve(e,K()),n;switch(e.finishedWork=l,e.finishedLanes=r,t){case 0:case 1:throw Error(w(345));case 2:jt(e,fe,Ve);break;case 3:if(rt(e,r),(r&130023424)===r&&(t=es+500-K(),10<t)){if(qr(e,0)!==0)break;if(l=e.suspendedLanes,(l&r)!==r){ue(),e.pingedLanes|=e.suspendedLanes&l;break}e.timeoutHandle=Wi(jt.bind(null,e,fe,Ve),t);break}jt(e,fe,Ve);break;case 4:if(rt(e,r),(r&4194240)===r)break;for(t=e.eventTimes,l=-1;0<r;){var o=31-Ie(r);i=1<<o,o=t[o],o>l&&(l=o),r&=~i}if(r=l,r=K()-r,r=(120>r?120:480>r?480:1080>r?1080:1920>r?1920:3e3>r?3e3:4320>r?4320:1960*Sp(r/1960))-r,10<r){e.timeoutHandle=Wi(jt.bind(null,e,fe,Ve),r);break}jt(e,fe,Ve);break;case 5:jt(e,fe,Ve);break;default:throw Error(w(329))}}}return ve(e,K()),e.callbackNode===n?Lc.bind(null,e):null}function uo(e,t){var n=Bn;return e.current.memoizedState.isDehydrated&&(_t(e,t).flags|=256),e=vl(e,t),e!==2&&(t=fe,fe=n,t!==null&&ao(t)),e}function ao(e){fe===null?fe=e:fe.push.apply(fe,e)}function jp(e){for(var t=e;;){if(t.flags&16384){var n=t.updateQueue;if(n!==null&&(n=n.stores,n!==null))for(var r=0;r<n.length;r++){var l=n[r],i=l.getSnapshot;l=l.value;try{if(!Fe(i(),l))return!1}catch{return!1}}}if(n=t.child,t.subtreeFlags&16384&&n!==null)n.return=t,t=n;else{if(t===e)break;for(;t.sibling===null;){if(t.return===null||t.return===e)return!0;t=t.return}t.sibling.return=t.return,t=t.sibling}}return!0}function rt(e,t){for(t&=~bo,t&=~_l,e.suspendedLanes|=t,e.pingedLanes&=~t,e=e.expirationTimes;0<t;){var n=31-Ie(t),r=1<<n;e[n]=-1,t&=~r}}function yu(e){if(O&6)throw Error(w(327));ln();var t=qr(e,0);if(!(t&1))return ve(e,K()),null;var n=vl(e,t);if(e.tag!==0&&n===2){var r=Oi(e);r!==0&&(t=r,n=uo(e,r))}if(n===1)throw n=rr,_t(e,0),rt(e,t),ve(e,K()),n;if(n===6)throw Error(w(345));return e.finishedWork=e.current.alternate,e.finishedLanes=t,jt(e,fe,Ve),ve(e,K()),null}function ts(e,t){var n=O;O|=1;try{return e(t)}finally{O=n,O===0&&(fn=K()+500,Cl&&xt())}}function It(e){it!==null&&it.tag===0&&!(O&6)&&ln();var t=O;O|=1;var n=Ee.transition,r=I;try{if(Ee.transition=null,I=1,e)return e()}finally{I=r,Ee.transition=n,O=t,!(O&6)&&xt()}}function ns(){ge=qt.current,U(qt)}function _t(e,t){e.finishedWork=null,e.finishedLanes=0;var n=e.timeoutHandle;if(n!==-1&&(e.timeoutHandle=-1,bf(n)),Y!==null)for(n=Y.return;n!==null;){var r=n;switch(Do(r),r.tag){case 1:r=r.type.childContextTypes,r!=null&&rl();break;case 3:cn(),U(he),U(oe),Qo();break;case 5:Ho(r);break;case 4:cn();break;case 13:U($);break;case 19:U($);break;case 10:$o(r.type._context);break;case 22:case 23:ns()}n=n.return}if(b=e,Y=e=ht(e.current,null),te=ge=t,J=0,rr=null,bo=_l=Ot=0,fe=Bn=null,Et!==null){for(t=0;t<Et.length;t++)if(n=Et[t],r=n.interleaved,r!==null){n.interleaved=null;var l=r.next,i=n.pending;if(i!==null){var o=i.next;i.next=l,r.next=o}n.pending=r}Et=null}return e}function Oc(e,t){do{var n=Y;try{if(Bo(),Wr.current=fl,dl){for(var r=A.memoizedState;r!==null;){var l=r.queue;l!==null&&(l.pending=null),r=r.next}dl=!1}if(Lt=0,q=X=A=null,Fn=!1,er=0,qo.current=null,n===null||n.return===null){J=1,rr=t,Y=null;break}e:{var i=e,o=n.return,s=n,u=t;if(t=te,s.flags|=32768,u!==null&&typeof u=="object"&&typeof u.then=="function"){var c=u,f=s,p=f.tag;if(!(f.mode&1)&&(p===0||p===11||p===15)){var v=f.alternate;v?(f.updateQueue=v.updateQueue,f.memoizedState=v.memoizedState,f.lanes=v.lanes):(f.updateQueue=null,f.memoizedState=null)}var y=iu(o);if(y!==null){y.flags&=-257,ou(y,o,s,i,t),y.mode&1&&lu(i,c,t),t=y,u=c;var g=t.updateQueue;if(g===null){var x=new Set;x.add(u),t.updateQueue=x}else g.add(u);break e}else{if(!(t&1)){lu(i,c,t),rs();break e}u=Error(w(426))}}else if(B&&s.mode&1){var S=iu(o);if(S!==null){!(S.flags&65536)&&(S.flags|=256),ou(S,o,s,i,t),Fo(dn(u,s));break e}}i=u=dn(u,s),J!==4&&(J=2),Bn===null?Bn=[i]:Bn.push(i),i=o;do{switch(i.tag){case 3:i.flags|=65536,t&=-t,i.lanes|=t;var h=gc(i,u,t);qs(i,h);break e;case 1:s=u;var d=i.type,m=i.stateNode;if(!(i.flags&128)&&(typeof d.getDerivedStateFromError=="function"||m!==null&&typeof m.componentDidCatch=="function"&&(ft===null||!ft.has(m)))){i.flags|=65536,t&=-t,i.lanes|=t;var k=yc(i,s,t);qs(i,k);break e}}i=i.return}while(i!==null)}Fc(n)}catch(j){t=j,Y===n&&n!==null&&(Y=n=n.return);continue}break}while(!0)}function Ic(){var e=pl.current;return pl.current=fl,e===null?fl:e}function rs(){(J===0||J===3||J===2)&&(J=4),b===null||!(Ot&268435455)&&!(_l&268435455)||rt(b,te)}function vl(e,t){var n=O;O|=2;var r=Ic();(b!==e||te!==t)&&(Ve=null,_t(e,t));do try{Cp();break}catch(l){Oc(e,l)}while(!0);if(Bo(),O=n,pl.current=r,Y!==null)throw Error(w(261));return b=null,te=0,J}function Cp(){for(;Y!==null;)Dc(Y)}function Np(){for(;Y!==null&&!Xd();)Dc(Y)}function Dc(e){var t=Bc(e.alternate,e,ge);e.memoizedProps=e.pendingProps,t===null?Fc(e):Y=t,qo.current=null}function Fc(e){var t=e;do{var n=t.alternate;if(e=t.return,t.flags&32768){if(n=yp(n,t),n!==null){n.flags&=32767,Y=n;return}if(e!==null)e.flags|=32768,e.subtreeFlags=0,e.deletions=null;else{J=6,Y=null;return}}else if(n=gp(n,t,ge),n!==null){Y=n;return}if(t=t.sibling,t!==null){Y=t;return}Y=t=e}while(t!==null);J===0&&(J=5)}function jt(e,t,n){var r=I,l=Ee.transition;try{Ee.transition=null,I=1,Ep(e,t,n,r)}finally{Ee.transition=l,I=r}return null}function Ep(e,t,n,r){do ln();while(it!==null);if(O&6)throw Error(w(327));n=e.finishedWork;var l=e.finishedLanes;if(n===null)return null;if(e.finishedWork=null,e.finishedLanes=0,n===e.current)throw Error(w(177));e.callbackNode=null,e.callbackPriority=0;var i=n.lanes|n.childLanes;if(of(e,i),e===b&&(Y=b=null,te=0),!(n.subtreeFlags&2064)&&!(n.flags&2064)||Lr||(Lr=!0,$c(Zr,function(){return ln(),null})),i=(n.flags&15990)!==0,n.subtreeFlags&15990||i){i=Ee.transition,Ee.transition=null;var o=I;I=1;var s=O;O|=4,qo.current=null,kp(e,n),Rc(n,e),Kf($i),br=!!Bi,$i=Bi=null,e.current=n,wp(n),Jd(),O=s,I=o,Ee.transition=i}else e.current=n;if(Lr&&(Lr=!1,it=e,ml=l),i=e.pendingLanes,i===0&&(ft=null),bd(n.stateNode),ve(e,K()),t!==null)for(r=e.onRecoverableError,n=0;n<t.length;n++)l=t[n],r(l.value,{componentStack:l.stack,digest:l.digest});if(hl)throw hl=!1,e=oo,oo=null,e;return ml&1&&e.tag!==0&&ln(),i=e.pendingLanes,i&1?e===so?$n++:($n=0,so=e):$n=0,xt(),null}function ln(){if(it!==null){var e=ga(ml),t=Ee.transition,n=I;try{if(Ee.transition=null,I=16>e?16:e,it===null)var r=!1;else{if(e=it,it=null,ml=0,O&6)throw Error(w(331));var l=O;for(O|=4,N=e.current;N!==null;){var i=N,o=i.child;if(N.flags&16){var s=i.deletions;if(s!==null){for(var u=0;u<s.length;u++){var c=s[u];for(N=c;N!==null;){var f=N;switch(f.tag){case 0:case 11:case 15:Un(8,f,i)}var p=f.child;if(p!==null)p.return=f,N=p;else for(;N!==null;){f=N;var v=f.sibling,y=f.return;if(_c(f),f===c){N=null;break}if(v!==null){v.return=y,N=v;break}N=y}}}var g=i.alternate;if(g!==null){var x=g.child;if(x!==null){g.child=null;do{var S=x.sibling;x.sibling=null,x=S}while(x!==null)}}N=i}}if(i.subtreeFlags&2064&&o!==null)o.return=i,N=o;else e:for(;N!==null;){if(i=N,i.flags&2048)switch(i.tag){case 0:case 11:case 15:Un(9,i,i.return)}var h=i.sibling;if(h!==null){h.return=i.return,N=h;break e}N=i.return}}var d=e.current;for(N=d;N!==null;){o=N;var m=o.child;if(o.subtreeFlags&2064&&m!==null)m.return=o,N=m;else e:for(o=d;N!==null;){if(s=N,s.flags&2048)try{switch(s.tag){case 0:case 11:case 15:Pl(9,s)}}catch(j){V(s,s.return,j)}if(s===o){N=null;break e}var k=s.sibling;if(k!==null){k.return=s.return,N=k;break e}N=s.return}}if(O=l,xt(),Ae&&typeof Ae.onPostCommitFiberRoot=="function")try{Ae.onPostCommitFiberRoot(xl,e)}catch{}r=!0}return r}finally{I=n,Ee.transition=t}}return!1}function xu(e,t,n){t=dn(n,t),t=gc(e,t,1),e=dt(e,t,1),t=ue(),e!==null&&(cr(e,1,t),ve(e,t))}function V(e,t,n){if(e.tag===3)xu(e,e,n);else for(;t!==null;){if(t.tag===3){xu(t,e,n);break}else if(t.tag===1){var r=t.stateNode;if(typeof t.type.getDerivedStateFromError=="function"||typeof r.componentDidCatch=="function"&&(ft===null||!ft.has(r))){e=dn(n,e),e=yc(t,e,1),t=dt(t,e,1),e=ue(),t!==null&&(cr(t,1,e),ve(t,e));break}}t=t.return}}function Pp(e,t,n){var r=e.pingCache;r!==null&&r.delete(t),t=ue(),e.pingedLanes|=e.suspendedLanes&n,b===e&&(te&n)===n&&(J===4||J===3&&(te&130023424)===te&&500>K()-es?_t(e,0):bo|=n),ve(e,t)}function Uc(e,t){t===0&&(e.mode&1?(t=jr,jr<<=1,!(jr&130023424)&&(jr=4194304)):t=1);var n=ue();e=Je(e,t),e!==null&&(cr(e,t,n),ve(e,n))}function _p(e){var t=e.memoizedState,n=0;t!==null&&(n=t.retryLane),Uc(e,n)}function Tp(e,t){var n=0;switch(e.tag){case 13:var r=e.stateNode,l=e.memoizedState;l!==null&&(n=l.retryLane);break;case 19:r=e.stateNode;break;default:throw Error(w(314))}r!==null&&r.delete(t),Uc(e,n)}var Bc;Bc=function(e,t,n){if(e!==null)if(e.memoizedProps!==t.pendingProps||he.current)pe=!0;else{if(!(e.lanes&n)&&!(t.flags&128))return pe=!1,vp(e,t,n);pe=!!(e.flags&131072)}else pe=!1,B&&t.flags&1048576&&Va(t,ol,t.index);switch(t.lanes=0,t.tag){case 2:var r=t.type;Hr(e,t),e=t.pendingProps;var l=sn(t,oe.current);rn(t,n),l=Yo(null,t,r,e,l,n);var i=Go();return t.flags|=1,typeof l=="object"&&l!==null&&typeof l.render=="function"&&l.$$typeof===void 0?(t.tag=1,t.memoizedState=null,t.updateQueue=null,me(r)?(i=!0,ll(t)):i=!1,t.memoizedState=l.state!==null&&l.state!==void 0?l.state:null,Wo(t),l.updater=El,t.stateNode=l,l._reactInternals=t,Xi(t,r,e,n),t=qi(null,t,r,!0,i,n)):(t.tag=0,B&&i&&Io(t),se(null,t,l,n),t=t.child),t;case 16:r=t.elementType;e:{switch(Hr(e,t),e=t.pendingProps,l=r._init,r=l(r._payload),t.type=r,l=t.tag=Rp(r),e=Re(r,e),l){case 0:t=Zi(null,t,r,e,n);break e;case 1:t=au(null,t,r,e,n);break e;case 11:t=su(null,t,r,e,n);break e;case 14:t=uu(null,t,r,Re(r.type,e),n);break e}throw Error(w(306,r,""))}return t;case 0:return r=t.type,l=t.pendingProps,l=t.elementType===r?l:Re(r,l),Zi(e,t,r,l,n);case 1:return r=t.type,l=t.pendingProps,l=t.elementType===r?l:Re(r,l),au(e,t,r,l,n);case 3:e:{if(Sc(t),e===null)throw Error(w(387));r=t.pendingProps,i=t.memoizedState,l=i.element,Xa(e,t),al(t,r,null,n);var o=t.memoizedState;if(r=o.element,i.isDehydrated)if(i={element:r,isDehydrated:!1,cache:o.cache,pendingSuspenseBoundaries:o.pendingSuspenseBoundaries,transitions:o.transitions},t.updateQueue.baseState=i,t.memoizedState=i,t.flags&256){l=dn(Error(w(423)),t),t=cu(e,t,r,n,l);break e}else if(r!==l){l=dn(Error(w(424)),t),t=cu(e,t,r,n,l);break e}else for(ye=ct(t.stateNode.containerInfo.firstChild),xe=t,B=!0,Le=null,n=Ya(t,null,r,n),t.child=n;n;)n.flags=n.flags&-3|4096,n=n.sibling;else{if(un(),r===l){t=Ze(e,t,n);break e}se(e,t,r,n)}t=t.child}return t;case 5:return Ja(t),e===null&&Ki(t),r=t.type,l=t.pendingProps,i=e!==null?e.memoizedProps:null,o=l.children,Ai(r,l)?o=null:i!==null&&Ai(r,i)&&(t.flags|=32),wc(e,t),se(e,t,o,n),t.child;case 6:return e===null&&Ki(t),null;case 13:return jc(e,t,n);case 4:return Vo(t,t.stateNode.containerInfo),r=t.pendingProps,e===null?t.child=an(t,null,r,n):se(e,t,r,n),t.child;case 11:return r=t.type,l=t.pendingProps,l=t.elementType===r?l:Re(r,l),su(e,t,r,l,n);case 7:return se(e,t,t.pendingProps,n),t.child;case 8:return se(e,t,t.pendingProps.children,n),t.child;case 12:return se(e,t,t.pendingProps.children,n),t.child;case 10:e:{if(r=t.type._context,l=t.pendingProps,i=t.memoizedProps,o=l.value,D(sl,r._currentValue),r._currentValue=o,i!==null)if(Fe(i.value,o)){if(i.children===l.children&&!he.current){t=Ze(e,t,n);break e}}else for(i=t.child,i!==null&&(i.return=t);i!==null;){var s=i.dependencies;if(s!==null){o=i.child;for(var u=s.firstContext;u!==null;){if(u.context===r){if(i.tag===1){u=Ye(-1,n&-n),u.tag=2;var c=i.updateQueue;if(c!==null){c=c.shared;var f=c.pending;f===null?u.next=u:(u.next=f.next,f.next=u),c.pending=u}}i.lanes|=n,u=i.alternate,u!==null&&(u.lanes|=n),Yi(i.return,n,t),s.lanes|=n;break}u=u.next}}else if(i.tag===10)o=i.type===t.type?null:i.child;else if(i.tag===18){if(o=i.return,o===null)throw Error(w(341));o.lanes|=n,s=o.alternate,s!==null&&(s.lanes|=n),Yi(o,n,t),o=i.sibling}else o=i.child;if(o!==null)o.return=i;else for(o=i;o!==null;){if(o===t){o=null;break}if(i=o.sibling,i!==null){i.return=o.return,o=i;break}o=o.return}i=o}se(e,t,l.children,n),t=t.child}return t;case 9:return l=t.type,r=t.pendingProps.children,rn(t,n),l=Pe(l),r=r(l),t.flags|=1,se(e,t,r,n),t.child;case 14:return r=t.type,l=Re(r,t.pendingProps),l=Re(r.type,l),uu(e,t,r,l,n);case 15:return xc(e,t,t.type,t.pendingProps,n);case 17:return r=t.type,l=t.pendingProps,l=t.elementType===r?l:Re(r,l),Hr(e,t),t.tag=1,me(r)?(e=!0,ll(t)):e=!1,rn(t,n),vc(t,r,l),Xi(t,r,l,n),qi(null,t,r,!0,e,n);case 19:return Cc(e,t,n);case 22:return kc(e,t,n)}throw Error(w(156,t.tag))};function $c(e,t){return pa(e,t)}function zp(e,t,n,r){this.tag=e,this.key=n,this.sibling=this.child=this.return=this.stateNode=this.type=this.elementType=null,this.index=0,this.ref=null,this.pendingProps=t,this.dependencies=this.memoizedState=this.updateQueue=this.memoizedProps=null,this.mode=r,this.subtreeFlags=this.flags=0,this.deletions=null,this.childLanes=this.lanes=0,this.alternate=null}function Ne(e,t,n,r){return new zp(e,t,n,r)}function ls(e){return e=e.prototype,!(!e||!e.isReactComponent)}function Rp(e){if(typeof e=="function")return ls(e)?1:0;if(e!=null){if(e=e.$$typeof,e===jo)return 11;if(e===Co)return 14}return 2}function ht(e,t){var n=e.alternate;return n===null?(n=Ne(e.tag,t,e.key,e.mode),n.elementType=e.elementType,n.type=e.type,n.stateNode=e.stateNode,n.alternate=e,e.alternate=n):(n.pendingProps=t,n.type=e.type,n.flags=0,n.subtreeFlags=0,n.deletions=null),n.flags=e.flags&14680064,n.childLanes=e.childLanes,n.lanes=e.lanes,n.child=e.child,n.memoizedProps=e.memoizedProps,n.memoizedState=e.memoizedState,n.updateQueue=e.updateQueue,t=e.dependencies,n.dependencies=t===null?null:{lanes:t.lanes,firstContext:t.firstContext},n.sibling=e.sibling,n.index=e.index,n.ref=e.ref,n}function Yr(e,t,n,r,l,i){var o=2;if(r=e,typeof e=="function")ls(e)&&(o=1);else if(typeof e=="string")o=5;else e:switch(e){case Wt:return Tt(n.children,l,i,t);case So:o=8,l|=8;break;case xi:return e=Ne(12,n,t,l|2),e.elementType=xi,e.lanes=i,e;case ki:return e=Ne(13,n,t,l),e.elementType=ki,e.lanes=i,e;case wi:return e=Ne(19,n,t,l),e.elementType=wi,e.lanes=i,e;case Ju:return Tl(n,l,i,t);default:if(typeof e=="object"&&e!==null)switch(e.$$typeof){case Gu:o=10;break e;case Xu:o=9;break e;case jo:o=11;break e;case Co:o=14;break e;case et:o=16,r=null;break e}throw Error(w(130,e==null?e:typeof e,""))}return t=Ne(o,n,t,l),t.elementType=e,t.type=r,t.lanes=i,t}function Tt(e,t,n,r){return e=Ne(7,e,r,t),e.lanes=n,e}function Tl(e,t,n,r){return e=Ne(22,e,r,t),e.elementType=Ju,e.lanes=n,e.stateNode={isHidden:!1},e}function di(e,t,n){return e=Ne(6,e,null,t),e.lanes=n,e}function fi(e,t,n){return t=Ne(4,e.children!==null?e.children:[],e.key,t),t.lanes=n,t.stateNode={containerInfo:e.containerInfo,pendingChildren:null,implementation:e.implementation},t}function Mp(e,t,n,r,l){this.tag=t,this.containerInfo=e,this.finishedWork=this.pingCache=this.current=this.pendingChildren=null,this.timeoutHandle=-1,this.callbackNode=this.pendingContext=this.context=null,this.callbackPriority=0,this.eventTimes=Kl(0),this.expirationTimes=Kl(-1),this.entangledLanes=this.finishedLanes=this.mutableReadLanes=this.expiredLanes=this.pingedLanes=this.suspendedLanes=this.pendingLanes=0,this.entanglements=Kl(0),this.identifierPrefix=r,this.onRecoverableError=l,this.mutableSourceEagerHydrationData=null}function is(e,t,n,r,l,i,o,s,u){return e=new Mp(e,t,n,s,u),t===1?(t=1,i===!0&&(t|=8)):t=0,i=Ne(3,null,null,t),e.current=i,i.stateNode=e,i.memoizedState={element:r,isDehydrated:n,cache:null,transitions:null,pendingSuspenseBoundaries:null},Wo(i),e}function Lp(e,t,n){var r=3<arguments.length&&arguments[3]!==void 0?arguments[3]:null;return{$$typeof:At,key:r==null?null:""+r,children:e,containerInfo:t,implementation:n}}function Ac(e){if(!e)return vt;e=e._reactInternals;e:{if(Ft(e)!==e||e.tag!==1)throw Error(w(170));var t=e;do{switch(t.tag){case 3:t=t.stateNode.context;break e;case 1:if(me(t.type)){t=t.stateNode.__reactInternalMemoizedMergedChildContext;break e}}t=t.return}while(t!==null);throw Error(w(171))}if(e.tag===1){var n=e.type;if(me(n))return Aa(e,n,t)}return t}function Wc(e,t,n,r,l,i,o,s,u){return e=is(n,r,!0,e,l,i,o,s,u),e.context=Ac(null),n=e.current,r=ue(),l=pt(n),i=Ye(r,l),i.callback=t??null,dt(n,i,l),e.current.lanes=l,cr(e,l,r),ve(e,r),e}function zl(e,t,n,r){var l=t.current,i=ue(),o=pt(l);return n=Ac(n),t.context===null?t.context=n:t.pendingContext=n,t=Ye(i,o),t.payload={element:e},r=r===void 0?null:r,r!==null&&(t.callback=r),e=dt(l,t,o),e!==null&&(De(e,l,o,i),Ar(e,l,o)),o}function gl(e){if(e=e.current,!e.child)return null;switch(e.child.tag){case 5:return e.child.stateNode;default:return e.child.stateNode}}function ku(e,t){if(e=e.memoizedState,e!==null&&e.dehydrated!==null){var n=e.retryLane;e.retryLane=n!==0&&n<t?n:t}}function os(e,t){ku(e,t),(e=e.alternate)&&ku(e,t)}function Op(){return null}var Vc=typeof reportError=="function"?reportError:function(e){console.error(e)};function ss(e){this._internalRoot=e}Rl.prototype.render=ss.prototype.render=function(e){var t=this._internalRoot;if(t===null)throw Error(w(409));zl(e,t,null,null)};Rl.prototype.unmount=ss.prototype.unmount=function(){var e=this._internalRoot;if(e!==null){this._internalRoot=null;var t=e.containerInfo;It(function(){zl(null,e,null,null)}),t[Xe]=null}};function Rl(e){this._internalRoot=e}Rl.prototype.unstable_scheduleHydration=function(e){if(e){var t=ka();e={blockedOn:null,target:e,priority:t};for(var n=0;n<nt.length&&t!==0&&t<nt[n].priority;n++);nt.splice(n,0,e),n===0&&Sa(e)}};function us(e){return!(!e||e.nodeType!==1&&e.nodeType!==9&&e.nodeType!==11)}function Ml(e){return!(!e||e.nodeType!==1&&e.nodeType!==9&&e.nodeType!==11&&(e.nodeType!==8||e.nodeValue!==" react-mount-point-unstable "))}function wu(){}function Ip(e,t,n,r,l){if(l){if(typeof r=="function"){var i=r;r=function(){var c=gl(o);i.call(c)}}var o=Wc(t,r,e,0,null,!1,!1,"",wu);return e._reactRootContainer=o,e[Xe]=o.current,Xn(e.nodeType===8?e.parentNode:e),It(),o}for(;l=e.lastChild;)e.removeChild(l);if(typeof r=="function"){var s=r;r=function(){var c=gl(u);s.call(c)}}var u=is(e,0,!1,null,null,!1,!1,"",wu);return e._reactRootContainer=u,e[Xe]=u.current,Xn(e.nodeType===8?e.parentNode:e),It(function(){zl(t,u,n,r)}),u}function Ll(e,t,n,r,l){var i=n._reactRootContainer;if(i){var o=i;if(typeof l=="function"){var s=l;l=function(){var u=gl(o);s.call(u)}}zl(t,o,e,l)}else o=Ip(n,t,e,l,r);return gl(o)}ya=function(e){switch(e.tag){case 3:var t=e.stateNode;if(t.current.memoizedState.isDehydrated){var n=Tn(t.pendingLanes);n!==0&&(Po(t,n|1),ve(t,K()),!(O&6)&&(fn=K()+500,xt()))}break;case 13:It(function(){var r=Je(e,1);if(r!==null){var l=ue();De(r,e,1,l)}}),os(e,1)}};_o=function(e){if(e.tag===13){var t=Je(e,134217728);if(t!==null){var n=ue();De(t,e,134217728,n)}os(e,134217728)}};xa=function(e){if(e.tag===13){var t=pt(e),n=Je(e,t);if(n!==null){var r=ue();De(n,e,t,r)}os(e,t)}};ka=function(){return I};wa=function(e,t){var n=I;try{return I=e,t()}finally{I=n}};Ri=function(e,t,n){switch(t){case"input":if(Ci(e,n),t=n.name,n.type==="radio"&&t!=null){for(n=e;n.parentNode;)n=n.parentNode;for(n=n.querySelectorAll("input[name="+JSON.stringify(""+t)+'][type="radio"]'),t=0;t<n.length;t++){var r=n[t];if(r!==e&&r.form===e.form){var l=jl(r);if(!l)throw Error(w(90));qu(r),Ci(r,l)}}}break;case"textarea":ea(e,n);break;case"select":t=n.value,t!=null&&bt(e,!!n.multiple,t,!1)}};sa=ts;ua=It;var Dp={usingClientEntryPoint:!1,Events:[fr,Kt,jl,ia,oa,ts]},En={findFiberByHostInstance:Nt,bundleType:0,version:"18.3.1",rendererPackageName:"react-dom"},Fp={bundleType:En.bundleType,version:En.version,rendererPackageName:En.rendererPackageName,rendererConfig:En.rendererConfig,overrideHookState:null,overrideHookStateDeletePath:null,overrideHookStateRenamePath:null,overrideProps:null,overridePropsDeletePath:null,overridePropsRenamePath:null,setErrorHandler:null,setSuspenseHandler:null,scheduleUpdate:null,currentDispatcherRef:qe.ReactCurrentDispatcher,findHostInstanceByFiber:function(e){return e=da(e),e===null?null:e.stateNode},findFiberByHostInstance:En.findFiberByHostInstance||Op,findHostInstancesForRefresh:null,scheduleRefresh:null,scheduleRoot:null,setRefreshHandler:null,getCurrentFiber:null,reconcilerVersion:"18.3.1-next-f1338f8080-20240426"};if(typeof __REACT_DEVTOOLS_GLOBAL_HOOK__<"u"){var Or=__REACT_DEVTOOLS_GLOBAL_HOOK__;if(!Or.isDisabled&&Or.supportsFiber)try{xl=Or.inject(Fp),Ae=Or}catch{}}we.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED=Dp;we.createPortal=function(e,t){var n=2<arguments.length&&arguments[2]!==void 0?arguments[2]:null;if(!us(t))throw Error(w(200));return Lp(e,t,null,n)};we.createRoot=function(e,t){if(!us(e))throw Error(w(299));var n=!1,r="",l=Vc;return t!=null&&(t.unstable_strictMode===!0&&(n=!0),t.identifierPrefix!==void 0&&(r=t.identifierPrefix),t.onRecoverableError!==void 0&&(l=t.onRecoverableError)),t=is(e,1,!1,null,null,n,!1,r,l),e[Xe]=t.current,Xn(e.nodeType===8?e.parentNode:e),new ss(t)};we.findDOMNode=function(e){if(e==null)return null;if(e.nodeType===1)return e;var t=e._reactInternals;if(t===void 0)throw typeof e.render=="function"?Error(w(188)):(e=Object.keys(e).join(","),Error(w(268,e)));return e=da(t),e=e===null?null:e.stateNode,e};we.flushSync=function(e){return It(e)};we.hydrate=function(e,t,n){if(!Ml(t))throw Error(w(200));return Ll(null,e,t,!0,n)};we.hydrateRoot=function(e,t,n){if(!us(e))throw Error(w(405));var r=n!=null&&n.hydratedSources||null,l=!1,i="",o=Vc;if(n!=null&&(n.unstable_strictMode===!0&&(l=!0),n.identifierPrefix!==void 0&&(i=n.identifierPrefix),n.onRecoverableError!==void 0&&(o=n.onRecoverableError)),t=Wc(t,null,e,1,n??null,l,!1,i,o),e[Xe]=t.current,Xn(e),r)for(e=0;e<r.length;e++)n=r[e],l=n._getVersion,l=l(n._source),t.mutableSourceEagerHydrationData==null?t.mutableSourceEagerHydrationData=[n,l]:t.mutableSourceEagerHydrationData.push(n,l);return new Rl(t)};we.render=function(e,t,n){if(!Ml(t))throw Error(w(200));return Ll(null,e,t,!1,n)};we.unmountComponentAtNode=function(e){if(!Ml(e))throw Error(w(40));return e._reactRootContainer?(It(function(){Ll(null,null,e,!1,function(){e._reactRootContainer=null,e[Xe]=null})}),!0):!1};we.unstable_batchedUpdates=ts;we.unstable_renderSubtreeIntoContainer=function(e,t,n,r){if(!Ml(n))throw Error(w(200));if(e==null||e._reactInternals===void 0)throw Error(w(38));return Ll(e,t,n,!1,r)};we.version="18.3.1-next-f1338f8080-20240426";function Hc(){if(!(typeof __REACT_DEVTOOLS_GLOBAL_HOOK__>"u"||typeof __REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE!="function"))try{__REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE(Hc)}catch(e){console.error(e)}}Hc(),Hu.exports=we;var Up=Hu.exports,Su=Up;gi.createRoot=Su.createRoot,gi.hydrateRoot=Su.hydrateRoot;/**
- * @remix-run/router v1.23.2
- *
- * Copyright (c) Remix Software Inc.
- *
- * This source code is licensed under the MIT license found in the
- * LICENSE.md file in the root directory of this source tree.
- *
- * @license MIT
- */function lr(){return lr=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},lr.apply(this,arguments)}var ot;(function(e){e.Pop="POP",e.Push="PUSH",e.Replace="REPLACE"})(ot||(ot={}));const ju="popstate";function Bp(e){e===void 0&&(e={});function t(l,i){let{pathname:o="/",search:s="",hash:u=""}=Ut(l.location.hash.substr(1));return!o.startsWith("/")&&!o.startsWith(".")&&(o="/"+o),co("",{pathname:o,search:s,hash:u},i.state&&i.state.usr||null,i.state&&i.state.key||"default")}function n(l,i){let o=l.document.querySelector("base"),s="";if(o&&o.getAttribute("href")){let u=l.location.href,c=u.indexOf("#");s=c===-1?u:u.slice(0,c)}return s+"#"+(typeof i=="string"?i:Qc(i))}function r(l,i){Ol(l.pathname.charAt(0)==="/","relative pathnames are not supported in hash history.push("+JSON.stringify(i)+")")}return Ap(t,n,r,e)}function G(e,t){if(e===!1||e===null||typeof e>"u")throw new Error(t)}function Ol(e,t){if(!e){typeof console<"u"&&console.warn(t);try{throw new Error(t)}catch{}}}function $p(){return Math.random().toString(36).substr(2,8)}function Cu(e,t){return{usr:e.state,key:e.key,idx:t}}function co(e,t,n,r){return n===void 0&&(n=null),lr({pathname:typeof e=="string"?e:e.pathname,search:"",hash:""},typeof t=="string"?Ut(t):t,{state:n,key:t&&t.key||r||$p()})}function Qc(e){let{pathname:t="/",search:n="",hash:r=""}=e;return n&&n!=="?"&&(t+=n.charAt(0)==="?"?n:"?"+n),r&&r!=="#"&&(t+=r.charAt(0)==="#"?r:"#"+r),t}function Ut(e){let t={};if(e){let n=e.indexOf("#");n>=0&&(t.hash=e.substr(n),e=e.substr(0,n));let r=e.indexOf("?");r>=0&&(t.search=e.substr(r),e=e.substr(0,r)),e&&(t.pathname=e)}return t}function Ap(e,t,n,r){r===void 0&&(r={});let{window:l=document.defaultView,v5Compat:i=!1}=r,o=l.history,s=ot.Pop,u=null,c=f();c==null&&(c=0,o.replaceState(lr({},o.state,{idx:c}),""));function f(){return(o.state||{idx:null}).idx}function p(){s=ot.Pop;let S=f(),h=S==null?null:S-c;c=S,u&&u({action:s,location:x.location,delta:h})}function v(S,h){s=ot.Push;let d=co(x.location,S,h);n&&n(d,S),c=f()+1;let m=Cu(d,c),k=x.createHref(d);try{o.pushState(m,"",k)}catch(j){if(j instanceof DOMException&&j.name==="DataCloneError")throw j;l.location.assign(k)}i&&u&&u({action:s,location:x.location,delta:1})}function y(S,h){s=ot.Replace;let d=co(x.location,S,h);n&&n(d,S),c=f();let m=Cu(d,c),k=x.createHref(d);o.replaceState(m,"",k),i&&u&&u({action:s,location:x.location,delta:0})}function g(S){let h=l.location.origin!=="null"?l.location.origin:l.location.href,d=typeof S=="string"?S:Qc(S);return d=d.replace(/ $/,"%20"),G(h,"No window.location.(origin|href) available to create URL for href: "+d),new URL(d,h)}let x={get action(){return s},get location(){return e(l,o)},listen(S){if(u)throw new Error("A history only accepts one active listener");return l.addEventListener(ju,p),u=S,()=>{l.removeEventListener(ju,p),u=null}},createHref(S){return t(l,S)},createURL:g,encodeLocation(S){let h=g(S);return{pathname:h.pathname,search:h.search,hash:h.hash}},push:v,replace:y,go(S){return o.go(S)}};return x}var Nu;(function(e){e.data="data",e.deferred="deferred",e.redirect="redirect",e.error="error"})(Nu||(Nu={}));function Wp(e,t,n){return n===void 0&&(n="/"),Vp(e,t,n)}function Vp(e,t,n,r){let l=typeof t=="string"?Ut(t):t,i=Gc(l.pathname||"/",n);if(i==null)return null;let o=Kc(e);Hp(o);let s=null;for(let u=0;s==null&&u<o.length;++u){let c=nh(i);s=bp(o[u],c)}return s}function Kc(e,t,n,r){t===void 0&&(t=[]),n===void 0&&(n=[]),r===void 0&&(r="");let l=(i,o,s)=>{let u={relativePath:s===void 0?i.path||"":s,caseSensitive:i.caseSensitive===!0,childrenIndex:o,route:i};u.relativePath.startsWith("/")&&(G(u.relativePath.startsWith(r),'Absolute route path "'+u.relativePath+'" nested under path '+('"'+r+'" is not valid. An absolute child route path ')+"must start with the combined path of all its parent routes."),u.relativePath=u.relativePath.slice(r.length));let c=zt([r,u.relativePath]),f=n.concat(u);i.children&&i.children.length>0&&(G(i.index!==!0,"Index routes must not have child routes. Please remove "+('all child routes from route path "'+c+'".')),Kc(i.children,t,f,c)),!(i.path==null&&!i.index)&&t.push({path:c,score:Zp(c,i.index),routesMeta:f})};return e.forEach((i,o)=>{var s;if(i.path===""||!((s=i.path)!=null&&s.includes("?")))l(i,o);else for(let u of Yc(i.path))l(i,o,u)}),t}function Yc(e){let t=e.split("/");if(t.length===0)return[];let[n,...r]=t,l=n.endsWith("?"),i=n.replace(/\?$/,"");if(r.length===0)return l?[i,""]:[i];let o=Yc(r.join("/")),s=[];return s.push(...o.map(u=>u===""?i:[i,u].join("/"))),l&&s.push(...o),s.map(u=>e.startsWith("/")&&u===""?"/":u)}function Hp(e){e.sort((t,n)=>t.score!==n.score?n.score-t.score:qp(t.routesMeta.map(r=>r.childrenIndex),n.routesMeta.map(r=>r.childrenIndex)))}const Qp=/^:[\w-]+$/,Kp=3,Yp=2,Gp=1,Xp=10,Jp=-2,Eu=e=>e==="*";function Zp(e,t){let n=e.split("/"),r=n.length;return n.some(Eu)&&(r+=Jp),t&&(r+=Yp),n.filter(l=>!Eu(l)).reduce((l,i)=>l+(Qp.test(i)?Kp:i===""?Gp:Xp),r)}function qp(e,t){return e.length===t.length&&e.slice(0,-1).every((r,l)=>r===t[l])?e[e.length-1]-t[t.length-1]:0}function bp(e,t,n){let{routesMeta:r}=e,l={},i="/",o=[];for(let s=0;s<r.length;++s){let u=r[s],c=s===r.length-1,f=i==="/"?t:t.slice(i.length)||"/",p=eh({path:u.relativePath,caseSensitive:u.caseSensitive,end:c},f),v=u.route;if(!p)return null;Object.assign(l,p.params),o.push({params:l,pathname:zt([i,p.pathname]),pathnameBase:sh(zt([i,p.pathnameBase])),route:v}),p.pathnameBase!=="/"&&(i=zt([i,p.pathnameBase]))}return o}function eh(e,t){typeof e=="string"&&(e={path:e,caseSensitive:!1,end:!0});let[n,r]=th(e.path,e.caseSensitive,e.end),l=t.match(n);if(!l)return null;let i=l[0],o=i.replace(/(.)\/+$/,"$1"),s=l.slice(1);return{params:r.reduce((c,f,p)=>{let{paramName:v,isOptional:y}=f;if(v==="*"){let x=s[p]||"";o=i.slice(0,i.length-x.length).replace(/(.)\/+$/,"$1")}const g=s[p];return y&&!g?c[v]=void 0:c[v]=(g||"").replace(/%2F/g,"/"),c},{}),pathname:i,pathnameBase:o,pattern:e}}function th(e,t,n){t===void 0&&(t=!1),n===void 0&&(n=!0),Ol(e==="*"||!e.endsWith("*")||e.endsWith("/*"),'Route path "'+e+'" will be treated as if it were '+('"'+e.replace(/\*$/,"/*")+'" because the `*` character must ')+"always follow a `/` in the pattern. To get rid of this warning, "+('please change the route path to "'+e.replace(/\*$/,"/*")+'".'));let r=[],l="^"+e.replace(/\/*\*?$/,"").replace(/^\/*/,"/").replace(/[\\.*+^${}|()[\]]/g,"\\$&").replace(/\/:([\w-]+)(\?)?/g,(o,s,u)=>(r.push({paramName:s,isOptional:u!=null}),u?"/?([^\\/]+)?":"/([^\\/]+)"));return e.endsWith("*")?(r.push({paramName:"*"}),l+=e==="*"||e==="/*"?"(.*)$":"(?:\\/(.+)|\\/*)$"):n?l+="\\/*$":e!==""&&e!=="/"&&(l+="(?:(?=\\/|$))"),[new RegExp(l,t?void 0:"i"),r]}function nh(e){try{return e.split("/").map(t=>decodeURIComponent(t).replace(/\//g,"%2F")).join("/")}catch(t){return Ol(!1,'The URL path "'+e+'" could not be decoded because it is is a malformed URL segment. This is probably due to a bad percent '+("encoding ("+t+").")),e}}function Gc(e,t){if(t==="/")return e;if(!e.toLowerCase().startsWith(t.toLowerCase()))return null;let n=t.endsWith("/")?t.length-1:t.length,r=e.charAt(n);return r&&r!=="/"?null:e.slice(n)||"/"}const rh=/^(?:[a-z][a-z0-9+.-]*:|\/\/)/i,lh=e=>rh.test(e);function ih(e,t){t===void 0&&(t="/");let{pathname:n,search:r="",hash:l=""}=typeof e=="string"?Ut(e):e,i;if(n)if(lh(n))i=n;else{if(n.includes("//")){let o=n;n=n.replace(/\/\/+/g,"/"),Ol(!1,"Pathnames cannot have embedded double slashes - normalizing "+(o+" -> "+n))}n.startsWith("/")?i=Pu(n.substring(1),"/"):i=Pu(n,t)}else i=t;return{pathname:i,search:uh(r),hash:ah(l)}}function Pu(e,t){let n=t.replace(/\/+$/,"").split("/");return e.split("/").forEach(l=>{l===".."?n.length>1&&n.pop():l!=="."&&n.push(l)}),n.length>1?n.join("/"):"/"}function pi(e,t,n,r){return"Cannot include a '"+e+"' character in a manually specified "+("`to."+t+"` field ["+JSON.stringify(r)+"].  Please separate it out to the ")+("`to."+n+"` field. Alternatively you may provide the full path as ")+'a string in <Link to="..."> and the router will parse it for you.'}function oh(e){return e.filter((t,n)=>n===0||t.route.path&&t.route.path.length>0)}function Xc(e,t){let n=oh(e);return t?n.map((r,l)=>l===n.length-1?r.pathname:r.pathnameBase):n.map(r=>r.pathnameBase)}function Jc(e,t,n,r){r===void 0&&(r=!1);let l;typeof e=="string"?l=Ut(e):(l=lr({},e),G(!l.pathname||!l.pathname.includes("?"),pi("?","pathname","search",l)),G(!l.pathname||!l.pathname.includes("#"),pi("#","pathname","hash",l)),G(!l.search||!l.search.includes("#"),pi("#","search","hash",l)));let i=e===""||l.pathname==="",o=i?"/":l.pathname,s;if(o==null)s=n;else{let p=t.length-1;if(!r&&o.startsWith("..")){let v=o.split("/");for(;v[0]==="..";)v.shift(),p-=1;l.pathname=v.join("/")}s=p>=0?t[p]:"/"}let u=ih(l,s),c=o&&o!=="/"&&o.endsWith("/"),f=(i||o===".")&&n.endsWith("/");return!u.pathname.endsWith("/")&&(c||f)&&(u.pathname+="/"),u}const zt=e=>e.join("/").replace(/\/\/+/g,"/"),sh=e=>e.replace(/\/+$/,"").replace(/^\/*/,"/"),uh=e=>!e||e==="?"?"":e.startsWith("?")?e:"?"+e,ah=e=>!e||e==="#"?"":e.startsWith("#")?e:"#"+e;function ch(e){return e!=null&&typeof e.status=="number"&&typeof e.statusText=="string"&&typeof e.internal=="boolean"&&"data"in e}const Zc=["post","put","patch","delete"];new Set(Zc);const dh=["get",...Zc];new Set(dh);/**
- * React Router v6.30.3
- *
- * Copyright (c) Remix Software Inc.
- *
- * This source code is licensed under the MIT license found in the
- * LICENSE.md file in the root directory of this source tree.
- *
- * @license MIT
- */function ir(){return ir=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},ir.apply(this,arguments)}const as=C.createContext(null),fh=C.createContext(null),hr=C.createContext(null),Il=C.createContext(null),Bt=C.createContext({outlet:null,matches:[],isDataRoute:!1}),qc=C.createContext(null);function mr(){return C.useContext(Il)!=null}function cs(){return mr()||G(!1),C.useContext(Il).location}function bc(e){C.useContext(hr).static||C.useLayoutEffect(e)}function Dl(){let{isDataRoute:e}=C.useContext(Bt);return e?Nh():ph()}function ph(){mr()||G(!1);let e=C.useContext(as),{basename:t,future:n,navigator:r}=C.useContext(hr),{matches:l}=C.useContext(Bt),{pathname:i}=cs(),o=JSON.stringify(Xc(l,n.v7_relativeSplatPath)),s=C.useRef(!1);return bc(()=>{s.current=!0}),C.useCallback(function(c,f){if(f===void 0&&(f={}),!s.current)return;if(typeof c=="number"){r.go(c);return}let p=Jc(c,JSON.parse(o),i,f.relative==="path");e==null&&t!=="/"&&(p.pathname=p.pathname==="/"?t:zt([t,p.pathname])),(f.replace?r.replace:r.push)(p,f.state,f)},[t,r,o,i,e])}function hh(e,t){return mh(e,t)}function mh(e,t,n,r){mr()||G(!1);let{navigator:l}=C.useContext(hr),{matches:i}=C.useContext(Bt),o=i[i.length-1],s=o?o.params:{};o&&o.pathname;let u=o?o.pathnameBase:"/";o&&o.route;let c=cs(),f;if(t){var p;let S=typeof t=="string"?Ut(t):t;u==="/"||(p=S.pathname)!=null&&p.startsWith(u)||G(!1),f=S}else f=c;let v=f.pathname||"/",y=v;if(u!=="/"){let S=u.replace(/^\//,"").split("/");y="/"+v.replace(/^\//,"").split("/").slice(S.length).join("/")}let g=Wp(e,{pathname:y}),x=kh(g&&g.map(S=>Object.assign({},S,{params:Object.assign({},s,S.params),pathname:zt([u,l.encodeLocation?l.encodeLocation(S.pathname).pathname:S.pathname]),pathnameBase:S.pathnameBase==="/"?u:zt([u,l.encodeLocation?l.encodeLocation(S.pathnameBase).pathname:S.pathnameBase])})),i,n,r);return t&&x?C.createElement(Il.Provider,{value:{location:ir({pathname:"/",search:"",hash:"",state:null,key:"default"},f),navigationType:ot.Pop}},x):x}function vh(){let e=Ch(),t=ch(e)?e.status+" "+e.statusText:e instanceof Error?e.message:JSON.stringify(e),n=e instanceof Error?e.stack:null,l={padding:"0.5rem",backgroundColor:"rgba(200,200,200, 0.5)"};return C.createElement(C.Fragment,null,C.createElement("h2",null,"Unexpected Application Error!"),C.createElement("h3",{style:{fontStyle:"italic"}},t),n?C.createElement("pre",{style:l},n):null,null)}const gh=C.createElement(vh,null);class yh extends C.Component{constructor(t){super(t),this.state={location:t.location,revalidation:t.revalidation,error:t.error}}static getDerivedStateFromError(t){return{error:t}}static getDerivedStateFromProps(t,n){return n.location!==t.location||n.revalidation!=="idle"&&t.revalidation==="idle"?{error:t.error,location:t.location,revalidation:t.revalidation}:{error:t.error!==void 0?t.error:n.error,location:n.location,revalidation:t.revalidation||n.revalidation}}componentDidCatch(t,n){console.error("React Router caught the following error during render",t,n)}render(){return this.state.error!==void 0?C.createElement(Bt.Provider,{value:this.props.routeContext},C.createElement(qc.Provider,{value:this.state.error,children:this.props.component})):this.props.children}}function xh(e){let{routeContext:t,match:n,children:r}=e,l=C.useContext(as);return l&&l.static&&l.staticContext&&(n.route.errorElement||n.route.ErrorBoundary)&&(l.staticContext._deepestRenderedBoundaryId=n.route.id),C.createElement(Bt.Provider,{value:t},r)}function kh(e,t,n,r){var l;if(t===void 0&&(t=[]),n===void 0&&(n=null),r===void 0&&(r=null),e==null){var i;if(!n)return null;if(n.errors)e=n.matches;else if((i=r)!=null&&i.v7_partialHydration&&t.length===0&&!n.initialized&&n.matches.length>0)e=n.matches;else return null}let o=e,s=(l=n)==null?void 0:l.errors;if(s!=null){let f=o.findIndex(p=>p.route.id&&(s==null?void 0:s[p.route.id])!==void 0);f>=0||G(!1),o=o.slice(0,Math.min(o.length,f+1))}let u=!1,c=-1;if(n&&r&&r.v7_partialHydration)for(let f=0;f<o.length;f++){let p=o[f];if((p.route.HydrateFallback||p.route.hydrateFallbackElement)&&(c=f),p.route.id){let{loaderData:v,errors:y}=n,g=p.route.loader&&v[p.route.id]===void 0&&(!y||y[p.route.id]===void 0);if(p.route.lazy||g){u=!0,c>=0?o=o.slice(0,c+1):o=[o[0]];break}}}return o.reduceRight((f,p,v)=>{let y,g=!1,x=null,S=null;n&&(y=s&&p.route.id?s[p.route.id]:void 0,x=p.route.errorElement||gh,u&&(c<0&&v===0?(Eh("route-fallback"),g=!0,S=null):c===v&&(g=!0,S=p.route.hydrateFallbackElement||null)));let h=t.concat(o.slice(0,v+1)),d=()=>{let m;return y?m=x:g?m=S:p.route.Component?m=C.createElement(p.route.Component,null):p.route.element?m=p.route.element:m=f,C.createElement(xh,{match:p,routeContext:{outlet:f,matches:h,isDataRoute:n!=null},children:m})};return n&&(p.route.ErrorBoundary||p.route.errorElement||v===0)?C.createElement(yh,{location:n.location,revalidation:n.revalidation,component:x,error:y,children:d(),routeContext:{outlet:null,matches:h,isDataRoute:!0}}):d()},null)}var ed=function(e){return e.UseBlocker="useBlocker",e.UseRevalidator="useRevalidator",e.UseNavigateStable="useNavigate",e}(ed||{}),td=function(e){return e.UseBlocker="useBlocker",e.UseLoaderData="useLoaderData",e.UseActionData="useActionData",e.UseRouteError="useRouteError",e.UseNavigation="useNavigation",e.UseRouteLoaderData="useRouteLoaderData",e.UseMatches="useMatches",e.UseRevalidator="useRevalidator",e.UseNavigateStable="useNavigate",e.UseRouteId="useRouteId",e}(td||{});function wh(e){let t=C.useContext(as);return t||G(!1),t}function Sh(e){let t=C.useContext(fh);return t||G(!1),t}function jh(e){let t=C.useContext(Bt);return t||G(!1),t}function nd(e){let t=jh(),n=t.matches[t.matches.length-1];return n.route.id||G(!1),n.route.id}function Ch(){var e;let t=C.useContext(qc),n=Sh(),r=nd();return t!==void 0?t:(e=n.errors)==null?void 0:e[r]}function Nh(){let{router:e}=wh(ed.UseNavigateStable),t=nd(td.UseNavigateStable),n=C.useRef(!1);return bc(()=>{n.current=!0}),C.useCallback(function(l,i){i===void 0&&(i={}),n.current&&(typeof l=="number"?e.navigate(l):e.navigate(l,ir({fromRouteId:t},i)))},[e,t])}const _u={};function Eh(e,t,n){_u[e]||(_u[e]=!0)}function Ph(e,t){e==null||e.v7_startTransition,e==null||e.v7_relativeSplatPath}function hi(e){let{to:t,replace:n,state:r,relative:l}=e;mr()||G(!1);let{future:i,static:o}=C.useContext(hr),{matches:s}=C.useContext(Bt),{pathname:u}=cs(),c=Dl(),f=Jc(t,Xc(s,i.v7_relativeSplatPath),u,l==="path"),p=JSON.stringify(f);return C.useEffect(()=>c(JSON.parse(p),{replace:n,state:r,relative:l}),[c,p,l,n,r]),null}function Rn(e){G(!1)}function _h(e){let{basename:t="/",children:n=null,location:r,navigationType:l=ot.Pop,navigator:i,static:o=!1,future:s}=e;mr()&&G(!1);let u=t.replace(/^\/*/,"/"),c=C.useMemo(()=>({basename:u,navigator:i,static:o,future:ir({v7_relativeSplatPath:!1},s)}),[u,s,i,o]);typeof r=="string"&&(r=Ut(r));let{pathname:f="/",search:p="",hash:v="",state:y=null,key:g="default"}=r,x=C.useMemo(()=>{let S=Gc(f,u);return S==null?null:{location:{pathname:S,search:p,hash:v,state:y,key:g},navigationType:l}},[u,f,p,v,y,g,l]);return x==null?null:C.createElement(hr.Provider,{value:c},C.createElement(Il.Provider,{children:n,value:x}))}function Th(e){let{children:t,location:n}=e;return hh(fo(t),n)}new Promise(()=>{});function fo(e,t){t===void 0&&(t=[]);let n=[];return C.Children.forEach(e,(r,l)=>{if(!C.isValidElement(r))return;let i=[...t,l];if(r.type===C.Fragment){n.push.apply(n,fo(r.props.children,i));return}r.type!==Rn&&G(!1),!r.props.index||!r.props.children||G(!1);let o={id:r.props.id||i.join("-"),caseSensitive:r.props.caseSensitive,element:r.props.element,Component:r.props.Component,index:r.props.index,path:r.props.path,loader:r.props.loader,action:r.props.action,errorElement:r.props.errorElement,ErrorBoundary:r.props.ErrorBoundary,hasErrorBoundary:r.props.ErrorBoundary!=null||r.props.errorElement!=null,shouldRevalidate:r.props.shouldRevalidate,handle:r.props.handle,lazy:r.props.lazy};r.props.children&&(o.children=fo(r.props.children,i)),n.push(o)}),n}/**
- * React Router DOM v6.30.3
- *
- * Copyright (c) Remix Software Inc.
- *
- * This source code is licensed under the MIT license found in the
- * LICENSE.md file in the root directory of this source tree.
- *
- * @license MIT
- */const zh="6";try{window.__reactRouterVersion=zh}catch{}const Rh="startTransition",Tu=Ed[Rh];function Mh(e){let{basename:t,children:n,future:r,window:l}=e,i=C.useRef();i.current==null&&(i.current=Bp({window:l,v5Compat:!0}));let o=i.current,[s,u]=C.useState({action:o.action,location:o.location}),{v7_startTransition:c}=r||{},f=C.useCallback(p=>{c&&Tu?Tu(()=>u(p)):u(p)},[u,c]);return C.useLayoutEffect(()=>o.listen(f),[o,f]),C.useEffect(()=>Ph(r),[r]),C.createElement(_h,{basename:t,children:n,location:s.location,navigationType:s.action,navigator:o,future:r})}var zu;(function(e){e.UseScrollRestoration="useScrollRestoration",e.UseSubmit="useSubmit",e.UseSubmitFetcher="useSubmitFetcher",e.UseFetcher="useFetcher",e.useViewTransitionState="useViewTransitionState"})(zu||(zu={}));var Ru;(function(e){e.UseFetcher="useFetcher",e.UseFetchers="useFetchers",e.UseScrollRestoration="useScrollRestoration"})(Ru||(Ru={}));const po={user:{name:"",mode:"normal",loggedIn:!1,onboarded:!1,isGuest:!1},music:{focusPlaylistUrl:"",breakPlaylistUrl:"",genres:[],artists:[],energy:50},study:{technique:"pomodoro",workMins:25,breakMins:5,autoSwitchOnBreak:!0},tracking:{enabled:!0,camera:!1,keystroke:!0,mouse:!0,scroll:!0,tabs:!0},extension:{nuclearEnabled:!1,customProductive:[],customBlocked:[]}},or="focusdj_settings",Fl=typeof chrome<"u"&&chrome.storage;function sr(){try{const e=localStorage.getItem(or);if(e)return ds(po,JSON.parse(e))}catch(e){console.error("Failed to load settings:",e)}return{...po}}function Lh(e){try{return localStorage.setItem(or,JSON.stringify(e)),Fl&&chrome.storage.local.set({[or]:e}),!0}catch(t){return console.error("Failed to save settings:",t),!1}}function ur(e){const t=sr(),n=ds(t,e);return Lh(n),Fl&&rd(n),n}function Oh(){return localStorage.removeItem(or),Fl&&chrome.storage.local.remove(or),{...po}}async function rd(e){if(!Fl)return{success:!1,error:"Not in extension context"};const t={mode:e.user.mode,focusPlaylistUrl:e.music.focusPlaylistUrl,breakPlaylistUrl:e.music.breakPlaylistUrl,energy:e.music.energy,pomodoroEnabled:e.study.technique!=="custom",pomodoroWork:e.study.workMins,pomodoroBreak:e.study.breakMins,autoSwitchOnBreak:e.study.autoSwitchOnBreak,trackingEnabled:e.tracking.enabled,trackCamera:e.tracking.camera,trackKeystroke:e.tracking.keystroke,trackMouse:e.tracking.mouse,trackScroll:e.tracking.scroll,trackTabs:e.tracking.tabs,nuclearEnabled:e.extension.nuclearEnabled,customProductive:e.extension.customProductive,customBlocked:e.extension.customBlocked};try{return{success:!0,response:await chrome.runtime.sendMessage({type:"SYNC_SETTINGS",settings:t})}}catch(n){return console.error("Extension sync failed:",n),{success:!1,error:n.message}}}async function Ih(e){return rd(e)}function ds(e,t){const n={...e};for(const r in t)t[r]&&typeof t[r]=="object"&&!Array.isArray(t[r])?n[r]=ds(e[r]||{},t[r]):n[r]=t[r];return n}const ld=["Lo-Fi","Classical","Jazz","Ambient","Electronic","Indie","Pop","Hip-Hop","R&B","Rock","Acoustic","Instrumental"],ho={pomodoro:{workMins:25,breakMins:5,label:"Pomodoro (25/5)"},"45-15":{workMins:45,breakMins:15,label:"Deep Work (45/15)"},custom:{workMins:30,breakMins:10,label:"Custom"}};function Oe({children:e,variant:t="primary",size:n="md",icon:r,iconPosition:l="left",fullWidth:i=!1,disabled:o=!1,loading:s=!1,onClick:u,type:c="button",className:f="",...p}){const v=["btn",`btn-${t}`,`btn-${n}`,i&&"btn-full",s&&"btn-loading",f].filter(Boolean).join(" ");return a.jsx("button",{type:c,className:v,disabled:o||s,onClick:u,...p,children:s?a.jsx("span",{className:"btn-spinner"}):a.jsxs(a.Fragment,{children:[r&&l==="left"&&a.jsx("span",{className:"btn-icon",children:r}),a.jsx("span",{className:"btn-text",children:e}),r&&l==="right"&&a.jsx("span",{className:"btn-icon",children:r})]})})}function Dh({bars:e=5,className:t=""}){return a.jsx("div",{className:`waveform ${t}`,children:Array.from({length:e}).map((n,r)=>a.jsx("div",{className:"waveform-bar",style:{animationDelay:`${r*.15}s`}},r))})}function Fh(){const e=Dl(),t=()=>{ur({user:{name:"Demo User",loggedIn:!0,isGuest:!1}}),e("/onboarding")},n=()=>{ur({user:{name:"Guest",loggedIn:!0,isGuest:!0}}),e("/onboarding")};return a.jsxs("div",{className:"login-page page-centered",children:[a.jsxs("div",{className:"login-container animate-slide-up",children:[a.jsxs("div",{className:"login-header",children:[a.jsx("div",{className:"login-logo",children:a.jsx("span",{className:"logo",children:"FocusDJ"})}),a.jsx(Dh,{bars:5,className:"login-waveform"}),a.jsx("p",{className:"login-tagline",children:"Your AI-powered study companion"})]}),a.jsxs("div",{className:"login-options",children:[a.jsx(Oe,{variant:"secondary",size:"lg",fullWidth:!0,onClick:t,icon:a.jsxs("svg",{viewBox:"0 0 24 24",width:"20",height:"20",children:[a.jsx("path",{fill:"#4285F4",d:"M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z"}),a.jsx("path",{fill:"#34A853",d:"M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z"}),a.jsx("path",{fill:"#FBBC05",d:"M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z"}),a.jsx("path",{fill:"#EA4335",d:"M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z"})]}),children:"Continue with Google"}),a.jsx("div",{className:"login-divider",children:a.jsx("span",{children:"or"})}),a.jsx(Oe,{variant:"ghost",size:"lg",fullWidth:!0,onClick:n,children:"Continue as Guest"})]}),a.jsx("p",{className:"login-privacy",children:"Your data stays on your device. No accounts required."})]}),a.jsx("div",{className:"login-glow"})]})}function Ct({children:e,title:t,subtitle:n,variant:r="default",padding:l="md",className:i="",...o}){const s=["card",`card-${r}`,`card-padding-${l}`,i].filter(Boolean).join(" ");return a.jsxs("div",{className:s,...o,children:[(t||n)&&a.jsxs("div",{className:"card-header",children:[t&&a.jsx("h3",{className:"card-title",children:t}),n&&a.jsx("p",{className:"card-subtitle",children:n})]}),a.jsx("div",{className:"card-content",children:e})]})}function Uh({steps:e,currentStep:t,onStepClick:n}){return a.jsxs("div",{className:"stepper",children:[a.jsx("div",{className:"stepper-track",children:a.jsx("div",{className:"stepper-progress",style:{width:`${t/(e.length-1)*100}%`}})}),a.jsx("div",{className:"stepper-steps",children:e.map((r,l)=>{const i=l<t,o=l===t,s=i&&n;return a.jsxs("button",{className:`stepper-step ${i?"completed":""} ${o?"current":""}`,onClick:()=>s&&n(l),disabled:!s,type:"button",children:[a.jsx("span",{className:"stepper-dot",children:i?a.jsx("svg",{viewBox:"0 0 24 24",fill:"none",stroke:"currentColor",strokeWidth:"3",children:a.jsx("polyline",{points:"20 6 9 17 4 12"})}):a.jsx("span",{children:l+1})}),a.jsx("span",{className:"stepper-label",children:r})]},l)})})]})}function id({options:e,selected:t=[],onChange:n,multiple:r=!0,maxSelect:l,className:i=""}){const o=s=>{r?t.includes(s)?n(t.filter(u=>u!==s)):l&&t.length>=l?n([...t.slice(1),s]):n([...t,s]):n(t.includes(s)?[]:[s])};return a.jsx("div",{className:`chip-select ${i}`,children:e.map(s=>{const u=t.includes(s);return a.jsxs("button",{type:"button",className:`chip ${u?"chip-selected":""}`,onClick:()=>o(s),children:[s,u&&a.jsx("svg",{className:"chip-check",viewBox:"0 0 24 24",fill:"none",stroke:"currentColor",strokeWidth:"3",children:a.jsx("polyline",{points:"20 6 9 17 4 12"})})]},s)})})}function od({value:e,onChange:t,min:n=0,max:r=100,step:l=1,label:i,leftLabel:o,rightLabel:s,showValue:u=!1,className:c=""}){const[f,p]=C.useState(!1),v=(e-n)/(r-n)*100;return a.jsxs("div",{className:`slider-wrapper ${c}`,children:[i&&a.jsxs("div",{className:"slider-header",children:[a.jsx("span",{className:"slider-label",children:i}),u&&a.jsx("span",{className:"slider-value",children:e})]}),a.jsxs("div",{className:"slider-container",children:[o&&a.jsx("span",{className:"slider-end-label",children:o}),a.jsxs("div",{className:`slider ${f?"slider-dragging":""}`,children:[a.jsx("div",{className:"slider-track",children:a.jsx("div",{className:"slider-fill",style:{width:`${v}%`}})}),a.jsx("input",{type:"range",min:n,max:r,step:l,value:e,onChange:y=>t(Number(y.target.value)),onMouseDown:()=>p(!0),onMouseUp:()=>p(!1),onTouchStart:()=>p(!0),onTouchEnd:()=>p(!1)}),a.jsx("div",{className:"slider-thumb",style:{left:`${v}%`}})]}),s&&a.jsx("span",{className:"slider-end-label",children:s})]})]})}function de({checked:e,onChange:t,label:n,description:r,disabled:l=!1,size:i="md",className:o=""}){return a.jsxs("label",{className:`toggle-wrapper ${l?"toggle-disabled":""} ${o}`,children:[a.jsxs("div",{className:"toggle-content",children:[n&&a.jsx("span",{className:"toggle-label",children:n}),r&&a.jsx("span",{className:"toggle-description",children:r})]}),a.jsxs("div",{className:`toggle toggle-${i} ${e?"toggle-checked":""}`,children:[a.jsx("input",{type:"checkbox",checked:e,onChange:s=>t(s.target.checked),disabled:l}),a.jsx("span",{className:"toggle-track",children:a.jsx("span",{className:"toggle-thumb"})})]})]})}function pn({type:e="text",value:t,onChange:n,placeholder:r,label:l,hint:i,error:o,icon:s,disabled:u=!1,className:c="",...f}){return a.jsxs("div",{className:`input-wrapper ${o?"input-error":""} ${c}`,children:[l&&a.jsx("label",{className:"input-label",children:l}),a.jsxs("div",{className:"input-container",children:[s&&a.jsx("span",{className:"input-icon",children:s}),a.jsx("input",{type:e,value:t,onChange:p=>n(p.target.value),placeholder:r,disabled:u,className:s?"has-icon":"",...f})]}),(i||o)&&a.jsx("span",{className:`input-hint ${o?"input-hint-error":""}`,children:o||i})]})}function sd({value:e=[],onChange:t,placeholder:n="Type and press Enter...",label:r,maxTags:l=10,className:i=""}){const o=u=>{if(u.key==="Enter"&&u.target.value.trim()){u.preventDefault();const c=u.target.value.trim();!e.includes(c)&&e.length<l&&(t([...e,c]),u.target.value="")}},s=u=>{t(e.filter(c=>c!==u))};return a.jsxs("div",{className:`input-wrapper ${i}`,children:[r&&a.jsx("label",{className:"input-label",children:r}),a.jsxs("div",{className:"tag-input-container",children:[a.jsx("div",{className:"tag-list",children:e.map(u=>a.jsxs("span",{className:"tag",children:[u,a.jsx("button",{type:"button",onClick:()=>s(u),className:"tag-remove",children:a.jsxs("svg",{viewBox:"0 0 24 24",fill:"none",stroke:"currentColor",strokeWidth:"2",children:[a.jsx("line",{x1:"18",y1:"6",x2:"6",y2:"18"}),a.jsx("line",{x1:"6",y1:"6",x2:"18",y2:"18"})]})})]},u))}),a.jsx("input",{type:"text",placeholder:e.length===0?n:"",onKeyDown:o,disabled:e.length>=l})]})]})}function fs({message:e,status:t="idle",lastIntervention:n,compact:r=!1}){const l={idle:"Standing by",active:"Monitoring focus",intervening:"Taking action..."};return a.jsxs("div",{className:`viola-card ${r?"viola-compact":""}`,children:[a.jsxs("div",{className:"viola-header",children:[a.jsx("div",{className:"viola-avatar",children:a.jsx("div",{className:`viola-orb viola-${t}`,children:a.jsx("div",{className:"viola-orb-inner"})})}),a.jsxs("div",{className:"viola-info",children:[a.jsx("span",{className:"viola-name",children:"Viola"}),a.jsx("span",{className:`viola-status viola-status-${t}`,children:l[t]})]})]}),e&&a.jsx("div",{className:"viola-message",children:a.jsxs("p",{children:['"',e,'"']})}),n&&a.jsxs("div",{className:"viola-intervention",children:[a.jsx("span",{className:"viola-intervention-label",children:"Last action:"}),a.jsx("span",{className:"viola-intervention-text",children:n})]})]})}const Ir=["Welcome","Music","Study","Sites","Privacy","Done"],mi=["twitter.com","instagram.com","tiktok.com","reddit.com","facebook.com","youtube.com","netflix.com","twitch.tv","discord.com","snapchat.com","pinterest.com","tumblr.com"],vi=["docs.google.com","notion.so","github.com","stackoverflow.com","coursera.org","khanacademy.org","quizlet.com","canvas.instructure.com","figma.com","linear.app","overleaf.com","wikipedia.org"];function Bh({showToast:e}){const t=Dl(),[n,r]=C.useState(0),[l,i]=C.useState(sr()),o=p=>{const v={...l};for(const[y,g]of Object.entries(p))typeof g=="object"&&!Array.isArray(g)?v[y]={...v[y],...g}:v[y]=g;i(v)},s=()=>{n<Ir.length-1&&r(n+1)},u=()=>{n>0&&r(n-1)},c=()=>{ur({...l,user:{...l.user,onboarded:!0}}),e("Setup complete! Welcome to FocusDJ"),t("/dashboard")},f=()=>{switch(n){case 0:return a.jsx($h,{});case 1:return a.jsx(Ah,{settings:l,updateLocal:o});case 2:return a.jsx(Wh,{settings:l,updateLocal:o});case 3:return a.jsx(Vh,{settings:l,updateLocal:o});case 4:return a.jsx(Hh,{settings:l,updateLocal:o});case 5:return a.jsx(Qh,{});default:return null}};return a.jsx("div",{className:"onboarding-page page",children:a.jsxs("div",{className:"onboarding-container",children:[a.jsx(Uh,{steps:Ir,currentStep:n,onStepClick:r}),a.jsx("div",{className:"onboarding-content animate-fade-in",children:f()},n),a.jsxs("div",{className:"onboarding-actions",children:[n>0&&n<Ir.length-1&&a.jsx(Oe,{variant:"ghost",onClick:u,children:"Back"}),a.jsx("div",{className:"onboarding-actions-right",children:n<Ir.length-1?a.jsx(Oe,{onClick:s,children:n===0?"Let's Go":"Continue"}):a.jsx(Oe,{onClick:c,children:"Open FocusDJ Extension"})})]})]})})}function $h(){return a.jsx("div",{className:"step-welcome",children:a.jsx(fs,{message:"Hey! I'm Viola, your focus companion. I'll help you stay in the zone by adapting your music to your study patterns. Let's set things up!",status:"active"})})}function Ah({settings:e,updateLocal:t}){return a.jsxs("div",{className:"step-music",children:[a.jsx("h2",{children:"Music Preferences"}),a.jsx("p",{className:"step-description",children:"Tell me what keeps you focused"}),a.jsxs("div",{className:"form-section",children:[a.jsx("h4",{children:"Favorite Genres"}),a.jsx(id,{options:ld,selected:e.music.genres,onChange:n=>t({music:{genres:n}}),maxSelect:5})]}),a.jsx("div",{className:"form-section",children:a.jsx(sd,{label:"Favorite Artists (optional)",value:e.music.artists,onChange:n=>t({music:{artists:n}}),placeholder:"Type artist name and press Enter...",maxTags:5})}),a.jsx("div",{className:"form-section",children:a.jsx(pn,{label:"Focus Playlist URL",value:e.music.focusPlaylistUrl,onChange:n=>t({music:{focusPlaylistUrl:n}}),placeholder:"https://music.youtube.com/playlist?list=...",hint:"Paste your YouTube Music focus playlist"})}),a.jsx("div",{className:"form-section",children:a.jsx(pn,{label:"Break Playlist URL (optional)",value:e.music.breakPlaylistUrl,onChange:n=>t({music:{breakPlaylistUrl:n}}),placeholder:"https://music.youtube.com/playlist?list=...",hint:"Music for your break time"})}),a.jsx("div",{className:"form-section",children:a.jsx(od,{label:"Energy Level",value:e.music.energy,onChange:n=>t({music:{energy:n}}),min:0,max:100,leftLabel:"Calm",rightLabel:"Hype"})})]})}function Wh({settings:e,updateLocal:t}){const n=r=>{const l=ho[r];t({study:{technique:r,workMins:l.workMins,breakMins:l.breakMins}})};return a.jsxs("div",{className:"step-study",children:[a.jsx("h2",{children:"Study Technique"}),a.jsx("p",{className:"step-description",children:"How do you like to structure your sessions?"}),a.jsx("div",{className:"technique-options",children:Object.entries(ho).map(([r,l])=>a.jsx(Ct,{variant:e.study.technique===r?"glow":"default",padding:"md",className:`technique-card ${e.study.technique===r?"selected":""}`,onClick:()=>n(r),children:a.jsxs("div",{className:"technique-info",children:[a.jsx("span",{className:"technique-label",children:l.label}),a.jsxs("span",{className:"technique-times",children:[l.workMins,"min work / ",l.breakMins,"min break"]})]})},r))}),e.study.technique==="custom"&&a.jsxs("div",{className:"custom-times",children:[a.jsxs("div",{className:"time-input",children:[a.jsx("label",{children:"Work Duration"}),a.jsxs("div",{className:"time-controls",children:[a.jsx("button",{onClick:()=>t({study:{workMins:Math.max(5,e.study.workMins-5)}}),children:"-"}),a.jsxs("span",{children:[e.study.workMins," min"]}),a.jsx("button",{onClick:()=>t({study:{workMins:Math.min(90,e.study.workMins+5)}}),children:"+"})]})]}),a.jsxs("div",{className:"time-input",children:[a.jsx("label",{children:"Break Duration"}),a.jsxs("div",{className:"time-controls",children:[a.jsx("button",{onClick:()=>t({study:{breakMins:Math.max(1,e.study.breakMins-1)}}),children:"-"}),a.jsxs("span",{children:[e.study.breakMins," min"]}),a.jsx("button",{onClick:()=>t({study:{breakMins:Math.min(30,e.study.breakMins+1)}}),children:"+"})]})]})]}),a.jsx("div",{className:"form-section",children:a.jsx(de,{checked:e.study.autoSwitchOnBreak,onChange:r=>t({study:{autoSwitchOnBreak:r}}),label:"Switch to fun music during breaks",description:"I'll play your break playlist when it's time to relax"})})]})}function Vh({settings:e,updateLocal:t}){var v,y;const[n,r]=C.useState(""),[l,i]=C.useState(""),o=((v=e.extension)==null?void 0:v.customBlocked)||[],s=((y=e.extension)==null?void 0:y.customProductive)||[],u=g=>{const x=[...o],S=x.indexOf(g);S>-1?x.splice(S,1):x.push(g),t({extension:{customBlocked:x}})},c=g=>{const x=[...s],S=x.indexOf(g);S>-1?x.splice(S,1):x.push(g),t({extension:{customProductive:x}})},f=()=>{n&&!o.includes(n)&&(t({extension:{customBlocked:[...o,n]}}),r(""))},p=()=>{l&&!s.includes(l)&&(t({extension:{customProductive:[...s,l]}}),i(""))};return a.jsxs("div",{className:"step-sites",children:[a.jsx("h2",{children:"Site Categories"}),a.jsx("p",{className:"step-description",children:"Tell me which sites distract you and which help you focus"}),a.jsxs("div",{className:"form-section",children:[a.jsx("h4",{children:"Distracting Sites"}),a.jsx("p",{className:"section-hint",children:"Select sites that break your focus"}),a.jsx("div",{className:"site-chips",children:mi.map(g=>a.jsx("button",{type:"button",className:`site-chip distraction ${o.includes(g)?"selected":""}`,onClick:()=>u(g),children:g},g))}),a.jsxs("div",{className:"custom-site-input",children:[a.jsx(pn,{value:n,onChange:r,placeholder:"Add custom site (e.g., example.com)",onKeyDown:g=>g.key==="Enter"&&f()}),a.jsx(Oe,{variant:"ghost",size:"sm",onClick:f,children:"Add"})]}),o.filter(g=>!mi.includes(g)).length>0&&a.jsxs("div",{className:"custom-sites",children:[a.jsx("span",{className:"custom-label",children:"Custom:"}),o.filter(g=>!mi.includes(g)).map(g=>a.jsxs("span",{className:"custom-tag distraction",children:[g,a.jsx("button",{onClick:()=>u(g),children:"×"})]},g))]})]}),a.jsxs("div",{className:"form-section",children:[a.jsx("h4",{children:"Productive Sites"}),a.jsx("p",{className:"section-hint",children:"Select sites that help you stay productive"}),a.jsx("div",{className:"site-chips",children:vi.map(g=>a.jsx("button",{type:"button",className:`site-chip productive ${s.includes(g)?"selected":""}`,onClick:()=>c(g),children:g},g))}),a.jsxs("div",{className:"custom-site-input",children:[a.jsx(pn,{value:l,onChange:i,placeholder:"Add custom site (e.g., mywork.com)",onKeyDown:g=>g.key==="Enter"&&p()}),a.jsx(Oe,{variant:"ghost",size:"sm",onClick:p,children:"Add"})]}),s.filter(g=>!vi.includes(g)).length>0&&a.jsxs("div",{className:"custom-sites",children:[a.jsx("span",{className:"custom-label",children:"Custom:"}),s.filter(g=>!vi.includes(g)).map(g=>a.jsxs("span",{className:"custom-tag productive",children:[g,a.jsx("button",{onClick:()=>c(g),children:"×"})]},g))]})]}),a.jsxs("div",{className:"sites-note",children:[a.jsxs("svg",{viewBox:"0 0 24 24",fill:"none",stroke:"currentColor",strokeWidth:"2",children:[a.jsx("circle",{cx:"12",cy:"12",r:"10"}),a.jsx("line",{x1:"12",y1:"16",x2:"12",y2:"12"}),a.jsx("line",{x1:"12",y1:"8",x2:"12.01",y2:"8"})]}),a.jsx("p",{children:"These settings help Viola understand your focus patterns. You can always change them later in Settings."})]})]})}function Hh({settings:e,updateLocal:t}){return a.jsxs("div",{className:"step-privacy",children:[a.jsx("h2",{children:"Privacy & AI Controls"}),a.jsx("p",{className:"step-description",children:"You're in control. Enable only what you're comfortable with."}),a.jsx(Ct,{variant:"elevated",padding:"md",className:"privacy-card",children:a.jsx(de,{checked:e.tracking.enabled,onChange:n=>t({tracking:{enabled:n}}),label:"Enable Viola",description:"Master toggle for all AI-powered focus detection",size:"lg"})}),a.jsxs("div",{className:`tracking-options ${e.tracking.enabled?"":"disabled"}`,children:[a.jsx("h4",{children:"Detection Signals"}),a.jsx("p",{className:"tracking-intro",children:"Viola uses these signals to understand your focus. All processing happens locally on your device."}),a.jsx(de,{checked:e.tracking.camera,onChange:n=>t({tracking:{camera:n}}),label:"Camera-based posture detection",description:"Detects if you're looking away. No images are stored or transmitted.",disabled:!e.tracking.enabled}),a.jsx(de,{checked:e.tracking.keystroke,onChange:n=>t({tracking:{keystroke:n}}),label:"Keystroke timing",description:"Measures typing rhythm to detect focus. No text content is ever captured.",disabled:!e.tracking.enabled}),a.jsx(de,{checked:e.tracking.mouse,onChange:n=>t({tracking:{mouse:n}}),label:"Mouse movement",description:"Tracks cursor activity patterns. Position data stays local.",disabled:!e.tracking.enabled}),a.jsx(de,{checked:e.tracking.scroll,onChange:n=>t({tracking:{scroll:n}}),label:"Scroll behavior",description:"Detects doomscrolling patterns. No page content is accessed.",disabled:!e.tracking.enabled}),a.jsx(de,{checked:e.tracking.tabs,onChange:n=>t({tracking:{tabs:n}}),label:"Tab switching",description:"Monitors tab changes to detect distraction. URLs are categorized locally.",disabled:!e.tracking.enabled})]}),a.jsxs("div",{className:"privacy-reassurance",children:[a.jsx("svg",{viewBox:"0 0 24 24",fill:"none",stroke:"currentColor",strokeWidth:"2",children:a.jsx("path",{d:"M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z"})}),a.jsxs("p",{children:[a.jsx("strong",{children:"Your privacy is our priority."})," All data is processed on your device. Nothing is sent to external servers. You can delete all local data anytime from Settings."]})]})]})}function Qh(){return a.jsxs("div",{className:"step-done",children:[a.jsx("div",{className:"done-icon",children:a.jsxs("svg",{viewBox:"0 0 24 24",fill:"none",stroke:"currentColor",strokeWidth:"2",children:[a.jsx("path",{d:"M22 11.08V12a10 10 0 1 1-5.93-9.14"}),a.jsx("polyline",{points:"22 4 12 14.01 9 11.01"})]})}),a.jsx("h2",{children:"You're all set!"}),a.jsx("p",{className:"step-description",children:"Viola is ready to help you stay focused. Open the FocusDJ extension to start your first session."}),a.jsx(fs,{message:"I'll be watching your back. Let's lock in and get things done!",status:"idle"})]})}function Kh({showToast:e}){const t=Dl(),[n,r]=C.useState(sr()),[l,i]=C.useState(!1);C.useEffect(()=>{sr().user.loggedIn||t("/login")},[t]);const o=f=>{const p=ur(f);r(p)},s=async()=>{i(!0);try{(await Ih(n)).success?e("Settings synced to FocusDJ extension"):e("Sync failed. Is the extension installed?","error")}catch(f){e("Sync failed: "+f.message,"error")}i(!1)},u=()=>{confirm("Delete all local data? This cannot be undone.")&&(Oh(),e("All data deleted"),t("/login"))},c=()=>{ur({user:{loggedIn:!1,onboarded:!1}}),t("/login")};return a.jsx("div",{className:"dashboard-page page-scroll",children:a.jsxs("div",{className:"dashboard-container",children:[a.jsxs("header",{className:"dashboard-header",children:[a.jsxs("div",{children:[a.jsx("span",{className:"logo logo-small",children:"FocusDJ"}),a.jsxs("span",{className:"dashboard-greeting",children:["Welcome back",n.user.name?`, ${n.user.name}`:""]})]}),a.jsx("div",{className:"dashboard-actions",children:a.jsx(Oe,{variant:"primary",loading:l,onClick:s,icon:a.jsx("svg",{viewBox:"0 0 24 24",fill:"none",stroke:"currentColor",strokeWidth:"2",children:a.jsx("path",{d:"M21 12a9 9 0 0 1-9 9m9-9a9 9 0 0 0-9-9m9 9H3m9 9a9 9 0 0 1-9-9m9 9c1.66 0 3-4.03 3-9s-1.34-9-3-9m0 18c-1.66 0-3-4.03-3-9s1.34-9 3-9"})}),children:"Sync to Extension"})})]}),a.jsxs("div",{className:"dashboard-grid",children:[a.jsxs("div",{className:"dashboard-main",children:[a.jsxs(Ct,{title:"Session Settings",subtitle:"Customize your focus sessions",children:[a.jsxs("div",{className:"settings-section",children:[a.jsx("h4",{children:"Study Mode"}),a.jsx("div",{className:"mode-selector",children:["gentle","normal","strict"].map(f=>a.jsx("button",{className:`mode-btn ${n.user.mode===f?"active":""}`,onClick:()=>o({user:{mode:f}}),children:f.charAt(0).toUpperCase()+f.slice(1)},f))})]}),a.jsxs("div",{className:"settings-section",children:[a.jsx("h4",{children:"Technique"}),a.jsx("div",{className:"technique-grid",children:Object.entries(ho).map(([f,p])=>a.jsxs("button",{className:`technique-btn ${n.study.technique===f?"active":""}`,onClick:()=>o({study:{technique:f,workMins:p.workMins,breakMins:p.breakMins}}),children:[a.jsx("span",{children:p.label}),a.jsxs("span",{className:"technique-time",children:[p.workMins,"/",p.breakMins]})]},f))})]}),a.jsx("div",{className:"settings-section",children:a.jsx(pn,{label:"Focus Playlist URL",value:n.music.focusPlaylistUrl,onChange:f=>o({music:{focusPlaylistUrl:f}}),placeholder:"https://music.youtube.com/playlist?list=..."})}),a.jsx("div",{className:"settings-section",children:a.jsx(pn,{label:"Break Playlist URL",value:n.music.breakPlaylistUrl,onChange:f=>o({music:{breakPlaylistUrl:f}}),placeholder:"https://music.youtube.com/playlist?list=..."})}),a.jsx("div",{className:"settings-section",children:a.jsx(od,{label:"Energy Level",value:n.music.energy,onChange:f=>o({music:{energy:f}}),min:0,max:100,leftLabel:"Calm",rightLabel:"Hype",showValue:!0})}),a.jsxs("div",{className:"settings-section",children:[a.jsx("h4",{children:"Favorite Genres"}),a.jsx(id,{options:ld,selected:n.music.genres,onChange:f=>o({music:{genres:f}}),maxSelect:5})]}),a.jsx("div",{className:"settings-section",children:a.jsx(sd,{label:"Favorite Artists",value:n.music.artists,onChange:f=>o({music:{artists:f}}),maxTags:5})}),a.jsx(de,{checked:n.study.autoSwitchOnBreak,onChange:f=>o({study:{autoSwitchOnBreak:f}}),label:"Auto-switch music on break",description:"Play your break playlist during rest periods"})]}),a.jsxs(Ct,{title:"AI Controls",subtitle:"Manage Viola's focus detection",children:[a.jsx("div",{className:"master-toggle",children:a.jsx(de,{checked:n.tracking.enabled,onChange:f=>o({tracking:{enabled:f}}),label:"Enable Viola",description:"Master toggle for all AI-powered focus detection",size:"lg"})}),a.jsxs("div",{className:`tracking-toggles ${n.tracking.enabled?"":"disabled"}`,children:[a.jsx(de,{checked:n.tracking.camera,onChange:f=>o({tracking:{camera:f}}),label:"Camera posture detection",description:"Uses webcam to detect if you're looking away",disabled:!n.tracking.enabled}),a.jsx(de,{checked:n.tracking.keystroke,onChange:f=>o({tracking:{keystroke:f}}),label:"Keystroke timing",description:"Measures typing rhythm (no text captured)",disabled:!n.tracking.enabled}),a.jsx(de,{checked:n.tracking.mouse,onChange:f=>o({tracking:{mouse:f}}),label:"Mouse movement",description:"Tracks cursor activity patterns",disabled:!n.tracking.enabled}),a.jsx(de,{checked:n.tracking.scroll,onChange:f=>o({tracking:{scroll:f}}),label:"Scroll behavior",description:"Detects doomscrolling patterns",disabled:!n.tracking.enabled}),a.jsx(de,{checked:n.tracking.tabs,onChange:f=>o({tracking:{tabs:f}}),label:"Tab switching",description:"Monitors tab changes for distraction",disabled:!n.tracking.enabled})]}),a.jsx(Oe,{variant:"ghost",fullWidth:!0,onClick:()=>o({tracking:{enabled:!1}}),disabled:!n.tracking.enabled,children:"Pause All Tracking"})]}),a.jsxs(Ct,{title:"Privacy",subtitle:"Your data, your control",children:[a.jsxs("div",{className:"privacy-info",children:[a.jsxs("div",{className:"privacy-item",children:[a.jsx("div",{className:"privacy-icon good",children:a.jsx("svg",{viewBox:"0 0 24 24",fill:"none",stroke:"currentColor",strokeWidth:"2",children:a.jsx("polyline",{points:"20 6 9 17 4 12"})})}),a.jsxs("div",{children:[a.jsx("strong",{children:"Local Processing"}),a.jsx("p",{children:"All focus detection happens on your device"})]})]}),a.jsxs("div",{className:"privacy-item",children:[a.jsx("div",{className:"privacy-icon good",children:a.jsx("svg",{viewBox:"0 0 24 24",fill:"none",stroke:"currentColor",strokeWidth:"2",children:a.jsx("polyline",{points:"20 6 9 17 4 12"})})}),a.jsxs("div",{children:[a.jsx("strong",{children:"No Cloud Sync"}),a.jsx("p",{children:"Your data never leaves your browser"})]})]}),a.jsxs("div",{className:"privacy-item",children:[a.jsx("div",{className:"privacy-icon good",children:a.jsx("svg",{viewBox:"0 0 24 24",fill:"none",stroke:"currentColor",strokeWidth:"2",children:a.jsx("polyline",{points:"20 6 9 17 4 12"})})}),a.jsxs("div",{children:[a.jsx("strong",{children:"No Text Capture"}),a.jsx("p",{children:"Keystroke timing only, content is never read"})]})]})]}),a.jsx(Oe,{variant:"danger",fullWidth:!0,onClick:u,children:"Delete All Local Data"})]})]}),a.jsxs("div",{className:"dashboard-sidebar",children:[a.jsx(fs,{message:"I'm monitoring your session. Stay focused, you've got this!",status:"active",lastIntervention:"Boosted music energy 2 mins ago"}),a.jsx(Ct,{title:"Focus Timeline",subtitle:"Today's session history",children:a.jsxs("div",{className:"timeline-placeholder",children:[a.jsxs("div",{className:"timeline-bar",children:[a.jsx("div",{className:"timeline-segment good",style:{width:"30%"}}),a.jsx("div",{className:"timeline-segment warning",style:{width:"15%"}}),a.jsx("div",{className:"timeline-segment good",style:{width:"40%"}}),a.jsx("div",{className:"timeline-segment bad",style:{width:"15%"}})]}),a.jsxs("div",{className:"timeline-labels",children:[a.jsx("span",{children:"9am"}),a.jsx("span",{children:"12pm"}),a.jsx("span",{children:"3pm"}),a.jsx("span",{children:"Now"})]}),a.jsxs("div",{className:"timeline-stats",children:[a.jsxs("div",{className:"stat",children:[a.jsx("span",{className:"stat-value",children:"2h 45m"}),a.jsx("span",{className:"stat-label",children:"Focus time"})]}),a.jsxs("div",{className:"stat",children:[a.jsx("span",{className:"stat-value",children:"78"}),a.jsx("span",{className:"stat-label",children:"Avg score"})]}),a.jsxs("div",{className:"stat",children:[a.jsx("span",{className:"stat-value",children:"3"}),a.jsx("span",{className:"stat-label",children:"Interventions"})]})]})]})}),a.jsx(Ct,{padding:"sm",children:a.jsx("div",{className:"quick-actions",children:a.jsx(Oe,{variant:"ghost",fullWidth:!0,onClick:c,children:"Sign Out"})})})]})]})]})})}function Yh({message:e,type:t="success",onClose:n}){const r={success:a.jsxs("svg",{viewBox:"0 0 24 24",fill:"none",stroke:"currentColor",strokeWidth:"2",children:[a.jsx("path",{d:"M22 11.08V12a10 10 0 1 1-5.93-9.14"}),a.jsx("polyline",{points:"22 4 12 14.01 9 11.01"})]}),error:a.jsxs("svg",{viewBox:"0 0 24 24",fill:"none",stroke:"currentColor",strokeWidth:"2",children:[a.jsx("circle",{cx:"12",cy:"12",r:"10"}),a.jsx("line",{x1:"15",y1:"9",x2:"9",y2:"15"}),a.jsx("line",{x1:"9",y1:"9",x2:"15",y2:"15"})]}),info:a.jsxs("svg",{viewBox:"0 0 24 24",fill:"none",stroke:"currentColor",strokeWidth:"2",children:[a.jsx("circle",{cx:"12",cy:"12",r:"10"}),a.jsx("line",{x1:"12",y1:"16",x2:"12",y2:"12"}),a.jsx("line",{x1:"12",y1:"8",x2:"12.01",y2:"8"})]})};return a.jsxs("div",{className:`toast toast-${t}`,children:[a.jsx("span",{className:"toast-icon",children:r[t]}),a.jsx("span",{className:"toast-message",children:e}),a.jsx("button",{className:"toast-close",onClick:n,children:a.jsxs("svg",{viewBox:"0 0 24 24",fill:"none",stroke:"currentColor",strokeWidth:"2",children:[a.jsx("line",{x1:"18",y1:"6",x2:"6",y2:"18"}),a.jsx("line",{x1:"6",y1:"6",x2:"18",y2:"18"})]})})]})}function Gh(){const[e,t]=C.useState(null),n=(r,l="success")=>{t({message:r,type:l}),setTimeout(()=>t(null),3e3)};return a.jsxs("div",{className:"app",children:[a.jsxs(Th,{children:[a.jsx(Rn,{path:"/login",element:a.jsx(Fh,{})}),a.jsx(Rn,{path:"/onboarding",element:a.jsx(Bh,{showToast:n})}),a.jsx(Rn,{path:"/dashboard",element:a.jsx(Kh,{showToast:n})}),a.jsx(Rn,{path:"/",element:a.jsx(Xh,{})})]}),e&&a.jsx(Yh,{message:e.message,type:e.type,onClose:()=>t(null)})]})}function Xh(){const e=sr();return e.user.loggedIn?e.user.onboarded?a.jsx(hi,{to:"/dashboard",replace:!0}):a.jsx(hi,{to:"/onboarding",replace:!0}):a.jsx(hi,{to:"/login",replace:!0})}gi.createRoot(document.getElementById("root")).render(a.jsx(Wu.StrictMode,{children:a.jsx(Mh,{children:a.jsx(Gh,{})})}));
@@ -0,0 +1,67 @@
+function vd(e,t){for(var n=0;n<t.length;n++){const r=t[n];if(typeof r!="string"&&!Array.isArray(r)){for(const l in r)if(l!=="default"&&!(l in e)){const i=Object.getOwnPropertyDescriptor(r,l);i&&Object.defineProperty(e,l,i.get?i:{enumerable:!0,get:()=>r[l]})}}}return Object.freeze(Object.defineProperty(e,Symbol.toStringTag,{value:"Module"}))}(function(){const t=document.createElement("link").relList;if(t&&t.supports&&t.supports("modulepreload"))return;for(const l of document.querySelectorAll('link[rel="modulepreload"]'))r(l);new MutationObserver(l=>{for(const i of l)if(i.type==="childList")for(const s of i.addedNodes)s.tagName==="LINK"&&s.rel==="modulepreload"&&r(s)}).observe(document,{childList:!0,subtree:!0});function n(l){const i={};return l.integrity&&(i.integrity=l.integrity),l.referrerPolicy&&(i.referrerPolicy=l.referrerPolicy),l.crossOrigin==="use-credentials"?i.credentials="include":l.crossOrigin==="anonymous"?i.credentials="omit":i.credentials="same-origin",i}function r(l){if(l.ep)return;l.ep=!0;const i=n(l);fetch(l.href,i)}})();function gd(e){return e&&e.__esModule&&Object.prototype.hasOwnProperty.call(e,"default")?e.default:e}var Fu={exports:{}},Sl={},Uu={exports:{}},R={};/**
+ * @license React
+ * react.production.min.js
+ *
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */var dr=Symbol.for("react.element"),yd=Symbol.for("react.portal"),xd=Symbol.for("react.fragment"),kd=Symbol.for("react.strict_mode"),wd=Symbol.for("react.profiler"),Sd=Symbol.for("react.provider"),jd=Symbol.for("react.context"),Nd=Symbol.for("react.forward_ref"),Cd=Symbol.for("react.suspense"),Ed=Symbol.for("react.memo"),Pd=Symbol.for("react.lazy"),yo=Symbol.iterator;function _d(e){return e===null||typeof e!="object"?null:(e=yo&&e[yo]||e["@@iterator"],typeof e=="function"?e:null)}var $u={isMounted:function(){return!1},enqueueForceUpdate:function(){},enqueueReplaceState:function(){},enqueueSetState:function(){}},Bu=Object.assign,Au={};function mn(e,t,n){this.props=e,this.context=t,this.refs=Au,this.updater=n||$u}mn.prototype.isReactComponent={};mn.prototype.setState=function(e,t){if(typeof e!="object"&&typeof e!="function"&&e!=null)throw Error("setState(...): takes an object of state variables to update or a function which returns an object of state variables.");this.updater.enqueueSetState(this,e,t,"setState")};mn.prototype.forceUpdate=function(e){this.updater.enqueueForceUpdate(this,e,"forceUpdate")};function Wu(){}Wu.prototype=mn.prototype;function ys(e,t,n){this.props=e,this.context=t,this.refs=Au,this.updater=n||$u}var xs=ys.prototype=new Wu;xs.constructor=ys;Bu(xs,mn.prototype);xs.isPureReactComponent=!0;var xo=Array.isArray,Vu=Object.prototype.hasOwnProperty,ks={current:null},Hu={key:!0,ref:!0,__self:!0,__source:!0};function Qu(e,t,n){var r,l={},i=null,s=null;if(t!=null)for(r in t.ref!==void 0&&(s=t.ref),t.key!==void 0&&(i=""+t.key),t)Vu.call(t,r)&&!Hu.hasOwnProperty(r)&&(l[r]=t[r]);var u=arguments.length-2;if(u===1)l.children=n;else if(1<u){for(var a=Array(u),d=0;d<u;d++)a[d]=arguments[d+2];l.children=a}if(e&&e.defaultProps)for(r in u=e.defaultProps,u)l[r]===void 0&&(l[r]=u[r]);return{$$typeof:dr,type:e,key:i,ref:s,props:l,_owner:ks.current}}function Td(e,t){return{$$typeof:dr,type:e.type,key:t,ref:e.ref,props:e.props,_owner:e._owner}}function ws(e){return typeof e=="object"&&e!==null&&e.$$typeof===dr}function Md(e){var t={"=":"=0",":":"=2"};return"$"+e.replace(/[=:]/g,function(n){return t[n]})}var ko=/\/+/g;function Ql(e,t){return typeof e=="object"&&e!==null&&e.key!=null?Md(""+e.key):t.toString(36)}function $r(e,t,n,r,l){var i=typeof e;(i==="undefined"||i==="boolean")&&(e=null);var s=!1;if(e===null)s=!0;else switch(i){case"string":case"number":s=!0;break;case"object":switch(e.$$typeof){case dr:case yd:s=!0}}if(s)return s=e,l=l(s),e=r===""?"."+Ql(s,0):r,xo(l)?(n="",e!=null&&(n=e.replace(ko,"$&/")+"/"),$r(l,t,n,"",function(d){return d})):l!=null&&(ws(l)&&(l=Td(l,n+(!l.key||s&&s.key===l.key?"":(""+l.key).replace(ko,"$&/")+"/")+e)),t.push(l)),1;if(s=0,r=r===""?".":r+":",xo(e))for(var u=0;u<e.length;u++){i=e[u];var a=r+Ql(i,u);s+=$r(i,t,n,a,l)}else if(a=_d(e),typeof a=="function")for(e=a.call(e),u=0;!(i=e.next()).done;)i=i.value,a=r+Ql(i,u++),s+=$r(i,t,n,a,l);else if(i==="object")throw t=String(e),Error("Objects are not valid as a React child (found: "+(t==="[object Object]"?"object with keys {"+Object.keys(e).join(", ")+"}":t)+"). If you meant to render a collection of children, use an array instead.");return s}function kr(e,t,n){if(e==null)return e;var r=[],l=0;return $r(e,r,"","",function(i){return t.call(n,i,l++)}),r}function zd(e){if(e._status===-1){var t=e._result;t=t(),t.then(function(n){(e._status===0||e._status===-1)&&(e._status=1,e._result=n)},function(n){(e._status===0||e._status===-1)&&(e._status=2,e._result=n)}),e._status===-1&&(e._status=0,e._result=t)}if(e._status===1)return e._result.default;throw e._result}var ae={current:null},Br={transition:null},Rd={ReactCurrentDispatcher:ae,ReactCurrentBatchConfig:Br,ReactCurrentOwner:ks};function Ku(){throw Error("act(...) is not supported in production builds of React.")}R.Children={map:kr,forEach:function(e,t,n){kr(e,function(){t.apply(this,arguments)},n)},count:function(e){var t=0;return kr(e,function(){t++}),t},toArray:function(e){return kr(e,function(t){return t})||[]},only:function(e){if(!ws(e))throw Error("React.Children.only expected to receive a single React element child.");return e}};R.Component=mn;R.Fragment=xd;R.Profiler=wd;R.PureComponent=ys;R.StrictMode=kd;R.Suspense=Cd;R.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED=Rd;R.act=Ku;R.cloneElement=function(e,t,n){if(e==null)throw Error("React.cloneElement(...): The argument must be a React element, but you passed "+e+".");var r=Bu({},e.props),l=e.key,i=e.ref,s=e._owner;if(t!=null){if(t.ref!==void 0&&(i=t.ref,s=ks.current),t.key!==void 0&&(l=""+t.key),e.type&&e.type.defaultProps)var u=e.type.defaultProps;for(a in t)Vu.call(t,a)&&!Hu.hasOwnProperty(a)&&(r[a]=t[a]===void 0&&u!==void 0?u[a]:t[a])}var a=arguments.length-2;if(a===1)r.children=n;else if(1<a){u=Array(a);for(var d=0;d<a;d++)u[d]=arguments[d+2];r.children=u}return{$$typeof:dr,type:e.type,key:l,ref:i,props:r,_owner:s}};R.createContext=function(e){return e={$$typeof:jd,_currentValue:e,_currentValue2:e,_threadCount:0,Provider:null,Consumer:null,_defaultValue:null,_globalName:null},e.Provider={$$typeof:Sd,_context:e},e.Consumer=e};R.createElement=Qu;R.createFactory=function(e){var t=Qu.bind(null,e);return t.type=e,t};R.createRef=function(){return{current:null}};R.forwardRef=function(e){return{$$typeof:Nd,render:e}};R.isValidElement=ws;R.lazy=function(e){return{$$typeof:Pd,_payload:{_status:-1,_result:e},_init:zd}};R.memo=function(e,t){return{$$typeof:Ed,type:e,compare:t===void 0?null:t}};R.startTransition=function(e){var t=Br.transition;Br.transition={};try{e()}finally{Br.transition=t}};R.unstable_act=Ku;R.useCallback=function(e,t){return ae.current.useCallback(e,t)};R.useContext=function(e){return ae.current.useContext(e)};R.useDebugValue=function(){};R.useDeferredValue=function(e){return ae.current.useDeferredValue(e)};R.useEffect=function(e,t){return ae.current.useEffect(e,t)};R.useId=function(){return ae.current.useId()};R.useImperativeHandle=function(e,t,n){return ae.current.useImperativeHandle(e,t,n)};R.useInsertionEffect=function(e,t){return ae.current.useInsertionEffect(e,t)};R.useLayoutEffect=function(e,t){return ae.current.useLayoutEffect(e,t)};R.useMemo=function(e,t){return ae.current.useMemo(e,t)};R.useReducer=function(e,t,n){return ae.current.useReducer(e,t,n)};R.useRef=function(e){return ae.current.useRef(e)};R.useState=function(e){return ae.current.useState(e)};R.useSyncExternalStore=function(e,t,n){return ae.current.useSyncExternalStore(e,t,n)};R.useTransition=function(){return ae.current.useTransition()};R.version="18.3.1";Uu.exports=R;var j=Uu.exports;const Gu=gd(j),Ld=vd({__proto__:null,default:Gu},[j]);/**
+ * @license React
+ * react-jsx-runtime.production.min.js
+ *
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */var Od=j,Id=Symbol.for("react.element"),Dd=Symbol.for("react.fragment"),Fd=Object.prototype.hasOwnProperty,Ud=Od.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED.ReactCurrentOwner,$d={key:!0,ref:!0,__self:!0,__source:!0};function Yu(e,t,n){var r,l={},i=null,s=null;n!==void 0&&(i=""+n),t.key!==void 0&&(i=""+t.key),t.ref!==void 0&&(s=t.ref);for(r in t)Fd.call(t,r)&&!$d.hasOwnProperty(r)&&(l[r]=t[r]);if(e&&e.defaultProps)for(r in t=e.defaultProps,t)l[r]===void 0&&(l[r]=t[r]);return{$$typeof:Id,type:e,key:i,ref:s,props:l,_owner:Ud.current}}Sl.Fragment=Dd;Sl.jsx=Yu;Sl.jsxs=Yu;Fu.exports=Sl;var o=Fu.exports,wi={},Xu={exports:{}},we={},Ju={exports:{}},Zu={};/**
+ * @license React
+ * scheduler.production.min.js
+ *
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */(function(e){function t(E,M){var z=E.length;E.push(M);e:for(;0<z;){var Q=z-1>>>1,Z=E[Q];if(0<l(Z,M))E[Q]=M,E[z]=Z,z=Q;else break e}}function n(E){return E.length===0?null:E[0]}function r(E){if(E.length===0)return null;var M=E[0],z=E.pop();if(z!==M){E[0]=z;e:for(var Q=0,Z=E.length,yr=Z>>>1;Q<yr;){var wt=2*(Q+1)-1,Hl=E[wt],St=wt+1,xr=E[St];if(0>l(Hl,z))St<Z&&0>l(xr,Hl)?(E[Q]=xr,E[St]=z,Q=St):(E[Q]=Hl,E[wt]=z,Q=wt);else if(St<Z&&0>l(xr,z))E[Q]=xr,E[St]=z,Q=St;else break e}}return M}function l(E,M){var z=E.sortIndex-M.sortIndex;return z!==0?z:E.id-M.id}if(typeof performance=="object"&&typeof performance.now=="function"){var i=performance;e.unstable_now=function(){return i.now()}}else{var s=Date,u=s.now();e.unstable_now=function(){return s.now()-u}}var a=[],d=[],m=1,p=null,v=3,y=!1,g=!1,x=!1,S=typeof setTimeout=="function"?setTimeout:null,f=typeof clearTimeout=="function"?clearTimeout:null,c=typeof setImmediate<"u"?setImmediate:null;typeof navigator<"u"&&navigator.scheduling!==void 0&&navigator.scheduling.isInputPending!==void 0&&navigator.scheduling.isInputPending.bind(navigator.scheduling);function h(E){for(var M=n(d);M!==null;){if(M.callback===null)r(d);else if(M.startTime<=E)r(d),M.sortIndex=M.expirationTime,t(a,M);else break;M=n(d)}}function k(E){if(x=!1,h(E),!g)if(n(a)!==null)g=!0,Wl(N);else{var M=n(d);M!==null&&Vl(k,M.startTime-E)}}function N(E,M){g=!1,x&&(x=!1,f(T),T=-1),y=!0;var z=v;try{for(h(M),p=n(a);p!==null&&(!(p.expirationTime>M)||E&&!Me());){var Q=p.callback;if(typeof Q=="function"){p.callback=null,v=p.priorityLevel;var Z=Q(p.expirationTime<=M);M=e.unstable_now(),typeof Z=="function"?p.callback=Z:p===n(a)&&r(a),h(M)}else r(a);p=n(a)}if(p!==null)var yr=!0;else{var wt=n(d);wt!==null&&Vl(k,wt.startTime-M),yr=!1}return yr}finally{p=null,v=z,y=!1}}var P=!1,_=null,T=-1,H=5,L=-1;function Me(){return!(e.unstable_now()-L<H)}function yn(){if(_!==null){var E=e.unstable_now();L=E;var M=!0;try{M=_(!0,E)}finally{M?xn():(P=!1,_=null)}}else P=!1}var xn;if(typeof c=="function")xn=function(){c(yn)};else if(typeof MessageChannel<"u"){var go=new MessageChannel,md=go.port2;go.port1.onmessage=yn,xn=function(){md.postMessage(null)}}else xn=function(){S(yn,0)};function Wl(E){_=E,P||(P=!0,xn())}function Vl(E,M){T=S(function(){E(e.unstable_now())},M)}e.unstable_IdlePriority=5,e.unstable_ImmediatePriority=1,e.unstable_LowPriority=4,e.unstable_NormalPriority=3,e.unstable_Profiling=null,e.unstable_UserBlockingPriority=2,e.unstable_cancelCallback=function(E){E.callback=null},e.unstable_continueExecution=function(){g||y||(g=!0,Wl(N))},e.unstable_forceFrameRate=function(E){0>E||125<E?console.error("forceFrameRate takes a positive int between 0 and 125, forcing frame rates higher than 125 fps is not supported"):H=0<E?Math.floor(1e3/E):5},e.unstable_getCurrentPriorityLevel=function(){return v},e.unstable_getFirstCallbackNode=function(){return n(a)},e.unstable_next=function(E){switch(v){case 1:case 2:case 3:var M=3;break;default:M=v}var z=v;v=M;try{return E()}finally{v=z}},e.unstable_pauseExecution=function(){},e.unstable_requestPaint=function(){},e.unstable_runWithPriority=function(E,M){switch(E){case 1:case 2:case 3:case 4:case 5:break;default:E=3}var z=v;v=E;try{return M()}finally{v=z}},e.unstable_scheduleCallback=function(E,M,z){var Q=e.unstable_now();switch(typeof z=="object"&&z!==null?(z=z.delay,z=typeof z=="number"&&0<z?Q+z:Q):z=Q,E){case 1:var Z=-1;break;case 2:Z=250;break;case 5:Z=1073741823;break;case 4:Z=1e4;break;default:Z=5e3}return Z=z+Z,E={id:m++,callback:M,priorityLevel:E,startTime:z,expirationTime:Z,sortIndex:-1},z>Q?(E.sortIndex=z,t(d,E),n(a)===null&&E===n(d)&&(x?(f(T),T=-1):x=!0,Vl(k,z-Q))):(E.sortIndex=Z,t(a,E),g||y||(g=!0,Wl(N))),E},e.unstable_shouldYield=Me,e.unstable_wrapCallback=function(E){var M=v;return function(){var z=v;v=M;try{return E.apply(this,arguments)}finally{v=z}}}})(Zu);Ju.exports=Zu;var Bd=Ju.exports;/**
+ * @license React
+ * react-dom.production.min.js
+ *
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */var Ad=j,ke=Bd;function w(e){for(var t="https://reactjs.org/docs/error-decoder.html?invariant="+e,n=1;n<arguments.length;n++)t+="&args[]="+encodeURIComponent(arguments[n]);return"Minified React error #"+e+"; visit "+t+" for the full message or use the non-minified dev environment for full errors and additional helpful warnings."}var qu=new Set,Vn={};function Ft(e,t){on(e,t),on(e+"Capture",t)}function on(e,t){for(Vn[e]=t,e=0;e<t.length;e++)qu.add(t[e])}var Xe=!(typeof window>"u"||typeof window.document>"u"||typeof window.document.createElement>"u"),Si=Object.prototype.hasOwnProperty,Wd=/^[:A-Z_a-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C-\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD][:A-Z_a-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C-\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD\-.0-9\u00B7\u0300-\u036F\u203F-\u2040]*$/,wo={},So={};function Vd(e){return Si.call(So,e)?!0:Si.call(wo,e)?!1:Wd.test(e)?So[e]=!0:(wo[e]=!0,!1)}function Hd(e,t,n,r){if(n!==null&&n.type===0)return!1;switch(typeof t){case"function":case"symbol":return!0;case"boolean":return r?!1:n!==null?!n.acceptsBooleans:(e=e.toLowerCase().slice(0,5),e!=="data-"&&e!=="aria-");default:return!1}}function Qd(e,t,n,r){if(t===null||typeof t>"u"||Hd(e,t,n,r))return!0;if(r)return!1;if(n!==null)switch(n.type){case 3:return!t;case 4:return t===!1;case 5:return isNaN(t);case 6:return isNaN(t)||1>t}return!1}function ce(e,t,n,r,l,i,s){this.acceptsBooleans=t===2||t===3||t===4,this.attributeName=r,this.attributeNamespace=l,this.mustUseProperty=n,this.propertyName=e,this.type=t,this.sanitizeURL=i,this.removeEmptyString=s}var ne={};"children dangerouslySetInnerHTML defaultValue defaultChecked innerHTML suppressContentEditableWarning suppressHydrationWarning style".split(" ").forEach(function(e){ne[e]=new ce(e,0,!1,e,null,!1,!1)});[["acceptCharset","accept-charset"],["className","class"],["htmlFor","for"],["httpEquiv","http-equiv"]].forEach(function(e){var t=e[0];ne[t]=new ce(t,1,!1,e[1],null,!1,!1)});["contentEditable","draggable","spellCheck","value"].forEach(function(e){ne[e]=new ce(e,2,!1,e.toLowerCase(),null,!1,!1)});["autoReverse","externalResourcesRequired","focusable","preserveAlpha"].forEach(function(e){ne[e]=new ce(e,2,!1,e,null,!1,!1)});"allowFullScreen async autoFocus autoPlay controls default defer disabled disablePictureInPicture disableRemotePlayback formNoValidate hidden loop noModule noValidate open playsInline readOnly required reversed scoped seamless itemScope".split(" ").forEach(function(e){ne[e]=new ce(e,3,!1,e.toLowerCase(),null,!1,!1)});["checked","multiple","muted","selected"].forEach(function(e){ne[e]=new ce(e,3,!0,e,null,!1,!1)});["capture","download"].forEach(function(e){ne[e]=new ce(e,4,!1,e,null,!1,!1)});["cols","rows","size","span"].forEach(function(e){ne[e]=new ce(e,6,!1,e,null,!1,!1)});["rowSpan","start"].forEach(function(e){ne[e]=new ce(e,5,!1,e.toLowerCase(),null,!1,!1)});var Ss=/[\-:]([a-z])/g;function js(e){return e[1].toUpperCase()}"accent-height alignment-baseline arabic-form baseline-shift cap-height clip-path clip-rule color-interpolation color-interpolation-filters color-profile color-rendering dominant-baseline enable-background fill-opacity fill-rule flood-color flood-opacity font-family font-size font-size-adjust font-stretch font-style font-variant font-weight glyph-name glyph-orientation-horizontal glyph-orientation-vertical horiz-adv-x horiz-origin-x image-rendering letter-spacing lighting-color marker-end marker-mid marker-start overline-position overline-thickness paint-order panose-1 pointer-events rendering-intent shape-rendering stop-color stop-opacity strikethrough-position strikethrough-thickness stroke-dasharray stroke-dashoffset stroke-linecap stroke-linejoin stroke-miterlimit stroke-opacity stroke-width text-anchor text-decoration text-rendering underline-position underline-thickness unicode-bidi unicode-range units-per-em v-alphabetic v-hanging v-ideographic v-mathematical vector-effect vert-adv-y vert-origin-x vert-origin-y word-spacing writing-mode xmlns:xlink x-height".split(" ").forEach(function(e){var t=e.replace(Ss,js);ne[t]=new ce(t,1,!1,e,null,!1,!1)});"xlink:actuate xlink:arcrole xlink:role xlink:show xlink:title xlink:type".split(" ").forEach(function(e){var t=e.replace(Ss,js);ne[t]=new ce(t,1,!1,e,"http://www.w3.org/1999/xlink",!1,!1)});["xml:base","xml:lang","xml:space"].forEach(function(e){var t=e.replace(Ss,js);ne[t]=new ce(t,1,!1,e,"http://www.w3.org/XML/1998/namespace",!1,!1)});["tabIndex","crossOrigin"].forEach(function(e){ne[e]=new ce(e,1,!1,e.toLowerCase(),null,!1,!1)});ne.xlinkHref=new ce("xlinkHref",1,!1,"xlink:href","http://www.w3.org/1999/xlink",!0,!1);["src","href","action","formAction"].forEach(function(e){ne[e]=new ce(e,1,!1,e.toLowerCase(),null,!0,!0)});function Ns(e,t,n,r){var l=ne.hasOwnProperty(t)?ne[t]:null;(l!==null?l.type!==0:r||!(2<t.length)||t[0]!=="o"&&t[0]!=="O"||t[1]!=="n"&&t[1]!=="N")&&(Qd(t,n,l,r)&&(n=null),r||l===null?Vd(t)&&(n===null?e.removeAttribute(t):e.setAttribute(t,""+n)):l.mustUseProperty?e[l.propertyName]=n===null?l.type===3?!1:"":n:(t=l.attributeName,r=l.attributeNamespace,n===null?e.removeAttribute(t):(l=l.type,n=l===3||l===4&&n===!0?"":""+n,r?e.setAttributeNS(r,t,n):e.setAttribute(t,n))))}var be=Ad.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED,wr=Symbol.for("react.element"),Wt=Symbol.for("react.portal"),Vt=Symbol.for("react.fragment"),Cs=Symbol.for("react.strict_mode"),ji=Symbol.for("react.profiler"),bu=Symbol.for("react.provider"),ea=Symbol.for("react.context"),Es=Symbol.for("react.forward_ref"),Ni=Symbol.for("react.suspense"),Ci=Symbol.for("react.suspense_list"),Ps=Symbol.for("react.memo"),tt=Symbol.for("react.lazy"),ta=Symbol.for("react.offscreen"),jo=Symbol.iterator;function kn(e){return e===null||typeof e!="object"?null:(e=jo&&e[jo]||e["@@iterator"],typeof e=="function"?e:null)}var W=Object.assign,Kl;function _n(e){if(Kl===void 0)try{throw Error()}catch(n){var t=n.stack.trim().match(/\n( *(at )?)/);Kl=t&&t[1]||""}return`
+`+Kl+e}var Gl=!1;function Yl(e,t){if(!e||Gl)return"";Gl=!0;var n=Error.prepareStackTrace;Error.prepareStackTrace=void 0;try{if(t)if(t=function(){throw Error()},Object.defineProperty(t.prototype,"props",{set:function(){throw Error()}}),typeof Reflect=="object"&&Reflect.construct){try{Reflect.construct(t,[])}catch(d){var r=d}Reflect.construct(e,[],t)}else{try{t.call()}catch(d){r=d}e.call(t.prototype)}else{try{throw Error()}catch(d){r=d}e()}}catch(d){if(d&&r&&typeof d.stack=="string"){for(var l=d.stack.split(`
+`),i=r.stack.split(`
+`),s=l.length-1,u=i.length-1;1<=s&&0<=u&&l[s]!==i[u];)u--;for(;1<=s&&0<=u;s--,u--)if(l[s]!==i[u]){if(s!==1||u!==1)do if(s--,u--,0>u||l[s]!==i[u]){var a=`
+`+l[s].replace(" at new "," at ");return e.displayName&&a.includes("<anonymous>")&&(a=a.replace("<anonymous>",e.displayName)),a}while(1<=s&&0<=u);break}}}finally{Gl=!1,Error.prepareStackTrace=n}return(e=e?e.displayName||e.name:"")?_n(e):""}function Kd(e){switch(e.tag){case 5:return _n(e.type);case 16:return _n("Lazy");case 13:return _n("Suspense");case 19:return _n("SuspenseList");case 0:case 2:case 15:return e=Yl(e.type,!1),e;case 11:return e=Yl(e.type.render,!1),e;case 1:return e=Yl(e.type,!0),e;default:return""}}function Ei(e){if(e==null)return null;if(typeof e=="function")return e.displayName||e.name||null;if(typeof e=="string")return e;switch(e){case Vt:return"Fragment";case Wt:return"Portal";case ji:return"Profiler";case Cs:return"StrictMode";case Ni:return"Suspense";case Ci:return"SuspenseList"}if(typeof e=="object")switch(e.$$typeof){case ea:return(e.displayName||"Context")+".Consumer";case bu:return(e._context.displayName||"Context")+".Provider";case Es:var t=e.render;return e=e.displayName,e||(e=t.displayName||t.name||"",e=e!==""?"ForwardRef("+e+")":"ForwardRef"),e;case Ps:return t=e.displayName||null,t!==null?t:Ei(e.type)||"Memo";case tt:t=e._payload,e=e._init;try{return Ei(e(t))}catch{}}return null}function Gd(e){var t=e.type;switch(e.tag){case 24:return"Cache";case 9:return(t.displayName||"Context")+".Consumer";case 10:return(t._context.displayName||"Context")+".Provider";case 18:return"DehydratedFragment";case 11:return e=t.render,e=e.displayName||e.name||"",t.displayName||(e!==""?"ForwardRef("+e+")":"ForwardRef");case 7:return"Fragment";case 5:return t;case 4:return"Portal";case 3:return"Root";case 6:return"Text";case 16:return Ei(t);case 8:return t===Cs?"StrictMode":"Mode";case 22:return"Offscreen";case 12:return"Profiler";case 21:return"Scope";case 13:return"Suspense";case 19:return"SuspenseList";case 25:return"TracingMarker";case 1:case 0:case 17:case 2:case 14:case 15:if(typeof t=="function")return t.displayName||t.name||null;if(typeof t=="string")return t}return null}function vt(e){switch(typeof e){case"boolean":case"number":case"string":case"undefined":return e;case"object":return e;default:return""}}function na(e){var t=e.type;return(e=e.nodeName)&&e.toLowerCase()==="input"&&(t==="checkbox"||t==="radio")}function Yd(e){var t=na(e)?"checked":"value",n=Object.getOwnPropertyDescriptor(e.constructor.prototype,t),r=""+e[t];if(!e.hasOwnProperty(t)&&typeof n<"u"&&typeof n.get=="function"&&typeof n.set=="function"){var l=n.get,i=n.set;return Object.defineProperty(e,t,{configurable:!0,get:function(){return l.call(this)},set:function(s){r=""+s,i.call(this,s)}}),Object.defineProperty(e,t,{enumerable:n.enumerable}),{getValue:function(){return r},setValue:function(s){r=""+s},stopTracking:function(){e._valueTracker=null,delete e[t]}}}}function Sr(e){e._valueTracker||(e._valueTracker=Yd(e))}function ra(e){if(!e)return!1;var t=e._valueTracker;if(!t)return!0;var n=t.getValue(),r="";return e&&(r=na(e)?e.checked?"true":"false":e.value),e=r,e!==n?(t.setValue(e),!0):!1}function Zr(e){if(e=e||(typeof document<"u"?document:void 0),typeof e>"u")return null;try{return e.activeElement||e.body}catch{return e.body}}function Pi(e,t){var n=t.checked;return W({},t,{defaultChecked:void 0,defaultValue:void 0,value:void 0,checked:n??e._wrapperState.initialChecked})}function No(e,t){var n=t.defaultValue==null?"":t.defaultValue,r=t.checked!=null?t.checked:t.defaultChecked;n=vt(t.value!=null?t.value:n),e._wrapperState={initialChecked:r,initialValue:n,controlled:t.type==="checkbox"||t.type==="radio"?t.checked!=null:t.value!=null}}function la(e,t){t=t.checked,t!=null&&Ns(e,"checked",t,!1)}function _i(e,t){la(e,t);var n=vt(t.value),r=t.type;if(n!=null)r==="number"?(n===0&&e.value===""||e.value!=n)&&(e.value=""+n):e.value!==""+n&&(e.value=""+n);else if(r==="submit"||r==="reset"){e.removeAttribute("value");return}t.hasOwnProperty("value")?Ti(e,t.type,n):t.hasOwnProperty("defaultValue")&&Ti(e,t.type,vt(t.defaultValue)),t.checked==null&&t.defaultChecked!=null&&(e.defaultChecked=!!t.defaultChecked)}function Co(e,t,n){if(t.hasOwnProperty("value")||t.hasOwnProperty("defaultValue")){var r=t.type;if(!(r!=="submit"&&r!=="reset"||t.value!==void 0&&t.value!==null))return;t=""+e._wrapperState.initialValue,n||t===e.value||(e.value=t),e.defaultValue=t}n=e.name,n!==""&&(e.name=""),e.defaultChecked=!!e._wrapperState.initialChecked,n!==""&&(e.name=n)}function Ti(e,t,n){(t!=="number"||Zr(e.ownerDocument)!==e)&&(n==null?e.defaultValue=""+e._wrapperState.initialValue:e.defaultValue!==""+n&&(e.defaultValue=""+n))}var Tn=Array.isArray;function en(e,t,n,r){if(e=e.options,t){t={};for(var l=0;l<n.length;l++)t["$"+n[l]]=!0;for(n=0;n<e.length;n++)l=t.hasOwnProperty("$"+e[n].value),e[n].selected!==l&&(e[n].selected=l),l&&r&&(e[n].defaultSelected=!0)}else{for(n=""+vt(n),t=null,l=0;l<e.length;l++){if(e[l].value===n){e[l].selected=!0,r&&(e[l].defaultSelected=!0);return}t!==null||e[l].disabled||(t=e[l])}t!==null&&(t.selected=!0)}}function Mi(e,t){if(t.dangerouslySetInnerHTML!=null)throw Error(w(91));return W({},t,{value:void 0,defaultValue:void 0,children:""+e._wrapperState.initialValue})}function Eo(e,t){var n=t.value;if(n==null){if(n=t.children,t=t.defaultValue,n!=null){if(t!=null)throw Error(w(92));if(Tn(n)){if(1<n.length)throw Error(w(93));n=n[0]}t=n}t==null&&(t=""),n=t}e._wrapperState={initialValue:vt(n)}}function ia(e,t){var n=vt(t.value),r=vt(t.defaultValue);n!=null&&(n=""+n,n!==e.value&&(e.value=n),t.defaultValue==null&&e.defaultValue!==n&&(e.defaultValue=n)),r!=null&&(e.defaultValue=""+r)}function Po(e){var t=e.textContent;t===e._wrapperState.initialValue&&t!==""&&t!==null&&(e.value=t)}function sa(e){switch(e){case"svg":return"http://www.w3.org/2000/svg";case"math":return"http://www.w3.org/1998/Math/MathML";default:return"http://www.w3.org/1999/xhtml"}}function zi(e,t){return e==null||e==="http://www.w3.org/1999/xhtml"?sa(t):e==="http://www.w3.org/2000/svg"&&t==="foreignObject"?"http://www.w3.org/1999/xhtml":e}var jr,oa=function(e){return typeof MSApp<"u"&&MSApp.execUnsafeLocalFunction?function(t,n,r,l){MSApp.execUnsafeLocalFunction(function(){return e(t,n,r,l)})}:e}(function(e,t){if(e.namespaceURI!=="http://www.w3.org/2000/svg"||"innerHTML"in e)e.innerHTML=t;else{for(jr=jr||document.createElement("div"),jr.innerHTML="<svg>"+t.valueOf().toString()+"</svg>",t=jr.firstChild;e.firstChild;)e.removeChild(e.firstChild);for(;t.firstChild;)e.appendChild(t.firstChild)}});function Hn(e,t){if(t){var n=e.firstChild;if(n&&n===e.lastChild&&n.nodeType===3){n.nodeValue=t;return}}e.textContent=t}var On={animationIterationCount:!0,aspectRatio:!0,borderImageOutset:!0,borderImageSlice:!0,borderImageWidth:!0,boxFlex:!0,boxFlexGroup:!0,boxOrdinalGroup:!0,columnCount:!0,columns:!0,flex:!0,flexGrow:!0,flexPositive:!0,flexShrink:!0,flexNegative:!0,flexOrder:!0,gridArea:!0,gridRow:!0,gridRowEnd:!0,gridRowSpan:!0,gridRowStart:!0,gridColumn:!0,gridColumnEnd:!0,gridColumnSpan:!0,gridColumnStart:!0,fontWeight:!0,lineClamp:!0,lineHeight:!0,opacity:!0,order:!0,orphans:!0,tabSize:!0,widows:!0,zIndex:!0,zoom:!0,fillOpacity:!0,floodOpacity:!0,stopOpacity:!0,strokeDasharray:!0,strokeDashoffset:!0,strokeMiterlimit:!0,strokeOpacity:!0,strokeWidth:!0},Xd=["Webkit","ms","Moz","O"];Object.keys(On).forEach(function(e){Xd.forEach(function(t){t=t+e.charAt(0).toUpperCase()+e.substring(1),On[t]=On[e]})});function ua(e,t,n){return t==null||typeof t=="boolean"||t===""?"":n||typeof t!="number"||t===0||On.hasOwnProperty(e)&&On[e]?(""+t).trim():t+"px"}function aa(e,t){e=e.style;for(var n in t)if(t.hasOwnProperty(n)){var r=n.indexOf("--")===0,l=ua(n,t[n],r);n==="float"&&(n="cssFloat"),r?e.setProperty(n,l):e[n]=l}}var Jd=W({menuitem:!0},{area:!0,base:!0,br:!0,col:!0,embed:!0,hr:!0,img:!0,input:!0,keygen:!0,link:!0,meta:!0,param:!0,source:!0,track:!0,wbr:!0});function Ri(e,t){if(t){if(Jd[e]&&(t.children!=null||t.dangerouslySetInnerHTML!=null))throw Error(w(137,e));if(t.dangerouslySetInnerHTML!=null){if(t.children!=null)throw Error(w(60));if(typeof t.dangerouslySetInnerHTML!="object"||!("__html"in t.dangerouslySetInnerHTML))throw Error(w(61))}if(t.style!=null&&typeof t.style!="object")throw Error(w(62))}}function Li(e,t){if(e.indexOf("-")===-1)return typeof t.is=="string";switch(e){case"annotation-xml":case"color-profile":case"font-face":case"font-face-src":case"font-face-uri":case"font-face-format":case"font-face-name":case"missing-glyph":return!1;default:return!0}}var Oi=null;function _s(e){return e=e.target||e.srcElement||window,e.correspondingUseElement&&(e=e.correspondingUseElement),e.nodeType===3?e.parentNode:e}var Ii=null,tn=null,nn=null;function _o(e){if(e=hr(e)){if(typeof Ii!="function")throw Error(w(280));var t=e.stateNode;t&&(t=Pl(t),Ii(e.stateNode,e.type,t))}}function ca(e){tn?nn?nn.push(e):nn=[e]:tn=e}function da(){if(tn){var e=tn,t=nn;if(nn=tn=null,_o(e),t)for(e=0;e<t.length;e++)_o(t[e])}}function fa(e,t){return e(t)}function pa(){}var Xl=!1;function ha(e,t,n){if(Xl)return e(t,n);Xl=!0;try{return fa(e,t,n)}finally{Xl=!1,(tn!==null||nn!==null)&&(pa(),da())}}function Qn(e,t){var n=e.stateNode;if(n===null)return null;var r=Pl(n);if(r===null)return null;n=r[t];e:switch(t){case"onClick":case"onClickCapture":case"onDoubleClick":case"onDoubleClickCapture":case"onMouseDown":case"onMouseDownCapture":case"onMouseMove":case"onMouseMoveCapture":case"onMouseUp":case"onMouseUpCapture":case"onMouseEnter":(r=!r.disabled)||(e=e.type,r=!(e==="button"||e==="input"||e==="select"||e==="textarea")),e=!r;break e;default:e=!1}if(e)return null;if(n&&typeof n!="function")throw Error(w(231,t,typeof n));return n}var Di=!1;if(Xe)try{var wn={};Object.defineProperty(wn,"passive",{get:function(){Di=!0}}),window.addEventListener("test",wn,wn),window.removeEventListener("test",wn,wn)}catch{Di=!1}function Zd(e,t,n,r,l,i,s,u,a){var d=Array.prototype.slice.call(arguments,3);try{t.apply(n,d)}catch(m){this.onError(m)}}var In=!1,qr=null,br=!1,Fi=null,qd={onError:function(e){In=!0,qr=e}};function bd(e,t,n,r,l,i,s,u,a){In=!1,qr=null,Zd.apply(qd,arguments)}function ef(e,t,n,r,l,i,s,u,a){if(bd.apply(this,arguments),In){if(In){var d=qr;In=!1,qr=null}else throw Error(w(198));br||(br=!0,Fi=d)}}function Ut(e){var t=e,n=e;if(e.alternate)for(;t.return;)t=t.return;else{e=t;do t=e,t.flags&4098&&(n=t.return),e=t.return;while(e)}return t.tag===3?n:null}function ma(e){if(e.tag===13){var t=e.memoizedState;if(t===null&&(e=e.alternate,e!==null&&(t=e.memoizedState)),t!==null)return t.dehydrated}return null}function To(e){if(Ut(e)!==e)throw Error(w(188))}function tf(e){var t=e.alternate;if(!t){if(t=Ut(e),t===null)throw Error(w(188));return t!==e?null:e}for(var n=e,r=t;;){var l=n.return;if(l===null)break;var i=l.alternate;if(i===null){if(r=l.return,r!==null){n=r;continue}break}if(l.child===i.child){for(i=l.child;i;){if(i===n)return To(l),e;if(i===r)return To(l),t;i=i.sibling}throw Error(w(188))}if(n.return!==r.return)n=l,r=i;else{for(var s=!1,u=l.child;u;){if(u===n){s=!0,n=l,r=i;break}if(u===r){s=!0,r=l,n=i;break}u=u.sibling}if(!s){for(u=i.child;u;){if(u===n){s=!0,n=i,r=l;break}if(u===r){s=!0,r=i,n=l;break}u=u.sibling}if(!s)throw Error(w(189))}}if(n.alternate!==r)throw Error(w(190))}if(n.tag!==3)throw Error(w(188));return n.stateNode.current===n?e:t}function va(e){return e=tf(e),e!==null?ga(e):null}function ga(e){if(e.tag===5||e.tag===6)return e;for(e=e.child;e!==null;){var t=ga(e);if(t!==null)return t;e=e.sibling}return null}var ya=ke.unstable_scheduleCallback,Mo=ke.unstable_cancelCallback,nf=ke.unstable_shouldYield,rf=ke.unstable_requestPaint,K=ke.unstable_now,lf=ke.unstable_getCurrentPriorityLevel,Ts=ke.unstable_ImmediatePriority,xa=ke.unstable_UserBlockingPriority,el=ke.unstable_NormalPriority,sf=ke.unstable_LowPriority,ka=ke.unstable_IdlePriority,jl=null,Ae=null;function of(e){if(Ae&&typeof Ae.onCommitFiberRoot=="function")try{Ae.onCommitFiberRoot(jl,e,void 0,(e.current.flags&128)===128)}catch{}}var Ie=Math.clz32?Math.clz32:cf,uf=Math.log,af=Math.LN2;function cf(e){return e>>>=0,e===0?32:31-(uf(e)/af|0)|0}var Nr=64,Cr=4194304;function Mn(e){switch(e&-e){case 1:return 1;case 2:return 2;case 4:return 4;case 8:return 8;case 16:return 16;case 32:return 32;case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return e&4194240;case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:return e&130023424;case 134217728:return 134217728;case 268435456:return 268435456;case 536870912:return 536870912;case 1073741824:return 1073741824;default:return e}}function tl(e,t){var n=e.pendingLanes;if(n===0)return 0;var r=0,l=e.suspendedLanes,i=e.pingedLanes,s=n&268435455;if(s!==0){var u=s&~l;u!==0?r=Mn(u):(i&=s,i!==0&&(r=Mn(i)))}else s=n&~l,s!==0?r=Mn(s):i!==0&&(r=Mn(i));if(r===0)return 0;if(t!==0&&t!==r&&!(t&l)&&(l=r&-r,i=t&-t,l>=i||l===16&&(i&4194240)!==0))return t;if(r&4&&(r|=n&16),t=e.entangledLanes,t!==0)for(e=e.entanglements,t&=r;0<t;)n=31-Ie(t),l=1<<n,r|=e[n],t&=~l;return r}function df(e,t){switch(e){case 1:case 2:case 4:return t+250;case 8:case 16:case 32:case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return t+5e3;case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:return-1;case 134217728:case 268435456:case 536870912:case 1073741824:return-1;default:return-1}}function ff(e,t){for(var n=e.suspendedLanes,r=e.pingedLanes,l=e.expirationTimes,i=e.pendingLanes;0<i;){var s=31-Ie(i),u=1<<s,a=l[s];a===-1?(!(u&n)||u&r)&&(l[s]=df(u,t)):a<=t&&(e.expiredLanes|=u),i&=~u}}function Ui(e){return e=e.pendingLanes&-1073741825,e!==0?e:e&1073741824?1073741824:0}function wa(){var e=Nr;return Nr<<=1,!(Nr&4194240)&&(Nr=64),e}function Jl(e){for(var t=[],n=0;31>n;n++)t.push(e);return t}function fr(e,t,n){e.pendingLanes|=t,t!==536870912&&(e.suspendedLanes=0,e.pingedLanes=0),e=e.eventTimes,t=31-Ie(t),e[t]=n}function pf(e,t){var n=e.pendingLanes&~t;e.pendingLanes=t,e.suspendedLanes=0,e.pingedLanes=0,e.expiredLanes&=t,e.mutableReadLanes&=t,e.entangledLanes&=t,t=e.entanglements;var r=e.eventTimes;for(e=e.expirationTimes;0<n;){var l=31-Ie(n),i=1<<l;t[l]=0,r[l]=-1,e[l]=-1,n&=~i}}function Ms(e,t){var n=e.entangledLanes|=t;for(e=e.entanglements;n;){var r=31-Ie(n),l=1<<r;l&t|e[r]&t&&(e[r]|=t),n&=~l}}var I=0;function Sa(e){return e&=-e,1<e?4<e?e&268435455?16:536870912:4:1}var ja,zs,Na,Ca,Ea,$i=!1,Er=[],ut=null,at=null,ct=null,Kn=new Map,Gn=new Map,rt=[],hf="mousedown mouseup touchcancel touchend touchstart auxclick dblclick pointercancel pointerdown pointerup dragend dragstart drop compositionend compositionstart keydown keypress keyup input textInput copy cut paste click change contextmenu reset submit".split(" ");function zo(e,t){switch(e){case"focusin":case"focusout":ut=null;break;case"dragenter":case"dragleave":at=null;break;case"mouseover":case"mouseout":ct=null;break;case"pointerover":case"pointerout":Kn.delete(t.pointerId);break;case"gotpointercapture":case"lostpointercapture":Gn.delete(t.pointerId)}}function Sn(e,t,n,r,l,i){return e===null||e.nativeEvent!==i?(e={blockedOn:t,domEventName:n,eventSystemFlags:r,nativeEvent:i,targetContainers:[l]},t!==null&&(t=hr(t),t!==null&&zs(t)),e):(e.eventSystemFlags|=r,t=e.targetContainers,l!==null&&t.indexOf(l)===-1&&t.push(l),e)}function mf(e,t,n,r,l){switch(t){case"focusin":return ut=Sn(ut,e,t,n,r,l),!0;case"dragenter":return at=Sn(at,e,t,n,r,l),!0;case"mouseover":return ct=Sn(ct,e,t,n,r,l),!0;case"pointerover":var i=l.pointerId;return Kn.set(i,Sn(Kn.get(i)||null,e,t,n,r,l)),!0;case"gotpointercapture":return i=l.pointerId,Gn.set(i,Sn(Gn.get(i)||null,e,t,n,r,l)),!0}return!1}function Pa(e){var t=Et(e.target);if(t!==null){var n=Ut(t);if(n!==null){if(t=n.tag,t===13){if(t=ma(n),t!==null){e.blockedOn=t,Ea(e.priority,function(){Na(n)});return}}else if(t===3&&n.stateNode.current.memoizedState.isDehydrated){e.blockedOn=n.tag===3?n.stateNode.containerInfo:null;return}}}e.blockedOn=null}function Ar(e){if(e.blockedOn!==null)return!1;for(var t=e.targetContainers;0<t.length;){var n=Bi(e.domEventName,e.eventSystemFlags,t[0],e.nativeEvent);if(n===null){n=e.nativeEvent;var r=new n.constructor(n.type,n);Oi=r,n.target.dispatchEvent(r),Oi=null}else return t=hr(n),t!==null&&zs(t),e.blockedOn=n,!1;t.shift()}return!0}function Ro(e,t,n){Ar(e)&&n.delete(t)}function vf(){$i=!1,ut!==null&&Ar(ut)&&(ut=null),at!==null&&Ar(at)&&(at=null),ct!==null&&Ar(ct)&&(ct=null),Kn.forEach(Ro),Gn.forEach(Ro)}function jn(e,t){e.blockedOn===t&&(e.blockedOn=null,$i||($i=!0,ke.unstable_scheduleCallback(ke.unstable_NormalPriority,vf)))}function Yn(e){function t(l){return jn(l,e)}if(0<Er.length){jn(Er[0],e);for(var n=1;n<Er.length;n++){var r=Er[n];r.blockedOn===e&&(r.blockedOn=null)}}for(ut!==null&&jn(ut,e),at!==null&&jn(at,e),ct!==null&&jn(ct,e),Kn.forEach(t),Gn.forEach(t),n=0;n<rt.length;n++)r=rt[n],r.blockedOn===e&&(r.blockedOn=null);for(;0<rt.length&&(n=rt[0],n.blockedOn===null);)Pa(n),n.blockedOn===null&&rt.shift()}var rn=be.ReactCurrentBatchConfig,nl=!0;function gf(e,t,n,r){var l=I,i=rn.transition;rn.transition=null;try{I=1,Rs(e,t,n,r)}finally{I=l,rn.transition=i}}function yf(e,t,n,r){var l=I,i=rn.transition;rn.transition=null;try{I=4,Rs(e,t,n,r)}finally{I=l,rn.transition=i}}function Rs(e,t,n,r){if(nl){var l=Bi(e,t,n,r);if(l===null)si(e,t,r,rl,n),zo(e,r);else if(mf(l,e,t,n,r))r.stopPropagation();else if(zo(e,r),t&4&&-1<hf.indexOf(e)){for(;l!==null;){var i=hr(l);if(i!==null&&ja(i),i=Bi(e,t,n,r),i===null&&si(e,t,r,rl,n),i===l)break;l=i}l!==null&&r.stopPropagation()}else si(e,t,r,null,n)}}var rl=null;function Bi(e,t,n,r){if(rl=null,e=_s(r),e=Et(e),e!==null)if(t=Ut(e),t===null)e=null;else if(n=t.tag,n===13){if(e=ma(t),e!==null)return e;e=null}else if(n===3){if(t.stateNode.current.memoizedState.isDehydrated)return t.tag===3?t.stateNode.containerInfo:null;e=null}else t!==e&&(e=null);return rl=e,null}function _a(e){switch(e){case"cancel":case"click":case"close":case"contextmenu":case"copy":case"cut":case"auxclick":case"dblclick":case"dragend":case"dragstart":case"drop":case"focusin":case"focusout":case"input":case"invalid":case"keydown":case"keypress":case"keyup":case"mousedown":case"mouseup":case"paste":case"pause":case"play":case"pointercancel":case"pointerdown":case"pointerup":case"ratechange":case"reset":case"resize":case"seeked":case"submit":case"touchcancel":case"touchend":case"touchstart":case"volumechange":case"change":case"selectionchange":case"textInput":case"compositionstart":case"compositionend":case"compositionupdate":case"beforeblur":case"afterblur":case"beforeinput":case"blur":case"fullscreenchange":case"focus":case"hashchange":case"popstate":case"select":case"selectstart":return 1;case"drag":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"mousemove":case"mouseout":case"mouseover":case"pointermove":case"pointerout":case"pointerover":case"scroll":case"toggle":case"touchmove":case"wheel":case"mouseenter":case"mouseleave":case"pointerenter":case"pointerleave":return 4;case"message":switch(lf()){case Ts:return 1;case xa:return 4;case el:case sf:return 16;case ka:return 536870912;default:return 16}default:return 16}}var it=null,Ls=null,Wr=null;function Ta(){if(Wr)return Wr;var e,t=Ls,n=t.length,r,l="value"in it?it.value:it.textContent,i=l.length;for(e=0;e<n&&t[e]===l[e];e++);var s=n-e;for(r=1;r<=s&&t[n-r]===l[i-r];r++);return Wr=l.slice(e,1<r?1-r:void 0)}function Vr(e){var t=e.keyCode;return"charCode"in e?(e=e.charCode,e===0&&t===13&&(e=13)):e=t,e===10&&(e=13),32<=e||e===13?e:0}function Pr(){return!0}function Lo(){return!1}function Se(e){function t(n,r,l,i,s){this._reactName=n,this._targetInst=l,this.type=r,this.nativeEvent=i,this.target=s,this.currentTarget=null;for(var u in e)e.hasOwnProperty(u)&&(n=e[u],this[u]=n?n(i):i[u]);return this.isDefaultPrevented=(i.defaultPrevented!=null?i.defaultPrevented:i.returnValue===!1)?Pr:Lo,this.isPropagationStopped=Lo,this}return W(t.prototype,{preventDefault:function(){this.defaultPrevented=!0;var n=this.nativeEvent;n&&(n.preventDefault?n.preventDefault():typeof n.returnValue!="unknown"&&(n.returnValue=!1),this.isDefaultPrevented=Pr)},stopPropagation:function(){var n=this.nativeEvent;n&&(n.stopPropagation?n.stopPropagation():typeof n.cancelBubble!="unknown"&&(n.cancelBubble=!0),this.isPropagationStopped=Pr)},persist:function(){},isPersistent:Pr}),t}var vn={eventPhase:0,bubbles:0,cancelable:0,timeStamp:function(e){return e.timeStamp||Date.now()},defaultPrevented:0,isTrusted:0},Os=Se(vn),pr=W({},vn,{view:0,detail:0}),xf=Se(pr),Zl,ql,Nn,Nl=W({},pr,{screenX:0,screenY:0,clientX:0,clientY:0,pageX:0,pageY:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,getModifierState:Is,button:0,buttons:0,relatedTarget:function(e){return e.relatedTarget===void 0?e.fromElement===e.srcElement?e.toElement:e.fromElement:e.relatedTarget},movementX:function(e){return"movementX"in e?e.movementX:(e!==Nn&&(Nn&&e.type==="mousemove"?(Zl=e.screenX-Nn.screenX,ql=e.screenY-Nn.screenY):ql=Zl=0,Nn=e),Zl)},movementY:function(e){return"movementY"in e?e.movementY:ql}}),Oo=Se(Nl),kf=W({},Nl,{dataTransfer:0}),wf=Se(kf),Sf=W({},pr,{relatedTarget:0}),bl=Se(Sf),jf=W({},vn,{animationName:0,elapsedTime:0,pseudoElement:0}),Nf=Se(jf),Cf=W({},vn,{clipboardData:function(e){return"clipboardData"in e?e.clipboardData:window.clipboardData}}),Ef=Se(Cf),Pf=W({},vn,{data:0}),Io=Se(Pf),_f={Esc:"Escape",Spacebar:" ",Left:"ArrowLeft",Up:"ArrowUp",Right:"ArrowRight",Down:"ArrowDown",Del:"Delete",Win:"OS",Menu:"ContextMenu",Apps:"ContextMenu",Scroll:"ScrollLock",MozPrintableKey:"Unidentified"},Tf={8:"Backspace",9:"Tab",12:"Clear",13:"Enter",16:"Shift",17:"Control",18:"Alt",19:"Pause",20:"CapsLock",27:"Escape",32:" ",33:"PageUp",34:"PageDown",35:"End",36:"Home",37:"ArrowLeft",38:"ArrowUp",39:"ArrowRight",40:"ArrowDown",45:"Insert",46:"Delete",112:"F1",113:"F2",114:"F3",115:"F4",116:"F5",117:"F6",118:"F7",119:"F8",120:"F9",121:"F10",122:"F11",123:"F12",144:"NumLock",145:"ScrollLock",224:"Meta"},Mf={Alt:"altKey",Control:"ctrlKey",Meta:"metaKey",Shift:"shiftKey"};function zf(e){var t=this.nativeEvent;return t.getModifierState?t.getModifierState(e):(e=Mf[e])?!!t[e]:!1}function Is(){return zf}var Rf=W({},pr,{key:function(e){if(e.key){var t=_f[e.key]||e.key;if(t!=="Unidentified")return t}return e.type==="keypress"?(e=Vr(e),e===13?"Enter":String.fromCharCode(e)):e.type==="keydown"||e.type==="keyup"?Tf[e.keyCode]||"Unidentified":""},code:0,location:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,repeat:0,locale:0,getModifierState:Is,charCode:function(e){return e.type==="keypress"?Vr(e):0},keyCode:function(e){return e.type==="keydown"||e.type==="keyup"?e.keyCode:0},which:function(e){return e.type==="keypress"?Vr(e):e.type==="keydown"||e.type==="keyup"?e.keyCode:0}}),Lf=Se(Rf),Of=W({},Nl,{pointerId:0,width:0,height:0,pressure:0,tangentialPressure:0,tiltX:0,tiltY:0,twist:0,pointerType:0,isPrimary:0}),Do=Se(Of),If=W({},pr,{touches:0,targetTouches:0,changedTouches:0,altKey:0,metaKey:0,ctrlKey:0,shiftKey:0,getModifierState:Is}),Df=Se(If),Ff=W({},vn,{propertyName:0,elapsedTime:0,pseudoElement:0}),Uf=Se(Ff),$f=W({},Nl,{deltaX:function(e){return"deltaX"in e?e.deltaX:"wheelDeltaX"in e?-e.wheelDeltaX:0},deltaY:function(e){return"deltaY"in e?e.deltaY:"wheelDeltaY"in e?-e.wheelDeltaY:"wheelDelta"in e?-e.wheelDelta:0},deltaZ:0,deltaMode:0}),Bf=Se($f),Af=[9,13,27,32],Ds=Xe&&"CompositionEvent"in window,Dn=null;Xe&&"documentMode"in document&&(Dn=document.documentMode);var Wf=Xe&&"TextEvent"in window&&!Dn,Ma=Xe&&(!Ds||Dn&&8<Dn&&11>=Dn),Fo=" ",Uo=!1;function za(e,t){switch(e){case"keyup":return Af.indexOf(t.keyCode)!==-1;case"keydown":return t.keyCode!==229;case"keypress":case"mousedown":case"focusout":return!0;default:return!1}}function Ra(e){return e=e.detail,typeof e=="object"&&"data"in e?e.data:null}var Ht=!1;function Vf(e,t){switch(e){case"compositionend":return Ra(t);case"keypress":return t.which!==32?null:(Uo=!0,Fo);case"textInput":return e=t.data,e===Fo&&Uo?null:e;default:return null}}function Hf(e,t){if(Ht)return e==="compositionend"||!Ds&&za(e,t)?(e=Ta(),Wr=Ls=it=null,Ht=!1,e):null;switch(e){case"paste":return null;case"keypress":if(!(t.ctrlKey||t.altKey||t.metaKey)||t.ctrlKey&&t.altKey){if(t.char&&1<t.char.length)return t.char;if(t.which)return String.fromCharCode(t.which)}return null;case"compositionend":return Ma&&t.locale!=="ko"?null:t.data;default:return null}}var Qf={color:!0,date:!0,datetime:!0,"datetime-local":!0,email:!0,month:!0,number:!0,password:!0,range:!0,search:!0,tel:!0,text:!0,time:!0,url:!0,week:!0};function $o(e){var t=e&&e.nodeName&&e.nodeName.toLowerCase();return t==="input"?!!Qf[e.type]:t==="textarea"}function La(e,t,n,r){ca(r),t=ll(t,"onChange"),0<t.length&&(n=new Os("onChange","change",null,n,r),e.push({event:n,listeners:t}))}var Fn=null,Xn=null;function Kf(e){Ha(e,0)}function Cl(e){var t=Gt(e);if(ra(t))return e}function Gf(e,t){if(e==="change")return t}var Oa=!1;if(Xe){var ei;if(Xe){var ti="oninput"in document;if(!ti){var Bo=document.createElement("div");Bo.setAttribute("oninput","return;"),ti=typeof Bo.oninput=="function"}ei=ti}else ei=!1;Oa=ei&&(!document.documentMode||9<document.documentMode)}function Ao(){Fn&&(Fn.detachEvent("onpropertychange",Ia),Xn=Fn=null)}function Ia(e){if(e.propertyName==="value"&&Cl(Xn)){var t=[];La(t,Xn,e,_s(e)),ha(Kf,t)}}function Yf(e,t,n){e==="focusin"?(Ao(),Fn=t,Xn=n,Fn.attachEvent("onpropertychange",Ia)):e==="focusout"&&Ao()}function Xf(e){if(e==="selectionchange"||e==="keyup"||e==="keydown")return Cl(Xn)}function Jf(e,t){if(e==="click")return Cl(t)}function Zf(e,t){if(e==="input"||e==="change")return Cl(t)}function qf(e,t){return e===t&&(e!==0||1/e===1/t)||e!==e&&t!==t}var Fe=typeof Object.is=="function"?Object.is:qf;function Jn(e,t){if(Fe(e,t))return!0;if(typeof e!="object"||e===null||typeof t!="object"||t===null)return!1;var n=Object.keys(e),r=Object.keys(t);if(n.length!==r.length)return!1;for(r=0;r<n.length;r++){var l=n[r];if(!Si.call(t,l)||!Fe(e[l],t[l]))return!1}return!0}function Wo(e){for(;e&&e.firstChild;)e=e.firstChild;return e}function Vo(e,t){var n=Wo(e);e=0;for(var r;n;){if(n.nodeType===3){if(r=e+n.textContent.length,e<=t&&r>=t)return{node:n,offset:t-e};e=r}e:{for(;n;){if(n.nextSibling){n=n.nextSibling;break e}n=n.parentNode}n=void 0}n=Wo(n)}}function Da(e,t){return e&&t?e===t?!0:e&&e.nodeType===3?!1:t&&t.nodeType===3?Da(e,t.parentNode):"contains"in e?e.contains(t):e.compareDocumentPosition?!!(e.compareDocumentPosition(t)&16):!1:!1}function Fa(){for(var e=window,t=Zr();t instanceof e.HTMLIFrameElement;){try{var n=typeof t.contentWindow.location.href=="string"}catch{n=!1}if(n)e=t.contentWindow;else break;t=Zr(e.document)}return t}function Fs(e){var t=e&&e.nodeName&&e.nodeName.toLowerCase();return t&&(t==="input"&&(e.type==="text"||e.type==="search"||e.type==="tel"||e.type==="url"||e.type==="password")||t==="textarea"||e.contentEditable==="true")}function bf(e){var t=Fa(),n=e.focusedElem,r=e.selectionRange;if(t!==n&&n&&n.ownerDocument&&Da(n.ownerDocument.documentElement,n)){if(r!==null&&Fs(n)){if(t=r.start,e=r.end,e===void 0&&(e=t),"selectionStart"in n)n.selectionStart=t,n.selectionEnd=Math.min(e,n.value.length);else if(e=(t=n.ownerDocument||document)&&t.defaultView||window,e.getSelection){e=e.getSelection();var l=n.textContent.length,i=Math.min(r.start,l);r=r.end===void 0?i:Math.min(r.end,l),!e.extend&&i>r&&(l=r,r=i,i=l),l=Vo(n,i);var s=Vo(n,r);l&&s&&(e.rangeCount!==1||e.anchorNode!==l.node||e.anchorOffset!==l.offset||e.focusNode!==s.node||e.focusOffset!==s.offset)&&(t=t.createRange(),t.setStart(l.node,l.offset),e.removeAllRanges(),i>r?(e.addRange(t),e.extend(s.node,s.offset)):(t.setEnd(s.node,s.offset),e.addRange(t)))}}for(t=[],e=n;e=e.parentNode;)e.nodeType===1&&t.push({element:e,left:e.scrollLeft,top:e.scrollTop});for(typeof n.focus=="function"&&n.focus(),n=0;n<t.length;n++)e=t[n],e.element.scrollLeft=e.left,e.element.scrollTop=e.top}}var ep=Xe&&"documentMode"in document&&11>=document.documentMode,Qt=null,Ai=null,Un=null,Wi=!1;function Ho(e,t,n){var r=n.window===n?n.document:n.nodeType===9?n:n.ownerDocument;Wi||Qt==null||Qt!==Zr(r)||(r=Qt,"selectionStart"in r&&Fs(r)?r={start:r.selectionStart,end:r.selectionEnd}:(r=(r.ownerDocument&&r.ownerDocument.defaultView||window).getSelection(),r={anchorNode:r.anchorNode,anchorOffset:r.anchorOffset,focusNode:r.focusNode,focusOffset:r.focusOffset}),Un&&Jn(Un,r)||(Un=r,r=ll(Ai,"onSelect"),0<r.length&&(t=new Os("onSelect","select",null,t,n),e.push({event:t,listeners:r}),t.target=Qt)))}function _r(e,t){var n={};return n[e.toLowerCase()]=t.toLowerCase(),n["Webkit"+e]="webkit"+t,n["Moz"+e]="moz"+t,n}var Kt={animationend:_r("Animation","AnimationEnd"),animationiteration:_r("Animation","AnimationIteration"),animationstart:_r("Animation","AnimationStart"),transitionend:_r("Transition","TransitionEnd")},ni={},Ua={};Xe&&(Ua=document.createElement("div").style,"AnimationEvent"in window||(delete Kt.animationend.animation,delete Kt.animationiteration.animation,delete Kt.animationstart.animation),"TransitionEvent"in window||delete Kt.transitionend.transition);function El(e){if(ni[e])return ni[e];if(!Kt[e])return e;var t=Kt[e],n;for(n in t)if(t.hasOwnProperty(n)&&n in Ua)return ni[e]=t[n];return e}var $a=El("animationend"),Ba=El("animationiteration"),Aa=El("animationstart"),Wa=El("transitionend"),Va=new Map,Qo="abort auxClick cancel canPlay canPlayThrough click close contextMenu copy cut drag dragEnd dragEnter dragExit dragLeave dragOver dragStart drop durationChange emptied encrypted ended error gotPointerCapture input invalid keyDown keyPress keyUp load loadedData loadedMetadata loadStart lostPointerCapture mouseDown mouseMove mouseOut mouseOver mouseUp paste pause play playing pointerCancel pointerDown pointerMove pointerOut pointerOver pointerUp progress rateChange reset resize seeked seeking stalled submit suspend timeUpdate touchCancel touchEnd touchStart volumeChange scroll toggle touchMove waiting wheel".split(" ");function yt(e,t){Va.set(e,t),Ft(t,[e])}for(var ri=0;ri<Qo.length;ri++){var li=Qo[ri],tp=li.toLowerCase(),np=li[0].toUpperCase()+li.slice(1);yt(tp,"on"+np)}yt($a,"onAnimationEnd");yt(Ba,"onAnimationIteration");yt(Aa,"onAnimationStart");yt("dblclick","onDoubleClick");yt("focusin","onFocus");yt("focusout","onBlur");yt(Wa,"onTransitionEnd");on("onMouseEnter",["mouseout","mouseover"]);on("onMouseLeave",["mouseout","mouseover"]);on("onPointerEnter",["pointerout","pointerover"]);on("onPointerLeave",["pointerout","pointerover"]);Ft("onChange","change click focusin focusout input keydown keyup selectionchange".split(" "));Ft("onSelect","focusout contextmenu dragend focusin keydown keyup mousedown mouseup selectionchange".split(" "));Ft("onBeforeInput",["compositionend","keypress","textInput","paste"]);Ft("onCompositionEnd","compositionend focusout keydown keypress keyup mousedown".split(" "));Ft("onCompositionStart","compositionstart focusout keydown keypress keyup mousedown".split(" "));Ft("onCompositionUpdate","compositionupdate focusout keydown keypress keyup mousedown".split(" "));var zn="abort canplay canplaythrough durationchange emptied encrypted ended error loadeddata loadedmetadata loadstart pause play playing progress ratechange resize seeked seeking stalled suspend timeupdate volumechange waiting".split(" "),rp=new Set("cancel close invalid load scroll toggle".split(" ").concat(zn));function Ko(e,t,n){var r=e.type||"unknown-event";e.currentTarget=n,ef(r,t,void 0,e),e.currentTarget=null}function Ha(e,t){t=(t&4)!==0;for(var n=0;n<e.length;n++){var r=e[n],l=r.event;r=r.listeners;e:{var i=void 0;if(t)for(var s=r.length-1;0<=s;s--){var u=r[s],a=u.instance,d=u.currentTarget;if(u=u.listener,a!==i&&l.isPropagationStopped())break e;Ko(l,u,d),i=a}else for(s=0;s<r.length;s++){if(u=r[s],a=u.instance,d=u.currentTarget,u=u.listener,a!==i&&l.isPropagationStopped())break e;Ko(l,u,d),i=a}}}if(br)throw e=Fi,br=!1,Fi=null,e}function F(e,t){var n=t[Gi];n===void 0&&(n=t[Gi]=new Set);var r=e+"__bubble";n.has(r)||(Qa(t,e,2,!1),n.add(r))}function ii(e,t,n){var r=0;t&&(r|=4),Qa(n,e,r,t)}var Tr="_reactListening"+Math.random().toString(36).slice(2);function Zn(e){if(!e[Tr]){e[Tr]=!0,qu.forEach(function(n){n!=="selectionchange"&&(rp.has(n)||ii(n,!1,e),ii(n,!0,e))});var t=e.nodeType===9?e:e.ownerDocument;t===null||t[Tr]||(t[Tr]=!0,ii("selectionchange",!1,t))}}function Qa(e,t,n,r){switch(_a(t)){case 1:var l=gf;break;case 4:l=yf;break;default:l=Rs}n=l.bind(null,t,n,e),l=void 0,!Di||t!=="touchstart"&&t!=="touchmove"&&t!=="wheel"||(l=!0),r?l!==void 0?e.addEventListener(t,n,{capture:!0,passive:l}):e.addEventListener(t,n,!0):l!==void 0?e.addEventListener(t,n,{passive:l}):e.addEventListener(t,n,!1)}function si(e,t,n,r,l){var i=r;if(!(t&1)&&!(t&2)&&r!==null)e:for(;;){if(r===null)return;var s=r.tag;if(s===3||s===4){var u=r.stateNode.containerInfo;if(u===l||u.nodeType===8&&u.parentNode===l)break;if(s===4)for(s=r.return;s!==null;){var a=s.tag;if((a===3||a===4)&&(a=s.stateNode.containerInfo,a===l||a.nodeType===8&&a.parentNode===l))return;s=s.return}for(;u!==null;){if(s=Et(u),s===null)return;if(a=s.tag,a===5||a===6){r=i=s;continue e}u=u.parentNode}}r=r.return}ha(function(){var d=i,m=_s(n),p=[];e:{var v=Va.get(e);if(v!==void 0){var y=Os,g=e;switch(e){case"keypress":if(Vr(n)===0)break e;case"keydown":case"keyup":y=Lf;break;case"focusin":g="focus",y=bl;break;case"focusout":g="blur",y=bl;break;case"beforeblur":case"afterblur":y=bl;break;case"click":if(n.button===2)break e;case"auxclick":case"dblclick":case"mousedown":case"mousemove":case"mouseup":case"mouseout":case"mouseover":case"contextmenu":y=Oo;break;case"drag":case"dragend":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"dragstart":case"drop":y=wf;break;case"touchcancel":case"touchend":case"touchmove":case"touchstart":y=Df;break;case $a:case Ba:case Aa:y=Nf;break;case Wa:y=Uf;break;case"scroll":y=xf;break;case"wheel":y=Bf;break;case"copy":case"cut":case"paste":y=Ef;break;case"gotpointercapture":case"lostpointercapture":case"pointercancel":case"pointerdown":case"pointermove":case"pointerout":case"pointerover":case"pointerup":y=Do}var x=(t&4)!==0,S=!x&&e==="scroll",f=x?v!==null?v+"Capture":null:v;x=[];for(var c=d,h;c!==null;){h=c;var k=h.stateNode;if(h.tag===5&&k!==null&&(h=k,f!==null&&(k=Qn(c,f),k!=null&&x.push(qn(c,k,h)))),S)break;c=c.return}0<x.length&&(v=new y(v,g,null,n,m),p.push({event:v,listeners:x}))}}if(!(t&7)){e:{if(v=e==="mouseover"||e==="pointerover",y=e==="mouseout"||e==="pointerout",v&&n!==Oi&&(g=n.relatedTarget||n.fromElement)&&(Et(g)||g[Je]))break e;if((y||v)&&(v=m.window===m?m:(v=m.ownerDocument)?v.defaultView||v.parentWindow:window,y?(g=n.relatedTarget||n.toElement,y=d,g=g?Et(g):null,g!==null&&(S=Ut(g),g!==S||g.tag!==5&&g.tag!==6)&&(g=null)):(y=null,g=d),y!==g)){if(x=Oo,k="onMouseLeave",f="onMouseEnter",c="mouse",(e==="pointerout"||e==="pointerover")&&(x=Do,k="onPointerLeave",f="onPointerEnter",c="pointer"),S=y==null?v:Gt(y),h=g==null?v:Gt(g),v=new x(k,c+"leave",y,n,m),v.target=S,v.relatedTarget=h,k=null,Et(m)===d&&(x=new x(f,c+"enter",g,n,m),x.target=h,x.relatedTarget=S,k=x),S=k,y&&g)t:{for(x=y,f=g,c=0,h=x;h;h=At(h))c++;for(h=0,k=f;k;k=At(k))h++;for(;0<c-h;)x=At(x),c--;for(;0<h-c;)f=At(f),h--;for(;c--;){if(x===f||f!==null&&x===f.alternate)break t;x=At(x),f=At(f)}x=null}else x=null;y!==null&&Go(p,v,y,x,!1),g!==null&&S!==null&&Go(p,S,g,x,!0)}}e:{if(v=d?Gt(d):window,y=v.nodeName&&v.nodeName.toLowerCase(),y==="select"||y==="input"&&v.type==="file")var N=Gf;else if($o(v))if(Oa)N=Zf;else{N=Xf;var P=Yf}else(y=v.nodeName)&&y.toLowerCase()==="input"&&(v.type==="checkbox"||v.type==="radio")&&(N=Jf);if(N&&(N=N(e,d))){La(p,N,n,m);break e}P&&P(e,v,d),e==="focusout"&&(P=v._wrapperState)&&P.controlled&&v.type==="number"&&Ti(v,"number",v.value)}switch(P=d?Gt(d):window,e){case"focusin":($o(P)||P.contentEditable==="true")&&(Qt=P,Ai=d,Un=null);break;case"focusout":Un=Ai=Qt=null;break;case"mousedown":Wi=!0;break;case"contextmenu":case"mouseup":case"dragend":Wi=!1,Ho(p,n,m);break;case"selectionchange":if(ep)break;case"keydown":case"keyup":Ho(p,n,m)}var _;if(Ds)e:{switch(e){case"compositionstart":var T="onCompositionStart";break e;case"compositionend":T="onCompositionEnd";break e;case"compositionupdate":T="onCompositionUpdate";break e}T=void 0}else Ht?za(e,n)&&(T="onCompositionEnd"):e==="keydown"&&n.keyCode===229&&(T="onCompositionStart");T&&(Ma&&n.locale!=="ko"&&(Ht||T!=="onCompositionStart"?T==="onCompositionEnd"&&Ht&&(_=Ta()):(it=m,Ls="value"in it?it.value:it.textContent,Ht=!0)),P=ll(d,T),0<P.length&&(T=new Io(T,e,null,n,m),p.push({event:T,listeners:P}),_?T.data=_:(_=Ra(n),_!==null&&(T.data=_)))),(_=Wf?Vf(e,n):Hf(e,n))&&(d=ll(d,"onBeforeInput"),0<d.length&&(m=new Io("onBeforeInput","beforeinput",null,n,m),p.push({event:m,listeners:d}),m.data=_))}Ha(p,t)})}function qn(e,t,n){return{instance:e,listener:t,currentTarget:n}}function ll(e,t){for(var n=t+"Capture",r=[];e!==null;){var l=e,i=l.stateNode;l.tag===5&&i!==null&&(l=i,i=Qn(e,n),i!=null&&r.unshift(qn(e,i,l)),i=Qn(e,t),i!=null&&r.push(qn(e,i,l))),e=e.return}return r}function At(e){if(e===null)return null;do e=e.return;while(e&&e.tag!==5);return e||null}function Go(e,t,n,r,l){for(var i=t._reactName,s=[];n!==null&&n!==r;){var u=n,a=u.alternate,d=u.stateNode;if(a!==null&&a===r)break;u.tag===5&&d!==null&&(u=d,l?(a=Qn(n,i),a!=null&&s.unshift(qn(n,a,u))):l||(a=Qn(n,i),a!=null&&s.push(qn(n,a,u)))),n=n.return}s.length!==0&&e.push({event:t,listeners:s})}var lp=/\r\n?/g,ip=/\u0000|\uFFFD/g;function Yo(e){return(typeof e=="string"?e:""+e).replace(lp,`
+`).replace(ip,"")}function Mr(e,t,n){if(t=Yo(t),Yo(e)!==t&&n)throw Error(w(425))}function il(){}var Vi=null,Hi=null;function Qi(e,t){return e==="textarea"||e==="noscript"||typeof t.children=="string"||typeof t.children=="number"||typeof t.dangerouslySetInnerHTML=="object"&&t.dangerouslySetInnerHTML!==null&&t.dangerouslySetInnerHTML.__html!=null}var Ki=typeof setTimeout=="function"?setTimeout:void 0,sp=typeof clearTimeout=="function"?clearTimeout:void 0,Xo=typeof Promise=="function"?Promise:void 0,op=typeof queueMicrotask=="function"?queueMicrotask:typeof Xo<"u"?function(e){return Xo.resolve(null).then(e).catch(up)}:Ki;function up(e){setTimeout(function(){throw e})}function oi(e,t){var n=t,r=0;do{var l=n.nextSibling;if(e.removeChild(n),l&&l.nodeType===8)if(n=l.data,n==="/$"){if(r===0){e.removeChild(l),Yn(t);return}r--}else n!=="$"&&n!=="$?"&&n!=="$!"||r++;n=l}while(n);Yn(t)}function dt(e){for(;e!=null;e=e.nextSibling){var t=e.nodeType;if(t===1||t===3)break;if(t===8){if(t=e.data,t==="$"||t==="$!"||t==="$?")break;if(t==="/$")return null}}return e}function Jo(e){e=e.previousSibling;for(var t=0;e;){if(e.nodeType===8){var n=e.data;if(n==="$"||n==="$!"||n==="$?"){if(t===0)return e;t--}else n==="/$"&&t++}e=e.previousSibling}return null}var gn=Math.random().toString(36).slice(2),Be="__reactFiber$"+gn,bn="__reactProps$"+gn,Je="__reactContainer$"+gn,Gi="__reactEvents$"+gn,ap="__reactListeners$"+gn,cp="__reactHandles$"+gn;function Et(e){var t=e[Be];if(t)return t;for(var n=e.parentNode;n;){if(t=n[Je]||n[Be]){if(n=t.alternate,t.child!==null||n!==null&&n.child!==null)for(e=Jo(e);e!==null;){if(n=e[Be])return n;e=Jo(e)}return t}e=n,n=e.parentNode}return null}function hr(e){return e=e[Be]||e[Je],!e||e.tag!==5&&e.tag!==6&&e.tag!==13&&e.tag!==3?null:e}function Gt(e){if(e.tag===5||e.tag===6)return e.stateNode;throw Error(w(33))}function Pl(e){return e[bn]||null}var Yi=[],Yt=-1;function xt(e){return{current:e}}function U(e){0>Yt||(e.current=Yi[Yt],Yi[Yt]=null,Yt--)}function D(e,t){Yt++,Yi[Yt]=e.current,e.current=t}var gt={},se=xt(gt),he=xt(!1),Rt=gt;function un(e,t){var n=e.type.contextTypes;if(!n)return gt;var r=e.stateNode;if(r&&r.__reactInternalMemoizedUnmaskedChildContext===t)return r.__reactInternalMemoizedMaskedChildContext;var l={},i;for(i in n)l[i]=t[i];return r&&(e=e.stateNode,e.__reactInternalMemoizedUnmaskedChildContext=t,e.__reactInternalMemoizedMaskedChildContext=l),l}function me(e){return e=e.childContextTypes,e!=null}function sl(){U(he),U(se)}function Zo(e,t,n){if(se.current!==gt)throw Error(w(168));D(se,t),D(he,n)}function Ka(e,t,n){var r=e.stateNode;if(t=t.childContextTypes,typeof r.getChildContext!="function")return n;r=r.getChildContext();for(var l in r)if(!(l in t))throw Error(w(108,Gd(e)||"Unknown",l));return W({},n,r)}function ol(e){return e=(e=e.stateNode)&&e.__reactInternalMemoizedMergedChildContext||gt,Rt=se.current,D(se,e),D(he,he.current),!0}function qo(e,t,n){var r=e.stateNode;if(!r)throw Error(w(169));n?(e=Ka(e,t,Rt),r.__reactInternalMemoizedMergedChildContext=e,U(he),U(se),D(se,e)):U(he),D(he,n)}var Qe=null,_l=!1,ui=!1;function Ga(e){Qe===null?Qe=[e]:Qe.push(e)}function dp(e){_l=!0,Ga(e)}function kt(){if(!ui&&Qe!==null){ui=!0;var e=0,t=I;try{var n=Qe;for(I=1;e<n.length;e++){var r=n[e];do r=r(!0);while(r!==null)}Qe=null,_l=!1}catch(l){throw Qe!==null&&(Qe=Qe.slice(e+1)),ya(Ts,kt),l}finally{I=t,ui=!1}}return null}var Xt=[],Jt=0,ul=null,al=0,je=[],Ne=0,Lt=null,Ke=1,Ge="";function Nt(e,t){Xt[Jt++]=al,Xt[Jt++]=ul,ul=e,al=t}function Ya(e,t,n){je[Ne++]=Ke,je[Ne++]=Ge,je[Ne++]=Lt,Lt=e;var r=Ke;e=Ge;var l=32-Ie(r)-1;r&=~(1<<l),n+=1;var i=32-Ie(t)+l;if(30<i){var s=l-l%5;i=(r&(1<<s)-1).toString(32),r>>=s,l-=s,Ke=1<<32-Ie(t)+l|n<<l|r,Ge=i+e}else Ke=1<<i|n<<l|r,Ge=e}function Us(e){e.return!==null&&(Nt(e,1),Ya(e,1,0))}function $s(e){for(;e===ul;)ul=Xt[--Jt],Xt[Jt]=null,al=Xt[--Jt],Xt[Jt]=null;for(;e===Lt;)Lt=je[--Ne],je[Ne]=null,Ge=je[--Ne],je[Ne]=null,Ke=je[--Ne],je[Ne]=null}var xe=null,ye=null,$=!1,Oe=null;function Xa(e,t){var n=Ee(5,null,null,0);n.elementType="DELETED",n.stateNode=t,n.return=e,t=e.deletions,t===null?(e.deletions=[n],e.flags|=16):t.push(n)}function bo(e,t){switch(e.tag){case 5:var n=e.type;return t=t.nodeType!==1||n.toLowerCase()!==t.nodeName.toLowerCase()?null:t,t!==null?(e.stateNode=t,xe=e,ye=dt(t.firstChild),!0):!1;case 6:return t=e.pendingProps===""||t.nodeType!==3?null:t,t!==null?(e.stateNode=t,xe=e,ye=null,!0):!1;case 13:return t=t.nodeType!==8?null:t,t!==null?(n=Lt!==null?{id:Ke,overflow:Ge}:null,e.memoizedState={dehydrated:t,treeContext:n,retryLane:1073741824},n=Ee(18,null,null,0),n.stateNode=t,n.return=e,e.child=n,xe=e,ye=null,!0):!1;default:return!1}}function Xi(e){return(e.mode&1)!==0&&(e.flags&128)===0}function Ji(e){if($){var t=ye;if(t){var n=t;if(!bo(e,t)){if(Xi(e))throw Error(w(418));t=dt(n.nextSibling);var r=xe;t&&bo(e,t)?Xa(r,n):(e.flags=e.flags&-4097|2,$=!1,xe=e)}}else{if(Xi(e))throw Error(w(418));e.flags=e.flags&-4097|2,$=!1,xe=e}}}function eu(e){for(e=e.return;e!==null&&e.tag!==5&&e.tag!==3&&e.tag!==13;)e=e.return;xe=e}function zr(e){if(e!==xe)return!1;if(!$)return eu(e),$=!0,!1;var t;if((t=e.tag!==3)&&!(t=e.tag!==5)&&(t=e.type,t=t!=="head"&&t!=="body"&&!Qi(e.type,e.memoizedProps)),t&&(t=ye)){if(Xi(e))throw Ja(),Error(w(418));for(;t;)Xa(e,t),t=dt(t.nextSibling)}if(eu(e),e.tag===13){if(e=e.memoizedState,e=e!==null?e.dehydrated:null,!e)throw Error(w(317));e:{for(e=e.nextSibling,t=0;e;){if(e.nodeType===8){var n=e.data;if(n==="/$"){if(t===0){ye=dt(e.nextSibling);break e}t--}else n!=="$"&&n!=="$!"&&n!=="$?"||t++}e=e.nextSibling}ye=null}}else ye=xe?dt(e.stateNode.nextSibling):null;return!0}function Ja(){for(var e=ye;e;)e=dt(e.nextSibling)}function an(){ye=xe=null,$=!1}function Bs(e){Oe===null?Oe=[e]:Oe.push(e)}var fp=be.ReactCurrentBatchConfig;function Cn(e,t,n){if(e=n.ref,e!==null&&typeof e!="function"&&typeof e!="object"){if(n._owner){if(n=n._owner,n){if(n.tag!==1)throw Error(w(309));var r=n.stateNode}if(!r)throw Error(w(147,e));var l=r,i=""+e;return t!==null&&t.ref!==null&&typeof t.ref=="function"&&t.ref._stringRef===i?t.ref:(t=function(s){var u=l.refs;s===null?delete u[i]:u[i]=s},t._stringRef=i,t)}if(typeof e!="string")throw Error(w(284));if(!n._owner)throw Error(w(290,e))}return e}function Rr(e,t){throw e=Object.prototype.toString.call(t),Error(w(31,e==="[object Object]"?"object with keys {"+Object.keys(t).join(", ")+"}":e))}function tu(e){var t=e._init;return t(e._payload)}function Za(e){function t(f,c){if(e){var h=f.deletions;h===null?(f.deletions=[c],f.flags|=16):h.push(c)}}function n(f,c){if(!e)return null;for(;c!==null;)t(f,c),c=c.sibling;return null}function r(f,c){for(f=new Map;c!==null;)c.key!==null?f.set(c.key,c):f.set(c.index,c),c=c.sibling;return f}function l(f,c){return f=mt(f,c),f.index=0,f.sibling=null,f}function i(f,c,h){return f.index=h,e?(h=f.alternate,h!==null?(h=h.index,h<c?(f.flags|=2,c):h):(f.flags|=2,c)):(f.flags|=1048576,c)}function s(f){return e&&f.alternate===null&&(f.flags|=2),f}function u(f,c,h,k){return c===null||c.tag!==6?(c=mi(h,f.mode,k),c.return=f,c):(c=l(c,h),c.return=f,c)}function a(f,c,h,k){var N=h.type;return N===Vt?m(f,c,h.props.children,k,h.key):c!==null&&(c.elementType===N||typeof N=="object"&&N!==null&&N.$$typeof===tt&&tu(N)===c.type)?(k=l(c,h.props),k.ref=Cn(f,c,h),k.return=f,k):(k=Jr(h.type,h.key,h.props,null,f.mode,k),k.ref=Cn(f,c,h),k.return=f,k)}function d(f,c,h,k){return c===null||c.tag!==4||c.stateNode.containerInfo!==h.containerInfo||c.stateNode.implementation!==h.implementation?(c=vi(h,f.mode,k),c.return=f,c):(c=l(c,h.children||[]),c.return=f,c)}function m(f,c,h,k,N){return c===null||c.tag!==7?(c=Mt(h,f.mode,k,N),c.return=f,c):(c=l(c,h),c.return=f,c)}function p(f,c,h){if(typeof c=="string"&&c!==""||typeof c=="number")return c=mi(""+c,f.mode,h),c.return=f,c;if(typeof c=="object"&&c!==null){switch(c.$$typeof){case wr:return h=Jr(c.type,c.key,c.props,null,f.mode,h),h.ref=Cn(f,null,c),h.return=f,h;case Wt:return c=vi(c,f.mode,h),c.return=f,c;case tt:var k=c._init;return p(f,k(c._payload),h)}if(Tn(c)||kn(c))return c=Mt(c,f.mode,h,null),c.return=f,c;Rr(f,c)}return null}function v(f,c,h,k){var N=c!==null?c.key:null;if(typeof h=="string"&&h!==""||typeof h=="number")return N!==null?null:u(f,c,""+h,k);if(typeof h=="object"&&h!==null){switch(h.$$typeof){case wr:return h.key===N?a(f,c,h,k):null;case Wt:return h.key===N?d(f,c,h,k):null;case tt:return N=h._init,v(f,c,N(h._payload),k)}if(Tn(h)||kn(h))return N!==null?null:m(f,c,h,k,null);Rr(f,h)}return null}function y(f,c,h,k,N){if(typeof k=="string"&&k!==""||typeof k=="number")return f=f.get(h)||null,u(c,f,""+k,N);if(typeof k=="object"&&k!==null){switch(k.$$typeof){case wr:return f=f.get(k.key===null?h:k.key)||null,a(c,f,k,N);case Wt:return f=f.get(k.key===null?h:k.key)||null,d(c,f,k,N);case tt:var P=k._init;return y(f,c,h,P(k._payload),N)}if(Tn(k)||kn(k))return f=f.get(h)||null,m(c,f,k,N,null);Rr(c,k)}return null}function g(f,c,h,k){for(var N=null,P=null,_=c,T=c=0,H=null;_!==null&&T<h.length;T++){_.index>T?(H=_,_=null):H=_.sibling;var L=v(f,_,h[T],k);if(L===null){_===null&&(_=H);break}e&&_&&L.alternate===null&&t(f,_),c=i(L,c,T),P===null?N=L:P.sibling=L,P=L,_=H}if(T===h.length)return n(f,_),$&&Nt(f,T),N;if(_===null){for(;T<h.length;T++)_=p(f,h[T],k),_!==null&&(c=i(_,c,T),P===null?N=_:P.sibling=_,P=_);return $&&Nt(f,T),N}for(_=r(f,_);T<h.length;T++)H=y(_,f,T,h[T],k),H!==null&&(e&&H.alternate!==null&&_.delete(H.key===null?T:H.key),c=i(H,c,T),P===null?N=H:P.sibling=H,P=H);return e&&_.forEach(function(Me){return t(f,Me)}),$&&Nt(f,T),N}function x(f,c,h,k){var N=kn(h);if(typeof N!="function")throw Error(w(150));if(h=N.call(h),h==null)throw Error(w(151));for(var P=N=null,_=c,T=c=0,H=null,L=h.next();_!==null&&!L.done;T++,L=h.next()){_.index>T?(H=_,_=null):H=_.sibling;var Me=v(f,_,L.value,k);if(Me===null){_===null&&(_=H);break}e&&_&&Me.alternate===null&&t(f,_),c=i(Me,c,T),P===null?N=Me:P.sibling=Me,P=Me,_=H}if(L.done)return n(f,_),$&&Nt(f,T),N;if(_===null){for(;!L.done;T++,L=h.next())L=p(f,L.value,k),L!==null&&(c=i(L,c,T),P===null?N=L:P.sibling=L,P=L);return $&&Nt(f,T),N}for(_=r(f,_);!L.done;T++,L=h.next())L=y(_,f,T,L.value,k),L!==null&&(e&&L.alternate!==null&&_.delete(L.key===null?T:L.key),c=i(L,c,T),P===null?N=L:P.sibling=L,P=L);return e&&_.forEach(function(yn){return t(f,yn)}),$&&Nt(f,T),N}function S(f,c,h,k){if(typeof h=="object"&&h!==null&&h.type===Vt&&h.key===null&&(h=h.props.children),typeof h=="object"&&h!==null){switch(h.$$typeof){case wr:e:{for(var N=h.key,P=c;P!==null;){if(P.key===N){if(N=h.type,N===Vt){if(P.tag===7){n(f,P.sibling),c=l(P,h.props.children),c.return=f,f=c;break e}}else if(P.elementType===N||typeof N=="object"&&N!==null&&N.$$typeof===tt&&tu(N)===P.type){n(f,P.sibling),c=l(P,h.props),c.ref=Cn(f,P,h),c.return=f,f=c;break e}n(f,P);break}else t(f,P);P=P.sibling}h.type===Vt?(c=Mt(h.props.children,f.mode,k,h.key),c.return=f,f=c):(k=Jr(h.type,h.key,h.props,null,f.mode,k),k.ref=Cn(f,c,h),k.return=f,f=k)}return s(f);case Wt:e:{for(P=h.key;c!==null;){if(c.key===P)if(c.tag===4&&c.stateNode.containerInfo===h.containerInfo&&c.stateNode.implementation===h.implementation){n(f,c.sibling),c=l(c,h.children||[]),c.return=f,f=c;break e}else{n(f,c);break}else t(f,c);c=c.sibling}c=vi(h,f.mode,k),c.return=f,f=c}return s(f);case tt:return P=h._init,S(f,c,P(h._payload),k)}if(Tn(h))return g(f,c,h,k);if(kn(h))return x(f,c,h,k);Rr(f,h)}return typeof h=="string"&&h!==""||typeof h=="number"?(h=""+h,c!==null&&c.tag===6?(n(f,c.sibling),c=l(c,h),c.return=f,f=c):(n(f,c),c=mi(h,f.mode,k),c.return=f,f=c),s(f)):n(f,c)}return S}var cn=Za(!0),qa=Za(!1),cl=xt(null),dl=null,Zt=null,As=null;function Ws(){As=Zt=dl=null}function Vs(e){var t=cl.current;U(cl),e._currentValue=t}function Zi(e,t,n){for(;e!==null;){var r=e.alternate;if((e.childLanes&t)!==t?(e.childLanes|=t,r!==null&&(r.childLanes|=t)):r!==null&&(r.childLanes&t)!==t&&(r.childLanes|=t),e===n)break;e=e.return}}function ln(e,t){dl=e,As=Zt=null,e=e.dependencies,e!==null&&e.firstContext!==null&&(e.lanes&t&&(pe=!0),e.firstContext=null)}function _e(e){var t=e._currentValue;if(As!==e)if(e={context:e,memoizedValue:t,next:null},Zt===null){if(dl===null)throw Error(w(308));Zt=e,dl.dependencies={lanes:0,firstContext:e}}else Zt=Zt.next=e;return t}var Pt=null;function Hs(e){Pt===null?Pt=[e]:Pt.push(e)}function ba(e,t,n,r){var l=t.interleaved;return l===null?(n.next=n,Hs(t)):(n.next=l.next,l.next=n),t.interleaved=n,Ze(e,r)}function Ze(e,t){e.lanes|=t;var n=e.alternate;for(n!==null&&(n.lanes|=t),n=e,e=e.return;e!==null;)e.childLanes|=t,n=e.alternate,n!==null&&(n.childLanes|=t),n=e,e=e.return;return n.tag===3?n.stateNode:null}var nt=!1;function Qs(e){e.updateQueue={baseState:e.memoizedState,firstBaseUpdate:null,lastBaseUpdate:null,shared:{pending:null,interleaved:null,lanes:0},effects:null}}function ec(e,t){e=e.updateQueue,t.updateQueue===e&&(t.updateQueue={baseState:e.baseState,firstBaseUpdate:e.firstBaseUpdate,lastBaseUpdate:e.lastBaseUpdate,shared:e.shared,effects:e.effects})}function Ye(e,t){return{eventTime:e,lane:t,tag:0,payload:null,callback:null,next:null}}function ft(e,t,n){var r=e.updateQueue;if(r===null)return null;if(r=r.shared,O&2){var l=r.pending;return l===null?t.next=t:(t.next=l.next,l.next=t),r.pending=t,Ze(e,n)}return l=r.interleaved,l===null?(t.next=t,Hs(r)):(t.next=l.next,l.next=t),r.interleaved=t,Ze(e,n)}function Hr(e,t,n){if(t=t.updateQueue,t!==null&&(t=t.shared,(n&4194240)!==0)){var r=t.lanes;r&=e.pendingLanes,n|=r,t.lanes=n,Ms(e,n)}}function nu(e,t){var n=e.updateQueue,r=e.alternate;if(r!==null&&(r=r.updateQueue,n===r)){var l=null,i=null;if(n=n.firstBaseUpdate,n!==null){do{var s={eventTime:n.eventTime,lane:n.lane,tag:n.tag,payload:n.payload,callback:n.callback,next:null};i===null?l=i=s:i=i.next=s,n=n.next}while(n!==null);i===null?l=i=t:i=i.next=t}else l=i=t;n={baseState:r.baseState,firstBaseUpdate:l,lastBaseUpdate:i,shared:r.shared,effects:r.effects},e.updateQueue=n;return}e=n.lastBaseUpdate,e===null?n.firstBaseUpdate=t:e.next=t,n.lastBaseUpdate=t}function fl(e,t,n,r){var l=e.updateQueue;nt=!1;var i=l.firstBaseUpdate,s=l.lastBaseUpdate,u=l.shared.pending;if(u!==null){l.shared.pending=null;var a=u,d=a.next;a.next=null,s===null?i=d:s.next=d,s=a;var m=e.alternate;m!==null&&(m=m.updateQueue,u=m.lastBaseUpdate,u!==s&&(u===null?m.firstBaseUpdate=d:u.next=d,m.lastBaseUpdate=a))}if(i!==null){var p=l.baseState;s=0,m=d=a=null,u=i;do{var v=u.lane,y=u.eventTime;if((r&v)===v){m!==null&&(m=m.next={eventTime:y,lane:0,tag:u.tag,payload:u.payload,callback:u.callback,next:null});e:{var g=e,x=u;switch(v=t,y=n,x.tag){case 1:if(g=x.payload,typeof g=="function"){p=g.call(y,p,v);break e}p=g;break e;case 3:g.flags=g.flags&-65537|128;case 0:if(g=x.payload,v=typeof g=="function"?g.call(y,p,v):g,v==null)break e;p=W({},p,v);break e;case 2:nt=!0}}u.callback!==null&&u.lane!==0&&(e.flags|=64,v=l.effects,v===null?l.effects=[u]:v.push(u))}else y={eventTime:y,lane:v,tag:u.tag,payload:u.payload,callback:u.callback,next:null},m===null?(d=m=y,a=p):m=m.next=y,s|=v;if(u=u.next,u===null){if(u=l.shared.pending,u===null)break;v=u,u=v.next,v.next=null,l.lastBaseUpdate=v,l.shared.pending=null}}while(!0);if(m===null&&(a=p),l.baseState=a,l.firstBaseUpdate=d,l.lastBaseUpdate=m,t=l.shared.interleaved,t!==null){l=t;do s|=l.lane,l=l.next;while(l!==t)}else i===null&&(l.shared.lanes=0);It|=s,e.lanes=s,e.memoizedState=p}}function ru(e,t,n){if(e=t.effects,t.effects=null,e!==null)for(t=0;t<e.length;t++){var r=e[t],l=r.callback;if(l!==null){if(r.callback=null,r=n,typeof l!="function")throw Error(w(191,l));l.call(r)}}}var mr={},We=xt(mr),er=xt(mr),tr=xt(mr);function _t(e){if(e===mr)throw Error(w(174));return e}function Ks(e,t){switch(D(tr,t),D(er,e),D(We,mr),e=t.nodeType,e){case 9:case 11:t=(t=t.documentElement)?t.namespaceURI:zi(null,"");break;default:e=e===8?t.parentNode:t,t=e.namespaceURI||null,e=e.tagName,t=zi(t,e)}U(We),D(We,t)}function dn(){U(We),U(er),U(tr)}function tc(e){_t(tr.current);var t=_t(We.current),n=zi(t,e.type);t!==n&&(D(er,e),D(We,n))}function Gs(e){er.current===e&&(U(We),U(er))}var B=xt(0);function pl(e){for(var t=e;t!==null;){if(t.tag===13){var n=t.memoizedState;if(n!==null&&(n=n.dehydrated,n===null||n.data==="$?"||n.data==="$!"))return t}else if(t.tag===19&&t.memoizedProps.revealOrder!==void 0){if(t.flags&128)return t}else if(t.child!==null){t.child.return=t,t=t.child;continue}if(t===e)break;for(;t.sibling===null;){if(t.return===null||t.return===e)return null;t=t.return}t.sibling.return=t.return,t=t.sibling}return null}var ai=[];function Ys(){for(var e=0;e<ai.length;e++)ai[e]._workInProgressVersionPrimary=null;ai.length=0}var Qr=be.ReactCurrentDispatcher,ci=be.ReactCurrentBatchConfig,Ot=0,A=null,X=null,q=null,hl=!1,$n=!1,nr=0,pp=0;function re(){throw Error(w(321))}function Xs(e,t){if(t===null)return!1;for(var n=0;n<t.length&&n<e.length;n++)if(!Fe(e[n],t[n]))return!1;return!0}function Js(e,t,n,r,l,i){if(Ot=i,A=t,t.memoizedState=null,t.updateQueue=null,t.lanes=0,Qr.current=e===null||e.memoizedState===null?gp:yp,e=n(r,l),$n){i=0;do{if($n=!1,nr=0,25<=i)throw Error(w(301));i+=1,q=X=null,t.updateQueue=null,Qr.current=xp,e=n(r,l)}while($n)}if(Qr.current=ml,t=X!==null&&X.next!==null,Ot=0,q=X=A=null,hl=!1,t)throw Error(w(300));return e}function Zs(){var e=nr!==0;return nr=0,e}function $e(){var e={memoizedState:null,baseState:null,baseQueue:null,queue:null,next:null};return q===null?A.memoizedState=q=e:q=q.next=e,q}function Te(){if(X===null){var e=A.alternate;e=e!==null?e.memoizedState:null}else e=X.next;var t=q===null?A.memoizedState:q.next;if(t!==null)q=t,X=e;else{if(e===null)throw Error(w(310));X=e,e={memoizedState:X.memoizedState,baseState:X.baseState,baseQueue:X.baseQueue,queue:X.queue,next:null},q===null?A.memoizedState=q=e:q=q.next=e}return q}function rr(e,t){return typeof t=="function"?t(e):t}function di(e){var t=Te(),n=t.queue;if(n===null)throw Error(w(311));n.lastRenderedReducer=e;var r=X,l=r.baseQueue,i=n.pending;if(i!==null){if(l!==null){var s=l.next;l.next=i.next,i.next=s}r.baseQueue=l=i,n.pending=null}if(l!==null){i=l.next,r=r.baseState;var u=s=null,a=null,d=i;do{var m=d.lane;if((Ot&m)===m)a!==null&&(a=a.next={lane:0,action:d.action,hasEagerState:d.hasEagerState,eagerState:d.eagerState,next:null}),r=d.hasEagerState?d.eagerState:e(r,d.action);else{var p={lane:m,action:d.action,hasEagerState:d.hasEagerState,eagerState:d.eagerState,next:null};a===null?(u=a=p,s=r):a=a.next=p,A.lanes|=m,It|=m}d=d.next}while(d!==null&&d!==i);a===null?s=r:a.next=u,Fe(r,t.memoizedState)||(pe=!0),t.memoizedState=r,t.baseState=s,t.baseQueue=a,n.lastRenderedState=r}if(e=n.interleaved,e!==null){l=e;do i=l.lane,A.lanes|=i,It|=i,l=l.next;while(l!==e)}else l===null&&(n.lanes=0);return[t.memoizedState,n.dispatch]}function fi(e){var t=Te(),n=t.queue;if(n===null)throw Error(w(311));n.lastRenderedReducer=e;var r=n.dispatch,l=n.pending,i=t.memoizedState;if(l!==null){n.pending=null;var s=l=l.next;do i=e(i,s.action),s=s.next;while(s!==l);Fe(i,t.memoizedState)||(pe=!0),t.memoizedState=i,t.baseQueue===null&&(t.baseState=i),n.lastRenderedState=i}return[i,r]}function nc(){}function rc(e,t){var n=A,r=Te(),l=t(),i=!Fe(r.memoizedState,l);if(i&&(r.memoizedState=l,pe=!0),r=r.queue,qs(sc.bind(null,n,r,e),[e]),r.getSnapshot!==t||i||q!==null&&q.memoizedState.tag&1){if(n.flags|=2048,lr(9,ic.bind(null,n,r,l,t),void 0,null),b===null)throw Error(w(349));Ot&30||lc(n,t,l)}return l}function lc(e,t,n){e.flags|=16384,e={getSnapshot:t,value:n},t=A.updateQueue,t===null?(t={lastEffect:null,stores:null},A.updateQueue=t,t.stores=[e]):(n=t.stores,n===null?t.stores=[e]:n.push(e))}function ic(e,t,n,r){t.value=n,t.getSnapshot=r,oc(t)&&uc(e)}function sc(e,t,n){return n(function(){oc(t)&&uc(e)})}function oc(e){var t=e.getSnapshot;e=e.value;try{var n=t();return!Fe(e,n)}catch{return!0}}function uc(e){var t=Ze(e,1);t!==null&&De(t,e,1,-1)}function lu(e){var t=$e();return typeof e=="function"&&(e=e()),t.memoizedState=t.baseState=e,e={pending:null,interleaved:null,lanes:0,dispatch:null,lastRenderedReducer:rr,lastRenderedState:e},t.queue=e,e=e.dispatch=vp.bind(null,A,e),[t.memoizedState,e]}function lr(e,t,n,r){return e={tag:e,create:t,destroy:n,deps:r,next:null},t=A.updateQueue,t===null?(t={lastEffect:null,stores:null},A.updateQueue=t,t.lastEffect=e.next=e):(n=t.lastEffect,n===null?t.lastEffect=e.next=e:(r=n.next,n.next=e,e.next=r,t.lastEffect=e)),e}function ac(){return Te().memoizedState}function Kr(e,t,n,r){var l=$e();A.flags|=e,l.memoizedState=lr(1|t,n,void 0,r===void 0?null:r)}function Tl(e,t,n,r){var l=Te();r=r===void 0?null:r;var i=void 0;if(X!==null){var s=X.memoizedState;if(i=s.destroy,r!==null&&Xs(r,s.deps)){l.memoizedState=lr(t,n,i,r);return}}A.flags|=e,l.memoizedState=lr(1|t,n,i,r)}function iu(e,t){return Kr(8390656,8,e,t)}function qs(e,t){return Tl(2048,8,e,t)}function cc(e,t){return Tl(4,2,e,t)}function dc(e,t){return Tl(4,4,e,t)}function fc(e,t){if(typeof t=="function")return e=e(),t(e),function(){t(null)};if(t!=null)return e=e(),t.current=e,function(){t.current=null}}function pc(e,t,n){return n=n!=null?n.concat([e]):null,Tl(4,4,fc.bind(null,t,e),n)}function bs(){}function hc(e,t){var n=Te();t=t===void 0?null:t;var r=n.memoizedState;return r!==null&&t!==null&&Xs(t,r[1])?r[0]:(n.memoizedState=[e,t],e)}function mc(e,t){var n=Te();t=t===void 0?null:t;var r=n.memoizedState;return r!==null&&t!==null&&Xs(t,r[1])?r[0]:(e=e(),n.memoizedState=[e,t],e)}function vc(e,t,n){return Ot&21?(Fe(n,t)||(n=wa(),A.lanes|=n,It|=n,e.baseState=!0),t):(e.baseState&&(e.baseState=!1,pe=!0),e.memoizedState=n)}function hp(e,t){var n=I;I=n!==0&&4>n?n:4,e(!0);var r=ci.transition;ci.transition={};try{e(!1),t()}finally{I=n,ci.transition=r}}function gc(){return Te().memoizedState}function mp(e,t,n){var r=ht(e);if(n={lane:r,action:n,hasEagerState:!1,eagerState:null,next:null},yc(e))xc(t,n);else if(n=ba(e,t,n,r),n!==null){var l=ue();De(n,e,r,l),kc(n,t,r)}}function vp(e,t,n){var r=ht(e),l={lane:r,action:n,hasEagerState:!1,eagerState:null,next:null};if(yc(e))xc(t,l);else{var i=e.alternate;if(e.lanes===0&&(i===null||i.lanes===0)&&(i=t.lastRenderedReducer,i!==null))try{var s=t.lastRenderedState,u=i(s,n);if(l.hasEagerState=!0,l.eagerState=u,Fe(u,s)){var a=t.interleaved;a===null?(l.next=l,Hs(t)):(l.next=a.next,a.next=l),t.interleaved=l;return}}catch{}finally{}n=ba(e,t,l,r),n!==null&&(l=ue(),De(n,e,r,l),kc(n,t,r))}}function yc(e){var t=e.alternate;return e===A||t!==null&&t===A}function xc(e,t){$n=hl=!0;var n=e.pending;n===null?t.next=t:(t.next=n.next,n.next=t),e.pending=t}function kc(e,t,n){if(n&4194240){var r=t.lanes;r&=e.pendingLanes,n|=r,t.lanes=n,Ms(e,n)}}var ml={readContext:_e,useCallback:re,useContext:re,useEffect:re,useImperativeHandle:re,useInsertionEffect:re,useLayoutEffect:re,useMemo:re,useReducer:re,useRef:re,useState:re,useDebugValue:re,useDeferredValue:re,useTransition:re,useMutableSource:re,useSyncExternalStore:re,useId:re,unstable_isNewReconciler:!1},gp={readContext:_e,useCallback:function(e,t){return $e().memoizedState=[e,t===void 0?null:t],e},useContext:_e,useEffect:iu,useImperativeHandle:function(e,t,n){return n=n!=null?n.concat([e]):null,Kr(4194308,4,fc.bind(null,t,e),n)},useLayoutEffect:function(e,t){return Kr(4194308,4,e,t)},useInsertionEffect:function(e,t){return Kr(4,2,e,t)},useMemo:function(e,t){var n=$e();return t=t===void 0?null:t,e=e(),n.memoizedState=[e,t],e},useReducer:function(e,t,n){var r=$e();return t=n!==void 0?n(t):t,r.memoizedState=r.baseState=t,e={pending:null,interleaved:null,lanes:0,dispatch:null,lastRenderedReducer:e,lastRenderedState:t},r.queue=e,e=e.dispatch=mp.bind(null,A,e),[r.memoizedState,e]},useRef:function(e){var t=$e();return e={current:e},t.memoizedState=e},useState:lu,useDebugValue:bs,useDeferredValue:function(e){return $e().memoizedState=e},useTransition:function(){var e=lu(!1),t=e[0];return e=hp.bind(null,e[1]),$e().memoizedState=e,[t,e]},useMutableSource:function(){},useSyncExternalStore:function(e,t,n){var r=A,l=$e();if($){if(n===void 0)throw Error(w(407));n=n()}else{if(n=t(),b===null)throw Error(w(349));Ot&30||lc(r,t,n)}l.memoizedState=n;var i={value:n,getSnapshot:t};return l.queue=i,iu(sc.bind(null,r,i,e),[e]),r.flags|=2048,lr(9,ic.bind(null,r,i,n,t),void 0,null),n},useId:function(){var e=$e(),t=b.identifierPrefix;if($){var n=Ge,r=Ke;n=(r&~(1<<32-Ie(r)-1)).toString(32)+n,t=":"+t+"R"+n,n=nr++,0<n&&(t+="H"+n.toString(32)),t+=":"}else n=pp++,t=":"+t+"r"+n.toString(32)+":";return e.memoizedState=t},unstable_isNewReconciler:!1},yp={readContext:_e,useCallback:hc,useContext:_e,useEffect:qs,useImperativeHandle:pc,useInsertionEffect:cc,useLayoutEffect:dc,useMemo:mc,useReducer:di,useRef:ac,useState:function(){return di(rr)},useDebugValue:bs,useDeferredValue:function(e){var t=Te();return vc(t,X.memoizedState,e)},useTransition:function(){var e=di(rr)[0],t=Te().memoizedState;return[e,t]},useMutableSource:nc,useSyncExternalStore:rc,useId:gc,unstable_isNewReconciler:!1},xp={readContext:_e,useCallback:hc,useContext:_e,useEffect:qs,useImperativeHandle:pc,useInsertionEffect:cc,useLayoutEffect:dc,useMemo:mc,useReducer:fi,useRef:ac,useState:function(){return fi(rr)},useDebugValue:bs,useDeferredValue:function(e){var t=Te();return X===null?t.memoizedState=e:vc(t,X.memoizedState,e)},useTransition:function(){var e=fi(rr)[0],t=Te().memoizedState;return[e,t]},useMutableSource:nc,useSyncExternalStore:rc,useId:gc,unstable_isNewReconciler:!1};function Re(e,t){if(e&&e.defaultProps){t=W({},t),e=e.defaultProps;for(var n in e)t[n]===void 0&&(t[n]=e[n]);return t}return t}function qi(e,t,n,r){t=e.memoizedState,n=n(r,t),n=n==null?t:W({},t,n),e.memoizedState=n,e.lanes===0&&(e.updateQueue.baseState=n)}var Ml={isMounted:function(e){return(e=e._reactInternals)?Ut(e)===e:!1},enqueueSetState:function(e,t,n){e=e._reactInternals;var r=ue(),l=ht(e),i=Ye(r,l);i.payload=t,n!=null&&(i.callback=n),t=ft(e,i,l),t!==null&&(De(t,e,l,r),Hr(t,e,l))},enqueueReplaceState:function(e,t,n){e=e._reactInternals;var r=ue(),l=ht(e),i=Ye(r,l);i.tag=1,i.payload=t,n!=null&&(i.callback=n),t=ft(e,i,l),t!==null&&(De(t,e,l,r),Hr(t,e,l))},enqueueForceUpdate:function(e,t){e=e._reactInternals;var n=ue(),r=ht(e),l=Ye(n,r);l.tag=2,t!=null&&(l.callback=t),t=ft(e,l,r),t!==null&&(De(t,e,r,n),Hr(t,e,r))}};function su(e,t,n,r,l,i,s){return e=e.stateNode,typeof e.shouldComponentUpdate=="function"?e.shouldComponentUpdate(r,i,s):t.prototype&&t.prototype.isPureReactComponent?!Jn(n,r)||!Jn(l,i):!0}function wc(e,t,n){var r=!1,l=gt,i=t.contextType;return typeof i=="object"&&i!==null?i=_e(i):(l=me(t)?Rt:se.current,r=t.contextTypes,i=(r=r!=null)?un(e,l):gt),t=new t(n,i),e.memoizedState=t.state!==null&&t.state!==void 0?t.state:null,t.updater=Ml,e.stateNode=t,t._reactInternals=e,r&&(e=e.stateNode,e.__reactInternalMemoizedUnmaskedChildContext=l,e.__reactInternalMemoizedMaskedChildContext=i),t}function ou(e,t,n,r){e=t.state,typeof t.componentWillReceiveProps=="function"&&t.componentWillReceiveProps(n,r),typeof t.UNSAFE_componentWillReceiveProps=="function"&&t.UNSAFE_componentWillReceiveProps(n,r),t.state!==e&&Ml.enqueueReplaceState(t,t.state,null)}function bi(e,t,n,r){var l=e.stateNode;l.props=n,l.state=e.memoizedState,l.refs={},Qs(e);var i=t.contextType;typeof i=="object"&&i!==null?l.context=_e(i):(i=me(t)?Rt:se.current,l.context=un(e,i)),l.state=e.memoizedState,i=t.getDerivedStateFromProps,typeof i=="function"&&(qi(e,t,i,n),l.state=e.memoizedState),typeof t.getDerivedStateFromProps=="function"||typeof l.getSnapshotBeforeUpdate=="function"||typeof l.UNSAFE_componentWillMount!="function"&&typeof l.componentWillMount!="function"||(t=l.state,typeof l.componentWillMount=="function"&&l.componentWillMount(),typeof l.UNSAFE_componentWillMount=="function"&&l.UNSAFE_componentWillMount(),t!==l.state&&Ml.enqueueReplaceState(l,l.state,null),fl(e,n,l,r),l.state=e.memoizedState),typeof l.componentDidMount=="function"&&(e.flags|=4194308)}function fn(e,t){try{var n="",r=t;do n+=Kd(r),r=r.return;while(r);var l=n}catch(i){l=`
+Error generating stack: `+i.message+`
+`+i.stack}return{value:e,source:t,stack:l,digest:null}}function pi(e,t,n){return{value:e,source:null,stack:n??null,digest:t??null}}function es(e,t){try{console.error(t.value)}catch(n){setTimeout(function(){throw n})}}var kp=typeof WeakMap=="function"?WeakMap:Map;function Sc(e,t,n){n=Ye(-1,n),n.tag=3,n.payload={element:null};var r=t.value;return n.callback=function(){gl||(gl=!0,cs=r),es(e,t)},n}function jc(e,t,n){n=Ye(-1,n),n.tag=3;var r=e.type.getDerivedStateFromError;if(typeof r=="function"){var l=t.value;n.payload=function(){return r(l)},n.callback=function(){es(e,t)}}var i=e.stateNode;return i!==null&&typeof i.componentDidCatch=="function"&&(n.callback=function(){es(e,t),typeof r!="function"&&(pt===null?pt=new Set([this]):pt.add(this));var s=t.stack;this.componentDidCatch(t.value,{componentStack:s!==null?s:""})}),n}function uu(e,t,n){var r=e.pingCache;if(r===null){r=e.pingCache=new kp;var l=new Set;r.set(t,l)}else l=r.get(t),l===void 0&&(l=new Set,r.set(t,l));l.has(n)||(l.add(n),e=Op.bind(null,e,t,n),t.then(e,e))}function au(e){do{var t;if((t=e.tag===13)&&(t=e.memoizedState,t=t!==null?t.dehydrated!==null:!0),t)return e;e=e.return}while(e!==null);return null}function cu(e,t,n,r,l){return e.mode&1?(e.flags|=65536,e.lanes=l,e):(e===t?e.flags|=65536:(e.flags|=128,n.flags|=131072,n.flags&=-52805,n.tag===1&&(n.alternate===null?n.tag=17:(t=Ye(-1,1),t.tag=2,ft(n,t,1))),n.lanes|=1),e)}var wp=be.ReactCurrentOwner,pe=!1;function oe(e,t,n,r){t.child=e===null?qa(t,null,n,r):cn(t,e.child,n,r)}function du(e,t,n,r,l){n=n.render;var i=t.ref;return ln(t,l),r=Js(e,t,n,r,i,l),n=Zs(),e!==null&&!pe?(t.updateQueue=e.updateQueue,t.flags&=-2053,e.lanes&=~l,qe(e,t,l)):($&&n&&Us(t),t.flags|=1,oe(e,t,r,l),t.child)}function fu(e,t,n,r,l){if(e===null){var i=n.type;return typeof i=="function"&&!oo(i)&&i.defaultProps===void 0&&n.compare===null&&n.defaultProps===void 0?(t.tag=15,t.type=i,Nc(e,t,i,r,l)):(e=Jr(n.type,null,r,t,t.mode,l),e.ref=t.ref,e.return=t,t.child=e)}if(i=e.child,!(e.lanes&l)){var s=i.memoizedProps;if(n=n.compare,n=n!==null?n:Jn,n(s,r)&&e.ref===t.ref)return qe(e,t,l)}return t.flags|=1,e=mt(i,r),e.ref=t.ref,e.return=t,t.child=e}function Nc(e,t,n,r,l){if(e!==null){var i=e.memoizedProps;if(Jn(i,r)&&e.ref===t.ref)if(pe=!1,t.pendingProps=r=i,(e.lanes&l)!==0)e.flags&131072&&(pe=!0);else return t.lanes=e.lanes,qe(e,t,l)}return ts(e,t,n,r,l)}function Cc(e,t,n){var r=t.pendingProps,l=r.children,i=e!==null?e.memoizedState:null;if(r.mode==="hidden")if(!(t.mode&1))t.memoizedState={baseLanes:0,cachePool:null,transitions:null},D(bt,ge),ge|=n;else{if(!(n&1073741824))return e=i!==null?i.baseLanes|n:n,t.lanes=t.childLanes=1073741824,t.memoizedState={baseLanes:e,cachePool:null,transitions:null},t.updateQueue=null,D(bt,ge),ge|=e,null;t.memoizedState={baseLanes:0,cachePool:null,transitions:null},r=i!==null?i.baseLanes:n,D(bt,ge),ge|=r}else i!==null?(r=i.baseLanes|n,t.memoizedState=null):r=n,D(bt,ge),ge|=r;return oe(e,t,l,n),t.child}function Ec(e,t){var n=t.ref;(e===null&&n!==null||e!==null&&e.ref!==n)&&(t.flags|=512,t.flags|=2097152)}function ts(e,t,n,r,l){var i=me(n)?Rt:se.current;return i=un(t,i),ln(t,l),n=Js(e,t,n,r,i,l),r=Zs(),e!==null&&!pe?(t.updateQueue=e.updateQueue,t.flags&=-2053,e.lanes&=~l,qe(e,t,l)):($&&r&&Us(t),t.flags|=1,oe(e,t,n,l),t.child)}function pu(e,t,n,r,l){if(me(n)){var i=!0;ol(t)}else i=!1;if(ln(t,l),t.stateNode===null)Gr(e,t),wc(t,n,r),bi(t,n,r,l),r=!0;else if(e===null){var s=t.stateNode,u=t.memoizedProps;s.props=u;var a=s.context,d=n.contextType;typeof d=="object"&&d!==null?d=_e(d):(d=me(n)?Rt:se.current,d=un(t,d));var m=n.getDerivedStateFromProps,p=typeof m=="function"||typeof s.getSnapshotBeforeUpdate=="function";p||typeof s.UNSAFE_componentWillReceiveProps!="function"&&typeof s.componentWillReceiveProps!="function"||(u!==r||a!==d)&&ou(t,s,r,d),nt=!1;var v=t.memoizedState;s.state=v,fl(t,r,s,l),a=t.memoizedState,u!==r||v!==a||he.current||nt?(typeof m=="function"&&(qi(t,n,m,r),a=t.memoizedState),(u=nt||su(t,n,u,r,v,a,d))?(p||typeof s.UNSAFE_componentWillMount!="function"&&typeof s.componentWillMount!="function"||(typeof s.componentWillMount=="function"&&s.componentWillMount(),typeof s.UNSAFE_componentWillMount=="function"&&s.UNSAFE_componentWillMount()),typeof s.componentDidMount=="function"&&(t.flags|=4194308)):(typeof s.componentDidMount=="function"&&(t.flags|=4194308),t.memoizedProps=r,t.memoizedState=a),s.props=r,s.state=a,s.context=d,r=u):(typeof s.componentDidMount=="function"&&(t.flags|=4194308),r=!1)}else{s=t.stateNode,ec(e,t),u=t.memoizedProps,d=t.type===t.elementType?u:Re(t.type,u),s.props=d,p=t.pendingProps,v=s.context,a=n.contextType,typeof a=="object"&&a!==null?a=_e(a):(a=me(n)?Rt:se.current,a=un(t,a));var y=n.getDerivedStateFromProps;(m=typeof y=="function"||typeof s.getSnapshotBeforeUpdate=="function")||typeof s.UNSAFE_componentWillReceiveProps!="function"&&typeof s.componentWillReceiveProps!="function"||(u!==p||v!==a)&&ou(t,s,r,a),nt=!1,v=t.memoizedState,s.state=v,fl(t,r,s,l);var g=t.memoizedState;u!==p||v!==g||he.current||nt?(typeof y=="function"&&(qi(t,n,y,r),g=t.memoizedState),(d=nt||su(t,n,d,r,v,g,a)||!1)?(m||typeof s.UNSAFE_componentWillUpdate!="function"&&typeof s.componentWillUpdate!="function"||(typeof s.componentWillUpdate=="function"&&s.componentWillUpdate(r,g,a),typeof s.UNSAFE_componentWillUpdate=="function"&&s.UNSAFE_componentWillUpdate(r,g,a)),typeof s.componentDidUpdate=="function"&&(t.flags|=4),typeof s.getSnapshotBeforeUpdate=="function"&&(t.flags|=1024)):(typeof s.componentDidUpdate!="function"||u===e.memoizedProps&&v===e.memoizedState||(t.flags|=4),typeof s.getSnapshotBeforeUpdate!="function"||u===e.memoizedProps&&v===e.memoizedState||(t.flags|=1024),t.memoizedProps=r,t.memoizedState=g),s.props=r,s.state=g,s.context=a,r=d):(typeof s.componentDidUpdate!="function"||u===e.memoizedProps&&v===e.memoizedState||(t.flags|=4),typeof s.getSnapshotBeforeUpdate!="function"||u===e.memoizedProps&&v===e.memoizedState||(t.flags|=1024),r=!1)}return ns(e,t,n,r,i,l)}function ns(e,t,n,r,l,i){Ec(e,t);var s=(t.flags&128)!==0;if(!r&&!s)return l&&qo(t,n,!1),qe(e,t,i);r=t.stateNode,wp.current=t;var u=s&&typeof n.getDerivedStateFromError!="function"?null:r.render();return t.flags|=1,e!==null&&s?(t.child=cn(t,e.child,null,i),t.child=cn(t,null,u,i)):oe(e,t,u,i),t.memoizedState=r.state,l&&qo(t,n,!0),t.child}function Pc(e){var t=e.stateNode;t.pendingContext?Zo(e,t.pendingContext,t.pendingContext!==t.context):t.context&&Zo(e,t.context,!1),Ks(e,t.containerInfo)}function hu(e,t,n,r,l){return an(),Bs(l),t.flags|=256,oe(e,t,n,r),t.child}var rs={dehydrated:null,treeContext:null,retryLane:0};function ls(e){return{baseLanes:e,cachePool:null,transitions:null}}function _c(e,t,n){var r=t.pendingProps,l=B.current,i=!1,s=(t.flags&128)!==0,u;if((u=s)||(u=e!==null&&e.memoizedState===null?!1:(l&2)!==0),u?(i=!0,t.flags&=-129):(e===null||e.memoizedState!==null)&&(l|=1),D(B,l&1),e===null)return Ji(t),e=t.memoizedState,e!==null&&(e=e.dehydrated,e!==null)?(t.mode&1?e.data==="$!"?t.lanes=8:t.lanes=1073741824:t.lanes=1,null):(s=r.children,e=r.fallback,i?(r=t.mode,i=t.child,s={mode:"hidden",children:s},!(r&1)&&i!==null?(i.childLanes=0,i.pendingProps=s):i=Ll(s,r,0,null),e=Mt(e,r,n,null),i.return=t,e.return=t,i.sibling=e,t.child=i,t.child.memoizedState=ls(n),t.memoizedState=rs,e):eo(t,s));if(l=e.memoizedState,l!==null&&(u=l.dehydrated,u!==null))return Sp(e,t,s,r,u,l,n);if(i){i=r.fallback,s=t.mode,l=e.child,u=l.sibling;var a={mode:"hidden",children:r.children};return!(s&1)&&t.child!==l?(r=t.child,r.childLanes=0,r.pendingProps=a,t.deletions=null):(r=mt(l,a),r.subtreeFlags=l.subtreeFlags&14680064),u!==null?i=mt(u,i):(i=Mt(i,s,n,null),i.flags|=2),i.return=t,r.return=t,r.sibling=i,t.child=r,r=i,i=t.child,s=e.child.memoizedState,s=s===null?ls(n):{baseLanes:s.baseLanes|n,cachePool:null,transitions:s.transitions},i.memoizedState=s,i.childLanes=e.childLanes&~n,t.memoizedState=rs,r}return i=e.child,e=i.sibling,r=mt(i,{mode:"visible",children:r.children}),!(t.mode&1)&&(r.lanes=n),r.return=t,r.sibling=null,e!==null&&(n=t.deletions,n===null?(t.deletions=[e],t.flags|=16):n.push(e)),t.child=r,t.memoizedState=null,r}function eo(e,t){return t=Ll({mode:"visible",children:t},e.mode,0,null),t.return=e,e.child=t}function Lr(e,t,n,r){return r!==null&&Bs(r),cn(t,e.child,null,n),e=eo(t,t.pendingProps.children),e.flags|=2,t.memoizedState=null,e}function Sp(e,t,n,r,l,i,s){if(n)return t.flags&256?(t.flags&=-257,r=pi(Error(w(422))),Lr(e,t,s,r)):t.memoizedState!==null?(t.child=e.child,t.flags|=128,null):(i=r.fallback,l=t.mode,r=Ll({mode:"visible",children:r.children},l,0,null),i=Mt(i,l,s,null),i.flags|=2,r.return=t,i.return=t,r.sibling=i,t.child=r,t.mode&1&&cn(t,e.child,null,s),t.child.memoizedState=ls(s),t.memoizedState=rs,i);if(!(t.mode&1))return Lr(e,t,s,null);if(l.data==="$!"){if(r=l.nextSibling&&l.nextSibling.dataset,r)var u=r.dgst;return r=u,i=Error(w(419)),r=pi(i,r,void 0),Lr(e,t,s,r)}if(u=(s&e.childLanes)!==0,pe||u){if(r=b,r!==null){switch(s&-s){case 4:l=2;break;case 16:l=8;break;case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:l=32;break;case 536870912:l=268435456;break;default:l=0}l=l&(r.suspendedLanes|s)?0:l,l!==0&&l!==i.retryLane&&(i.retryLane=l,Ze(e,l),De(r,e,l,-1))}return so(),r=pi(Error(w(421))),Lr(e,t,s,r)}return l.data==="$?"?(t.flags|=128,t.child=e.child,t=Ip.bind(null,e),l._reactRetry=t,null):(e=i.treeContext,ye=dt(l.nextSibling),xe=t,$=!0,Oe=null,e!==null&&(je[Ne++]=Ke,je[Ne++]=Ge,je[Ne++]=Lt,Ke=e.id,Ge=e.overflow,Lt=t),t=eo(t,r.children),t.flags|=4096,t)}function mu(e,t,n){e.lanes|=t;var r=e.alternate;r!==null&&(r.lanes|=t),Zi(e.return,t,n)}function hi(e,t,n,r,l){var i=e.memoizedState;i===null?e.memoizedState={isBackwards:t,rendering:null,renderingStartTime:0,last:r,tail:n,tailMode:l}:(i.isBackwards=t,i.rendering=null,i.renderingStartTime=0,i.last=r,i.tail=n,i.tailMode=l)}function Tc(e,t,n){var r=t.pendingProps,l=r.revealOrder,i=r.tail;if(oe(e,t,r.children,n),r=B.current,r&2)r=r&1|2,t.flags|=128;else{if(e!==null&&e.flags&128)e:for(e=t.child;e!==null;){if(e.tag===13)e.memoizedState!==null&&mu(e,n,t);else if(e.tag===19)mu(e,n,t);else if(e.child!==null){e.child.return=e,e=e.child;continue}if(e===t)break e;for(;e.sibling===null;){if(e.return===null||e.return===t)break e;e=e.return}e.sibling.return=e.return,e=e.sibling}r&=1}if(D(B,r),!(t.mode&1))t.memoizedState=null;else switch(l){case"forwards":for(n=t.child,l=null;n!==null;)e=n.alternate,e!==null&&pl(e)===null&&(l=n),n=n.sibling;n=l,n===null?(l=t.child,t.child=null):(l=n.sibling,n.sibling=null),hi(t,!1,l,n,i);break;case"backwards":for(n=null,l=t.child,t.child=null;l!==null;){if(e=l.alternate,e!==null&&pl(e)===null){t.child=l;break}e=l.sibling,l.sibling=n,n=l,l=e}hi(t,!0,n,null,i);break;case"together":hi(t,!1,null,null,void 0);break;default:t.memoizedState=null}return t.child}function Gr(e,t){!(t.mode&1)&&e!==null&&(e.alternate=null,t.alternate=null,t.flags|=2)}function qe(e,t,n){if(e!==null&&(t.dependencies=e.dependencies),It|=t.lanes,!(n&t.childLanes))return null;if(e!==null&&t.child!==e.child)throw Error(w(153));if(t.child!==null){for(e=t.child,n=mt(e,e.pendingProps),t.child=n,n.return=t;e.sibling!==null;)e=e.sibling,n=n.sibling=mt(e,e.pendingProps),n.return=t;n.sibling=null}return t.child}function jp(e,t,n){switch(t.tag){case 3:Pc(t),an();break;case 5:tc(t);break;case 1:me(t.type)&&ol(t);break;case 4:Ks(t,t.stateNode.containerInfo);break;case 10:var r=t.type._context,l=t.memoizedProps.value;D(cl,r._currentValue),r._currentValue=l;break;case 13:if(r=t.memoizedState,r!==null)return r.dehydrated!==null?(D(B,B.current&1),t.flags|=128,null):n&t.child.childLanes?_c(e,t,n):(D(B,B.current&1),e=qe(e,t,n),e!==null?e.sibling:null);D(B,B.current&1);break;case 19:if(r=(n&t.childLanes)!==0,e.flags&128){if(r)return Tc(e,t,n);t.flags|=128}if(l=t.memoizedState,l!==null&&(l.rendering=null,l.tail=null,l.lastEffect=null),D(B,B.current),r)break;return null;case 22:case 23:return t.lanes=0,Cc(e,t,n)}return qe(e,t,n)}var Mc,is,zc,Rc;Mc=function(e,t){for(var n=t.child;n!==null;){if(n.tag===5||n.tag===6)e.appendChild(n.stateNode);else if(n.tag!==4&&n.child!==null){n.child.return=n,n=n.child;continue}if(n===t)break;for(;n.sibling===null;){if(n.return===null||n.return===t)return;n=n.return}n.sibling.return=n.return,n=n.sibling}};is=function(){};zc=function(e,t,n,r){var l=e.memoizedProps;if(l!==r){e=t.stateNode,_t(We.current);var i=null;switch(n){case"input":l=Pi(e,l),r=Pi(e,r),i=[];break;case"select":l=W({},l,{value:void 0}),r=W({},r,{value:void 0}),i=[];break;case"textarea":l=Mi(e,l),r=Mi(e,r),i=[];break;default:typeof l.onClick!="function"&&typeof r.onClick=="function"&&(e.onclick=il)}Ri(n,r);var s;n=null;for(d in l)if(!r.hasOwnProperty(d)&&l.hasOwnProperty(d)&&l[d]!=null)if(d==="style"){var u=l[d];for(s in u)u.hasOwnProperty(s)&&(n||(n={}),n[s]="")}else d!=="dangerouslySetInnerHTML"&&d!=="children"&&d!=="suppressContentEditableWarning"&&d!=="suppressHydrationWarning"&&d!=="autoFocus"&&(Vn.hasOwnProperty(d)?i||(i=[]):(i=i||[]).push(d,null));for(d in r){var a=r[d];if(u=l!=null?l[d]:void 0,r.hasOwnProperty(d)&&a!==u&&(a!=null||u!=null))if(d==="style")if(u){for(s in u)!u.hasOwnProperty(s)||a&&a.hasOwnProperty(s)||(n||(n={}),n[s]="");for(s in a)a.hasOwnProperty(s)&&u[s]!==a[s]&&(n||(n={}),n[s]=a[s])}else n||(i||(i=[]),i.push(d,n)),n=a;else d==="dangerouslySetInnerHTML"?(a=a?a.__html:void 0,u=u?u.__html:void 0,a!=null&&u!==a&&(i=i||[]).push(d,a)):d==="children"?typeof a!="string"&&typeof a!="number"||(i=i||[]).push(d,""+a):d!=="suppressContentEditableWarning"&&d!=="suppressHydrationWarning"&&(Vn.hasOwnProperty(d)?(a!=null&&d==="onScroll"&&F("scroll",e),i||u===a||(i=[])):(i=i||[]).push(d,a))}n&&(i=i||[]).push("style",n);var d=i;(t.updateQueue=d)&&(t.flags|=4)}};Rc=function(e,t,n,r){n!==r&&(t.flags|=4)};function En(e,t){if(!$)switch(e.tailMode){case"hidden":t=e.tail;for(var n=null;t!==null;)t.alternate!==null&&(n=t),t=t.sibling;n===null?e.tail=null:n.sibling=null;break;case"collapsed":n=e.tail;for(var r=null;n!==null;)n.alternate!==null&&(r=n),n=n.sibling;r===null?t||e.tail===null?e.tail=null:e.tail.sibling=null:r.sibling=null}}function le(e){var t=e.alternate!==null&&e.alternate.child===e.child,n=0,r=0;if(t)for(var l=e.child;l!==null;)n|=l.lanes|l.childLanes,r|=l.subtreeFlags&14680064,r|=l.flags&14680064,l.return=e,l=l.sibling;else for(l=e.child;l!==null;)n|=l.lanes|l.childLanes,r|=l.subtreeFlags,r|=l.flags,l.return=e,l=l.sibling;return e.subtreeFlags|=r,e.childLanes=n,t}function Np(e,t,n){var r=t.pendingProps;switch($s(t),t.tag){case 2:case 16:case 15:case 0:case 11:case 7:case 8:case 12:case 9:case 14:return le(t),null;case 1:return me(t.type)&&sl(),le(t),null;case 3:return r=t.stateNode,dn(),U(he),U(se),Ys(),r.pendingContext&&(r.context=r.pendingContext,r.pendingContext=null),(e===null||e.child===null)&&(zr(t)?t.flags|=4:e===null||e.memoizedState.isDehydrated&&!(t.flags&256)||(t.flags|=1024,Oe!==null&&(ps(Oe),Oe=null))),is(e,t),le(t),null;case 5:Gs(t);var l=_t(tr.current);if(n=t.type,e!==null&&t.stateNode!=null)zc(e,t,n,r,l),e.ref!==t.ref&&(t.flags|=512,t.flags|=2097152);else{if(!r){if(t.stateNode===null)throw Error(w(166));return le(t),null}if(e=_t(We.current),zr(t)){r=t.stateNode,n=t.type;var i=t.memoizedProps;switch(r[Be]=t,r[bn]=i,e=(t.mode&1)!==0,n){case"dialog":F("cancel",r),F("close",r);break;case"iframe":case"object":case"embed":F("load",r);break;case"video":case"audio":for(l=0;l<zn.length;l++)F(zn[l],r);break;case"source":F("error",r);break;case"img":case"image":case"link":F("error",r),F("load",r);break;case"details":F("toggle",r);break;case"input":No(r,i),F("invalid",r);break;case"select":r._wrapperState={wasMultiple:!!i.multiple},F("invalid",r);break;case"textarea":Eo(r,i),F("invalid",r)}Ri(n,i),l=null;for(var s in i)if(i.hasOwnProperty(s)){var u=i[s];s==="children"?typeof u=="string"?r.textContent!==u&&(i.suppressHydrationWarning!==!0&&Mr(r.textContent,u,e),l=["children",u]):typeof u=="number"&&r.textContent!==""+u&&(i.suppressHydrationWarning!==!0&&Mr(r.textContent,u,e),l=["children",""+u]):Vn.hasOwnProperty(s)&&u!=null&&s==="onScroll"&&F("scroll",r)}switch(n){case"input":Sr(r),Co(r,i,!0);break;case"textarea":Sr(r),Po(r);break;case"select":case"option":break;default:typeof i.onClick=="function"&&(r.onclick=il)}r=l,t.updateQueue=r,r!==null&&(t.flags|=4)}else{s=l.nodeType===9?l:l.ownerDocument,e==="http://www.w3.org/1999/xhtml"&&(e=sa(n)),e==="http://www.w3.org/1999/xhtml"?n==="script"?(e=s.createElement("div"),e.innerHTML="<script><\/script>",e=e.removeChild(e.firstChild)):typeof r.is=="string"?e=s.createElement(n,{is:r.is}):(e=s.createElement(n),n==="select"&&(s=e,r.multiple?s.multiple=!0:r.size&&(s.size=r.size))):e=s.createElementNS(e,n),e[Be]=t,e[bn]=r,Mc(e,t,!1,!1),t.stateNode=e;e:{switch(s=Li(n,r),n){case"dialog":F("cancel",e),F("close",e),l=r;break;case"iframe":case"object":case"embed":F("load",e),l=r;break;case"video":case"audio":for(l=0;l<zn.length;l++)F(zn[l],e);l=r;break;case"source":F("error",e),l=r;break;case"img":case"image":case"link":F("error",e),F("load",e),l=r;break;case"details":F("toggle",e),l=r;break;case"input":No(e,r),l=Pi(e,r),F("invalid",e);break;case"option":l=r;break;case"select":e._wrapperState={wasMultiple:!!r.multiple},l=W({},r,{value:void 0}),F("invalid",e);break;case"textarea":Eo(e,r),l=Mi(e,r),F("invalid",e);break;default:l=r}Ri(n,l),u=l;for(i in u)if(u.hasOwnProperty(i)){var a=u[i];i==="style"?aa(e,a):i==="dangerouslySetInnerHTML"?(a=a?a.__html:void 0,a!=null&&oa(e,a)):i==="children"?typeof a=="string"?(n!=="textarea"||a!=="")&&Hn(e,a):typeof a=="number"&&Hn(e,""+a):i!=="suppressContentEditableWarning"&&i!=="suppressHydrationWarning"&&i!=="autoFocus"&&(Vn.hasOwnProperty(i)?a!=null&&i==="onScroll"&&F("scroll",e):a!=null&&Ns(e,i,a,s))}switch(n){case"input":Sr(e),Co(e,r,!1);break;case"textarea":Sr(e),Po(e);break;case"option":r.value!=null&&e.setAttribute("value",""+vt(r.value));break;case"select":e.multiple=!!r.multiple,i=r.value,i!=null?en(e,!!r.multiple,i,!1):r.defaultValue!=null&&en(e,!!r.multiple,r.defaultValue,!0);break;default:typeof l.onClick=="function"&&(e.onclick=il)}switch(n){case"button":case"input":case"select":case"textarea":r=!!r.autoFocus;break e;case"img":r=!0;break e;default:r=!1}}r&&(t.flags|=4)}t.ref!==null&&(t.flags|=512,t.flags|=2097152)}return le(t),null;case 6:if(e&&t.stateNode!=null)Rc(e,t,e.memoizedProps,r);else{if(typeof r!="string"&&t.stateNode===null)throw Error(w(166));if(n=_t(tr.current),_t(We.current),zr(t)){if(r=t.stateNode,n=t.memoizedProps,r[Be]=t,(i=r.nodeValue!==n)&&(e=xe,e!==null))switch(e.tag){case 3:Mr(r.nodeValue,n,(e.mode&1)!==0);break;case 5:e.memoizedProps.suppressHydrationWarning!==!0&&Mr(r.nodeValue,n,(e.mode&1)!==0)}i&&(t.flags|=4)}else r=(n.nodeType===9?n:n.ownerDocument).createTextNode(r),r[Be]=t,t.stateNode=r}return le(t),null;case 13:if(U(B),r=t.memoizedState,e===null||e.memoizedState!==null&&e.memoizedState.dehydrated!==null){if($&&ye!==null&&t.mode&1&&!(t.flags&128))Ja(),an(),t.flags|=98560,i=!1;else if(i=zr(t),r!==null&&r.dehydrated!==null){if(e===null){if(!i)throw Error(w(318));if(i=t.memoizedState,i=i!==null?i.dehydrated:null,!i)throw Error(w(317));i[Be]=t}else an(),!(t.flags&128)&&(t.memoizedState=null),t.flags|=4;le(t),i=!1}else Oe!==null&&(ps(Oe),Oe=null),i=!0;if(!i)return t.flags&65536?t:null}return t.flags&128?(t.lanes=n,t):(r=r!==null,r!==(e!==null&&e.memoizedState!==null)&&r&&(t.child.flags|=8192,t.mode&1&&(e===null||B.current&1?J===0&&(J=3):so())),t.updateQueue!==null&&(t.flags|=4),le(t),null);case 4:return dn(),is(e,t),e===null&&Zn(t.stateNode.containerInfo),le(t),null;case 10:return Vs(t.type._context),le(t),null;case 17:return me(t.type)&&sl(),le(t),null;case 19:if(U(B),i=t.memoizedState,i===null)return le(t),null;if(r=(t.flags&128)!==0,s=i.rendering,s===null)if(r)En(i,!1);else{if(J!==0||e!==null&&e.flags&128)for(e=t.child;e!==null;){if(s=pl(e),s!==null){for(t.flags|=128,En(i,!1),r=s.updateQueue,r!==null&&(t.updateQueue=r,t.flags|=4),t.subtreeFlags=0,r=n,n=t.child;n!==null;)i=n,e=r,i.flags&=14680066,s=i.alternate,s===null?(i.childLanes=0,i.lanes=e,i.child=null,i.subtreeFlags=0,i.memoizedProps=null,i.memoizedState=null,i.updateQueue=null,i.dependencies=null,i.stateNode=null):(i.childLanes=s.childLanes,i.lanes=s.lanes,i.child=s.child,i.subtreeFlags=0,i.deletions=null,i.memoizedProps=s.memoizedProps,i.memoizedState=s.memoizedState,i.updateQueue=s.updateQueue,i.type=s.type,e=s.dependencies,i.dependencies=e===null?null:{lanes:e.lanes,firstContext:e.firstContext}),n=n.sibling;return D(B,B.current&1|2),t.child}e=e.sibling}i.tail!==null&&K()>pn&&(t.flags|=128,r=!0,En(i,!1),t.lanes=4194304)}else{if(!r)if(e=pl(s),e!==null){if(t.flags|=128,r=!0,n=e.updateQueue,n!==null&&(t.updateQueue=n,t.flags|=4),En(i,!0),i.tail===null&&i.tailMode==="hidden"&&!s.alternate&&!$)return le(t),null}else 2*K()-i.renderingStartTime>pn&&n!==1073741824&&(t.flags|=128,r=!0,En(i,!1),t.lanes=4194304);i.isBackwards?(s.sibling=t.child,t.child=s):(n=i.last,n!==null?n.sibling=s:t.child=s,i.last=s)}return i.tail!==null?(t=i.tail,i.rendering=t,i.tail=t.sibling,i.renderingStartTime=K(),t.sibling=null,n=B.current,D(B,r?n&1|2:n&1),t):(le(t),null);case 22:case 23:return io(),r=t.memoizedState!==null,e!==null&&e.memoizedState!==null!==r&&(t.flags|=8192),r&&t.mode&1?ge&1073741824&&(le(t),t.subtreeFlags&6&&(t.flags|=8192)):le(t),null;case 24:return null;case 25:return null}throw Error(w(156,t.tag))}function Cp(e,t){switch($s(t),t.tag){case 1:return me(t.type)&&sl(),e=t.flags,e&65536?(t.flags=e&-65537|128,t):null;case 3:return dn(),U(he),U(se),Ys(),e=t.flags,e&65536&&!(e&128)?(t.flags=e&-65537|128,t):null;case 5:return Gs(t),null;case 13:if(U(B),e=t.memoizedState,e!==null&&e.dehydrated!==null){if(t.alternate===null)throw Error(w(340));an()}return e=t.flags,e&65536?(t.flags=e&-65537|128,t):null;case 19:return U(B),null;case 4:return dn(),null;case 10:return Vs(t.type._context),null;case 22:case 23:return io(),null;case 24:return null;default:return null}}var Or=!1,ie=!1,Ep=typeof WeakSet=="function"?WeakSet:Set,C=null;function qt(e,t){var n=e.ref;if(n!==null)if(typeof n=="function")try{n(null)}catch(r){V(e,t,r)}else n.current=null}function ss(e,t,n){try{n()}catch(r){V(e,t,r)}}var vu=!1;function Pp(e,t){if(Vi=nl,e=Fa(),Fs(e)){if("selectionStart"in e)var n={start:e.selectionStart,end:e.selectionEnd};else e:{n=(n=e.ownerDocument)&&n.defaultView||window;var r=n.getSelection&&n.getSelection();if(r&&r.rangeCount!==0){n=r.anchorNode;var l=r.anchorOffset,i=r.focusNode;r=r.focusOffset;try{n.nodeType,i.nodeType}catch{n=null;break e}var s=0,u=-1,a=-1,d=0,m=0,p=e,v=null;t:for(;;){for(var y;p!==n||l!==0&&p.nodeType!==3||(u=s+l),p!==i||r!==0&&p.nodeType!==3||(a=s+r),p.nodeType===3&&(s+=p.nodeValue.length),(y=p.firstChild)!==null;)v=p,p=y;for(;;){if(p===e)break t;if(v===n&&++d===l&&(u=s),v===i&&++m===r&&(a=s),(y=p.nextSibling)!==null)break;p=v,v=p.parentNode}p=y}n=u===-1||a===-1?null:{start:u,end:a}}else n=null}n=n||{start:0,end:0}}else n=null;for(Hi={focusedElem:e,selectionRange:n},nl=!1,C=t;C!==null;)if(t=C,e=t.child,(t.subtreeFlags&1028)!==0&&e!==null)e.return=t,C=e;else for(;C!==null;){t=C;try{var g=t.alternate;if(t.flags&1024)switch(t.tag){case 0:case 11:case 15:break;case 1:if(g!==null){var x=g.memoizedProps,S=g.memoizedState,f=t.stateNode,c=f.getSnapshotBeforeUpdate(t.elementType===t.type?x:Re(t.type,x),S);f.__reactInternalSnapshotBeforeUpdate=c}break;case 3:var h=t.stateNode.containerInfo;h.nodeType===1?h.textContent="":h.nodeType===9&&h.documentElement&&h.removeChild(h.documentElement);break;case 5:case 6:case 4:case 17:break;default:throw Error(w(163))}}catch(k){V(t,t.return,k)}if(e=t.sibling,e!==null){e.return=t.return,C=e;break}C=t.return}return g=vu,vu=!1,g}function Bn(e,t,n){var r=t.updateQueue;if(r=r!==null?r.lastEffect:null,r!==null){var l=r=r.next;do{if((l.tag&e)===e){var i=l.destroy;l.destroy=void 0,i!==void 0&&ss(t,n,i)}l=l.next}while(l!==r)}}function zl(e,t){if(t=t.updateQueue,t=t!==null?t.lastEffect:null,t!==null){var n=t=t.next;do{if((n.tag&e)===e){var r=n.create;n.destroy=r()}n=n.next}while(n!==t)}}function os(e){var t=e.ref;if(t!==null){var n=e.stateNode;switch(e.tag){case 5:e=n;break;default:e=n}typeof t=="function"?t(e):t.current=e}}function Lc(e){var t=e.alternate;t!==null&&(e.alternate=null,Lc(t)),e.child=null,e.deletions=null,e.sibling=null,e.tag===5&&(t=e.stateNode,t!==null&&(delete t[Be],delete t[bn],delete t[Gi],delete t[ap],delete t[cp])),e.stateNode=null,e.return=null,e.dependencies=null,e.memoizedProps=null,e.memoizedState=null,e.pendingProps=null,e.stateNode=null,e.updateQueue=null}function Oc(e){return e.tag===5||e.tag===3||e.tag===4}function gu(e){e:for(;;){for(;e.sibling===null;){if(e.return===null||Oc(e.return))return null;e=e.return}for(e.sibling.return=e.return,e=e.sibling;e.tag!==5&&e.tag!==6&&e.tag!==18;){if(e.flags&2||e.child===null||e.tag===4)continue e;e.child.return=e,e=e.child}if(!(e.flags&2))return e.stateNode}}function us(e,t,n){var r=e.tag;if(r===5||r===6)e=e.stateNode,t?n.nodeType===8?n.parentNode.insertBefore(e,t):n.insertBefore(e,t):(n.nodeType===8?(t=n.parentNode,t.insertBefore(e,n)):(t=n,t.appendChild(e)),n=n._reactRootContainer,n!=null||t.onclick!==null||(t.onclick=il));else if(r!==4&&(e=e.child,e!==null))for(us(e,t,n),e=e.sibling;e!==null;)us(e,t,n),e=e.sibling}function as(e,t,n){var r=e.tag;if(r===5||r===6)e=e.stateNode,t?n.insertBefore(e,t):n.appendChild(e);else if(r!==4&&(e=e.child,e!==null))for(as(e,t,n),e=e.sibling;e!==null;)as(e,t,n),e=e.sibling}var ee=null,Le=!1;function et(e,t,n){for(n=n.child;n!==null;)Ic(e,t,n),n=n.sibling}function Ic(e,t,n){if(Ae&&typeof Ae.onCommitFiberUnmount=="function")try{Ae.onCommitFiberUnmount(jl,n)}catch{}switch(n.tag){case 5:ie||qt(n,t);case 6:var r=ee,l=Le;ee=null,et(e,t,n),ee=r,Le=l,ee!==null&&(Le?(e=ee,n=n.stateNode,e.nodeType===8?e.parentNode.removeChild(n):e.removeChild(n)):ee.removeChild(n.stateNode));break;case 18:ee!==null&&(Le?(e=ee,n=n.stateNode,e.nodeType===8?oi(e.parentNode,n):e.nodeType===1&&oi(e,n),Yn(e)):oi(ee,n.stateNode));break;case 4:r=ee,l=Le,ee=n.stateNode.containerInfo,Le=!0,et(e,t,n),ee=r,Le=l;break;case 0:case 11:case 14:case 15:if(!ie&&(r=n.updateQueue,r!==null&&(r=r.lastEffect,r!==null))){l=r=r.next;do{var i=l,s=i.destroy;i=i.tag,s!==void 0&&(i&2||i&4)&&ss(n,t,s),l=l.next}while(l!==r)}et(e,t,n);break;case 1:if(!ie&&(qt(n,t),r=n.stateNode,typeof r.componentWillUnmount=="function"))try{r.props=n.memoizedProps,r.state=n.memoizedState,r.componentWillUnmount()}catch(u){V(n,t,u)}et(e,t,n);break;case 21:et(e,t,n);break;case 22:n.mode&1?(ie=(r=ie)||n.memoizedState!==null,et(e,t,n),ie=r):et(e,t,n);break;default:et(e,t,n)}}function yu(e){var t=e.updateQueue;if(t!==null){e.updateQueue=null;var n=e.stateNode;n===null&&(n=e.stateNode=new Ep),t.forEach(function(r){var l=Dp.bind(null,e,r);n.has(r)||(n.add(r),r.then(l,l))})}}function ze(e,t){var n=t.deletions;if(n!==null)for(var r=0;r<n.length;r++){var l=n[r];try{var i=e,s=t,u=s;e:for(;u!==null;){switch(u.tag){case 5:ee=u.stateNode,Le=!1;break e;case 3:ee=u.stateNode.containerInfo,Le=!0;break e;case 4:ee=u.stateNode.containerInfo,Le=!0;break e}u=u.return}if(ee===null)throw Error(w(160));Ic(i,s,l),ee=null,Le=!1;var a=l.alternate;a!==null&&(a.return=null),l.return=null}catch(d){V(l,t,d)}}if(t.subtreeFlags&12854)for(t=t.child;t!==null;)Dc(t,e),t=t.sibling}function Dc(e,t){var n=e.alternate,r=e.flags;switch(e.tag){case 0:case 11:case 14:case 15:if(ze(t,e),Ue(e),r&4){try{Bn(3,e,e.return),zl(3,e)}catch(x){V(e,e.return,x)}try{Bn(5,e,e.return)}catch(x){V(e,e.return,x)}}break;case 1:ze(t,e),Ue(e),r&512&&n!==null&&qt(n,n.return);break;case 5:if(ze(t,e),Ue(e),r&512&&n!==null&&qt(n,n.return),e.flags&32){var l=e.stateNode;try{Hn(l,"")}catch(x){V(e,e.return,x)}}if(r&4&&(l=e.stateNode,l!=null)){var i=e.memoizedProps,s=n!==null?n.memoizedProps:i,u=e.type,a=e.updateQueue;if(e.updateQueue=null,a!==null)try{u==="input"&&i.type==="radio"&&i.name!=null&&la(l,i),Li(u,s);var d=Li(u,i);for(s=0;s<a.length;s+=2){var m=a[s],p=a[s+1];m==="style"?aa(l,p):m==="dangerouslySetInnerHTML"?oa(l,p):m==="children"?Hn(l,p):Ns(l,m,p,d)}switch(u){case"input":_i(l,i);break;case"textarea":ia(l,i);break;case"select":var v=l._wrapperState.wasMultiple;l._wrapperState.wasMultiple=!!i.multiple;var y=i.value;y!=null?en(l,!!i.multiple,y,!1):v!==!!i.multiple&&(i.defaultValue!=null?en(l,!!i.multiple,i.defaultValue,!0):en(l,!!i.multiple,i.multiple?[]:"",!1))}l[bn]=i}catch(x){V(e,e.return,x)}}break;case 6:if(ze(t,e),Ue(e),r&4){if(e.stateNode===null)throw Error(w(162));l=e.stateNode,i=e.memoizedProps;try{l.nodeValue=i}catch(x){V(e,e.return,x)}}break;case 3:if(ze(t,e),Ue(e),r&4&&n!==null&&n.memoizedState.isDehydrated)try{Yn(t.containerInfo)}catch(x){V(e,e.return,x)}break;case 4:ze(t,e),Ue(e);break;case 13:ze(t,e),Ue(e),l=e.child,l.flags&8192&&(i=l.memoizedState!==null,l.stateNode.isHidden=i,!i||l.alternate!==null&&l.alternate.memoizedState!==null||(ro=K())),r&4&&yu(e);break;case 22:if(m=n!==null&&n.memoizedState!==null,e.mode&1?(ie=(d=ie)||m,ze(t,e),ie=d):ze(t,e),Ue(e),r&8192){if(d=e.memoizedState!==null,(e.stateNode.isHidden=d)&&!m&&e.mode&1)for(C=e,m=e.child;m!==null;){for(p=C=m;C!==null;){switch(v=C,y=v.child,v.tag){case 0:case 11:case 14:case 15:Bn(4,v,v.return);break;case 1:qt(v,v.return);var g=v.stateNode;if(typeof g.componentWillUnmount=="function"){r=v,n=v.return;try{t=r,g.props=t.memoizedProps,g.state=t.memoizedState,g.componentWillUnmount()}catch(x){V(r,n,x)}}break;case 5:qt(v,v.return);break;case 22:if(v.memoizedState!==null){ku(p);continue}}y!==null?(y.return=v,C=y):ku(p)}m=m.sibling}e:for(m=null,p=e;;){if(p.tag===5){if(m===null){m=p;try{l=p.stateNode,d?(i=l.style,typeof i.setProperty=="function"?i.setProperty("display","none","important"):i.display="none"):(u=p.stateNode,a=p.memoizedProps.style,s=a!=null&&a.hasOwnProperty("display")?a.display:null,u.style.display=ua("display",s))}catch(x){V(e,e.return,x)}}}else if(p.tag===6){if(m===null)try{p.stateNode.nodeValue=d?"":p.memoizedProps}catch(x){V(e,e.return,x)}}else if((p.tag!==22&&p.tag!==23||p.memoizedState===null||p===e)&&p.child!==null){p.child.return=p,p=p.child;continue}if(p===e)break e;for(;p.sibling===null;){if(p.return===null||p.return===e)break e;m===p&&(m=null),p=p.return}m===p&&(m=null),p.sibling.return=p.return,p=p.sibling}}break;case 19:ze(t,e),Ue(e),r&4&&yu(e);break;case 21:break;default:ze(t,e),Ue(e)}}function Ue(e){var t=e.flags;if(t&2){try{e:{for(var n=e.return;n!==null;){if(Oc(n)){var r=n;break e}n=n.return}throw Error(w(160))}switch(r.tag){case 5:var l=r.stateNode;r.flags&32&&(Hn(l,""),r.flags&=-33);var i=gu(e);as(e,i,l);break;case 3:case 4:var s=r.stateNode.containerInfo,u=gu(e);us(e,u,s);break;default:throw Error(w(161))}}catch(a){V(e,e.return,a)}e.flags&=-3}t&4096&&(e.flags&=-4097)}function _p(e,t,n){C=e,Fc(e)}function Fc(e,t,n){for(var r=(e.mode&1)!==0;C!==null;){var l=C,i=l.child;if(l.tag===22&&r){var s=l.memoizedState!==null||Or;if(!s){var u=l.alternate,a=u!==null&&u.memoizedState!==null||ie;u=Or;var d=ie;if(Or=s,(ie=a)&&!d)for(C=l;C!==null;)s=C,a=s.child,s.tag===22&&s.memoizedState!==null?wu(l):a!==null?(a.return=s,C=a):wu(l);for(;i!==null;)C=i,Fc(i),i=i.sibling;C=l,Or=u,ie=d}xu(e)}else l.subtreeFlags&8772&&i!==null?(i.return=l,C=i):xu(e)}}function xu(e){for(;C!==null;){var t=C;if(t.flags&8772){var n=t.alternate;try{if(t.flags&8772)switch(t.tag){case 0:case 11:case 15:ie||zl(5,t);break;case 1:var r=t.stateNode;if(t.flags&4&&!ie)if(n===null)r.componentDidMount();else{var l=t.elementType===t.type?n.memoizedProps:Re(t.type,n.memoizedProps);r.componentDidUpdate(l,n.memoizedState,r.__reactInternalSnapshotBeforeUpdate)}var i=t.updateQueue;i!==null&&ru(t,i,r);break;case 3:var s=t.updateQueue;if(s!==null){if(n=null,t.child!==null)switch(t.child.tag){case 5:n=t.child.stateNode;break;case 1:n=t.child.stateNode}ru(t,s,n)}break;case 5:var u=t.stateNode;if(n===null&&t.flags&4){n=u;var a=t.memoizedProps;switch(t.type){case"button":case"input":case"select":case"textarea":a.autoFocus&&n.focus();break;case"img":a.src&&(n.src=a.src)}}break;case 6:break;case 4:break;case 12:break;case 13:if(t.memoizedState===null){var d=t.alternate;if(d!==null){var m=d.memoizedState;if(m!==null){var p=m.dehydrated;p!==null&&Yn(p)}}}break;case 19:case 17:case 21:case 22:case 23:case 25:break;default:throw Error(w(163))}ie||t.flags&512&&os(t)}catch(v){V(t,t.return,v)}}if(t===e){C=null;break}if(n=t.sibling,n!==null){n.return=t.return,C=n;break}C=t.return}}function ku(e){for(;C!==null;){var t=C;if(t===e){C=null;break}var n=t.sibling;if(n!==null){n.return=t.return,C=n;break}C=t.return}}function wu(e){for(;C!==null;){var t=C;try{switch(t.tag){case 0:case 11:case 15:var n=t.return;try{zl(4,t)}catch(a){V(t,n,a)}break;case 1:var r=t.stateNode;if(typeof r.componentDidMount=="function"){var l=t.return;try{r.componentDidMount()}catch(a){V(t,l,a)}}var i=t.return;try{os(t)}catch(a){V(t,i,a)}break;case 5:var s=t.return;try{os(t)}catch(a){V(t,s,a)}}}catch(a){V(t,t.return,a)}if(t===e){C=null;break}var u=t.sibling;if(u!==null){u.return=t.return,C=u;break}C=t.return}}var Tp=Math.ceil,vl=be.ReactCurrentDispatcher,to=be.ReactCurrentOwner,Pe=be.ReactCurrentBatchConfig,O=0,b=null,G=null,te=0,ge=0,bt=xt(0),J=0,ir=null,It=0,Rl=0,no=0,An=null,fe=null,ro=0,pn=1/0,Ve=null,gl=!1,cs=null,pt=null,Ir=!1,st=null,yl=0,Wn=0,ds=null,Yr=-1,Xr=0;function ue(){return O&6?K():Yr!==-1?Yr:Yr=K()}function ht(e){return e.mode&1?O&2&&te!==0?te&-te:fp.transition!==null?(Xr===0&&(Xr=wa()),Xr):(e=I,e!==0||(e=window.event,e=e===void 0?16:_a(e.type)),e):1}function De(e,t,n,r){if(50<Wn)throw Wn=0,ds=null,Error(w(185));fr(e,n,r),(!(O&2)||e!==b)&&(e===b&&(!(O&2)&&(Rl|=n),J===4&&lt(e,te)),ve(e,r),n===1&&O===0&&!(t.mode&1)&&(pn=K()+500,_l&&kt()))}function ve(e,t){var n=e.callbackNode;ff(e,t);var r=tl(e,e===b?te:0);if(r===0)n!==null&&Mo(n),e.callbackNode=null,e.callbackPriority=0;else if(t=r&-r,e.callbackPriority!==t){if(n!=null&&Mo(n),t===1)e.tag===0?dp(Su.bind(null,e)):Ga(Su.bind(null,e)),op(function(){!(O&6)&&kt()}),n=null;else{switch(Sa(r)){case 1:n=Ts;break;case 4:n=xa;break;case 16:n=el;break;case 536870912:n=ka;break;default:n=el}n=Qc(n,Uc.bind(null,e))}e.callbackPriority=t,e.callbackNode=n}}function Uc(e,t){if(Yr=-1,Xr=0,O&6)throw Error(w(327));var n=e.callbackNode;if(sn()&&e.callbackNode!==n)return null;var r=tl(e,e===b?te:0);if(r===0)return null;if(r&30||r&e.expiredLanes||t)t=xl(e,r);else{t=r;var l=O;O|=2;var i=Bc();(b!==e||te!==t)&&(Ve=null,pn=K()+500,Tt(e,t));do try{Rp();break}catch(u){$c(e,u)}while(!0);Ws(),vl.current=i,O=l,G!==null?t=0:(b=null,te=0,t=J)}if(t!==0){if(t===2&&(l=Ui(e),l!==0&&(r=l,t=fs(e,l))),t===1)throw n=ir,Tt(e,0),lt(e,r),ve(e,K()),n;if(t===6)lt(e,r);else{if(l=e.current.alternate,!(r&30)&&!Mp(l)&&(t=xl(e,r),t===2&&(i=Ui(e),i!==0&&(r=i,t=fs(e,i))),t===1))throw n=ir,Tt(e,0),lt(e,r),ve(e,K()),n;switch(e.finishedWork=l,e.finishedLanes=r,t){case 0:case 1:throw Error(w(345));case 2:Ct(e,fe,Ve);break;case 3:if(lt(e,r),(r&130023424)===r&&(t=ro+500-K(),10<t)){if(tl(e,0)!==0)break;if(l=e.suspendedLanes,(l&r)!==r){ue(),e.pingedLanes|=e.suspendedLanes&l;break}e.timeoutHandle=Ki(Ct.bind(null,e,fe,Ve),t);break}Ct(e,fe,Ve);break;case 4:if(lt(e,r),(r&4194240)===r)break;for(t=e.eventTimes,l=-1;0<r;){var s=31-Ie(r);i=1<<s,s=t[s],s>l&&(l=s),r&=~i}if(r=l,r=K()-r,r=(120>r?120:480>r?480:1080>r?1080:1920>r?1920:3e3>r?3e3:4320>r?4320:1960*Tp(r/1960))-r,10<r){e.timeoutHandle=Ki(Ct.bind(null,e,fe,Ve),r);break}Ct(e,fe,Ve);break;case 5:Ct(e,fe,Ve);break;default:throw Error(w(329))}}}return ve(e,K()),e.callbackNode===n?Uc.bind(null,e):null}function fs(e,t){var n=An;return e.current.memoizedState.isDehydrated&&(Tt(e,t).flags|=256),e=xl(e,t),e!==2&&(t=fe,fe=n,t!==null&&ps(t)),e}function ps(e){fe===null?fe=e:fe.push.apply(fe,e)}function Mp(e){for(var t=e;;){if(t.flags&16384){var n=t.updateQueue;if(n!==null&&(n=n.stores,n!==null))for(var r=0;r<n.length;r++){var l=n[r],i=l.getSnapshot;l=l.value;try{if(!Fe(i(),l))return!1}catch{return!1}}}if(n=t.child,t.subtreeFlags&16384&&n!==null)n.return=t,t=n;else{if(t===e)break;for(;t.sibling===null;){if(t.return===null||t.return===e)return!0;t=t.return}t.sibling.return=t.return,t=t.sibling}}return!0}function lt(e,t){for(t&=~no,t&=~Rl,e.suspendedLanes|=t,e.pingedLanes&=~t,e=e.expirationTimes;0<t;){var n=31-Ie(t),r=1<<n;e[n]=-1,t&=~r}}function Su(e){if(O&6)throw Error(w(327));sn();var t=tl(e,0);if(!(t&1))return ve(e,K()),null;var n=xl(e,t);if(e.tag!==0&&n===2){var r=Ui(e);r!==0&&(t=r,n=fs(e,r))}if(n===1)throw n=ir,Tt(e,0),lt(e,t),ve(e,K()),n;if(n===6)throw Error(w(345));return e.finishedWork=e.current.alternate,e.finishedLanes=t,Ct(e,fe,Ve),ve(e,K()),null}function lo(e,t){var n=O;O|=1;try{return e(t)}finally{O=n,O===0&&(pn=K()+500,_l&&kt())}}function Dt(e){st!==null&&st.tag===0&&!(O&6)&&sn();var t=O;O|=1;var n=Pe.transition,r=I;try{if(Pe.transition=null,I=1,e)return e()}finally{I=r,Pe.transition=n,O=t,!(O&6)&&kt()}}function io(){ge=bt.current,U(bt)}function Tt(e,t){e.finishedWork=null,e.finishedLanes=0;var n=e.timeoutHandle;if(n!==-1&&(e.timeoutHandle=-1,sp(n)),G!==null)for(n=G.return;n!==null;){var r=n;switch($s(r),r.tag){case 1:r=r.type.childContextTypes,r!=null&&sl();break;case 3:dn(),U(he),U(se),Ys();break;case 5:Gs(r);break;case 4:dn();break;case 13:U(B);break;case 19:U(B);break;case 10:Vs(r.type._context);break;case 22:case 23:io()}n=n.return}if(b=e,G=e=mt(e.current,null),te=ge=t,J=0,ir=null,no=Rl=It=0,fe=An=null,Pt!==null){for(t=0;t<Pt.length;t++)if(n=Pt[t],r=n.interleaved,r!==null){n.interleaved=null;var l=r.next,i=n.pending;if(i!==null){var s=i.next;i.next=l,r.next=s}n.pending=r}Pt=null}return e}function $c(e,t){do{var n=G;try{if(Ws(),Qr.current=ml,hl){for(var r=A.memoizedState;r!==null;){var l=r.queue;l!==null&&(l.pending=null),r=r.next}hl=!1}if(Ot=0,q=X=A=null,$n=!1,nr=0,to.current=null,n===null||n.return===null){J=1,ir=t,G=null;break}e:{var i=e,s=n.return,u=n,a=t;if(t=te,u.flags|=32768,a!==null&&typeof a=="object"&&typeof a.then=="function"){var d=a,m=u,p=m.tag;if(!(m.mode&1)&&(p===0||p===11||p===15)){var v=m.alternate;v?(m.updateQueue=v.updateQueue,m.memoizedState=v.memoizedState,m.lanes=v.lanes):(m.updateQueue=null,m.memoizedState=null)}var y=au(s);if(y!==null){y.flags&=-257,cu(y,s,u,i,t),y.mode&1&&uu(i,d,t),t=y,a=d;var g=t.updateQueue;if(g===null){var x=new Set;x.add(a),t.updateQueue=x}else g.add(a);break e}else{if(!(t&1)){uu(i,d,t),so();break e}a=Error(w(426))}}else if($&&u.mode&1){var S=au(s);if(S!==null){!(S.flags&65536)&&(S.flags|=256),cu(S,s,u,i,t),Bs(fn(a,u));break e}}i=a=fn(a,u),J!==4&&(J=2),An===null?An=[i]:An.push(i),i=s;do{switch(i.tag){case 3:i.flags|=65536,t&=-t,i.lanes|=t;var f=Sc(i,a,t);nu(i,f);break e;case 1:u=a;var c=i.type,h=i.stateNode;if(!(i.flags&128)&&(typeof c.getDerivedStateFromError=="function"||h!==null&&typeof h.componentDidCatch=="function"&&(pt===null||!pt.has(h)))){i.flags|=65536,t&=-t,i.lanes|=t;var k=jc(i,u,t);nu(i,k);break e}}i=i.return}while(i!==null)}Wc(n)}catch(N){t=N,G===n&&n!==null&&(G=n=n.return);continue}break}while(!0)}function Bc(){var e=vl.current;return vl.current=ml,e===null?ml:e}function so(){(J===0||J===3||J===2)&&(J=4),b===null||!(It&268435455)&&!(Rl&268435455)||lt(b,te)}function xl(e,t){var n=O;O|=2;var r=Bc();(b!==e||te!==t)&&(Ve=null,Tt(e,t));do try{zp();break}catch(l){$c(e,l)}while(!0);if(Ws(),O=n,vl.current=r,G!==null)throw Error(w(261));return b=null,te=0,J}function zp(){for(;G!==null;)Ac(G)}function Rp(){for(;G!==null&&!nf();)Ac(G)}function Ac(e){var t=Hc(e.alternate,e,ge);e.memoizedProps=e.pendingProps,t===null?Wc(e):G=t,to.current=null}function Wc(e){var t=e;do{var n=t.alternate;if(e=t.return,t.flags&32768){if(n=Cp(n,t),n!==null){n.flags&=32767,G=n;return}if(e!==null)e.flags|=32768,e.subtreeFlags=0,e.deletions=null;else{J=6,G=null;return}}else if(n=Np(n,t,ge),n!==null){G=n;return}if(t=t.sibling,t!==null){G=t;return}G=t=e}while(t!==null);J===0&&(J=5)}function Ct(e,t,n){var r=I,l=Pe.transition;try{Pe.transition=null,I=1,Lp(e,t,n,r)}finally{Pe.transition=l,I=r}return null}function Lp(e,t,n,r){do sn();while(st!==null);if(O&6)throw Error(w(327));n=e.finishedWork;var l=e.finishedLanes;if(n===null)return null;if(e.finishedWork=null,e.finishedLanes=0,n===e.current)throw Error(w(177));e.callbackNode=null,e.callbackPriority=0;var i=n.lanes|n.childLanes;if(pf(e,i),e===b&&(G=b=null,te=0),!(n.subtreeFlags&2064)&&!(n.flags&2064)||Ir||(Ir=!0,Qc(el,function(){return sn(),null})),i=(n.flags&15990)!==0,n.subtreeFlags&15990||i){i=Pe.transition,Pe.transition=null;var s=I;I=1;var u=O;O|=4,to.current=null,Pp(e,n),Dc(n,e),bf(Hi),nl=!!Vi,Hi=Vi=null,e.current=n,_p(n),rf(),O=u,I=s,Pe.transition=i}else e.current=n;if(Ir&&(Ir=!1,st=e,yl=l),i=e.pendingLanes,i===0&&(pt=null),of(n.stateNode),ve(e,K()),t!==null)for(r=e.onRecoverableError,n=0;n<t.length;n++)l=t[n],r(l.value,{componentStack:l.stack,digest:l.digest});if(gl)throw gl=!1,e=cs,cs=null,e;return yl&1&&e.tag!==0&&sn(),i=e.pendingLanes,i&1?e===ds?Wn++:(Wn=0,ds=e):Wn=0,kt(),null}function sn(){if(st!==null){var e=Sa(yl),t=Pe.transition,n=I;try{if(Pe.transition=null,I=16>e?16:e,st===null)var r=!1;else{if(e=st,st=null,yl=0,O&6)throw Error(w(331));var l=O;for(O|=4,C=e.current;C!==null;){var i=C,s=i.child;if(C.flags&16){var u=i.deletions;if(u!==null){for(var a=0;a<u.length;a++){var d=u[a];for(C=d;C!==null;){var m=C;switch(m.tag){case 0:case 11:case 15:Bn(8,m,i)}var p=m.child;if(p!==null)p.return=m,C=p;else for(;C!==null;){m=C;var v=m.sibling,y=m.return;if(Lc(m),m===d){C=null;break}if(v!==null){v.return=y,C=v;break}C=y}}}var g=i.alternate;if(g!==null){var x=g.child;if(x!==null){g.child=null;do{var S=x.sibling;x.sibling=null,x=S}while(x!==null)}}C=i}}if(i.subtreeFlags&2064&&s!==null)s.return=i,C=s;else e:for(;C!==null;){if(i=C,i.flags&2048)switch(i.tag){case 0:case 11:case 15:Bn(9,i,i.return)}var f=i.sibling;if(f!==null){f.return=i.return,C=f;break e}C=i.return}}var c=e.current;for(C=c;C!==null;){s=C;var h=s.child;if(s.subtreeFlags&2064&&h!==null)h.return=s,C=h;else e:for(s=c;C!==null;){if(u=C,u.flags&2048)try{switch(u.tag){case 0:case 11:case 15:zl(9,u)}}catch(N){V(u,u.return,N)}if(u===s){C=null;break e}var k=u.sibling;if(k!==null){k.return=u.return,C=k;break e}C=u.return}}if(O=l,kt(),Ae&&typeof Ae.onPostCommitFiberRoot=="function")try{Ae.onPostCommitFiberRoot(jl,e)}catch{}r=!0}return r}finally{I=n,Pe.transition=t}}return!1}function ju(e,t,n){t=fn(n,t),t=Sc(e,t,1),e=ft(e,t,1),t=ue(),e!==null&&(fr(e,1,t),ve(e,t))}function V(e,t,n){if(e.tag===3)ju(e,e,n);else for(;t!==null;){if(t.tag===3){ju(t,e,n);break}else if(t.tag===1){var r=t.stateNode;if(typeof t.type.getDerivedStateFromError=="function"||typeof r.componentDidCatch=="function"&&(pt===null||!pt.has(r))){e=fn(n,e),e=jc(t,e,1),t=ft(t,e,1),e=ue(),t!==null&&(fr(t,1,e),ve(t,e));break}}t=t.return}}function Op(e,t,n){var r=e.pingCache;r!==null&&r.delete(t),t=ue(),e.pingedLanes|=e.suspendedLanes&n,b===e&&(te&n)===n&&(J===4||J===3&&(te&130023424)===te&&500>K()-ro?Tt(e,0):no|=n),ve(e,t)}function Vc(e,t){t===0&&(e.mode&1?(t=Cr,Cr<<=1,!(Cr&130023424)&&(Cr=4194304)):t=1);var n=ue();e=Ze(e,t),e!==null&&(fr(e,t,n),ve(e,n))}function Ip(e){var t=e.memoizedState,n=0;t!==null&&(n=t.retryLane),Vc(e,n)}function Dp(e,t){var n=0;switch(e.tag){case 13:var r=e.stateNode,l=e.memoizedState;l!==null&&(n=l.retryLane);break;case 19:r=e.stateNode;break;default:throw Error(w(314))}r!==null&&r.delete(t),Vc(e,n)}var Hc;Hc=function(e,t,n){if(e!==null)if(e.memoizedProps!==t.pendingProps||he.current)pe=!0;else{if(!(e.lanes&n)&&!(t.flags&128))return pe=!1,jp(e,t,n);pe=!!(e.flags&131072)}else pe=!1,$&&t.flags&1048576&&Ya(t,al,t.index);switch(t.lanes=0,t.tag){case 2:var r=t.type;Gr(e,t),e=t.pendingProps;var l=un(t,se.current);ln(t,n),l=Js(null,t,r,e,l,n);var i=Zs();return t.flags|=1,typeof l=="object"&&l!==null&&typeof l.render=="function"&&l.$$typeof===void 0?(t.tag=1,t.memoizedState=null,t.updateQueue=null,me(r)?(i=!0,ol(t)):i=!1,t.memoizedState=l.state!==null&&l.state!==void 0?l.state:null,Qs(t),l.updater=Ml,t.stateNode=l,l._reactInternals=t,bi(t,r,e,n),t=ns(null,t,r,!0,i,n)):(t.tag=0,$&&i&&Us(t),oe(null,t,l,n),t=t.child),t;case 16:r=t.elementType;e:{switch(Gr(e,t),e=t.pendingProps,l=r._init,r=l(r._payload),t.type=r,l=t.tag=Up(r),e=Re(r,e),l){case 0:t=ts(null,t,r,e,n);break e;case 1:t=pu(null,t,r,e,n);break e;case 11:t=du(null,t,r,e,n);break e;case 14:t=fu(null,t,r,Re(r.type,e),n);break e}throw Error(w(306,r,""))}return t;case 0:return r=t.type,l=t.pendingProps,l=t.elementType===r?l:Re(r,l),ts(e,t,r,l,n);case 1:return r=t.type,l=t.pendingProps,l=t.elementType===r?l:Re(r,l),pu(e,t,r,l,n);case 3:e:{if(Pc(t),e===null)throw Error(w(387));r=t.pendingProps,i=t.memoizedState,l=i.element,ec(e,t),fl(t,r,null,n);var s=t.memoizedState;if(r=s.element,i.isDehydrated)if(i={element:r,isDehydrated:!1,cache:s.cache,pendingSuspenseBoundaries:s.pendingSuspenseBoundaries,transitions:s.transitions},t.updateQueue.baseState=i,t.memoizedState=i,t.flags&256){l=fn(Error(w(423)),t),t=hu(e,t,r,n,l);break e}else if(r!==l){l=fn(Error(w(424)),t),t=hu(e,t,r,n,l);break e}else for(ye=dt(t.stateNode.containerInfo.firstChild),xe=t,$=!0,Oe=null,n=qa(t,null,r,n),t.child=n;n;)n.flags=n.flags&-3|4096,n=n.sibling;else{if(an(),r===l){t=qe(e,t,n);break e}oe(e,t,r,n)}t=t.child}return t;case 5:return tc(t),e===null&&Ji(t),r=t.type,l=t.pendingProps,i=e!==null?e.memoizedProps:null,s=l.children,Qi(r,l)?s=null:i!==null&&Qi(r,i)&&(t.flags|=32),Ec(e,t),oe(e,t,s,n),t.child;case 6:return e===null&&Ji(t),null;case 13:return _c(e,t,n);case 4:return Ks(t,t.stateNode.containerInfo),r=t.pendingProps,e===null?t.child=cn(t,null,r,n):oe(e,t,r,n),t.child;case 11:return r=t.type,l=t.pendingProps,l=t.elementType===r?l:Re(r,l),du(e,t,r,l,n);case 7:return oe(e,t,t.pendingProps,n),t.child;case 8:return oe(e,t,t.pendingProps.children,n),t.child;case 12:return oe(e,t,t.pendingProps.children,n),t.child;case 10:e:{if(r=t.type._context,l=t.pendingProps,i=t.memoizedProps,s=l.value,D(cl,r._currentValue),r._currentValue=s,i!==null)if(Fe(i.value,s)){if(i.children===l.children&&!he.current){t=qe(e,t,n);break e}}else for(i=t.child,i!==null&&(i.return=t);i!==null;){var u=i.dependencies;if(u!==null){s=i.child;for(var a=u.firstContext;a!==null;){if(a.context===r){if(i.tag===1){a=Ye(-1,n&-n),a.tag=2;var d=i.updateQueue;if(d!==null){d=d.shared;var m=d.pending;m===null?a.next=a:(a.next=m.next,m.next=a),d.pending=a}}i.lanes|=n,a=i.alternate,a!==null&&(a.lanes|=n),Zi(i.return,n,t),u.lanes|=n;break}a=a.next}}else if(i.tag===10)s=i.type===t.type?null:i.child;else if(i.tag===18){if(s=i.return,s===null)throw Error(w(341));s.lanes|=n,u=s.alternate,u!==null&&(u.lanes|=n),Zi(s,n,t),s=i.sibling}else s=i.child;if(s!==null)s.return=i;else for(s=i;s!==null;){if(s===t){s=null;break}if(i=s.sibling,i!==null){i.return=s.return,s=i;break}s=s.return}i=s}oe(e,t,l.children,n),t=t.child}return t;case 9:return l=t.type,r=t.pendingProps.children,ln(t,n),l=_e(l),r=r(l),t.flags|=1,oe(e,t,r,n),t.child;case 14:return r=t.type,l=Re(r,t.pendingProps),l=Re(r.type,l),fu(e,t,r,l,n);case 15:return Nc(e,t,t.type,t.pendingProps,n);case 17:return r=t.type,l=t.pendingProps,l=t.elementType===r?l:Re(r,l),Gr(e,t),t.tag=1,me(r)?(e=!0,ol(t)):e=!1,ln(t,n),wc(t,r,l),bi(t,r,l,n),ns(null,t,r,!0,e,n);case 19:return Tc(e,t,n);case 22:return Cc(e,t,n)}throw Error(w(156,t.tag))};function Qc(e,t){return ya(e,t)}function Fp(e,t,n,r){this.tag=e,this.key=n,this.sibling=this.child=this.return=this.stateNode=this.type=this.elementType=null,this.index=0,this.ref=null,this.pendingProps=t,this.dependencies=this.memoizedState=this.updateQueue=this.memoizedProps=null,this.mode=r,this.subtreeFlags=this.flags=0,this.deletions=null,this.childLanes=this.lanes=0,this.alternate=null}function Ee(e,t,n,r){return new Fp(e,t,n,r)}function oo(e){return e=e.prototype,!(!e||!e.isReactComponent)}function Up(e){if(typeof e=="function")return oo(e)?1:0;if(e!=null){if(e=e.$$typeof,e===Es)return 11;if(e===Ps)return 14}return 2}function mt(e,t){var n=e.alternate;return n===null?(n=Ee(e.tag,t,e.key,e.mode),n.elementType=e.elementType,n.type=e.type,n.stateNode=e.stateNode,n.alternate=e,e.alternate=n):(n.pendingProps=t,n.type=e.type,n.flags=0,n.subtreeFlags=0,n.deletions=null),n.flags=e.flags&14680064,n.childLanes=e.childLanes,n.lanes=e.lanes,n.child=e.child,n.memoizedProps=e.memoizedProps,n.memoizedState=e.memoizedState,n.updateQueue=e.updateQueue,t=e.dependencies,n.dependencies=t===null?null:{lanes:t.lanes,firstContext:t.firstContext},n.sibling=e.sibling,n.index=e.index,n.ref=e.ref,n}function Jr(e,t,n,r,l,i){var s=2;if(r=e,typeof e=="function")oo(e)&&(s=1);else if(typeof e=="string")s=5;else e:switch(e){case Vt:return Mt(n.children,l,i,t);case Cs:s=8,l|=8;break;case ji:return e=Ee(12,n,t,l|2),e.elementType=ji,e.lanes=i,e;case Ni:return e=Ee(13,n,t,l),e.elementType=Ni,e.lanes=i,e;case Ci:return e=Ee(19,n,t,l),e.elementType=Ci,e.lanes=i,e;case ta:return Ll(n,l,i,t);default:if(typeof e=="object"&&e!==null)switch(e.$$typeof){case bu:s=10;break e;case ea:s=9;break e;case Es:s=11;break e;case Ps:s=14;break e;case tt:s=16,r=null;break e}throw Error(w(130,e==null?e:typeof e,""))}return t=Ee(s,n,t,l),t.elementType=e,t.type=r,t.lanes=i,t}function Mt(e,t,n,r){return e=Ee(7,e,r,t),e.lanes=n,e}function Ll(e,t,n,r){return e=Ee(22,e,r,t),e.elementType=ta,e.lanes=n,e.stateNode={isHidden:!1},e}function mi(e,t,n){return e=Ee(6,e,null,t),e.lanes=n,e}function vi(e,t,n){return t=Ee(4,e.children!==null?e.children:[],e.key,t),t.lanes=n,t.stateNode={containerInfo:e.containerInfo,pendingChildren:null,implementation:e.implementation},t}function $p(e,t,n,r,l){this.tag=t,this.containerInfo=e,this.finishedWork=this.pingCache=this.current=this.pendingChildren=null,this.timeoutHandle=-1,this.callbackNode=this.pendingContext=this.context=null,this.callbackPriority=0,this.eventTimes=Jl(0),this.expirationTimes=Jl(-1),this.entangledLanes=this.finishedLanes=this.mutableReadLanes=this.expiredLanes=this.pingedLanes=this.suspendedLanes=this.pendingLanes=0,this.entanglements=Jl(0),this.identifierPrefix=r,this.onRecoverableError=l,this.mutableSourceEagerHydrationData=null}function uo(e,t,n,r,l,i,s,u,a){return e=new $p(e,t,n,u,a),t===1?(t=1,i===!0&&(t|=8)):t=0,i=Ee(3,null,null,t),e.current=i,i.stateNode=e,i.memoizedState={element:r,isDehydrated:n,cache:null,transitions:null,pendingSuspenseBoundaries:null},Qs(i),e}function Bp(e,t,n){var r=3<arguments.length&&arguments[3]!==void 0?arguments[3]:null;return{$$typeof:Wt,key:r==null?null:""+r,children:e,containerInfo:t,implementation:n}}function Kc(e){if(!e)return gt;e=e._reactInternals;e:{if(Ut(e)!==e||e.tag!==1)throw Error(w(170));var t=e;do{switch(t.tag){case 3:t=t.stateNode.context;break e;case 1:if(me(t.type)){t=t.stateNode.__reactInternalMemoizedMergedChildContext;break e}}t=t.return}while(t!==null);throw Error(w(171))}if(e.tag===1){var n=e.type;if(me(n))return Ka(e,n,t)}return t}function Gc(e,t,n,r,l,i,s,u,a){return e=uo(n,r,!0,e,l,i,s,u,a),e.context=Kc(null),n=e.current,r=ue(),l=ht(n),i=Ye(r,l),i.callback=t??null,ft(n,i,l),e.current.lanes=l,fr(e,l,r),ve(e,r),e}function Ol(e,t,n,r){var l=t.current,i=ue(),s=ht(l);return n=Kc(n),t.context===null?t.context=n:t.pendingContext=n,t=Ye(i,s),t.payload={element:e},r=r===void 0?null:r,r!==null&&(t.callback=r),e=ft(l,t,s),e!==null&&(De(e,l,s,i),Hr(e,l,s)),s}function kl(e){if(e=e.current,!e.child)return null;switch(e.child.tag){case 5:return e.child.stateNode;default:return e.child.stateNode}}function Nu(e,t){if(e=e.memoizedState,e!==null&&e.dehydrated!==null){var n=e.retryLane;e.retryLane=n!==0&&n<t?n:t}}function ao(e,t){Nu(e,t),(e=e.alternate)&&Nu(e,t)}function Ap(){return null}var Yc=typeof reportError=="function"?reportError:function(e){console.error(e)};function co(e){this._internalRoot=e}Il.prototype.render=co.prototype.render=function(e){var t=this._internalRoot;if(t===null)throw Error(w(409));Ol(e,t,null,null)};Il.prototype.unmount=co.prototype.unmount=function(){var e=this._internalRoot;if(e!==null){this._internalRoot=null;var t=e.containerInfo;Dt(function(){Ol(null,e,null,null)}),t[Je]=null}};function Il(e){this._internalRoot=e}Il.prototype.unstable_scheduleHydration=function(e){if(e){var t=Ca();e={blockedOn:null,target:e,priority:t};for(var n=0;n<rt.length&&t!==0&&t<rt[n].priority;n++);rt.splice(n,0,e),n===0&&Pa(e)}};function fo(e){return!(!e||e.nodeType!==1&&e.nodeType!==9&&e.nodeType!==11)}function Dl(e){return!(!e||e.nodeType!==1&&e.nodeType!==9&&e.nodeType!==11&&(e.nodeType!==8||e.nodeValue!==" react-mount-point-unstable "))}function Cu(){}function Wp(e,t,n,r,l){if(l){if(typeof r=="function"){var i=r;r=function(){var d=kl(s);i.call(d)}}var s=Gc(t,r,e,0,null,!1,!1,"",Cu);return e._reactRootContainer=s,e[Je]=s.current,Zn(e.nodeType===8?e.parentNode:e),Dt(),s}for(;l=e.lastChild;)e.removeChild(l);if(typeof r=="function"){var u=r;r=function(){var d=kl(a);u.call(d)}}var a=uo(e,0,!1,null,null,!1,!1,"",Cu);return e._reactRootContainer=a,e[Je]=a.current,Zn(e.nodeType===8?e.parentNode:e),Dt(function(){Ol(t,a,n,r)}),a}function Fl(e,t,n,r,l){var i=n._reactRootContainer;if(i){var s=i;if(typeof l=="function"){var u=l;l=function(){var a=kl(s);u.call(a)}}Ol(t,s,e,l)}else s=Wp(n,t,e,l,r);return kl(s)}ja=function(e){switch(e.tag){case 3:var t=e.stateNode;if(t.current.memoizedState.isDehydrated){var n=Mn(t.pendingLanes);n!==0&&(Ms(t,n|1),ve(t,K()),!(O&6)&&(pn=K()+500,kt()))}break;case 13:Dt(function(){var r=Ze(e,1);if(r!==null){var l=ue();De(r,e,1,l)}}),ao(e,1)}};zs=function(e){if(e.tag===13){var t=Ze(e,134217728);if(t!==null){var n=ue();De(t,e,134217728,n)}ao(e,134217728)}};Na=function(e){if(e.tag===13){var t=ht(e),n=Ze(e,t);if(n!==null){var r=ue();De(n,e,t,r)}ao(e,t)}};Ca=function(){return I};Ea=function(e,t){var n=I;try{return I=e,t()}finally{I=n}};Ii=function(e,t,n){switch(t){case"input":if(_i(e,n),t=n.name,n.type==="radio"&&t!=null){for(n=e;n.parentNode;)n=n.parentNode;for(n=n.querySelectorAll("input[name="+JSON.stringify(""+t)+'][type="radio"]'),t=0;t<n.length;t++){var r=n[t];if(r!==e&&r.form===e.form){var l=Pl(r);if(!l)throw Error(w(90));ra(r),_i(r,l)}}}break;case"textarea":ia(e,n);break;case"select":t=n.value,t!=null&&en(e,!!n.multiple,t,!1)}};fa=lo;pa=Dt;var Vp={usingClientEntryPoint:!1,Events:[hr,Gt,Pl,ca,da,lo]},Pn={findFiberByHostInstance:Et,bundleType:0,version:"18.3.1",rendererPackageName:"react-dom"},Hp={bundleType:Pn.bundleType,version:Pn.version,rendererPackageName:Pn.rendererPackageName,rendererConfig:Pn.rendererConfig,overrideHookState:null,overrideHookStateDeletePath:null,overrideHookStateRenamePath:null,overrideProps:null,overridePropsDeletePath:null,overridePropsRenamePath:null,setErrorHandler:null,setSuspenseHandler:null,scheduleUpdate:null,currentDispatcherRef:be.ReactCurrentDispatcher,findHostInstanceByFiber:function(e){return e=va(e),e===null?null:e.stateNode},findFiberByHostInstance:Pn.findFiberByHostInstance||Ap,findHostInstancesForRefresh:null,scheduleRefresh:null,scheduleRoot:null,setRefreshHandler:null,getCurrentFiber:null,reconcilerVersion:"18.3.1-next-f1338f8080-20240426"};if(typeof __REACT_DEVTOOLS_GLOBAL_HOOK__<"u"){var Dr=__REACT_DEVTOOLS_GLOBAL_HOOK__;if(!Dr.isDisabled&&Dr.supportsFiber)try{jl=Dr.inject(Hp),Ae=Dr}catch{}}we.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED=Vp;we.createPortal=function(e,t){var n=2<arguments.length&&arguments[2]!==void 0?arguments[2]:null;if(!fo(t))throw Error(w(200));return Bp(e,t,null,n)};we.createRoot=function(e,t){if(!fo(e))throw Error(w(299));var n=!1,r="",l=Yc;return t!=null&&(t.unstable_strictMode===!0&&(n=!0),t.identifierPrefix!==void 0&&(r=t.identifierPrefix),t.onRecoverableError!==void 0&&(l=t.onRecoverableError)),t=uo(e,1,!1,null,null,n,!1,r,l),e[Je]=t.current,Zn(e.nodeType===8?e.parentNode:e),new co(t)};we.findDOMNode=function(e){if(e==null)return null;if(e.nodeType===1)return e;var t=e._reactInternals;if(t===void 0)throw typeof e.render=="function"?Error(w(188)):(e=Object.keys(e).join(","),Error(w(268,e)));return e=va(t),e=e===null?null:e.stateNode,e};we.flushSync=function(e){return Dt(e)};we.hydrate=function(e,t,n){if(!Dl(t))throw Error(w(200));return Fl(null,e,t,!0,n)};we.hydrateRoot=function(e,t,n){if(!fo(e))throw Error(w(405));var r=n!=null&&n.hydratedSources||null,l=!1,i="",s=Yc;if(n!=null&&(n.unstable_strictMode===!0&&(l=!0),n.identifierPrefix!==void 0&&(i=n.identifierPrefix),n.onRecoverableError!==void 0&&(s=n.onRecoverableError)),t=Gc(t,null,e,1,n??null,l,!1,i,s),e[Je]=t.current,Zn(e),r)for(e=0;e<r.length;e++)n=r[e],l=n._getVersion,l=l(n._source),t.mutableSourceEagerHydrationData==null?t.mutableSourceEagerHydrationData=[n,l]:t.mutableSourceEagerHydrationData.push(n,l);return new Il(t)};we.render=function(e,t,n){if(!Dl(t))throw Error(w(200));return Fl(null,e,t,!1,n)};we.unmountComponentAtNode=function(e){if(!Dl(e))throw Error(w(40));return e._reactRootContainer?(Dt(function(){Fl(null,null,e,!1,function(){e._reactRootContainer=null,e[Je]=null})}),!0):!1};we.unstable_batchedUpdates=lo;we.unstable_renderSubtreeIntoContainer=function(e,t,n,r){if(!Dl(n))throw Error(w(200));if(e==null||e._reactInternals===void 0)throw Error(w(38));return Fl(e,t,n,!1,r)};we.version="18.3.1-next-f1338f8080-20240426";function Xc(){if(!(typeof __REACT_DEVTOOLS_GLOBAL_HOOK__>"u"||typeof __REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE!="function"))try{__REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE(Xc)}catch(e){console.error(e)}}Xc(),Xu.exports=we;var Qp=Xu.exports,Eu=Qp;wi.createRoot=Eu.createRoot,wi.hydrateRoot=Eu.hydrateRoot;/**
+ * @remix-run/router v1.23.2
+ *
+ * Copyright (c) Remix Software Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE.md file in the root directory of this source tree.
+ *
+ * @license MIT
+ */function sr(){return sr=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},sr.apply(this,arguments)}var ot;(function(e){e.Pop="POP",e.Push="PUSH",e.Replace="REPLACE"})(ot||(ot={}));const Pu="popstate";function Kp(e){e===void 0&&(e={});function t(l,i){let{pathname:s="/",search:u="",hash:a=""}=$t(l.location.hash.substr(1));return!s.startsWith("/")&&!s.startsWith(".")&&(s="/"+s),hs("",{pathname:s,search:u,hash:a},i.state&&i.state.usr||null,i.state&&i.state.key||"default")}function n(l,i){let s=l.document.querySelector("base"),u="";if(s&&s.getAttribute("href")){let a=l.location.href,d=a.indexOf("#");u=d===-1?a:a.slice(0,d)}return u+"#"+(typeof i=="string"?i:Jc(i))}function r(l,i){Ul(l.pathname.charAt(0)==="/","relative pathnames are not supported in hash history.push("+JSON.stringify(i)+")")}return Yp(t,n,r,e)}function Y(e,t){if(e===!1||e===null||typeof e>"u")throw new Error(t)}function Ul(e,t){if(!e){typeof console<"u"&&console.warn(t);try{throw new Error(t)}catch{}}}function Gp(){return Math.random().toString(36).substr(2,8)}function _u(e,t){return{usr:e.state,key:e.key,idx:t}}function hs(e,t,n,r){return n===void 0&&(n=null),sr({pathname:typeof e=="string"?e:e.pathname,search:"",hash:""},typeof t=="string"?$t(t):t,{state:n,key:t&&t.key||r||Gp()})}function Jc(e){let{pathname:t="/",search:n="",hash:r=""}=e;return n&&n!=="?"&&(t+=n.charAt(0)==="?"?n:"?"+n),r&&r!=="#"&&(t+=r.charAt(0)==="#"?r:"#"+r),t}function $t(e){let t={};if(e){let n=e.indexOf("#");n>=0&&(t.hash=e.substr(n),e=e.substr(0,n));let r=e.indexOf("?");r>=0&&(t.search=e.substr(r),e=e.substr(0,r)),e&&(t.pathname=e)}return t}function Yp(e,t,n,r){r===void 0&&(r={});let{window:l=document.defaultView,v5Compat:i=!1}=r,s=l.history,u=ot.Pop,a=null,d=m();d==null&&(d=0,s.replaceState(sr({},s.state,{idx:d}),""));function m(){return(s.state||{idx:null}).idx}function p(){u=ot.Pop;let S=m(),f=S==null?null:S-d;d=S,a&&a({action:u,location:x.location,delta:f})}function v(S,f){u=ot.Push;let c=hs(x.location,S,f);n&&n(c,S),d=m()+1;let h=_u(c,d),k=x.createHref(c);try{s.pushState(h,"",k)}catch(N){if(N instanceof DOMException&&N.name==="DataCloneError")throw N;l.location.assign(k)}i&&a&&a({action:u,location:x.location,delta:1})}function y(S,f){u=ot.Replace;let c=hs(x.location,S,f);n&&n(c,S),d=m();let h=_u(c,d),k=x.createHref(c);s.replaceState(h,"",k),i&&a&&a({action:u,location:x.location,delta:0})}function g(S){let f=l.location.origin!=="null"?l.location.origin:l.location.href,c=typeof S=="string"?S:Jc(S);return c=c.replace(/ $/,"%20"),Y(f,"No window.location.(origin|href) available to create URL for href: "+c),new URL(c,f)}let x={get action(){return u},get location(){return e(l,s)},listen(S){if(a)throw new Error("A history only accepts one active listener");return l.addEventListener(Pu,p),a=S,()=>{l.removeEventListener(Pu,p),a=null}},createHref(S){return t(l,S)},createURL:g,encodeLocation(S){let f=g(S);return{pathname:f.pathname,search:f.search,hash:f.hash}},push:v,replace:y,go(S){return s.go(S)}};return x}var Tu;(function(e){e.data="data",e.deferred="deferred",e.redirect="redirect",e.error="error"})(Tu||(Tu={}));function Xp(e,t,n){return n===void 0&&(n="/"),Jp(e,t,n)}function Jp(e,t,n,r){let l=typeof t=="string"?$t(t):t,i=bc(l.pathname||"/",n);if(i==null)return null;let s=Zc(e);Zp(s);let u=null;for(let a=0;u==null&&a<s.length;++a){let d=ah(i);u=sh(s[a],d)}return u}function Zc(e,t,n,r){t===void 0&&(t=[]),n===void 0&&(n=[]),r===void 0&&(r="");let l=(i,s,u)=>{let a={relativePath:u===void 0?i.path||"":u,caseSensitive:i.caseSensitive===!0,childrenIndex:s,route:i};a.relativePath.startsWith("/")&&(Y(a.relativePath.startsWith(r),'Absolute route path "'+a.relativePath+'" nested under path '+('"'+r+'" is not valid. An absolute child route path ')+"must start with the combined path of all its parent routes."),a.relativePath=a.relativePath.slice(r.length));let d=zt([r,a.relativePath]),m=n.concat(a);i.children&&i.children.length>0&&(Y(i.index!==!0,"Index routes must not have child routes. Please remove "+('all child routes from route path "'+d+'".')),Zc(i.children,t,m,d)),!(i.path==null&&!i.index)&&t.push({path:d,score:lh(d,i.index),routesMeta:m})};return e.forEach((i,s)=>{var u;if(i.path===""||!((u=i.path)!=null&&u.includes("?")))l(i,s);else for(let a of qc(i.path))l(i,s,a)}),t}function qc(e){let t=e.split("/");if(t.length===0)return[];let[n,...r]=t,l=n.endsWith("?"),i=n.replace(/\?$/,"");if(r.length===0)return l?[i,""]:[i];let s=qc(r.join("/")),u=[];return u.push(...s.map(a=>a===""?i:[i,a].join("/"))),l&&u.push(...s),u.map(a=>e.startsWith("/")&&a===""?"/":a)}function Zp(e){e.sort((t,n)=>t.score!==n.score?n.score-t.score:ih(t.routesMeta.map(r=>r.childrenIndex),n.routesMeta.map(r=>r.childrenIndex)))}const qp=/^:[\w-]+$/,bp=3,eh=2,th=1,nh=10,rh=-2,Mu=e=>e==="*";function lh(e,t){let n=e.split("/"),r=n.length;return n.some(Mu)&&(r+=rh),t&&(r+=eh),n.filter(l=>!Mu(l)).reduce((l,i)=>l+(qp.test(i)?bp:i===""?th:nh),r)}function ih(e,t){return e.length===t.length&&e.slice(0,-1).every((r,l)=>r===t[l])?e[e.length-1]-t[t.length-1]:0}function sh(e,t,n){let{routesMeta:r}=e,l={},i="/",s=[];for(let u=0;u<r.length;++u){let a=r[u],d=u===r.length-1,m=i==="/"?t:t.slice(i.length)||"/",p=oh({path:a.relativePath,caseSensitive:a.caseSensitive,end:d},m),v=a.route;if(!p)return null;Object.assign(l,p.params),s.push({params:l,pathname:zt([i,p.pathname]),pathnameBase:hh(zt([i,p.pathnameBase])),route:v}),p.pathnameBase!=="/"&&(i=zt([i,p.pathnameBase]))}return s}function oh(e,t){typeof e=="string"&&(e={path:e,caseSensitive:!1,end:!0});let[n,r]=uh(e.path,e.caseSensitive,e.end),l=t.match(n);if(!l)return null;let i=l[0],s=i.replace(/(.)\/+$/,"$1"),u=l.slice(1);return{params:r.reduce((d,m,p)=>{let{paramName:v,isOptional:y}=m;if(v==="*"){let x=u[p]||"";s=i.slice(0,i.length-x.length).replace(/(.)\/+$/,"$1")}const g=u[p];return y&&!g?d[v]=void 0:d[v]=(g||"").replace(/%2F/g,"/"),d},{}),pathname:i,pathnameBase:s,pattern:e}}function uh(e,t,n){t===void 0&&(t=!1),n===void 0&&(n=!0),Ul(e==="*"||!e.endsWith("*")||e.endsWith("/*"),'Route path "'+e+'" will be treated as if it were '+('"'+e.replace(/\*$/,"/*")+'" because the `*` character must ')+"always follow a `/` in the pattern. To get rid of this warning, "+('please change the route path to "'+e.replace(/\*$/,"/*")+'".'));let r=[],l="^"+e.replace(/\/*\*?$/,"").replace(/^\/*/,"/").replace(/[\\.*+^${}|()[\]]/g,"\\$&").replace(/\/:([\w-]+)(\?)?/g,(s,u,a)=>(r.push({paramName:u,isOptional:a!=null}),a?"/?([^\\/]+)?":"/([^\\/]+)"));return e.endsWith("*")?(r.push({paramName:"*"}),l+=e==="*"||e==="/*"?"(.*)$":"(?:\\/(.+)|\\/*)$"):n?l+="\\/*$":e!==""&&e!=="/"&&(l+="(?:(?=\\/|$))"),[new RegExp(l,t?void 0:"i"),r]}function ah(e){try{return e.split("/").map(t=>decodeURIComponent(t).replace(/\//g,"%2F")).join("/")}catch(t){return Ul(!1,'The URL path "'+e+'" could not be decoded because it is is a malformed URL segment. This is probably due to a bad percent '+("encoding ("+t+").")),e}}function bc(e,t){if(t==="/")return e;if(!e.toLowerCase().startsWith(t.toLowerCase()))return null;let n=t.endsWith("/")?t.length-1:t.length,r=e.charAt(n);return r&&r!=="/"?null:e.slice(n)||"/"}const ch=/^(?:[a-z][a-z0-9+.-]*:|\/\/)/i,dh=e=>ch.test(e);function fh(e,t){t===void 0&&(t="/");let{pathname:n,search:r="",hash:l=""}=typeof e=="string"?$t(e):e,i;if(n)if(dh(n))i=n;else{if(n.includes("//")){let s=n;n=n.replace(/\/\/+/g,"/"),Ul(!1,"Pathnames cannot have embedded double slashes - normalizing "+(s+" -> "+n))}n.startsWith("/")?i=zu(n.substring(1),"/"):i=zu(n,t)}else i=t;return{pathname:i,search:mh(r),hash:vh(l)}}function zu(e,t){let n=t.replace(/\/+$/,"").split("/");return e.split("/").forEach(l=>{l===".."?n.length>1&&n.pop():l!=="."&&n.push(l)}),n.length>1?n.join("/"):"/"}function gi(e,t,n,r){return"Cannot include a '"+e+"' character in a manually specified "+("`to."+t+"` field ["+JSON.stringify(r)+"].  Please separate it out to the ")+("`to."+n+"` field. Alternatively you may provide the full path as ")+'a string in <Link to="..."> and the router will parse it for you.'}function ph(e){return e.filter((t,n)=>n===0||t.route.path&&t.route.path.length>0)}function ed(e,t){let n=ph(e);return t?n.map((r,l)=>l===n.length-1?r.pathname:r.pathnameBase):n.map(r=>r.pathnameBase)}function td(e,t,n,r){r===void 0&&(r=!1);let l;typeof e=="string"?l=$t(e):(l=sr({},e),Y(!l.pathname||!l.pathname.includes("?"),gi("?","pathname","search",l)),Y(!l.pathname||!l.pathname.includes("#"),gi("#","pathname","hash",l)),Y(!l.search||!l.search.includes("#"),gi("#","search","hash",l)));let i=e===""||l.pathname==="",s=i?"/":l.pathname,u;if(s==null)u=n;else{let p=t.length-1;if(!r&&s.startsWith("..")){let v=s.split("/");for(;v[0]==="..";)v.shift(),p-=1;l.pathname=v.join("/")}u=p>=0?t[p]:"/"}let a=fh(l,u),d=s&&s!=="/"&&s.endsWith("/"),m=(i||s===".")&&n.endsWith("/");return!a.pathname.endsWith("/")&&(d||m)&&(a.pathname+="/"),a}const zt=e=>e.join("/").replace(/\/\/+/g,"/"),hh=e=>e.replace(/\/+$/,"").replace(/^\/*/,"/"),mh=e=>!e||e==="?"?"":e.startsWith("?")?e:"?"+e,vh=e=>!e||e==="#"?"":e.startsWith("#")?e:"#"+e;function gh(e){return e!=null&&typeof e.status=="number"&&typeof e.statusText=="string"&&typeof e.internal=="boolean"&&"data"in e}const nd=["post","put","patch","delete"];new Set(nd);const yh=["get",...nd];new Set(yh);/**
+ * React Router v6.30.3
+ *
+ * Copyright (c) Remix Software Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE.md file in the root directory of this source tree.
+ *
+ * @license MIT
+ */function or(){return or=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},or.apply(this,arguments)}const po=j.createContext(null),xh=j.createContext(null),vr=j.createContext(null),$l=j.createContext(null),Bt=j.createContext({outlet:null,matches:[],isDataRoute:!1}),rd=j.createContext(null);function gr(){return j.useContext($l)!=null}function ho(){return gr()||Y(!1),j.useContext($l).location}function ld(e){j.useContext(vr).static||j.useLayoutEffect(e)}function Bl(){let{isDataRoute:e}=j.useContext(Bt);return e?Rh():kh()}function kh(){gr()||Y(!1);let e=j.useContext(po),{basename:t,future:n,navigator:r}=j.useContext(vr),{matches:l}=j.useContext(Bt),{pathname:i}=ho(),s=JSON.stringify(ed(l,n.v7_relativeSplatPath)),u=j.useRef(!1);return ld(()=>{u.current=!0}),j.useCallback(function(d,m){if(m===void 0&&(m={}),!u.current)return;if(typeof d=="number"){r.go(d);return}let p=td(d,JSON.parse(s),i,m.relative==="path");e==null&&t!=="/"&&(p.pathname=p.pathname==="/"?t:zt([t,p.pathname])),(m.replace?r.replace:r.push)(p,m.state,m)},[t,r,s,i,e])}function wh(e,t){return Sh(e,t)}function Sh(e,t,n,r){gr()||Y(!1);let{navigator:l}=j.useContext(vr),{matches:i}=j.useContext(Bt),s=i[i.length-1],u=s?s.params:{};s&&s.pathname;let a=s?s.pathnameBase:"/";s&&s.route;let d=ho(),m;if(t){var p;let S=typeof t=="string"?$t(t):t;a==="/"||(p=S.pathname)!=null&&p.startsWith(a)||Y(!1),m=S}else m=d;let v=m.pathname||"/",y=v;if(a!=="/"){let S=a.replace(/^\//,"").split("/");y="/"+v.replace(/^\//,"").split("/").slice(S.length).join("/")}let g=Xp(e,{pathname:y}),x=Ph(g&&g.map(S=>Object.assign({},S,{params:Object.assign({},u,S.params),pathname:zt([a,l.encodeLocation?l.encodeLocation(S.pathname).pathname:S.pathname]),pathnameBase:S.pathnameBase==="/"?a:zt([a,l.encodeLocation?l.encodeLocation(S.pathnameBase).pathname:S.pathnameBase])})),i,n,r);return t&&x?j.createElement($l.Provider,{value:{location:or({pathname:"/",search:"",hash:"",state:null,key:"default"},m),navigationType:ot.Pop}},x):x}function jh(){let e=zh(),t=gh(e)?e.status+" "+e.statusText:e instanceof Error?e.message:JSON.stringify(e),n=e instanceof Error?e.stack:null,l={padding:"0.5rem",backgroundColor:"rgba(200,200,200, 0.5)"};return j.createElement(j.Fragment,null,j.createElement("h2",null,"Unexpected Application Error!"),j.createElement("h3",{style:{fontStyle:"italic"}},t),n?j.createElement("pre",{style:l},n):null,null)}const Nh=j.createElement(jh,null);class Ch extends j.Component{constructor(t){super(t),this.state={location:t.location,revalidation:t.revalidation,error:t.error}}static getDerivedStateFromError(t){return{error:t}}static getDerivedStateFromProps(t,n){return n.location!==t.location||n.revalidation!=="idle"&&t.revalidation==="idle"?{error:t.error,location:t.location,revalidation:t.revalidation}:{error:t.error!==void 0?t.error:n.error,location:n.location,revalidation:t.revalidation||n.revalidation}}componentDidCatch(t,n){console.error("React Router caught the following error during render",t,n)}render(){return this.state.error!==void 0?j.createElement(Bt.Provider,{value:this.props.routeContext},j.createElement(rd.Provider,{value:this.state.error,children:this.props.component})):this.props.children}}function Eh(e){let{routeContext:t,match:n,children:r}=e,l=j.useContext(po);return l&&l.static&&l.staticContext&&(n.route.errorElement||n.route.ErrorBoundary)&&(l.staticContext._deepestRenderedBoundaryId=n.route.id),j.createElement(Bt.Provider,{value:t},r)}function Ph(e,t,n,r){var l;if(t===void 0&&(t=[]),n===void 0&&(n=null),r===void 0&&(r=null),e==null){var i;if(!n)return null;if(n.errors)e=n.matches;else if((i=r)!=null&&i.v7_partialHydration&&t.length===0&&!n.initialized&&n.matches.length>0)e=n.matches;else return null}let s=e,u=(l=n)==null?void 0:l.errors;if(u!=null){let m=s.findIndex(p=>p.route.id&&(u==null?void 0:u[p.route.id])!==void 0);m>=0||Y(!1),s=s.slice(0,Math.min(s.length,m+1))}let a=!1,d=-1;if(n&&r&&r.v7_partialHydration)for(let m=0;m<s.length;m++){let p=s[m];if((p.route.HydrateFallback||p.route.hydrateFallbackElement)&&(d=m),p.route.id){let{loaderData:v,errors:y}=n,g=p.route.loader&&v[p.route.id]===void 0&&(!y||y[p.route.id]===void 0);if(p.route.lazy||g){a=!0,d>=0?s=s.slice(0,d+1):s=[s[0]];break}}}return s.reduceRight((m,p,v)=>{let y,g=!1,x=null,S=null;n&&(y=u&&p.route.id?u[p.route.id]:void 0,x=p.route.errorElement||Nh,a&&(d<0&&v===0?(Lh("route-fallback"),g=!0,S=null):d===v&&(g=!0,S=p.route.hydrateFallbackElement||null)));let f=t.concat(s.slice(0,v+1)),c=()=>{let h;return y?h=x:g?h=S:p.route.Component?h=j.createElement(p.route.Component,null):p.route.element?h=p.route.element:h=m,j.createElement(Eh,{match:p,routeContext:{outlet:m,matches:f,isDataRoute:n!=null},children:h})};return n&&(p.route.ErrorBoundary||p.route.errorElement||v===0)?j.createElement(Ch,{location:n.location,revalidation:n.revalidation,component:x,error:y,children:c(),routeContext:{outlet:null,matches:f,isDataRoute:!0}}):c()},null)}var id=function(e){return e.UseBlocker="useBlocker",e.UseRevalidator="useRevalidator",e.UseNavigateStable="useNavigate",e}(id||{}),sd=function(e){return e.UseBlocker="useBlocker",e.UseLoaderData="useLoaderData",e.UseActionData="useActionData",e.UseRouteError="useRouteError",e.UseNavigation="useNavigation",e.UseRouteLoaderData="useRouteLoaderData",e.UseMatches="useMatches",e.UseRevalidator="useRevalidator",e.UseNavigateStable="useNavigate",e.UseRouteId="useRouteId",e}(sd||{});function _h(e){let t=j.useContext(po);return t||Y(!1),t}function Th(e){let t=j.useContext(xh);return t||Y(!1),t}function Mh(e){let t=j.useContext(Bt);return t||Y(!1),t}function od(e){let t=Mh(),n=t.matches[t.matches.length-1];return n.route.id||Y(!1),n.route.id}function zh(){var e;let t=j.useContext(rd),n=Th(),r=od();return t!==void 0?t:(e=n.errors)==null?void 0:e[r]}function Rh(){let{router:e}=_h(id.UseNavigateStable),t=od(sd.UseNavigateStable),n=j.useRef(!1);return ld(()=>{n.current=!0}),j.useCallback(function(l,i){i===void 0&&(i={}),n.current&&(typeof l=="number"?e.navigate(l):e.navigate(l,or({fromRouteId:t},i)))},[e,t])}const Ru={};function Lh(e,t,n){Ru[e]||(Ru[e]=!0)}function Oh(e,t){e==null||e.v7_startTransition,e==null||e.v7_relativeSplatPath}function yi(e){let{to:t,replace:n,state:r,relative:l}=e;gr()||Y(!1);let{future:i,static:s}=j.useContext(vr),{matches:u}=j.useContext(Bt),{pathname:a}=ho(),d=Bl(),m=td(t,ed(u,i.v7_relativeSplatPath),a,l==="path"),p=JSON.stringify(m);return j.useEffect(()=>d(JSON.parse(p),{replace:n,state:r,relative:l}),[d,p,l,n,r]),null}function Rn(e){Y(!1)}function Ih(e){let{basename:t="/",children:n=null,location:r,navigationType:l=ot.Pop,navigator:i,static:s=!1,future:u}=e;gr()&&Y(!1);let a=t.replace(/^\/*/,"/"),d=j.useMemo(()=>({basename:a,navigator:i,static:s,future:or({v7_relativeSplatPath:!1},u)}),[a,u,i,s]);typeof r=="string"&&(r=$t(r));let{pathname:m="/",search:p="",hash:v="",state:y=null,key:g="default"}=r,x=j.useMemo(()=>{let S=bc(m,a);return S==null?null:{location:{pathname:S,search:p,hash:v,state:y,key:g},navigationType:l}},[a,m,p,v,y,g,l]);return x==null?null:j.createElement(vr.Provider,{value:d},j.createElement($l.Provider,{children:n,value:x}))}function Dh(e){let{children:t,location:n}=e;return wh(ms(t),n)}new Promise(()=>{});function ms(e,t){t===void 0&&(t=[]);let n=[];return j.Children.forEach(e,(r,l)=>{if(!j.isValidElement(r))return;let i=[...t,l];if(r.type===j.Fragment){n.push.apply(n,ms(r.props.children,i));return}r.type!==Rn&&Y(!1),!r.props.index||!r.props.children||Y(!1);let s={id:r.props.id||i.join("-"),caseSensitive:r.props.caseSensitive,element:r.props.element,Component:r.props.Component,index:r.props.index,path:r.props.path,loader:r.props.loader,action:r.props.action,errorElement:r.props.errorElement,ErrorBoundary:r.props.ErrorBoundary,hasErrorBoundary:r.props.ErrorBoundary!=null||r.props.errorElement!=null,shouldRevalidate:r.props.shouldRevalidate,handle:r.props.handle,lazy:r.props.lazy};r.props.children&&(s.children=ms(r.props.children,i)),n.push(s)}),n}/**
+ * React Router DOM v6.30.3
+ *
+ * Copyright (c) Remix Software Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE.md file in the root directory of this source tree.
+ *
+ * @license MIT
+ */const Fh="6";try{window.__reactRouterVersion=Fh}catch{}const Uh="startTransition",Lu=Ld[Uh];function $h(e){let{basename:t,children:n,future:r,window:l}=e,i=j.useRef();i.current==null&&(i.current=Kp({window:l,v5Compat:!0}));let s=i.current,[u,a]=j.useState({action:s.action,location:s.location}),{v7_startTransition:d}=r||{},m=j.useCallback(p=>{d&&Lu?Lu(()=>a(p)):a(p)},[a,d]);return j.useLayoutEffect(()=>s.listen(m),[s,m]),j.useEffect(()=>Oh(r),[r]),j.createElement(Ih,{basename:t,children:n,location:u.location,navigationType:u.action,navigator:s,future:r})}var Ou;(function(e){e.UseScrollRestoration="useScrollRestoration",e.UseSubmit="useSubmit",e.UseSubmitFetcher="useSubmitFetcher",e.UseFetcher="useFetcher",e.useViewTransitionState="useViewTransitionState"})(Ou||(Ou={}));var Iu;(function(e){e.UseFetcher="useFetcher",e.UseFetchers="useFetchers",e.UseScrollRestoration="useScrollRestoration"})(Iu||(Iu={}));const vs={user:{name:"",mode:"normal",loggedIn:!1,onboarded:!1,isGuest:!1},music:{focusPlaylistUrl:"",breakPlaylistUrl:"",genres:[],artists:[],energy:50},study:{technique:"pomodoro",workMins:25,breakMins:5,autoSwitchOnBreak:!0},tracking:{enabled:!0,camera:!1,keystroke:!0,mouse:!0,scroll:!0,tabs:!0},extension:{nuclearEnabled:!1,customProductive:[],customBlocked:[]}},ur="focusdj_settings",Al=typeof chrome<"u"&&chrome.storage;function ar(){try{const e=localStorage.getItem(ur);if(e)return mo(vs,JSON.parse(e))}catch(e){console.error("Failed to load settings:",e)}return{...vs}}function Bh(e){try{return localStorage.setItem(ur,JSON.stringify(e)),Al&&chrome.storage.local.set({[ur]:e}),!0}catch(t){return console.error("Failed to save settings:",t),!1}}function cr(e){const t=ar(),n=mo(t,e);return Bh(n),Al&&ud(n),n}function Ah(){return localStorage.removeItem(ur),Al&&chrome.storage.local.remove(ur),{...vs}}async function ud(e){if(!Al)return{success:!1,error:"Not in extension context"};const t={mode:e.user.mode,focusPlaylistUrl:e.music.focusPlaylistUrl,breakPlaylistUrl:e.music.breakPlaylistUrl,energy:e.music.energy,pomodoroEnabled:e.study.technique!=="custom",pomodoroWork:e.study.workMins,pomodoroBreak:e.study.breakMins,autoSwitchOnBreak:e.study.autoSwitchOnBreak,trackingEnabled:e.tracking.enabled,trackCamera:e.tracking.camera,trackKeystroke:e.tracking.keystroke,trackMouse:e.tracking.mouse,trackScroll:e.tracking.scroll,trackTabs:e.tracking.tabs,nuclearEnabled:e.extension.nuclearEnabled,customProductive:e.extension.customProductive,customBlocked:e.extension.customBlocked};try{return{success:!0,response:await chrome.runtime.sendMessage({type:"SYNC_SETTINGS",settings:t})}}catch(n){return console.error("Extension sync failed:",n),{success:!1,error:n.message}}}async function Wh(e){var t;if(typeof chrome>"u"||!((t=chrome.runtime)!=null&&t.sendMessage))throw new Error("Extension not available");if(chrome.runtime.id)return chrome.runtime.sendMessage(e);throw new Error("EXTENSION_ID is not set")}async function Vh(e){return ud(e)}function mo(e,t){const n={...e};for(const r in t)t[r]&&typeof t[r]=="object"&&!Array.isArray(t[r])?n[r]=mo(e[r]||{},t[r]):n[r]=t[r];return n}const ad=["Lo-Fi","Classical","Jazz","Ambient","Electronic","Indie","Pop","Hip-Hop","R&B","Rock","Acoustic","Instrumental"],gs={pomodoro:{workMins:25,breakMins:5,label:"Pomodoro (25/5)"},"45-15":{workMins:45,breakMins:15,label:"Deep Work (45/15)"},custom:{workMins:30,breakMins:10,label:"Custom"}};function Ce({children:e,variant:t="primary",size:n="md",icon:r,iconPosition:l="left",fullWidth:i=!1,disabled:s=!1,loading:u=!1,onClick:a,type:d="button",className:m="",...p}){const v=["btn",`btn-${t}`,`btn-${n}`,i&&"btn-full",u&&"btn-loading",m].filter(Boolean).join(" ");return o.jsx("button",{type:d,className:v,disabled:s||u,onClick:a,...p,children:u?o.jsx("span",{className:"btn-spinner"}):o.jsxs(o.Fragment,{children:[r&&l==="left"&&o.jsx("span",{className:"btn-icon",children:r}),o.jsx("span",{className:"btn-text",children:e}),r&&l==="right"&&o.jsx("span",{className:"btn-icon",children:r})]})})}function Hh({bars:e=5,className:t=""}){return o.jsx("div",{className:`waveform ${t}`,children:Array.from({length:e}).map((n,r)=>o.jsx("div",{className:"waveform-bar",style:{animationDelay:`${r*.15}s`}},r))})}function Qh(){const e=Bl(),t=()=>{cr({user:{name:"Demo User",loggedIn:!0,isGuest:!1}}),e("/onboarding")},n=()=>{cr({user:{name:"Guest",loggedIn:!0,isGuest:!0}}),e("/onboarding")};return o.jsxs("div",{className:"login-page page-centered",children:[o.jsxs("div",{className:"login-container animate-slide-up",children:[o.jsxs("div",{className:"login-header",children:[o.jsx("div",{className:"login-logo",children:o.jsx("span",{className:"logo",children:"FocusDJ"})}),o.jsx(Hh,{bars:5,className:"login-waveform"}),o.jsx("p",{className:"login-tagline",children:"Your AI-powered study companion"})]}),o.jsxs("div",{className:"login-options",children:[o.jsx(Ce,{variant:"secondary",size:"lg",fullWidth:!0,onClick:t,icon:o.jsxs("svg",{viewBox:"0 0 24 24",width:"20",height:"20",children:[o.jsx("path",{fill:"#4285F4",d:"M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z"}),o.jsx("path",{fill:"#34A853",d:"M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z"}),o.jsx("path",{fill:"#FBBC05",d:"M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z"}),o.jsx("path",{fill:"#EA4335",d:"M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z"})]}),children:"Continue with Google"}),o.jsx("div",{className:"login-divider",children:o.jsx("span",{children:"or"})}),o.jsx(Ce,{variant:"ghost",size:"lg",fullWidth:!0,onClick:n,children:"Continue as Guest"})]}),o.jsx("p",{className:"login-privacy",children:"Your data stays on your device. No accounts required."})]}),o.jsx("div",{className:"login-glow"})]})}function He({children:e,title:t,subtitle:n,variant:r="default",padding:l="md",className:i="",...s}){const u=["card",`card-${r}`,`card-padding-${l}`,i].filter(Boolean).join(" ");return o.jsxs("div",{className:u,...s,children:[(t||n)&&o.jsxs("div",{className:"card-header",children:[t&&o.jsx("h3",{className:"card-title",children:t}),n&&o.jsx("p",{className:"card-subtitle",children:n})]}),o.jsx("div",{className:"card-content",children:e})]})}function Kh({steps:e,currentStep:t,onStepClick:n}){return o.jsxs("div",{className:"stepper",children:[o.jsx("div",{className:"stepper-track",children:o.jsx("div",{className:"stepper-progress",style:{width:`${t/(e.length-1)*100}%`}})}),o.jsx("div",{className:"stepper-steps",children:e.map((r,l)=>{const i=l<t,s=l===t,u=i&&n;return o.jsxs("button",{className:`stepper-step ${i?"completed":""} ${s?"current":""}`,onClick:()=>u&&n(l),disabled:!u,type:"button",children:[o.jsx("span",{className:"stepper-dot",children:i?o.jsx("svg",{viewBox:"0 0 24 24",fill:"none",stroke:"currentColor",strokeWidth:"3",children:o.jsx("polyline",{points:"20 6 9 17 4 12"})}):o.jsx("span",{children:l+1})}),o.jsx("span",{className:"stepper-label",children:r})]},l)})})]})}function cd({options:e,selected:t=[],onChange:n,multiple:r=!0,maxSelect:l,className:i=""}){const s=u=>{r?t.includes(u)?n(t.filter(a=>a!==u)):l&&t.length>=l?n([...t.slice(1),u]):n([...t,u]):n(t.includes(u)?[]:[u])};return o.jsx("div",{className:`chip-select ${i}`,children:e.map(u=>{const a=t.includes(u);return o.jsxs("button",{type:"button",className:`chip ${a?"chip-selected":""}`,onClick:()=>s(u),children:[u,a&&o.jsx("svg",{className:"chip-check",viewBox:"0 0 24 24",fill:"none",stroke:"currentColor",strokeWidth:"3",children:o.jsx("polyline",{points:"20 6 9 17 4 12"})})]},u)})})}function dd({value:e,onChange:t,min:n=0,max:r=100,step:l=1,label:i,leftLabel:s,rightLabel:u,showValue:a=!1,className:d=""}){const[m,p]=j.useState(!1),v=(e-n)/(r-n)*100;return o.jsxs("div",{className:`slider-wrapper ${d}`,children:[i&&o.jsxs("div",{className:"slider-header",children:[o.jsx("span",{className:"slider-label",children:i}),a&&o.jsx("span",{className:"slider-value",children:e})]}),o.jsxs("div",{className:"slider-container",children:[s&&o.jsx("span",{className:"slider-end-label",children:s}),o.jsxs("div",{className:`slider ${m?"slider-dragging":""}`,children:[o.jsx("div",{className:"slider-track",children:o.jsx("div",{className:"slider-fill",style:{width:`${v}%`}})}),o.jsx("input",{type:"range",min:n,max:r,step:l,value:e,onChange:y=>t(Number(y.target.value)),onMouseDown:()=>p(!0),onMouseUp:()=>p(!1),onTouchStart:()=>p(!0),onTouchEnd:()=>p(!1)}),o.jsx("div",{className:"slider-thumb",style:{left:`${v}%`}})]}),u&&o.jsx("span",{className:"slider-end-label",children:u})]})]})}function de({checked:e,onChange:t,label:n,description:r,disabled:l=!1,size:i="md",className:s=""}){return o.jsxs("label",{className:`toggle-wrapper ${l?"toggle-disabled":""} ${s}`,children:[o.jsxs("div",{className:"toggle-content",children:[n&&o.jsx("span",{className:"toggle-label",children:n}),r&&o.jsx("span",{className:"toggle-description",children:r})]}),o.jsxs("div",{className:`toggle toggle-${i} ${e?"toggle-checked":""}`,children:[o.jsx("input",{type:"checkbox",checked:e,onChange:u=>t(u.target.checked),disabled:l}),o.jsx("span",{className:"toggle-track",children:o.jsx("span",{className:"toggle-thumb"})})]})]})}function hn({type:e="text",value:t,onChange:n,placeholder:r,label:l,hint:i,error:s,icon:u,disabled:a=!1,className:d="",...m}){return o.jsxs("div",{className:`input-wrapper ${s?"input-error":""} ${d}`,children:[l&&o.jsx("label",{className:"input-label",children:l}),o.jsxs("div",{className:"input-container",children:[u&&o.jsx("span",{className:"input-icon",children:u}),o.jsx("input",{type:e,value:t,onChange:p=>n(p.target.value),placeholder:r,disabled:a,className:u?"has-icon":"",...m})]}),(i||s)&&o.jsx("span",{className:`input-hint ${s?"input-hint-error":""}`,children:s||i})]})}function fd({value:e=[],onChange:t,placeholder:n="Type and press Enter...",label:r,maxTags:l=10,className:i=""}){const s=a=>{if(a.key==="Enter"&&a.target.value.trim()){a.preventDefault();const d=a.target.value.trim();!e.includes(d)&&e.length<l&&(t([...e,d]),a.target.value="")}},u=a=>{t(e.filter(d=>d!==a))};return o.jsxs("div",{className:`input-wrapper ${i}`,children:[r&&o.jsx("label",{className:"input-label",children:r}),o.jsxs("div",{className:"tag-input-container",children:[o.jsx("div",{className:"tag-list",children:e.map(a=>o.jsxs("span",{className:"tag",children:[a,o.jsx("button",{type:"button",onClick:()=>u(a),className:"tag-remove",children:o.jsxs("svg",{viewBox:"0 0 24 24",fill:"none",stroke:"currentColor",strokeWidth:"2",children:[o.jsx("line",{x1:"18",y1:"6",x2:"6",y2:"18"}),o.jsx("line",{x1:"6",y1:"6",x2:"18",y2:"18"})]})})]},a))}),o.jsx("input",{type:"text",placeholder:e.length===0?n:"",onKeyDown:s,disabled:e.length>=l})]})]})}function vo({message:e,status:t="idle",lastIntervention:n,compact:r=!1}){const l={idle:"Standing by",active:"Monitoring focus",intervening:"Taking action..."};return o.jsxs("div",{className:`viola-card ${r?"viola-compact":""}`,children:[o.jsxs("div",{className:"viola-header",children:[o.jsx("div",{className:"viola-avatar",children:o.jsx("div",{className:`viola-orb viola-${t}`,children:o.jsx("div",{className:"viola-orb-inner"})})}),o.jsxs("div",{className:"viola-info",children:[o.jsx("span",{className:"viola-name",children:"Viola"}),o.jsx("span",{className:`viola-status viola-status-${t}`,children:l[t]})]})]}),e&&o.jsx("div",{className:"viola-message",children:o.jsxs("p",{children:['"',e,'"']})}),n&&o.jsxs("div",{className:"viola-intervention",children:[o.jsx("span",{className:"viola-intervention-label",children:"Last action:"}),o.jsx("span",{className:"viola-intervention-text",children:n})]})]})}const Fr=["Welcome","Music","Study","Sites","Privacy","Done"],xi=["twitter.com","instagram.com","tiktok.com","reddit.com","facebook.com","youtube.com","netflix.com","twitch.tv","discord.com","snapchat.com","pinterest.com","tumblr.com"],ki=["docs.google.com","notion.so","github.com","stackoverflow.com","coursera.org","khanacademy.org","quizlet.com","canvas.instructure.com","figma.com","linear.app","overleaf.com","wikipedia.org"];function Gh({showToast:e}){const t=Bl(),[n,r]=j.useState(0),[l,i]=j.useState(ar()),s=p=>{const v={...l};for(const[y,g]of Object.entries(p))typeof g=="object"&&!Array.isArray(g)?v[y]={...v[y],...g}:v[y]=g;i(v)},u=()=>{n<Fr.length-1&&r(n+1)},a=()=>{n>0&&r(n-1)},d=()=>{cr({...l,user:{...l.user,onboarded:!0}}),e("Setup complete! Welcome to FocusDJ"),t("/dashboard")},m=()=>{switch(n){case 0:return o.jsx(Yh,{});case 1:return o.jsx(Xh,{settings:l,updateLocal:s});case 2:return o.jsx(Jh,{settings:l,updateLocal:s});case 3:return o.jsx(Zh,{settings:l,updateLocal:s});case 4:return o.jsx(qh,{settings:l,updateLocal:s});case 5:return o.jsx(bh,{});default:return null}};return o.jsx("div",{className:"onboarding-page page",children:o.jsxs("div",{className:"onboarding-container",children:[o.jsx(Kh,{steps:Fr,currentStep:n,onStepClick:r}),o.jsx("div",{className:"onboarding-content animate-fade-in",children:m()},n),o.jsxs("div",{className:"onboarding-actions",children:[n>0&&n<Fr.length-1&&o.jsx(Ce,{variant:"ghost",onClick:a,children:"Back"}),o.jsx("div",{className:"onboarding-actions-right",children:n<Fr.length-1?o.jsx(Ce,{onClick:u,children:n===0?"Let's Go":"Continue"}):o.jsx(Ce,{onClick:d,children:"Open FocusDJ Extension"})})]})]})})}function Yh(){return o.jsx("div",{className:"step-welcome",children:o.jsx(vo,{message:"Hey! I'm Viola, your focus companion. I'll help you stay in the zone by adapting your music to your study patterns. Let's set things up!",status:"active"})})}function Xh({settings:e,updateLocal:t}){return o.jsxs("div",{className:"step-music",children:[o.jsx("h2",{children:"Music Preferences"}),o.jsx("p",{className:"step-description",children:"Tell me what keeps you focused"}),o.jsxs("div",{className:"form-section",children:[o.jsx("h4",{children:"Favorite Genres"}),o.jsx(cd,{options:ad,selected:e.music.genres,onChange:n=>t({music:{genres:n}}),maxSelect:5})]}),o.jsx("div",{className:"form-section",children:o.jsx(fd,{label:"Favorite Artists (optional)",value:e.music.artists,onChange:n=>t({music:{artists:n}}),placeholder:"Type artist name and press Enter...",maxTags:5})}),o.jsx("div",{className:"form-section",children:o.jsx(hn,{label:"Focus Playlist URL",value:e.music.focusPlaylistUrl,onChange:n=>t({music:{focusPlaylistUrl:n}}),placeholder:"https://music.youtube.com/playlist?list=...",hint:"Paste your YouTube Music focus playlist"})}),o.jsx("div",{className:"form-section",children:o.jsx(hn,{label:"Break Playlist URL (optional)",value:e.music.breakPlaylistUrl,onChange:n=>t({music:{breakPlaylistUrl:n}}),placeholder:"https://music.youtube.com/playlist?list=...",hint:"Music for your break time"})}),o.jsx("div",{className:"form-section",children:o.jsx(dd,{label:"Energy Level",value:e.music.energy,onChange:n=>t({music:{energy:n}}),min:0,max:100,leftLabel:"Calm",rightLabel:"Hype"})})]})}function Jh({settings:e,updateLocal:t}){const n=r=>{const l=gs[r];t({study:{technique:r,workMins:l.workMins,breakMins:l.breakMins}})};return o.jsxs("div",{className:"step-study",children:[o.jsx("h2",{children:"Study Technique"}),o.jsx("p",{className:"step-description",children:"How do you like to structure your sessions?"}),o.jsx("div",{className:"technique-options",children:Object.entries(gs).map(([r,l])=>o.jsx(He,{variant:e.study.technique===r?"glow":"default",padding:"md",className:`technique-card ${e.study.technique===r?"selected":""}`,onClick:()=>n(r),children:o.jsxs("div",{className:"technique-info",children:[o.jsx("span",{className:"technique-label",children:l.label}),o.jsxs("span",{className:"technique-times",children:[l.workMins,"min work / ",l.breakMins,"min break"]})]})},r))}),e.study.technique==="custom"&&o.jsxs("div",{className:"custom-times",children:[o.jsxs("div",{className:"time-input",children:[o.jsx("label",{children:"Work Duration"}),o.jsxs("div",{className:"time-controls",children:[o.jsx("button",{onClick:()=>t({study:{workMins:Math.max(5,e.study.workMins-5)}}),children:"-"}),o.jsxs("span",{children:[e.study.workMins," min"]}),o.jsx("button",{onClick:()=>t({study:{workMins:Math.min(90,e.study.workMins+5)}}),children:"+"})]})]}),o.jsxs("div",{className:"time-input",children:[o.jsx("label",{children:"Break Duration"}),o.jsxs("div",{className:"time-controls",children:[o.jsx("button",{onClick:()=>t({study:{breakMins:Math.max(1,e.study.breakMins-1)}}),children:"-"}),o.jsxs("span",{children:[e.study.breakMins," min"]}),o.jsx("button",{onClick:()=>t({study:{breakMins:Math.min(30,e.study.breakMins+1)}}),children:"+"})]})]})]}),o.jsx("div",{className:"form-section",children:o.jsx(de,{checked:e.study.autoSwitchOnBreak,onChange:r=>t({study:{autoSwitchOnBreak:r}}),label:"Switch to fun music during breaks",description:"I'll play your break playlist when it's time to relax"})})]})}function Zh({settings:e,updateLocal:t}){var v,y;const[n,r]=j.useState(""),[l,i]=j.useState(""),s=((v=e.extension)==null?void 0:v.customBlocked)||[],u=((y=e.extension)==null?void 0:y.customProductive)||[],a=g=>{const x=[...s],S=x.indexOf(g);S>-1?x.splice(S,1):x.push(g),t({extension:{customBlocked:x}})},d=g=>{const x=[...u],S=x.indexOf(g);S>-1?x.splice(S,1):x.push(g),t({extension:{customProductive:x}})},m=()=>{n&&!s.includes(n)&&(t({extension:{customBlocked:[...s,n]}}),r(""))},p=()=>{l&&!u.includes(l)&&(t({extension:{customProductive:[...u,l]}}),i(""))};return o.jsxs("div",{className:"step-sites",children:[o.jsx("h2",{children:"Site Categories"}),o.jsx("p",{className:"step-description",children:"Tell me which sites distract you and which help you focus"}),o.jsxs("div",{className:"form-section",children:[o.jsx("h4",{children:"Distracting Sites"}),o.jsx("p",{className:"section-hint",children:"Select sites that break your focus"}),o.jsx("div",{className:"site-chips",children:xi.map(g=>o.jsx("button",{type:"button",className:`site-chip distraction ${s.includes(g)?"selected":""}`,onClick:()=>a(g),children:g},g))}),o.jsxs("div",{className:"custom-site-input",children:[o.jsx(hn,{value:n,onChange:r,placeholder:"Add custom site (e.g., example.com)",onKeyDown:g=>g.key==="Enter"&&m()}),o.jsx(Ce,{variant:"ghost",size:"sm",onClick:m,children:"Add"})]}),s.filter(g=>!xi.includes(g)).length>0&&o.jsxs("div",{className:"custom-sites",children:[o.jsx("span",{className:"custom-label",children:"Custom:"}),s.filter(g=>!xi.includes(g)).map(g=>o.jsxs("span",{className:"custom-tag distraction",children:[g,o.jsx("button",{onClick:()=>a(g),children:"×"})]},g))]})]}),o.jsxs("div",{className:"form-section",children:[o.jsx("h4",{children:"Productive Sites"}),o.jsx("p",{className:"section-hint",children:"Select sites that help you stay productive"}),o.jsx("div",{className:"site-chips",children:ki.map(g=>o.jsx("button",{type:"button",className:`site-chip productive ${u.includes(g)?"selected":""}`,onClick:()=>d(g),children:g},g))}),o.jsxs("div",{className:"custom-site-input",children:[o.jsx(hn,{value:l,onChange:i,placeholder:"Add custom site (e.g., mywork.com)",onKeyDown:g=>g.key==="Enter"&&p()}),o.jsx(Ce,{variant:"ghost",size:"sm",onClick:p,children:"Add"})]}),u.filter(g=>!ki.includes(g)).length>0&&o.jsxs("div",{className:"custom-sites",children:[o.jsx("span",{className:"custom-label",children:"Custom:"}),u.filter(g=>!ki.includes(g)).map(g=>o.jsxs("span",{className:"custom-tag productive",children:[g,o.jsx("button",{onClick:()=>d(g),children:"×"})]},g))]})]}),o.jsxs("div",{className:"sites-note",children:[o.jsxs("svg",{viewBox:"0 0 24 24",fill:"none",stroke:"currentColor",strokeWidth:"2",children:[o.jsx("circle",{cx:"12",cy:"12",r:"10"}),o.jsx("line",{x1:"12",y1:"16",x2:"12",y2:"12"}),o.jsx("line",{x1:"12",y1:"8",x2:"12.01",y2:"8"})]}),o.jsx("p",{children:"These settings help Viola understand your focus patterns. You can always change them later in Settings."})]})]})}function qh({settings:e,updateLocal:t}){return o.jsxs("div",{className:"step-privacy",children:[o.jsx("h2",{children:"Privacy & AI Controls"}),o.jsx("p",{className:"step-description",children:"You're in control. Enable only what you're comfortable with."}),o.jsx(He,{variant:"elevated",padding:"md",className:"privacy-card",children:o.jsx(de,{checked:e.tracking.enabled,onChange:n=>t({tracking:{enabled:n}}),label:"Enable Viola",description:"Master toggle for all AI-powered focus detection",size:"lg"})}),o.jsxs("div",{className:`tracking-options ${e.tracking.enabled?"":"disabled"}`,children:[o.jsx("h4",{children:"Detection Signals"}),o.jsx("p",{className:"tracking-intro",children:"Viola uses these signals to understand your focus. All processing happens locally on your device."}),o.jsx(de,{checked:e.tracking.camera,onChange:n=>t({tracking:{camera:n}}),label:"Camera-based posture detection",description:"Detects if you're looking away. No images are stored or transmitted.",disabled:!e.tracking.enabled}),o.jsx(de,{checked:e.tracking.keystroke,onChange:n=>t({tracking:{keystroke:n}}),label:"Keystroke timing",description:"Measures typing rhythm to detect focus. No text content is ever captured.",disabled:!e.tracking.enabled}),o.jsx(de,{checked:e.tracking.mouse,onChange:n=>t({tracking:{mouse:n}}),label:"Mouse movement",description:"Tracks cursor activity patterns. Position data stays local.",disabled:!e.tracking.enabled}),o.jsx(de,{checked:e.tracking.scroll,onChange:n=>t({tracking:{scroll:n}}),label:"Scroll behavior",description:"Detects doomscrolling patterns. No page content is accessed.",disabled:!e.tracking.enabled}),o.jsx(de,{checked:e.tracking.tabs,onChange:n=>t({tracking:{tabs:n}}),label:"Tab switching",description:"Monitors tab changes to detect distraction. URLs are categorized locally.",disabled:!e.tracking.enabled})]}),o.jsxs("div",{className:"privacy-reassurance",children:[o.jsx("svg",{viewBox:"0 0 24 24",fill:"none",stroke:"currentColor",strokeWidth:"2",children:o.jsx("path",{d:"M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z"})}),o.jsxs("p",{children:[o.jsx("strong",{children:"Your privacy is our priority."})," All data is processed on your device. Nothing is sent to external servers. You can delete all local data anytime from Settings."]})]})]})}function bh(){return o.jsxs("div",{className:"step-done",children:[o.jsx("div",{className:"done-icon",children:o.jsxs("svg",{viewBox:"0 0 24 24",fill:"none",stroke:"currentColor",strokeWidth:"2",children:[o.jsx("path",{d:"M22 11.08V12a10 10 0 1 1-5.93-9.14"}),o.jsx("polyline",{points:"22 4 12 14.01 9 11.01"})]})}),o.jsx("h2",{children:"You're all set!"}),o.jsx("p",{className:"step-description",children:"Viola is ready to help you stay focused. Open the FocusDJ extension to start your first session."}),o.jsx(vo,{message:"I'll be watching your back. Let's lock in and get things done!",status:"idle"})]})}const pd={socialMedia:"Social Media",entertainment:"Entertainment",games:"Games",shopping:"Shopping",news:"News",blocked:"Blocked"},em=Object.keys(pd),Ln=["Mon","Tue","Wed","Thu","Fri","Sat","Sun"];async function hd(e){const t=await Wh(e);if(!(t!=null&&t.success))throw new Error((t==null?void 0:t.error)||`${e.type} failed`);return t}async function tm({limit:e=30}={}){const{sessions:t}=await hd({type:"GET_SESSIONS",query:{limit:e,includeDetails:!0}});return t||[]}async function nm(e=7){return hd({type:"GET_DAILY_STATS",days:e})}function rm(e){const t=Ln.map(()=>Array.from({length:24},()=>({total:0,samples:0})));for(const n of e)for(const{timestamp:r,score:l}of n.timeline||[]){const i=new Date(r),s=t[(i.getDay()+6)%7][i.getHours()];s.total+=l,s.samples+=1}return t.map(n=>n.map(({total:r,samples:l})=>({avg:l?Math.round(r/l):null,samples:l})))}function lm(e,t=3){const n={};for(const r of e)for(const[l,{category:i,totalMs:s}]of Object.entries(r.siteBreakdown||{})){if(!em.includes(i)||!s)continue;const u=n[i]||(n[i]={totalMs:0,sites:{}});u.totalMs+=s,u.sites[l]=(u.sites[l]||0)+s}return Object.entries(n).map(([r,{totalMs:l,sites:i}])=>({category:r,label:pd[r],totalMs:l,sites:Object.entries(i).map(([s,u])=>({hostname:s,totalMs:u})).sort((s,u)=>u.totalMs-s.totalMs).slice(0,t)})).sort((r,l)=>l.totalMs-r.totalMs)}function wl(e){const t=Math.round(e/1e3),n=Math.floor(t/3600),r=Math.floor(t%3600/60);return n?`${n}h ${String(r).padStart(2,"0")}m`:r?`${r}m`:`${t}s`}const Ur=300,jt=100,Du=e=>new Date(e).toLocaleTimeString([],{hour:"numeric",minute:"2-digit"});function im({timeline:e=[],className:t=""}){if(e.length<2)return o.jsx("p",{className:`focus-chart-empty ${t}`,children:"Not enough data for this session yet"});const n=e[0].timestamp,r=e[e.length-1].timestamp-n||1,l=e.map(({timestamp:i,score:s})=>{const u=(i-n)/r*Ur,a=jt-Math.max(0,Math.min(100,s))/100*jt;return`${u.toFixed(1)},${a.toFixed(1)}`}).join(" ");return o.jsxs("div",{className:`focus-chart ${t}`,children:[o.jsxs("svg",{viewBox:`0 0 ${Ur} ${jt}`,preserveAspectRatio:"none",className:"focus-chart-svg",children:[o.jsx("defs",{children:o.jsxs("linearGradient",{id:"focus-chart-fill",x1:"0",y1:"0",x2:"0",y2:"1",children:[o.jsx("stop",{offset:"0%",stopColor:"var(--accent-pink)",stopOpacity:"0.35"}),o.jsx("stop",{offset:"100%",stopColor:"var(--accent-pink)",stopOpacity:"0"})]})}),o.jsx("line",{x1:"0",y1:jt/2,x2:Ur,y2:jt/2,className:"focus-chart-grid"}),o.jsx("polygon",{points:`0,${jt} ${l} ${Ur},${jt}`,fill:"url(#focus-chart-fill)"}),o.jsx("polyline",{points:l,className:"focus-chart-line"})]}),o.jsxs("div",{className:"focus-chart-labels",children:[o.jsx("span",{children:Du(n)}),o.jsx("span",{children:Du(n+r)})]})]})}const sm={0:"12a",6:"6a",12:"12p",18:"6p"},om=e=>`hsl(${Math.round(e/100*140)}, 70%, 45%)`;function um({grid:e,className:t=""}){return o.jsxs("div",{className:`focus-heatmap ${t}`,children:[e.map((n,r)=>o.jsxs("div",{className:"heatmap-row",children:[o.jsx("span",{className:"heatmap-day",children:Ln[r]}),n.map((l,i)=>o.jsx("div",{className:"heatmap-cell",style:l.avg!==null?{background:om(l.avg)}:void 0,title:l.avg!==null?`${Ln[r]} ${i}:00 - avg focus ${l.avg} (${l.samples} samples)`:`${Ln[r]} ${i}:00 - no data`},i))]},Ln[r])),o.jsxs("div",{className:"heatmap-row heatmap-hours",children:[o.jsx("span",{className:"heatmap-day"}),Array.from({length:24},(n,r)=>o.jsx("span",{className:"heatmap-hour",children:sm[r]||""},r))]})]})}function am({groups:e=[],className:t=""}){if(e.length===0)return o.jsx("p",{className:`top-sites-empty ${t}`,children:"No distracting sites recorded. Nice."});const n=e[0].totalMs;return o.jsx("div",{className:`top-sites ${t}`,children:e.map(r=>o.jsxs("div",{className:"top-sites-group",children:[o.jsxs("div",{className:"top-sites-header",children:[o.jsx("span",{className:"top-sites-category",children:r.label}),o.jsx("span",{className:"top-sites-total",children:wl(r.totalMs)})]}),o.jsx("div",{className:"top-sites-bar",children:o.jsx("div",{className:"top-sites-bar-fill",style:{width:`${r.totalMs/n*100}%`}})}),o.jsx("ul",{className:"top-sites-list",children:r.sites.map(l=>o.jsxs("li",{children:[o.jsx("span",{children:l.hostname}),o.jsx("span",{children:wl(l.totalMs)})]},l.hostname))})]},r.category))})}function cm({showToast:e}){const t=Bl(),[n,r]=j.useState(ar()),[l,i]=j.useState(!1),[s,u]=j.useState({loading:!0,error:null,sessions:[],daily:null}),[a,d]=j.useState(null);j.useEffect(()=>{ar().user.loggedIn||t("/login")},[t]);const m=async()=>{u(c=>({...c,loading:!0,error:null}));try{const[c,h]=await Promise.all([tm(),nm(7)]);u({loading:!1,error:null,sessions:c,daily:h}),d(k=>{var N;return k??((N=c[0])==null?void 0:N.id)??null})}catch(c){u({loading:!1,error:c.message,sessions:[],daily:null})}};j.useEffect(()=>{m()},[]);const p=j.useMemo(()=>rm(s.sessions),[s.sessions]),v=j.useMemo(()=>lm(s.sessions),[s.sessions]),y=s.sessions.find(c=>c.id===a),g=c=>{const h=cr(c);r(h)},x=async()=>{i(!0);try{(await Vh(n)).success?e("Settings synced to FocusDJ extension"):e("Sync failed. Is the extension installed?","error")}catch(c){e("Sync failed: "+c.message,"error")}i(!1)},S=()=>{confirm("Delete all local data? This cannot be undone.")&&(Ah(),e("All data deleted"),t("/login"))},f=()=>{cr({user:{loggedIn:!1,onboarded:!1}}),t("/login")};return o.jsx("div",{className:"dashboard-page page-scroll",children:o.jsxs("div",{className:"dashboard-container",children:[o.jsxs("header",{className:"dashboard-header",children:[o.jsxs("div",{children:[o.jsx("span",{className:"logo logo-small",children:"FocusDJ"}),o.jsxs("span",{className:"dashboard-greeting",children:["Welcome back",n.user.name?`, ${n.user.name}`:""]})]}),o.jsx("div",{className:"dashboard-actions",children:o.jsx(Ce,{variant:"primary",loading:l,onClick:x,icon:o.jsx("svg",{viewBox:"0 0 24 24",fill:"none",stroke:"currentColor",strokeWidth:"2",children:o.jsx("path",{d:"M21 12a9 9 0 0 1-9 9m9-9a9 9 0 0 0-9-9m9 9H3m9 9a9 9 0 0 1-9-9m9 9c1.66 0 3-4.03 3-9s-1.34-9-3-9m0 18c-1.66 0-3-4.03-3-9s1.34-9 3-9"})}),children:"Sync to Extension"})})]}),o.jsxs("div",{className:"dashboard-grid",children:[o.jsxs("div",{className:"dashboard-main",children:[o.jsxs(He,{title:"Session Settings",subtitle:"Customize your focus sessions",children:[o.jsxs("div",{className:"settings-section",children:[o.jsx("h4",{children:"Study Mode"}),o.jsx("div",{className:"mode-selector",children:["gentle","normal","strict"].map(c=>o.jsx("button",{className:`mode-btn ${n.user.mode===c?"active":""}`,onClick:()=>g({user:{mode:c}}),children:c.charAt(0).toUpperCase()+c.slice(1)},c))})]}),o.jsxs("div",{className:"settings-section",children:[o.jsx("h4",{children:"Technique"}),o.jsx("div",{className:"technique-grid",children:Object.entries(gs).map(([c,h])=>o.jsxs("button",{className:`technique-btn ${n.study.technique===c?"active":""}`,onClick:()=>g({study:{technique:c,workMins:h.workMins,breakMins:h.breakMins}}),children:[o.jsx("span",{children:h.label}),o.jsxs("span",{className:"technique-time",children:[h.workMins,"/",h.breakMins]})]},c))})]}),o.jsx("div",{className:"settings-section",children:o.jsx(hn,{label:"Focus Playlist URL",value:n.music.focusPlaylistUrl,onChange:c=>g({music:{focusPlaylistUrl:c}}),placeholder:"https://music.youtube.com/playlist?list=..."})}),o.jsx("div",{className:"settings-section",children:o.jsx(hn,{label:"Break Playlist URL",value:n.music.breakPlaylistUrl,onChange:c=>g({music:{breakPlaylistUrl:c}}),placeholder:"https://music.youtube.com/playlist?list=..."})}),o.jsx("div",{className:"settings-section",children:o.jsx(dd,{label:"Energy Level",value:n.music.energy,onChange:c=>g({music:{energy:c}}),min:0,max:100,leftLabel:"Calm",rightLabel:"Hype",showValue:!0})}),o.jsxs("div",{className:"settings-section",children:[o.jsx("h4",{children:"Favorite Genres"}),o.jsx(cd,{options:ad,selected:n.music.genres,onChange:c=>g({music:{genres:c}}),maxSelect:5})]}),o.jsx("div",{className:"settings-section",children:o.jsx(fd,{label:"Favorite Artists",value:n.music.artists,onChange:c=>g({music:{artists:c}}),maxTags:5})}),o.jsx(de,{checked:n.study.autoSwitchOnBreak,onChange:c=>g({study:{autoSwitchOnBreak:c}}),label:"Auto-switch music on break",description:"Play your break playlist during rest periods"})]}),o.jsxs(He,{title:"AI Controls",subtitle:"Manage Viola's focus detection",children:[o.jsx("div",{className:"master-toggle",children:o.jsx(de,{checked:n.tracking.enabled,onChange:c=>g({tracking:{enabled:c}}),label:"Enable Viola",description:"Master toggle for all AI-powered focus detection",size:"lg"})}),o.jsxs("div",{className:`tracking-toggles ${n.tracking.enabled?"":"disabled"}`,children:[o.jsx(de,{checked:n.tracking.camera,onChange:c=>g({tracking:{camera:c}}),label:"Camera posture detection",description:"Uses webcam to detect if you're looking away",disabled:!n.tracking.enabled}),o.jsx(de,{checked:n.tracking.keystroke,onChange:c=>g({tracking:{keystroke:c}}),label:"Keystroke timing",description:"Measures typing rhythm (no text captured)",disabled:!n.tracking.enabled}),o.jsx(de,{checked:n.tracking.mouse,onChange:c=>g({tracking:{mouse:c}}),label:"Mouse movement",description:"Tracks cursor activity patterns",disabled:!n.tracking.enabled}),o.jsx(de,{checked:n.tracking.scroll,onChange:c=>g({tracking:{scroll:c}}),label:"Scroll behavior",description:"Detects doomscrolling patterns",disabled:!n.tracking.enabled}),o.jsx(de,{checked:n.tracking.tabs,onChange:c=>g({tracking:{tabs:c}}),label:"Tab switching",description:"Monitors tab changes for distraction",disabled:!n.tracking.enabled})]}),o.jsx(Ce,{variant:"ghost",fullWidth:!0,onClick:()=>g({tracking:{enabled:!1}}),disabled:!n.tracking.enabled,children:"Pause All Tracking"})]}),o.jsxs(He,{title:"Privacy",subtitle:"Your data, your control",children:[o.jsxs("div",{className:"privacy-info",children:[o.jsxs("div",{className:"privacy-item",children:[o.jsx("div",{className:"privacy-icon good",children:o.jsx("svg",{viewBox:"0 0 24 24",fill:"none",stroke:"currentColor",strokeWidth:"2",children:o.jsx("polyline",{points:"20 6 9 17 4 12"})})}),o.jsxs("div",{children:[o.jsx("strong",{children:"Local Processing"}),o.jsx("p",{children:"All focus detection happens on your device"})]})]}),o.jsxs("div",{className:"privacy-item",children:[o.jsx("div",{className:"privacy-icon good",children:o.jsx("svg",{viewBox:"0 0 24 24",fill:"none",stroke:"currentColor",strokeWidth:"2",children:o.jsx("polyline",{points:"20 6 9 17 4 12"})})}),o.jsxs("div",{children:[o.jsx("strong",{children:"No Cloud Sync"}),o.jsx("p",{children:"Your data never leaves your browser"})]})]}),o.jsxs("div",{className:"privacy-item",children:[o.jsx("div",{className:"privacy-icon good",children:o.jsx("svg",{viewBox:"0 0 24 24",fill:"none",stroke:"currentColor",strokeWidth:"2",children:o.jsx("polyline",{points:"20 6 9 17 4 12"})})}),o.jsxs("div",{children:[o.jsx("strong",{children:"No Text Capture"}),o.jsx("p",{children:"Keystroke timing only, content is never read"})]})]})]}),o.jsx(Ce,{variant:"danger",fullWidth:!0,onClick:S,children:"Delete All Local Data"})]})]}),o.jsxs("div",{className:"dashboard-sidebar",children:[o.jsx(vo,{message:"I'm monitoring your session. Stay focused, you've got this!",status:"active",lastIntervention:"Boosted music energy 2 mins ago"}),o.jsx(He,{title:"Focus Timeline",subtitle:"Today's session history",children:o.jsxs("div",{className:"timeline-placeholder",children:[o.jsxs("div",{className:"timeline-bar",children:[o.jsx("div",{className:"timeline-segment good",style:{width:"30%"}}),o.jsx("div",{className:"timeline-segment warning",style:{width:"15%"}}),o.jsx("div",{className:"timeline-segment good",style:{width:"40%"}}),o.jsx("div",{className:"timeline-segment bad",style:{width:"15%"}})]}),o.jsxs("div",{className:"timeline-labels",children:[o.jsx("span",{children:"9am"}),o.jsx("span",{children:"12pm"}),o.jsx("span",{children:"3pm"}),o.jsx("span",{children:"Now"})]}),o.jsxs("div",{className:"timeline-stats",children:[o.jsxs("div",{className:"stat",children:[o.jsx("span",{className:"stat-value",children:"2h 45m"}),o.jsx("span",{className:"stat-label",children:"Focus time"})]}),o.jsxs("div",{className:"stat",children:[o.jsx("span",{className:"stat-value",children:"78"}),o.jsx("span",{className:"stat-label",children:"Avg score"})]}),o.jsxs("div",{className:"stat",children:[o.jsx("span",{className:"stat-value",children:"3"}),o.jsx("span",{className:"stat-label",children:"Interventions"})]})]})]})}),s.daily&&o.jsx(He,{title:"This Week",subtitle:"Last 7 days during focus sessions",children:o.jsxs("div",{className:"timeline-stats",children:[o.jsxs("div",{className:"stat",children:[o.jsx("span",{className:"stat-value",children:wl(s.daily.summary.productiveTime)}),o.jsx("span",{className:"stat-label",children:"Productive"})]}),o.jsxs("div",{className:"stat",children:[o.jsx("span",{className:"stat-value",children:Math.round(s.daily.summary.focusScoreAvg)}),o.jsx("span",{className:"stat-label",children:"Avg score"})]}),o.jsxs("div",{className:"stat",children:[o.jsx("span",{className:"stat-value",children:s.daily.summary.interventionCount}),o.jsx("span",{className:"stat-label",children:"Interventions"})]})]})}),o.jsx(He,{padding:"sm",children:o.jsx("div",{className:"quick-actions",children:o.jsx(Ce,{variant:"ghost",fullWidth:!0,onClick:f,children:"Sign Out"})})})]})]}),o.jsx("section",{className:"dashboard-stats",children:o.jsx(He,{title:"Stats",subtitle:"Focus trends and site usage from your sessions",children:s.loading?o.jsx("p",{className:"stats-message",children:"Loading stats from the extension..."}):s.error?o.jsxs("div",{className:"stats-message",children:[o.jsxs("p",{children:["Couldn't load stats: ",s.error]}),o.jsx(Ce,{variant:"ghost",size:"sm",onClick:m,children:"Retry"})]}):s.sessions.length===0?o.jsx("p",{className:"stats-message",children:"No finished sessions yet. Stats appear after your first session."}):o.jsxs("div",{className:"stats-grid",children:[o.jsxs("div",{className:"settings-section stats-wide",children:[o.jsxs("div",{className:"stats-section-header",children:[o.jsx("h4",{children:"Focus Over Time"}),o.jsx("select",{className:"stats-select",value:a??"",onChange:c=>d(c.target.value),children:s.sessions.map(c=>o.jsxs("option",{value:c.id,children:[new Date(c.startedAt).toLocaleString([],{dateStyle:"medium",timeStyle:"short"})," · ",wl(c.durationMs)," · ",c.mode]},c.id))})]}),o.jsx(im,{timeline:y==null?void 0:y.timeline})]}),o.jsxs("div",{className:"settings-section",children:[o.jsx("h4",{children:"Focus by Hour & Weekday"}),o.jsx(um,{grid:p})]}),o.jsxs("div",{className:"settings-section",children:[o.jsx("h4",{children:"Top Distracting Sites"}),o.jsx(am,{groups:v})]})]})})})]})})}function dm({message:e,type:t="success",onClose:n}){const r={success:o.jsxs("svg",{viewBox:"0 0 24 24",fill:"none",stroke:"currentColor",strokeWidth:"2",children:[o.jsx("path",{d:"M22 11.08V12a10 10 0 1 1-5.93-9.14"}),o.jsx("polyline",{points:"22 4 12 14.01 9 11.01"})]}),error:o.jsxs("svg",{viewBox:"0 0 24 24",fill:"none",stroke:"currentColor",strokeWidth:"2",children:[o.jsx("circle",{cx:"12",cy:"12",r:"10"}),o.jsx("line",{x1:"15",y1:"9",x2:"9",y2:"15"}),o.jsx("line",{x1:"9",y1:"9",x2:"15",y2:"15"})]}),info:o.jsxs("svg",{viewBox:"0 0 24 24",fill:"none",stroke:"currentColor",strokeWidth:"2",children:[o.jsx("circle",{cx:"12",cy:"12",r:"10"}),o.jsx("line",{x1:"12",y1:"16",x2:"12",y2:"12"}),o.jsx("line",{x1:"12",y1:"8",x2:"12.01",y2:"8"})]})};return o.jsxs("div",{className:`toast toast-${t}`,children:[o.jsx("span",{className:"toast-icon",children:r[t]}),o.jsx("span",{className:"toast-message",children:e}),o.jsx("button",{className:"toast-close",onClick:n,children:o.jsxs("svg",{viewBox:"0 0 24 24",fill:"none",stroke:"currentColor",strokeWidth:"2",children:[o.jsx("line",{x1:"18",y1:"6",x2:"6",y2:"18"}),o.jsx("line",{x1:"6",y1:"6",x2:"18",y2:"18"})]})})]})}function fm(){const[e,t]=j.useState(null),n=(r,l="success")=>{t({message:r,type:l}),setTimeout(()=>t(null),3e3)};return o.jsxs("div",{className:"app",children:[o.jsxs(Dh,{children:[o.jsx(Rn,{path:"/login",element:o.jsx(Qh,{})}),o.jsx(Rn,{path:"/onboarding",element:o.jsx(Gh,{showToast:n})}),o.jsx(Rn,{path:"/dashboard",element:o.jsx(cm,{showToast:n})}),o.jsx(Rn,{path:"/",element:o.jsx(pm,{})})]}),e&&o.jsx(dm,{message:e.message,type:e.type,onClose:()=>t(null)})]})}function pm(){const e=ar();return e.user.loggedIn?e.user.onboarded?o.jsx(yi,{to:"/dashboard",replace:!0}):o.jsx(yi,{to:"/onboarding",replace:!0}):o.jsx(yi,{to:"/login",replace:!0})}wi.createRoot(document.getElementById("root")).render(o.jsx(Gu.StrictMode,{children:o.jsx($h,{children:o.jsx(fm,{})})}));
@@ -119,7 +119,6 @@ function playWhiteNoiseBurst(durationMs = 1000) {
 
 // Message handler
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  console.log('[Offscreen] Received message:', message);
 
   switch (message.type) {
     case 'PLAY_ALARM':
@@ -147,7 +146,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       break;
 
     default:
-      sendResponse({ success: false, error: 'Unknown message type' });
+      // Not for us (service worker messages, vision.js)
+      return false;
   }
 
   return true;
@@ -0,0 +1,69 @@
+// Offscreen vision - runs the camera detection loop during sessions, no tab needed
+// Started/stopped by the service worker (startSession/stopSession with trackCamera on,
+// pause and idle auto-stop). Only the debounced signal is sent, never a frame.
+// Needs camera access granted once on the camera page: offscreen documents can't prompt
+
+import { openCamera, createVisionTracker } from '../ui/vision_tracker.js';
+
+const video = document.getElementById('vision-video');
+
+let stream = null;
+let tracker = null;
+let starting = null;
+let wanted = false;   // cleared by a stop that arrives mid-start
+
+async function startVision(settings = {}) {
+  wanted = true;
+  if (tracker) return { success: true, method: tracker.method };
+
+  try {
+    stream = await openCamera();
+    video.srcObject = stream;
+    await video.play();
+
+    tracker = await createVisionTracker(video, {
+      calibration: settings.gazeCalibration || null,
+      objectDetection: !!settings.visionObjectDetection,
+      onFrame: ({ signal }) => {
+        chrome.runtime.sendMessage({ type: 'VISION_SIGNAL', ...signal }).catch(() => {});
+      },
+    });
+    if (!wanted) throw new Error('Stopped while starting');
+    tracker.start();
+    return { success: true, method: tracker.method };
+  } catch (err) {
+    console.warn('[Offscreen] Vision failed to start:', err);
+    stopVision();
+    return { success: false, error: err.name === 'NotAllowedError' ? 'Camera access not granted' : err.message };
+  }
+}
+
+function stopVision() {
+  wanted = false;
+  tracker?.stop();
+  tracker = null;
+  stream?.getTracks().forEach((track) => track.stop());
+  stream = null;
+  video.srcObject = null;
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  switch (message.type) {
+    case 'OFFSCREEN_VISION_START':
+      // One start at a time, even if the worker asks twice
+      starting ??= startVision(message.settings).finally(() => {
+        starting = null;
+      });
+      starting.then(sendResponse);
+      return true;
+
+    case 'OFFSCREEN_VISION_STOP':
+    case 'VISION_AUTO_STOP':  // session ended, paused or idle
+      stopVision();
+      sendResponse({ success: true });
+      return false;
+
+    default:
+      return false;
+  }
+});
@@ -0,0 +1,51 @@
+// Distractions - phone-in-hand and second-person detection for the camera page
+// Optional (settings.visionObjectDetection): runs MediaPipe's COCO object detector
+// (efficientdet_lite0, from scripts/fetch_mediapipe.sh) every few frames. Looking down at notes is fine; looking down with a
+// phone in view is not
+
+import { isLookingBelowScreen } from './gaze.js';
+
+const VENDOR_URL = new URL('../vendor/mediapipe/', import.meta.url);
+
+const MIN_SCORE = 0.5;
+
+/**
+ * Load the object detector (throws if scripts/fetch_mediapipe.sh hasn't been run)
+ */
+export async function createObjectDetector() {
+  const { ObjectDetector, FilesetResolver } = await import(new URL('vision_bundle.mjs', VENDOR_URL).href);
+  const fileset = await FilesetResolver.forVisionTasks(new URL('wasm', VENDOR_URL).href);
+  return ObjectDetector.createFromOptions(fileset, {
+    baseOptions: {
+      modelAssetPath: new URL('efficientdet_lite0.tflite', VENDOR_URL).href,
+      delegate: 'CPU',
+    },
+    runningMode: 'VIDEO',
+    scoreThreshold: MIN_SCORE,
+    maxResults: 5,
+    categoryAllowlist: ['cell phone', 'person'],
+  });
+}
+
+function countCategory(detections, name) {
+  return detections.filter((d) => d.categories?.some((c) => c.categoryName === name && c.score >= MIN_SCORE)).length;
+}
+
+/**
+ * What's in frame besides the user
+ * @param {object[]} detections - ObjectDetector results (empty if detection is off)
+ * @param {number} faceCount - faces found by the landmark model
+ * @param {object|null} pose - the user's pose from gaze.js, if a face was found
+ * @param {object|null} calibration - gaze calibration (screen bounds)
+ * @returns {{ phoneVisible: boolean, phoneInHand: boolean, otherPerson: boolean }}
+ */
+export function judgeScene(detections, faceCount, pose, calibration = null) {
+  const phoneVisible = countCategory(detections, 'cell phone') > 0;
+  const personCount = Math.max(faceCount, countCategory(detections, 'person'));
+  return {
+    phoneVisible,
+    // Head tilted down toward the hands with a phone in view (a phone on the desk while reading doesn't count)
+    phoneInHand: phoneVisible && !!pose && isLookingBelowScreen(pose, calibration),
+    otherPerson: personCount > 1,
+  };
+}
@@ -0,0 +1,162 @@
+// Gaze - head pose and eye direction from face landmarks
+// Runs MediaPipe Face Landmarker from src/vendor/mediapipe (wasm + model, put there by
+// scripts/fetch_mediapipe.sh; nothing is fetched at runtime). Head yaw/pitch and
+// iris position combine into a gaze point, judged against the user's calibrated
+// screen corners
+
+const VENDOR_URL = new URL('../vendor/mediapipe/', import.meta.url);
+
+// Face mesh landmark indices (478-point model with irises)
+const LANDMARKS = {
+  noseTip: 1,
+  forehead: 10,
+  chin: 152,
+  leftCheek: 234,
+  rightCheek: 454,
+  rightEye: { outer: 33, inner: 133, top: 159, bottom: 145, iris: 468 },
+  leftEye: { outer: 263, inner: 362, top: 386, bottom: 374, iris: 473 },
+};
+
+const PITCH_CENTRE = 0.6;       // nose tip sits a little below halfway from forehead to chin
+const EYE_GAIN = 30;            // degrees of gaze per unit of iris offset
+const DEFAULT_BOUNDS = { left: -25, right: 25, up: -20, down: 20 };  // degrees, before calibration
+const CALIBRATION_MARGIN = 0.25; // share of the calibrated range still counted as on-screen
+const AWAY_RANGE_DEG = 30;      // degrees past the bounds for zero attention
+
+/**
+ * Load the landmark model (throws if scripts/fetch_mediapipe.sh hasn't been run)
+ */
+export async function createLandmarker() {
+  const { FaceLandmarker, FilesetResolver } = await import(new URL('vision_bundle.mjs', VENDOR_URL).href);
+  const fileset = await FilesetResolver.forVisionTasks(new URL('wasm', VENDOR_URL).href);
+  return FaceLandmarker.createFromOptions(fileset, {
+    baseOptions: {
+      modelAssetPath: new URL('face_landmarker.task', VENDOR_URL).href,
+      delegate: 'CPU',
+    },
+    runningMode: 'VIDEO',
+    numFaces: 2,    // a second face = someone else in frame (see distractions.js)
+  });
+}
+
+function clamp(x, min, max) {
+  return Math.max(min, Math.min(max, x));
+}
+
+// Offset of a ratio from its centre (facing straight on), as an angle
+function ratioToDegrees(ratio, centre = 0.5) {
+  return Math.asin(clamp((ratio - centre) * 2, -1, 1)) * 180 / Math.PI;
+}
+
+// Iris position inside one eye: x from inner to outer corner, y from lid to lid, centred on 0
+function irisOffset(points, eye) {
+  const outer = points[eye.outer];
+  const inner = points[eye.inner];
+  const iris = points[eye.iris];
+  const width = outer.x - inner.x;
+  const height = points[eye.bottom].y - points[eye.top].y;
+  if (!iris || !width || !height) return null;
+  return {
+    x: (iris.x - inner.x) / width - 0.5,
+    y: (iris.y - points[eye.top].y) / height - 0.5,
+  };
+}
+
+/**
+ * The user's face among those found: the largest (closest to the camera)
+ */
+export function primaryFace(faces) {
+  const width = (points) => Math.abs(points[LANDMARKS.rightCheek].x - points[LANDMARKS.leftCheek].x);
+  return faces.reduce((best, points) => (!best || width(points) > width(best) ? points : best), null);
+}
+
+/**
+ * Head pose and eye direction from one face's landmarks (normalized image coords)
+ * Angles are from the camera's view: yaw > 0 = turned to the user's left, pitch > 0 = down
+ * @returns {{ yaw: number, pitch: number, eyeX: number, eyeY: number, gazeX: number, gazeY: number }}
+ */
+export function estimatePose(points) {
+  const nose = points[LANDMARKS.noseTip];
+  const left = points[LANDMARKS.leftCheek];
+  const right = points[LANDMARKS.rightCheek];
+  const top = points[LANDMARKS.forehead];
+  const bottom = points[LANDMARKS.chin];
+
+  const yaw = ratioToDegrees((nose.x - left.x) / ((right.x - left.x) || 1));
+  const pitch = ratioToDegrees((nose.y - top.y) / ((bottom.y - top.y) || 1), PITCH_CENTRE);
+
+  // Iris x runs toward each eye's outer corner, opposite ways in the image: flip the right eye
+  const rightIris = irisOffset(points, LANDMARKS.rightEye);
+  const leftIris = irisOffset(points, LANDMARKS.leftEye);
+  let eyeX = 0;
+  let eyeY = 0;
+  if (rightIris && leftIris) {
+    eyeX = (-rightIris.x + leftIris.x) / 2;
+    eyeY = (rightIris.y + leftIris.y) / 2;
+  }
+
+  return {
+    yaw,
+    pitch,
+    eyeX,
+    eyeY,
+    gazeX: yaw + eyeX * EYE_GAIN,
+    gazeY: pitch + eyeY * EYE_GAIN,
+  };
+}
+
+/**
+ * Screen bounds from the gaze measured while looking at each corner
+ * @param {object} samples - { topLeft, topRight, bottomLeft, bottomRight } as { gazeX, gazeY }
+ * @returns {{ left, right, up, down, calibratedAt }} in degrees
+ */
+export function createCalibration(samples, now = Date.now()) {
+  const xs = Object.values(samples).map((s) => s.gazeX);
+  const ys = Object.values(samples).map((s) => s.gazeY);
+  const marginX = (Math.max(...xs) - Math.min(...xs)) * CALIBRATION_MARGIN;
+  const marginY = (Math.max(...ys) - Math.min(...ys)) * CALIBRATION_MARGIN;
+  return {
+    left: Math.min(...xs) - marginX,
+    right: Math.max(...xs) + marginX,
+    up: Math.min(...ys) - marginY,
+    down: Math.max(...ys) + marginY,
+    calibratedAt: now,
+  };
+}
+
+/**
+ * Is this pose looking at the screen?
+ * @returns {{ lookingAway: boolean, attentionScore: number, offBy: number }} offBy in degrees past the bounds
+ */
+export function scoreGaze(pose, calibration = null) {
+  const bounds = calibration || DEFAULT_BOUNDS;
+  const offX = Math.max(0, bounds.left - pose.gazeX, pose.gazeX - bounds.right);
+  const offY = Math.max(0, bounds.up - pose.gazeY, pose.gazeY - bounds.down);
+  const offBy = Math.hypot(offX, offY);
+  return {
+    lookingAway: offBy > 0,
+    attentionScore: clamp(1 - offBy / AWAY_RANGE_DEG, 0, 1),
+    offBy,
+  };
+}
+
+/**
+ * Is the gaze below the screen (down at the desk, lap or hands)?
+ */
+export function isLookingBelowScreen(pose, calibration = null) {
+  return pose.gazeY > (calibration || DEFAULT_BOUNDS).down;
+}
+
+/**
+ * Median gaze of a run of poses (calibration holds each corner for a moment)
+ */
+export function medianPose(poses) {
+  const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+  };
+  return {
+    gazeX: median(poses.map((p) => p.gazeX)),
+    gazeY: median(poses.map((p) => p.gazeY)),
+  };
+}
@@ -1,7 +1,29 @@
 // Options page controller - YouTube Music version
 
+import {
+  DEFAULT_FOCUS_MODEL,
+  CURVES,
+  computeFocusScore,
+  listFocusSignals,
+  resolveFocusModel,
+} from '../background/focus_model.js';
+import { getActiveBaseline, summarizeBaseline } from '../background/baseline.js';
+import { getIntervention, listInterventions } from '../background/interventions.js';
+import { getDefaultEscalationLadder, getEscalationLadder } from '../background/decision_engine.js';
+import { classifySite, matchDoomscroll, validateSiteRules } from '../background/site_rules.js';
+import { describePageKey } from '../background/page_classifier.js';
+import { DEFAULT_DOOMSCROLL_MODES } from '../background/doomscroll.js';
+
 const $ = (id) => document.getElementById(id);
 
+// Focus model being edited (saved with the other settings)
+let focusModel = structuredClone(DEFAULT_FOCUS_MODEL);
+let previewSignals = {};
+let previewBaseline = null;
+
+// Escalation ladder being edited (saved with the other settings)
+let escalationLadder = getDefaultEscalationLadder();
+
 // ============================================================
 // Load settings
 // ============================================================
@@ -10,9 +32,19 @@ async function loadSettings() {
   const state = await chrome.runtime.sendMessage({ type: 'GET_STATE' });
   const settings = state.settings || {};
 
+  // Music service
+  $('music-backend').value = settings.musicBackend || 'auto';
+
   // Site lists
   $('study-sites').value = (settings.customProductive || settings.studySites || []).join('\n');
   $('doomscroll-sites').value = (settings.customBlocked || settings.doomscrollSites || []).join('\n');
+  $('site-rules').value = (settings.siteRules || []).join('\n');
+  $('custom-doomscroll-sites').value = (settings.customDoomscrollSites || []).join('\n');
+  $('doomscroll-threshold').value = settings.doomscrollThreshold ?? 15;
+  loadDoomscrollModes(settings);
+  $('site-rules-errors').textContent = '';
+  renderSiteRuleTest();
+  renderPageCorrections(state.pageCorrections || {});
 
   // Toggles
   $('nuclear-enabled').checked = settings.nuclearEnabled;
@@ -31,6 +63,33 @@ async function loadSettings() {
   $('auto-music-threshold').value = settings.autoMusicThreshold || 70;
   $('threshold-value').textContent = settings.autoMusicThreshold || 70;
 
+  // Focus model editor
+  focusModel = structuredClone(resolveFocusModel(settings));
+  previewSignals = state.signals || {};
+  previewBaseline = getActiveBaseline(state);
+  $('model-mode').value = state.session?.mode || 'normal';
+  renderFocusModel();
+
+  // Personal baseline
+  $('baseline-enabled').checked = settings.baselineEnabled !== false;
+  $('baseline-sessions').value = settings.baselineCalibrationSessions || 3;
+  $('baseline-allowance').value = focusModel.baseline.allowanceSd;
+  renderBaseline(state.baseline, settings.baselineCalibrationSessions || 3);
+
+  // Escalation ladder
+  escalationLadder = structuredClone(getEscalationLadder(settings));
+  $('escalation-window').value = settings.escalationWindowMin ?? 10;
+  renderEscalationLadder();
+
+  // Intervention learning
+  $('bandit-decay').value = String(settings.banditDecay ?? 0.95);
+  $('bandit-forget-days').value = settings.banditForgetDays ?? 90;
+  $('hold-out-rate').value = Math.round((settings.holdOutRate ?? 0.1) * 100);
+
+  // Screen Time retention
+  $('daily-stats-retention').value = settings.dailyStatsRetentionDays || 30;
+  $('vision-idle-stop').value = settings.visionIdleStopMin ?? 10;
+
   // Genre Preferences
   const preferredGenres = settings.preferredGenres || [];
   document.querySelectorAll('.genre-checkbox').forEach(cb => {
@@ -40,8 +99,14 @@ async function loadSettings() {
   // Load API key status
   await loadApiKeyStatus();
 
+  // Load Spotify connection status
+  await loadSpotifyStatus();
+
   // Load music intelligence
   await loadMusicIntelligence();
+
+  // Per-context intervention stats
+  await loadBanditStats();
 }
 
 // ============================================================
@@ -202,6 +267,172 @@ async function loadMusicIntelligence() {
   }
 }
 
+// ============================================================
+// Escalation ladder
+// ============================================================
+
+function renderEscalationLadder() {
+  const interventions = listInterventions().filter((i) => !i.silent);
+
+  $('escalation-ladder').innerHTML = escalationLadder.map((rung, i) => `
+    <div class="escalation-rung" data-rung="${i}">
+      <div class="escalation-rung-header">
+        <span class="escalation-rung-level">${i + 1}</span>
+        <input type="text" data-key="label" value="${rung.label.replace(/"/g, '&quot;')}" placeholder="Step name">
+        <button data-action="remove" title="Remove step" ${escalationLadder.length <= 1 ? 'disabled' : ''}>✕</button>
+      </div>
+      <div class="escalation-rung-interventions">
+        ${interventions.map(({ id, label }) => `
+          <label><input type="checkbox" data-intervention="${id}" ${rung.interventions.includes(id) ? 'checked' : ''}> ${label}</label>
+        `).join('')}
+      </div>
+    </div>
+  `).join('');
+}
+
+$('escalation-ladder').addEventListener('input', (e) => {
+  const rung = escalationLadder[e.target.closest('[data-rung]')?.dataset.rung];
+  if (!rung) return;
+
+  if (e.target.dataset.key === 'label') {
+    rung.label = e.target.value;
+  } else if (e.target.dataset.intervention) {
+    const id = e.target.dataset.intervention;
+    rung.interventions = e.target.checked
+      ? [...rung.interventions, id]
+      : rung.interventions.filter((i) => i !== id);
+  }
+});
+
+$('escalation-ladder').addEventListener('click', (e) => {
+  if (e.target.dataset.action !== 'remove') return;
+  escalationLadder.splice(Number(e.target.closest('[data-rung]').dataset.rung), 1);
+  renderEscalationLadder();
+});
+
+$('add-escalation-rung').addEventListener('click', () => {
+  escalationLadder.push({ label: '', interventions: [] });
+  renderEscalationLadder();
+});
+
+$('reset-escalation-ladder').addEventListener('click', () => {
+  escalationLadder = getDefaultEscalationLadder();
+  renderEscalationLadder();
+});
+
+// ============================================================
+// Contextual bandit stats
+// ============================================================
+
+async function loadBanditStats() {
+  const result = await chrome.runtime.sendMessage({ type: 'GET_BANDIT_STATS' });
+  if (!result?.success) return;
+
+  const describe = ({ category, mode, hourBucket, pomodoroPhase }) =>
+    `${category} · ${mode} · ${hourBucket}${pomodoroPhase !== 'off' ? ` · pomodoro ${pomodoroPhase}` : ''}`;
+
+  $('bandit-current-context').textContent = `Right now: ${describe(result.currentContext)}`;
+  renderArmTrends(result.trends);
+  renderHoldOutReport(result.holdOut);
+
+  if (!result.contexts.length) {
+    $('bandit-contexts').innerHTML = '<tr><td style="color: #666;">No interventions evaluated yet</td></tr>';
+    return;
+  }
+
+  let html = '<tr><th>Context</th><th>Interventions</th><th>Best so far</th></tr>';
+  for (const context of result.contexts.slice(0, 10)) {
+    const [best] = context.arms;
+    html += `<tr title="${context.arms.map((a) => `${interventionLabel(a.name)}: ${a.value.toFixed(2)} (${a.contextN})`).join('\n')}">
+      <td>${describe(context)}</td>
+      <td style="text-align: center;">${context.pulls}</td>
+      <td>${interventionLabel(best.name)} <span class="model-kind">${best.value.toFixed(2)}</span></td>
+    </tr>`;
+  }
+  $('bandit-contexts').innerHTML = html;
+}
+
+/**
+ * Each intervention's average focus change next to the no-intervention baseline
+ */
+function renderHoldOutReport(report) {
+  if (!report?.holdOut.samples) {
+    $('hold-out-report').innerHTML =
+      '<tr><td style="color: #666;">No hold-outs yet. The comparison appears after a few skipped interventions.</td></tr>';
+    return;
+  }
+
+  const signed = (x) => (x === null ? '--' : `${x > 0 ? '+' : ''}${x.toFixed(1)}`);
+
+  let html = '<tr><th>Intervention</th><th>Outcomes</th><th>Avg focus change</th><th>vs. nothing</th></tr>';
+  html += `<tr>
+    <td>${interventionLabel('HOLD_OUT')}</td>
+    <td style="text-align: center;">${report.holdOut.samples}</td>
+    <td style="text-align: center;">${signed(report.holdOut.avgDelta)}</td>
+    <td></td>
+  </tr>`;
+  for (const arm of report.arms) {
+    const color = arm.lift > 0 ? '#4ade80' : arm.lift < 0 ? '#f87171' : '';
+    html += `<tr>
+      <td>${interventionLabel(arm.name)}</td>
+      <td style="text-align: center;">${arm.samples}</td>
+      <td style="text-align: center;">${signed(arm.avgDelta)}</td>
+      <td style="text-align: center; color: ${color};">${signed(arm.lift)}</td>
+    </tr>`;
+  }
+  $('hold-out-report').innerHTML = html;
+}
+
+function interventionLabel(type) {
+  return getIntervention(type)?.label || type;
+}
+
+const ARM_COLORS = ['#ff6b9d', '#4ade80', '#60a5fa', '#fbbf24', '#a78bfa', '#f87171', '#2dd4bf'];
+
+/**
+ * Line chart of average reward per period, one line per intervention
+ */
+function renderArmTrends(trends = {}) {
+  const arms = Object.entries(trends).filter(([, periods]) => periods.length);
+  if (!arms.length) {
+    $('arm-trends').innerHTML = '<p>Effectiveness will appear here once interventions have been evaluated.</p>';
+    return;
+  }
+
+  const periodStarts = [...new Set(arms.flatMap(([, periods]) => periods.map((p) => p.periodStart)))]
+    .sort((a, b) => a - b);
+  const width = 560;
+  const height = 160;
+  const pad = 24;
+  const x = (periodStart) => periodStarts.length > 1
+    ? pad + (periodStarts.indexOf(periodStart) / (periodStarts.length - 1)) * (width - 2 * pad)
+    : width / 2;
+  const y = (reward) => height - pad - reward * (height - 2 * pad);
+
+  let svg = `<svg viewBox="0 0 ${width} ${height}" width="100%">`;
+  for (const reward of [0, 0.5, 1]) {
+    svg += `<line x1="${pad}" x2="${width - pad}" y1="${y(reward)}" y2="${y(reward)}" class="arm-trends-grid"/>
+      <text x="2" y="${y(reward) + 3}" class="arm-trends-label">${reward}</text>`;
+  }
+  arms.forEach(([arm, periods], i) => {
+    const color = ARM_COLORS[i % ARM_COLORS.length];
+    const points = periods.map((p) => `${x(p.periodStart)},${y(p.avgReward)}`).join(' ');
+    svg += `<polyline points="${points}" fill="none" stroke="${color}" stroke-width="2"/>`;
+    for (const p of periods) {
+      svg += `<circle cx="${x(p.periodStart)}" cy="${y(p.avgReward)}" r="3" fill="${color}">
+        <title>${interventionLabel(arm)}, week of ${new Date(p.periodStart).toLocaleDateString()}: ${p.avgReward.toFixed(2)} (${p.count} outcomes)</title>
+      </circle>`;
+    }
+  });
+  svg += '</svg>';
+
+  const legend = arms
+    .map(([arm], i) => `<span><i style="background: ${ARM_COLORS[i % ARM_COLORS.length]};"></i>${interventionLabel(arm)}</span>`)
+    .join('');
+
+  $('arm-trends').innerHTML = svg + `<div class="arm-trends-legend">${legend}</div>`;
+}
+
 // Clear music learning data
 $('clear-music-data').addEventListener('click', async () => {
   if (!confirm('Clear all music learning data? This will reset BPM preferences and recommendations.')) {
@@ -228,6 +459,34 @@ $('open-ytmusic').addEventListener('click', () => {
   chrome.tabs.create({ url: 'https://music.youtube.com/' });
 });
 
+// ============================================================
+// Spotify
+// ============================================================
+
+let spotifyConnected = false;
+
+async function loadSpotifyStatus() {
+  const result = await chrome.runtime.sendMessage({ type: 'SPOTIFY_STATUS' });
+  spotifyConnected = !!result?.connected;
+  $('connect-spotify').textContent = spotifyConnected ? 'Disconnect Spotify' : 'Connect Spotify';
+  $('spotify-status').textContent = spotifyConnected ? '✓ Spotify connected' : '';
+  $('spotify-status').style.color = '#22c55e';
+}
+
+$('connect-spotify').addEventListener('click', async () => {
+  if (spotifyConnected) {
+    await chrome.runtime.sendMessage({ type: 'SPOTIFY_DISCONNECT' });
+  } else {
+    const result = await chrome.runtime.sendMessage({ type: 'SPOTIFY_CONNECT' });
+    if (!result?.success) {
+      $('spotify-status').textContent = '✗ ' + (result?.error || 'Connection failed');
+      $('spotify-status').style.color = '#ef4444';
+      return;
+    }
+  }
+  await loadSpotifyStatus();
+});
+
 // ============================================================
 // Pomodoro toggle
 // ============================================================
@@ -249,15 +508,12 @@ $('auto-music-threshold').addEventListener('input', (e) => {
 // ============================================================
 
 $('save-settings').addEventListener('click', async () => {
-  const customProductive = $('study-sites').value
-    .split('\n')
-    .map((s) => s.trim())
-    .filter((s) => s);
-
-  const customBlocked = $('doomscroll-sites').value
-    .split('\n')
-    .map((s) => s.trim())
-    .filter((s) => s);
+  const { customProductive, customBlocked, customDoomscrollSites, siteRules, errors } = readSiteSettings();
+  $('site-rules-errors').textContent = errors.join('\n');
+  if (errors.length) {
+    $('site-rules-errors').scrollIntoView({ behavior: 'smooth', block: 'center' });
+    return;
+  }
 
   // Save API keys if changed
   const groqKey = $('groq-api-key').value;
@@ -270,23 +526,20 @@ $('save-settings').addEventListener('click', async () => {
     await chrome.runtime.sendMessage({ type: 'SAVE_API_KEY', keyType: 'serp', value: serpKey });
   }
 
-  // Update state
-  const result = await chrome.storage.local.get('state');
-  const state = result.state;
-
   // Get selected genres
   const preferredGenres = [];
   document.querySelectorAll('.genre-checkbox:checked').forEach(cb => {
     preferredGenres.push(cb.value);
   });
 
-  state.settings = {
-    ...state.settings,
+  // Update settings (through the service worker so it can't clobber a running tick)
+  const settings = {
     customProductive,
     customBlocked,
-    // Keep old names for backwards compatibility
-    studySites: customProductive,
-    doomscrollSites: customBlocked,
+    siteRules,
+    customDoomscrollSites,
+    doomscrollThreshold: Math.max(3, parseInt($('doomscroll-threshold').value) || 15),
+    doomscrollModes: readDoomscrollModes(),
     nuclearEnabled: $('nuclear-enabled').checked,
     pomodoroEnabled: $('pomodoro-enabled').checked,
     pomodoroWork: parseInt($('pomodoro-work').value) || 25,
@@ -295,9 +548,20 @@ $('save-settings').addEventListener('click', async () => {
     autoMusicSwitch: $('auto-music-switch').checked,
     autoMusicThreshold: parseInt($('auto-music-threshold').value) || 50,
     preferredGenres,
+    musicBackend: $('music-backend').value,
+    dailyStatsRetentionDays: parseInt($('daily-stats-retention').value) || 30,
+    visionIdleStopMin: Math.max(0, parseInt($('vision-idle-stop').value) || 0),
+    focusModel,
+    escalationLadder,
+    escalationWindowMin: parseInt($('escalation-window').value) || 10,
+    banditDecay: parseFloat($('bandit-decay').value) || 0.95,
+    banditForgetDays: Math.max(0, parseInt($('bandit-forget-days').value) || 0),
+    holdOutRate: Math.min(50, Math.max(0, parseInt($('hold-out-rate').value) || 0)) / 100,
+    baselineEnabled: $('baseline-enabled').checked,
+    baselineCalibrationSessions: parseInt($('baseline-sessions').value) || 3,
   };
 
-  await chrome.storage.local.set({ state });
+  await chrome.runtime.sendMessage({ type: 'UPDATE_SETTINGS', settings });
 
   // Show confirmation
   const btn = $('save-settings');
@@ -310,6 +574,342 @@ $('save-settings').addEventListener('click', async () => {
   }, 2000);
 });
 
+// ============================================================
+// Site Rules
+// ============================================================
+
+function readLines(id) {
+  return $(id).value
+    .split('\n')
+    .map((s) => s.trim())
+    .filter((s) => s);
+}
+
+/**
+ * Site lists and rules as currently typed (not yet saved)
+ */
+function readSiteSettings() {
+  const { rules, errors } = validateSiteRules($('site-rules').value);
+  return {
+    customProductive: readLines('study-sites'),
+    customBlocked: readLines('doomscroll-sites'),
+    siteRules: rules,
+    customDoomscrollSites: readLines('custom-doomscroll-sites'),
+    errors,
+  };
+}
+
+/**
+ * Show which rule categorizes the test URL
+ */
+function renderSiteRuleTest() {
+  const url = $('site-rule-test').value.trim();
+  if (!url) {
+    $('site-rule-result').textContent = '';
+    return;
+  }
+
+  const settings = readSiteSettings();
+  const { category, explanation } = classifySite(url, settings);
+  const doomscroll = matchDoomscroll(url, settings);
+
+  $('site-rule-result').innerHTML = `
+    <div><strong>${CATEGORY_LABELS[category] || category}</strong> - ${escapeHtml(explanation)}</div>
+    <div>${doomscroll ? `Doomscroll feed - ${escapeHtml(doomscroll.explanation)}` : 'Not a doomscroll feed'}</div>
+  `;
+}
+
+/**
+ * Remembered page corrections, newest first
+ */
+function renderPageCorrections(corrections) {
+  const entries = Object.entries(corrections).sort((a, b) => b[1].updatedAt - a[1].updatedAt);
+  if (!entries.length) {
+    $('page-corrections').innerHTML =
+      '<tr><td style="color: #666;">No corrections yet. Use "Wrong category?" in the popup.</td></tr>';
+    return;
+  }
+
+  let html = '<tr><th>Page</th><th>Category</th><th></th></tr>';
+  for (const [key, correction] of entries) {
+    html += `<tr>
+      <td title="${escapeHtml(correction.title || '')}">${escapeHtml(describePageKey(key))}</td>
+      <td style="text-align: center;">${CATEGORY_LABELS[correction.category] || correction.category}</td>
+      <td style="text-align: right;"><button class="forget-correction" data-key="${escapeHtml(key)}">Forget</button></td>
+    </tr>`;
+  }
+  $('page-corrections').innerHTML = html;
+
+  document.querySelectorAll('.forget-correction').forEach((btn) => {
+    btn.addEventListener('click', async () => {
+      await chrome.runtime.sendMessage({ type: 'FORGET_PAGE_CORRECTION', key: btn.dataset.key });
+      delete corrections[btn.dataset.key];
+      renderPageCorrections(corrections);
+    });
+  });
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+for (const id of ['site-rule-test', 'study-sites', 'doomscroll-sites', 'site-rules', 'custom-doomscroll-sites']) {
+  $(id).addEventListener('input', renderSiteRuleTest);
+}
+
+// ============================================================
+// Doomscroll Detection
+// ============================================================
+
+/**
+ * Per-mode overrides; empty fields show the default as a placeholder
+ */
+function loadDoomscrollModes(settings) {
+  for (const [mode, defaults] of Object.entries(DEFAULT_DOOMSCROLL_MODES)) {
+    const custom = settings.doomscrollModes?.[mode] || {};
+    $(`doomscroll-${mode}-threshold`).value = custom.threshold ?? '';
+    $(`doomscroll-${mode}-threshold`).placeholder = defaults.threshold ?? $('doomscroll-threshold').value;
+    $(`doomscroll-${mode}-velocity`).value = custom.minVelocity ?? '';
+    $(`doomscroll-${mode}-velocity`).placeholder = defaults.minVelocity;
+    $(`doomscroll-${mode}-sites`).value = (custom.sites || []).join(', ');
+  }
+}
+
+function readDoomscrollModes() {
+  const modes = {};
+  for (const mode of Object.keys(DEFAULT_DOOMSCROLL_MODES)) {
+    const threshold = parseInt($(`doomscroll-${mode}-threshold`).value);
+    const minVelocity = parseInt($(`doomscroll-${mode}-velocity`).value);
+    const sites = $(`doomscroll-${mode}-sites`).value.split(',').map((s) => s.trim()).filter((s) => s);
+
+    const custom = {};
+    if (threshold > 0) custom.threshold = threshold;
+    if (minVelocity >= 0) custom.minVelocity = minVelocity;
+    if (sites.length) custom.sites = sites;
+    if (Object.keys(custom).length) modes[mode] = custom;
+  }
+  return modes;
+}
+
+// ============================================================
+// Focus Model Editor
+// ============================================================
+
+const CATEGORY_LABELS = {
+  productive: 'Productive',
+  socialMedia: 'Social',
+  entertainment: 'Entertainment',
+  games: 'Games',
+  shopping: 'Shopping',
+  news: 'News',
+  blocked: 'Blocked',
+  neutral: 'Neutral',
+};
+
+/**
+ * Read a (possibly per-mode) param for the mode being edited
+ */
+function getParam(value, mode) {
+  return value && typeof value === 'object' ? (value[mode] ?? value.normal) : value;
+}
+
+/**
+ * Write a param, keeping per-mode params per-mode
+ */
+function setParam(params, key, mode, value) {
+  if (params[key] && typeof params[key] === 'object') {
+    params[key] = { ...params[key], [mode]: value };
+  } else {
+    params[key] = value;
+  }
+}
+
+function renderFocusModel() {
+  const mode = $('model-mode').value;
+  const curveOptions = Object.keys(CURVES);
+
+  let html = '<tr><th></th><th>Signal</th><th>Weight</th><th>Threshold</th><th>Curve</th></tr>';
+  for (const { id, kind, label } of listFocusSignals()) {
+    const params = focusModel.signals[id] || (focusModel.signals[id] = {});
+    const threshold = getParam(params.threshold, mode);
+    html += `<tr data-signal="${id}">
+      <td><input type="checkbox" data-key="enabled" ${params.enabled !== false ? 'checked' : ''}></td>
+      <td>${label} <span class="model-kind">${kind}</span></td>
+      <td><input type="number" data-key="weight" step="any" min="0" value="${getParam(params.weight, mode) ?? 0}"></td>
+      <td>${threshold !== undefined
+        ? `<input type="number" data-key="threshold" step="any" min="0" value="${threshold}">`
+        : ''}</td>
+      <td><select data-key="curve">${curveOptions
+        .map((c) => `<option value="${c}" ${c === (params.curve || 'linear') ? 'selected' : ''}>${c}</option>`)
+        .join('')}</select></td>
+    </tr>`;
+  }
+  $('focus-model-signals').innerHTML = html;
+
+  const multipliers = focusModel.categoryMultipliers[mode] || {};
+  $('focus-model-categories').innerHTML = Object.entries(CATEGORY_LABELS)
+    .map(([category, label]) => `<label>${label}
+      <input type="number" data-category="${category}" step="0.05" min="-1" max="1" value="${multipliers[category] ?? 0}">
+    </label>`)
+    .join('');
+
+  renderModelPreview();
+}
+
+function renderModelPreview() {
+  const mode = $('model-mode').value;
+  const baseline = $('baseline-enabled').checked ? previewBaseline : null;
+  const result = computeFocusScore(previewSignals, {}, mode, { model: focusModel, baseline });
+
+  $('model-preview-score').textContent = result.score;
+  $('model-preview-details').innerHTML = [
+    ...result.penalties.map((p) => `<span class="penalty">-${Math.round(p.value)} ${p.type}</span>`),
+    ...result.bonuses.map((b) => `<span class="bonus">+${Math.round(b.value)} ${b.type}</span>`),
+  ].join('') || '<span style="color: #666;">No penalties or bonuses right now</span>';
+}
+
+$('focus-model-signals').addEventListener('input', (e) => {
+  const row = e.target.closest('tr[data-signal]');
+  const key = e.target.dataset.key;
+  if (!row || !key) return;
+
+  const params = focusModel.signals[row.dataset.signal];
+  if (key === 'enabled') {
+    params.enabled = e.target.checked;
+  } else if (key === 'curve') {
+    params.curve = e.target.value;
+  } else {
+    const value = parseFloat(e.target.value);
+    if (Number.isNaN(value)) return;
+    setParam(params, key, $('model-mode').value, value);
+  }
+  renderModelPreview();
+});
+
+$('focus-model-categories').addEventListener('input', (e) => {
+  const category = e.target.dataset.category;
+  const value = parseFloat(e.target.value);
+  if (!category || Number.isNaN(value)) return;
+
+  const mode = $('model-mode').value;
+  focusModel.categoryMultipliers[mode] = { ...focusModel.categoryMultipliers[mode], [category]: value };
+  renderModelPreview();
+});
+
+$('model-mode').addEventListener('change', renderFocusModel);
+
+$('refresh-model-preview').addEventListener('click', async () => {
+  const state = await chrome.runtime.sendMessage({ type: 'GET_STATE' });
+  previewSignals = state.signals || {};
+  previewBaseline = getActiveBaseline(state);
+  renderModelPreview();
+});
+
+$('reset-focus-model').addEventListener('click', () => {
+  focusModel = structuredClone(DEFAULT_FOCUS_MODEL);
+  $('baseline-allowance').value = focusModel.baseline.allowanceSd;
+  renderFocusModel();
+});
+
+// ============================================================
+// Personal Baseline
+// ============================================================
+
+function renderBaseline(baseline, calibrationSessions) {
+  if (!baseline) return;
+  const summary = summarizeBaseline(baseline);
+  const status = summary.status === 'calibrated'
+    ? `Calibrated ${new Date(summary.calibratedAt).toLocaleDateString()}`
+    : `Learning (${summary.sessionsObserved}/${calibrationSessions} sessions)`;
+
+  $('baseline-status').innerHTML = `
+    <div><strong>${status}</strong>Status</div>
+    <div><strong>${summary.tabSwitchesPerMin}</strong>Tab switches / min</div>
+    <div><strong>${summary.keysPer5s}</strong>Keys / 5s while typing</div>
+    <div><strong>${summary.idleGapSecs}s</strong>Typical pause</div>
+  `;
+}
+
+$('baseline-enabled').addEventListener('change', renderModelPreview);
+
+$('baseline-allowance').addEventListener('input', (e) => {
+  const value = parseFloat(e.target.value);
+  if (Number.isNaN(value)) return;
+  focusModel.baseline.allowanceSd = value;
+  renderModelPreview();
+});
+
+$('reset-baseline').addEventListener('click', async () => {
+  if (!confirm('Forget your learned baseline and recalibrate over the next sessions?')) {
+    return;
+  }
+
+  await chrome.runtime.sendMessage({ type: 'RESET_BASELINE' });
+  await loadSettings();
+});
+
+// ============================================================
+// Backup & Restore
+// ============================================================
+
+$('export-data').addEventListener('click', async () => {
+  const response = await chrome.runtime.sendMessage({
+    type: 'EXPORT_DATA',
+    includeApiKeys: $('export-include-keys').checked,
+  });
+
+  if (!response?.success) {
+    alert('Export failed: ' + (response?.error || 'unknown error'));
+    return;
+  }
+
+  const blob = new Blob([JSON.stringify(response.bundle, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `focusdj-backup-${new Date().toISOString().slice(0, 10)}.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+});
+
+$('import-data').addEventListener('click', () => {
+  $('import-file').click();
+});
+
+$('import-file').addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+
+  const mode = $('import-mode').value;
+  if (mode === 'replace' && !confirm('Replace all current settings, learning data and session history with this backup?')) {
+    return;
+  }
+
+  const status = $('import-status');
+  let bundle;
+  try {
+    bundle = JSON.parse(await file.text());
+  } catch {
+    status.textContent = 'That file is not valid JSON.';
+    status.style.color = '#ef4444';
+    return;
+  }
+
+  const response = await chrome.runtime.sendMessage({ type: 'IMPORT_DATA', bundle, mode });
+  if (!response?.success) {
+    status.textContent = 'Import failed: ' + response?.error;
+    status.style.color = '#ef4444';
+    return;
+  }
+
+  const { sessions, tracks, credentialsImported } = response.summary;
+  status.textContent = `Imported ${sessions} sessions and ${tracks} tracks` +
+    (credentialsImported ? ', plus API keys.' : '.');
+  status.style.color = '#4ade80';
+  await loadSettings();
+});
+
 // ============================================================
 // Clear history
 // ============================================================
@@ -319,21 +919,8 @@ $('clear-history').addEventListener('click', async () => {
     return;
   }
 
-  const result = await chrome.storage.local.get('state');
-  const state = result.state;
-
-  state.history = [];
-  state.policy = {
-    arms: {
-      BOOST_ENERGY: { value: 0.5, n: 1 },
-      SWITCH_PLAYLIST: { value: 0.5, n: 1 },
-      PATTERN_BREAK: { value: 0.5, n: 1 },
-      SMART_RECOMMEND: { value: 0.6, n: 1 },
-      NUCLEAR: { value: 0.2, n: 1 },
-    },
-  };
-
-  await chrome.storage.local.set({ state });
+  await chrome.runtime.sendMessage({ type: 'RESET_LEARNING' });
+  await loadBanditStats();
 
   const btn = $('clear-history');
   btn.textContent = 'Reset Complete';
@@ -1,4 +1,6 @@
-// Popup UI controller - YouTube Music version
+// Popup UI controller
+
+import { getEscalationLevel } from '../background/decision_engine.js';
 
 // ============================================================
 // DOM Elements
@@ -25,6 +27,8 @@ const elements = {
   focusTrend: $('focus-trend'),
   focusDetails: $('focus-details'),
   currentSite: $('current-site'),
+  siteRule: $('site-rule'),
+  correctCategory: $('correct-category'),
   penaltyList: $('penalty-list'),
 
   // Session
@@ -42,6 +46,10 @@ const elements = {
   pomodoroTime: $('pomodoro-time'),
   pomodoroToggle: $('pomodoro-toggle'),
 
+  // Escalation ladder
+  escalationSteps: $('escalation-steps'),
+  escalationLabel: $('escalation-label'),
+
   // Intervention
   interventionSection: $('intervention-section'),
   lastIntervention: $('last-intervention'),
@@ -50,6 +58,8 @@ const elements = {
   openDashboard: $('open-dashboard'),
   openCamera: $('open-camera'),
   cameraStatus: $('camera-status'),
+  pauseVision: $('pause-vision'),
+  pauseVisionLabel: $('pause-vision-label'),
   toggleNuclear: $('toggle-nuclear'),
   nuclearStatus: $('nuclear-status'),
 };
@@ -119,11 +129,9 @@ elements.prevBtn?.addEventListener('click', async () => {
 });
 
 elements.playPauseBtn?.addEventListener('click', async () => {
-  const tabs = await chrome.tabs.query({ url: 'https://music.youtube.com/*' });
-  if (tabs[0]) {
-    await chrome.tabs.sendMessage(tabs[0].id, { action: 'TOGGLE' });
-    setTimeout(updateNowPlaying, 300);
-  }
+  // Goes through the service worker so it works for Spotify too
+  await chrome.runtime.sendMessage({ type: 'TOGGLE_PLAYBACK' });
+  setTimeout(updateNowPlaying, 300);
 });
 
 elements.nextBtn?.addEventListener('click', async () => {
@@ -211,8 +219,12 @@ function updateFocusDisplay(score, trend, trendDelta, details = {}) {
       const color = categoryColors[cat] || '#6b7280';
       const label = categoryLabels[cat] || 'Unknown';
       elements.currentSite.innerHTML = `<span style="color: ${color}">${label}</span>: ${details.currentSite}`;
+      elements.siteRule.textContent = details.currentSiteRule || '';
+      elements.correctCategory.classList.toggle('hidden', !details.canCorrectCategory);
     } else {
       elements.currentSite.textContent = '';
+      elements.siteRule.textContent = '';
+      elements.correctCategory.classList.add('hidden');
     }
 
     // Penalties/bonuses
@@ -242,6 +254,8 @@ function formatPenaltyType(type) {
     case 'prolongedBadSite': return 'time wasting';
     case 'faceAway': return 'away from screen';
     case 'lookingAway': return 'looking away';
+    case 'strictOffTask': return 'off task';
+    case 'strictIdle': return 'not typing';
     default: return type;
   }
 }
@@ -255,6 +269,32 @@ function formatBonusType(type) {
   }
 }
 
+/**
+ * Details for updateFocusDisplay from a full state snapshot
+ */
+function focusDetailsFromState(state) {
+  return {
+    currentSite: state.signals?.currentSite,
+    currentCategory: state.signals?.currentCategory,
+    currentSiteRule: state.signals?.currentSiteRule,
+    canCorrectCategory: !!state.signals?.currentPage,
+    penalties: state.metrics?.penalties,
+    bonuses: state.metrics?.bonuses,
+  };
+}
+
+// Correct the current page's category (remembered for its channel / subreddit)
+elements.correctCategory.addEventListener('change', async () => {
+  const category = elements.correctCategory.value;
+  if (!category) return;
+
+  await chrome.runtime.sendMessage({ type: 'CORRECT_PAGE_CATEGORY', category });
+  elements.correctCategory.value = '';
+
+  const state = await chrome.runtime.sendMessage({ type: 'GET_STATE' });
+  updateFocusDisplay(state.metrics.focusScore, state.metrics.focusTrend, state.metrics.trendDelta, focusDetailsFromState(state));
+});
+
 // ============================================================
 // Session Controls
 // ============================================================
@@ -380,15 +420,30 @@ elements.openCamera?.addEventListener('click', () => {
   chrome.tabs.create({ url: chrome.runtime.getURL('src/ui/camera.html') });
 });
 
+// Camera indicator, and "pause camera" while it's live or paused
+async function updateVisionStatus() {
+  const status = await chrome.runtime.sendMessage({ type: 'GET_VISION_STATUS' }).catch(() => null);
+  if (!status) return;
+
+  const pausedMin = Math.ceil((status.pausedUntil - Date.now()) / 60000);
+  elements.openCamera.classList.toggle('live', status.live);
+  elements.cameraStatus.textContent = status.live ? 'Camera on' : 'Camera';
+  elements.pauseVision.classList.toggle('hidden', !status.live && pausedMin <= 0);
+  elements.pauseVision.dataset.paused = pausedMin > 0 ? 'true' : '';
+  elements.pauseVisionLabel.textContent = pausedMin > 0 ? `Resume (paused ${pausedMin}m)` : 'Pause 10m';
+}
+
+elements.pauseVision.addEventListener('click', async () => {
+  const resume = elements.pauseVision.dataset.paused === 'true';
+  await chrome.runtime.sendMessage({ type: 'PAUSE_VISION', minutes: resume ? 0 : 10 });
+  await updateVisionStatus();
+});
+
 elements.toggleNuclear.addEventListener('click', async () => {
   const state = await chrome.runtime.sendMessage({ type: 'GET_STATE' });
   const newValue = !state.settings.nuclearEnabled;
 
-  await chrome.storage.local.get('state').then(async (result) => {
-    const s = result.state;
-    s.settings.nuclearEnabled = newValue;
-    await chrome.storage.local.set({ state: s });
-  });
+  await chrome.runtime.sendMessage({ type: 'UPDATE_SETTINGS', settings: { nuclearEnabled: newValue } });
 
   elements.nuclearStatus.textContent = `Nuclear: ${newValue ? 'On' : 'Off'}`;
 });
@@ -412,6 +467,17 @@ testViolaBtn?.addEventListener('click', async () => {
   testViolaBtn.disabled = false;
 });
 
+// ============================================================
+// Escalation Ladder
+// ============================================================
+
+function updateEscalationDisplay({ level, maxLevel, rung }) {
+  elements.escalationSteps.innerHTML = Array.from({ length: maxLevel + 1 }, (_, i) =>
+    `<span class="escalation-step${i <= level ? ' reached' : ''}"></span>`
+  ).join('');
+  elements.escalationLabel.textContent = `Next: ${rung.label}`;
+}
+
 // ============================================================
 // Message handling
 // ============================================================
@@ -421,10 +487,16 @@ chrome.runtime.onMessage.addListener((message) => {
     updateFocusDisplay(message.focusScore, message.focusTrend, message.trendDelta, {
       currentSite: message.currentSite,
       currentCategory: message.currentCategory,
+      currentSiteRule: message.currentSiteRule,
+      canCorrectCategory: message.canCorrectCategory,
       penalties: message.penalties,
       bonuses: message.bonuses,
     });
 
+    if (message.escalation) {
+      updateEscalationDisplay(message.escalation);
+    }
+
     // Update music connection status
     if (message.musicAvailable) {
       elements.musicDisconnected.classList.add('hidden');
@@ -457,6 +529,7 @@ async function init() {
 
   // Update nuclear toggle
   elements.nuclearStatus.textContent = `Nuclear: ${state.settings.nuclearEnabled ? 'On' : 'Off'}`;
+  await updateVisionStatus();
 
   // Restore session if active
   if (state.session.active) {
@@ -469,12 +542,8 @@ async function init() {
     });
 
     showActiveSession();
-    updateFocusDisplay(state.metrics.focusScore, state.metrics.focusTrend, state.metrics.trendDelta, {
-      currentSite: state.signals?.currentSite,
-      currentCategory: state.signals?.currentCategory,
-      penalties: state.metrics?.penalties,
-      bonuses: state.metrics?.bonuses,
-    });
+    updateFocusDisplay(state.metrics.focusScore, state.metrics.focusTrend, state.metrics.trendDelta, focusDetailsFromState(state));
+    updateEscalationDisplay(getEscalationLevel(state));
 
     // Check pomodoro status
     const pomodoroStatus = await chrome.runtime.sendMessage({ type: 'GET_POMODORO_STATUS' });
@@ -490,6 +559,7 @@ async function init() {
   setInterval(async () => {
     await checkMusicConnection();
     await updateNowPlaying();
+    await updateVisionStatus();
 
     const currentState = await chrome.runtime.sendMessage({ type: 'GET_STATE' });
     if (currentState.session.active) {
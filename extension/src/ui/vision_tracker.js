@@ -0,0 +1,305 @@
+// Vision Tracker - camera detection loop, without any UI
+// Shared by the camera page (preview + calibration) and the offscreen document,
+// which runs it headless during sessions with trackCamera on. Picks the best
+// detector available: face landmarks (gaze.js), then the FaceDetector API,
+// then a rough skin-tone presence check. Frames are analysed in memory only
+
+import * as gaze from './gaze.js';
+
+const DETECTION_INTERVAL_MS = 200;
+const FACE_MISSING_THRESHOLD_MS = 3000;  // 3 seconds before "away"
+const LOOKING_AWAY_THRESHOLD_MS = 2000;  // 2 seconds before "distracted"
+const PHONE_THRESHOLD_MS = 2000;         // phone in hand this long before it counts
+const OTHER_PERSON_THRESHOLD_MS = 3000;  // someone passing behind you doesn't count
+const GAZE_SMOOTHING = 10;               // frames of landmark attention averaged
+const OBJECT_DETECTION_EVERY = 5;        // frames between object detector runs (~1s)
+
+/**
+ * Open the user-facing camera
+ */
+export async function openCamera() {
+  if (!navigator.mediaDevices?.getUserMedia) {
+    throw new Error('Camera API not supported');
+  }
+  return navigator.mediaDevices.getUserMedia({
+    video: {
+      width: { ideal: 640 },
+      height: { ideal: 480 },
+      facingMode: 'user',
+    },
+  });
+}
+
+/**
+ * Build a tracker for a playing <video>
+ * @param {HTMLVideoElement} video
+ * @param {object} options
+ * @param {object|null} options.calibration - gaze calibration (settings.gazeCalibration)
+ * @param {boolean} options.objectDetection - also look for phones / other people
+ * @param {Function} options.onFrame - ({ signal, status, faceBox }) after every detection
+ * @returns {Promise<object>} tracker: start(), stop() (final, models are released), setCalibration(),
+ *   setObjectDetection(), method, onPose
+ */
+export async function createVisionTracker(video, { calibration = null, objectDetection = false, onFrame = () => {} } = {}) {
+  let landmarker = null;
+  let faceDetector = null;
+  let objectDetector = null;
+  let distractions = null;
+  let objectDetections = [];
+  let interval = null;
+  let frameCount = 0;
+  const canvas = document.createElement('canvas');
+  const canvasCtx = canvas.getContext('2d', { willReadFrequently: true });
+
+  // Timers for the debounced states
+  let faceMissingSince = null;
+  let lookingAwaySince = null;
+  let phoneSince = null;
+  let otherPersonSince = null;
+  let framesWithoutFace = 0;
+  let gazeScores = [];
+
+  // Landmarks first, FaceDetector if the model won't load (missing vendor files or no WebAssembly)
+  try {
+    landmarker = await gaze.createLandmarker();
+  } catch {
+    if ('FaceDetector' in window) {
+      try {
+        faceDetector = new FaceDetector({ fastMode: true, maxDetectedFaces: 1 });
+      } catch {
+        // Motion-based fallback
+      }
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // Detectors - each returns { faceDetected, lookingAway, ... }
+  // ─────────────────────────────────────────────────────────
+
+  // Head pose + iris position against the calibrated screen
+  function detectWithLandmarks(now) {
+    let detection;
+    try {
+      detection = landmarker.detectForVideo(video, now);
+    } catch (err) {
+      console.error('[Vision] Landmark model error:', err);
+      landmarker = null;
+      return detectWithHeuristics();
+    }
+
+    const faces = detection.faceLandmarks || [];
+    const points = gaze.primaryFace(faces);
+    if (!points) return { faceDetected: false, lookingAway: false, faceCount: 0 };
+
+    const pose = gaze.estimatePose(points);
+    tracker.onPose?.(pose);
+    const judged = gaze.scoreGaze(pose, calibration);
+
+    const xs = points.map((p) => p.x * video.videoWidth);
+    const ys = points.map((p) => p.y * video.videoHeight);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return {
+      faceDetected: true,
+      lookingAway: judged.lookingAway,
+      attentionScore: judged.attentionScore,
+      faceCount: faces.length,
+      pose,
+      faceBox: { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y },
+    };
+  }
+
+  // Chrome's FaceDetector: a face far off-centre is probably turned away
+  async function detectWithFaceAPI() {
+    try {
+      const faces = await faceDetector.detect(video);
+      if (!faces.length) return { faceDetected: false, lookingAway: false };
+
+      const box = faces[0].boundingBox;
+      const offsetX = Math.abs(box.x + box.width / 2 - video.videoWidth / 2) / video.videoWidth;
+      const offsetY = Math.abs(box.y + box.height / 2 - video.videoHeight / 2) / video.videoHeight;
+      return {
+        faceDetected: true,
+        lookingAway: offsetX > 0.35 || offsetY > 0.35,
+        faceBox: { x: box.x, y: box.y, width: box.width, height: box.height },
+      };
+    } catch (err) {
+      console.error('[Vision] FaceDetector error:', err);
+      return detectWithHeuristics();
+    }
+  }
+
+  // Skin tones in the centre of the frame (presence only, can't tell gaze)
+  function detectWithHeuristics() {
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvasCtx.drawImage(video, 0, 0, canvas.width, canvas.height);
+
+    const centerX = canvas.width / 2;
+    const centerY = canvas.height / 2;
+    const sampleSize = 100;
+    const { data } = canvasCtx.getImageData(centerX - sampleSize / 2, centerY - sampleSize / 2, sampleSize, sampleSize);
+    canvasCtx.clearRect(0, 0, canvas.width, canvas.height);
+
+    let skinPixels = 0;
+    let totalPixels = 0;
+    for (let i = 0; i < data.length; i += 16) { // Sample every 4th pixel
+      const r = data[i];
+      const g = data[i + 1];
+      const b = data[i + 2];
+      // Skin typically has R > G > B with certain ratios
+      if (r > 60 && g > 40 && b > 20 && r > g && g > b && r - g > 10 && r - b > 20 && Math.abs(r - g) < 100) {
+        skinPixels++;
+      }
+      totalPixels++;
+    }
+
+    const faceDetected = skinPixels / totalPixels > 0.15; // At least 15% skin tones in center
+    return {
+      faceDetected,
+      lookingAway: false,
+      faceBox: faceDetected ? { x: centerX - 60, y: centerY - 80, width: 120, height: 160 } : null,
+    };
+  }
+
+  // Phone / other person: the object detector runs every few frames, its results are reused in between
+  function detectScene(result, now) {
+    if (frameCount % OBJECT_DETECTION_EVERY === 0) {
+      try {
+        objectDetections = objectDetector.detectForVideo(video, now).detections || [];
+      } catch (err) {
+        console.error('[Vision] Object detector error:', err);
+        objectDetections = [];
+      }
+    }
+    const faceCount = result.faceCount ?? (result.faceDetected ? 1 : 0);
+    Object.assign(result, distractions.judgeScene(objectDetections, faceCount, result.pose || null, calibration));
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // Debounce into the signal sent to the service worker
+  // ─────────────────────────────────────────────────────────
+
+  function toSignal(result, now) {
+    faceMissingSince = result.faceDetected ? null : (faceMissingSince || now);
+    framesWithoutFace = result.faceDetected ? 0 : framesWithoutFace + 1;
+    lookingAwaySince = result.lookingAway ? (lookingAwaySince || now) : null;
+    phoneSince = result.phoneInHand ? (phoneSince || now) : null;
+    otherPersonSince = result.otherPerson ? (otherPersonSince || now) : null;
+
+    const faceMissingMs = faceMissingSince ? now - faceMissingSince : 0;
+    const lookingAwayMs = lookingAwaySince ? now - lookingAwaySince : 0;
+    const phoneMs = phoneSince ? now - phoneSince : 0;
+    const otherPersonMs = otherPersonSince ? now - otherPersonSince : 0;
+
+    const facePresent = result.faceDetected || framesWithoutFace < 5; // Brief gaps OK
+    const isAway = faceMissingMs > FACE_MISSING_THRESHOLD_MS;
+    const isLookingAway = lookingAwayMs > LOOKING_AWAY_THRESHOLD_MS;
+    const isOnPhone = phoneMs > PHONE_THRESHOLD_MS;
+
+    let attention = 1.0;
+    if (isAway) {
+      attention = Math.max(0, 1 - faceMissingMs / 30000);        // Decay over 30s
+    } else if (isLookingAway) {
+      attention = Math.max(0.3, 1 - lookingAwayMs / 10000);      // Decay over 10s, min 0.3
+    } else if (!result.faceDetected) {
+      attention = 0.8;                                           // Brief face loss
+    }
+
+    // The landmark model grades the gaze itself; smooth it so a blink doesn't count
+    if (result.attentionScore !== undefined && !isAway) {
+      gazeScores.push(result.attentionScore);
+      if (gazeScores.length > GAZE_SMOOTHING) gazeScores.shift();
+      attention = Math.min(attention, gazeScores.reduce((a, b) => a + b, 0) / gazeScores.length);
+    }
+
+    // Eyes on a phone aren't on the work, however steady the gaze
+    if (isOnPhone) attention = Math.min(attention, 0.2);
+
+    return {
+      signal: {
+        facePresent,
+        lookingAway: isLookingAway || isAway,
+        attentionScore: attention,
+        faceMissingMs,
+        lookingAwayMs,
+        phoneVisible: !!result.phoneVisible,
+        phoneInHand: isOnPhone,
+        phoneMs,
+        otherPerson: otherPersonMs > OTHER_PERSON_THRESHOLD_MS,
+        otherPersonMs,
+      },
+      status: { facePresent, isAway, isLookingAway, isOnPhone, attention },
+    };
+  }
+
+  async function runDetection() {
+    if (!video.videoWidth) return;
+    const now = Date.now();
+
+    let result;
+    if (landmarker) {
+      result = detectWithLandmarks(now);
+    } else if (faceDetector) {
+      result = await detectWithFaceAPI();
+    } else {
+      result = detectWithHeuristics();
+    }
+    if (objectDetector) detectScene(result, now);
+    frameCount++;
+
+    onFrame({ ...toSignal(result, now), faceBox: result.faceBox || null, lookingAway: result.lookingAway });
+  }
+
+  const tracker = {
+    onPose: null,     // (pose) => void, while calibrating
+
+    get method() {
+      if (landmarker) return 'landmarks';
+      return faceDetector ? 'faceDetector' : 'heuristics';
+    },
+
+    start() {
+      if (interval) return;
+      faceMissingSince = lookingAwaySince = phoneSince = otherPersonSince = null;
+      framesWithoutFace = 0;
+      gazeScores = [];
+      interval = setInterval(runDetection, DETECTION_INTERVAL_MS);
+    },
+
+    stop() {
+      clearInterval(interval);
+      interval = null;
+      landmarker?.close();
+      landmarker = null;
+      objectDetector?.close();
+      objectDetector = null;
+    },
+
+    setCalibration(next) {
+      calibration = next;
+      gazeScores = [];
+    },
+
+    // Load or drop the phone/person detector; false if it's unavailable
+    async setObjectDetection(enabled) {
+      if (!enabled) {
+        objectDetector?.close();
+        objectDetector = null;
+        objectDetections = [];
+        return true;
+      }
+      if (objectDetector) return true;
+      try {
+        distractions = await import('./distractions.js');
+        objectDetector = await distractions.createObjectDetector();
+        return true;
+      } catch {
+        return false;
+      }
+    },
+  };
+
+  if (objectDetection) await tracker.setObjectDetection(true);
+  return tracker;
+}
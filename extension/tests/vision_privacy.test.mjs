@@ -0,0 +1,299 @@
+// Vision privacy - camera frames must never leave the camera page / offscreen document
+// Runs the frame-holding code (vision_tracker.js, offscreen/vision.js) and the service worker
+// against in-memory browser and chrome stubs: only the whitelisted vision signal may come out,
+// and nothing a frame touches may be stored, fetched or encoded.
+// Run from extension/: npm test (Node 20+)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+const SRC = new URL('../src/', import.meta.url);
+
+// The only fields a vision signal may carry past sanitizeVisionSignal
+const VISION_FIELDS = [
+  'facePresent', 'lookingAway', 'attentionScore', 'faceMissingMs', 'lookingAwayMs',
+  'phoneVisible', 'phoneInHand', 'phoneMs', 'otherPerson', 'otherPersonMs',
+];
+
+// Files that hold camera frames; they may only hand the signal to chrome.runtime.sendMessage
+const FRAME_FILES = ['ui/vision_tracker.js', 'ui/camera.js', 'ui/gaze.js', 'ui/distractions.js', 'offscreen/vision.js'];
+
+const IMAGE_MARKER = 'data:image/jpeg;base64,/9j/PRIVATE-FRAME';
+const IMAGE_FIELDS = {
+  frame: IMAGE_MARKER,
+  imageData: { width: 2, height: 1, data: [IMAGE_MARKER] },
+  landmarks: [{ x: 0.5, y: 0.5, z: 0, label: IMAGE_MARKER }],
+  detections: [{ category: 'cell phone', crop: IMAGE_MARKER }],
+};
+
+const sorted = (keys) => [...keys].sort();
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const leaks = (value) => JSON.stringify(value ?? null).includes('PRIVATE-FRAME');
+
+// ─────────────────────────────────────────────────────────
+// Stubs - storage in memory, every outgoing payload and frame encoding recorded
+// ─────────────────────────────────────────────────────────
+
+const outgoing = [];
+const areas = { local: {}, session: {} };
+const messageListeners = [];
+
+function storageArea(name, data) {
+  return {
+    async get(keys) {
+      if (keys == null) return structuredClone(data);
+      const list = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+      const result = {};
+      for (const key of list) if (key in data) result[key] = structuredClone(data[key]);
+      return result;
+    },
+    async set(items) {
+      outgoing.push({ channel: `storage.${name}.set`, args: [items] });
+      Object.assign(data, structuredClone(items));
+    },
+    async remove(keys) { for (const key of [].concat(keys)) delete data[key]; },
+    async clear() { for (const key of Object.keys(data)) delete data[key]; },
+    async setAccessLevel() {},
+  };
+}
+
+const events = () => ({ addListener() {}, removeListener() {} });
+const record = (channel) => async (...args) => {
+  outgoing.push({ channel, args });
+  return { success: true };
+};
+
+globalThis.chrome = {
+  storage: { local: storageArea('local', areas.local), session: storageArea('session', areas.session), onChanged: events() },
+  runtime: {
+    id: 'focusdj-test',
+    onMessage: { addListener: (fn) => messageListeners.push(fn), removeListener() {} },
+    onMessageExternal: events(),
+    onInstalled: events(),
+    onStartup: events(),
+    sendMessage: record('runtime.sendMessage'),
+    getContexts: async () => [{ contextType: 'OFFSCREEN_DOCUMENT' }],
+    getURL: (path) => `chrome-extension://focusdj-test/${path}`,
+  },
+  tabs: {
+    onActivated: events(),
+    onUpdated: events(),
+    onRemoved: events(),
+    query: async () => [],
+    get: async () => ({}),
+    sendMessage: record('tabs.sendMessage'),
+    update: async () => ({}),
+    create: async () => ({}),
+  },
+  alarms: { create() {}, clear: async () => true, get: async () => null, onAlarm: events() },
+  idle: { onStateChanged: events(), queryState: async () => 'active', setDetectionInterval() {} },
+  action: { setBadgeText: async () => {}, setBadgeBackgroundColor: async () => {}, setTitle: async () => {}, setIcon: async () => {} },
+  offscreen: { createDocument: async () => {}, closeDocument: async () => {} },
+  scripting: { executeScript: record('scripting.executeScript') },
+  identity: { getRedirectURL: () => 'https://focusdj-test.chromiumapp.org/callback' },
+};
+globalThis.fetch = async (url, init) => {
+  outgoing.push({ channel: 'fetch', args: [String(url), init?.body ?? null] });
+  return new Response('{}', { status: 200, headers: { 'Content-Type': 'application/json' } });
+};
+
+// A camera that always shows skin tones in the centre, so the presence check finds a face
+function createVideo() {
+  return { videoWidth: 640, videoHeight: 480, srcObject: null, play: async () => {} };
+}
+
+function createCanvas() {
+  const encode = (channel) => () => {
+    outgoing.push({ channel, args: [] });
+    return IMAGE_MARKER;
+  };
+  return {
+    width: 0,
+    height: 0,
+    toDataURL: encode('canvas.toDataURL'),
+    toBlob: encode('canvas.toBlob'),
+    getContext: () => ({
+      drawImage() {},
+      clearRect() {},
+      getImageData: (x, y, width, height) => {
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let i = 0; i < data.length; i += 4) data.set([200, 150, 110, 255], i);
+        return { width, height, data };
+      },
+    }),
+  };
+}
+
+const visionVideo = createVideo();
+globalThis.window = globalThis;
+globalThis.document = {
+  createElement: (tag) => (tag === 'canvas' ? createCanvas() : createVideo()),
+  getElementById: (id) => (id === 'vision-video' ? visionVideo : null),
+};
+Object.defineProperty(globalThis, 'navigator', {
+  configurable: true,
+  value: {
+    mediaDevices: {
+      getUserMedia: async () => ({ getTracks: () => [{ stop() {} }] }),
+    },
+  },
+});
+
+// The listener a module registered while being imported
+async function importWithListener(path) {
+  const before = messageListeners.length;
+  await import(new URL(path, SRC));
+  assert.equal(messageListeners.length, before + 1, `${path} registers one message listener`);
+  const listener = messageListeners[before];
+  return (message) => new Promise((resolve) => {
+    if (listener(message, {}, resolve) !== true) resolve(undefined);
+  });
+}
+
+function assertSignalMessage(message) {
+  assert.equal(message.type, 'VISION_SIGNAL');
+  const { type, ...signal } = message;
+  assert.deepEqual(sorted(Object.keys(signal)), sorted(VISION_FIELDS), 'VISION_SIGNAL carries exactly the whitelisted fields');
+}
+
+// ─────────────────────────────────────────────────────────
+// Frame-holding code
+// ─────────────────────────────────────────────────────────
+
+test('frame-holding files never store, fetch or encode frames', async () => {
+  const forbidden = [/chrome\.storage/, /\bfetch\s*\(/, /toDataURL/, /toBlob/, /indexedDB/, /localStorage/, /sessionStorage/];
+  for (const file of FRAME_FILES) {
+    const source = await readFile(new URL(file, SRC), 'utf8');
+    for (const pattern of forbidden) {
+      assert.doesNotMatch(source, pattern, `${file} must not use ${pattern.source}`);
+    }
+  }
+});
+
+test('vision tracker hands onFrame the whitelisted signal only', async (t) => {
+  const { createVisionTracker } = await import(new URL('ui/vision_tracker.js', SRC));
+
+  async function collectFrames() {
+    const frames = [];
+    const tracker = await createVisionTracker(createVideo(), { onFrame: (payload) => frames.push(payload) });
+    outgoing.length = 0;
+    tracker.start();
+    await wait(700);
+    tracker.stop();
+    return frames;
+  }
+
+  function assertFrames(frames) {
+    assert.ok(frames.length > 0, 'the tracker produced frames');
+    for (const payload of frames) {
+      assert.deepEqual(sorted(Object.keys(payload)), ['faceBox', 'lookingAway', 'signal', 'status']);
+      assert.deepEqual(sorted(Object.keys(payload.signal)), sorted(VISION_FIELDS), 'signal has exactly the whitelisted fields');
+      for (const value of Object.values(payload.status)) assert.ok(['boolean', 'number'].includes(typeof value));
+      if (payload.faceBox) {
+        assert.deepEqual(sorted(Object.keys(payload.faceBox)), ['height', 'width', 'x', 'y']);
+        for (const value of Object.values(payload.faceBox)) assert.equal(typeof value, 'number');
+      }
+    }
+    assert.deepEqual(outgoing, [], 'nothing stored, sent, fetched or encoded while tracking');
+  }
+
+  await t.test('presence-check fallback', async () => {
+    assertFrames(await collectFrames());
+  });
+
+  await t.test('FaceDetector API', async () => {
+    globalThis.FaceDetector = class {
+      async detect() {
+        return [{ boundingBox: { x: 250, y: 150, width: 140, height: 180 } }];
+      }
+    };
+    try {
+      assertFrames(await collectFrames());
+    } finally {
+      delete globalThis.FaceDetector;
+    }
+  });
+});
+
+test('offscreen vision sends only whitelisted VISION_SIGNALs', async () => {
+  const send = await importWithListener('offscreen/vision.js');
+
+  const started = await send({ type: 'OFFSCREEN_VISION_START', settings: {} });
+  assert.equal(started.success, true, started.error);
+  outgoing.length = 0;
+  await wait(700);
+  await send({ type: 'OFFSCREEN_VISION_STOP' });
+
+  assert.ok(outgoing.length > 0, 'the offscreen tracker sent signals');
+  for (const { channel, args } of outgoing) {
+    assert.equal(channel, 'runtime.sendMessage', 'the offscreen document only messages the service worker');
+    assertSignalMessage(args[0]);
+  }
+  outgoing.length = 0;
+});
+
+// ─────────────────────────────────────────────────────────
+// Service worker
+// ─────────────────────────────────────────────────────────
+
+test('sanitizeVisionSignal keeps the whitelist and nothing else', async () => {
+  const { sanitizeVisionSignal } = await import(new URL('background/focus_model.js', SRC));
+
+  const clean = sanitizeVisionSignal({
+    type: 'VISION_SIGNAL',
+    facePresent: true,
+    lookingAway: false,
+    attentionScore: 0.8,
+    faceMissingMs: 0,
+    lookingAwayMs: 1200,
+    phoneVisible: true,
+    phoneInHand: false,
+    phoneMs: 400,
+    otherPerson: false,
+    otherPersonMs: 0,
+    timestamp: Date.now(),
+    ...IMAGE_FIELDS,
+  });
+  assert.deepEqual(sorted(Object.keys(clean)), sorted(VISION_FIELDS), 'sanitized signal has exactly the whitelisted fields');
+  assert.ok(!leaks(clean), 'sanitized signal carries no image data');
+  assert.equal(clean.attentionScore, 0.8);
+  assert.equal(clean.lookingAwayMs, 1200);
+
+  // Image data in place of a whitelisted field is coerced, not passed through
+  const coerced = sanitizeVisionSignal({ facePresent: IMAGE_MARKER, attentionScore: IMAGE_MARKER, phoneMs: IMAGE_MARKER });
+  assert.deepEqual(sorted(Object.keys(coerced)), sorted(VISION_FIELDS));
+  assert.ok(!leaks(coerced), 'whitelisted fields never carry the raw value through');
+});
+
+test('VISION_SIGNAL never stores or forwards image data', async () => {
+  const send = await importWithListener('background/service_worker.js');
+
+  await send({ type: 'UPDATE_SETTINGS', settings: { trackCamera: true } });
+  await send({ type: 'START_SESSION', mode: 'normal' });
+
+  for (let i = 0; i < 3; i++) {
+    await send({
+      type: 'VISION_SIGNAL',
+      facePresent: true,
+      lookingAway: i === 2,
+      attentionScore: 0.9 - i * 0.2,
+      lookingAwayMs: i * 1000,
+      phoneVisible: true,
+      phoneInHand: i > 0,
+      phoneMs: i * 500,
+      timestamp: Date.now(),
+      ...IMAGE_FIELDS,
+    });
+  }
+  await send({ type: 'TICK' });
+
+  const { signals } = await send({ type: 'GET_STATE' });
+  assert.ok(signals.vision.facePresent, 'the signal itself was applied');
+
+  assert.ok(!leaks(areas.local), 'chrome.storage.local holds no image data');
+  assert.ok(!leaks(areas.session), 'chrome.storage.session holds no image data');
+  for (const { channel, args } of outgoing) {
+    assert.ok(!leaks(args), `${channel} payload holds no image data`);
+  }
+});
@@ -0,0 +1,45 @@
+import './FocusChart.css'
+
+const WIDTH = 300
+const HEIGHT = 100
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+
+function FocusChart({ timeline = [], className = '' }) {
+  if (timeline.length < 2) {
+    return <p className={`focus-chart-empty ${className}`}>Not enough data for this session yet</p>
+  }
+
+  const start = timeline[0].timestamp
+  const span = timeline[timeline.length - 1].timestamp - start || 1
+  const points = timeline
+    .map(({ timestamp, score }) => {
+      const x = ((timestamp - start) / span) * WIDTH
+      const y = HEIGHT - (Math.max(0, Math.min(100, score)) / 100) * HEIGHT
+      return `${x.toFixed(1)},${y.toFixed(1)}`
+    })
+    .join(' ')
+
+  return (
+    <div className={`focus-chart ${className}`}>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="none" className="focus-chart-svg">
+        <defs>
+          <linearGradient id="focus-chart-fill" x1="0" y1="0" x2="0" y2="1">
+            <stop offset="0%" stopColor="var(--accent-pink)" stopOpacity="0.35" />
+            <stop offset="100%" stopColor="var(--accent-pink)" stopOpacity="0" />
+          </linearGradient>
+        </defs>
+        <line x1="0" y1={HEIGHT / 2} x2={WIDTH} y2={HEIGHT / 2} className="focus-chart-grid" />
+        <polygon points={`0,${HEIGHT} ${points} ${WIDTH},${HEIGHT}`} fill="url(#focus-chart-fill)" />
+        <polyline points={points} className="focus-chart-line" />
+      </svg>
+      <div className="focus-chart-labels">
+        <span>{formatTime(start)}</span>
+        <span>{formatTime(start + span)}</span>
+      </div>
+    </div>
+  )
+}
+
+export default FocusChart
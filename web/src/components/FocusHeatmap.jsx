@@ -0,0 +1,37 @@
+import { WEEKDAYS } from '../utils/stats'
+import './FocusHeatmap.css'
+
+const HOUR_LABELS = { 0: '12a', 6: '6a', 12: '12p', 18: '6p' }
+
+// Red (0) -> amber (50) -> green (100)
+const scoreColor = (score) => `hsl(${Math.round((score / 100) * 140)}, 70%, 45%)`
+
+function FocusHeatmap({ grid, className = '' }) {
+  return (
+    <div className={`focus-heatmap ${className}`}>
+      {grid.map((row, day) => (
+        <div key={WEEKDAYS[day]} className="heatmap-row">
+          <span className="heatmap-day">{WEEKDAYS[day]}</span>
+          {row.map((cell, hour) => (
+            <div
+              key={hour}
+              className="heatmap-cell"
+              style={cell.avg !== null ? { background: scoreColor(cell.avg) } : undefined}
+              title={cell.avg !== null
+                ? `${WEEKDAYS[day]} ${hour}:00 - avg focus ${cell.avg} (${cell.samples} samples)`
+                : `${WEEKDAYS[day]} ${hour}:00 - no data`}
+            />
+          ))}
+        </div>
+      ))}
+      <div className="heatmap-row heatmap-hours">
+        <span className="heatmap-day" />
+        {Array.from({ length: 24 }, (_, hour) => (
+          <span key={hour} className="heatmap-hour">{HOUR_LABELS[hour] || ''}</span>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default FocusHeatmap
@@ -0,0 +1,36 @@
+import { formatDuration } from '../utils/stats'
+import './TopSites.css'
+
+function TopSites({ groups = [], className = '' }) {
+  if (groups.length === 0) {
+    return <p className={`top-sites-empty ${className}`}>No distracting sites recorded. Nice.</p>
+  }
+
+  const maxMs = groups[0].totalMs
+
+  return (
+    <div className={`top-sites ${className}`}>
+      {groups.map((group) => (
+        <div key={group.category} className="top-sites-group">
+          <div className="top-sites-header">
+            <span className="top-sites-category">{group.label}</span>
+            <span className="top-sites-total">{formatDuration(group.totalMs)}</span>
+          </div>
+          <div className="top-sites-bar">
+            <div className="top-sites-bar-fill" style={{ width: `${(group.totalMs / maxMs) * 100}%` }} />
+          </div>
+          <ul className="top-sites-list">
+            {group.sites.map((site) => (
+              <li key={site.hostname}>
+                <span>{site.hostname}</span>
+                <span>{formatDuration(site.totalMs)}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default TopSites
@@ -8,3 +8,6 @@ export { default as Toast } from './Toast'
 export { default as ViolaCard } from './ViolaCard'
 export { default as Waveform } from './Waveform'
 export { default as Input, TagInput } from './Input'
+export { default as FocusChart } from './FocusChart'
+export { default as FocusHeatmap } from './FocusHeatmap'
+export { default as TopSites } from './TopSites'
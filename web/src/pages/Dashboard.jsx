@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useMemo } from 'react'
 import { useNavigate } from 'react-router-dom'
 import {
   loadSettings,
@@ -8,6 +8,13 @@ import {
   GENRE_OPTIONS,
   TECHNIQUE_PRESETS,
 } from '../utils/settings'
+import {
+  fetchSessions,
+  fetchDailyStats,
+  buildHeatmap,
+  getTopDistractingSites,
+  formatDuration,
+} from '../utils/stats'
 import Button from '../components/Button'
 import Card from '../components/Card'
 import Toggle from '../components/Toggle'
@@ -15,12 +22,17 @@ import Slider from '../components/Slider'
 import Input, { TagInput } from '../components/Input'
 import ChipSelect from '../components/ChipSelect'
 import ViolaCard from '../components/ViolaCard'
+import FocusChart from '../components/FocusChart'
+import FocusHeatmap from '../components/FocusHeatmap'
+import TopSites from '../components/TopSites'
 import './Dashboard.css'
 
 function Dashboard({ showToast }) {
   const navigate = useNavigate()
   const [settings, setSettings] = useState(loadSettings())
   const [syncing, setSyncing] = useState(false)
+  const [stats, setStats] = useState({ loading: true, error: null, sessions: [], daily: null })
+  const [selectedSessionId, setSelectedSessionId] = useState(null)
 
   // Check if user is logged in
   useEffect(() => {
@@ -30,6 +42,26 @@ function Dashboard({ showToast }) {
     }
   }, [navigate])
 
+  // Load history from the extension
+  const loadStats = async () => {
+    setStats((prev) => ({ ...prev, loading: true, error: null }))
+    try {
+      const [sessions, daily] = await Promise.all([fetchSessions(), fetchDailyStats(7)])
+      setStats({ loading: false, error: null, sessions, daily })
+      setSelectedSessionId((id) => id ?? sessions[0]?.id ?? null)
+    } catch (err) {
+      setStats({ loading: false, error: err.message, sessions: [], daily: null })
+    }
+  }
+
+  useEffect(() => {
+    loadStats()
+  }, [])
+
+  const heatmap = useMemo(() => buildHeatmap(stats.sessions), [stats.sessions])
+  const topSites = useMemo(() => getTopDistractingSites(stats.sessions), [stats.sessions])
+  const selectedSession = stats.sessions.find((s) => s.id === selectedSessionId)
+
   const update = (updates) => {
     const newSettings = updateSettings(updates)
     setSettings(newSettings)
@@ -337,6 +369,26 @@ function Dashboard({ showToast }) {
               </div>
             </Card>
 
+            {/* This Week */}
+            {stats.daily && (
+              <Card title="This Week" subtitle="Last 7 days during focus sessions">
+                <div className="timeline-stats">
+                  <div className="stat">
+                    <span className="stat-value">{formatDuration(stats.daily.summary.productiveTime)}</span>
+                    <span className="stat-label">Productive</span>
+                  </div>
+                  <div className="stat">
+                    <span className="stat-value">{Math.round(stats.daily.summary.focusScoreAvg)}</span>
+                    <span className="stat-label">Avg score</span>
+                  </div>
+                  <div className="stat">
+                    <span className="stat-value">{stats.daily.summary.interventionCount}</span>
+                    <span className="stat-label">Interventions</span>
+                  </div>
+                </div>
+              </Card>
+            )}
+
             {/* Quick Actions */}
             <Card padding="sm">
               <div className="quick-actions">
@@ -347,6 +399,53 @@ function Dashboard({ showToast }) {
             </Card>
           </div>
         </div>
+
+        {/* Stats */}
+        <section className="dashboard-stats">
+          <Card title="Stats" subtitle="Focus trends and site usage from your sessions">
+            {stats.loading ? (
+              <p className="stats-message">Loading stats from the extension...</p>
+            ) : stats.error ? (
+              <div className="stats-message">
+                <p>Couldn't load stats: {stats.error}</p>
+                <Button variant="ghost" size="sm" onClick={loadStats}>Retry</Button>
+              </div>
+            ) : stats.sessions.length === 0 ? (
+              <p className="stats-message">No finished sessions yet. Stats appear after your first session.</p>
+            ) : (
+              <div className="stats-grid">
+                <div className="settings-section stats-wide">
+                  <div className="stats-section-header">
+                    <h4>Focus Over Time</h4>
+                    <select
+                      className="stats-select"
+                      value={selectedSessionId ?? ''}
+                      onChange={(e) => setSelectedSessionId(e.target.value)}
+                    >
+                      {stats.sessions.map((s) => (
+                        <option key={s.id} value={s.id}>
+                          {new Date(s.startedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}
+                          {' · '}{formatDuration(s.durationMs)} · {s.mode}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <FocusChart timeline={selectedSession?.timeline} />
+                </div>
+
+                <div className="settings-section">
+                  <h4>Focus by Hour &amp; Weekday</h4>
+                  <FocusHeatmap grid={heatmap} />
+                </div>
+
+                <div className="settings-section">
+                  <h4>Top Distracting Sites</h4>
+                  <TopSites groups={topSites} />
+                </div>
+              </div>
+            )}
+          </Card>
+        </section>
       </div>
     </div>
   )
@@ -45,6 +45,10 @@ const STORAGE_KEY = 'focusdj_settings'
 // Check if we're in Chrome extension context
 const isExtension = typeof chrome !== 'undefined' && chrome.storage
 
+// Extension ID for messaging from the web app (copy it from chrome://extensions)
+// Not needed when the dashboard runs inside the extension
+export const EXTENSION_ID = import.meta.env.VITE_EXTENSION_ID || ''
+
 /**
  * Load settings - uses chrome.storage in extension, localStorage as fallback
  */
@@ -163,6 +167,23 @@ async function syncToExtensionState(settings) {
   }
 }
 
+/**
+ * Send a message to the extension service worker
+ * Inside the extension it goes to onMessage, from the web app via externally_connectable
+ */
+export async function sendToExtension(message) {
+  if (typeof chrome === 'undefined' || !chrome.runtime?.sendMessage) {
+    throw new Error('Extension not available')
+  }
+  if (chrome.runtime.id) {
+    return chrome.runtime.sendMessage(message)
+  }
+  if (!EXTENSION_ID) {
+    throw new Error('EXTENSION_ID is not set')
+  }
+  return chrome.runtime.sendMessage(EXTENSION_ID, message)
+}
+
 /**
  * Public sync function - called from Dashboard
  */
@@ -0,0 +1,119 @@
+/**
+ * FocusDJ Stats
+ * Reads session history and daily stats from the extension and shapes them for charts
+ */
+
+import { sendToExtension } from './settings'
+
+export const CATEGORY_LABELS = {
+  socialMedia: 'Social Media',
+  entertainment: 'Entertainment',
+  games: 'Games',
+  shopping: 'Shopping',
+  news: 'News',
+  blocked: 'Blocked',
+}
+
+const DISTRACTING_CATEGORIES = Object.keys(CATEGORY_LABELS)
+
+export const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']
+
+// ============================================================
+// Extension queries
+// ============================================================
+
+async function request(message) {
+  const response = await sendToExtension(message)
+  if (!response?.success) {
+    throw new Error(response?.error || `${message.type} failed`)
+  }
+  return response
+}
+
+/**
+ * Finished sessions, newest first (with timelines and site breakdowns)
+ */
+export async function fetchSessions({ limit = 30 } = {}) {
+  const { sessions } = await request({
+    type: 'GET_SESSIONS',
+    query: { limit, includeDetails: true },
+  })
+  return sessions || []
+}
+
+/**
+ * Daily rollup for the last `days` days
+ */
+export async function fetchDailyStats(days = 7) {
+  return request({ type: 'GET_DAILY_STATS', days })
+}
+
+// ============================================================
+// Aggregation
+// ============================================================
+
+/**
+ * Average focus score per weekday (Mon-first) and hour of day
+ * Returns a 7 x 24 grid of { avg, samples }
+ */
+export function buildHeatmap(sessions) {
+  const grid = WEEKDAYS.map(() =>
+    Array.from({ length: 24 }, () => ({ total: 0, samples: 0 }))
+  )
+
+  for (const session of sessions) {
+    for (const { timestamp, score } of session.timeline || []) {
+      const date = new Date(timestamp)
+      const cell = grid[(date.getDay() + 6) % 7][date.getHours()]
+      cell.total += score
+      cell.samples += 1
+    }
+  }
+
+  return grid.map((row) =>
+    row.map(({ total, samples }) => ({
+      avg: samples ? Math.round(total / samples) : null,
+      samples,
+    }))
+  )
+}
+
+/**
+ * Time on distracting sites across sessions, grouped by category (most time first)
+ */
+export function getTopDistractingSites(sessions, limitPerCategory = 3) {
+  const byCategory = {}
+
+  for (const session of sessions) {
+    for (const [hostname, { category, totalMs }] of Object.entries(session.siteBreakdown || {})) {
+      if (!DISTRACTING_CATEGORIES.includes(category) || !totalMs) continue
+      const group = byCategory[category] || (byCategory[category] = { totalMs: 0, sites: {} })
+      group.totalMs += totalMs
+      group.sites[hostname] = (group.sites[hostname] || 0) + totalMs
+    }
+  }
+
+  return Object.entries(byCategory)
+    .map(([category, { totalMs, sites }]) => ({
+      category,
+      label: CATEGORY_LABELS[category],
+      totalMs,
+      sites: Object.entries(sites)
+        .map(([hostname, ms]) => ({ hostname, totalMs: ms }))
+        .sort((a, b) => b.totalMs - a.totalMs)
+        .slice(0, limitPerCategory),
+    }))
+    .sort((a, b) => b.totalMs - a.totalMs)
+}
+
+/**
+ * Format milliseconds as "1h 05m" / "12m" / "40s"
+ */
+export function formatDuration(ms) {
+  const totalSecs = Math.round(ms / 1000)
+  const hours = Math.floor(totalSecs / 3600)
+  const mins = Math.floor((totalSecs % 3600) / 60)
+  if (hours) return `${hours}h ${String(mins).padStart(2, '0')}m`
+  if (mins) return `${mins}m`
+  return `${totalSecs}s`
+}